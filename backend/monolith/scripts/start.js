@@ -14,7 +14,10 @@
  *   INTEGRAM_DB_USER     - MySQL user (default: root)
  *   INTEGRAM_DB_PASSWORD - MySQL password
  *   INTEGRAM_DB_NAME     - MySQL database name (default: integram)
+ *   INTEGRAM_DB_DRIVER   - 'sqlite' for the embedded SQLite driver (legacy and V2 API)
+ *   INTEGRAM_DB_FILE     - SQLite database file (default: in memory)
  *   INTEGRAM_PHP_SALT    - PHP SALT constant (default: DronedocSalt2025)
+ *   TRUST_PROXY          - Express 'trust proxy' setting (default: loopback — nginx on 127.0.0.1)
  */
 
 import '../src/config/env.js';
@@ -35,6 +38,11 @@ const STATIC_PATH = path.resolve(__dirname, '../../../integram-server');
 
 const app = express();
 
+// req.ip (login throttling, ACTIVITY, sessions) and req.secure come from nginx's
+// X-Forwarded-* headers; direct TLS clients on HTTPS_PORT cannot forge them
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+
 // ── Middleware ────────────────────────────────────────────────────────────────
 
 app.use(compression());
@@ -160,8 +168,11 @@ console.log('   API v2 auth: POST /api/v2/auth');
 
 try {
   const { DatabaseService, ConnectionManager } = await import('../../../packages/@integram/database/index.js');
-  const { CoreDataService } = await import('../../../services/core-data-service/src/index.js');
+  const { CoreDataService, createLegacyChangeHandler, ALL_DATABASES } = await import('../../../services/core-data-service/src/index.js');
+
+  const { onLegacyChange, enableCalculatedRequisites, getReportScheduler, reportCache, getSharedDriver, validateRequisiteRules, apiKeys, sessions } = await import('../src/api/routes/legacy-compat.js');
 
+  // V2 runs on the legacy pool: one driver choice (INTEGRAM_DB_DRIVER) and one database for both APIs
   const cm = new ConnectionManager({
     host: process.env.INTEGRAM_DB_HOST || 'localhost',
     port: parseInt(process.env.INTEGRAM_DB_PORT || '3306'),
@@ -169,24 +180,58 @@ try {
     password: process.env.INTEGRAM_DB_PASSWORD || '',
     database: process.env.INTEGRAM_DB_NAME || 'integram',
   });
-
-  const mysql2 = await import('mysql2/promise');
-  await cm.initialize(mysql2.default || mysql2);
+  await cm.initialize(getSharedDriver());
 
   const dbService = new DatabaseService(cm);
-  const coreData = new CoreDataService(dbService);
+  // V2 enforces the same role grants, masks and validation rules as the legacy API,
+  // and accepts the same personal API keys
+  const grantEngine = await import('../../../packages/@integram/grants/index.js');
+  // WEBHOOK_ALLOWED_HOSTS: comma-separated hosts that webhooks may reach on internal addresses
+  const webhookAllowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+  const coreData = new CoreDataService(dbService, { grantEngine, ruleValidator: validateRequisiteRules, apiKeys, sessions, webhookAllowedHosts });
   const v2Router = coreData.createRouter({ enableLegacy: false });
 
   app.use('/api', v2Router);
   console.log('   V2 API (AI Data Layer): /api/v2/databases/:db/*');
+
+  // Legacy _m_* / _d_* edits show up in the V2 event stream and _transactions
+  onLegacyChange(createLegacyChangeHandler(coreData.getServices()));
+
+  // V2 writes recompute calculated requisites and drop cached reports too; legacy ones (source _m_*)
+  // arrive via onLegacyChange. A V2 edit of a report schedule has no known editor, so the schedule
+  // waits for its owner
+  const handleCalculatedChange = enableCalculatedRequisites();
+  const handleScheduleChange = getReportScheduler().handleChange;
+  coreData.getServices().eventService.subscribe(ALL_DATABASES, null, (event) => {
+    if (!String(event.meta?.source || '').startsWith('_')) {
+      const change = { ...event, source: event.meta?.source };
+      handleCalculatedChange(change);
+      handleScheduleChange(change);
+      reportCache.handleChange(change);
+    }
+  });
 } catch (e) {
   console.warn('⚠  V2 API not loaded:', e.message);
 }
 
 // ── Legacy PHP-compatible API + page routing ──────────────────────────────────
 
-const { default: legacyRouter } = await import('../src/api/routes/legacy-compat.js');
+const { default: legacyRouter, enableCalculatedRequisites, getReportScheduler } = await import('../src/api/routes/legacy-compat.js');
 app.use('/', legacyRouter);
+enableCalculatedRequisites();
+
+// Scheduled report delivery (REPORT_SCHEDULER=false disables it, e.g. on extra replicas)
+if (process.env.REPORT_SCHEDULER !== 'false') {
+  const reportScheduler = getReportScheduler();
+  reportScheduler.start();
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      reportScheduler.stop();
+      process.exit(0);
+    });
+  }
+  console.log('   Report scheduler: started');
+}
 // Also handle /api/:db/... prefix used by myform.html save() and app.js ig.newApi()
 app.use('/api', legacyRouter);
 
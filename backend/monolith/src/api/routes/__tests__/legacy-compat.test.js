@@ -81,7 +81,11 @@ const {
   checkNewRef,
   constructWhere,
   formatDateForStorage,
+  getSharedDriver,
 } = await import('../legacy-compat.js');
+const { readZip } = await import('../../utils/zip-archive.js');
+const { totpCode } = await import('../../utils/two-factor.js');
+const { hashApiKey } = await import('../../utils/api-keys.js');
 
 // ─── app factory ─────────────────────────────────────────────────────────────
 
@@ -94,6 +98,20 @@ function makeApp() {
 
 // ─── convenience: set up query sequence ──────────────────────────────────────
 
+/**
+ * Rows of the "Код входа" requisite (710 → 711 on the user type) holding
+ * the email code of user uid, or undefined for other statements.
+ */
+function emailCodeRows(sql, params, uid, code) {
+  if (/up = 0 AND val = \?/.test(sql) && params[0] === 'Код входа') return [[{ id: 710 }]];
+  if (/WHERE up = \? AND t = \? LIMIT 1/.test(sql) && params[0] === 18 && params[1] === 710) return [[{ id: 711 }]];
+  if (/SELECT id, val FROM .* WHERE up = \? AND t = \?/.test(sql) && params[0] === uid && params[1] === 711) {
+    const hash = crypto.createHash('sha256').update(`${uid}:${code}`).digest('hex');
+    return [[{ id: 90, val: `${hash}:${Date.now() + 60000}:0` }]];
+  }
+  return undefined;
+}
+
 function mockQuery(...responseSequence) {
   let idx = 0;
   mockQueryFn.mockImplementation(async () => {
@@ -161,6 +179,376 @@ describe('POST /:db/auth', () => {
   });
 });
 
+describe('POST /:db/auth with two-factor authentication', () => {
+  const app = makeApp();
+  const pwdHash = phpCompatibleHash('alice', 'Password1!', 'tfadb');
+  const secret = 'JBSWY3DPEHPK3PXP';
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // alice (5) has a TOTP secret in requisite 700
+    mockQueryFn.mockImplementation(async (sql) => {
+      if (/information_schema/.test(sql)) return [[{ 1: 1 }]];
+      if (/pwd\.val AS password_hash/.test(sql)) {
+        return [[{ uid: 5, username: 'alice', password_hash: pwdHash, pwd_id: 6, token: 'old', token_id: 7, xsrf: 'x', xsrf_id: 8 }]];
+      }
+      if (/req\.t = attr\.id/.test(sql)) return [[{ id: 700, up: 18, val: 'TOTP-ключ' }, { id: 701, up: 18, val: 'Коды восстановления' }]];
+      if (/SELECT t, val FROM .* WHERE up = \? AND t IN/.test(sql)) return [[{ t: 700, val: secret }]];
+      if (/WHERE user\.id = \?/.test(sql)) return [[{ uid: 5, username: 'alice', token_id: 7, xsrf: 'x', xsrf_id: 8 }]];
+      return [[]];
+    });
+  });
+
+  async function login() {
+    const res = await request(app).post('/tfadb/auth?JSON').send({ login: 'alice', pwd: 'Password1!' });
+    expect(res.body).toEqual({ twoFactor: 'totp', challenge: expect.any(String), expiresIn: 300 });
+    return res.body.challenge;
+  }
+
+  it('answers a correct password with a challenge instead of a token', async () => {
+    await login();
+    expect(mockQueryFn.mock.calls.some(([sql]) => /INSERT/.test(sql))).toBe(false);
+  });
+
+  it('issues the token once the TOTP code is confirmed', async () => {
+    const challenge = await login();
+
+    const wrong = await request(app).post('/tfadb/auth/2fa').send({ challenge, code: 'abcdef' });
+    expect(wrong.body).toEqual({ error: 'Неверный код подтверждения' });
+
+    const code = totpCode(secret, Math.floor(Date.now() / 30000));
+    const res = await request(app).post('/tfadb/auth/2fa').send({ challenge, code });
+    expect(res.body).toMatchObject({ _xsrf: expect.any(String), token: expect.any(String), id: '5', msg: '' });
+    expect(res.headers['set-cookie'][0]).toMatch(new RegExp(`^tfadb=${res.body.token}`));
+
+    const reused = await request(app).post('/tfadb/auth/2fa').send({ challenge, code });
+    expect(reused.body.error).toMatch(/Время подтверждения истекло/);
+  });
+
+  it('refuses a challenge redeemed in another database', async () => {
+    const challenge = await login();
+    const code = totpCode(secret, Math.floor(Date.now() / 30000));
+
+    const res = await request(app).post('/otherdb/auth/2fa').send({ challenge, code });
+    expect(res.body.error).toMatch(/Время подтверждения истекло/);
+    expect(mockQueryFn.mock.calls.some(([sql]) => /otherdb/.test(sql))).toBe(false);
+  });
+
+  it('asks for the TOTP code after an email code too', async () => {
+    const query = mockQueryFn.getMockImplementation();
+    mockQueryFn.mockImplementation(async (sql, params) => {
+      if (/xsrf\.val xsrf/.test(sql)) return [[{ uid: 5, xsrf: 'x' }]];
+      return emailCodeRows(sql, params, 5, 'abcd') || query(sql, params);
+    });
+
+    const res = await request(app).post('/tfadb/checkcode').send({ u: 'alice', c: 'abcd' });
+    expect(res.body).toEqual({ twoFactor: 'totp', challenge: expect.any(String), expiresIn: 300 });
+    expect(mockQueryFn.mock.calls.some(([sql]) => /^INSERT/.test(sql))).toBe(false);
+  });
+
+  it('asks for the TOTP code after a JWT or a secret key too', async () => {
+    const query = mockQueryFn.getMockImplementation();
+    mockQueryFn.mockImplementation(async (sql, params) => {
+      if (/u\.val uname/.test(sql)) return [[{ uid: 5, uname: 'alice', xsrf_id: 8, xsrf_val: 'x' }]];
+      if (/tok\.val tok_val/.test(sql)) return [[{ uid: 5, username: 'alice', tok_val: 'key', xsrf_id: 8, xsrf_val: 'x' }]];
+      return query(sql, params);
+    });
+
+    const jwt = await request(app).post('/tfadb/jwt').send({ jwt: 'session' });
+    expect(jwt.body).toEqual({ twoFactor: 'totp', challenge: expect.any(String), expiresIn: 300 });
+
+    const secret = await request(app).post('/tfadb/auth?JSON').send({ secret: 'key' });
+    expect(secret.body).toEqual({ twoFactor: 'totp', challenge: expect.any(String), expiresIn: 300 });
+    expect(mockQueryFn.mock.calls.some(([sql]) => /^\s*(INSERT|UPDATE)/.test(sql))).toBe(false);
+  });
+
+  it('counts wrong TOTP codes towards the lockout of the login', async () => {
+    for (let i = 0; i < 5; i++) {
+      const challenge = await login();
+      const wrong = await request(app).post('/tfadb/auth/2fa').send({ challenge, code: '000000' });
+      expect(wrong.body).toEqual({ error: 'Неверный код подтверждения' });
+    }
+
+    const res = await request(app).post('/tfadb/auth?JSON').send({ login: 'alice', pwd: 'Password1!' });
+    expect(res.body).toEqual({ error: expect.stringContaining('Вход временно заблокирован'), retryAfter: 60 });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API keys in legacyAuthMiddleware
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('POST /:db/auth login throttling', () => {
+  const app = makeApp();
+  const pwdHash = phpCompatibleHash('alice', 'Password1!', 'lockdb');
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockQueryFn.mockImplementation(async (sql) => {
+      if (/information_schema/.test(sql)) return [[{ 1: 1 }]];
+      if (/pwd\.val AS password_hash/.test(sql)) {
+        return [[{ uid: 5, username: 'alice', password_hash: pwdHash, pwd_id: 6, token: 'old', token_id: 7, xsrf: 'x', xsrf_id: 8 }]];
+      }
+      if (/u\.val uname/.test(sql)) return [[{ uid: 1, uname: 'admin', xsrf_val: 'lock-xsrf', role_val: null, roleId: null }]];
+      if (/^INSERT/.test(sql)) return [{ insertId: 2000 }];
+      return [[]];
+    });
+  });
+
+  it('locks the login after repeated wrong passwords and records an ACTIVITY object', async () => {
+    for (let i = 0; i < 5; i++) {
+      const res = await request(app).post('/lockdb/auth?JSON').send({ login: 'alice', pwd: 'wrong' });
+      expect(res.body.error).toMatch(/Wrong credentials/);
+    }
+    expect(mockQueryFn.mock.calls.some(([sql, params]) => /^INSERT/.test(sql) && params[0] === 1 && params[2] === 124)).toBe(true);
+
+    const res = await request(app).post('/lockdb/auth?JSON').send({ login: 'alice', pwd: 'Password1!' });
+    expect(res.body).toEqual({ error: expect.stringContaining('Вход временно заблокирован'), retryAfter: 60 });
+    expect(res.headers['retry-after']).toBe('60');
+  });
+
+  it('lets an admin see and lift the lockout', async () => {
+    const list = await request(app).get('/lockdb/_login_locks').set('Cookie', 'lockdb=lock-token');
+    expect(list.body.logins).toEqual([{ login: 'alice', until: expect.any(String), level: 1 }]);
+
+    const res = await request(app)
+      .post('/lockdb/_login_locks/unlock')
+      .set('Cookie', 'lockdb=lock-token')
+      .send({ _xsrf: 'lock-xsrf', login: 'Alice' });
+    expect(res.body).toEqual({ success: true, unlocked: true });
+
+    const login = await request(app).post('/lockdb/auth?JSON').send({ login: 'alice', pwd: 'Password1!' });
+    expect(login.body).toMatchObject({ token: expect.any(String), id: '5' });
+  });
+});
+
+describe('POST /:db/getcode and /:db/checkcode', () => {
+  const app = makeApp();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockQueryFn.mockImplementation(async (sql, params) => {
+      const code = emailCodeRows(sql, params, 5, 'k7pz');
+      if (code) return code;
+      if (/information_schema/.test(sql)) return [[{ 1: 1 }]];
+      if (/SELECT id FROM codedb WHERE t=18/.test(sql)) return [[{ id: 5 }]];
+      if (/xsrf\.val xsrf/.test(sql)) return [[{ uid: 5, xsrf: 'code-xsrf' }]];
+      if (/^INSERT/.test(sql)) return [{ insertId: 2010 }];
+      return [[]];
+    });
+  });
+
+  it('mails a code of its own instead of a piece of a session token', async () => {
+    const res = await request(app).post('/codedb/getcode').send({ u: 'alice@example.com' });
+    expect(res.body).toEqual({ msg: 'ok' });
+
+    const [, stored] = mockQueryFn.mock.calls.find(([sql, params]) => /^UPDATE/.test(sql) && params?.[1] === 711) ||
+      mockQueryFn.mock.calls.find(([sql, params]) => /^INSERT/.test(sql) && params?.[2] === 711);
+    expect(stored.join(' ')).toMatch(/[0-9a-f]{64}:\d+:0/);
+    expect(mockQueryFn.mock.calls.some(([sql]) => /t=125|t = 125/.test(sql))).toBe(false);
+  });
+
+  it('starts a new session for a correct code and keeps the other tokens', async () => {
+    const res = await request(app).post('/codedb/checkcode').send({ u: 'alice@example.com', c: 'K7PZ' });
+    expect(res.body).toEqual({ token: expect.any(String), _xsrf: 'code-xsrf' });
+
+    const calls = mockQueryFn.mock.calls;
+    expect(calls.some(([sql, params]) => /^INSERT/.test(sql) && params[0] === 5 && params[1] === res.body.token)).toBe(true);
+    expect(calls.some(([sql, params]) => /^UPDATE/.test(sql) && params?.includes(res.body.token))).toBe(false);
+    // The code is used up
+    expect(calls.some(([sql, params]) => /SET val = ''/.test(sql) && params[0] === 90)).toBe(true);
+  });
+
+  it('counts no attempt for a database that does not exist', async () => {
+    const query = mockQueryFn.getMockImplementation();
+    mockQueryFn.mockImplementation(async (sql, params) => (/information_schema/.test(sql) ? [[]] : query(sql, params)));
+
+    for (let i = 0; i < 70; i++) {
+      const res = await request(app).post(`/nodb${i}/checkcode`).send({ u: 'alice@example.com', c: 'abcd' });
+      expect(res.body).toEqual({ error: `nodb${i} does not exist` });
+    }
+
+    // over the limit of the address (60) if the made-up databases had counted
+    mockQueryFn.mockImplementation(query);
+    const res = await request(app).post('/codedb/checkcode').send({ u: 'alice@example.com', c: 'abcd' });
+    expect(res.body).toEqual({ error: 'user not found' });
+  });
+
+  it('refuses a wrong code and counts the try', async () => {
+    const res = await request(app).post('/codedb/checkcode').send({ u: 'alice@example.com', c: 'abcd' });
+    expect(res.body).toEqual({ error: 'user not found' });
+    expect(mockQueryFn.mock.calls.some(([sql, params]) => /^UPDATE/.test(sql) && /:1$/.test(params[0]))).toBe(true);
+    expect(mockQueryFn.mock.calls.some(([sql]) => /^INSERT/.test(sql) && /125/.test(sql))).toBe(false);
+  });
+});
+
+describe('legacyAuthMiddleware with API keys', () => {
+  const app = makeApp();
+  const KEY = 'ik_read0nlyKeyForTheLegacyRoutes00000';
+  let expires;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    expires = '';
+    // Key 900 of alice (5): read-only, requisites 801 (hash), 802 (access), 803 (expiry)
+    mockQueryFn.mockImplementation(async (sql, params = []) => {
+      if (/information_schema/.test(sql)) return [[{ 1: 1 }]];
+      if (/up = 0 AND val = \? AND t = \?/.test(sql)) return [params[0] === 'API-ключ' ? [{ id: 800 }] : []];
+      if (/attr\.id = req\.t/.test(sql)) {
+        return [[{ id: 801, val: 'Хеш API-ключа' }, { id: 802, val: 'Доступ API-ключа' }, { id: 803, val: 'Действует до' }]];
+      }
+      if (/h\.val = \?/.test(sql)) return [params[2] === hashApiKey(KEY) ? [{ id: 900, up: 5, val: 'CI' }] : []];
+      if (/WHERE up IN/.test(sql)) return [[{ up: 900, t: 802, val: 'READ' }, { up: 900, t: 803, val: expires }]];
+      if (/u\.id=\?/.test(sql)) return [[{ uid: 5, uname: 'alice', xsrf_val: 'session-xsrf', role_val: 'Manager', roleId: 42 }]];
+      if (/gr\.up = \?/.test(sql)) return [[{ obj: '300', lev: 'WRITE', mask: null, exp: null, del: null }]];
+      return [[]];
+    });
+  });
+
+  it('refuses writes through a read-only key', async () => {
+    const res = await request(app).post('/keydb/_m_save/123?JSON').set('Authorization', `Bearer ${KEY}`).send({ t300: 'x' });
+    expect(res.body).toEqual({ error: 'API-ключ только для чтения' });
+    expect(mockQueryFn.mock.calls.some(([sql]) => /JOIN keydb tok/.test(sql))).toBe(false);
+  });
+
+  it('does not let a key manage keys', async () => {
+    const res = await request(app).get('/keydb/_api_keys').set('Authorization', `Bearer ${KEY}`);
+    expect(res.body).toEqual({ error: 'Действие недоступно при входе по API-ключу' });
+  });
+
+  it('answers 401 with the reason for an expired key', async () => {
+    expires = String(Math.floor(Date.now() / 1000) - 60);
+    const res = await request(app).get('/keydb/_api_keys').set('Authorization', `Bearer ${KEY}`);
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Срок действия API-ключа истёк' });
+  });
+});
+
+describe('Sessions', () => {
+  const app = makeApp();
+  const pwdHash = phpCompatibleHash('alice', 'Password1!', 'sessdb');
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // alice (5) is signed in with session 2000; 2002 is her other session
+    mockQueryFn.mockImplementation(async (sql) => {
+      if (/information_schema/.test(sql)) return [[{ 1: 1 }]];
+      if (/pwd\.val AS password_hash/.test(sql)) {
+        return [[{ uid: 5, username: 'alice', password_hash: pwdHash, pwd_id: 6, token: 'old', token_id: 7, xsrf: 'sess-xsrf', xsrf_id: 8 }]];
+      }
+      if (/u\.val uname/.test(sql)) {
+        return [[{ uid: 5, uname: 'alice', xsrf_val: 'sess-xsrf', role_val: null, roleId: null, tok_id: 2000, tok_info: 2001 }]];
+      }
+      if (/SELECT id, up FROM/.test(sql)) return [[{ id: 2000, up: 5 }]];
+      if (/tok\.up uid/.test(sql)) return [[{ id: 2002, uid: 5, login: 'alice' }, { id: 2000, uid: 5, login: 'alice' }]];
+      if (/^INSERT/.test(sql)) return [{ insertId: 2010 }];
+      return [[]];
+    });
+  });
+
+  it('adds a session on login and keeps the other sessions and the xsrf', async () => {
+    const res = await request(app)
+      .post('/sessdb/auth?JSON')
+      .set('User-Agent', 'Firefox')
+      .send({ login: 'alice', pwd: 'Password1!' });
+    expect(res.body).toMatchObject({ _xsrf: 'sess-xsrf', token: expect.any(String), id: '5' });
+
+    const calls = mockQueryFn.mock.calls;
+    expect(calls.some(([sql, params]) => /^DELETE/.test(sql) && params?.[0] === 7)).toBe(false);
+    expect(calls.some(([sql, params]) => /^UPDATE/.test(sql) && params?.[1] === 8)).toBe(false);
+    expect(calls.some(([sql, params]) => /^INSERT/.test(sql) && params[0] === 2010 && params[3] === 'Firefox')).toBe(true);
+  });
+
+  it('adds a session on JWT and secret key logins without rewriting other tokens or the xsrf', async () => {
+    const query = mockQueryFn.getMockImplementation();
+    mockQueryFn.mockImplementation(async (sql, params) => {
+      if (/tok\.val tok_val/.test(sql)) return [[{ uid: 5, username: 'alice', tok_val: 'key', xsrf_id: 8, xsrf_val: 'sess-xsrf' }]];
+      return query(sql, params);
+    });
+
+    const jwt = await request(app).post('/sessdb/jwt').send({ jwt: 'sess-token' });
+    expect(jwt.body).toMatchObject({ _xsrf: 'sess-xsrf', token: expect.any(String), id: '5', user: 'alice' });
+    expect(jwt.body.token).not.toBe('sess-token');
+
+    const secret = await request(app).post('/sessdb/auth?JSON').send({ secret: 'key' });
+    expect(secret.body).toMatchObject({ _xsrf: 'sess-xsrf', token: expect.any(String), id: '5', user: 'alice' });
+
+    const calls = mockQueryFn.mock.calls;
+    expect(calls.some(([sql]) => /^UPDATE/.test(sql))).toBe(false);
+    expect(calls.filter(([sql, params]) => /^INSERT/.test(sql) && params[0] === 5 && /t, val\) VALUES \(\?, 1, 125/.test(sql))).toHaveLength(2);
+  });
+
+  it('lists the sessions of the user and marks the current one', async () => {
+    const res = await request(app).get('/sessdb/_sessions').set('Cookie', 'sessdb=sess-token');
+    expect(res.body.sessions.map(s => [s.id, s.current])).toEqual([[2002, false], [2000, true]]);
+  });
+
+  it('ends one session, not another user\'s', async () => {
+    const res = await request(app)
+      .post('/sessdb/_sessions/2002/revoke')
+      .set('Cookie', 'sessdb=sess-token')
+      .send({ _xsrf: 'sess-xsrf' });
+    expect(res.body).toEqual({ success: true });
+    expect(mockQueryFn.mock.calls.some(([sql, params]) => /id IN/.test(sql) && params[0] === 2002)).toBe(true);
+
+    const other = await request(app)
+      .post('/sessdb/_sessions/3000/revoke')
+      .set('Cookie', 'sessdb=sess-token')
+      .send({ _xsrf: 'sess-xsrf' });
+    expect(other.body).toEqual({ error: 'Сессия не найдена' });
+  });
+
+  it('signs out only the current session on exit', async () => {
+    const res = await request(app).post('/sessdb/exit').set('Cookie', 'sessdb=sess-token').set('Accept', 'application/json');
+    expect(res.status).toBe(200);
+
+    const deletes = mockQueryFn.mock.calls.filter(([sql]) => /^DELETE/.test(sql));
+    expect(deletes.some(([sql, params]) => /id IN/.test(sql) && params.length === 1 && params[0] === 2000)).toBe(true);
+    expect(deletes.some(([sql]) => /up = \? AND t = 125/.test(sql))).toBe(false);
+  });
+});
+
+describe('OpenID Connect login', () => {
+  const app = makeApp();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockQueryFn.mockImplementation(async () => [[]]);
+  });
+
+  it('lists no providers for a database without them', async () => {
+    const res = await request(app).get('/ssodb/_oidc/providers');
+    expect(res.body).toEqual({ providers: [] });
+  });
+
+  it('refuses an unknown provider and a callback without a started login', async () => {
+    const start = await request(app).get('/ssodb/oidc/77/login');
+    expect(start.status).toBe(401);
+    expect(start.text).toBe('Поставщик входа не найден');
+
+    const callback = await request(app).get('/ssodb/oidc/callback?code=abc&state=forged');
+    expect(callback.status).toBe(401);
+    expect(callback.text).toBe('Время входа истекло, начните заново');
+    expect(callback.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('links a provider only to a signed-in user', async () => {
+    const res = await request(app).post('/ssodb/oidc/77/link').set('Accept', 'application/json');
+    expect(res.status).toBe(401);
+  });
+
+  it('drops the state cookie of the browser on the callback', async () => {
+    const res = await request(app).get('/ssodb/oidc/callback?code=abc&state=forged').set('Cookie', 'oidc_state=other');
+    expect(res.text).toBe('Время входа истекло, начните заново');
+    expect(res.headers['set-cookie']).toEqual([expect.stringMatching(/^oidc_state=;.*Path=\/ssodb\/oidc;.*HttpOnly/)]);
+  });
+
+  it('reports the refusal of the provider', async () => {
+    const res = await request(app).get('/ssodb/oidc/callback?error=access_denied&error_description=User%20cancelled');
+    expect(res.text).toBe('Вход отклонён поставщиком: User cancelled');
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /:db/xsrf
 // ─────────────────────────────────────────────────────────────────────────────
@@ -467,6 +855,427 @@ describe('POST /:db/_d_new', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /:db/_list/:typeId with GROUP (server-side grouping)
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('GET /:db/_list/:typeId grouping', () => {
+  const app = makeApp();
+
+  beforeEach(() => { vi.clearAllMocks(); });
+
+  it('returns group buckets with aggregates instead of rows', async () => {
+    mockQuery(
+      [[{ id: 15 }]], // reference requisites of the type
+      [[
+        { group_value: 77, group_label: 'Москва', cnt: 3, m1: '150.000000' },
+        { group_value: null, group_label: null, cnt: 1, m1: null },
+      ]],
+    );
+
+    const res = await request(app)
+      .get(`/${DB}/_list/10?GROUP=15,12&AGG=count,sum:14`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ level: 0, depth: 2, total: 4 });
+    expect(res.body.groups[0]).toEqual({
+      value: 77, label: 'Москва', count: 3, metrics: { count: 3, 'sum_14': 150 }, path: [77], hasChildren: true,
+    });
+
+    const [sql, params] = mockQueryFn.mock.calls[1];
+    expect(sql).toContain('g.t AS group_value, g_o.val AS group_label');
+    expect(sql).toContain('GROUP BY g.t, g_o.val');
+    expect(params).toEqual(['15', 14, 10]);
+  });
+
+  it('returns pivot columns', async () => {
+    mockQuery(
+      [[]],
+      [[{ group_value: 'A', group_label: 'A', cnt: 2 }]],
+      [[{ group_value: 'A', group_label: 'A', pivot_value: 'x', pivot_label: 'x', cnt: 2 }]],
+    );
+
+    const res = await request(app)
+      .get(`/${DB}/_list/10?GROUP=12&PIVOT=13`);
+
+    expect(res.body.pivot_columns).toEqual([{ value: 'x', label: 'x' }]);
+    expect(res.body.groups[0].pivot).toEqual({ x: { count: 2, metrics: { count: 2 } } });
+  });
+
+  it('returns the rows of a bucket once GPATH is as deep as GROUP', async () => {
+    mockQuery(
+      [[]],
+      [[{ id: 101, val: 'Иванов', up: 1, t: 10, ord: 1 }]],
+      [[{ total: 1 }]],
+      [[]],
+    );
+
+    const res = await request(app)
+      .get(`/${DB}/_list/10?GROUP=12&GPATH=${encodeURIComponent('["Москва"]')}&f_13=abc`);
+
+    expect(res.body).toMatchObject({ data: [{ id: 101 }], total: 1 });
+    const [sql, params] = mockQueryFn.mock.calls[1];
+    expect(sql).toContain('fj1.val LIKE ? AND EXISTS (SELECT 1 FROM `' + DB + '` x WHERE x.up = a.id AND x.t = ? AND x.val = ?)');
+    expect(params).toEqual([13, 10, '%abc%', 12, 'Москва', 50, 0]);
+  });
+
+  it('rejects a malformed GPATH', async () => {
+    const res = await request(app)
+      .get(`/${DB}/_list/10?GROUP=12&GPATH=oops`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.error).toMatch(/GPATH/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /:db/object/:typeId?JSON&F_I — single object (live row refresh)
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('GET /:db/object/:typeId F_I filter', () => {
+  const app = makeApp();
+
+  beforeEach(() => { vi.clearAllMocks(); });
+
+  it('restricts the object list to one object id', async () => {
+    mockQuery([[]]);
+
+    const res = await request(app)
+      .get(`/${DB}/object/10?JSON&F_I=101`)
+      .set('Cookie', `${DB}=object-token`);
+
+    expect(res.status).toBe(200);
+    const call = mockQueryFn.mock.calls.find(([sql]) => sql.includes('a.id = ?'));
+    expect(call).toBeDefined();
+    expect(call[0]).toContain('a.t = ? AND a.up != 0 AND a.id = ?');
+    expect(call[1].slice(0, 2)).toEqual([10, 101]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /:db/export/:typeId?format=xlsx|ods
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('GET /:db/export/:typeId spreadsheets', () => {
+  const app = makeApp();
+  /** legacyAuthMiddleware: the admin, without a role */
+  const admin = [[{ uid: 1, uname: 'admin', xsrf_val: 'x', role_val: null, roleId: null }]];
+
+  beforeEach(() => { vi.clearAllMocks(); });
+
+  /** Collect a binary response body */
+  const binary = (res, cb) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => cb(null, Buffer.concat(chunks)));
+  };
+
+  it('exports a type with typed cells and a sheet per subordinate table', async () => {
+    mockQuery(
+      admin,
+      // type "Заказ"
+      [[{ id: 10, val: 'Заказ', t: 3 }]],
+      // requisites: Сумма (NUMBER), Дата (DATE), Клиент (reference), Позиции (subordinate table 20)
+      [[
+        { id: 11, attrs: 'Сумма', type_id: 50, type_val: 'Сумма', base_typ: 13, ref_id: null, arr_id: null },
+        { id: 12, attrs: 'Дата', type_id: 51, type_val: 'Дата', base_typ: 9, ref_id: null, arr_id: null },
+        { id: 13, attrs: '', type_id: 52, type_val: 'Клиент', base_typ: 3, ref_id: 30, arr_id: null },
+        { id: 14, attrs: '', type_id: 20, type_val: 'Позиции', base_typ: 3, ref_id: null, arr_id: 21 },
+      ]],
+      // objects
+      [[{ id: 101, val: 'З-1', up: 1 }]],
+      // requisite values; the reference row keeps the requisite id in val
+      [[
+        { up: 101, t: 11, val: '1500' },
+        { up: 101, t: 12, val: '20261017' },
+        { up: 101, t: 301, val: '13' },
+      ]],
+      // referenced object names
+      [[{ id: 301, val: 'ООО Ромашка' }]],
+      // subordinate table "Позиции"
+      [[{ id: 20, val: 'Позиции', t: 3 }]],
+      [[{ id: 21, attrs: 'Кол-во', type_id: 53, type_val: 'Кол-во', base_typ: 13, ref_id: null, arr_id: null }]],
+      [[{ id: 201, val: 'Стол', up: 101 }]],
+      [[{ up: 201, t: 21, val: '2' }]],
+    );
+
+    const res = await request(app)
+      .get(`/${DB}/export/10?format=xlsx`)
+      .set('Cookie', `${DB}=export-token`)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('spreadsheetml.sheet');
+    expect(res.headers['content-disposition']).toContain(`${DB}_type_10.xlsx`);
+
+    const files = Object.fromEntries(readZip(res.body).map(e => [e.name, e.content.toString('utf8')]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Заказ"');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Позиции"');
+
+    const orders = files['xl/worksheets/sheet1.xml'];
+    expect(orders).toContain('<t xml:space="preserve">Клиент</t>');
+    expect(orders).toContain('<c r="C2"><v>1500</v></c>');
+    expect(orders).toContain('<c r="D2" s="2"><v>46312</v></c>');
+    expect(orders).toContain('<t xml:space="preserve">ООО Ромашка</t>');
+
+    const items = files['xl/worksheets/sheet2.xml'];
+    expect(items).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">З-1</t></is></c>');
+    expect(items).toContain('<c r="D2"><v>2</v></c>');
+
+    const objectQuery = mockQueryFn.mock.calls[3];
+    expect(objectQuery[0]).toContain('(o.up = 1 OR p.up != 0)');
+  });
+
+  it('returns an ODS workbook', async () => {
+    mockQuery(
+      admin,
+      [[{ id: 10, val: 'Заказ', t: 3 }]],
+      [[]],
+      [[{ id: 101, val: 'З-1', up: 1 }]],
+    );
+
+    const res = await request(app)
+      .get(`/${DB}/export/10?format=ods`)
+      .set('Cookie', `${DB}=export-token`)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/vnd.oasis.opendocument.spreadsheet');
+    const [mimetype] = readZip(res.body);
+    expect(mimetype.name).toBe('mimetype');
+  });
+
+  it('reports an unknown type', async () => {
+    mockQuery(admin, [[]]);
+
+    const res = await request(app)
+      .get(`/${DB}/export/999?format=xlsx`)
+      .set('Cookie', `${DB}=export-token`);
+
+    expect(res.body).toEqual({ error: 'Type 999 not found' });
+  });
+
+  it('requires a login and the EXPORT grant', async () => {
+    mockQuery([[]]);
+    const anonymous = await request(app).get(`/${DB}/export/18?format=xlsx`).set('Accept', 'application/json');
+    expect(anonymous.status).toBe(401);
+
+    mockQuery(
+      [[{ uid: 6, uname: 'bob', xsrf_val: 'x', role_val: 'user', roleId: 7 }]],
+      [[{ obj: '18', lev: 'READ', mask: null, exp: null, del: null }]],
+    );
+    const res = await request(app).get(`/${DB}/export/18?format=xlsx`).set('Cookie', `${DB}=bob-token`);
+    expect(res.body).toEqual({ error: 'You do not have permission to export' });
+    expect(mockQueryFn.mock.calls.some(([sql]) => /o\.t = \?/.test(sql))).toBe(false);
+  });
+
+  it('leaves out rows hidden by masks and blanks passwords', async () => {
+    mockQueryFn.mockImplementation(async (sql, params = []) => {
+      if (/u\.val uname/.test(sql)) return [[{ uid: 6, uname: 'bob', xsrf_val: 'x', role_val: 'user', roleId: 7 }]];
+      // READ and EXPORT on users, but alice is BARRED by a mask
+      if (/gr\.val AS obj/.test(sql)) {
+        return [[
+          { obj: '18', lev: 'BARRED', mask: 'alice', exp: null, del: null },
+          { obj: '18', lev: 'READ', mask: null, exp: '1', del: null },
+        ]];
+      }
+      if (/WHERE id = \? AND up = 0/.test(sql)) return [[{ id: 18, val: 'Пользователь', t: 3 }]];
+      if (/a\.val AS attrs/.test(sql)) {
+        return [[
+          { id: 20, attrs: 'Пароль', type_id: 60, type_val: 'Пароль', base_typ: 6, ref_id: null, arr_id: null },
+          { id: 41, attrs: 'Email', type_id: 61, type_val: 'Email', base_typ: 3, ref_id: null, arr_id: null },
+        ]];
+      }
+      if (/o\.t = \?/.test(sql)) return [[{ id: 5, val: 'alice', up: 1 }, { id: 6, val: 'bob', up: 1 }]];
+      if (/WHERE up IN/.test(sql)) {
+        return [[
+          { up: 5, t: 20, val: 'alice-hash' }, { up: 5, t: 41, val: 'alice@example.com' },
+          { up: 6, t: 20, val: 'bob-hash' }, { up: 6, t: 41, val: 'bob@example.com' },
+        ].filter(row => params.includes(row.up))];
+      }
+      // mask check: SELECT '<value>' ='<mask>'
+      const mask = /^SELECT '(.*)' ='(.*)' *$/.exec(sql);
+      if (mask) return [[{ match: mask[1] === mask[2] ? 1 : 0 }]];
+      return [[]];
+    });
+
+    const res = await request(app)
+      .get(`/${DB}/export/18?format=xlsx`)
+      .set('Cookie', `${DB}=bob-token`)
+      .buffer(true)
+      .parse(binary);
+
+    const users = readZip(res.body).find(e => e.name === 'xl/worksheets/sheet1.xml').content.toString('utf8');
+    expect(users).toContain('bob@example.com');
+    expect(users).not.toContain('alice');
+    expect(users).not.toContain('bob-hash');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /:db/report/:reportId?JSON&EXPLAIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('GET /:db/report/:reportId?JSON&EXPLAIN', () => {
+  const app = makeApp();
+
+  beforeEach(() => { vi.clearAllMocks(); });
+
+  /** Report 5 "Заказы" on type 10 with a numeric column "Сумма" (requisite 11) */
+  function mockReportQueries(username) {
+    mockQueryFn.mockImplementation(async (sql, params = []) => {
+      if (/^\s*EXPLAIN /.test(sql)) {
+        return [[
+          { id: 1, select_type: 'SIMPLE', table: 'a', type: 'ref', key: 'idx_t', rows: 300, filtered: 100, Extra: 'Using where' },
+          { id: 1, select_type: 'SIMPLE', table: 'c12', type: 'ALL', key: null, rows: 90000, filtered: 10, Extra: 'Using join buffer' },
+        ]];
+      }
+      if (/SHOW INDEX/.test(sql)) {
+        return [[
+          { Key_name: 'PRIMARY', Seq_in_index: 1, Column_name: 'id' },
+          { Key_name: 'idx_t', Seq_in_index: 1, Column_name: 't' },
+        ]];
+      }
+      if (/WHERE id = \?$/.test(sql.trim()) && params[0] === 5) return [[{ id: 5, val: 'Заказы', t: 22, up: 10 }]];
+      if (/col\.t = 28/.test(sql)) return [[{ id: 12, req_type_raw: '11', ord: 1, col_name: 'Сумма', col_base_t: 13 }]];
+      if (/tok\.t = 125/.test(sql)) return [[{ id: 1, username, role_id: null }]];
+      if (/^SELECT a\.id, a\.val AS main_val/.test(sql)) return [[{ id: 101, main_val: 'З-1', up: 1, ord: 1, c12: '1500' }]];
+      return [[]];
+    });
+  }
+
+  it('returns the SQL, plan, timings and index suggestions', async () => {
+    mockReportQueries('admin');
+
+    const res = await request(app)
+      .get(`/${DB}/report/5?JSON&EXPLAIN`)
+      .set('Cookie', `${DB}=explain-token`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.report).toEqual({ id: 5, name: 'Заказы' });
+    expect(res.body.sql).toContain('LEFT JOIN');
+    expect(res.body.rows).toBe(1);
+    expect(res.body.joins.map(j => [j.alias, j.name, j.type])).toEqual([['a', 'Заказы', 'ref'], ['c12', 'Сумма', 'ALL']]);
+    expect(res.body.estimatedRows).toBe(2_700_000);
+    const ms = expect.any(Number);
+    expect(res.body.timings).toEqual({ compile: ms, subqueries: ms, mainQuery: ms, postProcess: ms, total: ms });
+    expect(res.body.suggestions.map(s => s.code)).toEqual(['missing_index_up_t', 'full_scan', 'large_estimate']);
+
+    const explainCall = mockQueryFn.mock.calls.find(([sql]) => sql.startsWith('EXPLAIN '));
+    expect(explainCall[0]).toBe(`EXPLAIN ${res.body.sql}`);
+    expect(explainCall[1]).toEqual(res.body.params);
+  });
+
+  it('refuses users who cannot edit types', async () => {
+    mockReportQueries('manager');
+
+    const res = await request(app)
+      .get(`/${DB}/report/5?JSON&EXPLAIN`)
+      .set('Cookie', `${DB}=explain-token`);
+
+    expect(res.body.error).toBeDefined();
+    expect(res.body.sql).toBeUndefined();
+    expect(mockQueryFn.mock.calls.some(([sql]) => sql.startsWith('EXPLAIN '))).toBe(false);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /:db/_calc/:reqId
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('POST /:db/_calc/:reqId', () => {
+  const app = makeApp();
+
+  beforeEach(() => { vi.clearAllMocks(); });
+
+  function mockUser(uname) {
+    mockQueryFn.mockImplementation(async (sql) => {
+      if (/u\.val uname/.test(sql)) return [[{ uid: 1, uname, xsrf_val: 'calc-xsrf', role_val: null, roleId: null }]];
+      return [[]];
+    });
+  }
+
+  it('validates the formula against the type structure', async () => {
+    mockUser('admin');
+
+    const res = await request(app)
+      .post(`/${DB}/_calc/5`)
+      .set('Cookie', `${DB}=calc-token`)
+      .send({ _xsrf: 'calc-xsrf', formula: '[Цена] * 2' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ error: 'Реквизит 5 не найден' });
+    expect(mockQueryFn.mock.calls.some(([sql]) => sql.startsWith('INSERT'))).toBe(false);
+  });
+
+  it('refuses users who cannot edit types', async () => {
+    mockUser('manager');
+
+    const res = await request(app)
+      .post(`/${DB}/_calc/5`)
+      .set('Cookie', `${DB}=calc-token`)
+      .send({ _xsrf: 'calc-xsrf', formula: '1' });
+
+    expect(res.body.error).toBeDefined();
+    expect(res.body.success).toBeUndefined();
+    expect(mockQueryFn.mock.calls.some(([sql]) => /WHERE id = \?/.test(sql) && !/u\.val uname/.test(sql))).toBe(false);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Validation rules in _m_set
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('POST /:db/_m_set/:id validation rules', () => {
+  const app = makeApp();
+
+  beforeEach(() => { vi.clearAllMocks(); });
+
+  // Клиент (200) with ИНН (201); a pattern rule on ИНН stored as object 901
+  function mockSchemaWithRule() {
+    const ids = { 'Правило проверки': 900, 'Вид правила': 910, 'Параметр': 911, 'Сообщение об ошибке': 912 };
+    mockQueryFn.mockImplementation(async (sql, params = []) => {
+      if (/u\.val uname/.test(sql)) return [[{ uid: 1, uname: 'admin', xsrf_val: 'rules-xsrf', role_val: null, roleId: null }]];
+      if (/up = 0 AND val = \? AND t = \? AND id != t/.test(sql)) return [ids[params[0]] ? [{ id: ids[params[0]] }] : []];
+      if (/WHERE up = \? AND t = \? LIMIT 1/.test(sql) && params[0] === 900) return [[{ id: params[1] + 10 }]];
+      if (/SELECT id, val FROM .* WHERE t = \? AND up != 0/.test(sql)) return [[{ id: 901, val: '201' }]];
+      if (/SELECT up, t, val FROM .* WHERE up IN/.test(sql)) {
+        return [[
+          { up: 901, t: 920, val: 'pattern' },
+          { up: 901, t: 921, val: '\\d{10}' },
+          { up: 901, t: 922, val: 'ИНН — 10 цифр' },
+        ]];
+      }
+      if (/SELECT t, up FROM/.test(sql)) return [[{ t: 200, up: 1 }]];
+      if (/SELECT id, up FROM .* WHERE id = \?/.test(sql)) return [[{ id: 201, up: 200 }]];
+      if (/SELECT id, val, t FROM .* WHERE id = \? AND up = 0/.test(sql)) return [[{ id: 200, val: 'Клиент', t: 3 }]];
+      if (/LEFT JOIN/.test(sql) && params[0] === 200) {
+        return [[{ id: 201, attrs: 'ИНН', type_id: 50, type_val: 'ИНН', base_typ: 3, ref_id: null, arr_id: null }]];
+      }
+      return [[]];
+    });
+  }
+
+  it('rejects a value breaking a rule with the error of its field and writes nothing', async () => {
+    mockSchemaWithRule();
+
+    // A database of its own: rules are cached per database
+    const res = await request(app)
+      .post('/rulesdb/_m_set/1000')
+      .set('Cookie', 'rulesdb=rules-token')
+      .send({ _xsrf: 'rules-xsrf', t201: '12-34' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      error: 'ИНН — 10 цифр',
+      errors: [{ requisite: 201, field: 't201', name: 'ИНН', kind: 'pattern', message: 'ИНН — 10 цифр' }],
+    });
+    expect(mockQueryFn.mock.calls.some(([sql]) => /^\s*(INSERT|UPDATE)/.test(sql))).toBe(false);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /:db/backup
 // ─────────────────────────────────────────────────────────────────────────────
@@ -945,6 +1754,17 @@ describe('Phase 2: middleware wiring', () => {
 
 // ─── constructWhere — PHP-parity filter engine ──────────────────────────────
 
+describe('getSharedDriver', () => {
+  it('hands the legacy pool to the V2 connection manager', () => {
+    const driver = getSharedDriver();
+    const pool = driver.createPool({ host: 'ignored' });
+
+    expect(driver).toMatchObject({ name: 'mysql', dialect: 'mysql' });
+    expect(driver.createPool({})).toBe(pool);
+    expect(pool.query).toBeTypeOf('function');
+  });
+});
+
 describe('formatDateForStorage', () => {
   it('converts dd.mm.yyyy to yyyymmdd', () => {
     expect(formatDateForStorage('15.03.2024')).toBe('20240315');
@@ -0,0 +1,87 @@
+/**
+ * Legacy and V2 API on one SQLite database (INTEGRAM_DB_DRIVER=sqlite),
+ * wired as scripts/start.js does: V2 runs on getSharedDriver().
+ *
+ * Needs the native better-sqlite3 package; skipped without it.
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { createRequire } from 'module';
+import crypto from 'crypto';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+
+vi.mock('../../../utils/logger.js', () => ({
+  default: { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() },
+}));
+
+function loadBetterSqlite() {
+  try {
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    new Database(':memory:').close();
+    return Database;
+  } catch {
+    return null;
+  }
+}
+
+const BetterSqlite = loadBetterSqlite();
+
+const DB = 'demo';
+const PHP_SALT = process.env.INTEGRAM_PHP_SALT || 'DronedocSalt2025';
+
+describe.skipIf(!BetterSqlite)('legacy and V2 API on SQLite', () => {
+  let app;
+  let typeId;
+
+  beforeAll(async () => {
+    vi.stubEnv('INTEGRAM_DB_DRIVER', 'sqlite');
+    vi.stubEnv('INTEGRAM_DB_FILE', '');
+
+    const legacy = await import('../legacy-compat.js');
+    const { ConnectionManager, DatabaseService, buildCreateTable } = await import('../../../../../../packages/@integram/database/index.js');
+    const { CoreDataService } = await import('../../../../../../services/core-data-service/src/index.js');
+    const grantEngine = await import('../../../../../../packages/@integram/grants/index.js');
+
+    const cm = new ConnectionManager({ database: 'integram' }, { logger: { info: vi.fn() } });
+    await cm.initialize(legacy.getSharedDriver());
+    const db = new DatabaseService(cm);
+
+    await cm.query(buildCreateTable(DB).sql);
+    typeId = await db.insert(DB, 0, 1, 3, 'Client'); // SHORT
+    const uid = await db.insert(DB, 1, 1, 18, 'admin'); // USER
+    const hash = crypto.createHash('sha1').update(`${PHP_SALT}ADMIN${DB}secret`).digest('hex');
+    await db.insert(DB, uid, 1, 20, hash); // PASSWORD
+
+    const coreData = new CoreDataService(db, { grantEngine, logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+    app = express();
+    app.use(cookieParser());
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api', coreData.createRouter({ enableLegacy: false }));
+    app.use('/', legacy.default);
+  });
+
+  it('logs in through the legacy API and writes through V2 with the same token', async () => {
+    const login = await request(app)
+      .post(`/${DB}/auth?JSON`)
+      .type('form')
+      .send({ login: 'admin', pwd: 'secret' });
+    expect(login.body.error).toBeUndefined();
+    expect(login.body.token).toBeTruthy();
+
+    const created = await request(app)
+      .post(`/api/v2/databases/${DB}/objects`)
+      .set('X-Authorization', login.body.token)
+      .send({ typeId, value: 'Acme, Inc' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ value: 'Acme, Inc', typeId });
+
+    const listed = await request(app)
+      .get(`/api/v2/databases/${DB}/types/${typeId}/objects`)
+      .set('X-Authorization', login.body.token);
+    expect(listed.body.data.map(obj => obj.val)).toEqual(['Acme, Inc']);
+    expect(listed.body.meta.total).toBe(1);
+  });
+});
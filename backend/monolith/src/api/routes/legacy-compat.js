@@ -5,7 +5,6 @@
 import express from 'express';
 import mysql from 'mysql2/promise';
 import crypto from 'crypto';
-import zlib from 'zlib';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
@@ -16,6 +15,61 @@ import nodemailer from 'nodemailer';
 import { phpJsonMiddleware } from '../../utils/jsonSortKeys.js';
 import { isAbnPostProcessFunction, applyAbnFunction, isAbnFunction, ABN_SQL_FIELD_FUNCS, getJsonVal, checkJson } from '../utils/report-functions.js';
 import { t9n, getLocale } from '../../utils/t9n.js';
+import {
+  configureGrants,
+  getGrants,
+  checkGrant,
+  grant1Level,
+  repoGrant,
+  scopeGrants,
+  checkValGranted,
+  valBarredByMask,
+  checkRepColGranted,
+  resolveMaskBuiltIn,
+} from '../../../../../packages/@integram/grants/index.js';
+import { createSqliteDriver } from '../../../../../packages/@integram/database/sqlite.js';
+import { ValidationError, AuthenticationError } from '../../../../../packages/@integram/common/index.js';
+import {
+  buildGroupQuery,
+  buildPathConditions,
+  shapeGroups,
+  attachPivot,
+  MAX_GROUP_LIMIT,
+} from '../../../../../packages/@integram/database/grouping.js';
+import { createChangeTracker } from '../utils/legacy-change-tracker.js';
+import { buildZipArchive, readZip } from '../utils/zip-archive.js';
+import { buildSpreadsheet, SPREADSHEET_TYPES } from '../utils/spreadsheet-writer.js';
+import {
+  createReportCache,
+  reportCacheKey,
+  reportCacheMode,
+  loadReportCacheTtls,
+  saveReportCacheTtl,
+} from '../utils/report-cache.js';
+import { createCalculatedRequisites } from '../utils/calculated-requisites.js';
+import { createValidationRules } from '../utils/validation-rules.js';
+import { createTwoFactor } from '../utils/two-factor.js';
+import { createApiKeys, isApiKey } from '../utils/api-keys.js';
+import { createLoginThrottle } from '../utils/login-throttle.js';
+import { createLoginAudit, EVENTS as LOGIN_EVENTS } from '../utils/login-audit.js';
+import { createSessions } from '../utils/sessions.js';
+import { createLoginCodes } from '../utils/login-codes.js';
+import { createOidc } from '../utils/oidc.js';
+import {
+  explainStatement,
+  normalizePlan,
+  reportAliases,
+  describeJoins,
+  estimateRows,
+  loadTableIndexes,
+  planSuggestions,
+} from '../utils/report-profiler.js';
+import {
+  createReportScheduler,
+  ensureScheduleTypes,
+  findScheduleTypes,
+  loadSchedules,
+} from '../utils/report-scheduler.js';
 
 const router = express.Router();
 
@@ -273,9 +327,27 @@ router.use((req, res, next) => {
 let pool = null;
 
 /**
- * Get or create database connection pool
+ * Database driver: INTEGRAM_DB_DRIVER, or DB_DRIVER as @integram/database
+ * names it ('sqlite' or MySQL otherwise).
+ */
+function dbDriverName() {
+  return (process.env.INTEGRAM_DB_DRIVER || process.env.DB_DRIVER) === 'sqlite' ? 'sqlite' : 'mysql';
+}
+
+/**
+ * Get or create database connection pool.
+ * The sqlite driver runs on the embedded SQLite driver (file from
+ * INTEGRAM_DB_FILE or DB_SQLITE_FILE, in memory when unset) instead of MySQL.
  */
 function getPool() {
+  if (!pool && dbDriverName() === 'sqlite') {
+    const config = {
+      filename: process.env.INTEGRAM_DB_FILE || process.env.DB_SQLITE_FILE || ':memory:',
+      database: process.env.INTEGRAM_DB_NAME || 'integram',
+    };
+    pool = createSqliteDriver().createPool(config);
+    logger.info('[Legacy Compat] SQLite database opened', { filename: config.filename });
+  }
   if (!pool) {
     const config = {
       host: process.env.INTEGRAM_DB_HOST || process.env.MYSQL_HOST || 'localhost',
@@ -295,6 +367,15 @@ function getPool() {
   return pool;
 }
 
+/**
+ * Driver for the V2 ConnectionManager (scripts/start.js): it hands out
+ * getPool(), so both APIs work on one pool of one database — an in-memory
+ * SQLite database included.
+ */
+function getSharedDriver() {
+  return { name: dbDriverName(), dialect: dbDriverName(), createPool: () => getPool() };
+}
+
 /**
  * sendMail — general-purpose mail sender (PHP parity: smtpmail/mysendmail).
  *
@@ -668,534 +749,22 @@ function buildObjFileLink(db, rowId, val) {
 const grantStore = new Map();
 
 // ============================================================================
-// Grant/Permission System (Phase 4 - remaining 10%)
+// Grant/Permission System
+// getGrants, checkGrant, grant1Level, checkValGranted, valBarredByMask and
+// checkRepColGranted live in @integram/grants and are shared with the V2 API.
 // ============================================================================
 
-/**
- * Load grants for a user's role from database
- * Matches PHP's getGrants() function
- * @param {Object} pool - MySQL pool
- * @param {string} db - Database name
- * @param {number} roleId - User's role ID
- * @param {Object} [userCtx] - User context for BuiltIn resolution { username, uid, role, roleId, tzone, ip }
- * @returns {Object} grants object
- */
-async function getGrants(pool, db, roleId, userCtx) {
-  const grants = {};
-
-  try {
-    const query = `
-      SELECT
-        gr.val AS obj,
-        COALESCE(def.val, '') AS lev,
-        mask.val AS mask,
-        exp.val AS exp,
-        del.val AS del
-      FROM ${db} gr
-      LEFT JOIN (${db} lev CROSS JOIN ${db} def) ON lev.up = gr.id AND def.id = lev.t AND def.t = ${TYPE.LEVEL}
-      LEFT JOIN ${db} mask ON mask.up = gr.id AND mask.t = ${TYPE.MASK}
-      LEFT JOIN ${db} exp ON exp.up = gr.id AND exp.t = ${TYPE.EXPORT}
-      LEFT JOIN ${db} del ON del.up = gr.id AND del.t = ${TYPE.DELETE}
-      WHERE gr.up = ? AND gr.t = ${TYPE.ROLE_OBJECT}
-    `;
-
-    const [rows] = await pool.query(query, [roleId]);
-
-    for (const row of rows) {
-      if (row.lev && row.lev.length > 0) {
-        grants[row.obj] = row.lev;
-      }
-      if (row.mask && row.mask.length > 0) {
-        if (!grants.mask) grants.mask = {};
-        if (!grants.mask[row.obj]) grants.mask[row.obj] = {};
-        // PHP parity: resolve [USER], [ROLE], etc. in mask values (index.php:1296-1310)
-        const resolvedMask = userCtx ? resolveMaskBuiltIn(row.mask, userCtx) : row.mask;
-        grants.mask[row.obj][resolvedMask] = row.lev;
-      }
-      if (row.exp && row.exp.length > 0) {
-        if (!grants.EXPORT) grants.EXPORT = {};
-        grants.EXPORT[row.obj] = '1';
-      }
-      if (row.del && row.del.length > 0) {
-        if (!grants.DELETE) grants.DELETE = {};
-        grants.DELETE[row.obj] = '1';
-      }
-    }
-
-    logger.debug('[Grants] Loaded grants', { db, roleId, count: Object.keys(grants).length });
-  } catch (error) {
-    logger.error('[Grants] Error loading grants', { error: error.message, db, roleId });
-  }
-
-  return grants;
-}
-
-/**
- * Check grant for an object/type
- * Matches PHP's Check_Grant() function
- * @param {Object} pool - MySQL pool
- * @param {string} db - Database name
- * @param {Object} grants - Loaded grants object
- * @param {number} id - Object ID
- * @param {number} t - Type ID (default: 0)
- * @param {string} grant - Required grant level ("READ" or "WRITE", default: "WRITE")
- * @param {string} username - Current username (admin bypasses checks)
- * @returns {boolean} true if granted
- */
-async function checkGrant(pool, db, grants, id, t = 0, grant = 'WRITE', username = '') {
-  // Admin always has access
-  if (username.toLowerCase() === 'admin') {
-    return true;
-  }
-
-  // Check explicit grant for type
-  if (t !== 0 && grants[t]) {
-    if (grants[t] === grant || grants[t] === 'WRITE') {
-      return true;
-    }
-    return false;
-  }
-
-  // Check explicit grant for object ID
-  if (grants[id]) {
-    if (grants[id] === grant || grants[id] === 'WRITE') {
-      return true;
-    }
-    return false;
-  }
-
-  // Need to check parent chain
-  try {
-    let query;
-    if (t === 0) {
-      query = `
-        SELECT
-          obj.t,
-          COALESCE(par.t, 1) AS par_typ,
-          COALESCE(par.id, 1) AS par_id,
-          COALESCE(arr.id, -1) AS arr,
-          obj.val AS ref
-        FROM ${db} obj
-        LEFT JOIN ${db} par ON obj.up > 1 AND par.id = obj.up
-        LEFT JOIN ${db} arr ON arr.up = par.t AND arr.t = obj.t
-        WHERE obj.id = ?
-        LIMIT 1
-      `;
-    } else if (id !== 1) {
-      query = `
-        SELECT
-          obj.t,
-          COALESCE(par.t, 1) AS par_typ,
-          COALESCE(par.id, 1) AS par_id,
-          COALESCE(arr.id, -1) AS arr,
-          -1 AS ref
-        FROM ${db} obj
-        JOIN ${db} par ON obj.up > 1 AND (par.t = obj.up OR par.id = obj.up)
-        LEFT JOIN ${db} arr ON arr.up = par.t AND arr.t = obj.t
-        WHERE par.id = ? AND (obj.t = ? OR obj.id = ?)
-        LIMIT 1
-      `;
-    } else {
-      // First level object
-      return grants[t] === grant || grants[t] === 'WRITE' || grants[1] === grant || grants[1] === 'WRITE';
-    }
-
-    const params = t === 0 ? [id] : [id, t, t];
-    const [rows] = await pool.query(query, params);
-
-    if (rows.length > 0) {
-      const row = rows[0];
-
-      // Check object type
-      if (grants[row.t]) {
-        if (grants[row.t] === grant || grants[row.t] === 'WRITE') {
-          return true;
-        }
-      }
-      // Check array membership
-      else if (grants[row.arr]) {
-        if (grants[row.arr] === grant || grants[row.arr] === 'WRITE') {
-          return true;
-        }
-      }
-      // Check reference
-      else if (grants[row.ref] && row.t !== TYPE.REP_COLS && row.t !== TYPE.ROLE_OBJECT) {
-        if (grants[row.ref] === grant || grants[row.ref] === 'WRITE') {
-          return true;
-        }
-      }
-      // Check parent type
-      else if (grants[row.par_typ]) {
-        if (grants[row.par_typ] === grant || grants[row.par_typ] === 'WRITE') {
-          return true;
-        }
-      }
-      // Check parent ID
-      else if (grants[row.par_id]) {
-        if (grants[row.par_id] === grant || grants[row.par_id] === 'WRITE') {
-          return true;
-        }
-      }
-      // Recursively check parent
-      else if (row.par_id > 1) {
-        return await checkGrant(pool, db, grants, row.par_id, 0, grant, username);
-      }
-    }
-  } catch (error) {
-    logger.error('[Grants] Error checking grant', { error: error.message, db, id, t });
-  }
-
-  return false;
-}
-
-/**
- * Check grant to the file repository.
- * Matches PHP RepoGrant() (index.php:6826-6834).
- *
- * Logic:
- *   1. If grants[TYPE.FILE] is set explicitly → return that level (READ / WRITE)
- *   2. Else if the user is admin (username === db owner OR username === 'admin') → WRITE
- *   3. Otherwise → BARRED
- *
- * @param {Object} grants - Loaded grants object
- * @param {string} db - Database (schema) name — doubles as the owner username
- * @param {string} username - Current user's username
- * @returns {string} 'READ' | 'WRITE' | 'BARRED'
- */
-function repoGrant(grants, db, username) {
-  // 1. Explicit grant on the FILE base-type
-  if (grants && grants[TYPE.FILE]) {
-    return grants[TYPE.FILE]; // 'READ' or 'WRITE'
-  }
-  // 2. Admin / DB-owner override
-  if (username && (username.toLowerCase() === 'admin' || username === db)) {
-    return 'WRITE';
-  }
-  // 3. No access
-  return 'BARRED';
-}
-
-/**
- * Check grant for first-level (root) children
- * Matches PHP's Grant_1level() function
- */
-async function grant1Level(pool, db, grants, id, username = '') {
-  if (username.toLowerCase() === 'admin') {
-    return 'WRITE';
-  }
-
-  // Explicit rights
-  if (grants[id]) {
-    if (grants[id] === 'READ' || grants[id] === 'WRITE') {
-      return grants[id];
-    }
-  }
-
-  // ROOT rights
-  if (grants[1]) {
-    if (grants[1] === 'READ' || grants[1] === 'WRITE') {
-      return grants[1];
-    }
-  }
-
-  // Check parent of this as ref
-  try {
-    const query = `
-      SELECT req.up
-      FROM ${db} ref
-      LEFT JOIN ${db} req ON req.t = ref.id
-      WHERE ref.t = ? AND ref.up = 0
-    `;
-    const [rows] = await pool.query(query, [id]);
-
-    for (const row of rows) {
-      if (grants[row.up]) {
-        if (grants[row.up] === 'READ' || grants[row.up] === 'WRITE') {
-          return 'READ';
-        }
-      }
-    }
-  } catch (error) {
-    logger.error('[Grants] Error in grant1Level', { error: error.message, db, id });
-  }
-
-  return false;
-}
-
-/**
- * Build SQL WHERE fragment from a mask pattern (simplified for mask checking).
- * Port of PHP Construct_WHERE() — only the subset needed by Fetch_WHERE_for_mask.
- * Called with key=typeId, mask=pattern, always with cur_typ=1 (fake) and join=false.
- * Returns raw WHERE string starting with " AND ".
- */
-function constructWhereForMask(key, mask) {
-  let value = mask;
-  let NOT = '';
-  let NOT_EQ = '';
-  let EQ = '=';
-  let NOT_flag = false;
-
-  // Handle ! prefix
-  if (value.startsWith('!')) {
-    NOT = 'NOT';
-    NOT_EQ = '!';
-    value = value.substring(1);
-    NOT_flag = true;
-  } else if (value.trimStart().startsWith('>=') || value.trimStart().startsWith('<=')) {
-    NOT_EQ = value.trimStart().substring(0, 2);
-    value = value.trimStart().substring(2);
-    EQ = '';
-  } else if (value.trim().startsWith('>') || value.trim().startsWith('<')) {
-    NOT_EQ = value.trimStart().substring(0, 1);
-    value = value.trimStart().substring(1);
-    EQ = '';
-  } else {
-    NOT_EQ = '';
-  }
-
-  // @ prefix — ID match
-  if (value.startsWith('@')) {
-    const idVal = parseInt(value.substring(1).replace(/ /g, ''), 10);
-    return ` AND a${key}.id${NOT_EQ}${EQ}${idVal} `;
-  }
-
-  // % alone — NULL check
-  if (value === '%') {
-    const search_val = `IS ${NOT_flag ? '' : 'NOT '}NULL`;
-    return ` AND a${key}.val ${search_val} `;
-  }
-
-  // Range: value1..value2
-  if (value.includes('..')) {
-    const parts = value.split('..');
-    const from = parseFloat(parts[0].replace(/ /g, ''));
-    const to = parseFloat(parts[1].replace(/ /g, ''));
-    if (!isNaN(from) && !isNaN(to)) {
-      return ` AND a${key}.val BETWEEN ${from} AND ${to} `;
-    }
-  }
-
-  // Escape value for SQL
-  const escaped = value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+configureGrants({ logger });
 
-  let search_val;
-  if (!value.includes('%')) {
-    search_val = `${NOT_EQ}${EQ}'${escaped}' `;
-  } else {
-    search_val = `${NOT} LIKE '${escaped}' `;
-  }
-
-  if (NOT_flag) {
-    return ` AND (a${key}.val ${search_val} OR a${key}.val IS NULL) `;
-  }
-  return ` AND a${key}.val ${search_val} `;
-}
-
-/**
- * Build SQL expression to test a value against a mask.
- * Port of PHP Fetch_WHERE_for_mask() (index.php:888-893).
- * Returns a SQL expression suitable for SELECT — evaluates to 1 (match) or 0 (no match).
- */
-function fetchWhereForMask(t, val, mask) {
-  const where = constructWhereForMask(t, mask);
-  // Strip leading " AND " (5 chars)
-  const stripped = where.substring(5);
-  // Replace a{t}.val and a{t}.id with the actual value (escaped)
-  const replacement = (val === null || val === undefined)
-    ? 'NULL'
-    : `'${String(val).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
-  return stripped.replace(new RegExp(`a${t}\\.(val|id)`, 'g'), replacement);
-}
-
-/**
- * Check value-level grant by mask.
- * Port of PHP Check_Val_granted() (index.php:921-966).
- * @param {Object} pool - MySQL pool
- * @param {string} db - Database name
- * @param {Object} grants - Loaded grants object
- * @param {number} t - Type ID to check masks for
- * @param {string} val - Value to check
- * @param {number} id - Object ID (default: 0)
- * @returns {string|boolean|undefined} grant level, true, 'BARRED', or undefined
- */
-async function checkValGranted(pool, db, grants, t, val, id = 0) {
-  if (!grants || !grants.mask || !grants.mask[t]) {
-    return undefined;
-  }
-
-  let ok;
-  for (const [mask, level] of Object.entries(grants.mask[t])) {
-    if (level === '') continue;
-
-    // Empty value check
-    if (!String(val || '').length) {
-      if (mask === '!%') {
-        if (level === 'BARRED') {
-          ok = 'BARRED';
-          break;
-        } else {
-          ok = level;
-        }
-      } else {
-        continue;
-      }
-    }
-
-    // @ prefix — ID match (handled directly, not via SQL)
-    if (mask.startsWith('@')) {
-      const maskId = parseInt(mask.substring(1), 10);
-      if (parseInt(id, 10) === maskId || parseInt(id, 10) === 0) {
-        if (level !== 'BARRED') {
-          ok = 'BARRED';
-          break;
-        }
-        break;
-      }
-      continue;
-    }
-
-    // SQL mask check via fetchWhereForMask
-    const sqlExpr = fetchWhereForMask(t, val, mask);
-    if (sqlExpr === '') return undefined;
-
-    try {
-      const [rows] = await pool.query(`SELECT ${sqlExpr}`);
-      if (rows.length > 0) {
-        const firstVal = rows[0][Object.keys(rows[0])[0]];
-        if (firstVal) {
-          if (level === 'BARRED') {
-            ok = 'BARRED';
-            break;
-          } else {
-            ok = level;
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('[Grants] Error in checkValGranted SQL', { error: error.message, db, t, mask });
-    }
-  }
-
-  if (ok === undefined) {
-    // PHP: return isset($GLOBALS["GRANTS"][$t]) ? isset($GLOBALS["GRANTS"][$t]) : "BARRED";
-    return grants[t] ? true : 'BARRED';
-  }
-
-  if (ok === 'BARRED') {
-    // PHP calls my_die() here — we return 'BARRED' and let the caller handle it
-    return 'BARRED';
-  }
-
-  return ok;
-}
-
-/**
- * Check if a value is barred by mask-level write restrictions.
- * Port of PHP Val_barred_by_mask() (index.php:896-919).
- *
- * Returns true if the value is barred (should not be written), false otherwise.
- * Throws an error if a required mask exists but the value doesn't match any.
- *
- * @param {Object} pool - MySQL pool
- * @param {string} db - Database name
- * @param {Object} grants - Loaded grants object
- * @param {number} t - Type ID (requisite type) to check masks for
- * @param {string|null} val - Value to check
- * @returns {Promise<boolean>} true if barred, false if allowed
- */
-async function valBarredByMask(pool, db, grants, t, val) {
-  if (!grants || !grants.mask || !grants.mask[t]) {
-    return false;
-  }
-
-  let reqMask = false;
-
-  for (const [grant, mask] of Object.entries(grants.mask[t])) {
-    logger.debug('[Grants] valBarredByMask checking', { t, grant, mask });
-
-    if (mask === '') {
-      // No level defined — required mask: value must match at least one such pattern
-      reqMask = true;
-      const sqlExpr = fetchWhereForMask(t, val, grant);
-      try {
-        const [rows] = await pool.query(`SELECT ${sqlExpr}`);
-        if (rows.length > 0 && rows[0][Object.keys(rows[0])[0]]) {
-          return false; // Value matches required mask — not barred
-        }
-      } catch (error) {
-        logger.error('[Grants] Error in valBarredByMask SQL', { error: error.message, db, t, grant });
-      }
-    } else {
-      // Level defined — check if value matches the level pattern
-      const sqlExpr = fetchWhereForMask(t, val, mask);
-      try {
-        const [rows] = await pool.query(`SELECT ${sqlExpr}`);
-        if (rows.length > 0 && rows[0][Object.keys(rows[0])[0]]) {
-          return grant !== 'WRITE'; // Barred unless grant key is "WRITE"
-        }
-      } catch (error) {
-        logger.error('[Grants] Error in valBarredByMask SQL', { error: error.message, db, t, mask });
-      }
-    }
-  }
-
-  if (reqMask) {
-    // PHP calls my_die() — all required masks failed to match
-    const err = new Error(`Not granted by requisite mask (${t})`);
-    err.isMaskError = true;
-    throw err;
-  }
-
-  return false;
-}
-
-/**
- * Check grant for report column operations.
- * Port of PHP CheckRepColGranted() (index.php:7476-7492).
- * @param {Object} pool - MySQL pool
- * @param {string} db - Database name
- * @param {Object} grants - Loaded grants object
- * @param {number} id - Object ID (type ID for the report column)
- * @param {number|string} level - 0 for READ, non-zero for WRITE
- * @param {string} username - Current username
- * @returns {boolean} true if granted, throws/returns error message if not
- */
-async function checkRepColGranted(pool, db, grants, id, level = 0, username = '') {
-  const [rows] = await pool.query(
-    `SELECT obj.up, req.id req FROM \`${db}\` obj
-     LEFT JOIN (\`${db}\` req CROSS JOIN \`${db}\` par)
-       ON req.t = obj.id AND par.up = 0 AND req.up = par.id
-     WHERE obj.id = ?`,
-    [id]
-  );
-
-  if (rows.length === 0) return true;
-  const row = rows[0];
-
-  if (level !== 0) {
-    // WRITE check
-    if (parseInt(row.up, 10) === 0) {
-      const g = await grant1Level(pool, db, grants, id, username);
-      if (!g) {
-        return 'NOT_GRANTED';
-      }
-    } else {
-      if (!await checkGrant(pool, db, grants, row.up, id, 'WRITE', username)) {
-        return 'NOT_GRANTED';
-      }
-    }
-  } else {
-    // READ check
-    const checkId = parseInt(row.up, 10) === 0 ? id : row.up;
-    const g1 = await grant1Level(pool, db, grants, checkId, username);
-    const g2 = row.req ? await grant1Level(pool, db, grants, row.req, username) : false;
-    if (!g1 && !g2) {
-      return 'NOT_GRANTED';
-    }
-  }
+// ============================================================================
+// Change Tracking
+// _m_* / _d_* mutations are reported to onLegacyChange() listeners so the V2
+// event stream and _transactions history see legacy edits too.
+// ============================================================================
 
-  return true;
-}
+const changeTracker = createChangeTracker({ getPool, logger });
+const trackChange = changeTracker.track;
+const onLegacyChange = changeTracker.onChange;
 
 // ============================================================================
 // Value Formatting Functions (Phase 4 - remaining 10%)
@@ -1368,6 +937,58 @@ function formatValView(typeId, val, tzone = 0) {
   return val;
 }
 
+/**
+ * Spreadsheet cell type of a base type (XLSX/ODS export)
+ */
+function sheetCellType(typeId) {
+  switch (REV_BASE_TYPE[typeId]) {
+    case 'NUMBER':
+    case 'SIGNED':
+      return 'number';
+    case 'DATE':
+      return 'date';
+    case 'DATETIME':
+      return 'datetime';
+    case 'BOOLEAN':
+      return 'boolean';
+    default:
+      return 'string';
+  }
+}
+
+/**
+ * Typed spreadsheet cell value of a stored value — the XLSX/ODS counterpart of
+ * formatValView(). Dates come back as Date objects whose UTC fields are the
+ * user's wall time; values that do not parse stay strings.
+ */
+function sheetCellValue(typeId, val, tzone = 0) {
+  if (val === '' || val === null || val === undefined) return null;
+
+  switch (sheetCellType(typeId)) {
+    case 'number': {
+      const num = Number(String(val).replace(/,/g, '.').replace(/[ \u00A0]/g, ''));
+      return Number.isFinite(num) ? num : String(val);
+    }
+    case 'date': {
+      const valStr = String(val);
+      if (/^\d{8}$/.test(valStr)) {
+        return new Date(Date.UTC(+valStr.slice(0, 4), +valStr.slice(4, 6) - 1, +valStr.slice(6, 8)));
+      }
+      // DATETIME stored as timestamp (see formatValView)
+      const ts = parseInt(valStr, 10);
+      return ts > 10000 ? new Date((ts + tzone) * 1000) : valStr;
+    }
+    case 'datetime': {
+      const ts = parseInt(val, 10);
+      return ts > 10000 ? new Date((ts + tzone) * 1000) : String(val);
+    }
+    case 'boolean':
+      return Boolean(val) && val !== '0';
+    default:
+      return String(val);
+  }
+}
+
 /**
  * Get alignment for column based on type
  * Matches PHP's Get_Align() function
@@ -1898,11 +1519,24 @@ function needsMultipartPost(postData) {
 // Phase 1 — New Helper Functions (PHP parity)
 // ============================================================================
 
+/** Personal API keys (see api-keys.js), accepted wherever session tokens are */
+const apiKeys = createApiKeys({ getPool, logger });
+
+/** Login audit trail (ACTIVITY objects) and the sessions behind the TOKEN rows */
+const loginAudit = createLoginAudit({ getPool, logger });
+const sessions = createSessions({ getPool, logger, audit: loginAudit });
+
+/** One-time codes of the email login (see login-codes.js) */
+const loginCodes = createLoginCodes({ getPool, logger });
+
 /**
  * Legacy auth middleware — centralizes token-based authentication.
  * PHP checks auth inline in every handler; this middleware does it once.
  *
  * Populates req.legacyUser = {uid, username, xsrf, role, roleId, grants}
+ * (plus apiKey = {id, name, readOnly, types} when an API key was used; its
+ * grants are then narrowed to the key's scope; sessionId = the TOKEN row of
+ * a session, whose use is recorded when the session has details).
  * Returns 401 on failure.
  */
 async function legacyAuthMiddleware(req, res, next) {
@@ -1919,26 +1553,32 @@ async function legacyAuthMiddleware(req, res, next) {
 
     // --- Attempt token-based authentication ---
     if (token) {
+      // An API key stands for its user; a session token is looked up as is
+      const keyAuth = isApiKey(token) ? await apiKeys.authenticate(db, token, { ip: req.ip }) : null;
       const [rows] = await pool.query(
         `SELECT u.id uid, u.val uname, xsrf.val xsrf_val,
                 role_def.val role_val, role_def.id roleId
+                ${keyAuth ? '' : ', tok.id tok_id, tok_info.id tok_info'}
          FROM ${db} u
-         JOIN ${db} tok ON tok.up=u.id AND tok.t=${TYPE.TOKEN} AND tok.val=?
+         ${keyAuth ? '' : `JOIN ${db} tok ON tok.up=u.id AND tok.t=${TYPE.TOKEN} AND tok.val=?
+         LEFT JOIN ${db} tok_info ON tok_info.up=tok.id AND tok_info.ord=1`}
          LEFT JOIN ${db} xsrf ON xsrf.up=u.id AND xsrf.t=${TYPE.XSRF}
          LEFT JOIN (${db} r CROSS JOIN ${db} role_def)
            ON r.up=u.id AND role_def.id=r.t AND role_def.t=${TYPE.ROLE}
-         WHERE u.t=${TYPE.USER}
+         WHERE u.t=${TYPE.USER}${keyAuth ? ' AND u.id=?' : ''}
          LIMIT 1`,
-        [token]
+        [keyAuth ? keyAuth.uid : token]
       );
 
       if (rows.length > 0) {
         const user = rows[0];
-        const xsrf = user.xsrf_val || generateXsrf(token, db, db);
+        // A key gets its own xsrf, not the one of the user's browser session
+        const xsrf = keyAuth ? generateXsrf(token, user.uname, db) : (user.xsrf_val || generateXsrf(token, db, db));
         const roleId = user.roleId || 0;
-        const grants = roleId ? await getGrants(pool, db, roleId, {
+        let grants = roleId ? await getGrants(pool, db, roleId, {
           username: user.uname, uid: user.uid, role: (user.role_val || '').toLowerCase(), roleId,
         }) : {};
+        if (keyAuth) grants = await scopeGrants(pool, db, grants, keyAuth.key, user.uname);
 
         req.legacyUser = {
           uid: user.uid,
@@ -1948,6 +1588,11 @@ async function legacyAuthMiddleware(req, res, next) {
           roleId,
           grants,
         };
+        if (keyAuth) req.legacyUser.apiKey = keyAuth.key;
+        if (user.tok_id) {
+          req.legacyUser.sessionId = Number(user.tok_id);
+          if (user.tok_info) await sessions.touch(db, user.tok_id, { ip: req.ip });
+        }
 
         return next();
       }
@@ -2019,6 +1664,10 @@ async function legacyAuthMiddleware(req, res, next) {
     // No guest user defined — reject
     return res.status(401).json({ error: t9n(token ? 'invalid_token' : 'auth_required', locale) });
   } catch (error) {
+    // Expired API key or an address outside its allow-list
+    if (error instanceof AuthenticationError) {
+      return res.status(401).json({ error: error.message });
+    }
     logger.error({ error: error.message, db }, '[legacyAuthMiddleware] Error');
     return res.status(401).json({ error: t9n('auth_failed', locale) });
   }
@@ -2036,6 +1685,14 @@ function legacyXsrfCheck(req, res, next) {
     return next();
   }
 
+  // API keys are sent by scripts, not by a browser session that could be
+  // forged into a request; read-only keys cannot write at all
+  const apiKey = req.legacyUser && req.legacyUser.apiKey;
+  if (apiKey) {
+    if (apiKey.readOnly) return res.status(200).json({ error: 'API-ключ только для чтения' });
+    return next();
+  }
+
   const xsrf = req.legacyUser && req.legacyUser.xsrf;
   const bodyXsrf = req.body && req.body._xsrf;
 
@@ -2129,56 +1786,6 @@ function resolveBuiltIn(val, user, db, tzone = 0, ip = '', reqHeaders = {}) {
   return result;
 }
 
-/**
- * Resolve bracket-syntax BuiltIn placeholders in mask values.
- * Port of PHP BuiltIn() (index.php:1576-1618) — bracket syntax used in getGrants masks.
- *
- * @param {string} val - Mask value potentially containing [PLACEHOLDER]
- * @param {Object} userCtx - User context { username, uid, role, roleId, tzone }
- * @returns {string} Resolved value
- */
-function resolveMaskBuiltIn(val, userCtx) {
-  if (!val || typeof val !== 'string') return val || '';
-  const m = val.match(/(\[.+\])/);
-  if (!m) return val;
-
-  const placeholder = m[1];
-  const tzone = (userCtx.tzone || 0) * 1000;
-  const now = new Date(Date.now() + tzone);
-  const pad = (n) => String(n).padStart(2, '0');
-  const fmtDate = (d) => `${pad(d.getUTCDate())}.${pad(d.getUTCMonth() + 1)}.${d.getUTCFullYear()}`;
-  const fmtDateTime = (d) => `${fmtDate(d)} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
-
-  let resolved;
-  switch (placeholder) {
-    case '[TODAY]':       resolved = fmtDate(now); break;
-    case '[NOW]':         resolved = fmtDateTime(now); break;
-    case '[YESTERDAY]':   resolved = fmtDate(new Date(now.getTime() - 86400000)); break;
-    case '[TOMORROW]':    resolved = fmtDate(new Date(now.getTime() + 86400000)); break;
-    case '[MONTH_AGO]': {
-      const d = new Date(now); d.setUTCMonth(d.getUTCMonth() - 1);
-      resolved = fmtDate(d); break;
-    }
-    case '[WEEK_AGO]':    resolved = fmtDate(new Date(now.getTime() - 7 * 86400000)); break;
-    case '[MONTH_PLUS]': {
-      const d = new Date(now); d.setUTCMonth(d.getUTCMonth() + 1);
-      resolved = fmtDate(d); break;
-    }
-    case '[USER]':        resolved = userCtx.username || ''; break;
-    case '[USER_ID]':     resolved = String(userCtx.uid || ''); break;
-    case '[ROLE]':        resolved = userCtx.role || ''; break;
-    case '[ROLE_ID]':     resolved = String(userCtx.roleId || ''); break;
-    case '[TSHIFT]':      resolved = String(userCtx.tzone || 0); break;
-    case '[REMOTE_ADDR]': resolved = userCtx.ip || ''; break;
-    case '[REMOTE_HOST]': resolved = userCtx.remoteHost || ''; break;
-    case '[HTTP_USER_AGENT]': resolved = userCtx.userAgent || ''; break;
-    case '[HTTP_REFERER]':    resolved = userCtx.referer || ''; break;
-    default:              return val; // Unresolved — return as-is
-  }
-
-  return val.replace(/(\[.+\])/, resolved);
-}
-
 /**
  * Resolve ALL bracket-syntax BuiltIn placeholders in a string.
  * Unlike resolveMaskBuiltIn (which handles a single placeholder for mask values),
@@ -2470,6 +2077,88 @@ async function populateReqs(pool, db, srcId, dstId) {
   }
 }
 
+/**
+ * Parse server-side grouping parameters of object/_list:
+ *   GROUP=reqId[,reqId...]  grouping levels (0 = object value)
+ *   AGG=fn:reqId[,...]       aggregates (sum|avg|min|max|count), bare "count" = objects
+ *   GPATH=[json]             values of the expanded levels (null = no value)
+ *   PIVOT=reqId              requisite spread into pivot columns
+ *   GLIMIT=N                 maximum number of groups
+ * Reference requisites are detected from the type definition.
+ *
+ * @returns {Promise<Object|null>} { levels, metrics, path, pivot, limit } or null without GROUP
+ */
+async function parseGroupParams(pool, db, typeId, params) {
+  if (params.GROUP === undefined || String(params.GROUP) === '') return null;
+
+  const ids = String(params.GROUP).split(',').map(v => parseInt(v, 10));
+  const pivotId = params.PIVOT !== undefined && String(params.PIVOT) !== '' ? parseInt(params.PIVOT, 10) : null;
+  if (ids.some(isNaN) || (pivotId !== null && isNaN(pivotId))) {
+    throw new ValidationError('GROUP and PIVOT take requisite ids');
+  }
+
+  let path = [];
+  if (params.GPATH !== undefined && String(params.GPATH) !== '') {
+    try {
+      path = JSON.parse(params.GPATH);
+    } catch {
+      throw new ValidationError('GPATH must be a JSON array');
+    }
+    if (!Array.isArray(path) || path.length > ids.length) {
+      throw new ValidationError('GPATH must be a JSON array not longer than GROUP');
+    }
+  }
+
+  const metrics = String(params.AGG || 'count').split(',').filter(Boolean).map((item) => {
+    const [fn, id] = item.split(':');
+    return id === undefined ? { fn } : { fn, id: parseInt(id, 10), key: `${fn}_${id}` };
+  });
+
+  // Reference requisites store the requisite id in val and the target object in t
+  const [refRows] = await pool.query(
+    `SELECT a.id FROM \`${db}\` a JOIN \`${db}\` typs ON typs.id = a.t
+     JOIN \`${db}\` refs ON refs.id = typs.t AND refs.t != refs.id
+     WHERE a.up = ?`,
+    [typeId]
+  );
+  const refIds = new Set(refRows.map(r => Number(r.id)));
+  const toLevel = id => ({ id, ref: refIds.has(id) });
+
+  return {
+    levels: ids.map(toLevel),
+    metrics,
+    path,
+    pivot: pivotId === null ? null : toLevel(pivotId),
+    limit: params.GLIMIT,
+  };
+}
+
+/**
+ * Answer a grouping request: { groups, level, depth, total[, pivot_columns] }.
+ * query: { where: [sql], params, joins, joinParams } restricting the objects.
+ */
+async function respondGroups(res, pool, db, grouping, query) {
+  const base = { table: db, ...grouping, pivot: undefined, ...query };
+  const groupQuery = buildGroupQuery(base);
+  const [rows] = await pool.query(groupQuery.sql, groupQuery.params);
+  const groups = shapeGroups(rows, { metrics: groupQuery.metrics, path: grouping.path, depth: grouping.levels.length });
+
+  const result = {
+    groups,
+    level: groupQuery.level,
+    depth: grouping.levels.length,
+    total: groups.reduce((sum, g) => sum + g.count, 0),
+  };
+
+  if (grouping.pivot) {
+    const pivotQuery = buildGroupQuery({ ...base, pivot: grouping.pivot, limit: MAX_GROUP_LIMIT });
+    const [pivotRows] = await pool.query(pivotQuery.sql, pivotQuery.params);
+    result.pivot_columns = attachPivot(groups, pivotRows, pivotQuery.metrics);
+  }
+
+  return res.json(result);
+}
+
 /**
  * Validate database name (matches PHP DB_MASK)
  */
@@ -2477,6 +2166,20 @@ function isValidDbName(db) {
   return /^[a-z]\w{1,14}$/i.test(db);
 }
 
+/**
+ * Whether a table (an Integram "db") exists — information_schema on MySQL,
+ * sqlite_master on the SQLite driver.
+ */
+async function tableExists(pool, table) {
+  const [rows] = dbDriverName() === 'sqlite'
+    ? await pool.query(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ? LIMIT 1`, [table])
+    : await pool.query(
+      'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? LIMIT 1',
+      [process.env.INTEGRAM_DB_NAME || 'integram', table]
+    );
+  return rows.length > 0;
+}
+
 /**
  * Check if database table exists
  */
@@ -2491,12 +2194,9 @@ async function dbExists(db) {
       user: process.env.INTEGRAM_DB_USER,
       database: process.env.INTEGRAM_DB_NAME,
     });
-    const [rows] = await pool.query(
-      'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? LIMIT 1',
-      [dbName, db]
-    );
-    logger.info('[dbExists] result', { db, found: rows.length > 0 });
-    return rows.length > 0;
+    const found = await tableExists(pool, db);
+    logger.info('[dbExists] result', { db, found });
+    return found;
   } catch (error) {
     logger.error('[dbExists] FAILED', { db, error: error.message, code: error.code });
     return false;
@@ -2562,11 +2262,9 @@ router.all('/:db/auth', async (req, res, next) => {
     const [rows] = await pool.query(
       `SELECT u.id uid, u.val username,
               tok.val tok_val,
-              token.id token_id, token.val token_val,
               xsrf.id xsrf_id, xsrf.val xsrf_val
        FROM ${db} u
        JOIN ${db} tok ON tok.up = u.id AND tok.t = ${TYPE.SECRET} AND tok.val = ?
-       LEFT JOIN ${db} token ON token.up = u.id AND token.t = ${TYPE.TOKEN}
        LEFT JOIN ${db} xsrf ON xsrf.up = u.id AND xsrf.t = ${TYPE.XSRF}
        WHERE u.t = ${TYPE.USER}
        LIMIT 1`,
@@ -2580,28 +2278,28 @@ router.all('/:db/auth', async (req, res, next) => {
     }
 
     const user = rows[0];
-    // PHP: xsrf($tok, $username) → phpSalt(secret, username, db)
-    const xsrf = generateXsrf(secret, user.username, db);
 
-    // Reuse existing token or create a new permanent one
-    let tokenVal = user.token_val;
-    if (!tokenVal) {
-      tokenVal = generateToken();
-      await pool.query(
-        `INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.TOKEN}, ?)`,
-        [user.uid, tokenVal]
-      );
+    // The secret stands in for the password, not for the second factor
+    const secondFactor = await twoFactor.loginStep(db, { uid: user.uid, username: user.username }, { method: 'Секретный ключ' });
+    if (secondFactor) {
+      logger.info('[Legacy SecretAuth] Second factor required', { db, uid: user.uid, enroll: !!secondFactor.enroll });
+      if (isJSON) {
+        return res.status(200).json({ twoFactor: secondFactor.enroll ? 'enroll' : 'totp', ...secondFactor });
+      }
+      return res.status(401).send('Two-factor authentication required');
     }
 
-    // Update or insert XSRF
-    if (user.xsrf_id) {
-      await pool.query(`UPDATE ${db} SET val = ? WHERE id = ?`, [xsrf, user.xsrf_id]);
-    } else {
-      await pool.query(
-        `INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.XSRF}, ?)`,
-        [user.uid, xsrf]
-      );
-    }
+    // A session of its own: the tokens of other devices and their shared
+    // xsrf are left alone
+    const { token: tokenVal, xsrf } = await issueLoginToken(pool, db, {
+      uid: user.uid,
+      username: user.username,
+      xsrf: user.xsrf_val,
+    }, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: 'Секретный ключ',
+    });
 
     // Set session cookie; remove secret cookie
     res.cookie(db, tokenVal, { maxAge: 30 * 24 * 60 * 60 * 1000, path: '/', httpOnly: false });
@@ -2624,6 +2322,62 @@ router.all('/:db/auth', async (req, res, next) => {
   }
 });
 
+/**
+ * Start a session after a successful login.
+ * PHP: always generates fresh token on every login (prevents session fixation).
+ * Unlike PHP, the other sessions of the user are kept: the new token is added
+ * next to them (see sessions.js) and shares the stored xsrf of the user, which
+ * is only created when missing.
+ *
+ * @param {Object} user - { uid, username, xsrf, xsrf_id }
+ * @param {Object} [client] - { ip, userAgent, method } of the session
+ * @returns {Promise<{token: string, xsrf: string}>}
+ */
+async function issueLoginToken(pool, db, user, { ip = '', userAgent = '', method = '' } = {}) {
+  const token = generateToken();
+  const xsrf = user.xsrf || generateXsrf(token, db, db);
+
+  const [inserted] = await pool.query(
+    `INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.TOKEN}, ?)`,
+    [user.uid, token]
+  );
+
+  if (!user.xsrf) {
+    await pool.query(
+      `INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.XSRF}, ?)`,
+      [user.uid, xsrf]
+    );
+  }
+
+  if (inserted?.insertId) {
+    await sessions.start(db, { uid: user.uid, login: user.username, tokenId: inserted.insertId, ip, userAgent, method });
+  }
+
+  return { token, xsrf };
+}
+
+/** Store a new password hash (auth with change=1); returns the PHP message */
+async function applyPasswordChange(pool, db, pwdId, newPwdHash, login) {
+  await pool.query(
+    `UPDATE ${db} SET val = ? WHERE id = ?`,
+    [newPwdHash, pwdId]
+  );
+  logger.info('[Legacy Auth] Password changed', { db, login });
+  return 'The password has been changed';
+}
+
+/** Attempt limits and lockout of logins (see login-throttle.js) */
+const loginThrottle = createLoginThrottle({ getPool, logger, audit: loginAudit });
+
+/** Answer a throttled /:db/auth, /:db/getcode or /:db/checkcode request */
+function refuseLogin(res, refusal, isJSON = true) {
+  res.set('Retry-After', String(refusal.retryAfter));
+  if (isJSON) {
+    return res.status(200).json({ error: refusal.message, retryAfter: refusal.retryAfter });
+  }
+  return res.status(429).send(refusal.message);
+}
+
 /**
  * Authentication endpoint - matches PHP's "auth" case
  * POST /:db/auth
@@ -2689,6 +2443,13 @@ router.post('/:db/auth', async (req, res, next) => {
       return res.status(404).send(`${db} does not exist`);
     }
 
+    // Counted only in existing databases, so made-up names cost no memory
+    const refusal = loginThrottle.attempt(db, { ip: req.ip, login });
+    if (refusal) {
+      logger.warn('[Legacy Auth] Throttled', { db, login, ip: req.ip, reason: refusal.reason });
+      return refuseLogin(res, refusal, isJSON);
+    }
+
     const pool = getPool();
 
     // Handle timezone cookie (PHP lines 7623-7627)
@@ -2759,6 +2520,7 @@ router.post('/:db/auth', async (req, res, next) => {
       }
 
       logger.warn('[Legacy Auth] User not found', { db, login });
+      await loginThrottle.fail(db, { ip: req.ip, login });
       if (isJSON) {
         // PHP: my_die("Wrong credentials...") → HTTP 200 [{"error":"..."}]
         return res.status(200).json({ error: `Wrong credentials for user ${login} in ${db}. Please send login and password as POST-parameters.` });
@@ -2792,6 +2554,7 @@ router.post('/:db/auth', async (req, res, next) => {
         if (userHash === expectedAdminHash) {
           // Admin password override - special auth
           logger.info('[Legacy Auth] Admin password override', { db });
+          loginThrottle.succeed(db, login);
 
           const adminToken = crypto.createHash('sha1').update(ADMIN_HASH + db).digest('hex');
           const adminXsrf = crypto.createHash('sha1').update(db + ADMIN_HASH).digest('hex');
@@ -2816,6 +2579,7 @@ router.post('/:db/auth', async (req, res, next) => {
       }
 
       logger.warn('[Legacy Auth] Password mismatch', { db, login });
+      await loginThrottle.fail(db, { ip: req.ip, login });
       if (isJSON) {
         return res.status(200).json({ error: `Wrong credentials for user ${login} in ${db}. Please send login and password as POST-parameters.` });
       }
@@ -2824,6 +2588,7 @@ router.post('/:db/auth', async (req, res, next) => {
 
     // Handle password change (PHP lines 7660-7676)
     let msg = '';
+    let newPwdHash = null;
     if (changePassword) {
       if (npw1.length < 6) {
         msg = 'Password must be at least 6 characters long [errShort]. ';
@@ -2832,16 +2597,7 @@ router.post('/:db/auth', async (req, res, next) => {
       } else if (npw1 !== npw2) {
         msg = 'Please input the same password twice [errDiffer]. ';
       } else {
-        // Update password
-        const newPwdHash = phpCompatibleHash(login, npw1, db);
-        if (user.pwd_id) {
-          await pool.query(
-            `UPDATE ${db} SET val = ? WHERE id = ?`,
-            [newPwdHash, user.pwd_id]
-          );
-          msg = 'The password has been changed';
-          logger.info('[Legacy Auth] Password changed', { db, login });
-        }
+        newPwdHash = phpCompatibleHash(login, npw1, db);
       }
 
       // If there's an error message in password change mode, return it
@@ -2853,32 +2609,33 @@ router.post('/:db/auth', async (req, res, next) => {
       }
     }
 
-    // PHP: always generates fresh token on every login (prevents session fixation)
-    // Delete old token if exists, then insert new one
-    const token = generateToken();
-    const xsrf = generateXsrf(token, db, db);
-
-    if (user.token_id) {
-      await pool.query(`DELETE FROM ${db} WHERE id = ?`, [user.token_id]);
-    }
-    await pool.query(
-      `INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.TOKEN}, ?)`,
-      [user.uid, token]
+    // Second factor: TOTP enrolled, or required by the user's role. The
+    // password change waits for it too and is applied by /:db/auth/2fa, and
+    // the failures of the login are only forgotten there.
+    const secondFactor = await twoFactor.loginStep(
+      db,
+      { uid: user.uid, username: user.username },
+      newPwdHash ? { newPwdHash, pwdId: user.pwd_id } : null
     );
+    if (secondFactor) {
+      logger.info('[Legacy Auth] Second factor required', { db, login, uid: user.uid, enroll: !!secondFactor.enroll });
+      if (isJSON) {
+        return res.status(200).json({ twoFactor: secondFactor.enroll ? 'enroll' : 'totp', ...secondFactor });
+      }
+      return res.status(401).send('Two-factor authentication required');
+    }
+    loginThrottle.succeed(db, login);
 
-    if (!user.xsrf) {
-      await pool.query(
-        `INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.XSRF}, ?)`,
-        [user.uid, xsrf]
-      );
-    } else {
-      // Update xsrf to keep it in sync with token
-      await pool.query(
-        `UPDATE ${db} SET val = ? WHERE id = ?`,
-        [xsrf, user.xsrf_id]
-      );
+    if (newPwdHash && user.pwd_id) {
+      msg = await applyPasswordChange(pool, db, user.pwd_id, newPwdHash, login);
     }
 
+    const { token, xsrf } = await issueLoginToken(pool, db, user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: 'Пароль',
+    });
+
     logger.info('[Legacy Auth] Success', { db, login, uid: user.uid });
 
     // Set cookie exactly like PHP: setcookie($z, $token, time() + COOKIES_EXPIRE, "/")
@@ -2978,7 +2735,8 @@ router.get('/:db/validate', async (req, res) => {
  * Get one-time code (email/SMS OTP login)
  * POST /:db/getcode
  *
- * PHP: queries user by email, sends first-4-chars of token by mail/SMS.
+ * Mails a fresh one-time code (see login-codes.js); PHP mailed the first
+ * 4 chars of the session token instead.
  * Returns {"msg":"ok"} if user found (email sent), {"msg":"new"} if not found,
  * {"error":"invalid user"} if bad email format.
  *
@@ -3011,15 +2769,23 @@ router.post('/:db/getcode', async (req, res) => {
   }
 
   try {
+    if (!await dbExists(db)) {
+      return res.status(200).json({ error: `${db} does not exist` });
+    }
+    const refusal = loginThrottle.attempt(db, { ip: req.ip, login: u });
+    if (refusal) {
+      logger.warn({ db, u, ip: req.ip, reason: refusal.reason }, '[Legacy GetCode] Throttled');
+      return refuseLogin(res, refusal);
+    }
+
     const pool = getPool();
     const [rows] = await pool.query(
-      `SELECT tok.val FROM ${db} u LEFT JOIN ${db} tok ON tok.up=u.id AND tok.t=${TYPE.TOKEN} WHERE u.t=${TYPE.USER} AND u.val=? LIMIT 1`,
+      `SELECT id FROM ${db} WHERE t=${TYPE.USER} AND val=? LIMIT 1`,
       [u]
     );
 
     if (rows.length > 0) {
-      // PHP: sends email with first 4 chars of token as OTP code (strtoupper(substr($token,0,4)))
-      const code = (rows[0].val || '').substring(0, 4);
+      const code = await loginCodes.issue(db, rows[0].id);
       const reqHost = req.headers.host || req.hostname || 'localhost';
       await sendOtpEmail(u, code, db, reqHost);
       return res.status(200).json({ msg: 'ok' });
@@ -3037,8 +2803,9 @@ router.post('/:db/getcode', async (req, res) => {
  * Check one-time code (OTP verification)
  * POST /:db/checkcode
  *
- * PHP: finds user where token starts with the 4-char code, regenerates token,
- * returns {"token":"...","_xsrf":"..."} on success, {"error":"..."} on failure.
+ * Confirms the code mailed by getcode and starts a new session (PHP matched
+ * the code against the token prefix and rewrote that token).
+ * Returns {"token":"...","_xsrf":"..."} on success, {"error":"..."} on failure.
  */
 router.post('/:db/checkcode', async (req, res) => {
   const { db } = req.params;
@@ -3052,31 +2819,40 @@ router.post('/:db/checkcode', async (req, res) => {
   }
 
   try {
+    if (!await dbExists(db)) {
+      return res.status(200).json({ error: `${db} does not exist` });
+    }
+    const refusal = loginThrottle.attempt(db, { ip: req.ip, login: u });
+    if (refusal) {
+      logger.warn({ db, u, ip: req.ip, reason: refusal.reason }, '[Legacy CheckCode] Throttled');
+      return refuseLogin(res, refusal);
+    }
+
     const pool = getPool();
     const [rows] = await pool.query(
-      `SELECT u.id uid, tok.id tok_id, xsrf.id xsrf_id
-       FROM ${db} tok, ${db} u
+      `SELECT u.id uid, xsrf.val xsrf
+       FROM ${db} u
        LEFT JOIN ${db} xsrf ON xsrf.up=u.id AND xsrf.t=${TYPE.XSRF}
-       WHERE u.t=${TYPE.USER} AND u.val=? AND tok.up=u.id AND tok.t=${TYPE.TOKEN} AND tok.val LIKE ?
+       WHERE u.t=${TYPE.USER} AND u.val=?
        LIMIT 1`,
-      [u, c + '%']
+      [u]
     );
 
-    if (rows.length > 0) {
+    if (rows.length > 0 && await loginCodes.verify(db, rows[0].uid, c)) {
       const row = rows[0];
-      const newToken = generateToken();
-      // PHP: xsrf($token, $u) where $u=email → generateXsrf(newToken, u, db)
-      const newXsrf = generateXsrf(newToken, u, db);
-
-      // Update token
-      await pool.query(`UPDATE ${db} SET val=? WHERE id=?`, [newToken, row.tok_id]);
-
-      // Update or insert xsrf
-      if (row.xsrf_id) {
-        await pool.query(`UPDATE ${db} SET val=? WHERE id=?`, [newXsrf, row.xsrf_id]);
-      } else {
-        await pool.query(`INSERT INTO ${db} (up, ord, t, val) VALUES (?, 1, ${TYPE.XSRF}, ?)`, [row.uid, newXsrf]);
-      }
+      // The code replaces the password, not the second factor
+      const secondFactor = await twoFactor.loginStep(db, { uid: row.uid, username: u }, { method: 'Код из письма' });
+      if (secondFactor) {
+        logger.info({ db, u, uid: row.uid, enroll: !!secondFactor.enroll }, '[Legacy CheckCode] Second factor required');
+        return res.status(200).json({ twoFactor: secondFactor.enroll ? 'enroll' : 'totp', ...secondFactor });
+      }
+      loginThrottle.succeed(db, u);
+      // A session of its own: the other sessions of the user stay signed in
+      const { token: newToken, xsrf: newXsrf } = await issueLoginToken(pool, db, { uid: row.uid, username: u, xsrf: row.xsrf }, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        method: 'Код из письма',
+      });
 
       // PHP parity: upsert ACTIVITY record for last-login tracking
       const [actRows] = await pool.query(
@@ -3098,6 +2874,7 @@ router.post('/:db/checkcode', async (req, res) => {
 
       return res.status(200).json({ token: newToken, _xsrf: newXsrf });
     } else {
+      await loginThrottle.fail(db, { ip: req.ip, login: u });
       return res.status(200).json({ error: 'user not found' });
     }
   } catch (error) {
@@ -3106,145 +2883,741 @@ router.post('/:db/checkcode', async (req, res) => {
   }
 });
 
+// ============================================================================
+// Two-Factor Authentication
+// Optional per-user TOTP (see two-factor.js). POST /:db/auth answers users
+// with 2FA, or with a role that requires it, with a challenge instead of a
+// token; /:db/auth/2fa completes the login. /:db/_2fa manages enrollment.
+// ============================================================================
+
+const twoFactor = createTwoFactor({ getPool, logger });
+
 /**
- * Password reset endpoint
- * POST /:db/auth?reset
- *
- * PHP: pwd_reset() finds user by login or email, generates a new random password,
- * hashes it with sha1(Salt(username, newPwd)), then:
- *   - If user has email AND existing password: sends email with new password + confirmation link.
- *     Password is NOT changed until user clicks the confirmation link (/:db/confirm).
- *   - If user has email but NO password yet: sends email with new password, creates password record immediately.
- *   - If user has phone (no email): sends SMS with new password, updates password immediately.
- *
- * Returns PHP-compatible login() API format:
- *   {"message":"MAIL"|"SMS"|"NEW_PWD"|"WRONG_CONT","db":"...","login":"...","details":"..."}
+ * Second step of the login
+ * POST /:db/auth/2fa  { challenge, code } or { challenge, recovery }
  *
- * This second handler runs only when ?reset is set (first handler does normal auth).
+ * Returns the same {_xsrf, token, id, msg} as /:db/auth, plus recoveryCodes
+ * (shown once) when the step completed an enrollment required by the role.
  */
-router.post('/:db/auth', async (req, res, next) => {
-  if (req.query.reset === undefined) {
-    return next(); // Not a reset request — let first handler (line ~600) run
-  }
-
+router.post('/:db/auth/2fa', async (req, res) => {
   const { db } = req.params;
-  const u = (req.body.login || '').toLowerCase().trim();
-  const isJSON = isApiRequest(req);
 
-  logger.info({ db, u }, '[Legacy Reset] Password reset request');
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
 
-  if (!u) {
-    if (isJSON) return res.status(200).json({ error: 'Login required' });
-    return res.redirect(`/${db}`);
+  // Wrong codes count towards the lockout of the login like wrong passwords
+  const pending = twoFactor.pendingLogin(db, req.body.challenge);
+  const login = String(pending?.username || '').toLowerCase();
+  if (pending) {
+    const refusal = loginThrottle.attempt(db, { ip: req.ip, login });
+    if (refusal) {
+      logger.warn('[Legacy Auth 2FA] Throttled', { db, login, ip: req.ip, reason: refusal.reason });
+      return refuseLogin(res, refusal);
+    }
   }
 
   try {
+    const { uid, context, recoveryCodes } = await twoFactor.completeLogin(db, req.body.challenge, {
+      code: req.body.code,
+      recovery: req.body.recovery,
+    });
+    loginThrottle.succeed(db, login);
     const pool = getPool();
-    // Look up user by login or email — also fetch password record (id + hash)
-    // PHP: SELECT u.id, email.val, pwd.id pwd, phone.val phone, pwd.val old, u.val u
     const [rows] = await pool.query(
-      `SELECT u.id uid, u.val uval, email.val email, phone.val phone,
-              pwd.id pwdId, pwd.val oldHash
-       FROM ${db} u
-       LEFT JOIN ${db} email ON email.up=u.id AND email.t=${TYPE.EMAIL}
-       LEFT JOIN ${db} phone ON phone.up=u.id AND phone.t=${TYPE.PHONE}
-       LEFT JOIN ${db} pwd   ON pwd.up=u.id   AND pwd.t=${TYPE.PASSWORD}
-       WHERE (u.val=? OR email.val=?) AND u.t=${TYPE.USER}
+      `SELECT user.id AS uid, user.val AS username, xsrf.val AS xsrf, xsrf.id AS xsrf_id
+       FROM ${db} user
+       LEFT JOIN ${db} xsrf ON xsrf.up = user.id AND xsrf.t = ${TYPE.XSRF}
+       WHERE user.id = ? AND user.t = ${TYPE.USER}
        LIMIT 1`,
-      [u, u]
+      [uid]
     );
-
     if (rows.length === 0) {
-      // PHP: login($z, $u, "WRONG_CONT", ...) — user not found
-      if (isJSON) {
-        return res.status(200).json({
-          message: 'WRONG_CONT',
-          db,
-          login: u,
-          details: 'The user name, email or phone invalid set in your Space',
-        });
-      }
-      return res.redirect(`/${db}`);
+      return res.status(200).json({ error: 'User not found' });
     }
+    const user = rows[0];
 
-    const userRow = rows[0];
-    const username = userRow.uval;
-    // PHP: $pwd = substr(md5(mt_rand()), 0, 6) — generate random 6-char password
-    const newPlainPwd = crypto.createHash('md5')
-      .update(String(Math.random() * Date.now()))
-      .digest('hex')
-      .substring(0, 6);
-    // PHP: $sha = sha1(Salt($u, $pwd))
-    const newHash = phpCompatibleHash(username, newPlainPwd, db);
-
-    const host = req.get('host') || req.hostname || 'localhost';
-    const MAIL_REGEX = /^.+@.+\..+$/;
-
-    if (MAIL_REGEX.test(userRow.email)) {
-      // --- User has a valid email ---
-      if (userRow.pwdId) {
-        // User already has a password → send confirmation-required email
-        // PHP: password is NOT changed until user clicks confirm link
-        const confirmUrl = `https://${host}/${db}/confirm?u=${encodeURIComponent(username)}&p=${newHash}&o=${userRow.oldHash}`;
-        const unsubUrl = `https://${host}/my/register?optout=${encodeURIComponent(db)}`;
+    let msg = '';
+    if (context?.newPwdHash && context.pwdId) {
+      msg = await applyPasswordChange(pool, db, context.pwdId, context.newPwdHash, user.username);
+    }
 
-        await sendMail({
-          to: userRow.email,
-          subject: `Password reset for ${db}`,
-          text: `Your new password: ${newPlainPwd}\r\n`
-            + `Confirm it here before use: ${confirmUrl}\r\n\r\n`
-            + `Best regards,\r\nIntegram team\r\n\r\n`
-            + `In case you do not want to receive messages regarding your registration and the ${db} database, unsubscribe here:\r\n${unsubUrl}`,
-          tag: '[Legacy Reset]',
-          devLog: { username, newPlainPwd, confirmUrl },
-        });
+    const { token, xsrf } = await issueLoginToken(pool, db, user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: `${context?.method || 'Пароль'} и 2FA`,
+    });
+    logger.info('[Legacy Auth] Success (2FA)', { db, login: user.username, uid: user.uid });
 
-        // Clear auth cookies
-        res.cookie(db, '', { maxAge: 0, path: '/' });
-        res.cookie('secret', '', { maxAge: 0, path: '/' });
+    res.cookie(db, token, { maxAge: 30 * 24 * 60 * 60 * 1000, path: '/', httpOnly: false });
+    const body = { _xsrf: xsrf, token, id: String(user.uid), msg };
+    return res.status(200).json(recoveryCodes ? { ...body, recoveryCodes } : body);
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      logger.error('[Legacy Auth 2FA] Error', { error: error.message, db });
+      return res.status(200).json({ error: 'Authentication failed' });
+    }
+    if (pending) await loginThrottle.fail(db, { ip: req.ip, login });
+    return res.status(200).json({ error: error.message });
+  }
+});
 
-        return res.status(200).json({
-          message: 'MAIL',
-          db,
-          login: username,
-          details: 'The password is sent by email, please confirm it by the provided link',
-        });
-      } else {
-        // No password yet → create password record immediately, no confirmation needed
-        await insertRow(db, userRow.uid, 1, TYPE.PASSWORD, newHash);
-        const loginUrl = `https://${host}/${db}/?login=${encodeURIComponent(username)}`;
+/**
+ * Two-factor state of the current user
+ * GET /:db/_2fa
+ */
+router.get('/:db/_2fa', legacyAuthMiddleware, async (req, res) => {
+  const { db } = req.params;
+  try {
+    res.json(await twoFactor.status(db, req.legacyUser.uid));
+  } catch (error) {
+    logger.error('[Legacy _2fa] Status error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
 
-        await sendMail({
-          to: userRow.email,
-          subject: 'Your new password',
-          text: `Your new password: ${newPlainPwd}\r\n${loginUrl}`,
-          tag: '[Legacy Reset]',
-          devLog: { username, newPlainPwd, loginUrl },
-        });
+/**
+ * Run an account security action (2FA, API keys, sessions) of the current
+ * user. Guests have nothing to protect, and an API key cannot manage keys,
+ * 2FA or sessions.
+ * @param {string} name - route name for the log, e.g. "_2fa/setup"
+ * @param {Function} action - (db, { uid, username }, body, req) → response body
+ */
+function accountRoute(name, action) {
+  return async (req, res) => {
+    const { db } = req.params;
+    const { uid, username, apiKey } = req.legacyUser;
 
-        // Clear auth cookies
-        res.cookie(db, '', { maxAge: 0, path: '/' });
-        res.cookie('secret', '', { maxAge: 0, path: '/' });
+    if (!uid || username === 'guest') {
+      return res.status(200).json({ error: 'Войдите под своей учётной записью' });
+    }
+    if (apiKey) {
+      return res.status(200).json({ error: 'Действие недоступно при входе по API-ключу' });
+    }
 
-        return res.status(200).json({
-          message: 'NEW_PWD',
-          db,
-          login: username,
-          details: 'The password is sent by email',
-        });
-      }
-    } else if (userRow.phone && userRow.phone.length > 0) {
-      // --- User has a phone number (no valid email) ---
-      // PHP normalises phone and sends SMS; we update password immediately
-      if (userRow.pwdId) {
-        await updateRowValue(db, userRow.pwdId, newHash);
-      } else {
-        await insertRow(db, userRow.uid, 1, TYPE.PASSWORD, newHash);
+    try {
+      res.json(await action(db, { uid, username }, req.body || {}, req));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        logger.error(`[Legacy ${name}] Error`, { error: error.message, db });
       }
+      res.status(200).json({ error: error.message });
+    }
+  };
+}
 
-      // Clear auth cookies
-      res.cookie(db, '', { maxAge: 0, path: '/' });
-      res.cookie('secret', '', { maxAge: 0, path: '/' });
+/**
+ * Start enrollment: a new secret to scan, confirmed by /_2fa/confirm
+ * POST /:db/_2fa/setup → { secret, otpauth, qr, expiresIn }
+ */
+router.post('/:db/_2fa/setup', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_2fa/setup',
+  (db, user) => twoFactor.setup(db, user)));
+
+/**
+ * Finish enrollment with a code from the app
+ * POST /:db/_2fa/confirm  { code } → { success, recoveryCodes }
+ */
+router.post('/:db/_2fa/confirm', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_2fa/confirm',
+  async (db, { uid }, body) => ({ success: true, recoveryCodes: await twoFactor.confirm(db, uid, body.code) })));
+
+/**
+ * Replace the recovery codes
+ * POST /:db/_2fa/recovery  { code } → { success, recoveryCodes }
+ */
+router.post('/:db/_2fa/recovery', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_2fa/recovery',
+  async (db, { uid }, body) => ({ success: true, recoveryCodes: await twoFactor.regenerateRecoveryCodes(db, uid, body.code) })));
+
+/**
+ * Turn 2FA off
+ * POST /:db/_2fa/disable  { code } or { recovery } → { success }
+ */
+router.post('/:db/_2fa/disable', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_2fa/disable',
+  async (db, { uid }, body) => {
+    await twoFactor.disable(db, uid, { code: body.code, recovery: body.recovery });
+    return { success: true };
+  }));
+
+/**
+ * Roles with their 2FA policy; ddl marks roles with the right to change the
+ * structure, the usual candidates for requiring it
+ * GET /:db/_2fa/policy
+ */
+router.get('/:db/_2fa/policy', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  try {
+    const pool = getPool();
+    const roles = await twoFactor.rolePolicies(db);
+    for (const role of roles) {
+      const grants = await getGrants(pool, db, role.id);
+      role.ddl = role.name.toLowerCase() === 'admin' || await checkGrant(pool, db, grants, 0, 0, 'WRITE');
+    }
+    res.json({ roles });
+  } catch (error) {
+    logger.error('[Legacy _2fa] Policy list error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Require (or stop requiring) 2FA from the users of a role
+ * POST /:db/_2fa/policy/:roleId  { required: 1|0 }
+ */
+router.post('/:db/_2fa/policy/:roleId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const roleId = parseInt(req.params.roleId, 10);
+  const required = ['1', 'true', 'on'].includes(String(req.body.required ?? '').toLowerCase());
+
+  try {
+    await twoFactor.setRoleRequired(db, roleId, required);
+    res.json({ success: true, roleId, required });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy _2fa] Policy error', { error: error.message, db, roleId });
+    }
+    res.status(200).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Login Lockout
+// /:db/auth, /:db/getcode and /:db/checkcode are throttled per address and
+// login (see login-throttle.js); admins see and lift the current lockouts.
+// Past lockouts are ACTIVITY objects of the database.
+// ============================================================================
+
+/**
+ * Locked logins and throttled addresses
+ * GET /:db/_login_locks → { logins: [{ login, until, level }], ips: [{ ip, attempts, retryAfter }] }
+ */
+router.get('/:db/_login_locks', legacyAuthMiddleware, legacyDdlGrantCheck, (req, res) => {
+  res.json(loginThrottle.status(req.params.db));
+});
+
+/**
+ * Lift the lockout of a login and/or the limit of an address
+ * POST /:db/_login_locks/unlock  { login, ip } → { success, unlocked }
+ */
+router.post('/:db/_login_locks/unlock', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const login = String(req.body.login || '').toLowerCase().trim();
+  const ip = String(req.body.ip || '').trim();
+
+  if (!login && !ip) {
+    return res.status(200).json({ error: 'Укажите логин или IP-адрес' });
+  }
+  try {
+    const unlocked = await loginThrottle.unlock(db, { login, ip }, req.legacyUser.username);
+    res.json({ success: true, unlocked });
+  } catch (error) {
+    logger.error('[Legacy Login locks] Unlock error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// API Keys
+// Personal keys for scripts and integrations (see api-keys.js). The key is
+// returned once by POST /:db/_api_keys; legacyAuthMiddleware and the V2
+// AccessControl accept it like a session token, within its scope.
+// ============================================================================
+
+/**
+ * Keys of the current user
+ * GET /:db/_api_keys → { keys: [{ id, name, prefix, readOnly, types, ips,
+ *   expiresAt, createdAt, lastUsedAt, lastUsedIp }] }
+ */
+router.get('/:db/_api_keys', legacyAuthMiddleware, accountRoute('_api_keys',
+  async (db, { uid }) => ({ keys: await apiKeys.list(db, uid) })));
+
+/**
+ * Create a key
+ * POST /:db/_api_keys  { name, access: READ|WRITE, types: "12,15", ips, expires }
+ *   → the key description plus { key }, shown only this once
+ */
+router.post('/:db/_api_keys', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_api_keys/create',
+  (db, { uid }, body) => apiKeys.create(db, uid, {
+    name: body.name,
+    readOnly: String(body.access || 'READ').toUpperCase() !== 'WRITE',
+    types: body.types || [],
+    ips: body.ips || [],
+    expiresAt: body.expires || null,
+  })));
+
+/**
+ * Revoke a key
+ * POST /:db/_api_keys/:keyId/revoke → { success }
+ */
+router.post('/:db/_api_keys/:keyId/revoke', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_api_keys/revoke',
+  async (db, { uid }, body, req) => {
+    await apiKeys.revoke(db, uid, parseInt(req.params.keyId, 10));
+    return { success: true };
+  }));
+
+// ============================================================================
+// Sessions
+// Every login is a session of its own (a TOKEN row, see sessions.js). Users
+// see and end their sessions; admins see those of every user and the login
+// audit (ACTIVITY objects, see login-audit.js).
+// ============================================================================
+
+/**
+ * Sessions of the current user
+ * GET /:db/_sessions → { sessions: [{ id, startedAt, lastUsedAt, lastIp, ip,
+ *   userAgent, method, current }] }
+ */
+router.get('/:db/_sessions', legacyAuthMiddleware, accountRoute('_sessions',
+  async (db, { uid }, body, req) => ({
+    sessions: await sessions.list(db, { uid, currentId: req.legacyUser.sessionId }),
+  })));
+
+/**
+ * Sign out everywhere, this session included
+ * POST /:db/_sessions/revoke_all → { success, revoked }
+ */
+router.post('/:db/_sessions/revoke_all', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_sessions/revoke_all',
+  async (db, { uid, username }, body, req) => {
+    const revoked = await sessions.revokeAll(db, uid, { by: username, ip: req.ip });
+    return { success: true, revoked };
+  }));
+
+/**
+ * End a session of the current user
+ * POST /:db/_sessions/:sessionId/revoke → { success }
+ */
+router.post('/:db/_sessions/:sessionId/revoke', legacyAuthMiddleware, legacyXsrfCheck, accountRoute('_sessions/revoke',
+  async (db, { uid, username }, body, req) => {
+    const revoked = await sessions.revoke(db, parseInt(req.params.sessionId, 10), { uid, by: username, ip: req.ip });
+    if (!revoked) throw new ValidationError('Сессия не найдена');
+    return { success: true };
+  }));
+
+/**
+ * Sessions of every user
+ * GET /:db/_sessions/all?user=<id> → { sessions: [{ id, uid, login, startedAt, ... }] }
+ */
+router.get('/:db/_sessions/all', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  try {
+    const uid = parseInt(req.query.user, 10) || null;
+    res.json({ sessions: await sessions.list(db, { uid, currentId: req.legacyUser.sessionId }) });
+  } catch (error) {
+    logger.error('[Legacy Sessions] List error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * End a session of any user
+ * POST /:db/_sessions/all/:sessionId/revoke → { success }
+ */
+router.post('/:db/_sessions/all/:sessionId/revoke', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  try {
+    const revoked = await sessions.revoke(db, parseInt(req.params.sessionId, 10), {
+      by: req.legacyUser.username,
+      ip: req.ip,
+    });
+    if (!revoked) return res.status(200).json({ error: 'Сессия не найдена' });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('[Legacy Sessions] Revoke error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Sign a user out everywhere
+ * POST /:db/_sessions/all/user/:userId/revoke_all → { success, revoked }
+ */
+router.post('/:db/_sessions/all/user/:userId/revoke_all', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const uid = parseInt(req.params.userId, 10);
+  if (!uid) {
+    return res.status(200).json({ error: 'Invalid user id' });
+  }
+  try {
+    const revoked = await sessions.revokeAll(db, uid, { by: req.legacyUser.username, ip: req.ip });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('[Legacy Sessions] Revoke all error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Login audit: logins, sign-outs, ended sessions, lockouts — newest first
+ * GET /:db/_login_audit?login=&limit=100 → { events: [{ id, time, event, login,
+ *   ip, userAgent, method, failures, until, by }] }
+ */
+router.get('/:db/_login_audit', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  try {
+    const login = String(req.query.login || '').trim();
+    res.json({ events: await sessions.events(db, { login, limit: req.query.limit }) });
+  } catch (error) {
+    logger.error('[Legacy Login audit] List error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// OpenID Connect single sign-on
+// Each database configures its own identity providers (see oidc.js). The login
+// page lists them; /:db/oidc/:providerId/login sends the browser to the
+// provider and /:db/oidc/callback signs the user in (authorization code + PKCE).
+// Existing users link their provider account once via /:db/oidc/:providerId/link.
+// ============================================================================
+
+const oidc = createOidc({ getPool, logger });
+
+/** Callback URL to register at the provider */
+function oidcRedirectUri(req, db) {
+  return `${req.protocol}://${req.get('host')}/${db}/oidc/callback`;
+}
+
+/** Cookie binding a started SSO login to the browser that started it */
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+function oidcStateCookie(req, db) {
+  return { path: `/${db}/oidc`, httpOnly: true, sameSite: 'lax', secure: req.secure };
+}
+
+/** Answer a failed SSO login: JSON for API clients, text for the browser */
+function refuseOidc(req, res, message) {
+  if (isApiRequest(req)) return res.status(200).json({ error: message });
+  return res.status(401).send(message);
+}
+
+/**
+ * Providers shown on the login page (no auth)
+ * GET /:db/_oidc/providers → { providers: [{ id, name }] }
+ */
+router.get('/:db/_oidc/providers', async (req, res) => {
+  const { db } = req.params;
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+  try {
+    res.json({ providers: await oidc.loginOptions(db) });
+  } catch (error) {
+    logger.error('[Legacy OIDC] Providers error', { error: error.message, db });
+    res.status(200).json({ providers: [] });
+  }
+});
+
+/**
+ * Start an SSO login: redirect to the provider
+ * GET /:db/oidc/:providerId/login?uri=<path to return to>
+ */
+router.get('/:db/oidc/:providerId/login', async (req, res) => {
+  const { db } = req.params;
+  if (!isValidDbName(db)) {
+    return res.status(400).send('Invalid database');
+  }
+  try {
+    const { url, state, expiresIn } = await oidc.begin(db, parseInt(req.params.providerId, 10), {
+      redirectUri: oidcRedirectUri(req, db),
+      returnTo: String(req.query.uri || ''),
+    });
+    res.cookie(OIDC_STATE_COOKIE, state, { ...oidcStateCookie(req, db), maxAge: expiresIn });
+    return res.redirect(url);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy OIDC] Login start error', { error: error.message, db });
+    }
+    return refuseOidc(req, res, error instanceof ValidationError ? error.message : 'Поставщик входа недоступен');
+  }
+});
+
+/**
+ * Link the signed-in user to an account at the provider: the same round trip
+ * as a login, after which that account signs this user in
+ * POST /:db/oidc/:providerId/link { uri } → redirect (API: { url })
+ */
+router.post('/:db/oidc/:providerId/link', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+  const { db } = req.params;
+  if (req.legacyUser.apiKey) {
+    return res.status(200).json({ error: 'Привязать вход через SSO можно только из своей сессии' });
+  }
+  try {
+    const { url, state, expiresIn } = await oidc.begin(db, parseInt(req.params.providerId, 10), {
+      redirectUri: oidcRedirectUri(req, db),
+      returnTo: String(req.body.uri || req.query.uri || ''),
+      linkUid: Number(req.legacyUser.uid),
+    });
+    res.cookie(OIDC_STATE_COOKIE, state, { ...oidcStateCookie(req, db), maxAge: expiresIn });
+    if (isApiRequest(req)) return res.status(200).json({ url });
+    return res.redirect(303, url);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy OIDC] Link start error', { error: error.message, db });
+    }
+    return refuseOidc(req, res, error instanceof ValidationError ? error.message : 'Поставщик входа недоступен');
+  }
+});
+
+/**
+ * SSO callback: sign the user in and return to where the login started
+ * GET /:db/oidc/callback?code=&state=
+ */
+router.get('/:db/oidc/callback', async (req, res) => {
+  const { db } = req.params;
+  if (!isValidDbName(db)) {
+    return res.status(400).send('Invalid database');
+  }
+  const browserState = req.cookies[OIDC_STATE_COOKIE];
+  if (browserState) res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookie(req, db));
+  if (req.query.error) {
+    logger.warn('[Legacy OIDC] Provider refused', { db, error: req.query.error, description: req.query.error_description });
+    return refuseOidc(req, res, `Вход отклонён поставщиком: ${req.query.error_description || req.query.error}`);
+  }
+
+  try {
+    const result = await oidc.complete(db, { state: req.query.state, code: req.query.code, browserState });
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT user.id AS uid, user.val AS username, xsrf.val AS xsrf, xsrf.id AS xsrf_id
+       FROM ${db} user
+       LEFT JOIN ${db} xsrf ON xsrf.up = user.id AND xsrf.t = ${TYPE.XSRF}
+       WHERE user.id = ? AND user.t = ${TYPE.USER}
+       LIMIT 1`,
+      [result.uid]
+    );
+    if (rows.length === 0) {
+      return refuseOidc(req, res, 'User not found');
+    }
+    const user = rows[0];
+    const method = `SSO: ${result.provider.name}`;
+    const returnTo = (/^\/(?![/\\])/.test(result.returnTo) ? result.returnTo : `/${db}`).replace(/[<>"']/g, '');
+
+    // The provider does not stand in for the TOTP code; the browser finishes
+    // the login on the login page (/:db/auth/2fa), the challenge in the fragment
+    const secondFactor = await twoFactor.loginStep(db, { uid: user.uid, username: user.username }, { method });
+    if (secondFactor) {
+      logger.info('[Legacy OIDC] Second factor required', { db, uid: user.uid, enroll: !!secondFactor.enroll });
+      if (isApiRequest(req)) {
+        return res.status(200).json({ twoFactor: secondFactor.enroll ? 'enroll' : 'totp', ...secondFactor });
+      }
+      if (secondFactor.enroll) {
+        return refuseOidc(req, res, 'Ваша роль требует двухфакторную аутентификацию: войдите паролем или кодом из письма и подключите приложение-аутентификатор');
+      }
+      const fragment = new URLSearchParams({ challenge: secondFactor.challenge, user: user.username });
+      return res.redirect(`${returnTo}#${fragment}`);
+    }
+
+    const { token, xsrf } = await issueLoginToken(pool, db, user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method,
+    });
+    logger.info('[Legacy OIDC] Success', { db, uid: user.uid, provider: result.provider.id, created: result.created, linked: !!result.linked });
+
+    res.cookie(db, token, { maxAge: 30 * 24 * 60 * 60 * 1000, path: '/', httpOnly: false });
+    if (isApiRequest(req)) {
+      return res.status(200).json({ _xsrf: xsrf, token, id: String(user.uid), user: user.username });
+    }
+    return res.redirect(returnTo);
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      logger.error('[Legacy OIDC] Callback error', { error: error.message, db });
+      return refuseOidc(req, res, 'Поставщик входа недоступен');
+    }
+    logger.warn('[Legacy OIDC] Login refused', { error: error.message, db, ip: req.ip });
+    return refuseOidc(req, res, error.message);
+  }
+});
+
+/**
+ * Providers with their settings; the secret only as hasSecret
+ * GET /:db/_oidc → { providers: [...], redirectUri }
+ */
+router.get('/:db/_oidc', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  try {
+    res.json({ providers: await oidc.list(db), redirectUri: oidcRedirectUri(req, db) });
+  } catch (error) {
+    logger.error('[Legacy OIDC] List error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a provider, or update one (an empty clientSecret keeps the stored one)
+ * POST /:db/_oidc  { name, issuer, clientId, clientSecret, scopes, loginClaim,
+ *   roleClaim, roleMap, defaultRole, enabled } → the provider
+ * POST /:db/_oidc/:providerId  { ...same }
+ */
+async function saveOidcProvider(req, res) {
+  const { db } = req.params;
+  try {
+    const id = req.params.providerId ? parseInt(req.params.providerId, 10) : null;
+    res.json(await oidc.save(db, id, req.body || {}));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy OIDC] Save error', { error: error.message, db });
+    }
+    res.status(200).json({ error: error.message });
+  }
+}
+router.post('/:db/_oidc', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, saveOidcProvider);
+router.post('/:db/_oidc/:providerId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, saveOidcProvider);
+
+/**
+ * Delete a provider
+ * POST /:db/_oidc/:providerId/delete → { success }
+ */
+router.post('/:db/_oidc/:providerId/delete', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  try {
+    await oidc.remove(db, parseInt(req.params.providerId, 10));
+    res.json({ success: true });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy OIDC] Delete error', { error: error.message, db });
+    }
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Password reset endpoint
+ * POST /:db/auth?reset
+ *
+ * PHP: pwd_reset() finds user by login or email, generates a new random password,
+ * hashes it with sha1(Salt(username, newPwd)), then:
+ *   - If user has email AND existing password: sends email with new password + confirmation link.
+ *     Password is NOT changed until user clicks the confirmation link (/:db/confirm).
+ *   - If user has email but NO password yet: sends email with new password, creates password record immediately.
+ *   - If user has phone (no email): sends SMS with new password, updates password immediately.
+ *
+ * Returns PHP-compatible login() API format:
+ *   {"message":"MAIL"|"SMS"|"NEW_PWD"|"WRONG_CONT","db":"...","login":"...","details":"..."}
+ *
+ * This second handler runs only when ?reset is set (first handler does normal auth).
+ */
+router.post('/:db/auth', async (req, res, next) => {
+  if (req.query.reset === undefined) {
+    return next(); // Not a reset request — let first handler (line ~600) run
+  }
+
+  const { db } = req.params;
+  const u = (req.body.login || '').toLowerCase().trim();
+  const isJSON = isApiRequest(req);
+
+  logger.info({ db, u }, '[Legacy Reset] Password reset request');
+
+  if (!u) {
+    if (isJSON) return res.status(200).json({ error: 'Login required' });
+    return res.redirect(`/${db}`);
+  }
+
+  try {
+    const pool = getPool();
+    // Look up user by login or email — also fetch password record (id + hash)
+    // PHP: SELECT u.id, email.val, pwd.id pwd, phone.val phone, pwd.val old, u.val u
+    const [rows] = await pool.query(
+      `SELECT u.id uid, u.val uval, email.val email, phone.val phone,
+              pwd.id pwdId, pwd.val oldHash
+       FROM ${db} u
+       LEFT JOIN ${db} email ON email.up=u.id AND email.t=${TYPE.EMAIL}
+       LEFT JOIN ${db} phone ON phone.up=u.id AND phone.t=${TYPE.PHONE}
+       LEFT JOIN ${db} pwd   ON pwd.up=u.id   AND pwd.t=${TYPE.PASSWORD}
+       WHERE (u.val=? OR email.val=?) AND u.t=${TYPE.USER}
+       LIMIT 1`,
+      [u, u]
+    );
+
+    if (rows.length === 0) {
+      // PHP: login($z, $u, "WRONG_CONT", ...) — user not found
+      if (isJSON) {
+        return res.status(200).json({
+          message: 'WRONG_CONT',
+          db,
+          login: u,
+          details: 'The user name, email or phone invalid set in your Space',
+        });
+      }
+      return res.redirect(`/${db}`);
+    }
+
+    const userRow = rows[0];
+    const username = userRow.uval;
+    // PHP: $pwd = substr(md5(mt_rand()), 0, 6) — generate random 6-char password
+    const newPlainPwd = crypto.createHash('md5')
+      .update(String(Math.random() * Date.now()))
+      .digest('hex')
+      .substring(0, 6);
+    // PHP: $sha = sha1(Salt($u, $pwd))
+    const newHash = phpCompatibleHash(username, newPlainPwd, db);
+
+    const host = req.get('host') || req.hostname || 'localhost';
+    const MAIL_REGEX = /^.+@.+\..+$/;
+
+    if (MAIL_REGEX.test(userRow.email)) {
+      // --- User has a valid email ---
+      if (userRow.pwdId) {
+        // User already has a password → send confirmation-required email
+        // PHP: password is NOT changed until user clicks confirm link
+        const confirmUrl = `https://${host}/${db}/confirm?u=${encodeURIComponent(username)}&p=${newHash}&o=${userRow.oldHash}`;
+        const unsubUrl = `https://${host}/my/register?optout=${encodeURIComponent(db)}`;
+
+        await sendMail({
+          to: userRow.email,
+          subject: `Password reset for ${db}`,
+          text: `Your new password: ${newPlainPwd}\r\n`
+            + `Confirm it here before use: ${confirmUrl}\r\n\r\n`
+            + `Best regards,\r\nIntegram team\r\n\r\n`
+            + `In case you do not want to receive messages regarding your registration and the ${db} database, unsubscribe here:\r\n${unsubUrl}`,
+          tag: '[Legacy Reset]',
+          devLog: { username, newPlainPwd, confirmUrl },
+        });
+
+        // Clear auth cookies
+        res.cookie(db, '', { maxAge: 0, path: '/' });
+        res.cookie('secret', '', { maxAge: 0, path: '/' });
+
+        return res.status(200).json({
+          message: 'MAIL',
+          db,
+          login: username,
+          details: 'The password is sent by email, please confirm it by the provided link',
+        });
+      } else {
+        // No password yet → create password record immediately, no confirmation needed
+        await insertRow(db, userRow.uid, 1, TYPE.PASSWORD, newHash);
+        const loginUrl = `https://${host}/${db}/?login=${encodeURIComponent(username)}`;
+
+        await sendMail({
+          to: userRow.email,
+          subject: 'Your new password',
+          text: `Your new password: ${newPlainPwd}\r\n${loginUrl}`,
+          tag: '[Legacy Reset]',
+          devLog: { username, newPlainPwd, loginUrl },
+        });
+
+        // Clear auth cookies
+        res.cookie(db, '', { maxAge: 0, path: '/' });
+        res.cookie('secret', '', { maxAge: 0, path: '/' });
+
+        return res.status(200).json({
+          message: 'NEW_PWD',
+          db,
+          login: username,
+          details: 'The password is sent by email',
+        });
+      }
+    } else if (userRow.phone && userRow.phone.length > 0) {
+      // --- User has a phone number (no valid email) ---
+      // PHP normalises phone and sends SMS; we update password immediately
+      if (userRow.pwdId) {
+        await updateRowValue(db, userRow.pwdId, newHash);
+      } else {
+        await insertRow(db, userRow.uid, 1, TYPE.PASSWORD, newHash);
+      }
+
+      // Clear auth cookies
+      res.cookie(db, '', { maxAge: 0, path: '/' });
+      res.cookie('secret', '', { maxAge: 0, path: '/' });
 
       logger.info({ username, phone: userRow.phone }, '[Legacy Reset] SMS password reset (SMS not sent in standalone mode)');
 
@@ -3375,10 +3748,7 @@ router.get('/auth.asp', async (req, res) => {
     const pool = getPool();
 
     // Check if 'my' table exists
-    const [tables] = await pool.query(
-      `SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'my' LIMIT 1`
-    );
-    if (tables.length === 0) {
+    if (!await tableExists(pool, 'my')) {
       logger.error('[Google OAuth] my table does not exist');
       return res.status(500).json({ error: 'User registry not available' });
     }
@@ -3647,11 +4017,7 @@ router.post('/my/register', async (req, res) => {
     const pool = getPool();
 
     // Check if 'my' table exists
-    const [tables] = await pool.query(
-      `SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'my' LIMIT 1`
-    );
-
-    if (tables.length > 0) {
+    if (await tableExists(pool, 'my')) {
       // Check uniqueness: PHP line 124
       const [existing] = await pool.query(
         `SELECT id FROM my WHERE val = ? AND t = ${TYPE.USER} LIMIT 1`,
@@ -3720,23 +4086,23 @@ router.post('/my/register', async (req, res) => {
 router.all('/:db/exit', async (req, res) => {
   const { db } = req.params;
 
-  // Delete ALL user tokens (PHP: DELETE FROM $z WHERE up=user_id AND t=TOKEN)
+  // PHP deletes ALL user tokens (DELETE FROM $z WHERE up=user_id AND t=TOKEN);
+  // here only the current session ends — the others are signed out from the
+  // sessions list (/:db/_sessions/revoke_all)
   const token = extractToken(req, db);
   if (token && isValidDbName(db)) {
     try {
       const pool = getPool();
-      // Look up userId from the current token
       const [tokenRows] = await pool.query(
-        `SELECT up FROM \`${db}\` WHERE t = ${TYPE.TOKEN} AND val = ? LIMIT 1`,
+        `SELECT id, up FROM \`${db}\` WHERE t = ${TYPE.TOKEN} AND val = ? LIMIT 1`,
         [token]
       );
       if (tokenRows.length > 0) {
-        const userId = tokenRows[0].up;
-        // Delete ALL tokens for this user (logs out all sessions)
-        await pool.query(
-          `DELETE FROM \`${db}\` WHERE up = ? AND t = ${TYPE.TOKEN}`,
-          [userId]
-        );
+        await sessions.revoke(db, tokenRows[0].id, {
+          uid: tokenRows[0].up,
+          ip: req.ip,
+          event: LOGIN_EVENTS.LOGOUT,
+        });
       }
     } catch (err) {
       logger.error({ error: err.message, db }, '[Legacy Exit] DB error on token delete');
@@ -4048,7 +4414,8 @@ router.get('/:db/:page*', async (req, res, next) => {
       // ── GET/POST /:db/object/:typeId?JSON → {"object":[{id,val,up,base,ord}]}
       // ── GET     /:db/object/:typeId?JSON_DATA → [{i,u,o,r:[vals]}] compact
       // Supports: LIMIT=N or LIMIT=offset,N, order_val=val, desc=1,
-      //           F_{typeId}=value (filter main val, used by dubRecUniqText)
+      //           F_{typeId}=value (filter main val, used by dubRecUniqText),
+      //           GROUP/AGG/GPATH/PIVOT (server-side grouping, see parseGroupParams)
       if (page === 'object' && subId) {
         const allObjParams = { ...req.query, ...req.body };
 
@@ -4094,6 +4461,12 @@ router.get('/:db/:page*', async (req, res, next) => {
           objWhereParts.push('a.up = ?');
           objWhereParams.push(filterUp);
         }
+        // Filter by object id (F_I=id) — PHP reference links, live row refresh in the table
+        const filterId = allObjParams.F_I !== undefined ? parseInt(allObjParams.F_I, 10) : NaN;
+        if (!isNaN(filterId)) {
+          objWhereParts.push('a.id = ?');
+          objWhereParams.push(filterId);
+        }
 
         // Column filters: F_{colId}=value, FR_{colId}=from, TO_{colId}=to
         // Build consolidated filter dict: { reqId: {F: val, FR: from, TO: to} }
@@ -4160,6 +4533,19 @@ router.get('/:db/:page*', async (req, res, next) => {
           }
         }
 
+        // Server-side grouping (GROUP/AGG/GPATH/PIVOT): buckets of the next level,
+        // or the rows of one bucket once GPATH is as deep as GROUP
+        const objGrouping = await parseGroupParams(pool, db, subId, allObjParams);
+        if (objGrouping && objGrouping.path.length < objGrouping.levels.length) {
+          return respondGroups(res, pool, db, objGrouping, { where: objWhereParts, params: objWhereParams, joins: objJoinStr });
+        }
+        if (objGrouping) {
+          for (const cond of buildPathConditions(db, objGrouping.levels, objGrouping.path)) {
+            objWhereParts.push(cond.sql);
+            objWhereParams.push(...cond.params);
+          }
+        }
+
         const whereStr = objWhereParts.join(' AND ');
 
         // Sort: order_val=val → sort by main val; order_val={colId} → sort by req value
@@ -5499,7 +5885,7 @@ async function getRequisiteByType(db, parentId, typeId) {
  * Parameters: up (parent ID), t (type ID), val, t{id}=value (attributes)
  * Supports file uploads for FILE-type requisites (multer memoryStorage).
  */
-router.post('/:db/_m_new/:up?', legacyAuthMiddleware, legacyXsrfCheck, (req, res, next) => {
+router.post('/:db/_m_new/:up?', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_new', 'create'), (req, res, next) => {
   // Use upload.any() so FILE-type requisites can be uploaded alongside text fields
   upload.any()(req, res, (err) => {
     if (err) logger.warn('[Legacy _m_new] Multer error', { error: err.message });
@@ -5657,6 +6043,12 @@ router.post('/:db/_m_new/:up?', legacyAuthMiddleware, legacyXsrfCheck, (req, res
       req.body['t' + reqId] = resolved;
     }
 
+    // Declarative validation rules of the type (pattern, range, unique, ...)
+    const violations = await ruleViolations(req, db, { typeId, parentId, value }, extractAttributes(req.body));
+    if (violations) {
+      return res.status(200).json(violations);
+    }
+
     // Get next order
     const order = await getNextOrder(db, parentId, typeId);
 
@@ -5686,6 +6078,7 @@ router.post('/:db/_m_new/:up?', legacyAuthMiddleware, legacyXsrfCheck, (req, res
     // Insert the object
     const id = await insertRow(db, parentId, order, typeId, value);
 
+    res.locals.legacyChangeId = id;
     logger.info('[Legacy _m_new] Object created', { db, id, typeId, parentId });
 
     // Build a map of uploaded files by field name (t{id} format)
@@ -5851,7 +6244,7 @@ router.post('/:db/_m_new/:up?', legacyAuthMiddleware, legacyXsrfCheck, (req, res
  * PHP: index.php lines 7991-8163
  * When copybtn is set, copies the object and all its requisites.
  */
-router.post('/:db/_m_save/:id', legacyAuthMiddleware, legacyXsrfCheck, (req, res, next) => {
+router.post('/:db/_m_save/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_save', 'update'), (req, res, next) => {
   // Use upload.any() so FILE-type requisites can be uploaded alongside text fields
   upload.any()(req, res, (err) => {
     if (err) logger.warn('[Legacy _m_save] Multer error', { error: err.message });
@@ -5966,6 +6359,18 @@ router.post('/:db/_m_save/:id', legacyAuthMiddleware, legacyXsrfCheck, (req, res
     const objTypeEarly = objInfoEarly.length > 0 ? objInfoEarly[0].t : 0;
     const objValEarly = objInfoEarly.length > 0 ? objInfoEarly[0].val : '';
 
+    // Declarative validation rules: nothing is written when a value breaks one
+    const saveAttributes = extractAttributes({ ...req.query, ...req.body });
+    const violations = await ruleViolations(req, db, {
+      typeId: objTypeEarly,
+      objectId,
+      parentId: objInfoEarly.length > 0 ? objInfoEarly[0].up : null,
+      value: req.body.val ?? saveAttributes[objTypeEarly],
+    }, saveAttributes);
+    if (violations) {
+      return res.status(200).json(violations);
+    }
+
     // Normal save (not copy)
     // Update value if provided
     if (req.body.val !== undefined) {
@@ -6256,7 +6661,7 @@ router.post('/:db/_m_save/:id', legacyAuthMiddleware, legacyXsrfCheck, (req, res
  * _m_del - Delete object
  * POST /:db/_m_del/:id
  */
-router.post('/:db/_m_del/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+router.post('/:db/_m_del/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_del', 'delete'), async (req, res) => {
   const { db, id } = req.params;
 
   if (!isValidDbName(db)) {
@@ -6360,7 +6765,7 @@ router.post('/:db/_m_del/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req
  * Parameters: t{id}=value (attributes to set), or t{id}=<file> for inline file upload
  * saveInlineFile in smartq.js uploads file as t{reqId} and reads json.args as download path
  */
-router.post('/:db/_m_set/:id', legacyAuthMiddleware, legacyXsrfCheck, upload.any(), async (req, res) => {
+router.post('/:db/_m_set/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_set', 'update'), upload.any(), async (req, res) => {
   const { db, id } = req.params;
 
   if (!isValidDbName(db)) {
@@ -6396,6 +6801,17 @@ router.post('/:db/_m_set/:id', legacyAuthMiddleware, legacyXsrfCheck, upload.any
       return res.status(200).json({ error: 'No attributes provided'  });
     }
 
+    // Declarative validation rules of the object's type
+    const [objRows] = await pool.query(
+      `SELECT t, up FROM \`${db}\` WHERE id = ? LIMIT 1`, [objectId]
+    );
+    if (objRows.length > 0) {
+      const violations = await ruleViolations(req, db, { typeId: objRows[0].t, objectId, parentId: objRows[0].up }, attributes);
+      if (violations) {
+        return res.status(200).json(violations);
+      }
+    }
+
     let uploadedFilePath = null;
     let lastReqId = '';
     const tzone = parseInt(req.body.tzone || req.query.tzone || '0', 10);
@@ -6536,7 +6952,7 @@ router.post('/:db/_m_set/:id', legacyAuthMiddleware, legacyXsrfCheck, upload.any
  * POST /:db/_m_move/:id
  * Parameters: up (new parent ID)
  */
-router.post('/:db/_m_move/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+router.post('/:db/_m_move/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_move', 'update'), async (req, res) => {
   const { db, id } = req.params;
 
   if (!isValidDbName(db)) {
@@ -6701,7 +7117,8 @@ router.all('/:db/_dict/:typeId?', async (req, res) => {
 /**
  * _list - Get list of objects
  * GET/POST /:db/_list/:typeId
- * Parameters: up (parent), LIMIT, F (offset/from), q (search)
+ * Parameters: up (parent), LIMIT, F (offset/from), q (search),
+ *             GROUP/AGG/GPATH/PIVOT (server-side grouping, see parseGroupParams)
  */
 router.all('/:db/_list/:typeId', async (req, res) => {
   const { db, typeId } = req.params;
@@ -6790,6 +7207,25 @@ router.all('/:db/_list/:typeId', async (req, res) => {
       whereParts.push(fw);
     }
 
+    // Server-side grouping (GROUP/AGG/GPATH/PIVOT), same parameters as object/:typeId
+    const grouping = await parseGroupParams(pool, db, type, allParams);
+    if (grouping && grouping.path.length < grouping.levels.length) {
+      const sortJoins = sortReqId ? 1 : 0;
+      return respondGroups(res, pool, db, grouping, {
+        where: whereParts,
+        params: [...whereParams, ...filterParams],
+        joins: ` ${joinParts.slice(sortJoins).join(' ')}`,
+        joinParams: joinParams.slice(sortJoins),
+      });
+    }
+    if (grouping) {
+      // Appended after the filter conditions, so their params follow filterParams
+      for (const cond of buildPathConditions(db, grouping.levels, grouping.path)) {
+        whereParts.push(cond.sql);
+        filterParams.push(...cond.params);
+      }
+    }
+
     const whereClause = `WHERE ${whereParts.join(' AND ')}`;
     const allQueryParams = [...joinParams, ...whereParams, ...filterParams];
 
@@ -7724,7 +8160,7 @@ function buildModifiers(name, alias, required, multi) {
  * POST /:db/_d_new/:parentTypeId?
  * Parameters: val (type name), t (base type), parentTypeId (optional parent)
  */
-router.post('/:db/_d_new/:parentTypeId?', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_new/:parentTypeId?', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_new', 'create'), async (req, res) => {
   const { db, parentTypeId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -7783,6 +8219,7 @@ router.post('/:db/_d_new/:parentTypeId?', legacyAuthMiddleware, legacyXsrfCheck,
     // Insert the new type
     const id = await insertRow(db, parentId, order, baseType, name);
 
+    res.locals.legacyChangeId = id;
     logger.info('[Legacy _d_new] Type created', { db, id, name, baseType, parentId });
 
     // PHP api_dump(): {id:"", obj:newTypeId, next_act:"edit_types", args:"ext"}
@@ -7799,7 +8236,7 @@ router.post('/:db/_d_new/:parentTypeId?', legacyAuthMiddleware, legacyXsrfCheck,
  * POST /:db/_d_save/:typeId
  * Parameters: val (new name), t (new base type)
  */
-router.post('/:db/_d_save/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_save/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_save', 'update', 'typeId'), async (req, res) => {
   const { db, typeId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -7858,7 +8295,7 @@ router.post('/:db/_d_save/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legac
  * _d_del - Delete type
  * POST /:db/_d_del/:typeId
  */
-router.post('/:db/_d_del/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_del/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_del', 'delete', 'typeId'), async (req, res) => {
   const { db, typeId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -7925,7 +8362,7 @@ router.post('/:db/_d_del/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacy
  * POST /:db/_d_req/:typeId
  * Parameters: val (requisite name), t (requisite type), alias, required, multi
  */
-router.post('/:db/_d_req/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_req/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_req', 'create'), async (req, res) => {
   const { db, typeId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -7996,6 +8433,7 @@ router.post('/:db/_d_req/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacy
     // Insert the requisite
     const id = await insertRow(db, parentId, order, reqType, val);
 
+    res.locals.legacyChangeId = id;
     logger.info('[Legacy _d_req] Requisite added', { db, id, parentId, name, reqType });
 
     // PHP api_dump(): {id:req_id, obj:type_id, next_act:"edit_types", args:"ext", warnings}
@@ -8011,7 +8449,7 @@ router.post('/:db/_d_req/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacy
  * POST /:db/_d_alias/:reqId
  * Parameters: alias (new alias value)
  */
-router.post('/:db/_d_alias/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_alias/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_alias', 'update', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8064,7 +8502,7 @@ router.post('/:db/_d_alias/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legac
  * POST /:db/_d_null/:reqId
  * Parameters: required (1/0 or true/false)
  */
-router.post('/:db/_d_null/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_null/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_null', 'update', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8118,7 +8556,7 @@ router.post('/:db/_d_null/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacy
  * POST /:db/_d_multi/:reqId
  * Parameters: multi (1/0 or true/false)
  */
-router.post('/:db/_d_multi/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_multi/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_multi', 'update', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8172,7 +8610,7 @@ router.post('/:db/_d_multi/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legac
  * POST /:db/_d_attrs/:reqId
  * Parameters: alias, required, multi (sets all modifiers at once)
  */
-router.post('/:db/_d_attrs/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_attrs/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_attrs', 'update', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8225,7 +8663,7 @@ router.post('/:db/_d_attrs/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legac
  * _d_up - Move requisite up (decrease order)
  * POST /:db/_d_up/:reqId
  */
-router.post('/:db/_d_up/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_up/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_up', 'update', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8278,7 +8716,7 @@ router.post('/:db/_d_up/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDd
  * POST /:db/_d_ord/:reqId
  * Parameters: order (new order value) — PHP uses $_REQUEST["order"] not "ord"
  */
-router.post('/:db/_d_ord/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_ord/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_ord', 'update', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8337,7 +8775,7 @@ router.post('/:db/_d_ord/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyD
  * _d_del_req - Delete requisite
  * POST /:db/_d_del_req/:reqId
  */
-router.post('/:db/_d_del_req/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_del_req/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_del_req', 'delete', 'reqId'), async (req, res) => {
   const { db, reqId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8449,7 +8887,7 @@ router.post('/:db/_d_del_req/:reqId', legacyAuthMiddleware, legacyXsrfCheck, leg
  * PHP line 8649: SELECT ref.id FROM obj LEFT JOIN ref ON ref.up=0 AND ref.t=$id AND ref.val=''
  * PHP line 8661: Insert(0, 0, $id, "", "Create Ref") — up=0, ord=0, t=$id, val=""
  */
-router.post('/:db/_d_ref/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+router.post('/:db/_d_ref/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, trackChange('_d_ref', 'create'), async (req, res) => {
   const { db, typeId } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8487,6 +8925,7 @@ router.post('/:db/_d_ref/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacy
     } else {
       // PHP: $obj = Insert(0, 0, $id, "", "Create Ref")
       refId = await insertRow(db, 0, 0, id, '');
+      res.locals.legacyChangeId = refId;
     }
 
     logger.info('[Legacy _d_ref] Reference created/found', { db, id, refId });
@@ -8507,7 +8946,7 @@ router.post('/:db/_d_ref/:typeId', legacyAuthMiddleware, legacyXsrfCheck, legacy
  * _m_up - Move object up (decrease order)
  * POST /:db/_m_up/:id
  */
-router.post('/:db/_m_up/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+router.post('/:db/_m_up/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_up', 'update'), async (req, res) => {
   const { db, id } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8566,7 +9005,7 @@ router.post('/:db/_m_up/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req,
  * POST /:db/_m_ord/:id
  * Parameters: order (new order value, in query string: ?JSON&order=N)
  */
-router.post('/:db/_m_ord/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+router.post('/:db/_m_ord/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_ord', 'update'), async (req, res) => {
   const { db, id } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8641,7 +9080,7 @@ router.post('/:db/_m_ord/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req
  * _m_id - Change object ID (reserved operation)
  * POST /:db/_m_id/:id
  */
-router.post('/:db/_m_id/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+router.post('/:db/_m_id/:id', legacyAuthMiddleware, legacyXsrfCheck, trackChange('_m_id', 'update'), async (req, res) => {
   const { db, id } = req.params;
 
   if (!isValidDbName(db)) {
@@ -8703,6 +9142,7 @@ router.post('/:db/_m_id/:id', legacyAuthMiddleware, legacyXsrfCheck, async (req,
       conn.release();
     }
 
+    res.locals.legacyChangeId = newId;
     logger.info('[Legacy _m_id] ID changed', { db, oldId, newId, up });
 
     // PHP: $next_act defaults to $a = "_m_id" (line 9172), $arg stays ""
@@ -9020,7 +9460,7 @@ router.post('/:db/jwt', async (req, res) => {
     const whereParam = username || jwtToken;
 
     const [rows] = await pool.query(
-      `SELECT u.id uid, u.val uname, tok.id tok_id, tok.val tok_val, xsrf.id xsrf_id, xsrf.val xsrf_val
+      `SELECT u.id uid, u.val uname, xsrf.id xsrf_id, xsrf.val xsrf_val
        FROM \`${db}\` u
        LEFT JOIN \`${db}\` tok  ON tok.up  = u.id AND tok.t  = ${TYPE.TOKEN}
        LEFT JOIN \`${db}\` xsrf ON xsrf.up = u.id AND xsrf.t = ${TYPE.XSRF}
@@ -9034,20 +9474,25 @@ router.post('/:db/jwt', async (req, res) => {
 
     const user = rows[0];
 
-    // PHP authJWT: updateTokens() regenerates token+xsrf, sets cookie
-    const newToken = generateToken();
-    const newXsrf  = generateXsrf(newToken, db, db);
-
-    if (user.tok_id) {
-      await pool.query(`UPDATE \`${db}\` SET val=? WHERE id=?`, [newToken, user.tok_id]);
-    } else {
-      await pool.query(`INSERT INTO \`${db}\` (up,ord,t,val) VALUES (?,1,${TYPE.TOKEN},?)`, [user.uid, newToken]);
-    }
-    if (user.xsrf_id) {
-      await pool.query(`UPDATE \`${db}\` SET val=? WHERE id=?`, [newXsrf, user.xsrf_id]);
-    } else {
-      await pool.query(`INSERT INTO \`${db}\` (up,ord,t,val) VALUES (?,1,${TYPE.XSRF},?)`, [user.uid, newXsrf]);
-    }
+    // Neither a signed JWT nor a session token skips the second factor
+    const secondFactor = await twoFactor.loginStep(db, { uid: user.uid, username: user.uname }, { method: 'JWT' });
+    if (secondFactor) {
+      logger.info('[Legacy jwt] Second factor required', { db, uid: user.uid, enroll: !!secondFactor.enroll });
+      return res.status(200).json({ twoFactor: secondFactor.enroll ? 'enroll' : 'totp', ...secondFactor });
+    }
+
+    // PHP authJWT: updateTokens() regenerates token+xsrf. Here the JWT opens
+    // a session of its own: the sessions of other devices and their shared
+    // xsrf stay as they are
+    const { token: newToken, xsrf: newXsrf } = await issueLoginToken(pool, db, {
+      uid: user.uid,
+      username: user.uname,
+      xsrf: user.xsrf_val,
+    }, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: 'JWT',
+    });
 
     res.cookie(db, newToken, { path: '/', httpOnly: false });
 
@@ -9624,9 +10069,10 @@ async function buildReportSubquerySQL(pool, db, report, depth = 0) {
  * @param {string} db      - Database name
  * @param {string} sqlStr  - SQL string potentially containing [report_name] refs
  * @param {number} depth   - Current recursion depth (for infinite-loop guard)
+ * @param {object} [profile] - executeReport() profile; resolved reports are listed in profile.subqueries
  * @returns {Promise<string>} SQL with subqueries resolved
  */
-async function resolveReportSubqueries(pool, db, sqlStr, depth = 0) {
+async function resolveReportSubqueries(pool, db, sqlStr, depth = 0, profile = null) {
   if (depth >= MAX_REPORT_SUBQUERY_DEPTH) {
     logger.warn('[Report] Subquery depth limit reached', { depth, db });
     return sqlStr;
@@ -9647,6 +10093,7 @@ async function resolveReportSubqueries(pool, db, sqlStr, depth = 0) {
   let result = sqlStr;
 
   for (const reportName of refs) {
+    const startedAt = performance.now();
     // Look up report by name
     const [nameRows] = await pool.query(
       `SELECT id FROM \`${db}\` WHERE val = ? AND t = ${TYPE.REPORT} LIMIT 1`,
@@ -9671,7 +10118,7 @@ async function resolveReportSubqueries(pool, db, sqlStr, depth = 0) {
     }
 
     // Recursively resolve any nested [report_name] references in the subquery
-    subSQL = await resolveReportSubqueries(pool, db, subSQL, depth + 1);
+    subSQL = await resolveReportSubqueries(pool, db, subSQL, depth + 1, profile);
 
     const replacement = `(${subSQL})`;
 
@@ -9680,6 +10127,9 @@ async function resolveReportSubqueries(pool, db, sqlStr, depth = 0) {
     result = result.replace(new RegExp(`\\[${escapeRegex(reportName)}\\]`, 'g'), replacement);
 
     logger.debug('[Report] Resolved subquery', { reportName, subReportId, depth });
+    if (profile) {
+      profile.subqueries.push({ name: reportName, reportId: subReportId, depth, ms: performance.now() - startedAt });
+    }
   }
 
   return result;
@@ -10024,9 +10474,14 @@ async function compileReport(pool, db, reportId) {
  * table to itself on (child.up = main.id AND child.t = reqTypeId).
  *
  * Filters: keys are column aliases or names; values are {from, to, eq, like}.
+ *
+ * profile (optional, see createReportProfile) receives the final SQL, its
+ * parameters and the time spent on subqueries, the main query and the
+ * row post-processing (abn_* functions, JSON formulas, totals).
  */
-async function executeReport(pool, db, report, filters = {}, limit = 100, offset = 0, orderParam = null, _subqueryDepth = 0, userCtx = null) {
+async function executeReport(pool, db, report, filters = {}, limit = 100, offset = 0, orderParam = null, _subqueryDepth = 0, userCtx = null, profile = null) {
   const results = { data: [], totals: {}, rownum: 0 };
+  let startedAt = performance.now();
 
   try {
     if (!report.parentType || report.parentType <= 0) {
@@ -10054,7 +10509,9 @@ async function executeReport(pool, db, report, filters = {}, limit = 100, offset
         let resolvedFormula = col.formula;
 
         // Resolve [report_name] subqueries in the formula (PHP parity)
-        resolvedFormula = await resolveReportSubqueries(pool, db, resolvedFormula, _subqueryDepth);
+        const formulaStartedAt = performance.now();
+        resolvedFormula = await resolveReportSubqueries(pool, db, resolvedFormula, _subqueryDepth, profile);
+        if (profile) profile.timings.subqueries += performance.now() - formulaStartedAt;
 
         if (resolvedFormula.includes('[THIS]')) {
           fieldExpr = resolvedFormula.replace(/\[THIS\]/g, rawExpr);
@@ -10277,7 +10734,9 @@ async function executeReport(pool, db, report, filters = {}, limit = 100, offset
     // ── Resolve [report_name] subquery references (PHP parity) ──────────
     // PHP lines 2941-3021: scan all SQL parts for [report_name] patterns,
     // compile the referenced report, and replace with (subquery_sql).
-    sql = await resolveReportSubqueries(pool, db, sql, _subqueryDepth);
+    const subqueriesStartedAt = performance.now();
+    sql = await resolveReportSubqueries(pool, db, sql, _subqueryDepth, profile);
+    if (profile) profile.timings.subqueries += performance.now() - subqueriesStartedAt;
 
     // ── BuiltIn placeholder substitution in full SQL (PHP parity: index.php:2727-2751) ──
     // PHP resolves [PLACEHOLDER] bracket-syntax and %PLACEHOLDER% percent-syntax in
@@ -10289,7 +10748,16 @@ async function executeReport(pool, db, report, filters = {}, limit = 100, offset
 
     logger.debug('[Report] SQL', { sql });
 
+    if (profile) {
+      profile.sql = sql;
+      profile.params = whereParams;
+      profile.timings.compile = performance.now() - startedAt - profile.timings.subqueries;
+    }
+
+    startedAt = performance.now();
     const [rows] = await pool.query(sql, whereParams);
+    if (profile) profile.timings.mainQuery = performance.now() - startedAt;
+    startedAt = performance.now();
 
     // ── Map rows → named output ───────────────────────────────────────────
     // Collect columns that need abn_* post-processing (PHP parity: index.php:3364)
@@ -10355,15 +10823,266 @@ async function executeReport(pool, db, report, filters = {}, limit = 100, offset
       }
     }
 
+    if (profile) {
+      profile.timings.postProcess = performance.now() - startedAt;
+      profile.abnColumns = abnPostCols.map(c => ({ alias: c.alias, name: c.name, func: c.func }));
+    }
+
     logger.debug('[Report] Executed report', { db, reportId: report.id, rows: results.rownum });
 
   } catch (error) {
     logger.error('[Report] Error executing report', { error: error.message, db, reportId: report.id });
+    results.error = error.message;
   }
 
   return results;
 }
 
+/**
+ * Empty profile for executeReport(): timings are in ms.
+ */
+function createReportProfile() {
+  return {
+    sql: null,
+    params: [],
+    timings: { compile: 0, subqueries: 0, mainQuery: 0, postProcess: 0 },
+    subqueries: [],
+    abnColumns: [],
+  };
+}
+
+/**
+ * Column filters of a report request.
+ * SmartQ sends FR_${displayName} where spaces→underscores, not FR_${alias}.
+ *
+ * @param {object} report - compiled report
+ * @param {object} params - request parameters (FR_/TO_/EQ_/LIKE_ + column name)
+ * @returns {object} filters keyed by column alias, as executeReport() expects
+ */
+function parseReportFilters(report, params) {
+  const filters = {};
+  for (const col of report.columns) {
+    const nameKey = col.name.replace(/ /g, '_');
+    const filter = {};
+
+    if (params[`FR_${nameKey}`]) { filter.from = params[`FR_${nameKey}`]; }
+    if (params[`TO_${nameKey}`]) { filter.to   = params[`TO_${nameKey}`]; }
+    if (params[`EQ_${nameKey}`]) { filter.eq   = params[`EQ_${nameKey}`]; }
+    if (params[`LIKE_${nameKey}`]) { filter.like = params[`LIKE_${nameKey}`]; }
+
+    if (Object.keys(filter).length > 0) {
+      filters[col.alias] = filter;
+    }
+  }
+  return filters;
+}
+
+// ============================================================================
+// Report Cache
+// Compiled definitions and executed results of /:db/report/:id. Entries are
+// tagged with the types a report reads and dropped by legacy change events
+// on those types (see report-cache.js); scripts/start.js feeds it V2 writes
+// as well. REPORT_CACHE_TTL=0 turns it off.
+// ============================================================================
+
+const reportCache = createReportCache({
+  defaultTtl: parseInt(process.env.REPORT_CACHE_TTL ?? '300', 10) || 0,
+  maxEntries: parseInt(process.env.REPORT_CACHE_MAX_ENTRIES || '500', 10),
+  maxRows: parseInt(process.env.REPORT_CACHE_MAX_ROWS || '20000', 10),
+  definitionTypes: [
+    TYPE.REPORT, TYPE.REP_COLS, TYPE.REP_JOIN, TYPE.REP_WHERE, TYPE.REP_IFNULL,
+    TYPE.REP_LIMIT, TYPE.REP_HREFS, TYPE.REP_URL, TYPE.REP_ALIAS, TYPE.REP_JOIN_ON,
+  ],
+});
+let reportCacheSubscribed = false;
+
+/** Per-report TTL settings are re-read at most this often */
+const REPORT_CACHE_SETTINGS_MS = 60000;
+const reportCacheTtls = new Map(); // db → { ttls, loadedAt }
+
+/** TTL of a report in seconds: its "Кэш отчёта" object (by id or name) or the default */
+async function reportCacheTtl(pool, db, report) {
+  let entry = reportCacheTtls.get(db);
+  if (!entry || Date.now() - entry.loadedAt > REPORT_CACHE_SETTINGS_MS) {
+    entry = { ttls: await loadReportCacheTtls(pool, db), loadedAt: Date.now() };
+    reportCacheTtls.set(db, entry);
+  }
+  return entry.ttls.get(String(report.id)) ?? entry.ttls.get(report.header) ?? reportCache.defaultTtl;
+}
+
+/** SQL fragments of a report definition that may hold placeholders and [report_name] refs */
+function reportSqlTexts(report) {
+  return [report.params[TYPE.REP_WHERE], ...report.columns.map(c => c.formula)].filter(Boolean);
+}
+
+/**
+ * Types a report reads: the parent type, types owning its columns, referenced
+ * types (columns show names of referenced objects), joins and, recursively,
+ * reports used as [report_name] subqueries.
+ *
+ * @returns {Promise<Set<number>>}
+ */
+async function reportDependencies(pool, db, report, seen = new Set()) {
+  const types = new Set([report.parentType]);
+  seen.add(report.id);
+
+  // Follow requisite → owning type (up) and attribute → reference → type (t)
+  let ids = [...report.columns.map(c => c.reqTypeId), ...report.joins.map(j => j.typeId)].filter(id => id > 1);
+  for (let hop = 0; hop < 3 && ids.length > 0; hop++) {
+    ids.forEach(id => types.add(id));
+    const [rows] = await pool.query(
+      `SELECT id, up, t FROM \`${db}\` WHERE id IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    ids = [];
+    for (const row of rows) {
+      for (const next of [Number(row.up), Number(row.t)]) {
+        if (next > 1 && !REV_BASE_TYPE[next] && !types.has(next)) ids.push(next);
+      }
+    }
+  }
+
+  const names = [...new Set([...reportSqlTexts(report).join('\n').matchAll(/\[([^\]]+)\]/g)]
+    .map(m => m[1]).filter(name => name !== 'THIS'))];
+  if (names.length > 0 && seen.size < MAX_REPORT_SUBQUERY_DEPTH) {
+    const [subRows] = await pool.query(
+      `SELECT id FROM \`${db}\` WHERE t = ${TYPE.REPORT} AND val IN (${names.map(() => '?').join(',')})`,
+      names
+    );
+    for (const sub of subRows) {
+      if (seen.has(Number(sub.id))) continue;
+      const subReport = await compileReport(pool, db, Number(sub.id));
+      if (!subReport) continue;
+      for (const t of await reportDependencies(pool, db, subReport, seen)) types.add(t);
+    }
+  }
+  return types;
+}
+
+/**
+ * compileReport() through the cache. The caller gets its own copy:
+ * the route and executeReport() annotate columns in place.
+ *
+ * @returns {Promise<{report: object|null, tags: Set<number>}>}
+ */
+async function loadReportDefinition(pool, db, id) {
+  const cached = reportCache.enabled ? reportCache.getDefinition(db, id) : undefined;
+  if (cached) return { report: structuredClone(cached.report), tags: cached.tags };
+
+  const report = await compileReport(pool, db, id);
+  if (!report || !reportCache.enabled) return { report, tags: new Set() };
+
+  const tags = await reportDependencies(pool, db, report);
+  reportCache.setDefinition(db, id, structuredClone(report), tags);
+  return { report, tags };
+}
+
+/**
+ * executeReport() through the cache.
+ *
+ * The key covers the filters, paging, order, runtime column overrides
+ * (TOTALS/SELECT, grants per column), the user the placeholders resolve to and
+ * the grant fingerprint. Reports using per-request placeholders ([NOW],
+ * [REMOTE_ADDR], NOW() ...) are not cached; date placeholders add the day.
+ *
+ * @param {object} options - { tags, grants, refresh }
+ * @returns {Promise<{results: object, cache: string}>} cache: HIT, MISS, REFRESH or BYPASS
+ */
+async function executeReportCached(pool, db, report, filters, limit, offset, orderParam, userCtx, { tags, grants, refresh = false }) {
+  const mode = reportCache.enabled
+    ? reportCacheMode([...reportSqlTexts(report), filters._where, JSON.stringify(filters)])
+    : 'none';
+  const ttl = mode === 'none' ? 0 : await reportCacheTtl(pool, db, report);
+  if (!(ttl > 0)) {
+    if (reportCache.enabled) reportCache.bypass(db, report.id);
+    return { results: await executeReport(pool, db, report, filters, limit, offset, orderParam, 0, userCtx), cache: 'BYPASS' };
+  }
+
+  const tzone = userCtx?.tzone || 0;
+  const key = reportCacheKey({
+    report: report.id,
+    filters, limit, offset, order: orderParam,
+    columns: report.columns.map(c => [c.id, c.func || '', c.totalFunc || '', c.granted]),
+    user: userCtx && {
+      username: userCtx.username, uid: userCtx.uid, role: userCtx.role, roleId: userCtx.roleId, tzone,
+    },
+    grants,
+    day: mode === 'daily' ? new Date(Date.now() + tzone * 1000).toISOString().slice(0, 10) : null,
+  });
+
+  if (!refresh) {
+    const hit = reportCache.get(db, report.id, key);
+    if (hit) return { results: hit, cache: 'HIT' };
+  }
+
+  const startedAt = Date.now();
+  const results = await executeReport(pool, db, report, filters, limit, offset, orderParam, 0, userCtx);
+  if (!results.error) {
+    if (!reportCacheSubscribed) {
+      onLegacyChange(reportCache.handleChange);
+      reportCacheSubscribed = true;
+    }
+    reportCache.set(db, report.id, key, results, { tags, ttl, ms: Date.now() - startedAt });
+  }
+  return { results, cache: refresh ? 'REFRESH' : 'MISS' };
+}
+
+/**
+ * Run a report with a profile and explain its SQL (?EXPLAIN mode).
+ * Bypasses the result cache: the point is to measure the real query.
+ *
+ * @returns {Promise<Object>} { report, sql, params, plan, joins, estimatedRows,
+ *   indexes, timings, subqueries, abnColumns, rows, error?, explainError?, suggestions }
+ */
+async function profileReport(pool, db, report, filters, limit, offset, orderParam, userCtx) {
+  const dialect = dbDriverName();
+  const profile = createReportProfile();
+  const startedAt = performance.now();
+  const results = await executeReport(pool, db, report, filters, limit, offset, orderParam, 0, userCtx, profile);
+  const total = performance.now() - startedAt;
+  reportCache.bypass(db, report.id);
+
+  let plan = [];
+  let explainError = null;
+  if (profile.sql) {
+    try {
+      const [rows] = await pool.query(explainStatement(profile.sql, dialect), profile.params);
+      plan = normalizePlan(rows, dialect);
+    } catch (error) {
+      explainError = error.message;
+    }
+  }
+  let indexes = null;
+  try {
+    indexes = await loadTableIndexes(pool, db, dialect);
+  } catch (error) {
+    logger.warn('[Report] Cannot read table indexes', { db, error: error.message });
+  }
+
+  const round = ms => Math.round(ms * 10) / 10;
+  const timings = Object.fromEntries(Object.entries({ ...profile.timings, total }).map(([k, v]) => [k, round(v)]));
+  const joins = describeJoins(plan, reportAliases(report));
+  const estimatedRows = estimateRows(plan);
+
+  return {
+    report: { id: report.id, name: report.header },
+    dialect,
+    sql: profile.sql,
+    params: profile.params,
+    plan,
+    joins,
+    estimatedRows: estimatedRows == null ? null : Math.round(estimatedRows),
+    indexes,
+    timings,
+    subqueries: profile.subqueries.map(sq => ({ ...sq, ms: round(sq.ms) })),
+    abnColumns: profile.abnColumns,
+    rows: results.rownum,
+    ...(results.error ? { error: results.error } : {}),
+    ...(explainError ? { explainError } : {}),
+    suggestions: planSuggestions({ db, joins, indexes, estimatedRows, timings, abnColumns: profile.abnColumns }),
+  };
+}
+
 /**
  * Report generation endpoint with full filtering support
  * GET/POST /:db/report/:reportId
@@ -10399,8 +11118,8 @@ router.all('/:db/report/:reportId?', async (req, res) => {
       return res.json(rows.map(r => ({ id: r.id, name: r.name, val: r.name, ord: r.ord })));
     }
 
-    // Compile report
-    const report = await compileReport(pool, db, id);
+    // Compile report (cached definitions are tagged with the types it reads)
+    const { report, tags: reportTypes } = await loadReportDefinition(pool, db, id);
 
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
@@ -10436,31 +11155,20 @@ router.all('/:db/report/:reportId?', async (req, res) => {
     // PHP executes the report for all JSON flags including plain ?JSON
     // CSV export (?csv or ?format=csv) also triggers execution
     const wantCsv = q.csv !== undefined || format === 'csv';
+    // Native spreadsheets (?xlsx / ?ods or ?format=xlsx|ods)
+    const sheetFormat = ['xlsx', 'ods'].find(f => q[f] !== undefined || format === f) || null;
+    // Profiler (?EXPLAIN): SQL, plan, timings and suggestions instead of rows
+    const wantExplain = q.EXPLAIN !== undefined || q.explain !== undefined;
     const shouldExecute = execute || req.method === 'POST' ||
       q.JSON !== undefined || q.json !== undefined ||
       q.JSON_KV !== undefined || q.JSON_CR !== undefined || q.JSON_HR !== undefined ||
-      q.JSON_DATA !== undefined || q.RECORD_COUNT !== undefined ||
-      wantCsv;
-
-    if (shouldExecute) {
-      // Parse filters from request
-      const filters = {};
-      const params = { ...req.query, ...req.body };
-
-      // SmartQ sends FR_${displayName} where spaces→underscores, not FR_${alias}
-      for (const col of report.columns) {
-        const nameKey = col.name.replace(/ /g, '_');
-        const filter = {};
-
-        if (params[`FR_${nameKey}`]) { filter.from = params[`FR_${nameKey}`]; }
-        if (params[`TO_${nameKey}`]) { filter.to   = params[`TO_${nameKey}`]; }
-        if (params[`EQ_${nameKey}`]) { filter.eq   = params[`EQ_${nameKey}`]; }
-        if (params[`LIKE_${nameKey}`]) { filter.like = params[`LIKE_${nameKey}`]; }
+      q.JSON_DATA !== undefined || q.RECORD_COUNT !== undefined ||
+      wantCsv || sheetFormat || wantExplain;
 
-        if (Object.keys(filter).length > 0) {
-          filters[col.alias] = filter;
-        }
-      }
+    if (shouldExecute) {
+      // Parse filters from request
+      const params = { ...req.query, ...req.body };
+      const filters = parseReportFilters(report, params);
 
       // PHP parity: handle TOTALS request parameter (e.g. "colId:SUM,colId2:AVG")
       // This overrides per-column total functions at runtime.
@@ -10552,7 +11260,23 @@ router.all('/:db/report/:reportId?', async (req, res) => {
       } : null;
 
       const orderParam = params.ORDER || params.order || null;
-      const results = await executeReport(pool, db, report, filters, limit, offset, orderParam, 0, reportUserCtx);
+      // ?NOCACHE recomputes the result and stores it again
+      const cacheOptions = { tags: reportTypes, grants, refresh: params.NOCACHE !== undefined };
+      const runReport = async (lim, off, order) => {
+        const run = await executeReportCached(pool, db, report, filters, lim, off, order, reportUserCtx, cacheOptions);
+        res.setHeader('X-Report-Cache', run.cache);
+        return run.results;
+      };
+
+      if (wantExplain) {
+        // The generated SQL reveals the whole data model: type editors only
+        if (!(await checkGrant(pool, db, grants, 0, 0, 'WRITE', username))) {
+          return res.status(200).json({ error: t9n('insufficient_type_mod', getLocale(req, db)) });
+        }
+        return res.json(await profileReport(pool, db, report, filters, limit, offset, orderParam, reportUserCtx));
+      }
+
+      const results = await runReport(limit, offset, orderParam);
 
       // Format data for display
       const formattedData = results.data.map(row => {
@@ -10570,7 +11294,7 @@ router.all('/:db/report/:reportId?', async (req, res) => {
       // RECORD_COUNT: smartq.js calls ?JSON&RECORD_COUNT → {count: N}
       if (req.query.RECORD_COUNT !== undefined) {
         // Fetch all matching rows to get true count (no LIMIT)
-        const cntResults = await executeReport(pool, db, report, filters, 999999, 0, null, 0, reportUserCtx);
+        const cntResults = await runReport(999999, 0, null);
         return res.json({ count: cntResults.rownum });
       }
 
@@ -10580,7 +11304,7 @@ router.all('/:db/report/:reportId?', async (req, res) => {
       if (wantCsv) {
         let csvData = results.data;
         if (limit < 99999) {
-          const allResults = await executeReport(pool, db, report, filters, 999999, 0, orderParam, 0, reportUserCtx);
+          const allResults = await runReport(999999, 0, orderParam);
           csvData = allResults.data;
         }
 
@@ -10590,6 +11314,19 @@ router.all('/:db/report/:reportId?', async (req, res) => {
         return res.send(csv);
       }
 
+      // XLSX / ODS export: all rows like CSV, typed cells and the totals row
+      if (sheetFormat) {
+        let sheetResults = results;
+        if (limit < 99999) {
+          sheetResults = await runReport(999999, 0, orderParam);
+        }
+        const tzone = parseInt(params.tzone || '0', 10) || 0;
+        const file = await renderReportFile(report, sheetResults.data, sheetFormat, sheetResults.totals, tzone);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        return res.send(file.content);
+      }
+
       // PHP-compatible JSON output formats
       // PHP parity: field_names param filters output to specific columns only
       const fieldNamesParam = req.query.field_names || req.body?.field_names;
@@ -10658,111 +11395,623 @@ router.all('/:db/report/:reportId?', async (req, res) => {
         return res.json({ columns: cols, groups, totalCount: results.data.length });
       }
 
-      if (isApiRequest(req)) {
-        // PHP default JSON: column-major data[col_index][row_index]
-        // smartq.js getRep: iterates `for(i in json.data[0])` (rows of first col)
-        // smartq.js drawLine: uses `json.data[j][i]` (col j, row i)
-        // smartq.js drawFoot: checks 'totals' in json.columns[0] → embed totals in each column
-        const totalsMap = results.totals || {};
-        // Build column entries; for object/ref columns emit a hidden {name}ID companion column
-        // so smartq.js can set obj-id / ref-id attributes via zis.columns[col.name+'ID'].col
-        const colEntries = [];
-        for (const col of report.columns) {
-          colEntries.push({
-            def: {
-              id: String(col.id),
-              name: col.name,
-              // type = requisite type ID as string (PHP mysqli returns strings for DB integers)
-              type: String(col.reqTypeId || 0),
-              format: REV_BASE_TYPE[col.baseType] || 'CHARS',
-              align: col.align || 'LEFT',
-              totals: totalsMap[col.alias] !== undefined ? totalsMap[col.alias] : null,
-              // ref = truthy for reference columns; smartq uses ref-id vs obj-id
-              ref: col.isRef ? col.baseType : null,
-              // PHP parity: granted flag per column
-              granted: col.granted,
-            },
-            alias: col.alias,
-          });
-          // Companion hidden ID column: smartq detects name ending in 'ID' and sets ids[i]=0
-          if (col.isMainCol || col.isRef) {
-            colEntries.push({
-              def: {
-                id: col.id,          // truthy so smartq processes it in the ID detection branch
-                name: col.name + 'ID',
-                type: col.reqTypeId || 0,
-                format: 'CHARS',
-                align: 'LEFT',
-                totals: null,
-                ref: col.isRef ? col.baseType : null,
-              },
-              alias: col.alias + '_id',
-            });
-          }
-        }
-        const cols = colEntries.map(e => e.def);
-        // Column-major: data[column_index] = [row0_val, row1_val, ...]
-        const data = colEntries.map(e =>
-          results.data.map(row => row[e.alias] !== undefined ? row[e.alias] : '')
+      if (isApiRequest(req)) {
+        // PHP default JSON: column-major data[col_index][row_index]
+        // smartq.js getRep: iterates `for(i in json.data[0])` (rows of first col)
+        // smartq.js drawLine: uses `json.data[j][i]` (col j, row i)
+        // smartq.js drawFoot: checks 'totals' in json.columns[0] → embed totals in each column
+        const totalsMap = results.totals || {};
+        // Build column entries; for object/ref columns emit a hidden {name}ID companion column
+        // so smartq.js can set obj-id / ref-id attributes via zis.columns[col.name+'ID'].col
+        const colEntries = [];
+        for (const col of report.columns) {
+          colEntries.push({
+            def: {
+              id: String(col.id),
+              name: col.name,
+              // type = requisite type ID as string (PHP mysqli returns strings for DB integers)
+              type: String(col.reqTypeId || 0),
+              format: REV_BASE_TYPE[col.baseType] || 'CHARS',
+              align: col.align || 'LEFT',
+              totals: totalsMap[col.alias] !== undefined ? totalsMap[col.alias] : null,
+              // ref = truthy for reference columns; smartq uses ref-id vs obj-id
+              ref: col.isRef ? col.baseType : null,
+              // PHP parity: granted flag per column
+              granted: col.granted,
+            },
+            alias: col.alias,
+          });
+          // Companion hidden ID column: smartq detects name ending in 'ID' and sets ids[i]=0
+          if (col.isMainCol || col.isRef) {
+            colEntries.push({
+              def: {
+                id: col.id,          // truthy so smartq processes it in the ID detection branch
+                name: col.name + 'ID',
+                type: col.reqTypeId || 0,
+                format: 'CHARS',
+                align: 'LEFT',
+                totals: null,
+                ref: col.isRef ? col.baseType : null,
+              },
+              alias: col.alias + '_id',
+            });
+          }
+        }
+        const cols = colEntries.map(e => e.def);
+        // Column-major: data[column_index] = [row0_val, row1_val, ...]
+        const data = colEntries.map(e =>
+          results.data.map(row => row[e.alias] !== undefined ? row[e.alias] : '')
+        );
+        return res.json({ columns: cols, data, rownum: results.rownum });
+      }
+
+      // Non-API (browser) fallback — report.html reads json.columns and row-major json.data
+      const simpleCols = report.columns.map(col => ({
+        id: col.id, name: col.name, align: col.align || 'LEFT', granted: col.granted
+      }));
+      const rowData = results.data.map(row =>
+        report.columns.map(col => row[col.alias] !== undefined ? row[col.alias] : '')
+      );
+      const topTotals = report.columns.map(col =>
+        (results.totals || {})[col.alias] !== undefined ? (results.totals || {})[col.alias] : null
+      );
+      return res.json({
+        title: report.header,
+        columns: simpleCols,
+        data: rowData,
+        totals: topTotals,
+        rownum: results.rownum
+      });
+    }
+
+    // Return report definition only
+    logger.info('[Legacy report] Report metadata retrieved', { db, reportId: id });
+
+    if (isApiRequest(req)) {
+      return res.json({
+        id: report.id,
+        name: report.header,
+        val: report.header,
+        title: report.header,
+        columns: report.columns,
+        head: report.head,
+        types: report.types,
+      });
+    }
+
+    res.json({
+      report: {
+        id: report.id,
+        name: report.header,
+        columns: report.columns,
+        head: report.head,
+        types: report.types,
+        filters: report.filters
+      }
+    });
+  } catch (error) {
+    logger.error('[Legacy report] Error', { error: error.message, db });
+    res.status(200).json({ error: error.message  });
+  }
+});
+
+/**
+ * Report cache counters and per-report TTLs for the admin info page
+ * GET /:db/_report_cache
+ */
+router.get('/:db/_report_cache', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  try {
+    const pool = getPool();
+    const [reportRows] = await pool.query(
+      `SELECT id, val FROM \`${db}\` WHERE t = ${TYPE.REPORT} ORDER BY val`
+    );
+    const ttls = await loadReportCacheTtls(pool, db);
+    const stats = reportCache.stats(db);
+    const usage = new Map(stats.reports.map(r => [Number(r.reportId), r]));
+
+    const reports = reportRows.map(r => {
+      const id = Number(r.id);
+      const ttl = ttls.get(String(id)) ?? ttls.get(r.val) ?? null;
+      const used = usage.get(id) || { entries: 0, hits: 0, misses: 0, bypasses: 0, avgMs: 0 };
+      return {
+        id,
+        name: r.val,
+        ttl,
+        effectiveTtl: reportCache.enabled ? (ttl ?? stats.defaultTtl) : 0,
+        entries: used.entries,
+        hits: used.hits,
+        misses: used.misses,
+        bypasses: used.bypasses,
+        avgMs: used.avgMs,
+      };
+    }).sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses));
+
+    res.json({ ...stats, reports });
+  } catch (error) {
+    logger.error('[Legacy _report_cache] Stats error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Drop all cached reports of the database
+ * POST /:db/_report_cache/clear
+ */
+router.post('/:db/_report_cache/clear', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  const cleared = reportCache.clear(db);
+  reportCacheTtls.delete(db);
+  logger.info('[Legacy _report_cache] Cleared', { db, cleared });
+  res.json({ success: true, cleared });
+});
+
+/**
+ * Set the cache lifetime of a report (seconds, 0 = never cache)
+ * POST /:db/_report_cache/:reportId  { ttl }
+ */
+router.post('/:db/_report_cache/:reportId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const reportId = parseInt(req.params.reportId, 10);
+  const ttl = parseInt(req.body?.ttl ?? req.query.ttl, 10);
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+  if (!reportId) {
+    return res.status(200).json({ error: 'Invalid report id' });
+  }
+  if (!Number.isInteger(ttl) || ttl < 0) {
+    return res.status(200).json({ error: 'ttl must be a non-negative number of seconds' });
+  }
+
+  try {
+    const pool = getPool();
+    const [reportRows] = await pool.query(
+      `SELECT id FROM \`${db}\` WHERE id = ? AND t = ${TYPE.REPORT}`,
+      [reportId]
+    );
+    if (reportRows.length === 0) {
+      return res.status(200).json({ error: `Report ${reportId} not found` });
+    }
+
+    await saveReportCacheTtl(pool, db, reportId, ttl);
+    reportCacheTtls.delete(db);
+    reportCache.invalidateReport(db, reportId);
+    logger.info('[Legacy _report_cache] TTL set', { db, reportId, ttl });
+    res.json({ success: true, id: reportId, ttl });
+  } catch (error) {
+    logger.error('[Legacy _report_cache] TTL error', { error: error.message, db, reportId });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Calculated Requisites
+// Server-side formulas and rollups of requisites (see calculated-requisites.js).
+// Values are stored as ordinary requisite rows and recomputed from change
+// events once the server calls enableCalculatedRequisites().
+// ============================================================================
+
+const calculatedRequisites = createCalculatedRequisites({
+  getPool,
+  // Reports reading the recomputed type must not serve the old values
+  onRecompute: (db, typeId) => reportCache.invalidateTypes(db, [typeId]),
+  logger,
+});
+let calculatedRequisitesEnabled = false;
+
+/**
+ * Recompute calculated requisites after legacy mutations. Idempotent.
+ * @returns {Function} the change listener, to feed v2 events into it as well
+ */
+function enableCalculatedRequisites() {
+  if (!calculatedRequisitesEnabled) {
+    onLegacyChange(calculatedRequisites.handleChange);
+    calculatedRequisitesEnabled = true;
+  }
+  return calculatedRequisites.handleChange;
+}
+
+/**
+ * Formulas of the database with their dependencies and errors
+ * GET /:db/_calc
+ */
+router.get('/:db/_calc', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  try {
+    res.json({ requisites: await calculatedRequisites.list(db) });
+  } catch (error) {
+    logger.error('[Legacy _calc] List error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Set the formula of a requisite (empty removes it) and compute it for all objects
+ * POST /:db/_calc/:reqId  { formula }
+ */
+router.post('/:db/_calc/:reqId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const reqId = parseInt(req.params.reqId, 10);
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+  if (!reqId) {
+    return res.status(200).json({ error: 'Invalid requisite id' });
+  }
+
+  try {
+    const result = await calculatedRequisites.setFormula(db, reqId, req.body?.formula ?? req.query.formula);
+    logger.info('[Legacy _calc] Formula set', { db, reqId, formula: result.formula, changed: result.changed });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy _calc] Formula error', { error: error.message, db, reqId });
+    }
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Recompute a formula for all objects of its type
+ * POST /:db/_calc/:reqId/recompute
+ */
+router.post('/:db/_calc/:reqId/recompute', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const reqId = parseInt(req.params.reqId, 10);
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  try {
+    const result = await calculatedRequisites.recompute(db, reqId);
+    if (!result) {
+      return res.status(200).json({ error: `Requisite ${reqId} has no formula` });
+    }
+    res.json({ success: true, reqId, ...result });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy _calc] Recompute error', { error: error.message, db, reqId });
+    }
+    res.status(200).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Validation Rules
+// Declarative rules of requisites (see validation-rules.js), checked by
+// _m_new, _m_save and _m_set before anything is written; the v2 API and the
+// importer check them through validateRequisiteRules().
+// ============================================================================
+
+const validationRules = createValidationRules({
+  getPool,
+  // Submitted values, bounds and allowed values are compared as stored
+  normalize: (baseType, value) => String(formatVal(baseType, String(value))),
+  logger,
+});
+
+/**
+ * Check the rules of an object's type against the values a legacy edit is
+ * about to write.
+ *
+ * @param {Object} req - for built-ins like [TODAY] in submitted values
+ * @param {string} db
+ * @param {Object} target - { typeId, objectId, parentId, value }
+ * @param {Object} attributes - extractAttributes() of the request
+ * @returns {Promise<Object|null>} { error, errors } to respond with, null when valid
+ */
+async function ruleViolations(req, db, target, attributes = {}) {
+  const tzone = parseInt(req.body?.tzone || req.query?.tzone || '0', 10);
+  const values = {};
+  for (const [reqId, raw] of Object.entries(attributes)) {
+    values[reqId] = resolveBuiltIn(String(raw ?? ''), req.legacyUser || {}, db, tzone, req.ip || '', req.headers || {});
+  }
+  const errors = await validationRules.validate(db, { ...target, values });
+  return errors.length > 0 ? { error: errors.map(e => e.message).join('; '), errors } : null;
+}
+
+/**
+ * Rule check for writers outside the legacy routes (v2 ObjectService, importer).
+ * @param {string} db
+ * @param {Object} target - { typeId, objectId, parentId, value, requisites }
+ * @throws {ValidationError} fields: { t<id>: message }
+ */
+function validateRequisiteRules(db, { requisites, ...target }) {
+  return validationRules.assertValid(db, { ...target, values: requisites || {} });
+}
+
+/**
+ * Rules of the database, grouped by requisite
+ * GET /:db/_rules
+ */
+router.get('/:db/_rules', legacyAuthMiddleware, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  try {
+    res.json({ rules: await validationRules.list(db) });
+  } catch (error) {
+    logger.error('[Legacy _rules] List error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Replace the rules of a requisite, or of a type's own value (empty list removes them)
+ * POST /:db/_rules/:targetId  { rules: JSON [{ kind, param, message }] }
+ */
+router.post('/:db/_rules/:targetId', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+  const targetId = parseInt(req.params.targetId, 10);
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+  if (!targetId) {
+    return res.status(200).json({ error: 'Invalid requisite id' });
+  }
+
+  try {
+    let rules = req.body?.rules ?? [];
+    if (typeof rules === 'string') {
+      try {
+        rules = rules.trim() ? JSON.parse(rules) : [];
+      } catch {
+        return res.status(200).json({ error: 'Invalid rules JSON' });
+      }
+    }
+    const stored = await validationRules.setRules(db, targetId, rules);
+    logger.info('[Legacy _rules] Rules set', { db, targetId, count: stored.length });
+    res.json({ success: true, targetId, rules: stored });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('[Legacy _rules] Save error', { error: error.message, db, targetId });
+    }
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/** Object ids per IN (...) list in spreadsheet exports */
+const EXPORT_CHUNK_SIZE = 1000;
+/** Levels of subordinate tables exported as extra sheets */
+const EXPORT_MAX_DEPTH = 3;
+/** Types whose values never leave the server in an export, whatever their base type */
+const EXPORT_SECRET_TYPES = new Set([TYPE.PASSWORD, TYPE.TOKEN, TYPE.XSRF, TYPE.SECRET]);
+
+/** Passwords, tokens and PWD-based requisites (TOTP keys) are exported blank */
+function isExportSecret(typeId, baseType) {
+  return Number(baseType) === TYPE.PWD || EXPORT_SECRET_TYPES.has(Number(typeId));
+}
+
+/**
+ * May the user export a type: EXPORT on the root or on the type (PHP
+ * backup rule), plus READ on it (Grant_1level).
+ */
+async function canExportType(pool, db, user, typeId) {
+  const { grants = {}, username = '' } = user;
+  if (!grants.EXPORT?.[1] && !grants.EXPORT?.[typeId] &&
+      (grants.API_KEY || (username.toLowerCase() !== 'admin' && username !== db))) {
+    return false;
+  }
+  return !!await grant1Level(pool, db, grants, typeId, username);
+}
+
+/** Is a value hidden from the user by a mask of its type (Check_Val_granted) */
+async function exportBarred(pool, db, grants, t, val, id) {
+  return !!grants.mask?.[t] && await checkValGranted(pool, db, grants, t, val, id) === 'BARRED';
+}
+
+/**
+ * Sheets of a type export: the type's objects, then one sheet per subordinate
+ * table (recursively), each row carrying its parent object's value.
+ *
+ * Only what the user may read goes out: a subordinate table with a BARRED
+ * grant of its own is left out, objects and values hidden by role masks are
+ * dropped, and secrets (see isExportSecret) are blank.
+ *
+ * @param {object} pool
+ * @param {string} db
+ * @param {number} typeId - checked with canExportType() by the caller
+ * @param {object} [options]
+ * @param {number} [options.tzone] - user time zone offset, seconds
+ * @param {object} [options.user] - req.legacyUser ({ username, grants })
+ * @returns {Promise<object[]>} sheets for buildSpreadsheet()
+ */
+async function loadExportSheets(pool, db, typeId, { tzone = 0, user = {} } = {}) {
+  const sheets = [];
+  const grants = user.grants || {};
+  const admin = (user.username || '').toLowerCase() === 'admin' && !grants.API_KEY;
+
+  const chunks = (ids) => {
+    const list = [];
+    for (let i = 0; i < ids.length; i += EXPORT_CHUNK_SIZE) list.push(ids.slice(i, i + EXPORT_CHUNK_SIZE));
+    return list;
+  };
+
+  async function addTable(tableTypeId, parent, depth) {
+    const [typeRows] = await pool.query(
+      `SELECT id, val, t FROM \`${db}\` WHERE id = ? AND up = 0`,
+      [tableTypeId]
+    );
+    if (typeRows.length === 0) throw new Error(`Type ${tableTypeId} not found`);
+    const type = typeRows[0];
+
+    // Same requisite layout as the object list: ref_id for references,
+    // arr_id for subordinate tables
+    const [defs] = await pool.query(
+      `SELECT a.id, a.val AS attrs, typs.id AS type_id,
+              CASE WHEN refs.id IS NULL THEN typs.val ELSE refs.val END AS type_val,
+              CASE WHEN refs.id IS NULL THEN typs.t ELSE refs.t END AS base_typ,
+              refs.id AS ref_id, arrs.id AS arr_id
+       FROM \`${db}\` a
+       JOIN \`${db}\` typs ON typs.id = a.t
+       LEFT JOIN \`${db}\` refs ON refs.id = typs.t AND refs.t != refs.id
+       LEFT JOIN \`${db}\` arrs ON refs.id IS NULL AND arrs.up = typs.id AND arrs.ord = 1
+       WHERE a.up = ? ORDER BY a.ord`,
+      [tableTypeId]
+    );
+    const requisites = defs.filter(d => d.arr_id == null).map(d => ({
+      id: Number(d.id),
+      name: String(d.attrs || '').replace(/:ALIAS=[^:]+:/g, '').replace(/:!NULL:/g, '').replace(/:MULTI:/g, '').trim()
+        || d.type_val,
+      baseType: d.ref_id != null ? TYPE.SHORT : Number(d.base_typ),
+      isRef: d.ref_id != null,
+      secret: d.ref_id == null && (isExportSecret(d.type_id, d.base_typ) || isExportSecret(d.id, 0)),
+    }));
+    // A subordinate table follows its parent's grant unless it has one of its own
+    const subTables = defs
+      .filter(d => d.arr_id != null)
+      .map(d => Number(d.type_id))
+      .filter(id => admin || !grants[id] || grants[id] === 'READ' || grants[id] === 'WRITE');
+    const secretValue = isExportSecret(type.id, type.t);
+
+    // Objects: top-level ones hang off row 1 or another object, never off a
+    // type definition (requisite rows that point to this type)
+    let objects = [];
+    if (parent) {
+      for (const ids of chunks(parent.ids)) {
+        const [rows] = await pool.query(
+          `SELECT id, val, up FROM \`${db}\` WHERE t = ? AND up IN (${ids.map(() => '?').join(',')}) ORDER BY up, ord, id`,
+          [tableTypeId, ...ids]
         );
-        return res.json({ columns: cols, data, rownum: results.rownum });
+        objects.push(...rows);
       }
-
-      // Non-API (browser) fallback — report.html reads json.columns and row-major json.data
-      const simpleCols = report.columns.map(col => ({
-        id: col.id, name: col.name, align: col.align || 'LEFT', granted: col.granted
-      }));
-      const rowData = results.data.map(row =>
-        report.columns.map(col => row[col.alias] !== undefined ? row[col.alias] : '')
-      );
-      const topTotals = report.columns.map(col =>
-        (results.totals || {})[col.alias] !== undefined ? (results.totals || {})[col.alias] : null
+    } else {
+      [objects] = await pool.query(
+        `SELECT o.id, o.val, o.up FROM \`${db}\` o
+         JOIN \`${db}\` p ON p.id = o.up
+         WHERE o.t = ? AND (o.up = 1 OR p.up != 0)
+         ORDER BY o.ord, o.id`,
+        [tableTypeId]
       );
-      return res.json({
-        title: report.header,
-        columns: simpleCols,
-        data: rowData,
-        totals: topTotals,
-        rownum: results.rownum
-      });
     }
-
-    // Return report definition only
-    logger.info('[Legacy report] Report metadata retrieved', { db, reportId: id });
-
-    if (isApiRequest(req)) {
-      return res.json({
-        id: report.id,
-        name: report.header,
-        val: report.header,
-        title: report.header,
-        columns: report.columns,
-        head: report.head,
-        types: report.types,
-      });
+    if (grants.mask?.[tableTypeId]) {
+      const visible = [];
+      for (const o of objects) {
+        if (!await exportBarred(pool, db, grants, tableTypeId, o.val, o.id)) visible.push(o);
+      }
+      objects = visible;
     }
 
-    res.json({
-      report: {
-        id: report.id,
-        name: report.header,
-        columns: report.columns,
-        head: report.head,
-        types: report.types,
-        filters: report.filters
+    // Requisite values: plain ones are keyed by t = requisite id, references
+    // store the requisite id in val and the referenced object in t
+    const values = new Map(objects.map(o => [Number(o.id), {}]));
+    const reqIds = new Set(requisites.filter(r => !r.isRef && !r.secret).map(r => r.id));
+    const refReqIds = new Set(requisites.filter(r => r.isRef).map(r => String(r.id)));
+    const refNames = new Map();
+    const append = (objId, reqId, value) => {
+      const objValues = values.get(objId);
+      (objValues[reqId] = objValues[reqId] || []).push(value);
+    };
+    for (const ids of chunks([...values.keys()])) {
+      if (requisites.length === 0) break;
+      const [rows] = await pool.query(
+        `SELECT up, t, val FROM \`${db}\` WHERE up IN (${ids.map(() => '?').join(',')}) ORDER BY up, ord, id`,
+        ids
+      );
+      for (const row of rows) {
+        const objId = Number(row.up);
+        if (reqIds.has(Number(row.t))) {
+          append(objId, Number(row.t), row.val);
+        } else if (refReqIds.has(String(row.val))) {
+          refNames.set(Number(row.t), '');
+          append(objId, Number(row.val), Number(row.t));
+        }
+      }
+    }
+    for (const ids of chunks([...refNames.keys()])) {
+      const [rows] = await pool.query(
+        `SELECT id, val FROM \`${db}\` WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+      );
+      for (const row of rows) refNames.set(Number(row.id), row.val);
+    }
+    for (const r of requisites.filter(req => grants.mask?.[req.id])) {
+      for (const objValues of values.values()) {
+        if (!objValues[r.id]) continue;
+        const visible = [];
+        for (const value of objValues[r.id]) {
+          const barred = r.isRef
+            ? await exportBarred(pool, db, grants, r.id, refNames.get(value), value)
+            : await exportBarred(pool, db, grants, r.id, value, 0);
+          if (!barred) visible.push(value);
+        }
+        objValues[r.id] = visible.length > 0 ? visible : undefined;
+      }
+    }
+
+    const columns = [{ name: 'ID', type: 'number' }];
+    if (parent) columns.push({ name: parent.name, type: 'string' });
+    columns.push({ name: type.val, type: sheetCellType(type.t) });
+    columns.push(...requisites.map(r => ({ name: r.name, type: sheetCellType(r.baseType) })));
+
+    const rows = objects.map(o => {
+      const objValues = values.get(Number(o.id));
+      const row = [Number(o.id)];
+      if (parent) row.push(parent.values.get(Number(o.up)) ?? null);
+      row.push(secretValue ? null : sheetCellValue(type.t, o.val, tzone));
+      for (const r of requisites) {
+        const list = objValues[r.id];
+        if (!list) {
+          row.push(null);
+        } else if (r.isRef) {
+          row.push(list.map(refId => refNames.get(refId)).join(', '));
+        } else {
+          // Multi-valued requisites are exported as one text cell
+          row.push(list.length === 1 ? sheetCellValue(r.baseType, list[0], tzone) : list.join(', '));
+        }
       }
+      return row;
     });
-  } catch (error) {
-    logger.error('[Legacy report] Error', { error: error.message, db });
-    res.status(200).json({ error: error.message  });
+    sheets.push({ name: type.val, columns, rows });
+
+    if (depth < EXPORT_MAX_DEPTH && objects.length > 0) {
+      const current = {
+        name: type.val,
+        ids: objects.map(o => Number(o.id)),
+        values: new Map(objects.map(o => [Number(o.id), secretValue ? null : formatValView(type.t, o.val, tzone)])),
+      };
+      for (const subTypeId of subTables) {
+        if (subTypeId !== tableTypeId) await addTable(subTypeId, current, depth + 1);
+      }
+    }
   }
-});
+
+  await addTable(typeId, null, 0);
+  return sheets;
+}
 
 /**
  * Export data endpoint with full requisite support
  * GET /:db/export/:typeId
+ * format: csv (default) | json | xlsx | ods; tzone - offset for dates, seconds
+ *
+ * Needs EXPORT and READ on the type (canExportType); objects and values
+ * hidden by role masks are left out and secrets are exported blank.
  */
-router.get('/:db/export/:typeId', async (req, res) => {
+router.get('/:db/export/:typeId', legacyAuthMiddleware, async (req, res) => {
   const { db, typeId } = req.params;
   const { format = 'csv', include_reqs = '1' } = req.query;
 
@@ -10773,10 +12022,34 @@ router.get('/:db/export/:typeId', async (req, res) => {
   try {
     const pool = getPool();
     const type = parseInt(typeId, 10);
+    const user = req.legacyUser;
+    const grants = user.grants || {};
+
+    if (!await canExportType(pool, db, user, type)) {
+      logger.warn('[Legacy export] Refused', { db, typeId: type, user: user.username });
+      return res.status(200).json({ error: 'You do not have permission to export' });
+    }
+
+    // XLSX / ODS: one sheet for the type plus one per subordinate table
+    if (format === 'xlsx' || format === 'ods') {
+      const tzone = parseInt(req.query.tzone || '0', 10) || 0;
+      const sheets = await loadExportSheets(pool, db, type, { tzone, user });
+      const content = buildSpreadsheet(format, sheets);
+
+      res.setHeader('Content-Type', SPREADSHEET_TYPES[format]);
+      res.setHeader('Content-Disposition', `attachment; filename=${db}_type_${typeId}.${format}`);
+
+      logger.info('[Legacy export] Data exported', {
+        db, typeId: type, format, sheets: sheets.length, count: sheets[0].rows.length,
+      });
+      return res.send(content);
+    }
 
     // Get type requisites for header
     const [reqRows] = await pool.query(
-      `SELECT id, val, t FROM ${db} WHERE up = ? ORDER BY ord`,
+      `SELECT a.id, a.val, a.t, typs.t AS base_typ FROM ${db} a
+       LEFT JOIN ${db} typs ON typs.id = a.t
+       WHERE a.up = ? ORDER BY a.ord`,
       [type]
     );
 
@@ -10787,15 +12060,20 @@ router.get('/:db/export/:typeId', async (req, res) => {
         id: r.id,
         name: r.val.replace(/:ALIAS=[^:]+:/g, '').replace(/:!NULL:/g, '').replace(/:MULTI:/g, '').trim(),
         alias: aliasMatch ? aliasMatch[1] : null,
-        type: r.t
+        type: r.t,
+        secret: isExportSecret(r.t, r.base_typ) || isExportSecret(r.id, 0),
       };
     });
 
-    // Get objects of the type
-    const [rows] = await pool.query(
+    // Get objects of the type, less those hidden by the role's masks
+    const [allRows] = await pool.query(
       `SELECT id, val, up, ord FROM ${db} WHERE t = ? ORDER BY ord`,
       [type]
     );
+    const rows = [];
+    for (const row of allRows) {
+      if (!await exportBarred(pool, db, grants, type, row.val, row.id)) rows.push(row);
+    }
 
     // If include requisites, fetch all requisite values
     let exportData = rows;
@@ -10810,8 +12088,11 @@ router.get('/:db/export/:typeId', async (req, res) => {
         );
 
         // Build a map of requisite values per object
+        const secrets = new Set(requisites.filter(r => r.secret).map(r => Number(r.id)));
         const reqValueMap = {};
         for (const rv of reqValues) {
+          if (secrets.has(Number(rv.req_type))) continue;
+          if (await exportBarred(pool, db, grants, rv.req_type, rv.val, 0)) continue;
           if (!reqValueMap[rv.obj_id]) reqValueMap[rv.obj_id] = {};
           reqValueMap[rv.obj_id][rv.req_type] = rv.val;
         }
@@ -11250,137 +12531,291 @@ function formatReportCsv(report, rows, reportId) {
   return { csv, filename };
 }
 
+/**
+ * Build a ZIP file containing one entry (see api/utils/zip-archive.js).
+ * @param {string} entryName - filename inside the ZIP
+ * @param {Buffer|string} content - file content
+ * @returns {Buffer}
+ */
+function buildZip(entryName, content) {
+  return buildZipArchive([{ name: entryName, content }]);
+}
+
 // ============================================================================
-// Minimal ZIP builder (no external dependencies — uses Node built-in zlib)
-// Produces a valid ZIP with a single deflated entry.
+// Scheduled reports
+// Schedules are objects of the "Расписание отчёта" type; the scheduler itself
+// lives in api/utils/report-scheduler.js, this section runs the report for it
+// under the schedule owner's grants.
 // ============================================================================
 
-const CRC32_TABLE = (() => {
-  const t = new Uint32Array(256);
-  for (let i = 0; i < 256; i++) {
-    let c = i;
-    for (let j = 0; j < 8; j++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
-    t[i] = c;
+const REPORT_FILE_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf',
+  ...SPREADSHEET_TYPES,
+};
+
+/**
+ * Render report rows as a PDF table (landscape A4, header repeated per page).
+ * The built-in PDF fonts have no Cyrillic glyphs: set REPORT_PDF_FONT to a
+ * TTF file (e.g. DejaVuSans.ttf) to embed it.
+ */
+async function formatReportPdf(report, columns, rows) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  if (process.env.REPORT_PDF_FONT) {
+    doc.addFileToVFS('report-font.ttf', fs.readFileSync(process.env.REPORT_PDF_FONT).toString('base64'));
+    doc.addFont('report-font.ttf', 'ReportFont', 'normal');
+    doc.setFont('ReportFont');
+  }
+
+  const margin = 30;
+  const lineHeight = 12;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const colWidth = (pageWidth - margin * 2) / Math.max(columns.length, 1);
+  const cellText = (val) => doc.splitTextToSize(val === null || val === undefined ? '' : String(val), colWidth - 4)[0] || '';
+
+  let y = margin;
+  const drawRow = (cells) => {
+    cells.forEach((text, i) => doc.text(cellText(text), margin + i * colWidth, y));
+    y += lineHeight;
+  };
+  const drawHeader = () => {
+    doc.setFontSize(8);
+    drawRow(columns.map(c => c.name));
+    doc.line(margin, y - lineHeight + 3, pageWidth - margin, y - lineHeight + 3);
+  };
+
+  doc.setFontSize(12);
+  doc.text(report.header || `Report ${report.id}`, margin, y);
+  y += lineHeight * 2;
+  drawHeader();
+  for (const row of rows) {
+    if (y > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+      drawHeader();
+    }
+    drawRow(columns.map(c => row[c.alias]));
   }
-  return t;
-})();
+  return Buffer.from(doc.output('arraybuffer'));
+}
 
-function crc32(buf) {
-  let crc = 0xFFFFFFFF;
-  for (let i = 0; i < buf.length; i++) crc = CRC32_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
-  return (crc ^ 0xFFFFFFFF) >>> 0;
+/**
+ * Report as a spreadsheet sheet: typed cells by column base type, and the
+ * totals row when the report has totals.
+ *
+ * @param {object}   report  - compiled report
+ * @param {object[]} columns - columns to output
+ * @param {object[]} rows    - executeReport() data
+ * @param {object}   [totals] - executeReport() totals by alias
+ * @param {number}   [tzone] - user time zone offset, seconds
+ * @returns {object} sheet for buildSpreadsheet()
+ */
+function reportSheet(report, columns, rows, totals = {}, tzone = 0) {
+  const COUNTING_FUNCS = new Set(['COUNT', 'SUM', 'AVG']);
+  const types = columns.map(c => (COUNTING_FUNCS.has(String(c.func || '').toUpperCase()) ? TYPE.SIGNED : c.baseType));
+  const sheet = {
+    name: report.header || `Report ${report.id}`,
+    columns: columns.map((c, i) => ({ name: c.name, type: sheetCellType(types[i]) })),
+    rows: rows.map(row => columns.map((c, i) => sheetCellValue(types[i], row[c.alias], tzone))),
+  };
+  if (columns.some(c => totals[c.alias] !== undefined)) {
+    sheet.totals = columns.map(c => (totals[c.alias] === undefined ? null : totals[c.alias]));
+    if (sheet.totals[0] === null) sheet.totals[0] = 'Итого';
+  }
+  return sheet;
 }
 
 /**
- * Build a minimal valid ZIP file containing one entry.
- * @param {string} entryName - filename inside the ZIP
- * @param {Buffer|string} content - file content
- * @returns {Buffer}
- */
-function buildZip(entryName, content) {
-  const buf = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
-  const compressed = zlib.deflateRawSync(buf);
-  const fileCrc = crc32(buf);
-  const nameBuf = Buffer.from(entryName, 'utf8');
-
-  const now = new Date();
-  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
-  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
-
-  // Local file header (30 bytes + filename)
-  const lfh = Buffer.alloc(30 + nameBuf.length);
-  lfh.writeUInt32LE(0x04034b50, 0);
-  lfh.writeUInt16LE(20, 4);
-  lfh.writeUInt16LE(0, 6);
-  lfh.writeUInt16LE(8, 8);          // method: deflate
-  lfh.writeUInt16LE(dosTime, 10);
-  lfh.writeUInt16LE(dosDate, 12);
-  lfh.writeUInt32LE(fileCrc, 14);
-  lfh.writeUInt32LE(compressed.length, 18);
-  lfh.writeUInt32LE(buf.length, 22);
-  lfh.writeUInt16LE(nameBuf.length, 26);
-  lfh.writeUInt16LE(0, 28);
-  nameBuf.copy(lfh, 30);
-
-  const dataOffset = 0;
-
-  // Central directory header (46 bytes + filename)
-  const cdh = Buffer.alloc(46 + nameBuf.length);
-  cdh.writeUInt32LE(0x02014b50, 0);
-  cdh.writeUInt16LE(20, 4);
-  cdh.writeUInt16LE(20, 6);
-  cdh.writeUInt16LE(0, 8);
-  cdh.writeUInt16LE(8, 10);
-  cdh.writeUInt16LE(dosTime, 12);
-  cdh.writeUInt16LE(dosDate, 14);
-  cdh.writeUInt32LE(fileCrc, 16);
-  cdh.writeUInt32LE(compressed.length, 20);
-  cdh.writeUInt32LE(buf.length, 24);
-  cdh.writeUInt16LE(nameBuf.length, 28);
-  cdh.writeUInt16LE(0, 30);
-  cdh.writeUInt16LE(0, 32);
-  cdh.writeUInt16LE(0, 34);
-  cdh.writeUInt16LE(0, 36);
-  cdh.writeUInt32LE(0, 38);
-  cdh.writeUInt32LE(dataOffset, 42);
-  nameBuf.copy(cdh, 46);
-
-  const cdOffset = lfh.length + compressed.length;
-
-  // End of central directory (22 bytes)
-  const eocd = Buffer.alloc(22);
-  eocd.writeUInt32LE(0x06054b50, 0);
-  eocd.writeUInt16LE(0, 4);
-  eocd.writeUInt16LE(0, 6);
-  eocd.writeUInt16LE(1, 8);
-  eocd.writeUInt16LE(1, 10);
-  eocd.writeUInt32LE(cdh.length, 12);
-  eocd.writeUInt32LE(cdOffset, 16);
-  eocd.writeUInt16LE(0, 20);
-
-  return Buffer.concat([lfh, compressed, cdh, eocd]);
+ * Render executed report rows as a downloadable / attachable file.
+ *
+ * @param {object}   report - compiled report
+ * @param {object[]} rows   - executeReport() data
+ * @param {string}   format - csv | xlsx | ods | pdf
+ * @param {object}   [totals] - executeReport() totals (spreadsheets only)
+ * @param {number}   [tzone] - user time zone offset, seconds
+ * @returns {Promise<{ filename: string, content: Buffer, contentType: string }>}
+ */
+async function renderReportFile(report, rows, format, totals = {}, tzone = 0) {
+  // Only granted, visible columns reach the recipients
+  const columns = report.columns.filter(c => c.granted !== false && !c.hidden);
+  const basename = `report_${report.id}`;
+
+  if (format === 'xlsx' || format === 'ods') {
+    return {
+      filename: `${basename}.${format}`,
+      content: buildSpreadsheet(format, [reportSheet(report, columns, rows, totals, tzone)]),
+      contentType: REPORT_FILE_TYPES[format],
+    };
+  }
+  if (format === 'pdf') {
+    return {
+      filename: `${basename}.pdf`,
+      content: await formatReportPdf(report, columns, rows),
+      contentType: REPORT_FILE_TYPES.pdf,
+    };
+  }
+  const { csv, filename } = formatReportCsv({ ...report, columns }, rows, report.id);
+  return { filename, content: Buffer.from(csv, 'utf8'), contentType: REPORT_FILE_TYPES.csv };
+}
+
+/** User row with role, looked up by login (same shape as legacyAuthMiddleware) */
+async function findUserByName(pool, db, username) {
+  const [rows] = await pool.query(
+    `SELECT u.id uid, u.val uname, role_def.val role_val, role_def.id roleId, email.val email
+     FROM ${db} u
+     LEFT JOIN (${db} r CROSS JOIN ${db} role_def)
+       ON r.up=u.id AND role_def.id=r.t AND role_def.t=${TYPE.ROLE}
+     LEFT JOIN ${db} email ON email.up=u.id AND email.t=${TYPE.EMAIL}
+     WHERE u.t=${TYPE.USER} AND u.val=?
+     LIMIT 1`,
+    [username]
+  );
+  return rows[0] || null;
 }
 
 /**
- * Read entries from a ZIP buffer. Supports stored (method 0) and deflate (method 8).
- * @param {Buffer} buf - ZIP file buffer
- * @returns {Array<{name: string, content: Buffer}>}
+ * Compile and execute a scheduled report as its owner.
+ * Used as runReport() of the report scheduler.
+ *
+ * @param {string} db
+ * @param {object} schedule - loadSchedules() entry
+ * @param {object} params   - FR_/TO_/EQ_/LIKE_ filters, WHERE, ORDER
+ * @returns {Promise<object>} { filename, content, contentType, rows, reportName }
  */
-function readZip(buf) {
-  // Find End of Central Directory signature (search backwards)
-  let eocdOffset = -1;
-  for (let i = buf.length - 22; i >= 0; i--) {
-    if (buf.readUInt32LE(i) === 0x06054b50) { eocdOffset = i; break; }
+async function runScheduledReport(db, schedule, params) {
+  const pool = getPool();
+
+  let reportId = /^\d+$/.test(schedule.report) ? parseInt(schedule.report, 10) : null;
+  if (!reportId) {
+    const [nameRows] = await pool.query(
+      `SELECT id FROM \`${db}\` WHERE val = ? AND t = ${TYPE.REPORT} LIMIT 1`,
+      [schedule.report]
+    );
+    reportId = nameRows[0]?.id || null;
+  }
+  const report = reportId ? await compileReport(pool, db, reportId) : null;
+  if (!report) throw new Error(`Отчёт не найден: ${schedule.report}`);
+
+  const owner = await findUserByName(pool, db, schedule.owner);
+  if (!owner) throw new Error(`Пользователь не найден: ${schedule.owner}`);
+  const roleId = owner.roleId || 0;
+  const grants = roleId ? await getGrants(pool, db, roleId, {
+    username: owner.uname, uid: owner.uid, role: (owner.role_val || '').toLowerCase(), roleId,
+  }) : {};
+  for (const col of report.columns) {
+    col.granted = await checkGrant(pool, db, grants, col.reqTypeId, 0, 'READ', owner.uname);
+  }
+  if (!report.columns.some(c => c.granted !== false)) {
+    throw new Error(`У пользователя ${owner.uname} нет доступа к колонкам отчёта`);
   }
-  if (eocdOffset < 0) throw new Error('Not a valid ZIP file');
 
-  const cdCount  = buf.readUInt16LE(eocdOffset + 10);
-  const cdOffset = buf.readUInt32LE(eocdOffset + 16);
+  const filters = parseReportFilters(report, params);
+  if (params.WHERE) filters._where = params.WHERE;
+  const userCtx = {
+    username: owner.uname,
+    uid: owner.uid,
+    role: (owner.role_val || '').toLowerCase(),
+    roleId,
+    tzone: 0,
+  };
+  const results = await executeReport(pool, db, report, filters, 999999, 0, params.ORDER || null, 0, userCtx);
+  const file = await renderReportFile(report, results.data, schedule.format, results.totals);
+
+  return { ...file, rows: results.data.length, reportName: report.header };
+}
 
-  const entries = [];
-  let pos = cdOffset;
-  for (let i = 0; i < cdCount; i++) {
-    if (buf.readUInt32LE(pos) !== 0x02014b50) break;
-    const method     = buf.readUInt16LE(pos + 10);
-    const compSize   = buf.readUInt32LE(pos + 20);
-    const nameLen    = buf.readUInt16LE(pos + 28);
-    const extraLen   = buf.readUInt16LE(pos + 30);
-    const commentLen = buf.readUInt16LE(pos + 32);
-    const localOff   = buf.readUInt32LE(pos + 42);
-    const name       = buf.slice(pos + 46, pos + 46 + nameLen).toString('utf8');
+/** Whether a user has DDL rights in a database (may run any schedule) */
+async function isScheduleAdmin(db, username) {
+  const pool = getPool();
+  const user = await findUserByName(pool, db, username);
+  if (!user) return false;
+  const roleId = user.roleId || 0;
+  const grants = roleId ? await getGrants(pool, db, roleId, {
+    username: user.uname, uid: user.uid, role: (user.role_val || '').toLowerCase(), roleId,
+  }) : {};
+  return !!(await checkGrant(pool, db, grants, 0, 0, 'WRITE', user.uname));
+}
 
-    // Local file header: 30 bytes fixed + name + extra
-    const lfhExtraLen = buf.readUInt16LE(localOff + 28);
-    const dataStart   = localOff + 30 + nameLen + lfhExtraLen;
-    const compData    = buf.slice(dataStart, dataStart + compSize);
+let reportScheduler = null;
 
-    const content = method === 0 ? compData : zlib.inflateRawSync(compData);
-    entries.push({ name, content });
-    pos += 46 + nameLen + extraLen + commentLen;
+/**
+ * The report scheduler bound to this module's pool, report engine and mailer.
+ * Created on first use; src/index.js starts it with the server. Legacy edits
+ * of schedules are fed to its handleChange() from then on.
+ */
+function getReportScheduler() {
+  if (!reportScheduler) {
+    reportScheduler = createReportScheduler({
+      getPool,
+      runReport: runScheduledReport,
+      sendMail,
+      getOwnerEmail: async (db, username) => (await findUserByName(getPool(), db, username))?.email || null,
+      isAdmin: isScheduleAdmin,
+      logger,
+    });
+    onLegacyChange(reportScheduler.handleChange);
   }
-  return entries;
+  return reportScheduler;
 }
 
+/**
+ * Provision the schedule type and run history table in a database
+ * POST /:db/_schedule/setup
+ */
+router.post('/:db/_schedule/setup', legacyAuthMiddleware, legacyXsrfCheck, legacyDdlGrantCheck, async (req, res) => {
+  const { db } = req.params;
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  try {
+    const types = await ensureScheduleTypes(getPool(), db);
+    logger.info('[Legacy _schedule] Schedule types ready', { db, scheduleTypeId: types.scheduleTypeId });
+    res.json({ success: true, ...types });
+  } catch (error) {
+    logger.error('[Legacy _schedule] Setup error', { error: error.message, db });
+    res.status(200).json({ error: error.message });
+  }
+});
+
+/**
+ * Run a schedule immediately (e.g. to check recipients and format)
+ * POST /:db/_schedule/:id/run
+ *
+ * Only the schedule owner or a user with DDL rights may trigger it.
+ */
+router.post('/:db/_schedule/:id/run', legacyAuthMiddleware, legacyXsrfCheck, async (req, res) => {
+  const { db } = req.params;
+  const id = parseInt(req.params.id, 10);
+
+  if (!isValidDbName(db)) {
+    return res.status(200).json({ error: 'Invalid database' });
+  }
+
+  try {
+    const pool = getPool();
+    const types = await findScheduleTypes(pool, db);
+    const [schedule] = types ? await loadSchedules(pool, db, types, id) : [];
+    if (!schedule) {
+      return res.status(200).json({ error: `Schedule ${req.params.id} not found` });
+    }
+
+    const { username, grants } = req.legacyUser || {};
+    if (schedule.owner !== username && !(await checkGrant(pool, db, grants || {}, 0, 0, 'WRITE', username || ''))) {
+      return res.status(200).json({ error: 'Only the schedule owner can run it' });
+    }
+
+    const run = await getReportScheduler().runSchedule(db, schedule, types);
+    res.json({ success: run.status === 'ok', ...run });
+  } catch (error) {
+    logger.error('[Legacy _schedule] Run error', { error: error.message, db, id });
+    res.status(200).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // backup - Binary dump export (P0 Critical)
 // PHP: index.php lines 4239–4284
@@ -12403,6 +13838,16 @@ export {
   constructWhere,
   formatDateForStorage,
   sendMail,
+  onLegacyChange,
+  getReportScheduler,
+  reportCache,
+  getSharedDriver,
+  enableCalculatedRequisites,
+  validateRequisiteRules,
+  apiKeys,
+  loginThrottle,
+  sessions,
+  oidc,
 };
 
 export default router;
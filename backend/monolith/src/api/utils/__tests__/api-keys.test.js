@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  createApiKeys,
+  isApiKey,
+  hashApiKey,
+  parseIpList,
+  ipAllowed,
+} from '../api-keys.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * In-memory id/up/ord/t/val table for the simple SELECT / INSERT / UPDATE /
+ * DELETE statements of legacy-schema.js and api-keys.js, plus its two joins.
+ */
+function createPool(rows) {
+  let nextId = 5000;
+  const byId = id => rows.find(r => r.id === Number(id));
+
+  function simple(sql, params) {
+    const clause = /WHERE (.*?)(?: ORDER BY| LIMIT|$)/s.exec(sql)?.[1] || '';
+    let p = 0;
+    const tests = clause.split(' AND ').map((cond) => {
+      let m;
+      if ((m = /^(\w+) IN \(([?, ]+)\)$/.exec(cond))) {
+        const values = params.slice(p, p += m[2].split(',').length);
+        return r => values.some(v => v == r[m[1]]);
+      }
+      if ((m = /^(\w+) = \?$/.exec(cond))) {
+        const value = params[p++];
+        return r => r[m[1]] == value;
+      }
+      if ((m = /^(\w+) = (\d+)$/.exec(cond))) return r => r[m[1]] == Number(m[2]);
+      if (cond === 'id != t') return r => r.id !== r.t;
+      throw new Error(`Unexpected condition: ${cond}`);
+    });
+    return rows.filter(r => tests.every(t => t(r)));
+  }
+
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        byId(params[1]).val = params[0];
+        return [{}];
+      }
+      if (sql.startsWith('DELETE')) {
+        const gone = simple(sql, params);
+        gone.forEach(r => rows.splice(rows.indexOf(r), 1));
+        return [{ affectedRows: gone.length }];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('JOIN') && sql.includes('attr')) {
+        return [rows.filter(req => req.up === params[0]).map(req => ({ id: req.id, val: byId(req.t)?.val }))];
+      }
+      if (sql.includes('JOIN')) {
+        const [keyType, hashType, hash] = params;
+        const h = rows.find(r => r.t === hashType && r.val === hash);
+        const k = h && rows.find(r => r.id === h.up && r.t === keyType);
+        return [k ? [{ id: k.id, up: k.up, val: k.val }] : []];
+      }
+      const fields = /^SELECT (.*?) FROM/s.exec(sql)[1].split(',').map(f => f.trim());
+      const list = simple(sql, params);
+      return [(sql.includes('LIMIT 1') ? list.slice(0, 1) : list)
+        .map(r => Object.fromEntries(fields.map(f => [f, r[f]])))];
+    }),
+  };
+}
+
+/** Users 100 and 101, types "Клиент" (300) and "Заказ" (301) */
+function schema() {
+  return [
+    { id: 18, up: 0, ord: 0, t: 3, val: 'Пользователь' },
+    { id: 100, up: 1, ord: 1, t: 18, val: 'alice' },
+    { id: 101, up: 1, ord: 2, t: 18, val: 'bob' },
+    { id: 300, up: 0, ord: 0, t: 3, val: 'Клиент' },
+    { id: 301, up: 0, ord: 0, t: 3, val: 'Заказ' },
+  ];
+}
+
+describe('IP allow-lists', () => {
+  it('should parse addresses and IPv4 ranges', () => {
+    expect(parseIpList('10.0.0.0/8, 192.168.1.5\n::1')).toEqual(['10.0.0.0/8', '192.168.1.5', '::1']);
+    expect(parseIpList('')).toEqual([]);
+    expect(() => parseIpList('10.0.0.0/33')).toThrow('Неверный IP-адрес или диапазон: 10.0.0.0/33');
+    expect(() => parseIpList('example.com')).toThrow('Неверный IP-адрес');
+  });
+
+  it('should match exact addresses, ranges and IPv4-mapped clients', () => {
+    const list = ['10.1.0.0/16', '192.168.1.5'];
+    expect(ipAllowed('10.1.200.3', list)).toBe(true);
+    expect(ipAllowed('::ffff:192.168.1.5', list)).toBe(true);
+    expect(ipAllowed('10.2.0.1', list)).toBe(false);
+    expect(ipAllowed('::1', list)).toBe(false);
+    expect(ipAllowed('8.8.8.8', [])).toBe(true);
+    expect(ipAllowed('8.8.8.8', ['0.0.0.0/0'])).toBe(true);
+  });
+});
+
+describe('createApiKeys', () => {
+  let pool;
+  let clock;
+  let apiKeys;
+
+  beforeEach(() => {
+    pool = createPool(schema());
+    clock = 1700000000000;
+    apiKeys = createApiKeys({ getPool: () => pool, logger, now: () => clock });
+  });
+
+  it('should create a key that is shown once and stored as a hash', async () => {
+    const created = await apiKeys.create('db', 100, { name: 'CI', readOnly: false, types: '300, 301', ips: '10.0.0.0/8' });
+    expect(isApiKey(created.key)).toBe(true);
+    expect(created).toMatchObject({ name: 'CI', readOnly: false, types: [300, 301], ips: ['10.0.0.0/8'], expiresAt: null });
+    expect(created.prefix).toBe(created.key.slice(0, 9));
+    expect(pool.rows.some(r => r.val === created.key)).toBe(false);
+    expect(pool.rows.some(r => r.val === hashApiKey(created.key))).toBe(true);
+
+    const [listed] = await apiKeys.list('db', 100);
+    expect(listed).toEqual({ ...created, key: undefined, createdAt: new Date(clock) });
+    expect(listed.key).toBeUndefined();
+    expect(await apiKeys.list('db', 101)).toEqual([]);
+  });
+
+  it('should check names, types and expiry', async () => {
+    await expect(apiKeys.create('db', 100, { name: ' ' })).rejects.toThrow('Укажите название ключа');
+    await expect(apiKeys.create('db', 100, { name: 'x', types: [300, 999] })).rejects.toThrow('Типы не найдены: 999');
+    await expect(apiKeys.create('db', 100, { name: 'x', expiresAt: '2020-01-01' })).rejects.toThrow('уже прошла');
+    await expect(apiKeys.create('db', 100, { name: 'x', ips: 'localhost' })).rejects.toThrow('Неверный IP-адрес');
+  });
+
+  it('should authenticate a key to its user and scope and record the use', async () => {
+    const { key, id } = await apiKeys.create('db', 100, { name: 'Export', types: [300] });
+    expect(await apiKeys.authenticate('db', key, { ip: '::ffff:10.0.0.7' }))
+      .toEqual({ uid: 100, key: { id, name: 'Export', readOnly: true, types: [300] } });
+
+    const [used] = await apiKeys.list('db', 100);
+    expect(used.lastUsedAt).toEqual(new Date(clock));
+    expect(used.lastUsedIp).toBe('10.0.0.7');
+
+    expect(await apiKeys.authenticate('db', 'ik_unknown')).toBeNull();
+    expect(await apiKeys.authenticate('db', 'session-token')).toBeNull();
+  });
+
+  it('should write the last use at most once a minute', async () => {
+    const { key } = await apiKeys.create('db', 100, { name: 'Poller' });
+    await apiKeys.authenticate('db', key);
+    const writes = pool.query.mock.calls.filter(([sql]) => /^(UPDATE|INSERT)/.test(sql)).length;
+    clock += 30 * 1000;
+    await apiKeys.authenticate('db', key);
+    expect(pool.query.mock.calls.filter(([sql]) => /^(UPDATE|INSERT)/.test(sql))).toHaveLength(writes);
+    clock += 31 * 1000;
+    await apiKeys.authenticate('db', key);
+    expect((await apiKeys.list('db', 100))[0].lastUsedAt).toEqual(new Date(clock));
+  });
+
+  it('should refuse expired keys and addresses outside the allow-list', async () => {
+    const { key } = await apiKeys.create('db', 100, {
+      name: 'Nightly', ips: ['192.168.1.0/24'], expiresAt: new Date(clock + 3600 * 1000).toISOString(),
+    });
+    expect((await apiKeys.authenticate('db', key, { ip: '192.168.1.20' })).uid).toBe(100);
+    await expect(apiKeys.authenticate('db', key, { ip: '192.168.2.20' }))
+      .rejects.toThrow('API-ключ не разрешён для этого адреса');
+    clock += 3600 * 1000;
+    await expect(apiKeys.authenticate('db', key, { ip: '192.168.1.20' })).rejects.toThrow('Срок действия API-ключа истёк');
+  });
+
+  it('should let only the owner revoke a key', async () => {
+    const { key, id } = await apiKeys.create('db', 100, { name: 'Old' });
+    await expect(apiKeys.revoke('db', 101, id)).rejects.toThrow('Ключ не найден');
+    await apiKeys.revoke('db', 100, id);
+    expect(await apiKeys.authenticate('db', key)).toBeNull();
+    expect(pool.rows.some(r => r.up === id || r.id === id)).toBe(false);
+  });
+});
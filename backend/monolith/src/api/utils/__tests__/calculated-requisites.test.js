@@ -0,0 +1,257 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseFormula,
+  evaluateFormula,
+  formatNumber,
+  findCycle,
+  compileDefinition,
+  createCalculatedRequisites,
+} from '../calculated-requisites.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * In-memory id/up/ord/t/val table answering simple
+ * SELECT ... WHERE a = ? AND b IN (...) queries and the type description join.
+ */
+function createPool(rows) {
+  let nextId = 5000;
+
+  function matcher(sql, params) {
+    const clause = /WHERE (.*?)(?: ORDER BY| LIMIT|$)/s.exec(sql)?.[1] || '';
+    let p = 0;
+    const tests = clause.split(' AND ').filter(Boolean).map((cond) => {
+      let m;
+      if ((m = /^(\w+) IN \(([?,]+)\)$/.exec(cond))) {
+        const values = params.slice(p, p += m[2].split(',').length);
+        return r => values.some(v => v == r[m[1]]);
+      }
+      if ((m = /^(\w+) = \?$/.exec(cond))) {
+        const value = params[p++];
+        return r => r[m[1]] == value;
+      }
+      if ((m = /^(\w+) != (\d+)$/.exec(cond))) return r => r[m[1]] != Number(m[2]);
+      if ((m = /^(\w+) = (\d+)$/.exec(cond))) return r => r[m[1]] == Number(m[2]);
+      if (cond === 'id != t') return r => r.id !== r.t;
+      throw new Error(`Unexpected condition: ${cond}`);
+    });
+    return r => tests.every(t => t(r));
+  }
+
+  const byId = id => rows.find(r => r.id === Number(id));
+
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        byId(params[1]).val = params[0];
+        return [{}];
+      }
+      if (sql.startsWith('DELETE')) {
+        const match = matcher(sql, params);
+        for (let i = rows.length - 1; i >= 0; i--) if (match(rows[i])) rows.splice(i, 1);
+        return [{}];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('LEFT JOIN')) {
+        return [rows.filter(a => a.up === params[0]).sort((a, b) => a.ord - b.ord).map((a) => {
+          const typ = byId(a.t);
+          const ref = byId(typ.t);
+          const isRef = ref && ref.t !== ref.id;
+          const arr = !isRef && rows.find(r => r.up === typ.id && r.ord === 1);
+          return {
+            id: a.id, attrs: a.val, type_id: typ.id,
+            type_val: isRef ? ref.val : typ.val, base_typ: isRef ? ref.t : typ.t,
+            ref_id: isRef ? ref.id : null, arr_id: arr ? arr.id : null,
+          };
+        })];
+      }
+      const fields = /^SELECT (.*?) FROM/s.exec(sql)[1].split(',').map(f => f.trim());
+      const list = rows.filter(matcher(sql, params))
+        .sort((a, b) => (sql.includes('ORDER BY ord') ? a.ord - b.ord : 0) || a.id - b.id);
+      const limited = sql.includes('LIMIT 1') ? list.slice(0, 1) : list;
+      return [limited.map(r => Object.fromEntries(fields.map(f => [f, r[f]])))];
+    }),
+  };
+}
+
+/**
+ * Заказ (100): Сумма, Итого (numbers), Клиент (reference to 200), Позиции
+ * (subordinate table 300 with Цена). Клиент (200) has Город.
+ */
+function schema() {
+  return [
+    { id: 3, up: 0, ord: 0, t: 3, val: 'SHORT' },
+    { id: 12, up: 0, ord: 0, t: 12, val: 'MEMO' },
+    { id: 13, up: 0, ord: 0, t: 13, val: 'NUMBER' },
+    { id: 50, up: 0, ord: 0, t: 13, val: 'Сумма' },
+    { id: 51, up: 0, ord: 0, t: 13, val: 'Цена' },
+    { id: 52, up: 0, ord: 0, t: 3, val: 'Город' },
+    { id: 60, up: 0, ord: 0, t: 200, val: '' },
+    { id: 200, up: 0, ord: 0, t: 3, val: 'Клиент' },
+    { id: 201, up: 200, ord: 1, t: 52, val: 'Город' },
+    { id: 300, up: 0, ord: 0, t: 3, val: 'Позиция' },
+    { id: 301, up: 300, ord: 1, t: 51, val: 'Цена' },
+    { id: 100, up: 0, ord: 0, t: 3, val: 'Заказ' },
+    { id: 101, up: 100, ord: 1, t: 50, val: 'Сумма' },
+    { id: 102, up: 100, ord: 2, t: 60, val: 'Клиент' },
+    { id: 103, up: 100, ord: 3, t: 300, val: 'Позиции' },
+    { id: 104, up: 100, ord: 4, t: 50, val: ':ALIAS=total:Итого' },
+    // Objects
+    { id: 1000, up: 1, ord: 1, t: 200, val: 'ООО Ромашка' },
+    { id: 1100, up: 1000, ord: 1, t: 201, val: 'Москва' },
+    { id: 1001, up: 1, ord: 2, t: 100, val: 'З-1' },
+    { id: 1101, up: 1001, ord: 1, t: 1000, val: '102' },
+    { id: 1002, up: 1001, ord: 2, t: 300, val: 'a' },
+    { id: 1102, up: 1002, ord: 1, t: 301, val: '1.1' },
+    { id: 1003, up: 1001, ord: 3, t: 300, val: 'b' },
+    { id: 1103, up: 1003, ord: 1, t: 301, val: '2.2' },
+  ];
+}
+
+const run = (text, paths = {}) => evaluateFormula(parseFormula(text), node => paths[node.segments.join('.')] || []);
+
+describe('parseFormula / evaluateFormula', () => {
+  it('should follow operator precedence and treat empty values as 0', () => {
+    expect(run('1 + 2 * 3 - -4 / 2')).toBe(9);
+    expect(run('([Цена] + 1) * [Количество]', { Цена: ['2,5'], Количество: ['4'] })).toBe(14);
+    expect(run('[Цена] * 2')).toBe(0);
+    expect(run('10 / [Количество]')).toBeNull();
+  });
+
+  it('should concatenate text and compare numbers and strings', () => {
+    expect(run("[Имя] & ' (' & [Код] & ')'", { Имя: ['Ромашка'], Код: ['7'] })).toBe('Ромашка (7)');
+    expect(run("IF([Город] = 'Москва', 'МСК', CONCAT('—', [Город]))", { Город: ['Казань'] })).toBe('—Казань');
+    expect(run('[A] > [B]', { A: ['10'], B: ['9'] })).toBe(1);
+    expect(run("'10' < '9'")).toBe(0);
+    expect(run("'abc' < 'b'")).toBe(1);
+    expect(run("COALESCE([A], [B], 'нет')", { B: [''] })).toBe('нет');
+    expect(run('ROUND(1.005, 2) + ABS(-1)')).toBe(2.01);
+  });
+
+  it('should roll up every value of a path', () => {
+    const paths = { 'Позиции.Цена': ['1.1', '2.2', ''], Позиции: ['a', 'b', ''] };
+    expect(formatNumber(run('SUM([Позиции].[Цена])', paths))).toBe('3.3');
+    expect(run('COUNT([Позиции])', paths)).toBe(3);
+    expect(formatNumber(run('AVG([Позиции].[Цена])', paths))).toBe('1.65');
+    expect(run('MAX([Позиции].[Цена])', paths)).toBe(2.2);
+    expect(run('MIN([Позиции])', paths)).toBe('a');
+    expect(run('MIN([Пусто])')).toBeNull();
+  });
+
+  it('should reject malformed formulas', () => {
+    expect(() => parseFormula('')).toThrow('Формула пуста');
+    expect(() => parseFormula('[A] +')).toThrow('обрывается');
+    expect(() => parseFormula('FOO(1)')).toThrow('Неизвестная функция FOO');
+    expect(() => parseFormula('IF(1, 2)')).toThrow('Неверное число аргументов IF()');
+    expect(() => parseFormula('SUM(1 + 2)')).toThrow('SUM() принимает путь');
+    expect(() => parseFormula('[A] # 2')).toThrow('Непонятный символ «#» в позиции 5');
+    expect(() => parseFormula('[A] [B]')).toThrow('Лишнее');
+  });
+});
+
+describe('findCycle', () => {
+  it('should find circles through the start only', () => {
+    const graph = new Map([[1, new Set([2])], [2, new Set([3])], [3, new Set([1])], [4, new Set([4])], [5, new Set([1])]]);
+    expect(findCycle(graph, 1)).toEqual([1, 2, 3, 1]);
+    expect(findCycle(graph, 4)).toEqual([4, 4]);
+    expect(findCycle(graph, 5)).toBeNull();
+  });
+});
+
+describe('compileDefinition', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = createPool(schema());
+  });
+
+  it('should resolve paths and derive the dependencies', async () => {
+    const def = await compileDefinition(pool, 'db', 101, "IF([Клиент].[Город] = 'Москва', SUM([Позиции].[Цена]), [total])");
+
+    expect(def).toMatchObject({ reqId: 101, typeId: 100, typeName: 'Заказ', name: 'Сумма', baseType: 13 });
+    expect(def.deps).toEqual([
+      { typeId: 100, reverse: [] },
+      { typeId: 200, reverse: [{ kind: 'ref', reqId: 102 }] },
+      { typeId: 300, reverse: [{ kind: 'arr' }] },
+    ]);
+    expect([...def.reads].sort()).toEqual([104, 201, 301]);
+  });
+
+  it('should refuse unknown requisites, several values outside rollups and non-value targets', async () => {
+    await expect(compileDefinition(pool, 'db', 101, '[Скидка]')).rejects.toThrow('Реквизит «Скидка» не найден в типе «Заказ»');
+    await expect(compileDefinition(pool, 'db', 101, '[Позиции].[Цена] * 2')).rejects.toThrow('даёт несколько значений');
+    await expect(compileDefinition(pool, 'db', 101, '[Сумма].[Цена]')).rejects.toThrow('не является ссылкой');
+    await expect(compileDefinition(pool, 'db', 102, '1')).rejects.toThrow('только реквизиту-значению');
+    await expect(compileDefinition(pool, 'db', 1001, '1')).rejects.toThrow('Реквизит 1001 не найден');
+  });
+});
+
+describe('createCalculatedRequisites', () => {
+  let pool;
+  let engine;
+  const value = (objectId, reqId) => pool.rows.find(r => r.up === objectId && r.t === reqId)?.val;
+  const setRow = (id, val) => { pool.rows.find(r => r.id === id).val = val; };
+
+  beforeEach(() => {
+    pool = createPool(schema());
+    engine = createCalculatedRequisites({ getPool: () => pool, logger });
+  });
+
+  it('should store the formula and compute every object of the type', async () => {
+    const result = await engine.setFormula('db', 101, "IF([Клиент].[Город] = 'Москва', SUM([Позиции].[Цена]), 0)");
+
+    expect(result).toMatchObject({ reqId: 101, typeName: 'Заказ', name: 'Сумма', dependsOn: [100, 200, 300], objects: 1, changed: 1 });
+    expect(value(1001, 101)).toBe('3.3');
+    expect(await engine.list('db')).toEqual([expect.objectContaining({ reqId: 101, error: null })]);
+  });
+
+  it('should recompute when a source object changes and cascade to formulas reading the value', async () => {
+    await engine.setFormula('db', 101, "IF([Клиент].[Город] = 'Москва', SUM([Позиции].[Цена]), 0)");
+    await engine.setFormula('db', 104, '[Сумма] * 2');
+    expect(value(1001, 104)).toBe('6.6');
+
+    setRow(1103, '4.4');
+    await engine.handleChange({ db: 'db', source: '_m_save', action: 'update', targetId: 1003, targetType: 300 });
+    expect(value(1001, 101)).toBe('5.5');
+    expect(value(1001, 104)).toBe('11');
+
+    // A deleted child is reached through its old parent
+    pool.rows.splice(pool.rows.findIndex(r => r.id === 1002), 1);
+    await engine.handleChange({
+      db: 'db', source: '_m_del', action: 'delete', targetId: 1002, targetType: 300,
+      oldValue: { id: 1002, typeId: 300, parentId: 1001 }, newValue: null,
+    });
+    expect(value(1001, 101)).toBe('4.4');
+
+    setRow(1100, 'Казань');
+    await engine.handleChange({ db: 'db', source: 'ObjectService.update', action: 'update', targetId: 1000, targetType: 200 });
+    expect(value(1001, 101)).toBe('0');
+    expect(value(1001, 104)).toBe('0');
+  });
+
+  it('should refuse formulas reading each other in a circle', async () => {
+    await expect(engine.setFormula('db', 101, '[Сумма] + 1')).rejects.toThrow('Циклическая зависимость: Сумма → Сумма');
+
+    await engine.setFormula('db', 104, '[Сумма] * 2');
+    await expect(engine.setFormula('db', 101, '[Итого] + 1')).rejects.toThrow('Циклическая зависимость: Сумма → Итого → Сумма');
+    expect((await engine.list('db')).map(d => d.reqId)).toEqual([104]);
+  });
+
+  it('should remove a formula but keep the computed values', async () => {
+    await engine.setFormula('db', 104, '[Сумма] + 7');
+    expect(value(1001, 104)).toBe('7');
+
+    expect(await engine.setFormula('db', 104, '')).toEqual({ reqId: 104, formula: null });
+    expect(await engine.list('db')).toEqual([]);
+    expect(value(1001, 104)).toBe('7');
+    expect(await engine.recompute('db', 104)).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createChangeTracker } from '../legacy-change-tracker.js';
+
+const logger = { warn: vi.fn() };
+
+/** Minimal in-memory stand-in for the mysql2 pool: rows keyed by id */
+function createPool(table) {
+  return {
+    query: vi.fn(async (sql, [id]) => {
+      if (sql.includes('WHERE id = ?')) return [table[id] ? [table[id]] : []];
+      return [Object.values(table).filter(r => r.up === id)];
+    }),
+  };
+}
+
+function createReqRes(params) {
+  const req = { params: { db: 'mydb', ...params }, legacyUser: { uid: 7, username: 'john' } };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.locals = {};
+  res.json = vi.fn(() => {
+    res.emit('finish');
+    return res;
+  });
+  res.redirect = vi.fn(() => {
+    res.statusCode = 302;
+    res.emit('finish');
+  });
+  return { req, res };
+}
+
+/** Run tracker middleware, then the handler, and wait for listeners */
+async function run(middleware, params, handler) {
+  const { req, res } = createReqRes(params);
+  await middleware(req, res, () => handler(req, res));
+  await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('createChangeTracker', () => {
+  let table;
+  let tracker;
+  let listener;
+
+  beforeEach(() => {
+    table = {
+      10: { id: 10, val: 'Alpha', up: 1, t: 100, ord: 1 },
+      11: { id: 11, val: 'red', up: 10, t: 101, ord: 1 },
+    };
+    tracker = createChangeTracker({ getPool: () => createPool(table), logger });
+    listener = vi.fn();
+    tracker.onChange(listener);
+  });
+
+  it('reports updates with before/after snapshots and the user', async () => {
+    await run(tracker.track('_m_save', 'update'), { id: '10' }, (req, res) => {
+      table[10] = { ...table[10], val: 'Beta' };
+      res.redirect('/mydb/edit_obj/10');
+    });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const change = listener.mock.calls[0][0];
+    expect(change).toMatchObject({
+      db: 'mydb', action: 'update', source: '_m_save', targetId: 10, targetType: 100,
+      user: { uid: 7, username: 'john' },
+    });
+    expect(change.oldValue.value).toBe('Alpha');
+    expect(change.newValue.value).toBe('Beta');
+    expect(change.newValue.requisites).toEqual([{ id: 11, typeId: 101, value: 'red' }]);
+  });
+
+  it('skips legacy error responses', async () => {
+    await run(tracker.track('_m_save', 'update'), { id: '10' }, (req, res) => {
+      table[10] = { ...table[10], val: 'Beta' };
+      res.json({ error: 'Object is locked' });
+    });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('skips updates that changed nothing', async () => {
+    await run(tracker.track('_m_ord', 'update'), { id: '10' }, (req, res) => res.json({ id: 10 }));
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('reports creates only when the handler names the new row', async () => {
+    await run(tracker.track('_m_new', 'create'), { up: '1' }, (req, res) => res.json({ id: 10 }));
+    expect(listener).not.toHaveBeenCalled();
+
+    await run(tracker.track('_m_new', 'create'), { up: '1' }, (req, res) => {
+      table[20] = { id: 20, val: 'Gamma', up: 1, t: 100, ord: 2 };
+      res.locals.legacyChangeId = 20;
+      res.json({ id: 20, obj: 20 });
+    });
+
+    const change = listener.mock.calls[0][0];
+    expect(change).toMatchObject({ action: 'create', targetId: 20, targetType: 100, oldValue: null });
+    expect(change.newValue.value).toBe('Gamma');
+  });
+
+  it('reports deletes once the row is gone', async () => {
+    await run(tracker.track('_d_del_req', 'delete', 'reqId'), { reqId: '11' }, (req, res) => {
+      delete table[11];
+      res.json({ id: 10 });
+    });
+
+    const change = listener.mock.calls[0][0];
+    expect(change).toMatchObject({ action: 'delete', source: '_d_del_req', targetId: 11, targetType: 101, newValue: null });
+  });
+
+  it('does not touch the database without listeners', async () => {
+    const pool = createPool(table);
+    const idle = createChangeTracker({ getPool: () => pool, logger });
+    const next = vi.fn();
+
+    await idle.track('_m_save', 'update')(createReqRes({ id: '10' }).req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('keeps going when a listener throws', async () => {
+    const second = vi.fn();
+    listener.mockRejectedValueOnce(new Error('boom'));
+    tracker.onChange(second);
+
+    await run(tracker.track('_m_del', 'delete'), { id: '10' }, (req, res) => {
+      delete table[10];
+      res.json({ id: 1 });
+    });
+
+    expect(second).toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith('[Legacy] Change listener failed', expect.any(Object));
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createLoginCodes } from '../login-codes.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/** In-memory id/up/ord/t/val table for the statements of legacy-schema.js and login-codes.js */
+function createPool(rows = []) {
+  let nextId = 1000;
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        const [val, id] = params.length === 2 ? params : ['', params[0]];
+        rows.find(r => r.id === id).val = val;
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('up = 0 AND val = ?')) {
+        const [val, t] = params;
+        return [rows.filter(r => r.up === 0 && r.val === val && r.t === t && r.id !== r.t).slice(0, 1)];
+      }
+      if (sql.includes('WHERE up = ? AND t = ?')) {
+        const [up, t] = params;
+        return [rows.filter(r => r.up === up && r.t === t).slice(0, 1)];
+      }
+      return [[]];
+    }),
+  };
+}
+
+describe('login codes', () => {
+  let pool;
+  let time;
+  let codes;
+
+  beforeEach(() => {
+    pool = createPool([{ id: 5, up: 1, ord: 1, t: 18, val: 'alice@example.com' }]);
+    time = 1_000_000;
+    codes = createLoginCodes({ getPool: () => pool, logger, now: () => time, maxAttempts: 3 });
+  });
+
+  it('stores only a hash of the code under the user and accepts it once', async () => {
+    const code = await codes.issue('db', 5);
+    expect(code).toMatch(/^[a-z2-9]{4}$/);
+    expect(pool.rows.some(r => r.up === 5 && r.val.includes(code))).toBe(false);
+
+    expect(await codes.verify('db', 5, code.toUpperCase())).toBe(true);
+    expect(await codes.verify('db', 5, code)).toBe(false);
+  });
+
+  it('drops a code after its lifetime and after too many wrong tries', async () => {
+    const expired = await codes.issue('db', 5);
+    time += 601 * 1000;
+    expect(await codes.verify('db', 5, expired)).toBe(false);
+
+    const code = await codes.issue('db', 5);
+    const wrong = code === 'zzzz' ? 'yyyy' : 'zzzz';
+    for (let i = 0; i < 3; i++) expect(await codes.verify('db', 5, wrong)).toBe(false);
+    expect(await codes.verify('db', 5, code)).toBe(false);
+  });
+
+  it('replaces the previous code and does not accept it for another user', async () => {
+    const first = await codes.issue('db', 5);
+    const second = await codes.issue('db', 5);
+    if (first !== second) expect(await codes.verify('db', 5, first)).toBe(false);
+    expect(await codes.verify('db', 6, second)).toBe(false);
+    expect(await codes.verify('db', 5, second)).toBe(true);
+  });
+});
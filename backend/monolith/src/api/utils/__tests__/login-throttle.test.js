@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createLoginThrottle, formatWait } from '../login-throttle.js';
+import { EVENTS } from '../login-audit.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * In-memory id/up/ord/t/val table for the statements of legacy-schema.js
+ * that provisioning and event objects use.
+ */
+function createPool(rows = []) {
+  let nextId = 1000;
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('up = 0 AND val = ?')) {
+        const [val, t] = params;
+        return [rows.filter(r => r.up === 0 && r.val === val && r.t === t && r.id !== r.t).slice(0, 1)];
+      }
+      if (sql.includes('WHERE up = ? AND t = ?')) {
+        const [up, t] = params;
+        return [rows.filter(r => r.up === up && r.t === t).slice(0, 1)];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+  };
+}
+
+/** Values of the ACTIVITY objects, by requisite name */
+function events(pool) {
+  const nameOf = (reqId) => {
+    const req = pool.rows.find(r => r.id === reqId);
+    return pool.rows.find(r => r.id === req.t).val;
+  };
+  return pool.rows
+    .filter(r => r.t === 124 && r.up === 1)
+    .map(obj => Object.fromEntries(pool.rows.filter(r => r.up === obj.id).map(r => [nameOf(r.t), r.val])));
+}
+
+describe('createLoginThrottle', () => {
+  let pool;
+  let clock;
+  let throttle;
+
+  beforeEach(() => {
+    pool = createPool();
+    clock = 1700000000000;
+    throttle = createLoginThrottle({
+      getPool: () => pool,
+      logger,
+      now: () => clock,
+      limits: { ip: { max: 10 }, login: { max: 6 }, lockout: { failures: 3 } },
+    });
+  });
+
+  it('should limit attempts per address in a sliding window', () => {
+    for (let i = 0; i < 10; i++) {
+      expect(throttle.attempt('db', { ip: '::ffff:10.0.0.1', login: `user${i}` })).toBeNull();
+      clock += 60 * 1000;
+    }
+    const refusal = throttle.attempt('db', { ip: '10.0.0.1', login: 'other' });
+    expect(refusal).toMatchObject({ reason: 'ip', retryAfter: 300 });
+    expect(refusal.message).toContain('с этого адреса');
+    expect(throttle.attempt('db', { ip: '10.0.0.2', login: 'other' })).toBeNull();
+    // the address limit is shared by all databases
+    expect(throttle.attempt('other', { ip: '10.0.0.1', login: 'other' })).toMatchObject({ reason: 'ip' });
+
+    // the oldest attempt leaves the window
+    clock += 300 * 1000;
+    expect(throttle.attempt('db', { ip: '10.0.0.1', login: 'other' })).toBeNull();
+  });
+
+  it('should limit attempts per login from any address', () => {
+    for (let i = 0; i < 6; i++) expect(throttle.attempt('db', { ip: `10.0.0.${i}`, login: 'alice' })).toBeNull();
+    expect(throttle.attempt('db', { ip: '10.0.1.1', login: 'alice' })).toMatchObject({ reason: 'login' });
+  });
+
+  it('should lock a login after repeated failures, longer each time', async () => {
+    const who = { ip: '10.0.0.1', login: 'alice' };
+    expect(await throttle.fail('db', who)).toBeNull();
+    expect(await throttle.fail('db', who)).toBeNull();
+    expect(await throttle.fail('db', who)).toEqual({ until: new Date(clock + 60 * 1000), level: 1, failures: 3 });
+    expect(throttle.attempt('db', who)).toMatchObject({ reason: 'locked', retryAfter: 60 });
+    expect(throttle.attempt('db', { ip: '10.0.0.9', login: 'alice' }).message).toContain('через 1 мин');
+    expect(throttle.attempt('db', { ip: '10.0.0.1', login: 'bob' })).toBeNull();
+
+    clock += 61 * 1000;
+    expect(throttle.attempt('db', who)).toBeNull();
+    for (let i = 0; i < 3; i++) await throttle.fail('db', who);
+    expect(throttle.attempt('db', who)).toMatchObject({ reason: 'locked', retryAfter: 120 });
+    expect(throttle.status('db').logins).toEqual([{ login: 'alice', until: new Date(clock + 120 * 1000), level: 2 }]);
+  });
+
+  it('should forget failures after a correct password', async () => {
+    const who = { ip: '10.0.0.1', login: 'alice' };
+    await throttle.fail('db', who);
+    await throttle.fail('db', who);
+    throttle.succeed('db', 'alice');
+    expect(await throttle.fail('db', who)).toBeNull();
+  });
+
+  it('should record lockouts and unlocks as ACTIVITY objects', async () => {
+    const who = { ip: '::ffff:10.0.0.1', login: 'alice' };
+    for (let i = 0; i < 3; i++) await throttle.fail('db', who);
+    expect(await throttle.unlock('db', { login: 'alice' }, 'admin')).toBe(true);
+    expect(throttle.attempt('db', who)).toBeNull();
+    expect(await throttle.unlock('db', { login: 'alice' }, 'admin')).toBe(false);
+
+    expect(pool.rows.filter(r => r.t === 124 && r.up === 1).map(r => r.val))
+      .toEqual([String(clock / 1000), String(clock / 1000)]);
+    expect(events(pool)).toEqual([
+      {
+        'Событие': EVENTS.LOCK, 'Логин': 'alice', 'IP-адрес': '10.0.0.1',
+        'Неудачных попыток': '3', 'Заблокирован до': String(clock / 1000 + 60),
+      },
+      { 'Событие': EVENTS.UNLOCK, 'Логин': 'alice', 'Кем выполнено': 'admin' },
+    ]);
+  });
+
+  it('should keep the maps bounded, dropping the oldest entries but not lockouts', async () => {
+    const small = createLoginThrottle({ getPool: () => pool, logger, now: () => clock, limits: { maxEntries: 3, lockout: { failures: 2 } } });
+    const alice = { ip: '10.0.0.1', login: 'alice' };
+    await small.fail('db', alice);
+    await small.fail('db', alice);
+    for (let i = 0; i < 5; i++) {
+      expect(small.attempt('db', { ip: `10.0.1.${i}`, login: `user${i}` })).toBeNull();
+      await small.fail('db', { ip: `10.0.1.${i}`, login: `user${i}` });
+    }
+
+    expect(small.attempt('db', alice)).toMatchObject({ reason: 'locked' });
+    expect(await small.fail('db', { ip: '10.0.1.0', login: 'user0' })).toBeNull();
+    expect(await small.fail('db', { ip: '10.0.1.4', login: 'user4' })).toMatchObject({ level: 1 });
+  });
+
+  it('should lift the limit of an address', async () => {
+    for (let i = 0; i < 10; i++) throttle.attempt('db', { ip: '10.0.0.1', login: `user${i}` });
+    expect(throttle.status('db').ips).toEqual([{ ip: '10.0.0.1', attempts: 10, retryAfter: 900 }]);
+    expect(await throttle.unlock('db', { ip: '10.0.0.1' }, 'admin')).toBe(true);
+    expect(throttle.attempt('db', { ip: '10.0.0.1', login: 'x' })).toBeNull();
+  });
+});
+
+describe('formatWait', () => {
+  it('should show seconds below a minute and whole minutes above', () => {
+    expect(formatWait(45)).toBe('45 с');
+    expect(formatWait(61)).toBe('2 мин');
+  });
+});
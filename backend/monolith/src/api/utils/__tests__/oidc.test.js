@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createOidc, parseRoleMap, pkceChallenge } from '../oidc.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+const ISSUER = 'https://idp.example.com';
+
+/**
+ * In-memory id/up/ord/t/val table for the statements of legacy-schema.js and
+ * oidc.js.
+ */
+function createPool(rows = []) {
+  let nextId = 1000;
+  const drop = (test) => rows.splice(0, rows.length, ...rows.filter(r => !test(r)));
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        rows.find(r => r.id === params[1]).val = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE')) {
+        drop(sql.includes('up = ?') ? r => r.up === params[0] : r => r.id === params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('up = 0 AND val = ?')) {
+        const [val, t] = params;
+        return [rows.filter(r => r.up === 0 && r.val === val && r.t === t && r.id !== r.t).slice(0, 1)];
+      }
+      if (sql.includes('WHERE up = ? AND t = ?')) {
+        const [up, t] = params;
+        return [rows.filter(r => r.up === up && r.t === t).slice(0, 1)];
+      }
+      if (sql.includes('up != 0') && sql.includes('t = ?')) {
+        const [t, id] = params;
+        return [rows.filter(r => r.t === t && r.up !== 0 && (id === undefined || r.id === id))];
+      }
+      if (sql.includes('up IN')) return [rows.filter(r => params.includes(r.up))];
+      if (sql.includes('WHERE t = ? AND val = ?')) {
+        const [t, val] = params;
+        return [rows.filter(r => r.t === t && r.val === val).slice(0, 1)];
+      }
+      if (sql.includes('t = 42 AND up != 0')) return [rows.filter(r => r.t === 42 && r.up !== 0)];
+      if (sql.includes('t = 18 AND val = ?')) return [rows.filter(r => r.t === 18 && r.val === params[0]).slice(0, 1)];
+      if (sql.includes('JOIN')) return [[{ id: 115 }]];
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+  };
+}
+
+/** RSA signing key with its public JWK */
+function signingKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+function idToken(key, claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'RS256', kid: key.kid, typ: 'JWT' })}.${encode(claims)}`;
+  return `${data}.${crypto.sign('sha256', Buffer.from(data), key.privateKey).toString('base64url')}`;
+}
+
+const json = body => ({ ok: true, status: 200, json: async () => body });
+
+/** The provider's keys before and after a rotation */
+const keys = { old: signingKey('old'), current: signingKey('current') };
+
+describe('parseRoleMap', () => {
+  it('should split lines on the last "=" so groups may be DNs', () => {
+    expect(parseRoleMap('admins = admin\nCN=Sales,OU=Groups = manager; ')).toEqual([
+      { group: 'admins', role: 'admin' },
+      { group: 'CN=Sales,OU=Groups', role: 'manager' },
+    ]);
+    expect(() => parseRoleMap('admins')).toThrow(/admins/);
+  });
+});
+
+describe('createOidc', () => {
+  let pool;
+  let clock;
+  let published;
+  let tokenRequests;
+  let claims;
+  let oidc;
+
+  beforeEach(() => {
+    clock = 1700000000000;
+    published = [keys.old.jwk];
+    tokenRequests = [];
+    claims = {};
+    pool = createPool([
+      { id: 145, up: 1, ord: 1, t: 42, val: 'admin' },
+      { id: 146, up: 1, ord: 2, t: 42, val: 'manager' },
+      { id: 5, up: 1, ord: 0, t: 18, val: 'alice@example.com' },
+    ]);
+    const fetch = vi.fn(async (url, init = {}) => {
+      if (url === `${ISSUER}/.well-known/openid-configuration`) {
+        return json({
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`,
+          token_endpoint_auth_methods_supported: ['client_secret_post'],
+        });
+      }
+      if (url === `${ISSUER}/jwks`) return json({ keys: published });
+      if (url === `${ISSUER}/token`) {
+        const body = new URLSearchParams(init.body);
+        tokenRequests.push(body);
+        if (body.get('code') !== 'good-code') return { ok: false, status: 400, json: async () => ({ error: 'invalid_grant' }) };
+        return json({ access_token: 'at', id_token: idToken(claims.key || keys.old, claims.body) });
+      }
+      throw new Error(`Unexpected fetch: ${url}`);
+    });
+    oidc = createOidc({ getPool: () => pool, logger, now: () => clock, fetch });
+  });
+
+  async function provider(values = {}) {
+    return oidc.save('db', null, {
+      name: 'Corp', issuer: `${ISSUER}/`, clientId: 'integram', clientSecret: 's3cret',
+      roleMap: 'sales = Manager', ...values,
+    });
+  }
+
+  /** Start a login and let the provider answer with an ID token */
+  async function login(providerId, body, key, browserState, linkUid) {
+    const started = await oidc.begin('db', providerId, { redirectUri: 'https://app/db/oidc/callback', returnTo: '/db/dict', linkUid });
+    const url = new URL(started.url);
+    const state = url.searchParams.get('state');
+    expect(started).toMatchObject({ state, expiresIn: 600000 });
+    claims = {
+      key,
+      body: {
+        iss: ISSUER, sub: `id-${body.email}`, aud: 'integram', exp: clock / 1000 + 300, iat: clock / 1000,
+        nonce: url.searchParams.get('nonce'), ...body,
+      },
+    };
+    return { url, result: oidc.complete('db', { state, code: 'good-code', browserState: browserState ?? state }) };
+  }
+
+  it('should store providers with the secret as a SECRET row and validate them', async () => {
+    await expect(provider({ clientSecret: '' })).rejects.toThrow('Укажите Client secret');
+    await expect(provider({ issuer: 'http://idp.example.com' })).rejects.toThrow(/https/);
+    await expect(provider({ roleMap: 'sales = Director' })).rejects.toThrow('Роль не найдена: Director');
+
+    const saved = await provider();
+    expect(saved).toMatchObject({ name: 'Corp', issuer: ISSUER, clientId: 'integram', roleMap: 'sales = Manager', enabled: true, hasSecret: true });
+    expect(saved.secret).toBeUndefined();
+    expect(pool.rows.find(r => r.up === saved.id && r.t === 130).val).toBe('s3cret');
+
+    await oidc.save('db', saved.id, { ...saved, name: 'Corp SSO', clientSecret: '', enabled: '0' });
+    expect(pool.rows.find(r => r.up === saved.id && r.t === 130).val).toBe('s3cret');
+    expect(await oidc.loginOptions('db')).toEqual([]);
+
+    await oidc.remove('db', saved.id);
+    expect(await oidc.list('db')).toEqual([]);
+  });
+
+  it('should sign in with authorization code and PKCE, creating users in the mapped role', async () => {
+    const { id } = await provider();
+    const { url, result } = await login(id, { email: 'Bob@Example.com', groups: ['staff', 'sales'] });
+
+    expect(url.origin + url.pathname).toBe(`${ISSUER}/authorize`);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('scope')).toBe('openid email profile');
+    expect(await result).toMatchObject({ login: 'bob@example.com', created: true, returnTo: '/db/dict', provider: { id, name: 'Corp' } });
+    expect(pkceChallenge(tokenRequests[0].get('code_verifier'))).toBe(url.searchParams.get('code_challenge'));
+    expect(tokenRequests[0].get('client_secret')).toBe('s3cret');
+
+    const bob = pool.rows.find(r => r.t === 18 && r.val === 'bob@example.com');
+    const link = pool.rows.find(r => r.up === 18 && r.val === 'Вход через SSO');
+    expect(pool.rows.filter(r => r.up === bob.id).map(r => [r.t, r.val])).toEqual([
+      [146, '115'], [41, 'bob@example.com'], [link.id, `${ISSUER} id-Bob@Example.com`],
+    ]);
+
+    // known users keep their role; a state is used once
+    const again = await login(id, { email: 'bob@example.com', sub: 'id-Bob@Example.com' });
+    expect(await again.result).toMatchObject({ uid: bob.id, created: false });
+    const state = again.url.searchParams.get('state');
+    await expect(oidc.complete('db', { state, code: 'good-code', browserState: state }))
+      .rejects.toThrow('Время входа истекло');
+  });
+
+  it('should refuse unmapped users, foreign tokens and rejected codes', async () => {
+    const { id } = await provider();
+    await expect((await login(id, { email: 'eve@example.com', groups: ['guests'] })).result)
+      .rejects.toThrow('не назначена роль');
+    await expect((await login(id, { email: 'alice@example.com', aud: 'other-app' })).result)
+      .rejects.toThrow('другому приложению');
+    await expect((await login(id, { email: 'alice@example.com', nonce: 'replayed' })).result)
+      .rejects.toThrow('nonce');
+    await expect((await login(id, { email: 'alice@example.com', exp: clock / 1000 - 3600 })).result)
+      .rejects.toThrow('истёк');
+
+    const { state } = await oidc.begin('db', id, { redirectUri: 'https://app/db/oidc/callback' });
+    await expect(oidc.complete('db', { state, code: 'bad-code', browserState: state }))
+      .rejects.toThrow('не принял код');
+  });
+
+  it('should refuse a callback in a browser that did not start the login', async () => {
+    const { id } = await provider();
+    await expect((await login(id, { email: 'alice@example.com' }, undefined, '')).result)
+      .rejects.toThrow('Вход начат в другом браузере');
+    expect(tokenRequests).toEqual([]);
+  });
+
+  it('should keep a bounded number of pending logins', async () => {
+    const { id } = await provider();
+    const { state: first } = await oidc.begin('db', id, { redirectUri: 'https://app/db/oidc/callback' });
+    for (let i = 0; i < 1000; i++) await oidc.begin('db', id, { redirectUri: 'https://app/db/oidc/callback' });
+    await expect(oidc.complete('db', { state: first, code: 'good-code', browserState: first }))
+      .rejects.toThrow('Время входа истекло');
+  });
+
+  it('should sign in existing users only once they linked the provider', async () => {
+    const { id } = await provider();
+    await expect((await login(id, { email: 'alice@example.com' })).result)
+      .rejects.toThrow('Пользователь alice@example.com уже есть в базе');
+    // another account at the provider cannot take alice's login either
+    await expect((await login(id, { email: 'alice@example.com', sub: 'mallory' })).result)
+      .rejects.toThrow('уже есть в базе');
+
+    expect(await (await login(id, { email: 'alice@example.com' }, undefined, undefined, 5)).result)
+      .toMatchObject({ uid: 5, created: false, linked: true });
+    expect(await (await login(id, { email: 'alice@example.com' })).result).toMatchObject({ uid: 5, created: false });
+    // the identity is the subject: a renamed account still signs alice in
+    expect(await (await login(id, { email: 'alice.new@example.com', sub: 'id-alice@example.com' })).result)
+      .toMatchObject({ uid: 5 });
+
+    await expect((await login(id, { email: 'alice@example.com' }, undefined, undefined, 6)).result)
+      .rejects.toThrow('уже привязана к другому пользователю');
+  });
+
+  it('should pick up rotated signing keys from the JWKS', async () => {
+    const { id } = await provider();
+    expect(await (await login(id, { email: 'alice@example.com' }, undefined, undefined, 5)).result).toMatchObject({ uid: 5 });
+
+    published = [keys.current.jwk];
+    clock += 2 * 60 * 1000;
+    expect(await (await login(id, { email: 'alice@example.com' }, keys.current)).result).toMatchObject({ uid: 5 });
+
+    const forged = signingKey('current');
+    await expect((await login(id, { email: 'alice@example.com' }, forged)).result).rejects.toThrow('Неверная подпись');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createReportCache,
+  reportCacheKey,
+  reportCacheMode,
+} from '../report-cache.js';
+
+const result = (rows = 1) => ({ data: Array.from({ length: rows }, (_, i) => ({ id: i })), totals: {}, rownum: rows });
+
+describe('reportCacheKey', () => {
+  it('should not depend on key order', () => {
+    expect(reportCacheKey({ filters: { a: { from: 1 }, b: 2 }, limit: 10 }))
+      .toBe(reportCacheKey({ limit: 10, filters: { b: 2, a: { from: 1 } } }));
+    expect(reportCacheKey({ grants: { 5: 'READ' } })).not.toBe(reportCacheKey({ grants: { 5: 'WRITE' } }));
+  });
+});
+
+describe('reportCacheMode', () => {
+  it('should refuse per-request placeholders and key date ones by day', () => {
+    expect(reportCacheMode(['a.val > 5', null])).toBe('always');
+    expect(reportCacheMode(['c1.val >= \'[TODAY]\''])).toBe('daily');
+    expect(reportCacheMode(['created > CURDATE()'])).toBe('daily');
+    expect(reportCacheMode(['c1.val = \'[REMOTE_ADDR]\''])).toBe('none');
+    expect(reportCacheMode(['TIMESTAMPDIFF(HOUR, c2.val, NOW())'])).toBe('none');
+  });
+});
+
+describe('createReportCache', () => {
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    cache = createReportCache({ defaultTtl: 60, maxEntries: 3, maxRows: 100, definitionTypes: [22, 28], now: () => clock });
+  });
+
+  it('should serve a result until its TTL expires', () => {
+    expect(cache.get('db', 5, 'k')).toBeUndefined();
+    cache.set('db', 5, 'k', result(), { tags: [10], ms: 40 });
+
+    expect(cache.get('db', 5, 'k')).toEqual(result());
+    clock += 59_000;
+    expect(cache.get('db', 5, 'k')).toBeDefined();
+    clock += 2_000;
+    expect(cache.get('db', 5, 'k')).toBeUndefined();
+
+    expect(cache.stats('db')).toMatchObject({
+      hits: 2, misses: 2, hitRate: 0.5,
+      reports: [{ reportId: 5, hits: 2, misses: 2, avgMs: 20 }],
+    });
+  });
+
+  it('should honour per-call TTLs and skip large results', () => {
+    expect(cache.set('db', 5, 'off', result(), { tags: [10], ttl: 0 })).toBe(false);
+    expect(cache.set('db', 5, 'big', result(101), { tags: [10] })).toBe(false);
+    expect(cache.set('db', 5, 'long', result(), { tags: [10], ttl: 3600 })).toBe(true);
+    clock += 600_000;
+    expect(cache.get('db', 5, 'long')).toBeDefined();
+  });
+
+  it('should evict the least recently used entry', () => {
+    cache.set('db', 1, 'a', result(), { tags: [10] });
+    cache.set('db', 2, 'b', result(), { tags: [10] });
+    cache.set('db', 3, 'c', result(), { tags: [10] });
+    cache.get('db', 1, 'a');
+    cache.set('db', 4, 'd', result(), { tags: [10] });
+
+    expect(cache.get('db', 2, 'b')).toBeUndefined();
+    expect(cache.get('db', 1, 'a')).toBeDefined();
+    expect(cache.stats().evictions).toBe(1);
+  });
+
+  it('should drop only the reports reading a changed type', () => {
+    cache.set('db', 1, 'orders', result(), { tags: [10, 11] });
+    cache.set('db', 2, 'clients', result(), { tags: [20] });
+    cache.set('other', 1, 'orders', result(), { tags: [10] });
+
+    cache.handleChange({ db: 'db', source: '_m_save', action: 'update', targetType: 11 });
+
+    expect(cache.get('db', 1, 'orders')).toBeUndefined();
+    expect(cache.get('db', 2, 'clients')).toBeDefined();
+    expect(cache.get('other', 1, 'orders')).toBeDefined();
+  });
+
+  it('should drop the reports reading a type changed through V2', () => {
+    cache.set('db', 1, 'orders', result(), { tags: [10] });
+    cache.set('db', 2, 'clients', result(), { tags: [20] });
+
+    cache.handleChange({
+      db: 'db',
+      source: 'ObjectService.delete',
+      action: 'delete',
+      targetId: 5,
+      targetType: 10,
+      oldValue: { id: 5, typeId: 10 },
+      newValue: null,
+    });
+
+    expect(cache.get('db', 1, 'orders')).toBeUndefined();
+    expect(cache.get('db', 2, 'clients')).toBeDefined();
+  });
+
+  it('should drop the database on definition and structure changes', () => {
+    cache.set('db', 1, 'orders', result(), { tags: [10] });
+    cache.setDefinition('db', 1, { id: 1 }, [10]);
+    cache.handleChange({ db: 'db', source: '_m_set', action: 'update', targetType: 28 });
+
+    expect(cache.get('db', 1, 'orders')).toBeUndefined();
+    expect(cache.getDefinition('db', 1)).toBeUndefined();
+
+    cache.set('db', 2, 'clients', result(), { tags: [20] });
+    cache.handleChange({ db: 'db', source: '_d_alias', action: 'update', targetType: 3 });
+    expect(cache.get('db', 2, 'clients')).toBeUndefined();
+  });
+
+  it('should do nothing when disabled', () => {
+    const off = createReportCache({ defaultTtl: 0 });
+    expect(off.enabled).toBe(false);
+    expect(off.set('db', 1, 'k', result(), { tags: [10] })).toBe(false);
+    off.setDefinition('db', 1, { id: 1 }, []);
+    expect(off.getDefinition('db', 1)).toBeUndefined();
+  });
+});
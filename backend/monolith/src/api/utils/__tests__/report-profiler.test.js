@@ -0,0 +1,129 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  explainStatement,
+  normalizePlan,
+  reportAliases,
+  describeJoins,
+  estimateRows,
+  loadTableIndexes,
+  planSuggestions,
+} from '../report-profiler.js';
+
+const report = {
+  id: 5,
+  header: 'Заказы',
+  columns: [
+    { alias: 'c1', name: 'Заказ', isMainCol: true },
+    { alias: 'c12', name: 'Клиент' },
+    { alias: 'c13', name: 'Сумма' },
+  ],
+  joins: [{ typeId: 40 }],
+};
+
+const mysqlPlan = [
+  { id: 1, select_type: 'SIMPLE', table: 'a', type: 'ref', key: 'idx_t', rows: 2000, filtered: 100, Extra: 'Using where; Using filesort' },
+  { id: 1, select_type: 'SIMPLE', table: 'c12', type: 'ref', key: 'idx_up_t', rows: 1, filtered: 100, Extra: '' },
+  { id: 1, select_type: 'SIMPLE', table: 'c13', type: 'ALL', key: null, rows: 50000, filtered: 10, Extra: 'Using join buffer' },
+];
+
+describe('explainStatement', () => {
+  it('should use the statement of the driver', () => {
+    expect(explainStatement('SELECT 1')).toBe('EXPLAIN SELECT 1');
+    expect(explainStatement('SELECT 1', 'sqlite')).toBe('EXPLAIN QUERY PLAN SELECT 1');
+  });
+});
+
+describe('normalizePlan', () => {
+  it('should map SQLite plan details onto access types', () => {
+    const plan = normalizePlan([
+      { id: 2, detail: 'SEARCH a USING INDEX db_idx_t (t=?)' },
+      { id: 3, detail: 'SEARCH c12 USING INDEX db_idx_up_t (up=? AND t=?)' },
+      { id: 4, detail: 'SCAN c13' },
+      { id: 5, detail: 'SEARCH rj0 USING INTEGER PRIMARY KEY (rowid=?)' },
+      { id: 6, detail: 'USE TEMP B-TREE FOR ORDER BY' },
+    ], 'sqlite');
+
+    expect(plan.map(s => [s.table, s.type, s.key])).toEqual([
+      ['a', 'ref', 'db_idx_t'],
+      ['c12', 'ref', 'db_idx_up_t'],
+      ['c13', 'ALL', null],
+      ['rj0', 'eq_ref', 'PRIMARY'],
+      [null, null, null],
+    ]);
+  });
+});
+
+describe('describeJoins / estimateRows', () => {
+  it('should name joins after report columns and multiply outer estimates', () => {
+    const plan = normalizePlan(mysqlPlan);
+    const joins = describeJoins(plan, reportAliases(report));
+
+    expect(joins.map(j => [j.alias, j.name, j.estimate])).toEqual([
+      ['a', 'Заказы', 2000],
+      ['c12', 'Клиент', 1],
+      ['c13', 'Сумма', 5000],
+    ]);
+    expect(reportAliases(report).get('rj0')).toBe('#40');
+    expect(estimateRows(plan)).toBe(10_000_000);
+    expect(estimateRows(normalizePlan([{ detail: 'SCAN a' }], 'sqlite'))).toBeNull();
+  });
+});
+
+describe('loadTableIndexes', () => {
+  it('should group MySQL index columns in order', async () => {
+    const pool = {
+      query: vi.fn().mockResolvedValue([[
+        { Key_name: 'PRIMARY', Seq_in_index: 1, Column_name: 'id' },
+        { Key_name: 'idx_up_t', Seq_in_index: 2, Column_name: 't' },
+        { Key_name: 'idx_up_t', Seq_in_index: 1, Column_name: 'up' },
+      ]]),
+    };
+    expect(await loadTableIndexes(pool, 'db')).toEqual([
+      { name: 'PRIMARY', columns: ['id'] },
+      { name: 'idx_up_t', columns: ['up', 't'] },
+    ]);
+    expect(pool.query).toHaveBeenCalledWith('SHOW INDEX FROM `db`');
+  });
+
+  it('should parse SQLite index definitions', async () => {
+    const pool = {
+      query: vi.fn().mockResolvedValue([[
+        { name: 'db_idx_up_t', sql: 'CREATE INDEX "db_idx_up_t" ON "db" ("up", "t")' },
+        { name: 'sqlite_autoindex_db_1', sql: null },
+      ]]),
+    };
+    expect(await loadTableIndexes(pool, 'db', 'sqlite')).toEqual([
+      { name: 'db_idx_up_t', columns: ['up', 't'] },
+      { name: 'PRIMARY', columns: ['id'] },
+    ]);
+  });
+});
+
+describe('planSuggestions', () => {
+  it('should flag a missing (up, t) index, scans, sorting and large estimates', () => {
+    const plan = normalizePlan(mysqlPlan);
+    const suggestions = planSuggestions({
+      db: 'db',
+      joins: describeJoins(plan, reportAliases(report)),
+      indexes: [{ name: 'PRIMARY', columns: ['id'] }, { name: 'idx_t', columns: ['t'] }],
+      estimatedRows: estimateRows(plan),
+    });
+
+    expect(suggestions.map(s => s.code)).toEqual(['missing_index_up_t', 'full_scan', 'filesort', 'large_estimate']);
+    expect(suggestions[0].sql).toBe('ALTER TABLE `db` ADD INDEX idx_up_t (up, t)');
+    expect(suggestions[1]).toMatchObject({ alias: 'c13', message: expect.stringContaining('«Сумма»') });
+  });
+
+  it('should point at slow abn_* post-processing and subqueries', () => {
+    const suggestions = planSuggestions({
+      db: 'db',
+      joins: [],
+      indexes: [{ name: 'idx_up_t', columns: ['up', 't'] }, { name: 'idx_t', columns: ['t'] }],
+      timings: { mainQuery: 20, postProcess: 120, subqueries: 80 },
+      abnColumns: [{ alias: 'c13', name: 'Сумма', func: 'abn_NUM2STR' }],
+    });
+
+    expect(suggestions.map(s => s.code)).toEqual(['slow_post_processing', 'slow_subqueries']);
+    expect(suggestions[0].message).toContain('Сумма');
+  });
+});
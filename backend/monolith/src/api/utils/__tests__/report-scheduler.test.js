@@ -0,0 +1,281 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseCron,
+  nextCronRun,
+  ensureScheduleTypes,
+  loadSchedules,
+  createReportScheduler,
+} from '../report-scheduler.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/** In-memory id/up/ord/t/val table answering the scheduler's queries */
+function createPool() {
+  const rows = [];
+  let nextId = 1000;
+  const select = (list, fields) => [list.map(r => Object.fromEntries(fields.map(f => [f, r[f]])))];
+
+  const pool = {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        rows.find(r => r.id === params[1]).val = params[0];
+        return [{}];
+      }
+      if (sql.startsWith('DELETE')) {
+        const field = sql.includes('WHERE up IN') ? 'up' : 'id';
+        for (let i = rows.length - 1; i >= 0; i--) {
+          if (params.includes(rows[i][field])) rows.splice(i, 1);
+        }
+        return [{}];
+      }
+      if (sql.includes('MAX(ord)')) {
+        const ords = rows.filter(r => r.up === params[0]).map(r => r.ord);
+        return [[{ next_ord: Math.max(0, ...ords) + 1 }]];
+      }
+      if (sql.includes('up = 0 AND val = ?')) {
+        return select(rows.filter(r => r.up === 0 && r.val === params[0] && r.t === params[1]), ['id']);
+      }
+      if (sql.includes('ORDER BY id DESC')) {
+        const offset = parseInt(sql.match(/OFFSET (\d+)/)[1], 10);
+        const list = rows.filter(r => r.up === params[0] && r.t === params[1]).sort((a, b) => b.id - a.id);
+        return select(list.slice(offset), ['id']);
+      }
+      if (sql.includes('WHERE up = ? AND t = ?')) {
+        return select(rows.filter(r => r.up === params[0] && r.t === params[1]).slice(0, 1), ['id']);
+      }
+      if (sql.includes('WHERE t = ? AND up != 0')) {
+        return select(rows.filter(r => r.t === params[0] && r.up !== 0 && (params[1] === undefined || r.id === params[1])), ['id', 'val']);
+      }
+      if (sql.includes('WHERE up IN')) {
+        return select(rows.filter(r => params.includes(r.up)), ['up', 't', 'val']);
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+  };
+  return pool;
+}
+
+/** Create a schedule object with the given requisite values */
+async function addSchedule(pool, types, name, values) {
+  const [{ insertId: id }] = await pool.query('INSERT', [1, 1, types.scheduleTypeId, name]);
+  for (const [key, val] of Object.entries(values)) {
+    await pool.query('INSERT', [id, 1, types.fields[key], val]);
+  }
+  return id;
+}
+
+describe('parseCron', () => {
+  it('should expand lists, ranges and steps', () => {
+    const cron = parseCron('*/15 8-10 1,15 * 1-5');
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([8, 9, 10]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect(cron.month.size).toBe(12);
+    expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should accept macros and 7 as Sunday', () => {
+    expect([...parseCron('@daily').hour]).toEqual([0]);
+    expect([...parseCron('0 9 * * 7').dayOfWeek]).toEqual([0]);
+  });
+
+  it('should reject malformed expressions', () => {
+    expect(() => parseCron('0 9 * *')).toThrow('5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('minute');
+    expect(() => parseCron('0 9 * * mon')).toThrow('dayOfWeek');
+    expect(() => parseCron('')).toThrow();
+  });
+});
+
+describe('nextCronRun', () => {
+  it('should skip to the next working day', () => {
+    // Friday 2026-10-16 09:00 → Monday 08:30
+    const next = nextCronRun('30 8 * * 1-5', new Date(2026, 9, 16, 9, 0));
+    expect(next).toEqual(new Date(2026, 9, 19, 8, 30));
+  });
+
+  it('should be strictly after the given time', () => {
+    const next = nextCronRun('0 * * * *', new Date(2026, 9, 16, 9, 0, 0));
+    expect(next).toEqual(new Date(2026, 9, 16, 10, 0));
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // 1st of the month or any Monday: Saturday 2026-10-17 → Monday 19th
+    expect(nextCronRun('0 9 1 * 1', new Date(2026, 9, 17, 12, 0))).toEqual(new Date(2026, 9, 19, 9, 0));
+    // Tuesday 2026-10-27 → Sunday 1st of November
+    expect(nextCronRun('0 9 1 * 1', new Date(2026, 9, 27, 12, 0))).toEqual(new Date(2026, 10, 1, 9, 0));
+  });
+
+  it('should return null for dates that never come', () => {
+    expect(nextCronRun('0 0 31 2 *', new Date(2026, 0, 1))).toBeNull();
+  });
+});
+
+describe('ensureScheduleTypes', () => {
+  it('should provision the types once', async () => {
+    const pool = createPool();
+    const first = await ensureScheduleTypes(pool, 'mydb');
+    const count = pool.rows.length;
+    const second = await ensureScheduleTypes(pool, 'mydb');
+
+    expect(second).toEqual(first);
+    expect(pool.rows.length).toBe(count);
+    // Run history is attached to the schedule type as a subordinate table
+    expect(pool.rows.some(r => r.up === first.scheduleTypeId && r.t === first.runTypeId)).toBe(true);
+  });
+});
+
+describe('createReportScheduler', () => {
+  let pool;
+  let types;
+  let sendMail;
+  let runReport;
+  let scheduler;
+
+  beforeEach(async () => {
+    pool = createPool();
+    types = await ensureScheduleTypes(pool, 'mydb');
+    sendMail = vi.fn(async () => true);
+    runReport = vi.fn(async () => ({
+      filename: 'report_5.csv', content: Buffer.from('a;b'), contentType: 'text/csv', rows: 2, reportName: 'Продажи',
+    }));
+    scheduler = createReportScheduler({
+      getPool: () => pool,
+      runReport,
+      sendMail,
+      listDatabases: async () => ['mydb'],
+      getOwnerEmail: async () => 'owner@example.com',
+      logger,
+    });
+  });
+
+  it('should run a due schedule and record the run', async () => {
+    const id = await addSchedule(pool, types, 'Утренний', {
+      report: 'Продажи', cron: '0 9 * * *', recipients: 'a@example.com, b@example.com',
+      format: 'CSV', params: 'FR_Дата=01.10.2026', owner: 'manager', editor: 'manager', active: '1',
+      lastRun: String(new Date(2026, 9, 16, 9, 0).getTime() / 1000),
+    });
+
+    await scheduler.tick(new Date(2026, 9, 17, 9, 0, 20));
+
+    expect(runReport).toHaveBeenCalledWith('mydb', expect.objectContaining({ id, format: 'csv', owner: 'manager' }),
+      { FR_Дата: '01.10.2026' });
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'a@example.com, b@example.com',
+      attachments: [expect.objectContaining({ filename: 'report_5.csv' })],
+    }));
+
+    const [schedule] = await loadSchedules(pool, 'mydb', types, id);
+    expect(schedule.lastRun).toEqual(new Date(2026, 9, 17, 9, 0, 20));
+    const runs = pool.rows.filter(r => r.up === id && r.t === types.runTypeId);
+    expect(runs).toHaveLength(1);
+    expect(pool.rows.find(r => r.up === runs[0].id && r.t === types.runFields.status).val).toBe('ok');
+
+    // Already ran in this slot
+    await scheduler.tick(new Date(2026, 9, 17, 9, 1));
+    expect(runReport).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip inactive schedules and not fire new ones retroactively', async () => {
+    await addSchedule(pool, types, 'Выключен', {
+      report: '5', cron: '* * * * *', recipients: 'a@example.com', owner: 'manager',
+    });
+    await addSchedule(pool, types, 'Новый', {
+      report: '5', cron: '0 9 * * *', recipients: 'a@example.com', owner: 'manager', active: '1',
+    });
+
+    await scheduler.tick(new Date(2026, 9, 17, 12, 0));
+    expect(runReport).not.toHaveBeenCalled();
+  });
+
+  it('should record failures and alert the owner', async () => {
+    runReport.mockRejectedValueOnce(new Error('Отчёт не найден: 5'));
+    const id = await addSchedule(pool, types, 'Сломанный', {
+      report: '5', cron: '* * * * *', recipients: 'a@example.com', owner: 'manager', editor: 'manager', active: '1',
+    });
+
+    const [schedule] = await loadSchedules(pool, 'mydb', types, id);
+    const run = await scheduler.runSchedule('mydb', schedule, types);
+
+    expect(run).toMatchObject({ status: 'error', error: 'Отчёт не найден: 5' });
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toMatchObject({ to: 'owner@example.com' });
+    expect(sendMail.mock.calls[0][0].text).toContain('Отчёт не найден: 5');
+    const lastStatus = pool.rows.find(r => r.up === id && r.t === types.fields.lastStatus);
+    expect(lastStatus.val).toBe('error: Отчёт не найден: 5');
+  });
+
+  it('should not run a schedule without recipients', async () => {
+    const id = await addSchedule(pool, types, 'Без адресов', {
+      report: '5', cron: '* * * * *', recipients: 'not-an-email', owner: 'manager', active: '1',
+    });
+
+    const [schedule] = await loadSchedules(pool, 'mydb', types, id);
+    const run = await scheduler.runSchedule('mydb', schedule, types);
+
+    expect(run.error).toBe('Не указаны получатели');
+    expect(runReport).not.toHaveBeenCalled();
+  });
+
+  it('should not lend the owner\'s grants to a schedule someone else changed', async () => {
+    const isAdmin = vi.fn(async (db, username) => username === 'root');
+    scheduler = createReportScheduler({ getPool: () => pool, runReport, sendMail, isAdmin, logger });
+    const id = await addSchedule(pool, types, 'Чужой', {
+      report: '5', cron: '* * * * *', recipients: 'a@example.com', owner: 'admin', editor: 'mallory', active: '1',
+    });
+
+    let [schedule] = await loadSchedules(pool, 'mydb', types, id);
+    const run = await scheduler.runSchedule('mydb', schedule, types);
+    expect(run.error).toBe('Расписание изменено не владельцем (mallory), сохраните его от имени admin');
+    expect(runReport).not.toHaveBeenCalled();
+
+    // An administrator may set up schedules on behalf of others
+    await pool.query('UPDATE', ['root', pool.rows.find(r => r.up === id && r.t === types.fields.editor).id]);
+    [schedule] = await loadSchedules(pool, 'mydb', types, id);
+    expect((await scheduler.runSchedule('mydb', schedule, types)).status).toBe('ok');
+    expect(isAdmin).toHaveBeenCalledWith('mydb', 'root');
+  });
+
+  it('should record the editor of a schedule from changes', async () => {
+    const id = await addSchedule(pool, types, 'Утренний', { report: '5', owner: 'manager', editor: 'manager' });
+    const ownerRow = pool.rows.find(r => r.up === id && r.t === types.fields.owner);
+    const editorOf = () => pool.rows.find(r => r.up === id && r.t === types.fields.editor).val;
+
+    // Legacy edit of a requisite: the signed-in user
+    await scheduler.handleChange({
+      db: 'mydb', action: 'update', source: '_m_save',
+      newValue: { id: ownerRow.id, parentId: id, typeId: types.fields.owner }, user: { uid: 7, username: 'mallory' },
+    });
+    expect(editorOf()).toBe('mallory');
+
+    // V2 edit of the object: no known user
+    await scheduler.handleChange({
+      db: 'mydb', action: 'update', source: 'ObjectService.update', newValue: { id, typeId: types.scheduleTypeId },
+    });
+    expect(editorOf()).toBe('');
+
+    // Unrelated objects are left alone
+    await scheduler.handleChange({
+      db: 'mydb', action: 'update', source: '_m_save', newValue: { id: 5, parentId: 1, typeId: 18 }, user: { username: 'bob' },
+    });
+    expect(editorOf()).toBe('');
+  });
+
+  it('should make the creator the owner of a new schedule without one', async () => {
+    const id = await addSchedule(pool, types, 'Новый', { report: '5', owner: '' });
+
+    await scheduler.handleChange({
+      db: 'mydb', action: 'create', source: '_m_new',
+      newValue: { id, parentId: 1, typeId: types.scheduleTypeId }, user: { uid: 6, username: 'bob' },
+    });
+
+    const [schedule] = await loadSchedules(pool, 'mydb', types, id);
+    expect(schedule).toMatchObject({ owner: 'bob', editor: 'bob' });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createSessions, MAX_SESSIONS } from '../sessions.js';
+import { EVENTS } from '../login-audit.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * In-memory id/up/ord/t/val table for the statements of legacy-schema.js,
+ * sessions.js and login-audit.js.
+ */
+function createPool(rows = []) {
+  let nextId = 1000;
+  const drop = (test) => rows.splice(0, rows.length, ...rows.filter(r => !test(r)));
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        rows.find(r => r.id === params[1]).val = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE')) {
+        if (sql.includes('up IN')) drop(r => params.includes(r.up));
+        else if (sql.includes('id IN')) drop(r => params.includes(r.id) && r.t === 125);
+        else if (sql.includes('t = 40')) drop(r => r.up === params[0] && r.t === 40);
+        else drop(r => r.up === params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('up = 0 AND val = ?')) {
+        const [val, t] = params;
+        return [rows.filter(r => r.up === 0 && r.val === val && r.t === t && r.id !== r.t).slice(0, 1)];
+      }
+      if (sql.includes('WHERE up = ? AND t = ?')) {
+        const [up, t] = params;
+        return [rows.filter(r => r.up === up && r.t === t).slice(0, 1)];
+      }
+      if (sql.includes('JOIN')) {
+        return [rows
+          .filter(r => r.t === 125 && (!params.length || r.up === params[0]))
+          .sort((a, b) => b.id - a.id)
+          .map(r => ({ id: r.id, uid: r.up, login: rows.find(u => u.id === r.up).val }))];
+      }
+      if (sql.includes('up IN')) return [rows.filter(r => params.includes(r.up))];
+      if (sql.includes('AND t = 18')) return [rows.filter(r => r.id === params[0] && r.t === 18)];
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+  };
+}
+
+/** Events of the login audit, by requisite name */
+function events(pool) {
+  const nameOf = (reqId) => {
+    const req = pool.rows.find(r => r.id === reqId);
+    return pool.rows.find(r => r.id === req.t).val;
+  };
+  return pool.rows
+    .filter(r => r.t === 124 && r.up === 1)
+    .map(obj => Object.fromEntries(pool.rows.filter(r => r.up === obj.id).map(r => [nameOf(r.t), r.val])));
+}
+
+describe('createSessions', () => {
+  let pool;
+  let clock;
+  let sessions;
+
+  /** Token row of a user, as issueLoginToken() inserts it */
+  function token(uid) {
+    const id = 100 + pool.rows.length;
+    pool.rows.push({ id, up: uid, ord: 1, t: 125, val: `tok${id}` });
+    return id;
+  }
+
+  beforeEach(() => {
+    clock = 1700000000000;
+    pool = createPool([
+      { id: 5, up: 1, ord: 1, t: 18, val: 'alice' },
+      { id: 6, up: 1, ord: 2, t: 18, val: 'bob' },
+      { id: 7, up: 5, ord: 1, t: 40, val: 'alice-xsrf' },
+    ]);
+    sessions = createSessions({ getPool: () => pool, logger, now: () => clock });
+  });
+
+  it('should record the details of a session and the login', async () => {
+    const legacy = token(5);
+    const id = token(5);
+    await sessions.start('db', { uid: 5, login: 'alice', tokenId: id, ip: '::ffff:10.0.0.1', userAgent: 'Firefox', method: 'Пароль' });
+
+    const list = await sessions.list('db', { uid: 5, currentId: id });
+    expect(list).toHaveLength(2);
+    expect(list[0]).toMatchObject({
+      id, uid: 5, login: 'alice', startedAt: new Date(clock), lastUsedAt: new Date(clock),
+      ip: '10.0.0.1', lastIp: '10.0.0.1', userAgent: 'Firefox', method: 'Пароль', current: true,
+    });
+    // a token issued without details is still listed
+    expect(list[1]).toMatchObject({ id: legacy, startedAt: null, ip: null, current: false });
+    expect(events(pool)).toEqual([{ 'Событие': EVENTS.LOGIN, 'Логин': 'alice', 'IP-адрес': '10.0.0.1', 'User-Agent': 'Firefox', 'Способ входа': 'Пароль' }]);
+  });
+
+  it('should record the use of a session at most once a minute', async () => {
+    const id = token(5);
+    await sessions.start('db', { uid: 5, login: 'alice', tokenId: id, ip: '10.0.0.1' });
+    const writes = () => pool.query.mock.calls.filter(([sql]) => /^(INSERT|UPDATE)/.test(sql)).length;
+    const before = writes();
+
+    clock += 30 * 1000;
+    await sessions.touch('db', id, { ip: '10.0.0.2' });
+    expect(writes()).toBe(before);
+
+    clock += 60 * 1000;
+    await sessions.touch('db', id, { ip: '10.0.0.2' });
+    const [session] = await sessions.list('db', { uid: 5 });
+    expect(session).toMatchObject({ lastUsedAt: new Date(clock), lastIp: '10.0.0.2', ip: '10.0.0.1' });
+  });
+
+  it('should keep at most MAX_SESSIONS sessions per user', async () => {
+    const first = token(5);
+    for (let i = 1; i < MAX_SESSIONS; i++) token(5);
+    const bobs = token(6);
+    const id = token(5);
+    await sessions.start('db', { uid: 5, login: 'alice', tokenId: id });
+
+    const ids = (await sessions.list('db', { uid: 5 })).map(s => s.id);
+    expect(ids).toHaveLength(MAX_SESSIONS);
+    expect(ids).toContain(id);
+    expect(ids).not.toContain(first);
+    expect((await sessions.list('db')).map(s => s.id)).toContain(bobs);
+  });
+
+  it('should end a session of its own user only', async () => {
+    const alices = token(5);
+    const bobs = token(6);
+    await sessions.start('db', { uid: 5, login: 'alice', tokenId: alices, ip: '10.0.0.1' });
+
+    expect(await sessions.revoke('db', bobs, { uid: 5, by: 'alice' })).toBe(false);
+    expect(await sessions.revoke('db', alices, { uid: 5, by: 'alice', ip: '10.0.0.1' })).toBe(true);
+    expect(pool.rows.some(r => r.id === alices || r.up === alices)).toBe(false);
+    expect(pool.rows.some(r => r.id === bobs)).toBe(true);
+    expect(events(pool)[1]).toEqual({ 'Событие': EVENTS.REVOKE, 'Логин': 'alice', 'IP-адрес': '10.0.0.1', 'Кем выполнено': 'alice' });
+
+    expect(await sessions.revoke('db', bobs, { by: 'admin', event: EVENTS.LOGOUT })).toBe(true);
+    expect(events(pool)[2]).toMatchObject({ 'Событие': EVENTS.LOGOUT, 'Логин': 'bob' });
+  });
+
+  it('should sign a user out everywhere and drop the stored xsrf', async () => {
+    token(5);
+    token(5);
+    const bobs = token(6);
+
+    expect(await sessions.revokeAll('db', 5, { by: 'admin' })).toBe(2);
+    expect(pool.rows.filter(r => r.up === 5)).toEqual([]);
+    expect(pool.rows.some(r => r.id === bobs)).toBe(true);
+    expect(events(pool)).toEqual([{ 'Событие': EVENTS.REVOKE_ALL, 'Логин': 'alice', 'Кем выполнено': 'admin' }]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { buildXlsx, buildOds, buildSpreadsheet } from '../spreadsheet-writer.js';
+import { buildZipArchive, readZip } from '../zip-archive.js';
+
+function entries(buf) {
+  return Object.fromEntries(readZip(buf).map(e => [e.name, e.content.toString('utf8')]));
+}
+
+const sheet = {
+  name: 'Продажи',
+  columns: [
+    { name: 'Товар' },
+    { name: 'Сумма', type: 'number' },
+    { name: 'Дата', type: 'date' },
+    { name: 'Создан', type: 'datetime' },
+    { name: 'Оплачен', type: 'boolean' },
+  ],
+  rows: [
+    ['Стол & стул', 1500.5, new Date(Date.UTC(2026, 9, 17)), new Date(Date.UTC(2026, 9, 17, 9, 30)), true],
+    ['Шкаф', 700, null, null, false],
+  ],
+  totals: ['Итого', 2200.5, null, null, null],
+};
+
+describe('zip-archive', () => {
+  it('should round-trip stored and deflated entries', () => {
+    const zip = buildZipArchive([
+      { name: 'mimetype', content: 'text/plain', store: true },
+      { name: 'dir/файл.txt', content: Buffer.from('x'.repeat(1000)) },
+    ]);
+    const [first, second] = readZip(zip);
+
+    expect(first).toMatchObject({ name: 'mimetype' });
+    expect(first.content.toString()).toBe('text/plain');
+    expect(second.name).toBe('dir/файл.txt');
+    expect(second.content.toString()).toBe('x'.repeat(1000));
+    // Stored first entry: its bytes follow the local header as is (ODS requirement)
+    expect(zip.subarray(38, 48).toString()).toBe('text/plain');
+  });
+});
+
+describe('buildXlsx', () => {
+  it('should write typed cells, widths, a frozen header and totals', () => {
+    const files = entries(buildXlsx([sheet]));
+    const xml = files['xl/worksheets/sheet1.xml'];
+
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Продажи" sheetId="1" r:id="rId1"/>');
+    expect(xml).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+    expect(xml).toMatch(/<col min="1" max="1" width="13" customWidth="1"\/>/);
+    // Header and totals are bold (style 1)
+    expect(xml).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Товар</t></is></c>');
+    expect(xml).toContain('<t xml:space="preserve">Стол &amp; стул</t>');
+    expect(xml).toContain('<c r="B2"><v>1500.5</v></c>');
+    expect(xml).toContain('<c r="C2" s="2"><v>46312</v></c>');
+    expect(xml).toContain('<c r="D2" s="3"><v>46312.39583333333</v></c>');
+    expect(xml).toContain('<c r="E2" t="b"><v>1</v></c>');
+    expect(xml).toContain('<c r="E3" t="b"><v>0</v></c>');
+    expect(xml).not.toContain('r="C3"');
+    expect(xml).toContain('<row r="4"><c r="A4" t="inlineStr" s="1"><is><t xml:space="preserve">Итого</t></is></c><c r="B4" s="1"><v>2200.5</v></c></row>');
+    expect(xml).toContain('<autoFilter ref="A1:E3"/>');
+  });
+
+  it('should make sheet names valid and unique', () => {
+    const files = entries(buildXlsx([
+      { name: 'Заказы: 2026/10', columns: [{ name: 'A' }], rows: [] },
+      { name: 'Заказы: 2026/10', columns: [{ name: 'A' }], rows: [] },
+    ]));
+
+    expect(files['xl/workbook.xml']).toContain('name="Заказы_ 2026_10"');
+    expect(files['xl/workbook.xml']).toContain('name="Заказы_ 2026_10 (2)"');
+    expect(files['xl/workbook.xml']).not.toContain('<definedNames>');
+    expect(files['xl/worksheets/sheet2.xml']).toBeDefined();
+  });
+});
+
+describe('buildOds', () => {
+  it('should write an ODS package with typed cells and a frozen header', () => {
+    const buf = buildOds([sheet]);
+    const files = entries(buf);
+
+    expect(readZip(buf)[0].name).toBe('mimetype');
+    expect(files.mimetype).toBe('application/vnd.oasis.opendocument.spreadsheet');
+
+    const content = files['content.xml'];
+    expect(content).toContain('<table:table table:name="Продажи">');
+    expect(content).toContain('<table:table-header-rows><table:table-row><table:table-cell table:style-name="ceb" office:value-type="string"><text:p>Товар</text:p>');
+    expect(content).toContain('office:value-type="float" office:value="1500.5"');
+    expect(content).toContain('table:style-name="ced" office:value-type="date" office:date-value="2026-10-17"');
+    expect(content).toContain('table:style-name="cedt" office:value-type="date" office:date-value="2026-10-17T09:30:00"');
+    expect(content).toContain('office:value-type="boolean" office:boolean-value="true"');
+    expect(content).toContain('<table:table-cell table:style-name="ceb" office:value-type="float" office:value="2200.5">');
+    expect(content).toContain('style:column-width="2.60cm"');
+
+    expect(files['settings.xml']).toContain('<config:config-item-map-entry config:name="Продажи">'
+      + '<config:config-item config:name="VerticalSplitMode" config:type="short">2</config:config-item>'
+      + '<config:config-item config:name="VerticalSplitPosition" config:type="int">1</config:config-item>');
+  });
+});
+
+describe('buildSpreadsheet', () => {
+  it('should reject unknown formats', () => {
+    expect(() => buildSpreadsheet('numbers', [sheet])).toThrow('Unsupported spreadsheet format');
+    expect(readZip(buildSpreadsheet('ods', [sheet]))[0].name).toBe('mimetype');
+  });
+});
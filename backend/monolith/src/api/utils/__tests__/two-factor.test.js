@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotp,
+  otpauthUri,
+  hashRecoveryCode,
+  createTwoFactor,
+} from '../two-factor.js';
+import { encodeQr, qrSvg } from '../qr-code.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/** RFC 6238 test key "12345678901234567890" */
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+/**
+ * In-memory id/up/ord/t/val table for the field lookup and role flag joins
+ * and the simple SELECT / INSERT / UPDATE statements of legacy-schema.js.
+ */
+function createPool(rows) {
+  let nextId = 5000;
+  const byId = id => rows.find(r => r.id === Number(id));
+
+  function simple(sql, params) {
+    const clause = /WHERE (.*?)(?: ORDER BY| LIMIT|$)/s.exec(sql)?.[1] || '';
+    let p = 0;
+    const tests = clause.split(' AND ').map((cond) => {
+      let m;
+      if ((m = /^(\w+) IN \(\?, \?\)$/.exec(cond))) {
+        const values = params.slice(p, p += 2);
+        return r => values.some(v => v == r[m[1]]);
+      }
+      if ((m = /^(\w+) = \?$/.exec(cond))) {
+        const value = params[p++];
+        return r => r[m[1]] == value;
+      }
+      if ((m = /^(\w+) = (\d+)$/.exec(cond))) return r => r[m[1]] == Number(m[2]);
+      if (cond === 'id != t') return r => r.id !== r.t;
+      throw new Error(`Unexpected condition: ${cond}`);
+    });
+    return rows.filter(r => tests.every(t => t(r)));
+  }
+
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        byId(params[1]).val = params[0];
+        return [{}];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('JOIN') && sql.includes('attr')) {
+        return [rows.filter(attr => attr.up === 0 && attr.id !== attr.t && params.includes(attr.val))
+          .flatMap(attr => rows.filter(req => req.t === attr.id && [18, 42].includes(req.up))
+            .map(req => ({ id: req.id, up: req.up, val: attr.val })))];
+      }
+      if (sql.includes('LEFT JOIN')) {
+        return [rows.filter(role => role.t === 42 && role.up !== 0).map((role) => {
+          const flag = rows.find(f => f.up === role.id && f.t === params[0]);
+          return { id: role.id, val: role.val, required: flag ? flag.val : null };
+        })];
+      }
+      if (sql.includes('role_def')) {
+        const [flagType, uid] = params;
+        const roles = rows.filter(r => r.up === uid && byId(r.t)?.t === 42).map(r => r.t);
+        return [rows.filter(f => roles.includes(f.up) && f.t === flagType).map(f => ({ val: f.val }))];
+      }
+      const fields = /^SELECT (.*?) FROM/s.exec(sql)[1].split(',').map(f => f.trim());
+      const list = simple(sql, params);
+      return [(sql.includes('LIMIT 1') ? list.slice(0, 1) : list)
+        .map(r => Object.fromEntries(fields.map(f => [f, r[f]])))];
+    }),
+  };
+}
+
+/** Users 100 (role "admin") and 101 (role "user") */
+function schema() {
+  return [
+    { id: 18, up: 0, ord: 0, t: 3, val: 'Пользователь' },
+    { id: 42, up: 0, ord: 0, t: 3, val: 'Роль' },
+    { id: 60, up: 1, ord: 1, t: 42, val: 'admin' },
+    { id: 61, up: 1, ord: 2, t: 42, val: 'user' },
+    { id: 100, up: 1, ord: 1, t: 18, val: 'alice' },
+    { id: 110, up: 100, ord: 1, t: 60, val: '' },
+    { id: 101, up: 1, ord: 2, t: 18, val: 'bob' },
+    { id: 111, up: 101, ord: 1, t: 61, val: '' },
+  ];
+}
+
+describe('TOTP', () => {
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(totpCode(RFC_SECRET, Math.floor(59 / 30), 8)).toBe('94287082');
+    expect(totpCode(RFC_SECRET, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+    expect(totpCode(RFC_SECRET, Math.floor(1234567890 / 30), 8)).toBe('89005924');
+    expect(totpCode(RFC_SECRET, Math.floor(2000000000 / 30), 8)).toBe('69279037');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('should accept one step of drift and refuse used steps', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(1234567890 / 30);
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step), { now, after: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  it('should build a provisioning URI and its QR code', () => {
+    const uri = otpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'alice', issuer: 'Integram db' });
+    expect(uri).toBe('otpauth://totp/Integram%20db:alice?secret=JBSWY3DPEHPK3PXP&issuer=Integram%20db&algorithm=SHA1&digits=6&period=30');
+    // 113 bytes need version 7 (45×45 modules)
+    expect(encodeQr(uri)).toHaveLength(45);
+    expect(qrSvg(uri)).toMatch(/^<svg [^>]*viewBox="0 0 53 53"/);
+    expect(() => encodeQr('x'.repeat(300))).toThrow(/too long/);
+  });
+});
+
+describe('createTwoFactor', () => {
+  let pool;
+  let clock;
+  let twoFactor;
+
+  beforeEach(() => {
+    pool = createPool(schema());
+    clock = 1700000000000;
+    twoFactor = createTwoFactor({ getPool: () => pool, logger, now: () => clock });
+  });
+
+  const code = secret => totpCode(secret, Math.floor(clock / 30000));
+
+  it('should let users without 2FA log in with the password alone', async () => {
+    expect(await twoFactor.loginStep('db', { uid: 100, username: 'alice' })).toBeNull();
+  });
+
+  it('should enroll from a session and then ask for a code at login', async () => {
+    const { secret, otpauth, qr } = await twoFactor.setup('db', { uid: 101, username: 'bob' });
+    expect(otpauth).toContain(`secret=${secret}`);
+    expect(qr).toMatch(/^data:image\/svg\+xml;base64,/);
+    await expect(twoFactor.confirm('db', 101, '000000')).rejects.toThrow('Неверный код подтверждения');
+
+    const recoveryCodes = await twoFactor.confirm('db', 101, code(secret));
+    expect(recoveryCodes).toHaveLength(10);
+    expect(await twoFactor.status('db', 101)).toEqual({ enabled: true, required: false, recoveryLeft: 10 });
+    // Stored as hashes, never in clear
+    expect(pool.rows.some(r => r.val?.includes(recoveryCodes[0]))).toBe(false);
+
+    const step = await twoFactor.loginStep('db', { uid: 101, username: 'bob' });
+    expect(step).toEqual({ challenge: expect.any(String), expiresIn: 300 });
+    // The code that confirmed the enrollment cannot be replayed
+    await expect(twoFactor.completeLogin('db', step.challenge, { code: code(secret) })).rejects.toThrow('Неверный код');
+    clock += 30000;
+    expect(twoFactor.pendingLogin('db', step.challenge)).toEqual({ uid: 101, username: 'bob' });
+    expect(twoFactor.pendingLogin('other', step.challenge)).toBeNull();
+    // user ids are per database: the challenge is unknown to any other one
+    await expect(twoFactor.completeLogin('other', step.challenge, { code: code(secret) })).rejects.toThrow('Время подтверждения истекло');
+    expect(await twoFactor.completeLogin('db', step.challenge, { code: code(secret) }))
+      .toEqual({ db: 'db', uid: 101, username: 'bob', context: null });
+    await expect(twoFactor.completeLogin('db', step.challenge, { code: code(secret) })).rejects.toThrow('Время подтверждения истекло');
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { secret } = await twoFactor.setup('db', { uid: 101, username: 'bob' });
+    const [first] = await twoFactor.confirm('db', 101, code(secret));
+
+    const { challenge } = await twoFactor.loginStep('db', { uid: 101, username: 'bob' });
+    await twoFactor.completeLogin('db', challenge, { recovery: first.toUpperCase() });
+    expect((await twoFactor.status('db', 101)).recoveryLeft).toBe(9);
+
+    const again = await twoFactor.loginStep('db', { uid: 101, username: 'bob' });
+    await expect(twoFactor.completeLogin('db', again.challenge, { recovery: first })).rejects.toThrow('Неверный код восстановления');
+    expect(pool.rows.find(r => r.val === hashRecoveryCode(first))).toBeUndefined();
+  });
+
+  it('should make users of a flagged role enroll during login', async () => {
+    await twoFactor.setRoleRequired('db', 60, true);
+    expect(await twoFactor.rolePolicies('db')).toEqual([
+      { id: 60, name: 'admin', required: true },
+      { id: 61, name: 'user', required: false },
+    ]);
+    expect(await twoFactor.loginStep('db', { uid: 101, username: 'bob' })).toBeNull();
+
+    const step = await twoFactor.loginStep('db', { uid: 100, username: 'alice' });
+    expect(step.enroll.otpauth).toContain('Integram%20db:alice');
+    const result = await twoFactor.completeLogin('db', step.challenge, { code: code(step.enroll.secret) });
+    expect(result.recoveryCodes).toHaveLength(10);
+    expect(await twoFactor.status('db', 100)).toEqual({ enabled: true, required: true, recoveryLeft: 10 });
+    await expect(twoFactor.disable('db', 100, { recovery: result.recoveryCodes[0] }))
+      .rejects.toThrow('Роль пользователя требует двухфакторную аутентификацию');
+  });
+
+  it('should drop a challenge after five wrong codes', async () => {
+    const { secret } = await twoFactor.setup('db', { uid: 101, username: 'bob' });
+    await twoFactor.confirm('db', 101, code(secret));
+    clock += 30000;
+
+    const { challenge } = await twoFactor.loginStep('db', { uid: 101, username: 'bob' });
+    for (let i = 0; i < 5; i++) {
+      await expect(twoFactor.completeLogin('db', challenge, { code: '000000' })).rejects.toThrow('Неверный код подтверждения');
+    }
+    await expect(twoFactor.completeLogin('db', challenge, { code: code(secret) })).rejects.toThrow('Время подтверждения истекло');
+  });
+});
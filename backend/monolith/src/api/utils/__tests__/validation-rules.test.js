@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ValidationError } from '../../../../../../packages/@integram/common/index.js';
+import { createValidationRules, loadRules, rulesError } from '../validation-rules.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * In-memory id/up/ord/t/val table answering simple
+ * SELECT ... WHERE a = ? AND b IN (...) queries, the type description join and
+ * the requisite uniqueness join.
+ */
+function createPool(rows) {
+  let nextId = 5000;
+
+  function matcher(sql, params) {
+    const clause = /WHERE (.*?)(?: ORDER BY| LIMIT|$)/s.exec(sql)?.[1] || '';
+    let p = 0;
+    const tests = clause.split(' AND ').filter(Boolean).map((cond) => {
+      let m;
+      if ((m = /^(\w+) IN \(([?,]+)\)$/.exec(cond))) {
+        const values = params.slice(p, p += m[2].split(',').length);
+        return r => values.some(v => v == r[m[1]]);
+      }
+      if ((m = /^(\w+) = \?$/.exec(cond))) {
+        const value = params[p++];
+        return r => r[m[1]] == value;
+      }
+      if ((m = /^(\w+) != \?$/.exec(cond))) {
+        const value = params[p++];
+        return r => r[m[1]] != value;
+      }
+      if ((m = /^(\w+) != (\d+)$/.exec(cond))) return r => r[m[1]] != Number(m[2]);
+      if ((m = /^(\w+) = (\d+)$/.exec(cond))) return r => r[m[1]] == Number(m[2]);
+      if (cond === 'id != t') return r => r.id !== r.t;
+      throw new Error(`Unexpected condition: ${cond}`);
+    });
+    return r => tests.every(t => t(r));
+  }
+
+  const byId = id => rows.find(r => r.id === Number(id));
+
+  return {
+    rows,
+    query: vi.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT')) {
+        const [up, ord, t, val] = params;
+        rows.push({ id: ++nextId, up, ord, t, val });
+        return [{ insertId: nextId }];
+      }
+      if (sql.startsWith('UPDATE')) {
+        byId(params[1]).val = params[0];
+        return [{}];
+      }
+      if (sql.startsWith('DELETE')) {
+        const match = matcher(sql, params);
+        for (let i = rows.length - 1; i >= 0; i--) if (match(rows[i])) rows.splice(i, 1);
+        return [{}];
+      }
+      if (sql.includes('MAX(ord)')) {
+        return [[{ next_ord: Math.max(0, ...rows.filter(r => r.up === params[0]).map(r => r.ord)) + 1 }]];
+      }
+      if (sql.includes('LEFT JOIN')) {
+        return [rows.filter(a => a.up === params[0]).sort((a, b) => a.ord - b.ord).map((a) => {
+          const typ = byId(a.t);
+          const ref = byId(typ.t);
+          const isRef = ref && ref.t !== ref.id;
+          const arr = !isRef && rows.find(r => r.up === typ.id && r.ord === 1);
+          return {
+            id: a.id, attrs: a.val, type_id: typ.id,
+            type_val: isRef ? ref.val : typ.val, base_typ: isRef ? ref.t : typ.t,
+            ref_id: isRef ? ref.id : null, arr_id: arr ? arr.id : null,
+          };
+        })];
+      }
+      if (sql.includes(' JOIN ')) {
+        // SELECT o.id FROM r JOIN o ON o.id = r.up WHERE r.val = ? AND r.t = ? AND o.t = ? AND o.id != ? [AND o.up = ?]
+        const [val, t, typeId, exceptId, parentId] = params;
+        const found = rows.filter(r => r.val == val && r.t == t).map(r => byId(r.up))
+          .filter(o => o && o.t == typeId && o.id != exceptId && (parentId === undefined || o.up == parentId));
+        return [found.slice(0, 1).map(o => ({ id: o.id }))];
+      }
+      const fields = /^SELECT (.*?) FROM/s.exec(sql)[1].split(',').map(f => f.trim());
+      const list = rows.filter(matcher(sql, params))
+        .sort((a, b) => (sql.includes('ORDER BY ord') ? a.ord - b.ord : 0) || a.id - b.id);
+      const limited = sql.includes('LIMIT 1') ? list.slice(0, 1) : list;
+      return [limited.map(r => Object.fromEntries(fields.map(f => [f, r[f]])))];
+    }),
+  };
+}
+
+/** Клиент (200): ИНН, Скидка, Статус, Лимит; two clients in different parents */
+function schema() {
+  return [
+    { id: 3, up: 0, ord: 0, t: 3, val: 'SHORT' },
+    { id: 12, up: 0, ord: 0, t: 12, val: 'MEMO' },
+    { id: 13, up: 0, ord: 0, t: 13, val: 'NUMBER' },
+    { id: 50, up: 0, ord: 0, t: 3, val: 'ИНН' },
+    { id: 51, up: 0, ord: 0, t: 13, val: 'Скидка' },
+    { id: 52, up: 0, ord: 0, t: 3, val: 'Статус' },
+    { id: 53, up: 0, ord: 0, t: 13, val: 'Лимит' },
+    { id: 200, up: 0, ord: 0, t: 3, val: 'Клиент' },
+    { id: 201, up: 200, ord: 1, t: 50, val: 'ИНН' },
+    { id: 202, up: 200, ord: 2, t: 51, val: 'Скидка' },
+    { id: 203, up: 200, ord: 3, t: 52, val: 'Статус' },
+    { id: 204, up: 200, ord: 4, t: 53, val: 'Лимит' },
+    // Objects
+    { id: 1000, up: 1, ord: 1, t: 200, val: 'Ромашка' },
+    { id: 1100, up: 1000, ord: 1, t: 201, val: '7701000001' },
+    { id: 1101, up: 1000, ord: 2, t: 202, val: '30' },
+    { id: 1001, up: 5, ord: 1, t: 200, val: 'Лютик' },
+  ];
+}
+
+describe('createValidationRules', () => {
+  let pool;
+  let rules;
+
+  beforeEach(() => {
+    pool = createPool(schema());
+    rules = createValidationRules({ getPool: () => pool, logger });
+  });
+
+  it('should refuse broken rules and store valid ones as objects', async () => {
+    await expect(rules.setRules('db', 201, [{ kind: 'pattern', param: '[0-9' }]))
+      .rejects.toThrow(/Правило 1: Неверное регулярное выражение/);
+    await expect(rules.setRules('db', 201, [{ kind: 'between', param: '1' }]))
+      .rejects.toThrow(/Неизвестный вид правила «between»/);
+    await expect(rules.setRules('db', 204, [{ kind: 'condition', param: '[Нет] > 1' }]))
+      .rejects.toThrow(/Реквизит «Нет» не найден в типе «Клиент»/);
+    await expect(rules.setRules('db', 999, [])).rejects.toThrow(/Реквизит 999 не найден/);
+
+    const stored = await rules.setRules('db', 201, [
+      { kind: 'pattern', param: '\\d{10}', message: 'ИНН — 10 цифр' },
+      { kind: 'unique' },
+    ]);
+    expect(stored).toEqual([
+      { kind: 'pattern', param: '\\d{10}', message: 'ИНН — 10 цифр' },
+      { kind: 'unique', param: 'type', message: '' },
+    ]);
+    expect((await loadRules(pool, 'db')).rules.get(201)).toEqual(stored);
+    expect(await rules.list('db')).toEqual([
+      { targetId: 201, typeId: 200, typeName: 'Клиент', requisite: 'ИНН', rules: stored, error: null },
+    ]);
+
+    // Replacing drops the previous rule objects
+    await rules.setRules('db', 201, []);
+    expect((await loadRules(pool, 'db')).rules.has(201)).toBe(false);
+  });
+
+  it('should check patterns, ranges, lengths and allowed values of submitted requisites', async () => {
+    await rules.setRules('db', 201, [{ kind: 'pattern', param: '\\d{10}', message: 'ИНН — 10 цифр' }]);
+    await rules.setRules('db', 202, [{ kind: 'min', param: '0' }, { kind: 'max', param: '50' }]);
+    await rules.setRules('db', 203, [{ kind: 'values', param: 'новый; активный\nзакрыт' }, { kind: 'maxLength', param: '6' }]);
+
+    const errors = await rules.validate('db', {
+      typeId: 200, objectId: 1000, values: { 201: '123', 202: '70', 203: 'удалён' },
+    });
+    expect(errors).toEqual([
+      { requisite: 201, field: 't201', name: 'ИНН', kind: 'pattern', message: 'ИНН — 10 цифр' },
+      { requisite: 202, field: 't202', name: 'Скидка', kind: 'max', message: '«Скидка»: значение не может быть больше 50' },
+      { requisite: 203, field: 't203', name: 'Статус', kind: 'values', message: '«Статус»: недопустимое значение «удалён»' },
+    ]);
+
+    expect(await rules.validate('db', {
+      typeId: 200, objectId: 1000, values: { 201: '7701000002', 202: '10', 203: 'закрыт' },
+    })).toEqual([]);
+    // Empty and untouched values are left to :!NULL:
+    expect(await rules.validate('db', { typeId: 200, objectId: 1000, values: { 201: '' } })).toEqual([]);
+    expect((await rules.validate('db', { typeId: 200, values: { 203: 'активный' } }))[0].kind).toBe('maxLength');
+  });
+
+  it('should check uniqueness within the type or the parent, excluding the object itself', async () => {
+    await rules.setRules('db', 201, [{ kind: 'unique' }]);
+    await rules.setRules('db', 200, [{ kind: 'unique', param: 'parent' }]);
+
+    const taken = await rules.validate('db', { typeId: 200, parentId: 5, value: 'Новый', values: { 201: '7701000001' } });
+    expect(taken.map(e => e.message)).toEqual(['«ИНН»: значение «7701000001» уже используется']);
+    expect(await rules.validate('db', { typeId: 200, objectId: 1000, values: { 201: '7701000001' } })).toEqual([]);
+
+    const sameParent = await rules.validate('db', { typeId: 200, parentId: 1, value: 'Ромашка' });
+    expect(sameParent[0]).toMatchObject({ requisite: 200, field: 't200', name: 'Клиент', kind: 'unique' });
+    expect(await rules.validate('db', { typeId: 200, parentId: 5, value: 'Ромашка' })).toEqual([]);
+    // The parent of a stored object is looked up
+    expect(await rules.validate('db', { typeId: 200, objectId: 1001, value: 'Ромашка' })).toEqual([]);
+  });
+
+  it('should evaluate conditions over submitted and stored values', async () => {
+    await rules.setRules('db', 204, [{ kind: 'condition', param: '[Лимит] <= [Скидка] * 100' }]);
+
+    const errors = await rules.validate('db', { typeId: 200, values: { 202: '10', 204: '2000' } });
+    expect(errors).toEqual([{
+      requisite: 204, field: 't204', name: 'Лимит', kind: 'condition',
+      message: '«Лимит»: не выполнено условие [Лимит] <= [Скидка] * 100',
+    }]);
+    // Скидка of object 1000 is read from the database (30)
+    expect(await rules.validate('db', { typeId: 200, objectId: 1000, values: { 204: '2000' } })).toEqual([]);
+    expect(await rules.validate('db', { typeId: 200, objectId: 1000, values: { 202: '5' } })).toEqual([]);
+    expect(await rules.validate('db', { typeId: 200, objectId: 1000, values: { 202: '5', 204: '600' } })).toHaveLength(1);
+  });
+
+  it('should normalize submitted values and bounds as stored', async () => {
+    const normalized = createValidationRules({
+      getPool: () => pool,
+      normalize: (baseType, value) => (baseType === 13 ? String(parseInt(String(value).replace(/\s/g, ''), 10)) : String(value)),
+      logger,
+    });
+    await normalized.setRules('db', 202, [{ kind: 'max', param: '1 000' }]);
+    expect(await normalized.validate('db', { typeId: 200, values: { 202: '999' } })).toEqual([]);
+    expect(await normalized.validate('db', { typeId: 200, values: { 202: '1 001' } })).toHaveLength(1);
+  });
+
+  it('should not read anything for types without rules', async () => {
+    await rules.setRules('db', 201, [{ kind: 'unique' }]);
+    await rules.validate('db', { typeId: 200, values: { 201: 'x' } });
+    pool.query.mockClear();
+    expect(await rules.validate('db', { typeId: 300, values: { 301: 'x' } })).toEqual([]);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should throw a ValidationError with the message of each field', async () => {
+    await rules.setRules('db', 202, [{ kind: 'max', param: '50' }, { kind: 'maxLength', param: '1' }]);
+    const error = await rules.assertValid('db', { typeId: 200, values: { 202: '70' } }).catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('VALIDATION_ERROR');
+    expect(error.details.fields).toEqual({
+      t202: '«Скидка»: значение не может быть больше 50; «Скидка»: не больше 1 символов',
+    });
+    expect(rulesError([{ field: 't1', message: 'a' }, { field: 't2', message: 'b' }]).message).toBe('a; b');
+  });
+});
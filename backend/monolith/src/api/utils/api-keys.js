@@ -0,0 +1,354 @@
+/**
+ * Personal API keys for scripts and integrations.
+ *
+ * A key is an object of the "API-ключ" type hanging under its user (up = user
+ * id, like the session tokens), named by its owner. Only the SHA-256 of the
+ * key is stored ("Хеш API-ключа", PWD base type so editors mask it); the key
+ * itself is shown once, when it is created. Requisites hold the scope: access
+ * (READ or WRITE), the types it is limited to, an IP allow-list and an expiry,
+ * plus the time and address of its last use.
+ *
+ * Keys travel where session tokens do (cookie, Authorization: Bearer,
+ * X-Authorization) and are told apart by their "ik_" prefix. authenticate()
+ * resolves a key to its user and scope; the caller loads the role grants and
+ * narrows them with scopeGrants() from @integram/grants.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import { AuthenticationError, ValidationError } from '../../../../../packages/@integram/common/index.js';
+import { BASE, findRootType, ensureRootType, ensureFields, insert, nextOrder, setValue } from './legacy-schema.js';
+
+export const KEY_TYPE_NAME = 'API-ключ';
+export const KEY_PREFIX = 'ik_';
+
+/** Key requisites: key → [name, base type] */
+const KEY_FIELDS = {
+  hash: ['Хеш API-ключа', BASE.PWD],
+  prefix: ['Начало API-ключа', BASE.SHORT],
+  access: ['Доступ API-ключа', BASE.SHORT],
+  types: ['Типы API-ключа', BASE.SHORT],
+  ips: ['Разрешённые IP', BASE.CHARS],
+  expires: ['Действует до', BASE.DATETIME],
+  created: ['Создан', BASE.DATETIME],
+  lastUsed: ['Последнее использование', BASE.DATETIME],
+  lastIp: ['IP последнего использования', BASE.SHORT],
+};
+
+const FIELD_BY_NAME = new Map(Object.entries(KEY_FIELDS).map(([key, [name]]) => [name, key]));
+
+/** Last use is written at most this often per key (ms) */
+const TOUCH_INTERVAL = 60 * 1000;
+
+/** Does the token look like an API key (rather than a session token) */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/** New random key: "ik_" + 32 base64url characters */
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/** Stored form of a key */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/** IPv4 address as a 32-bit number, null for anything else */
+function ipv4ToNumber(ip) {
+  if (!net.isIPv4(ip)) return null;
+  return ip.split('.').reduce((acc, part) => acc * 256 + Number(part), 0);
+}
+
+/** Client address without the IPv4-mapped IPv6 prefix */
+export function normalizeIp(ip) {
+  const value = String(ip || '').trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+/**
+ * Parse an IP allow-list: addresses and IPv4 CIDR ranges, separated by
+ * commas, spaces or new lines.
+ *
+ * @param {string|string[]} value
+ * @returns {string[]}
+ * @throws {ValidationError} on an entry that is neither
+ */
+export function parseIpList(value) {
+  const entries = (Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+  for (const entry of entries) {
+    const [address, bits, extra] = entry.split('/');
+    const valid = extra === undefined && (bits === undefined
+      ? net.isIP(address) !== 0
+      : net.isIPv4(address) && /^\d+$/.test(bits) && Number(bits) <= 32);
+    if (!valid) throw new ValidationError(`Неверный IP-адрес или диапазон: ${entry}`);
+  }
+  return entries;
+}
+
+/**
+ * Is the address on the allow-list (an empty list allows any address).
+ *
+ * @param {string} ip
+ * @param {string[]} list - parseIpList() entries
+ * @returns {boolean}
+ */
+export function ipAllowed(ip, list) {
+  if (!list || list.length === 0) return true;
+  const address = normalizeIp(ip);
+  const number = ipv4ToNumber(address);
+  return list.some((entry) => {
+    const [base, bits] = entry.split('/');
+    if (bits === undefined) return normalizeIp(base) === address;
+    if (number === null) return false;
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return ((number & mask) >>> 0) === ((ipv4ToNumber(base) & mask) >>> 0);
+  });
+}
+
+/** Stored comma list of type ids → numbers */
+function parseTypes(value) {
+  return String(value ?? '').split(/[\s,;]+/).map(Number).filter(id => Number.isInteger(id) && id > 0);
+}
+
+/** DATETIME value (Unix seconds) → Date */
+function toDate(value) {
+  const seconds = parseInt(value, 10);
+  return seconds > 0 ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Key type and requisite ids, without creating anything.
+ * @returns {Promise<Object|null>} { typeId, hash, prefix, ... } or null when no key was ever created
+ */
+export async function findKeyFields(pool, db) {
+  const typeId = await findRootType(pool, db, KEY_TYPE_NAME, BASE.SHORT);
+  if (!typeId) return null;
+  const [rows] = await pool.query(
+    `SELECT req.id, attr.val FROM \`${db}\` req
+     JOIN \`${db}\` attr ON attr.id = req.t
+     WHERE req.up = ?`,
+    [typeId]
+  );
+  const fields = { typeId };
+  for (const row of rows) {
+    const key = FIELD_BY_NAME.get(row.val);
+    if (key) fields[key] = Number(row.id);
+  }
+  return fields.hash ? fields : null;
+}
+
+/** Provision the key type and its requisites */
+export async function ensureKeyFields(pool, db) {
+  const typeId = await ensureRootType(pool, db, KEY_TYPE_NAME, BASE.SHORT);
+  return { typeId, ...await ensureFields(pool, db, typeId, KEY_FIELDS) };
+}
+
+/**
+ * API key store and authentication.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ */
+export function createApiKeys({ getPool, logger = console, now = () => Date.now() }) {
+  const fieldCache = new Map(); // db → findKeyFields() result
+  const touched = new Map(); // db:keyId → ms of the last recorded use
+
+  async function fieldsOf(pool, db) {
+    if (!fieldCache.has(db)) {
+      const fields = await findKeyFields(pool, db);
+      if (!fields) return null;
+      fieldCache.set(db, fields);
+    }
+    return fieldCache.get(db);
+  }
+
+  /** Requisite values of keys, by key id */
+  async function readValues(pool, db, fields, ids) {
+    const byKey = new Map(ids.map(id => [id, {}]));
+    if (ids.length === 0) return byKey;
+    const keyByType = new Map(Object.entries(fields).filter(([key]) => key !== 'typeId').map(([key, id]) => [id, key]));
+    const [rows] = await pool.query(
+      `SELECT up, t, val FROM \`${db}\` WHERE up IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    for (const row of rows) {
+      const key = keyByType.get(Number(row.t));
+      if (key) byKey.get(Number(row.up))[key] = row.val;
+    }
+    return byKey;
+  }
+
+  /** Public description of a key (never the hash) */
+  function describe(id, name, values) {
+    return {
+      id,
+      name,
+      prefix: values.prefix || '',
+      readOnly: values.access !== 'WRITE',
+      types: parseTypes(values.types),
+      ips: values.ips ? parseIpList(values.ips) : [],
+      expiresAt: toDate(values.expires),
+      createdAt: toDate(values.created),
+      lastUsedAt: toDate(values.lastUsed),
+      lastUsedIp: values.lastIp || null,
+    };
+  }
+
+  /** Record the use of a key, throttled */
+  async function touch(pool, db, fields, keyId, ip) {
+    const mark = `${db}:${keyId}`;
+    const time = now();
+    if (time - (touched.get(mark) || 0) < TOUCH_INTERVAL) return;
+    touched.set(mark, time);
+    try {
+      await setValue(pool, db, keyId, fields.lastUsed, String(Math.floor(time / 1000)));
+      await setValue(pool, db, keyId, fields.lastIp, normalizeIp(ip));
+    } catch (error) {
+      logger.warn('[API keys] Could not record last use', { db, keyId, error: error.message });
+    }
+  }
+
+  return {
+    /**
+     * Keys of a user.
+     * @returns {Promise<Array<Object>>} { id, name, prefix, readOnly, types, ips,
+     *   expiresAt, createdAt, lastUsedAt, lastUsedIp }
+     */
+    async list(db, uid) {
+      const pool = getPool();
+      const fields = await fieldsOf(pool, db);
+      if (!fields) return [];
+      const [keys] = await pool.query(
+        `SELECT id, val FROM \`${db}\` WHERE up = ? AND t = ? ORDER BY id`,
+        [uid, fields.typeId]
+      );
+      const values = await readValues(pool, db, fields, keys.map(k => Number(k.id)));
+      return keys.map(k => describe(Number(k.id), k.val, values.get(Number(k.id))));
+    },
+
+    /**
+     * Create a key for a user.
+     *
+     * @param {string} db
+     * @param {number} uid
+     * @param {Object} options
+     * @param {string} options.name
+     * @param {boolean} [options.readOnly=true]
+     * @param {number[]|string} [options.types] - type ids; empty for all types of the role
+     * @param {string[]|string} [options.ips] - allow-list; empty for any address
+     * @param {Date|string|null} [options.expiresAt]
+     * @returns {Promise<Object>} the key description plus { key } — the only time the key is shown
+     * @throws {ValidationError}
+     */
+    async create(db, uid, { name, readOnly = true, types = [], ips = [], expiresAt = null } = {}) {
+      const title = String(name ?? '').trim();
+      if (!title) throw new ValidationError('Укажите название ключа');
+      const typeIds = Array.isArray(types) ? types.map(Number) : parseTypes(types);
+      if (typeIds.some(id => !Number.isInteger(id) || id <= 0)) throw new ValidationError('Неверный список типов');
+      const allowList = parseIpList(ips);
+      let expires = null;
+      if (expiresAt) {
+        expires = new Date(expiresAt);
+        if (Number.isNaN(expires.getTime())) throw new ValidationError('Неверная дата окончания действия');
+        if (expires.getTime() <= now()) throw new ValidationError('Дата окончания действия уже прошла');
+      }
+
+      const pool = getPool();
+      if (typeIds.length > 0) {
+        const [found] = await pool.query(
+          `SELECT id FROM \`${db}\` WHERE up = 0 AND id != t AND id IN (${typeIds.map(() => '?').join(',')})`,
+          typeIds
+        );
+        const missing = typeIds.filter(id => !found.some(row => Number(row.id) === id));
+        if (missing.length > 0) throw new ValidationError(`Типы не найдены: ${missing.join(', ')}`);
+      }
+
+      const fields = await ensureKeyFields(pool, db);
+      fieldCache.set(db, fields);
+      const key = generateApiKey();
+      const id = await insert(pool, db, uid, await nextOrder(pool, db, uid), fields.typeId, title);
+      const values = {
+        hash: hashApiKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        access: readOnly ? 'READ' : 'WRITE',
+        types: typeIds.join(','),
+        ips: allowList.join(','),
+        expires: expires ? String(Math.floor(expires.getTime() / 1000)) : '',
+        created: String(Math.floor(now() / 1000)),
+      };
+      let ord = 1;
+      for (const [field, value] of Object.entries(values)) {
+        if (value !== '') await insert(pool, db, id, ord++, fields[field], value);
+      }
+      logger.info('[API keys] Created', { db, uid, keyId: id, readOnly: !!readOnly, types: typeIds });
+      return { ...describe(id, title, values), key };
+    },
+
+    /**
+     * Revoke (delete) a key of a user.
+     * @throws {ValidationError} when the user has no such key
+     */
+    async revoke(db, uid, keyId) {
+      const pool = getPool();
+      const fields = await fieldsOf(pool, db);
+      const [rows] = fields ? await pool.query(
+        `SELECT id FROM \`${db}\` WHERE id = ? AND up = ? AND t = ? LIMIT 1`,
+        [keyId, uid, fields.typeId]
+      ) : [[]];
+      if (rows.length === 0) throw new ValidationError('Ключ не найден');
+      await pool.query(`DELETE FROM \`${db}\` WHERE up = ?`, [keyId]);
+      await pool.query(`DELETE FROM \`${db}\` WHERE id = ?`, [keyId]);
+      touched.delete(`${db}:${keyId}`);
+      logger.info('[API keys] Revoked', { db, uid, keyId });
+    },
+
+    /**
+     * Resolve a key to its user and scope, and record its use.
+     *
+     * @param {string} db
+     * @param {string} key
+     * @param {Object} [context]
+     * @param {string} [context.ip] - client address, checked against the allow-list
+     * @returns {Promise<Object|null>} { uid, key: { id, name, readOnly, types } },
+     *   null for an unknown key
+     * @throws {AuthenticationError} expired key, or address not on the allow-list
+     */
+    async authenticate(db, key, { ip = '' } = {}) {
+      if (!isApiKey(key)) return null;
+      const pool = getPool();
+      const fields = await fieldsOf(pool, db);
+      if (!fields) return null;
+
+      const [rows] = await pool.query(
+        `SELECT k.id, k.up, k.val FROM \`${db}\` h
+         JOIN \`${db}\` k ON k.id = h.up AND k.t = ?
+         WHERE h.t = ? AND h.val = ?
+         LIMIT 1`,
+        [fields.typeId, fields.hash, hashApiKey(key)]
+      );
+      if (rows.length === 0) return null;
+
+      const keyId = Number(rows[0].id);
+      const info = describe(keyId, rows[0].val, (await readValues(pool, db, fields, [keyId])).get(keyId));
+      if (info.expiresAt && info.expiresAt.getTime() <= now()) {
+        throw new AuthenticationError('Срок действия API-ключа истёк');
+      }
+      if (!ipAllowed(ip, info.ips)) {
+        logger.warn('[API keys] Address not allowed', { db, keyId, ip });
+        throw new AuthenticationError('API-ключ не разрешён для этого адреса');
+      }
+
+      await touch(pool, db, fields, keyId, ip);
+      return {
+        uid: Number(rows[0].up),
+        key: { id: keyId, name: info.name, readOnly: info.readOnly, types: info.types },
+      };
+    },
+  };
+}
@@ -0,0 +1,913 @@
+/**
+ * Calculated and rollup requisites.
+ *
+ * A requisite of a type can be given a server-side formula. Its value is
+ * computed for every object of the type and stored as an ordinary requisite
+ * row, so _list, object views, exports and the v2 API read it like any other
+ * value. Formulas are ordinary objects of the "Вычисляемый реквизит" type,
+ * named by the requisite id.
+ *
+ * Formula syntax:
+ *   [Цена] * [Количество]               requisites of the object
+ *   [Клиент].[Город]                    a requisite of the referenced object
+ *   SUM([Позиции].[Сумма])              rollup over a subordinate table
+ *   IF([Сумма] > 1000, 'крупный', '')   IF, ROUND, ABS, COALESCE, CONCAT
+ *   [Имя] & ' (' & [Код] & ')'          text concatenation
+ *
+ * Every path of a formula gives a dependency: the type whose rows it reads and
+ * the way back (references, subordinate parents) to the objects holding the
+ * formula. A change of an object of that type recomputes only the objects that
+ * lead to it, and values that actually change cascade to formulas reading
+ * them. Formulas reading each other in a circle are refused.
+ */
+
+import { ValidationError } from '../../../../../packages/@integram/common/index.js';
+import {
+  BASE, ensureRootType, ensureFields, findRootType, loadObjects, setValue, insert, nextOrder, describeType,
+} from './legacy-schema.js';
+
+export const CALC_TYPE_NAME = 'Вычисляемый реквизит';
+
+/** Formula settings requisites: key → [name, base type] */
+const CALC_FIELDS = {
+  formula: ['Формула', BASE.MEMO],
+};
+
+/** Ids per IN (...) list */
+const CHUNK = 500;
+
+/** Functions: name → [min args, max args] */
+const FUNCTIONS = {
+  IF: [3, 3],
+  ROUND: [1, 2],
+  ABS: [1, 1],
+  COALESCE: [1, Infinity],
+  CONCAT: [1, Infinity],
+  SUM: [1, 1],
+  COUNT: [1, 1],
+  AVG: [1, 1],
+  MIN: [1, 1],
+  MAX: [1, 1],
+};
+
+/** Functions over all values of a path */
+const ROLLUPS = new Set(['SUM', 'COUNT', 'AVG', 'MIN', 'MAX']);
+
+const COMPARISONS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^']|'')*)'|\[([^\]]*)\]|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|!=|[-+*/&=<>(),.]))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (/^\s*$/.test(text.slice(start))) break;
+      const pos = start + text.slice(start).search(/\S/);
+      throw new ValidationError(`Непонятный символ «${text[pos]}» в позиции ${pos + 1}`);
+    }
+    const [, num, str, name, ident, op] = match;
+    if (num !== undefined) tokens.push({ type: 'num', value: Number(num) });
+    else if (str !== undefined) tokens.push({ type: 'str', value: str.replace(/''/g, "'") });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name.trim() });
+    else if (ident !== undefined) tokens.push({ type: 'ident', value: ident.toUpperCase() });
+    else tokens.push({ type: 'op', value: op });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a formula.
+ *
+ * @param {string} text
+ * @returns {Object} AST: num / str / path { segments } / call { name, args } /
+ *   unary { arg } / binary { op, left, right }
+ * @throws {ValidationError} on syntax errors
+ */
+export function parseFormula(text) {
+  const tokens = tokenize(String(text ?? ''));
+  if (tokens.length === 0) throw new ValidationError('Формула пуста');
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new ValidationError(`Ожидается «${value}»`);
+    pos++;
+  };
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new ValidationError('Формула обрывается');
+    if (token.type === 'num' || token.type === 'str') return { type: token.type, value: token.value };
+    if (token.type === 'name') {
+      const segments = [token.value];
+      while (isOp('.')) {
+        pos++;
+        const next = tokens[pos++];
+        if (next?.type !== 'name') throw new ValidationError('После «.» ожидается [реквизит]');
+        segments.push(next.value);
+      }
+      if (segments.some(s => !s)) throw new ValidationError('Пустое имя реквизита []');
+      return { type: 'path', segments };
+    }
+    if (token.type === 'ident') {
+      const limits = FUNCTIONS[token.value];
+      if (!limits) throw new ValidationError(`Неизвестная функция ${token.value}`);
+      expect('(');
+      const args = [];
+      if (!isOp(')')) {
+        args.push(expression());
+        while (isOp(',')) {
+          pos++;
+          args.push(expression());
+        }
+      }
+      expect(')');
+      if (args.length < limits[0] || args.length > limits[1]) {
+        throw new ValidationError(`Неверное число аргументов ${token.value}()`);
+      }
+      if (ROLLUPS.has(token.value) && args[0].type !== 'path') {
+        throw new ValidationError(`${token.value}() принимает путь к реквизиту, например ${token.value}([Позиции].[Сумма])`);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    throw new ValidationError(`Неожиданный «${token.value}»`);
+  }
+
+  function unary() {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'unary', op: '-', arg: unary() };
+    }
+    return primary();
+  }
+
+  function binaryLevel(next, ops) {
+    return () => {
+      let left = next();
+      while (peek()?.type === 'op' && ops.has(peek().value)) {
+        const op = tokens[pos++].value;
+        left = { type: 'binary', op, left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  const multiplicative = binaryLevel(unary, new Set(['*', '/']));
+  const additive = binaryLevel(multiplicative, new Set(['+', '-']));
+  const concatenation = binaryLevel(additive, new Set(['&']));
+
+  function expression() {
+    const left = concatenation();
+    if (peek()?.type === 'op' && COMPARISONS.has(peek().value)) {
+      const op = tokens[pos++].value;
+      return { type: 'binary', op, left, right: concatenation() };
+    }
+    return left;
+  }
+
+  const ast = expression();
+  if (pos < tokens.length) throw new ValidationError(`Лишнее «${tokens[pos].value}» в конце формулы`);
+  return ast;
+}
+
+/** Path nodes of a formula, with whether each is read by a rollup */
+function collectPaths(node, inRollup = false, paths = []) {
+  if (node.type === 'path') paths.push({ node, inRollup });
+  else if (node.type === 'call') node.args.forEach(a => collectPaths(a, ROLLUPS.has(node.name), paths));
+  else if (node.type === 'unary') collectPaths(node.arg, inRollup, paths);
+  else if (node.type === 'binary') {
+    collectPaths(node.left, inRollup, paths);
+    collectPaths(node.right, inRollup, paths);
+  }
+  return paths;
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+function isNumeric(value) {
+  return typeof value === 'number' || /^\s*-?\d+(?:[.,]\d+)?\s*$/.test(String(value ?? ''));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value == null || value === '') return 0;
+  const n = Number(String(value).replace(/\s/g, '').replace(',', '.'));
+  return Number.isFinite(n) ? n : 0;
+}
+
+/** Number as stored text, without float noise (0.1 + 0.2 → "0.3") */
+export function formatNumber(n) {
+  if (!Number.isFinite(n)) return null;
+  return Number.isInteger(n) ? String(n) : String(parseFloat(n.toPrecision(12)));
+}
+
+function toText(value) {
+  if (value == null) return '';
+  return typeof value === 'number' ? formatNumber(value) : String(value);
+}
+
+/** Truth of a formula result: not empty and not zero */
+export function isTruthy(value) {
+  return value != null && value !== '' && value !== 0 && value !== '0';
+}
+
+/** Comparison operator: numerically when both sides look like numbers, else as text */
+export function compare(op, a, b) {
+  let diff;
+  if (isNumeric(a) && isNumeric(b)) diff = toNumber(a) - toNumber(b);
+  else {
+    const x = toText(a);
+    const y = toText(b);
+    diff = x === y ? 0 : (x < y ? -1 : 1);
+  }
+  switch (op) {
+    case '=': return diff === 0;
+    case '<>': case '!=': return diff !== 0;
+    case '<': return diff < 0;
+    case '>': return diff > 0;
+    case '<=': return diff <= 0;
+    default: return diff >= 0;
+  }
+}
+
+function rollup(name, values) {
+  const present = values.filter(v => v != null && v !== '');
+  switch (name) {
+    case 'COUNT': return values.filter(v => v != null).length;
+    case 'SUM': return present.reduce((sum, v) => sum + toNumber(v), 0);
+    case 'AVG': return present.length ? present.reduce((sum, v) => sum + toNumber(v), 0) / present.length : null;
+    default: {
+      if (present.length === 0) return null;
+      const sign = name === 'MIN' ? -1 : 1;
+      if (present.every(isNumeric)) return sign * Math.max(...present.map(v => sign * toNumber(v)));
+      return present.map(toText).sort()[name === 'MIN' ? 0 : present.length - 1];
+    }
+  }
+}
+
+/**
+ * Evaluate a parsed formula.
+ *
+ * Empty values count as 0 in arithmetic and as '' in text; division by zero
+ * gives an empty result. Comparisons give 1 or 0.
+ *
+ * @param {Object} ast - parseFormula() result
+ * @param {Function} lookup - (pathNode) → array of raw values of the path
+ * @returns {number|string|null}
+ */
+export function evaluateFormula(ast, lookup) {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'num':
+      case 'str':
+        return node.value;
+      case 'path':
+        return lookup(node)[0] ?? null;
+      case 'unary':
+        return -toNumber(evaluate(node.arg));
+      case 'binary': {
+        const a = evaluate(node.left);
+        const b = evaluate(node.right);
+        switch (node.op) {
+          case '+': return toNumber(a) + toNumber(b);
+          case '-': return toNumber(a) - toNumber(b);
+          case '*': return toNumber(a) * toNumber(b);
+          case '/': return toNumber(b) === 0 ? null : toNumber(a) / toNumber(b);
+          case '&': return toText(a) + toText(b);
+          default: return compare(node.op, a, b) ? 1 : 0;
+        }
+      }
+      case 'call': {
+        const [first, ...rest] = node.args;
+        if (ROLLUPS.has(node.name)) return rollup(node.name, lookup(first));
+        switch (node.name) {
+          case 'IF':
+            return isTruthy(evaluate(first)) ? evaluate(rest[0]) : evaluate(rest[1]);
+          case 'ROUND': {
+            const factor = 10 ** (rest[0] ? toNumber(evaluate(rest[0])) : 0);
+            return Math.round(Number((toNumber(evaluate(first)) * factor).toPrecision(15))) / factor;
+          }
+          case 'ABS':
+            return Math.abs(toNumber(evaluate(first)));
+          case 'COALESCE':
+            for (const arg of node.args) {
+              const value = evaluate(arg);
+              if (value != null && value !== '') return value;
+            }
+            return null;
+          default:
+            return node.args.map(a => toText(evaluate(a))).join('');
+        }
+      }
+      default:
+        return null;
+    }
+  };
+  return evaluate(ast);
+}
+
+/** Value to store for a requisite of the given base type; null removes it */
+function storedValue(result, baseType) {
+  if (baseType === BASE.BOOLEAN) return isTruthy(result) ? '1' : null;
+  if (result == null || result === '') return null;
+  return typeof result === 'number' ? formatNumber(result) : String(result);
+}
+
+// ============================================================================
+// Compilation against the schema
+// ============================================================================
+
+const sameName = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+function findRequisite(type, segment) {
+  return type.requisites.find(r => sameName(r.alias, segment))
+    || type.requisites.find(r => sameName(r.name, segment));
+}
+
+/**
+ * Resolve a path to read steps, starting at the objects of a type.
+ *
+ * Steps: ref (follow a reference requisite), arr (children in a subordinate
+ * table), val (a requisite value, last) and main (the object's own value, last).
+ */
+async function resolvePath(describe, typeId, segments) {
+  let type = await describe(typeId);
+  const steps = [];
+  let many = false;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const last = i === segments.length - 1;
+    const req = findRequisite(type, segment);
+
+    if (!req) {
+      if (last && sameName(type.name, segment)) {
+        steps.push({ kind: 'main' });
+        break;
+      }
+      throw new ValidationError(`Реквизит «${segment}» не найден в типе «${type.name}»`);
+    }
+
+    if (req.arrTypeId || req.refTypeId) {
+      const next = req.arrTypeId || req.refTypeId;
+      steps.push(req.arrTypeId
+        ? { kind: 'arr', typeId: next }
+        : { kind: 'ref', reqId: req.id, typeId: next });
+      many = many || Boolean(req.arrTypeId) || req.multi;
+      type = await describe(next);
+      if (!type) throw new ValidationError(`Тип реквизита «${segment}» не найден`);
+      if (last) steps.push({ kind: 'main' });
+    } else {
+      if (!last) throw new ValidationError(`«${segment}» не является ссылкой или подчинённой таблицей`);
+      steps.push({ kind: 'val', reqId: req.id });
+    }
+  }
+
+  return { steps, many };
+}
+
+/**
+ * Parse a formula and resolve its paths against a type.
+ *
+ * @param {Object} pool
+ * @param {string} db
+ * @param {number} typeId - type whose objects the formula is evaluated for
+ * @param {string} formula
+ * @param {Map} [types] - describeType() results shared between compilations
+ * @returns {Promise<Object>} { type, ast, paths: [{ node, steps }],
+ *   deps: [{ typeId, reverse }], reads: Set<reqId> }
+ * @throws {ValidationError}
+ */
+export async function compileFormula(pool, db, typeId, formula, types = new Map()) {
+  const describe = (id) => {
+    if (!types.has(id)) types.set(id, describeType(pool, db, id));
+    return types.get(id);
+  };
+
+  const type = await describe(Number(typeId));
+  if (!type) throw new ValidationError(`Тип ${typeId} не найден`);
+
+  const ast = parseFormula(formula);
+  const paths = [];
+  const deps = new Map([[`${type.id}:`, { typeId: type.id, reverse: [] }]]);
+  const reads = new Set();
+
+  for (const { node, inRollup } of collectPaths(ast)) {
+    const { steps, many } = await resolvePath(describe, type.id, node.segments);
+    if (many && !inRollup) {
+      throw new ValidationError(`[${node.segments.join('].[')}] даёт несколько значений: используйте SUM, COUNT, AVG, MIN или MAX`);
+    }
+    paths.push({ node, steps });
+
+    const hops = [];
+    for (const step of steps) {
+      if (step.kind === 'val') reads.add(step.reqId);
+      if (step.kind !== 'ref' && step.kind !== 'arr') continue;
+      hops.unshift(step.kind === 'ref' ? { kind: 'ref', reqId: step.reqId } : { kind: 'arr' });
+      const key = `${step.typeId}:${JSON.stringify(hops)}`;
+      if (!deps.has(key)) deps.set(key, { typeId: step.typeId, reverse: [...hops] });
+    }
+  }
+
+  return { type, ast, paths, deps: [...deps.values()], reads };
+}
+
+/**
+ * Compile the formula of a requisite: parse it, resolve its paths and derive
+ * the dependencies.
+ *
+ * @param {Object} pool
+ * @param {string} db
+ * @param {number} reqId - requisite row id
+ * @param {string} formula
+ * @param {Map} [types] - describeType() results shared between compilations
+ * @returns {Promise<Object>} { reqId, typeId, typeName, name, baseType, formula,
+ *   ast, paths, deps: [{ typeId, reverse }], reads: Set<reqId> }
+ * @throws {ValidationError}
+ */
+export async function compileDefinition(pool, db, reqId, formula, types = new Map()) {
+  const [rows] = await pool.query(`SELECT id, up FROM \`${db}\` WHERE id = ?`, [reqId]);
+  const typeId = rows.length > 0 && Number(rows[0].up) > 1 ? Number(rows[0].up) : null;
+  if (typeId && !types.has(typeId)) types.set(typeId, describeType(pool, db, typeId));
+  const type = typeId ? await types.get(typeId) : null;
+  const requisite = type?.requisites.find(r => r.id === Number(reqId));
+  if (!requisite) throw new ValidationError(`Реквизит ${reqId} не найден`);
+  if (requisite.refTypeId || requisite.arrTypeId) {
+    throw new ValidationError('Формулу можно задать только реквизиту-значению, не ссылке и не подчинённой таблице');
+  }
+
+  const { ast, paths, deps, reads } = await compileFormula(pool, db, type.id, formula, types);
+
+  return {
+    reqId: Number(reqId),
+    typeId: type.id,
+    typeName: type.name,
+    name: requisite.name,
+    baseType: requisite.baseType,
+    formula,
+    ast,
+    paths,
+    deps,
+    reads,
+    error: null,
+  };
+}
+
+/**
+ * Find a circle of formulas through a requisite.
+ *
+ * @param {Map<number, Set<number>>} graph - requisite → requisites its formula reads
+ * @param {number} start
+ * @returns {number[]|null} [start, ..., start] or null
+ */
+export function findCycle(graph, start) {
+  const visiting = new Set();
+  const walk = (id, trail) => {
+    for (const next of graph.get(id) || []) {
+      if (next === start) return [...trail, next];
+      if (visiting.has(next) || !graph.has(next)) continue;
+      visiting.add(next);
+      const found = walk(next, [...trail, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return walk(start, [start]);
+}
+
+function cycleError(cycle, defs) {
+  const names = cycle.map(id => defs.get(id)?.name || `#${id}`);
+  return `Циклическая зависимость: ${names.join(' → ')}`;
+}
+
+// ============================================================================
+// Reading and writing values
+// ============================================================================
+
+/** SELECT with an IN (...) list, chunked; the list comes first in the params */
+async function selectIn(pool, ids, build, params = []) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    const chunk = ids.slice(i, i + CHUNK);
+    const [result] = await pool.query(build(chunk.map(() => '?').join(',')), [...chunk, ...params]);
+    rows.push(...result);
+  }
+  return rows;
+}
+
+function groupBy(rows, key, value) {
+  const map = new Map();
+  for (const row of rows) {
+    const k = Number(row[key]);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(value(row));
+  }
+  return map;
+}
+
+/**
+ * Values of a path for each of the given objects.
+ * @returns {Promise<Map<number, Array>>} object id → raw values
+ */
+export async function readPath(pool, db, steps, objectIds) {
+  let frontier = new Map(objectIds.map(id => [id, [id]]));
+
+  for (const step of steps) {
+    const ids = [...new Set([...frontier.values()].flat())];
+    let byId;
+    if (ids.length === 0) byId = new Map();
+    else if (step.kind === 'val') {
+      byId = groupBy(
+        await selectIn(pool, ids, list => `SELECT up, val FROM \`${db}\` WHERE up IN (${list}) AND t = ? ORDER BY ord, id`, [step.reqId]),
+        'up', r => r.val
+      );
+    } else if (step.kind === 'main') {
+      byId = groupBy(
+        await selectIn(pool, ids, list => `SELECT id, val FROM \`${db}\` WHERE id IN (${list})`),
+        'id', r => r.val ?? ''
+      );
+    } else if (step.kind === 'ref') {
+      byId = groupBy(
+        await selectIn(pool, ids, list => `SELECT up, t FROM \`${db}\` WHERE up IN (${list}) AND val = ? ORDER BY ord, id`, [String(step.reqId)]),
+        'up', r => Number(r.t)
+      );
+    } else {
+      byId = groupBy(
+        await selectIn(pool, ids, list => `SELECT up, id FROM \`${db}\` WHERE up IN (${list}) AND t = ? ORDER BY ord, id`, [step.typeId]),
+        'up', r => Number(r.id)
+      );
+    }
+    frontier = new Map([...frontier].map(([origin, current]) => [origin, current.flatMap(id => byId.get(id) || [])]));
+  }
+
+  return frontier;
+}
+
+/**
+ * Compute the formula of a definition for the given objects.
+ *
+ * @returns {Promise<Map<number, string|null>>} object id → value to store
+ *   (objects that are not of the definition's type are left out)
+ */
+export async function computeValues(pool, db, def, objectIds) {
+  const objects = await selectIn(
+    pool, [...new Set(objectIds.map(Number))],
+    list => `SELECT id FROM \`${db}\` WHERE id IN (${list}) AND t = ? AND up != 0`,
+    [def.typeId]
+  );
+  const ids = objects.map(o => Number(o.id));
+  const results = new Map();
+  if (ids.length === 0) return results;
+
+  const values = new Map();
+  for (const { node, steps } of def.paths) {
+    values.set(node, await readPath(pool, db, steps, ids));
+  }
+  for (const id of ids) {
+    const result = evaluateFormula(def.ast, node => values.get(node).get(id) || []);
+    results.set(id, storedValue(result, def.baseType));
+  }
+  return results;
+}
+
+/**
+ * Store computed values, touching only the rows that differ.
+ * @returns {Promise<number[]>} objects whose value changed
+ */
+export async function storeValues(pool, db, reqId, results) {
+  const ids = [...results.keys()];
+  if (ids.length === 0) return [];
+  const current = new Map(
+    (await selectIn(pool, ids, list => `SELECT id, up, val FROM \`${db}\` WHERE up IN (${list}) AND t = ?`, [reqId]))
+      .map(r => [Number(r.up), r])
+  );
+
+  const changed = [];
+  for (const [objectId, value] of results) {
+    const row = current.get(objectId);
+    if (value == null) {
+      if (!row) continue;
+      await pool.query(`DELETE FROM \`${db}\` WHERE up = ? AND t = ?`, [objectId, reqId]);
+    } else if (!row) {
+      await insert(pool, db, objectId, 1, reqId, value);
+    } else if (row.val !== value) {
+      await pool.query(`UPDATE \`${db}\` SET val = ? WHERE id = ?`, [value, row.id]);
+    } else {
+      continue;
+    }
+    changed.push(objectId);
+  }
+  return changed;
+}
+
+/**
+ * Objects holding a formula that read the changed objects through a dependency.
+ *
+ * @param {Object[]} reverse - hops from the changed type back to the formula's type
+ * @param {number[]} ids - changed objects
+ * @param {number[]} [parentIds] - their parents before and after the change
+ *   (a deleted child can no longer be followed up)
+ * @returns {Promise<number[]>}
+ */
+export async function affectedObjects(pool, db, reverse, ids, parentIds = []) {
+  let current = [...new Set(ids.map(Number))];
+  for (let i = 0; i < reverse.length && current.length > 0; i++) {
+    const hop = reverse[i];
+    const rows = hop.kind === 'ref'
+      ? await selectIn(pool, current, list => `SELECT up FROM \`${db}\` WHERE t IN (${list}) AND val = ?`, [String(hop.reqId)])
+      : await selectIn(pool, current, list => `SELECT up FROM \`${db}\` WHERE id IN (${list})`);
+    const next = new Set(rows.map(r => Number(r.up)));
+    if (hop.kind === 'arr' && i === 0) parentIds.forEach(p => next.add(Number(p)));
+    next.delete(0);
+    next.delete(1);
+    current = [...next];
+  }
+  return current;
+}
+
+// ============================================================================
+// Formula settings
+// ============================================================================
+
+/**
+ * Provision the formula settings type. Objects are named by requisite id.
+ * @returns {Promise<Object>} { typeId, fields }
+ */
+export async function ensureCalcType(pool, db) {
+  const typeId = await ensureRootType(pool, db, CALC_TYPE_NAME, BASE.SHORT);
+  const fields = await ensureFields(pool, db, typeId, CALC_FIELDS);
+  return { typeId, fields };
+}
+
+/**
+ * Read the stored formulas without provisioning anything.
+ * @returns {Promise<Object>} { typeId, formulas: Map<reqId, formula> }
+ */
+export async function loadCalcFormulas(pool, db) {
+  const formulas = new Map();
+  if (!(await findRootType(pool, db, CALC_TYPE_NAME, BASE.SHORT))) return { typeId: null, formulas };
+
+  const { typeId, fields } = await ensureCalcType(pool, db);
+  for (const { name, values } of await loadObjects(pool, db, typeId, fields)) {
+    const reqId = parseInt(name, 10);
+    const formula = String(values.formula ?? '').trim();
+    if (reqId > 0 && formula) formulas.set(reqId, formula);
+  }
+  return { typeId, formulas };
+}
+
+/**
+ * Store the formula of a requisite; an empty formula removes it (the values
+ * already computed stay as ordinary values).
+ */
+export async function saveCalcFormula(pool, db, reqId, formula) {
+  const { typeId, fields } = await ensureCalcType(pool, db);
+  const [rows] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE t = ? AND up = 1 AND val = ? LIMIT 1`,
+    [typeId, String(reqId)]
+  );
+  if (!formula) {
+    if (rows.length > 0) {
+      await pool.query(`DELETE FROM \`${db}\` WHERE up = ?`, [rows[0].id]);
+      await pool.query(`DELETE FROM \`${db}\` WHERE id = ?`, [rows[0].id]);
+    }
+    return null;
+  }
+  const objectId = rows.length > 0
+    ? Number(rows[0].id)
+    : await insert(pool, db, 1, await nextOrder(pool, db, 1), typeId, String(reqId));
+  await setValue(pool, db, objectId, fields.formula, formula);
+  return objectId;
+}
+
+// ============================================================================
+// Engine
+// ============================================================================
+
+/**
+ * Create the calculated requisite engine.
+ *
+ * @param {Object} options
+ * @param {Function} options.getPool - returns the connection pool
+ * @param {number} [options.ttl=60] - seconds formulas are kept compiled
+ * @param {number} [options.maxDepth=8] - cascade levels followed per change
+ * @param {Function} [options.onRecompute] - (db, typeId, objectIds) after values change
+ * @param {Object} [options.logger]
+ * @param {Function} [options.now] - clock, ms
+ */
+export function createCalculatedRequisites({
+  getPool,
+  ttl = 60,
+  maxDepth = 8,
+  onRecompute = null,
+  logger = console,
+  now = () => Date.now(),
+}) {
+  const loaded = new Map(); // db → { defs, settingsTypeId, loadedAt }
+  const queues = new Map(); // db → tail of the recompute chain
+
+  /** Run recomputations of a database one after another */
+  function enqueue(db, task) {
+    const run = (queues.get(db) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    queues.set(db, tail);
+    tail.then(() => {
+      if (queues.get(db) === tail) queues.delete(db);
+    });
+    return run;
+  }
+
+  async function load(db) {
+    const pool = getPool();
+    const { typeId, formulas } = await loadCalcFormulas(pool, db);
+    const defs = new Map();
+    const types = new Map();
+    for (const [reqId, formula] of formulas) {
+      try {
+        defs.set(reqId, await compileDefinition(pool, db, reqId, formula, types));
+      } catch (error) {
+        defs.set(reqId, { reqId, formula, error: error.message, deps: [], reads: new Set() });
+      }
+    }
+    // Formulas edited as plain objects skip validation: a circle disables its members
+    const graph = new Map([...defs].map(([id, def]) => [id, def.reads]));
+    for (const def of defs.values()) {
+      const cycle = !def.error && findCycle(graph, def.reqId);
+      if (cycle) def.error = cycleError(cycle, defs);
+    }
+    return { defs, settingsTypeId: typeId, loadedAt: now() };
+  }
+
+  async function definitions(db) {
+    let entry = loaded.get(db);
+    if (!entry || now() - entry.loadedAt > ttl * 1000) {
+      entry = await load(db);
+      loaded.set(db, entry);
+    }
+    return entry;
+  }
+
+  /** Recompute a definition for some objects and cascade to formulas reading it */
+  async function recomputeObjects(pool, db, defs, def, ids, depth) {
+    const changed = await storeValues(pool, db, def.reqId, await computeValues(pool, db, def, ids));
+    if (changed.length === 0) return 0;
+    onRecompute?.(db, def.typeId, changed);
+    await propagate(pool, db, defs, def.typeId, changed, [], depth + 1, def.reqId);
+    return changed.length;
+  }
+
+  async function propagate(pool, db, defs, typeId, ids, parentIds, depth, skipReqId = null) {
+    if (depth > maxDepth) {
+      logger.warn('[Calc] Cascade depth limit reached', { db, typeId, depth });
+      return;
+    }
+    for (const def of defs.values()) {
+      if (def.error || def.reqId === skipReqId) continue;
+      const affected = new Set();
+      for (const dep of def.deps) {
+        if (dep.typeId !== typeId) continue;
+        for (const id of await affectedObjects(pool, db, dep.reverse, ids, parentIds)) affected.add(id);
+      }
+      if (affected.size > 0) await recomputeObjects(pool, db, defs, def, [...affected], depth);
+    }
+  }
+
+  async function recomputeAll(db, def) {
+    const pool = getPool();
+    const { defs } = await definitions(db);
+    const [rows] = await pool.query(
+      `SELECT id FROM \`${db}\` WHERE t = ? AND up != 0 ORDER BY id`,
+      [def.typeId]
+    );
+    const ids = rows.map(r => Number(r.id));
+    let changed = 0;
+    for (let i = 0; i < ids.length; i += CHUNK) {
+      changed += await recomputeObjects(pool, db, defs, def, ids.slice(i, i + CHUNK), 0);
+    }
+    return { objects: ids.length, changed };
+  }
+
+  function describe(def) {
+    return {
+      reqId: def.reqId,
+      typeId: def.typeId ?? null,
+      typeName: def.typeName ?? null,
+      name: def.name ?? null,
+      formula: def.formula,
+      dependsOn: [...new Set((def.deps || []).map(d => d.typeId))],
+      error: def.error,
+    };
+  }
+
+  return {
+    definitions,
+
+    /** Forget the compiled formulas of a database */
+    invalidate(db) {
+      loaded.delete(db);
+    },
+
+    /**
+     * Formulas of a database for the admin page.
+     * @returns {Promise<Object[]>} [{ reqId, typeId, typeName, name, formula, dependsOn, error }]
+     */
+    async list(db) {
+      const { defs } = await definitions(db);
+      return [...defs.values()].map(describe);
+    },
+
+    /**
+     * Validate and store the formula of a requisite, then compute it for every
+     * object of its type. An empty formula removes it.
+     *
+     * @returns {Promise<Object>} describe() of the definition + { objects, changed }
+     * @throws {ValidationError} syntax, unknown requisites, circles
+     */
+    async setFormula(db, reqId, formula) {
+      const pool = getPool();
+      const text = String(formula ?? '').trim();
+      return enqueue(db, async () => {
+        if (!text) {
+          await saveCalcFormula(pool, db, reqId, null);
+          loaded.delete(db);
+          return { reqId: Number(reqId), formula: null };
+        }
+
+        const { defs } = await definitions(db);
+        const def = await compileDefinition(pool, db, reqId, text);
+        const graph = new Map([...defs].map(([id, d]) => [id, d.reads]));
+        graph.set(def.reqId, def.reads);
+        const cycle = findCycle(graph, def.reqId);
+        if (cycle) throw new ValidationError(cycleError(cycle, new Map([...defs, [def.reqId, def]])));
+
+        await saveCalcFormula(pool, db, reqId, text);
+        loaded.delete(db);
+        return { ...describe(def), ...(await recomputeAll(db, def)) };
+      });
+    },
+
+    /**
+     * Recompute a formula for every object of its type.
+     * @returns {Promise<Object|null>} { objects, changed } or null without such formula
+     */
+    async recompute(db, reqId) {
+      return enqueue(db, async () => {
+        const def = (await definitions(db)).defs.get(Number(reqId));
+        if (!def) return null;
+        if (def.error) throw new ValidationError(def.error);
+        return recomputeAll(db, def);
+      });
+    },
+
+    /**
+     * Change listener (legacy onLegacyChange() records and v2 events alike):
+     * { db, source, targetId, targetType, oldValue, newValue }.
+     */
+    handleChange(change) {
+      if (!change?.db) return undefined;
+      const { db } = change;
+      if (String(change.source || '').startsWith('_d_')) {
+        // Structure changed: requisites may be renamed or gone
+        loaded.delete(db);
+        return undefined;
+      }
+
+      return enqueue(db, async () => {
+        const { defs, settingsTypeId } = await definitions(db);
+        const typeIds = new Set(
+          [change.targetType, change.oldValue?.typeId, change.newValue?.typeId]
+            .filter(t => t != null).map(Number)
+        );
+        if (settingsTypeId && typeIds.has(settingsTypeId)) {
+          loaded.delete(db);
+          return;
+        }
+        if (defs.size === 0) return;
+
+        const ids = [change.targetId, ...(change.newValue?.ids || [])].filter(id => id != null).map(Number);
+        const parentIds = [change.oldValue?.parentId, change.newValue?.parentId].filter(p => p > 1);
+        const pool = getPool();
+        for (const typeId of typeIds) {
+          await propagate(pool, db, defs, typeId, ids, parentIds, 0);
+        }
+      }).catch((error) => {
+        logger.warn('[Calc] Recompute failed', { db, source: change.source, error: error.message });
+      });
+    },
+  };
+}
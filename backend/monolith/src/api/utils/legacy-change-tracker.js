@@ -0,0 +1,173 @@
+/**
+ * Change tracking for legacy _m_* / _d_* mutation actions.
+ *
+ * The legacy handlers write straight to MySQL, bypassing ObjectService and its
+ * hooks, so the v2 event stream and _transactions history never saw them.
+ * track() wraps a route: it snapshots the target row before the handler runs,
+ * and once the response is sent successfully it snapshots it again and hands
+ * a change record to every listener registered with onChange().
+ *
+ * Handlers that create rows (or change a row's id) report the resulting id
+ * via res.locals.legacyChangeId — the URL parameter does not carry it.
+ */
+
+/** Upper bound on child rows captured per snapshot */
+const SNAPSHOT_CHILD_LIMIT = 500;
+
+/**
+ * Read a row and its direct children in the object-service shape.
+ *
+ * @param {Object} pool - mysql2 pool
+ * @param {string} db - database (table) name
+ * @param {number} id - row id
+ * @returns {Promise<Object|null>} { id, value, parentId, typeId, order, requisites } or null
+ */
+export async function snapshotRow(pool, db, id) {
+  const [rows] = await pool.query(
+    `SELECT id, val, up, t, ord FROM \`${db}\` WHERE id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+
+  const [children] = await pool.query(
+    `SELECT id, t, val FROM \`${db}\` WHERE up = ? ORDER BY ord, id LIMIT ${SNAPSHOT_CHILD_LIMIT}`,
+    [id]
+  );
+  const row = rows[0];
+  return {
+    id: Number(row.id),
+    value: row.val,
+    parentId: Number(row.up),
+    typeId: Number(row.t),
+    order: Number(row.ord),
+    requisites: children.map(c => ({ id: Number(c.id), typeId: Number(c.t), value: c.val })),
+  };
+}
+
+/**
+ * Did the legacy handler succeed? Legacy errors are sent as HTTP 200 with an
+ * `error` field (or `success: false`), so the status code alone is not enough.
+ */
+function isSuccessfulResponse(res, body) {
+  if (res.statusCode >= 400) return false;
+  if (body && typeof body === 'object') {
+    if (body.error) return false;
+    if (body.success === false) return false;
+  }
+  return true;
+}
+
+/**
+ * Create a change tracker bound to a connection pool.
+ *
+ * @param {Object} options
+ * @param {Function} options.getPool - returns the mysql2 pool
+ * @param {Object} [options.logger] - logger
+ * @returns {{ track: Function, onChange: Function }}
+ */
+export function createChangeTracker({ getPool, logger = console }) {
+  const listeners = new Set();
+
+  /**
+   * Register a listener for successful legacy mutations.
+   *
+   * Listener receives { db, action, source, targetId, targetType, oldValue,
+   * newValue, user: { uid, username } }. action is create/update/delete.
+   *
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  async function dispatch(change) {
+    for (const listener of listeners) {
+      try {
+        await listener(change);
+      } catch (error) {
+        logger.warn('[Legacy] Change listener failed', { source: change.source, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Build the change record once the response has been sent.
+   */
+  async function complete(req, res, { source, action, id, before, body }) {
+    if (!isSuccessfulResponse(res, body)) return;
+
+    const { db } = req.params;
+    const targetId = res.locals.legacyChangeId != null
+      ? Number(res.locals.legacyChangeId)
+      : id;
+
+    // A create that did not report its id created nothing (e.g. returned an existing row)
+    if (action === 'create' && res.locals.legacyChangeId == null) return;
+    if (action !== 'create' && !before) return;
+
+    const after = await snapshotRow(getPool(), db, targetId);
+    if (action === 'delete' && after) return;
+    if (action !== 'delete' && !after) return;
+    if (action === 'update' && JSON.stringify(before) === JSON.stringify(after)) return;
+
+    await dispatch({
+      db,
+      action,
+      source,
+      targetId,
+      targetType: (after || before).typeId,
+      oldValue: action === 'create' ? null : before,
+      newValue: action === 'delete' ? null : after,
+      user: {
+        uid: req.legacyUser?.uid ?? null,
+        username: req.legacyUser?.username ?? null,
+      },
+    });
+  }
+
+  /**
+   * Route middleware that reports the mutation performed by the next handler.
+   *
+   * @param {string} source - legacy action name, e.g. '_m_save'
+   * @param {'create'|'update'|'delete'} action
+   * @param {string} [param='id'] - route param holding the target id
+   */
+  function track(source, action, param = 'id') {
+    return async (req, res, next) => {
+      if (listeners.size === 0) return next();
+
+      const { db } = req.params;
+      const id = parseInt(req.params[param], 10);
+      let before = null;
+
+      if (action !== 'create' && id) {
+        try {
+          before = await snapshotRow(getPool(), db, id);
+        } catch (error) {
+          logger.warn('[Legacy] Change snapshot failed', { db, source, id, error: error.message });
+        }
+      }
+
+      let body;
+      const json = res.json.bind(res);
+      res.json = (data) => {
+        body = data;
+        return json(data);
+      };
+
+      res.on('finish', () => {
+        complete(req, res, { source, action, id, before, body }).catch((error) => {
+          logger.warn('[Legacy] Change tracking failed', { db, source, error: error.message });
+        });
+      });
+
+      next();
+    };
+  }
+
+  return { track, onChange };
+}
+
+export default createChangeTracker;
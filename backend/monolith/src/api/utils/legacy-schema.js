@@ -0,0 +1,174 @@
+/**
+ * Provisioning of service types in an Integram database.
+ *
+ * Features that keep their settings as ordinary objects (report schedules,
+ * report cache settings) create their type and requisites on demand, the
+ * same way _d_new / _d_req would, so the objects are edited in the regular
+ * object editor. Lookups go by name and base type, so provisioning is
+ * idempotent. describeType() reads an existing type the way _list lays it out.
+ */
+
+/** Base type ids (see TYPE in legacy-compat.js) */
+export const BASE = { SHORT: 3, DATETIME: 4, PWD: 6, CHARS: 8, BOOLEAN: 11, NUMBER: 13, MEMO: 12 };
+
+export async function insert(pool, db, up, ord, t, val) {
+  const [result] = await pool.query(
+    `INSERT INTO \`${db}\` (up, ord, t, val) VALUES (?, ?, ?, ?)`,
+    [up, ord, t, val]
+  );
+  return Number(result.insertId);
+}
+
+export async function nextOrder(pool, db, up) {
+  const [rows] = await pool.query(
+    `SELECT COALESCE(MAX(ord), 0) + 1 AS next_ord FROM \`${db}\` WHERE up = ?`,
+    [up]
+  );
+  return Number(rows[0]?.next_ord) || 1;
+}
+
+/** Find a root-level type row without creating it */
+export async function findRootType(pool, db, name, baseType) {
+  const [rows] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE up = 0 AND val = ? AND t = ? AND id != t LIMIT 1`,
+    [name, baseType]
+  );
+  return rows.length > 0 ? Number(rows[0].id) : null;
+}
+
+/** Find or create a root-level type row (same dedupe rule as _d_new) */
+export async function ensureRootType(pool, db, name, baseType) {
+  const id = await findRootType(pool, db, name, baseType);
+  if (id) return id;
+  return insert(pool, db, 0, 0, baseType, name);
+}
+
+/** Find or add a requisite of attrTypeId on typeId (as _d_req does) */
+export async function ensureRequisite(pool, db, typeId, attrTypeId, name) {
+  const [rows] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE up = ? AND t = ? LIMIT 1`,
+    [typeId, attrTypeId]
+  );
+  if (rows.length > 0) return Number(rows[0].id);
+  return insert(pool, db, typeId, await nextOrder(pool, db, typeId), attrTypeId, name);
+}
+
+/**
+ * Requisites of a type; values of objects are keyed by the requisite row id.
+ *
+ * @param {Object} fields - key → [name, base type]
+ * @returns {Promise<Object>} key → requisite id
+ */
+export async function ensureFields(pool, db, typeId, fields) {
+  const ids = {};
+  for (const [key, [name, baseType]] of Object.entries(fields)) {
+    const attrTypeId = await ensureRootType(pool, db, name, baseType);
+    ids[key] = await ensureRequisite(pool, db, typeId, attrTypeId, name);
+  }
+  return ids;
+}
+
+/** Set (or add) the value of a requisite on an object */
+export async function setValue(pool, db, objectId, typeId, value) {
+  const [rows] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE up = ? AND t = ? LIMIT 1`,
+    [objectId, typeId]
+  );
+  if (rows.length > 0) {
+    await pool.query(`UPDATE \`${db}\` SET val = ? WHERE id = ?`, [value, rows[0].id]);
+  } else {
+    await insert(pool, db, objectId, 1, typeId, value);
+  }
+}
+
+/**
+ * Read objects of a type with their requisite values.
+ *
+ * @param {Object} pool
+ * @param {string} db
+ * @param {number} typeId
+ * @param {Object} fields - key → requisite id (ensureFields() result)
+ * @param {number} [id] - a single object
+ * @returns {Promise<Array<{id: number, name: string, values: Object}>>}
+ *   values maps field keys to raw stored values
+ */
+export async function loadObjects(pool, db, typeId, fields, id = null) {
+  const [objects] = await pool.query(
+    `SELECT id, val FROM \`${db}\` WHERE t = ? AND up != 0${id ? ' AND id = ?' : ''} ORDER BY id`,
+    id ? [typeId, id] : [typeId]
+  );
+  if (objects.length === 0) return [];
+
+  const ids = objects.map(o => Number(o.id));
+  const [values] = await pool.query(
+    `SELECT up, t, val FROM \`${db}\` WHERE up IN (${ids.map(() => '?').join(',')})`,
+    ids
+  );
+  const keyByType = new Map(Object.entries(fields).map(([key, reqId]) => [reqId, key]));
+  const byObject = new Map(ids.map(i => [i, {}]));
+  for (const v of values) {
+    const key = keyByType.get(Number(v.t));
+    if (key) byObject.get(Number(v.up))[key] = v.val;
+  }
+
+  return objects.map(o => ({ id: Number(o.id), name: o.val, values: byObject.get(Number(o.id)) }));
+}
+
+/** Requisite display name: attrs without masks, or the name of its type */
+export function requisiteName(attrs, typeName) {
+  const name = String(attrs || '')
+    .replace(/:ALIAS=.*?:/g, '')
+    .replace(/:!NULL:/g, '')
+    .replace(/:MULTI:/g, '')
+    .trim();
+  return name || String(typeName || '');
+}
+
+/**
+ * Describe a type and its requisites (same layout as the object list:
+ * references point to another type, subordinate tables have their own
+ * requisites).
+ *
+ * @returns {Promise<Object|null>} { id, name, baseType, requisites: [{ id, name,
+ *   alias, attrTypeId, baseType, refTypeId, arrTypeId, multi, required }] }
+ */
+export async function describeType(pool, db, typeId) {
+  const [types] = await pool.query(
+    `SELECT id, val, t FROM \`${db}\` WHERE id = ? AND up = 0`,
+    [typeId]
+  );
+  if (types.length === 0) return null;
+
+  const [defs] = await pool.query(
+    `SELECT a.id, a.val AS attrs, typs.id AS type_id,
+            CASE WHEN refs.id IS NULL THEN typs.val ELSE refs.val END AS type_val,
+            CASE WHEN refs.id IS NULL THEN typs.t ELSE refs.t END AS base_typ,
+            refs.id AS ref_id, arrs.id AS arr_id
+     FROM \`${db}\` a
+     JOIN \`${db}\` typs ON typs.id = a.t
+     LEFT JOIN \`${db}\` refs ON refs.id = typs.t AND refs.t != refs.id
+     LEFT JOIN \`${db}\` arrs ON refs.id IS NULL AND arrs.up = typs.id AND arrs.ord = 1
+     WHERE a.up = ? ORDER BY a.ord`,
+    [typeId]
+  );
+
+  return {
+    id: Number(types[0].id),
+    name: types[0].val,
+    baseType: Number(types[0].t),
+    requisites: defs.map((d) => {
+      const attrs = String(d.attrs || '');
+      return {
+        id: Number(d.id),
+        name: requisiteName(attrs, d.type_val),
+        alias: attrs.match(/:ALIAS=(.*?):/)?.[1] || null,
+        attrTypeId: Number(d.type_id),
+        baseType: Number(d.base_typ),
+        refTypeId: d.ref_id != null ? Number(d.ref_id) : null,
+        arrTypeId: d.arr_id != null ? Number(d.type_id) : null,
+        multi: attrs.includes(':MULTI:'),
+        required: attrs.includes(':!NULL:'),
+      };
+    }),
+  };
+}
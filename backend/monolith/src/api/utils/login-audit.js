@@ -0,0 +1,127 @@
+/**
+ * Login audit trail of a legacy database.
+ *
+ * Events (logins, sign-outs, revoked sessions, lockouts) are ACTIVITY
+ * objects: top-level rows of type ACTIVITY whose val is the Unix time of the
+ * event, like the last-login record a user keeps under itself. Their details
+ * are requisites provisioned on the ACTIVITY type on the first event, so the
+ * trail is browsed and filtered in the object list of ACTIVITY like any data.
+ */
+
+import { BASE, ensureFields, insert, nextOrder } from './legacy-schema.js';
+
+/** ACTIVITY (see TYPE in legacy-compat.js) */
+export const ACTIVITY_TYPE = 124;
+
+/** Event requisites: key → [name, base type] */
+const EVENT_FIELDS = {
+  event: ['Событие', BASE.SHORT],
+  login: ['Логин', BASE.SHORT],
+  ip: ['IP-адрес', BASE.SHORT],
+  userAgent: ['User-Agent', BASE.CHARS],
+  method: ['Способ входа', BASE.SHORT],
+  failures: ['Неудачных попыток', BASE.NUMBER],
+  until: ['Заблокирован до', BASE.DATETIME],
+  by: ['Кем выполнено', BASE.SHORT],
+};
+
+export const EVENTS = {
+  LOGIN: 'Вход',
+  LOGOUT: 'Выход',
+  REVOKE: 'Завершение сессии',
+  REVOKE_ALL: 'Выход на всех устройствах',
+  LOCK: 'Блокировка входа',
+  UNLOCK: 'Снятие блокировки',
+};
+
+/**
+ * Login audit.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ */
+export function createLoginAudit({ getPool, logger = console, now = () => Date.now() }) {
+  const fieldCache = new Map(); // db → ensureFields() result
+
+  async function fieldsOf(pool, db) {
+    if (!fieldCache.has(db)) fieldCache.set(db, await ensureFields(pool, db, ACTIVITY_TYPE, EVENT_FIELDS));
+    return fieldCache.get(db);
+  }
+
+  return {
+    /**
+     * Write an event. Failures are logged, never thrown: the audit must not
+     * break the login it describes.
+     *
+     * @param {string} db
+     * @param {Object} values - event plus any of login, ip, userAgent, method, failures, until (Unix seconds), by
+     * @returns {Promise<number|null>} id of the ACTIVITY object
+     */
+    async record(db, values) {
+      try {
+        const pool = getPool();
+        const fields = await fieldsOf(pool, db);
+        const id = await insert(pool, db, 1, await nextOrder(pool, db, 1), ACTIVITY_TYPE, String(Math.floor(now() / 1000)));
+        let ord = 1;
+        for (const [key, value] of Object.entries(values)) {
+          if (!fields[key] || value === null || value === undefined || value === '') continue;
+          await insert(pool, db, id, ord++, fields[key], String(value).slice(0, 500));
+        }
+        return id;
+      } catch (error) {
+        logger.warn('[Login audit] Could not record the event', { db, event: values.event, error: error.message });
+        return null;
+      }
+    },
+
+    /**
+     * Latest events, newest first.
+     *
+     * @param {string} db
+     * @param {Object} [filter] - { login, limit = 100 }
+     * @returns {Promise<Array<Object>>} { id, time (Date), event, login, ip, userAgent, method, failures, until, by }
+     */
+    async list(db, { login = '', limit = 100 } = {}) {
+      const pool = getPool();
+      const fields = await fieldsOf(pool, db);
+      const count = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+      const [objects] = await pool.query(
+        `SELECT o.id, o.val FROM \`${db}\` o
+         ${login ? 'JOIN `' + db + '` l ON l.up = o.id AND l.t = ? AND l.val = ?' : ''}
+         WHERE o.t = ${ACTIVITY_TYPE} AND o.up = 1
+         ORDER BY o.id DESC LIMIT ${count}`,
+        login ? [fields.login, login] : []
+      );
+      if (objects.length === 0) return [];
+
+      const ids = objects.map(o => Number(o.id));
+      const [rows] = await pool.query(
+        `SELECT up, t, val FROM \`${db}\` WHERE up IN (${ids.map(() => '?').join(',')})`,
+        ids
+      );
+      const keyByField = new Map(Object.entries(fields).map(([key, id]) => [id, key]));
+      const byEvent = new Map(ids.map(id => [id, {}]));
+      for (const row of rows) {
+        const key = keyByField.get(Number(row.t));
+        if (key) byEvent.get(Number(row.up))[key] = row.val;
+      }
+      return objects.map((o) => {
+        const values = byEvent.get(Number(o.id));
+        return {
+          id: Number(o.id),
+          time: new Date(Number(o.val) * 1000),
+          event: values.event || '',
+          login: values.login || null,
+          ip: values.ip || null,
+          userAgent: values.userAgent || null,
+          method: values.method || null,
+          failures: values.failures ? Number(values.failures) : null,
+          until: values.until ? new Date(Number(values.until) * 1000) : null,
+          by: values.by || null,
+        };
+      });
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * One-time codes of the email login (POST /:db/getcode → /:db/checkcode).
+ *
+ * The code is random and has its own requisite of the user type ("Код входа",
+ * PWD base, so editors mask it and the V2 API never returns it). The row holds
+ * a hash of the code, its expiry and the wrong tries so far; a new code
+ * replaces the previous one. A confirmed code starts a session of its own
+ * (see sessions.js) instead of rewriting one of the user's tokens.
+ */
+
+import crypto from 'crypto';
+import { BASE, ensureFields, setValue } from './legacy-schema.js';
+
+/** User type (see TYPE in legacy-compat.js) */
+const USER_TYPE = 18;
+
+/** User requisites: key → [name, base type] */
+const CODE_FIELDS = {
+  code: ['Код входа', BASE.PWD],
+};
+
+/** Four characters, as the login form expects; no look-alike letters and digits */
+const CODE_LENGTH = 4;
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/** Stored form of a code: bound to the user, case does not matter */
+function hashCode(uid, code) {
+  return crypto.createHash('sha256').update(`${uid}:${String(code).toLowerCase()}`).digest('hex');
+}
+
+/**
+ * Email login codes.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ * @param {number} [deps.ttl=600] - seconds a code is valid
+ * @param {number} [deps.maxAttempts=5] - wrong tries before the code is dropped
+ */
+export function createLoginCodes({
+  getPool,
+  logger = console,
+  now = () => Date.now(),
+  ttl = 600,
+  maxAttempts = 5,
+}) {
+  const fieldCache = new Map(); // db → requisite id of the code
+
+  async function codeField(pool, db) {
+    if (!fieldCache.has(db)) fieldCache.set(db, (await ensureFields(pool, db, USER_TYPE, CODE_FIELDS)).code);
+    return fieldCache.get(db);
+  }
+
+  return {
+    /**
+     * Issue a new code for the user; the previous one stops working.
+     *
+     * @returns {Promise<string>} the code to mail
+     */
+    async issue(db, uid) {
+      const pool = getPool();
+      const code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+      await setValue(pool, db, uid, await codeField(pool, db), `${hashCode(uid, code)}:${now() + ttl * 1000}:0`);
+      logger.info('[LoginCodes] Issued', { db, uid });
+      return code;
+    },
+
+    /**
+     * Check a code; a confirmed one is used up, wrong tries count towards
+     * maxAttempts.
+     *
+     * @returns {Promise<boolean>}
+     */
+    async verify(db, uid, code) {
+      const pool = getPool();
+      const field = await codeField(pool, db);
+      const [rows] = await pool.query(
+        `SELECT id, val FROM \`${db}\` WHERE up = ? AND t = ? LIMIT 1`,
+        [uid, field]
+      );
+      const [hash, expires, attempts] = String(rows[0]?.val || '').split(':');
+      if (!hash || Number(expires) <= now()) return false;
+
+      const expected = Buffer.from(hash);
+      const given = Buffer.from(hashCode(uid, code));
+      if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+        await pool.query(`UPDATE \`${db}\` SET val = '' WHERE id = ?`, [rows[0].id]);
+        return true;
+      }
+
+      const tries = Number(attempts) + 1;
+      await pool.query(
+        `UPDATE \`${db}\` SET val = ? WHERE id = ?`,
+        [tries >= maxAttempts ? '' : `${hash}:${expires}:${tries}`, rows[0].id]
+      );
+      return false;
+    },
+  };
+}
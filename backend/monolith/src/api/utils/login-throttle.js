@@ -0,0 +1,260 @@
+/**
+ * Login throttling and lockout for legacy database logins.
+ *
+ * /:db/auth, /:db/getcode and /:db/checkcode count attempts in sliding
+ * windows per client address, across all databases, and per login of a
+ * database. Callers count an attempt only once the database is known to exist.
+ * Wrong passwords and codes also count towards a lockout of the login: after
+ * `failures` of them within the window the login is locked for `lockMs`, and
+ * each further lockout within `memoryMs` of the previous one doubles the time,
+ * up to `maxLockMs`. A correct password clears the failures.
+ *
+ * The counters live in memory, like the express-rate-limit stores: idle
+ * entries are swept once a minute, and each map is capped at `maxEntries`
+ * (the oldest entries go first, lockouts in force are kept). Lockouts
+ * and unlocks go to the login audit (ACTIVITY objects, see login-audit.js),
+ * so admins find brute-force attempts in the database itself.
+ */
+
+import { normalizeIp } from './api-keys.js';
+import { createLoginAudit, EVENTS } from './login-audit.js';
+
+export const DEFAULT_LIMITS = {
+  /** Attempts from one address */
+  ip: { max: 60, windowMs: 15 * 60 * 1000 },
+  /** Attempts for one login */
+  login: { max: 20, windowMs: 15 * 60 * 1000 },
+  /** Failures that lock a login, and the lock times */
+  lockout: {
+    failures: 5,
+    windowMs: 15 * 60 * 1000,
+    lockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000,
+    memoryMs: 24 * 60 * 60 * 1000,
+  },
+  /** Entries per map before the oldest are dropped */
+  maxEntries: 50000,
+};
+
+/** Wait time for messages: "40 с", "15 мин" */
+export function formatWait(seconds) {
+  return seconds < 60 ? `${seconds} с` : `${Math.ceil(seconds / 60)} мин`;
+}
+
+/**
+ * Login throttle.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ * @param {Object} [deps.limits] - overrides of DEFAULT_LIMITS, per group
+ * @param {Object} [deps.audit] - login audit (createLoginAudit() by default)
+ */
+export function createLoginThrottle({
+  getPool,
+  logger = console,
+  now = () => Date.now(),
+  limits = {},
+  audit = createLoginAudit({ getPool, logger, now }),
+}) {
+  const ipLimit = { ...DEFAULT_LIMITS.ip, ...limits.ip };
+  const loginLimit = { ...DEFAULT_LIMITS.login, ...limits.login };
+  const lockout = { ...DEFAULT_LIMITS.lockout, ...limits.lockout };
+  const maxEntries = limits.maxEntries || DEFAULT_LIMITS.maxEntries;
+
+  const byIp = new Map(); // ip → attempt times, all databases
+  const byLogin = new Map(); // db:login → attempt times
+  const accounts = new Map(); // db:login → { failures, until, level, lockedAt }
+  let lastSweep = 0;
+
+  /** Times within the window, oldest first */
+  function recent(map, key, windowMs) {
+    const times = (map.get(key) || []).filter(time => time > now() - windowMs);
+    if (times.length > 0) map.set(key, times);
+    else map.delete(key);
+    return times;
+  }
+
+  /** Seconds until the oldest counted attempt leaves the window */
+  function retryAfter(times, windowMs) {
+    return Math.max(1, Math.ceil((times[0] + windowMs - now()) / 1000));
+  }
+
+  function sweep(force = false) {
+    const time = now();
+    if (!force && time - lastSweep < 60 * 1000) return;
+    lastSweep = time;
+    for (const key of [...byIp.keys()]) recent(byIp, key, ipLimit.windowMs);
+    for (const key of [...byLogin.keys()]) recent(byLogin, key, loginLimit.windowMs);
+    for (const [key, account] of accounts) {
+      account.failures = account.failures.filter(t => t > time - lockout.windowMs);
+      if (account.failures.length === 0 && account.until <= time && time - account.lockedAt > lockout.memoryMs) {
+        accounts.delete(key);
+      }
+    }
+  }
+
+  /** Make room for one more entry, dropping the oldest but not lockouts in force */
+  function trim(map) {
+    if (map.size < maxEntries) return;
+    sweep(true);
+    const time = now();
+    for (const [key, value] of map) {
+      if (map.size < maxEntries) break;
+      if (!(value.until > time)) map.delete(key);
+    }
+  }
+
+  function accountOf(db, login) {
+    const key = `${db}:${login}`;
+    let account = accounts.get(key);
+    if (!account) {
+      trim(accounts);
+      account = { failures: [], until: 0, level: 0, lockedAt: 0 };
+      accounts.set(key, account);
+    }
+    return account;
+  }
+
+  return {
+    /**
+     * Count an attempt, unless the address or login is over its limit or the
+     * login is locked.
+     *
+     * @param {string} db
+     * @param {Object} who - { ip, login }
+     * @returns {Object|null} null to go on; otherwise the refusal:
+     *   { reason: 'ip'|'login'|'locked', retryAfter (seconds), message }
+     */
+    attempt(db, { ip, login }) {
+      sweep();
+      const time = now();
+      const ipKey = normalizeIp(ip);
+      const loginKey = `${db}:${login}`;
+
+      const account = accounts.get(loginKey);
+      if (account && account.until > time) {
+        const wait = Math.ceil((account.until - time) / 1000);
+        return {
+          reason: 'locked',
+          retryAfter: wait,
+          message: `Вход временно заблокирован после неудачных попыток. Повторите через ${formatWait(wait)}.`,
+        };
+      }
+      const ipTimes = recent(byIp, ipKey, ipLimit.windowMs);
+      if (ipTimes.length >= ipLimit.max) {
+        const wait = retryAfter(ipTimes, ipLimit.windowMs);
+        return {
+          reason: 'ip',
+          retryAfter: wait,
+          message: `Слишком много попыток входа с этого адреса. Повторите через ${formatWait(wait)}.`,
+        };
+      }
+      const loginTimes = recent(byLogin, loginKey, loginLimit.windowMs);
+      if (loginTimes.length >= loginLimit.max) {
+        const wait = retryAfter(loginTimes, loginLimit.windowMs);
+        return {
+          reason: 'login',
+          retryAfter: wait,
+          message: `Слишком много попыток входа для этого пользователя. Повторите через ${formatWait(wait)}.`,
+        };
+      }
+
+      if (ipTimes.length === 0) trim(byIp);
+      if (loginTimes.length === 0) trim(byLogin);
+      byIp.set(ipKey, [...ipTimes, time]);
+      byLogin.set(loginKey, [...loginTimes, time]);
+      return null;
+    },
+
+    /**
+     * A wrong password or code. Locks the login once it has too many.
+     *
+     * @returns {Promise<Object|null>} { until (Date), level, failures } when
+     *   this failure locked the login
+     */
+    async fail(db, { ip, login }) {
+      const time = now();
+      const account = accountOf(db, login);
+      account.failures = [...account.failures.filter(t => t > time - lockout.windowMs), time];
+      if (account.failures.length < lockout.failures) return null;
+
+      const failures = account.failures.length;
+      account.level = account.lockedAt && time - account.lockedAt < lockout.memoryMs ? account.level + 1 : 1;
+      account.until = time + Math.min(lockout.lockMs * 2 ** (account.level - 1), lockout.maxLockMs);
+      account.lockedAt = time;
+      account.failures = [];
+
+      logger.warn('[Login throttle] Login locked', { db, login, ip, failures, level: account.level, until: new Date(account.until) });
+      await audit.record(db, {
+        event: EVENTS.LOCK,
+        login,
+        ip: normalizeIp(ip),
+        failures,
+        until: Math.floor(account.until / 1000),
+      });
+      return { until: new Date(account.until), level: account.level, failures };
+    },
+
+    /** A correct password or code: the failures of the login are forgotten */
+    succeed(db, login) {
+      const account = accounts.get(`${db}:${login}`);
+      if (account) account.failures = [];
+    },
+
+    /**
+     * Current lockouts of a database and throttled addresses (the address
+     * limit is shared by all databases).
+     * @returns {Object} { logins: [{ login, until, level }], ips: [{ ip, attempts, retryAfter }] }
+     */
+    status(db) {
+      const time = now();
+      const prefix = `${db}:`;
+      const logins = [];
+      for (const [key, account] of accounts) {
+        if (key.startsWith(prefix) && account.until > time) {
+          logins.push({ login: key.slice(prefix.length), until: new Date(account.until), level: account.level });
+        }
+      }
+      const ips = [];
+      for (const key of [...byIp.keys()]) {
+        const times = recent(byIp, key, ipLimit.windowMs);
+        if (times.length >= ipLimit.max) {
+          ips.push({ ip: key, attempts: times.length, retryAfter: retryAfter(times, ipLimit.windowMs) });
+        }
+      }
+      return { logins, ips };
+    },
+
+    /**
+     * Lift the lockout and the attempt limit of a login and/or an address.
+     *
+     * @param {string} db
+     * @param {Object} target - { login, ip }
+     * @param {string} by - admin who lifted it
+     * @returns {Promise<boolean>} whether anything was locked or throttled
+     */
+    async unlock(db, { login, ip }, by) {
+      const time = now();
+      let lifted = false;
+      if (login) {
+        const account = accounts.get(`${db}:${login}`);
+        lifted = !!account && account.until > time;
+        accounts.delete(`${db}:${login}`);
+        lifted = (recent(byLogin, `${db}:${login}`, loginLimit.windowMs).length >= loginLimit.max) || lifted;
+        byLogin.delete(`${db}:${login}`);
+      }
+      if (ip) {
+        const ipKey = normalizeIp(ip);
+        lifted = (recent(byIp, ipKey, ipLimit.windowMs).length >= ipLimit.max) || lifted;
+        byIp.delete(ipKey);
+      }
+      if (lifted) {
+        logger.info('[Login throttle] Unlocked', { db, login, ip, by });
+        await audit.record(db, { event: EVENTS.UNLOCK, login, ip: ip ? normalizeIp(ip) : null, by });
+      }
+      return lifted;
+    },
+  };
+}
@@ -0,0 +1,548 @@
+/**
+ * OpenID Connect single sign-on for legacy databases.
+ *
+ * Every database configures its own identity providers as objects of the
+ * "OIDC-провайдер" type (top level, named as the login button shows them).
+ * Requisites hold the issuer, the client id, the scopes, the claims carrying
+ * the login and the groups, and the mapping of groups to roles. The client
+ * secret is a SECRET row under the provider, like the secret login keys of
+ * users, so it never shows in the object editor or in the API.
+ *
+ * The login is an authorization code flow with PKCE (S256), state and nonce.
+ * The state is also handed to the browser that started the login (a cookie
+ * set by the route), and the callback must bring it back, so a login started
+ * by someone else cannot be finished in a victim's browser.
+ * Discovery documents and JWKS are cached per issuer; an ID token signed with
+ * an unknown key id refetches the JWKS (at most once a minute), so providers
+ * rotate their keys without anything to do here.
+ *
+ * Users are matched by the issuer and the subject of the ID token, kept in
+ * the "Вход через SSO" requisite of the user. A login whose claim names an
+ * existing local account that is not linked yet is refused: the owner signs
+ * in as usual and links the provider once (begin() with linkUid). Unknown
+ * logins are created with the role their groups map to, or with the default
+ * role of the provider, and linked. The provider does not replace the second
+ * factor: the route asks for the TOTP code like after a password.
+ */
+
+import crypto from 'crypto';
+import { AuthenticationError, ValidationError } from '../../../../../packages/@integram/common/index.js';
+import { BASE, ensureFields, findRootType, ensureRootType, insert, loadObjects, nextOrder, setValue } from './legacy-schema.js';
+
+export const PROVIDER_TYPE_NAME = 'OIDC-провайдер';
+
+/** User, EMAIL, ROLE and SECRET (see TYPE in legacy-compat.js) */
+const USER_TYPE = 18;
+const EMAIL_TYPE = 41;
+const ROLE_TYPE = 42;
+const SECRET_TYPE = 130;
+
+/** User requisite linking it to "<issuer> <subject>" of a provider */
+const LINK_FIELDS = {
+  subject: ['Вход через SSO', BASE.SHORT],
+};
+
+/** Provider requisites: key → [name, base type] */
+const PROVIDER_FIELDS = {
+  issuer: ['Издатель OIDC', BASE.SHORT],
+  clientId: ['Client ID', BASE.SHORT],
+  scopes: ['Области OIDC', BASE.SHORT],
+  loginClaim: ['Claim логина', BASE.SHORT],
+  roleClaim: ['Claim ролей', BASE.SHORT],
+  roleMap: ['Сопоставление ролей', BASE.CHARS],
+  defaultRole: ['Роль по умолчанию', BASE.SHORT],
+  enabled: ['Вход включён', BASE.BOOLEAN],
+};
+
+export const DEFAULTS = { scopes: 'openid email profile', loginClaim: 'email', roleClaim: 'groups' };
+
+/** Pending logins expire after (ms) */
+const LOGIN_TTL = 10 * 60 * 1000;
+/** At most this many pending logins are kept; the oldest make room */
+const MAX_PENDING = 1000;
+/** Discovery documents and JWKS are kept for (ms) */
+const CACHE_TTL = 60 * 60 * 1000;
+/** An unknown key id refetches the JWKS at most this often (ms) */
+const JWKS_REFRESH = 60 * 1000;
+/** Clock skew allowed on exp / iat (s) */
+const SKEW = 60;
+
+/** JWS algorithms → crypto.verify() options */
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PADDING },
+  RS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PADDING },
+  RS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PADDING },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+};
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/** PKCE S256 challenge of a verifier */
+export function pkceChallenge(verifier) {
+  return base64url(crypto.createHash('sha256').update(verifier).digest());
+}
+
+/**
+ * Parse a group-to-role mapping: one "group = role" per line (or separated by
+ * ";"). The last "=" splits, so groups may be LDAP DNs.
+ *
+ * @returns {Array<{group: string, role: string}>}
+ * @throws {ValidationError}
+ */
+export function parseRoleMap(text) {
+  return String(text ?? '').split(/[\n;]+/).map(line => line.trim()).filter(Boolean).map((line) => {
+    const at = line.lastIndexOf('=');
+    const group = line.slice(0, at).trim();
+    const role = line.slice(at + 1).trim();
+    if (at < 0 || !group || !role) throw new ValidationError(`Неверная строка сопоставления ролей: ${line}`);
+    return { group, role };
+  });
+}
+
+/** Issuer URL without the trailing slash; https only, except on localhost */
+function normalizeIssuer(value) {
+  const text = String(value ?? '').trim().replace(/\/+$/, '');
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    throw new ValidationError('Неверный адрес издателя OIDC');
+  }
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) {
+    throw new ValidationError('Адрес издателя OIDC должен начинаться с https://');
+  }
+  return text;
+}
+
+/** Decode a JWT without checking it: { header, claims, data, signature } */
+function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new AuthenticationError('Неверный ID-токен');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+      claims: JSON.parse(Buffer.from(parts[1], 'base64url').toString()),
+      data: Buffer.from(`${parts[0]}.${parts[1]}`),
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch {
+    throw new AuthenticationError('Неверный ID-токен');
+  }
+}
+
+/**
+ * OIDC providers and logins.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ * @param {Function} [deps.fetch] - fetch() for discovery, JWKS and the token endpoint
+ */
+export function createOidc({ getPool, logger = console, now = () => Date.now(), fetch = globalThis.fetch }) {
+  const fieldCache = new Map(); // db → { typeId, ...requisite ids }
+  const discovery = new Map(); // issuer → { doc, at }
+  const keySets = new Map(); // jwks_uri → { keys, at }
+  const pending = new Map(); // state → { db, providerId, verifier, nonce, redirectUri, returnTo, linkUid, expires }
+  const linkFields = new Map(); // db → { subject }
+
+  /** Provider type and requisites; null when the database has no providers */
+  async function fieldsOf(pool, db, { create = false } = {}) {
+    if (!fieldCache.has(db)) {
+      const typeId = create
+        ? await ensureRootType(pool, db, PROVIDER_TYPE_NAME, BASE.SHORT)
+        : await findRootType(pool, db, PROVIDER_TYPE_NAME, BASE.SHORT);
+      if (!typeId) return null;
+      fieldCache.set(db, { typeId, ...await ensureFields(pool, db, typeId, PROVIDER_FIELDS) });
+    }
+    return fieldCache.get(db);
+  }
+
+  /** Providers with their settings (the secret only as hasSecret) */
+  async function load(pool, db, id = null) {
+    const fields = await fieldsOf(pool, db);
+    if (!fields) return [];
+    const { typeId, ...requisites } = fields;
+    const objects = await loadObjects(pool, db, typeId, { ...requisites, secret: SECRET_TYPE }, id);
+    return objects.map(({ id: providerId, name, values }) => ({
+      id: providerId,
+      name,
+      issuer: values.issuer || '',
+      clientId: values.clientId || '',
+      scopes: values.scopes || DEFAULTS.scopes,
+      loginClaim: values.loginClaim || DEFAULTS.loginClaim,
+      roleClaim: values.roleClaim || DEFAULTS.roleClaim,
+      roleMap: values.roleMap || '',
+      defaultRole: values.defaultRole || '',
+      enabled: !!values.enabled && values.enabled !== '0',
+      hasSecret: !!values.secret,
+      secret: values.secret || '',
+    }));
+  }
+
+  function publicView({ secret, ...provider }) {
+    return provider;
+  }
+
+  /** Role objects by lowercased name */
+  async function roles(pool, db) {
+    const [rows] = await pool.query(
+      `SELECT id, val FROM \`${db}\` WHERE t = ${ROLE_TYPE} AND up != 0`
+    );
+    return new Map(rows.map(row => [String(row.val).toLowerCase(), Number(row.id)]));
+  }
+
+  async function getJson(url, init) {
+    const response = await fetch(url, init);
+    let body = null;
+    try {
+      body = await response.json();
+    } catch {
+      body = null;
+    }
+    if (!response.ok || !body) {
+      const error = new Error(`${url}: ${body?.error_description || body?.error || `HTTP ${response.status}`}`);
+      error.body = body;
+      throw error;
+    }
+    return body;
+  }
+
+  /** Discovery document of an issuer, cached */
+  async function discover(issuer) {
+    const cached = discovery.get(issuer);
+    if (cached && now() - cached.at < CACHE_TTL) return cached.doc;
+    const doc = await getJson(`${issuer}/.well-known/openid-configuration`);
+    if (String(doc.issuer || '').replace(/\/+$/, '') !== issuer) {
+      throw new Error(`Издатель в документе OIDC (${doc.issuer}) не совпадает с настроенным`);
+    }
+    if (!doc.authorization_endpoint || !doc.token_endpoint || !doc.jwks_uri) {
+      throw new Error('Документ OIDC не содержит authorization_endpoint, token_endpoint или jwks_uri');
+    }
+    discovery.set(issuer, { doc, at: now() });
+    return doc;
+  }
+
+  /** Signing key for a token header; refetches the JWKS on an unknown kid */
+  async function signingKey(jwksUri, header) {
+    const find = keys => keys.find(k => (!header.kid || k.kid === header.kid) && (!k.use || k.use === 'sig')
+      && (!k.alg || k.alg === header.alg));
+    let cached = keySets.get(jwksUri);
+    let key = cached && now() - cached.at < CACHE_TTL ? find(cached.keys) : null;
+    if (!key && (!cached || now() - cached.at >= JWKS_REFRESH)) {
+      const { keys = [] } = await getJson(jwksUri);
+      cached = { keys, at: now() };
+      keySets.set(jwksUri, cached);
+      key = find(keys);
+    }
+    if (!key) throw new AuthenticationError('Ключ подписи ID-токена не найден у поставщика входа');
+    return crypto.createPublicKey({ key, format: 'jwk' });
+  }
+
+  /**
+   * Check the signature and the claims of an ID token.
+   * @returns {Promise<Object>} claims
+   */
+  async function verifyIdToken(idToken, { doc, clientId, nonce }) {
+    const { header, claims, data, signature } = decodeJwt(idToken);
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) throw new AuthenticationError(`Алгоритм подписи ID-токена не поддерживается: ${header.alg}`);
+    const key = await signingKey(doc.jwks_uri, header);
+    const { hash, ...options } = algorithm;
+    if (!crypto.verify(hash, data, { key, ...options }, signature)) {
+      throw new AuthenticationError('Неверная подпись ID-токена');
+    }
+
+    const seconds = Math.floor(now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== doc.issuer) throw new AuthenticationError('ID-токен выдан другим издателем');
+    if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp !== clientId)) {
+      throw new AuthenticationError('ID-токен выдан другому приложению');
+    }
+    if (!(claims.exp > seconds - SKEW) || (claims.iat && claims.iat > seconds + SKEW)) {
+      throw new AuthenticationError('Срок действия ID-токена истёк');
+    }
+    if (claims.nonce !== nonce) throw new AuthenticationError('Неверный nonce ID-токена');
+    return claims;
+  }
+
+  /** Exchange the code for tokens at the token endpoint */
+  async function exchangeCode(doc, provider, { code, verifier, redirectUri }) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+      client_id: provider.clientId,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    const methods = doc.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_post') && !methods.includes('client_secret_basic')) {
+      body.set('client_secret', provider.secret);
+    } else {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.secret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    try {
+      return await getJson(doc.token_endpoint, { method: 'POST', headers, body: body.toString() });
+    } catch (error) {
+      logger.warn('[OIDC] Token exchange failed', { provider: provider.id, error: error.message });
+      throw new AuthenticationError('Поставщик входа не принял код авторизации');
+    }
+  }
+
+  /** Role for the groups of a new user: the first mapped one, else the default */
+  function mappedRole(provider, claims) {
+    const value = claims[provider.roleClaim];
+    const groups = (Array.isArray(value) ? value : value == null ? [] : [value]).map(String);
+    const match = parseRoleMap(provider.roleMap).find(({ group }) => groups.includes(group));
+    return match?.role || provider.defaultRole || null;
+  }
+
+  /** Requisite of the user holding its provider link */
+  async function linkField(pool, db) {
+    if (!linkFields.has(db)) linkFields.set(db, await ensureFields(pool, db, USER_TYPE, LINK_FIELDS));
+    return linkFields.get(db).subject;
+  }
+
+  /** User linked to an identity, or null */
+  async function linkedUser(pool, db, field, identity) {
+    const [rows] = await pool.query(
+      `SELECT up FROM \`${db}\` WHERE t = ? AND val = ? LIMIT 1`,
+      [field, identity]
+    );
+    return rows.length > 0 ? Number(rows[0].up) : null;
+  }
+
+  /**
+   * Find the user linked to the identity of the ID token. An unlinked one is
+   * linked to linkUid (the signed-in user who asked for it) or created when
+   * its login is free and it has a role.
+   */
+  async function findOrCreateUser(pool, db, provider, login, claims, linkUid = null) {
+    const field = await linkField(pool, db);
+    const identity = `${claims.iss} ${claims.sub}`;
+    const linked = await linkedUser(pool, db, field, identity);
+    if (linkUid) {
+      if (linked && linked !== linkUid) {
+        throw new AuthenticationError('Эта учётная запись поставщика уже привязана к другому пользователю');
+      }
+      await setValue(pool, db, linkUid, field, identity);
+      logger.info('[OIDC] User linked', { db, provider: provider.id, uid: linkUid, identity });
+      return { uid: linkUid, created: false, linked: true };
+    }
+    if (linked) return { uid: linked, created: false };
+
+    const [users] = await pool.query(
+      `SELECT id FROM \`${db}\` WHERE t = ${USER_TYPE} AND val = ? LIMIT 1`,
+      [login]
+    );
+    if (users.length > 0) {
+      logger.warn('[OIDC] Login of an unlinked user', { db, provider: provider.id, uid: Number(users[0].id), login });
+      throw new AuthenticationError(
+        `Пользователь ${login} уже есть в базе: войдите своим паролем и привяжите вход через «${provider.name}»`
+      );
+    }
+
+    const roleName = mappedRole(provider, claims);
+    const roleId = roleName ? (await roles(pool, db)).get(roleName.toLowerCase()) : null;
+    if (!roleId) {
+      logger.warn('[OIDC] No role for a new user', { db, provider: provider.id, login, role: roleName });
+      throw new AuthenticationError('Для вашей учётной записи не назначена роль в этой базе');
+    }
+
+    // PHP newUser(): the user, then its requisites with ord 1; the role link
+    // is a row whose t is the role object, valued with the role requisite
+    const uid = await insert(pool, db, 1, 0, USER_TYPE, login);
+    const [roleReqs] = await pool.query(
+      `SELECT req.id FROM \`${db}\` req JOIN \`${db}\` ref ON ref.id = req.t
+       WHERE req.up = ${USER_TYPE} AND ref.t = ${ROLE_TYPE} LIMIT 1`
+    );
+    await insert(pool, db, uid, 1, roleId, roleReqs.length > 0 ? String(roleReqs[0].id) : '');
+    if (claims.email && claims.email_verified !== false) {
+      await insert(pool, db, uid, 1, EMAIL_TYPE, String(claims.email).toLowerCase());
+    }
+    await setValue(pool, db, uid, field, identity);
+    logger.info('[OIDC] User created', { db, provider: provider.id, uid, login, role: roleName });
+    return { uid, created: true };
+  }
+
+  return {
+    /**
+     * Providers of a database with their settings (admins).
+     * @returns {Promise<Array<Object>>} { id, name, issuer, clientId, scopes, loginClaim,
+     *   roleClaim, roleMap, defaultRole, enabled, hasSecret }
+     */
+    async list(db) {
+      return (await load(getPool(), db)).map(publicView);
+    },
+
+    /**
+     * Enabled providers for the login page.
+     * @returns {Promise<Array<{id, name}>>}
+     */
+    async loginOptions(db) {
+      return (await load(getPool(), db)).filter(p => p.enabled).map(p => ({ id: p.id, name: p.name }));
+    },
+
+    /**
+     * Create (id null) or update a provider. An empty clientSecret keeps the
+     * stored one.
+     *
+     * @param {string} db
+     * @param {number|null} id
+     * @param {Object} values - { name, issuer, clientId, clientSecret, scopes, loginClaim,
+     *   roleClaim, roleMap, defaultRole, enabled }
+     * @returns {Promise<Object>} the provider
+     * @throws {ValidationError}
+     */
+    async save(db, id, values = {}) {
+      const pool = getPool();
+      const name = String(values.name ?? '').trim();
+      const clientId = String(values.clientId ?? '').trim();
+      const clientSecret = String(values.clientSecret ?? '').trim();
+      if (!name) throw new ValidationError('Укажите название поставщика входа');
+      const issuer = normalizeIssuer(values.issuer);
+      if (!clientId) throw new ValidationError('Укажите Client ID');
+
+      const roleMap = parseRoleMap(values.roleMap);
+      const defaultRole = String(values.defaultRole ?? '').trim();
+      const known = await roles(pool, db);
+      for (const role of [...roleMap.map(entry => entry.role), defaultRole].filter(Boolean)) {
+        if (!known.has(role.toLowerCase())) throw new ValidationError(`Роль не найдена: ${role}`);
+      }
+
+      const existing = id ? (await load(pool, db, id))[0] : null;
+      if (id && !existing) throw new ValidationError('Поставщик входа не найден');
+      if (!existing && !clientSecret) throw new ValidationError('Укажите Client secret');
+
+      const fields = await fieldsOf(pool, db, { create: true });
+      let providerId = existing?.id;
+      if (providerId) {
+        await pool.query(`UPDATE \`${db}\` SET val = ? WHERE id = ?`, [name, providerId]);
+      } else {
+        providerId = await insert(pool, db, 1, await nextOrder(pool, db, 1), fields.typeId, name);
+      }
+      const stored = {
+        issuer,
+        clientId,
+        scopes: String(values.scopes ?? '').trim().replace(/\s+/g, ' ') || DEFAULTS.scopes,
+        loginClaim: String(values.loginClaim ?? '').trim() || DEFAULTS.loginClaim,
+        roleClaim: String(values.roleClaim ?? '').trim() || DEFAULTS.roleClaim,
+        roleMap: roleMap.map(({ group, role }) => `${group} = ${role}`).join('\n'),
+        defaultRole,
+        enabled: values.enabled === false || values.enabled === '0' || values.enabled === 'false' ? '' : '1',
+      };
+      for (const [key, value] of Object.entries(stored)) {
+        await setValue(pool, db, providerId, fields[key], value);
+      }
+      if (clientSecret) await setValue(pool, db, providerId, SECRET_TYPE, clientSecret);
+
+      logger.info('[OIDC] Provider saved', { db, providerId, issuer, created: !existing });
+      return publicView((await load(pool, db, providerId))[0]);
+    },
+
+    /**
+     * Delete a provider.
+     * @throws {ValidationError} when there is no such provider
+     */
+    async remove(db, id) {
+      const pool = getPool();
+      if ((await load(pool, db, id)).length === 0) throw new ValidationError('Поставщик входа не найден');
+      await pool.query(`DELETE FROM \`${db}\` WHERE up = ?`, [id]);
+      await pool.query(`DELETE FROM \`${db}\` WHERE id = ?`, [id]);
+      logger.info('[OIDC] Provider deleted', { db, providerId: id });
+    },
+
+    /**
+     * Start a login: the URL of the provider's authorization endpoint, and
+     * the state the browser has to bring back to complete().
+     *
+     * @param {string} db
+     * @param {number} providerId
+     * @param {Object} options - { redirectUri, returnTo, linkUid: the signed-in
+     *   user to link the provider's account to instead of logging in }
+     * @returns {Promise<Object>} { url, state, expiresIn (ms) }
+     * @throws {ValidationError} unknown or disabled provider
+     */
+    async begin(db, providerId, { redirectUri, returnTo = '', linkUid = null }) {
+      const provider = (await load(getPool(), db, providerId))[0];
+      if (!provider || !provider.enabled) throw new ValidationError('Поставщик входа не найден');
+      const doc = await discover(provider.issuer);
+
+      const time = now();
+      for (const [key, login] of pending) {
+        if (login.expires <= time || pending.size >= MAX_PENDING) pending.delete(key);
+      }
+      const state = base64url(crypto.randomBytes(24));
+      const nonce = base64url(crypto.randomBytes(24));
+      const verifier = base64url(crypto.randomBytes(32));
+      pending.set(state, {
+        db, providerId: provider.id, verifier, nonce, redirectUri, returnTo, linkUid, expires: time + LOGIN_TTL,
+      });
+
+      const url = new URL(doc.authorization_endpoint);
+      url.search = new URLSearchParams({
+        ...Object.fromEntries(url.searchParams),
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        scope: provider.scopes.split(' ').includes('openid') ? provider.scopes : `openid ${provider.scopes}`,
+        state,
+        nonce,
+        code_challenge: pkceChallenge(verifier),
+        code_challenge_method: 'S256',
+      }).toString();
+      return { url: url.toString(), state, expiresIn: LOGIN_TTL };
+    },
+
+    /**
+     * Finish a login: exchange the code, check the ID token, find, link or
+     * create the user.
+     *
+     * @param {string} db
+     * @param {Object} callback - { state, code, browserState: the state kept by the browser }
+     * @returns {Promise<Object>} { uid, login, created, linked?, provider: { id, name }, returnTo }
+     * @throws {AuthenticationError}
+     */
+    async complete(db, { state, code, browserState }) {
+      const login = pending.get(String(state || ''));
+      pending.delete(String(state || ''));
+      if (!login || login.db !== db || login.expires <= now()) {
+        throw new AuthenticationError('Время входа истекло, начните заново');
+      }
+      if (browserState !== state) {
+        logger.warn('[OIDC] Callback from another browser', { db, provider: login.providerId });
+        throw new AuthenticationError('Вход начат в другом браузере, начните заново');
+      }
+      if (!code) throw new AuthenticationError('Поставщик входа не вернул код авторизации');
+
+      const pool = getPool();
+      const provider = (await load(pool, db, login.providerId))[0];
+      if (!provider || !provider.enabled) throw new AuthenticationError('Поставщик входа отключён');
+      const doc = await discover(provider.issuer);
+      const tokens = await exchangeCode(doc, provider, { code, verifier: login.verifier, redirectUri: login.redirectUri });
+      if (!tokens.id_token) throw new AuthenticationError('Поставщик входа не вернул ID-токен');
+      const claims = await verifyIdToken(tokens.id_token, { doc, clientId: provider.clientId, nonce: login.nonce });
+
+      if (provider.loginClaim === 'email' && claims.email_verified === false) {
+        throw new AuthenticationError('Адрес почты не подтверждён у поставщика входа');
+      }
+      let name = String(claims[provider.loginClaim] ?? '').trim();
+      if (name.includes('@')) name = name.toLowerCase();
+      if (!name) throw new AuthenticationError(`ID-токен не содержит ${provider.loginClaim}`);
+      if (!claims.sub) throw new AuthenticationError('ID-токен не содержит sub');
+
+      const user = await findOrCreateUser(pool, db, provider, name, claims, login.linkUid);
+      return { ...user, login: name, provider: { id: provider.id, name: provider.name }, returnTo: login.returnTo };
+    },
+  };
+}
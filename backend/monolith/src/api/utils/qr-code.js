@@ -0,0 +1,298 @@
+/**
+ * Minimal QR code encoder (ISO/IEC 18004): byte mode, error correction
+ * level M, versions 1–10 — enough for otpauth:// provisioning URIs
+ * (up to 213 bytes). The result is an SVG drawn on the server, so the
+ * TOTP secret never leaves it for a third-party QR service.
+ */
+
+/** Error correction codewords per block and block count, level M, by version */
+const ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ECC_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+/** Format bits of level M */
+const ECC_FORMAT_BITS = 0;
+
+/** Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1 */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+/** Modules available for data and error correction in a version */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version) {
+  return Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[version] * ECC_BLOCKS[version];
+}
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+/** Data codewords of the payload: mode, length, bytes, terminator and padding */
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+
+  const capacity = dataCodewords(version) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+/** Split into blocks, add error correction and interleave */
+function addErrorCorrection(data, version) {
+  const numBlocks = ECC_BLOCKS[version];
+  const eccLength = ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap the finders
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((py, i) => positions.forEach((px, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Format information: level, mask and BCH(15,5)
+  const format = (ECC_FORMAT_BITS << 3) | mask;
+  let rem = format;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const formatBits = ((format << 10) | rem) ^ 0x5412;
+  const bit = (value, i) => ((value >>> i) & 1) !== 0;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(formatBits, i));
+  set(8, 7, bit(formatBits, 6));
+  set(8, 8, bit(formatBits, 7));
+  set(7, 8, bit(formatBits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(formatBits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(formatBits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(formatBits, i));
+  set(8, size - 8, true);
+
+  // Version information: BCH(18,6), versions 7 and up
+  if (version >= 7) {
+    let vrem = version;
+    for (let i = 0; i < 12; i++) vrem = (vrem << 1) ^ ((vrem >>> 11) * 0x1f25);
+    const versionBits = (version << 12) | vrem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, bit(versionBits, i));
+      set(b, a, bit(versionBits, i));
+    }
+  }
+
+  // Codewords in the zigzag order, masked
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (isFunction[y][x]) continue;
+        let dark = false;
+        if (i < codewords.length * 8) {
+          dark = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+        modules[y][x] = dark !== MASKS[mask](x, y);
+      }
+    }
+  }
+  return modules;
+}
+
+/** Penalty for runs, 2×2 blocks and dark/light imbalance (rules 1, 2 and 4) */
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const runs = (get) => {
+    for (let a = 0; a < size; a++) {
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && get(a, b) === get(a, b - 1)) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+    }
+  };
+  runs((y, x) => modules[y][x]);
+  runs((x, y) => modules[y][x]);
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+  return score;
+}
+
+/**
+ * Encode text into a QR matrix.
+ *
+ * @param {string} text
+ * @returns {boolean[][]} rows of modules, true = dark
+ * @throws {Error} when the text does not fit version 10
+ */
+export function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  let version = 1;
+  while (version <= MAX_VERSION && bytes.length + (version < 10 ? 2 : 3) > dataCodewords(version)) version++;
+  if (version > MAX_VERSION) throw new Error('Text is too long for a QR code');
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let best = null;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const modules = buildMatrix(version, codewords, mask);
+    const score = penalty(modules);
+    if (score < bestScore) {
+      best = modules;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * QR code as an SVG document (4-module quiet zone).
+ *
+ * @param {string} text
+ * @param {number} [scale=4] - pixels per module
+ * @returns {string}
+ */
+export function qrSvg(text, scale = 4) {
+  const modules = encodeQr(text);
+  const size = modules.length + 8;
+  let path = '';
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * scale}" height="${size * scale}" shape-rendering="crispEdges">`
+    + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
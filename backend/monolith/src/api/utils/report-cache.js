@@ -0,0 +1,340 @@
+/**
+ * Report result cache.
+ *
+ * /:db/report/:id recompiles the report definition and re-runs its SQL
+ * (including [report_name] subqueries) on every call. The cache keeps both:
+ * compiled definitions per report, and executed results keyed by report,
+ * filters, paging and the caller's grant fingerprint.
+ *
+ * Every entry is tagged with the types the report reads. A change event from
+ * the legacy change tracker drops only the entries tagged with the changed
+ * type, so a busy dashboard keeps its other reports warm; changes to report
+ * definitions or to the structure (_d_* actions) drop the whole database.
+ * Writes that bypass the tracker are covered by the TTL.
+ *
+ * Per-report TTLs are ordinary objects of the "Кэш отчёта" type (report id or
+ * name + lifetime in seconds; 0 disables caching of that report).
+ */
+
+import crypto from 'crypto';
+import { BASE, ensureRootType, ensureFields, findRootType, loadObjects, setValue, insert, nextOrder } from './legacy-schema.js';
+
+export const REPORT_CACHE_TYPE_NAME = 'Кэш отчёта';
+
+/** Cache settings requisites: key → [name, base type] */
+const CACHE_FIELDS = {
+  ttl: ['Время жизни кэша, с', BASE.NUMBER],
+};
+
+/** Placeholders that differ per request: such reports are never cached */
+const VOLATILE_PATTERN = /\[(NOW|REMOTE_ADDR|REMOTE_HOST|HTTP_USER_AGENT|HTTP_REFERER)\]|%(IP|TIME|DATETIME)%|\b(NOW|SYSDATE|RAND|UUID|CURTIME|CURRENT_TIME|CURRENT_TIMESTAMP|UNIX_TIMESTAMP)\s*\(\s*\)|\bCURRENT_TIMESTAMP\b/i;
+
+/** Placeholders that change once a day: the date becomes part of the key */
+const DAILY_PATTERN = /\[(TODAY|YESTERDAY|TOMORROW|WEEK_AGO|MONTH_AGO|MONTH_PLUS)\]|%DATE%|\b(CURDATE|CURRENT_DATE)\b/i;
+
+/**
+ * How a report may be cached, judging by its formulas, stored WHERE and filters.
+ *
+ * @param {string[]} texts - SQL fragments and filter values of the request
+ * @returns {'none'|'daily'|'always'}
+ */
+export function reportCacheMode(texts) {
+  const text = texts.filter(Boolean).join('\n');
+  if (VOLATILE_PATTERN.test(text)) return 'none';
+  if (DAILY_PATTERN.test(text)) return 'daily';
+  return 'always';
+}
+
+/** Stable JSON: object keys sorted, so equal filters give equal keys */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of anything that affects a report result.
+ * @param {Object} parts - filters, paging, user context, grants, ...
+ * @returns {string}
+ */
+export function reportCacheKey(parts) {
+  return crypto.createHash('sha1').update(stableStringify(parts)).digest('hex');
+}
+
+/**
+ * Create a report cache.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.defaultTtl=300] - seconds; 0 disables the cache
+ * @param {number} [options.maxEntries=500] - results kept, least recently used are evicted
+ * @param {number} [options.maxRows=20000] - larger results are not cached
+ * @param {number[]} [options.definitionTypes] - types of report definition rows
+ *   (report, columns, joins, parameters); changing them drops the database
+ * @param {Function} [options.now] - clock, ms
+ */
+export function createReportCache({
+  defaultTtl = 300,
+  maxEntries = 500,
+  maxRows = 20000,
+  definitionTypes = [],
+  now = () => Date.now(),
+} = {}) {
+  const results = new Map();       // `${db}:${key}` → entry
+  const definitions = new Map();   // `${db}:${reportId}` → { report, tags, expires }
+  const reports = new Map();       // `${db}:${reportId}` → per-report counters
+  const definitionTypeSet = new Set(definitionTypes.map(Number));
+  const totals = { hits: 0, misses: 0, bypasses: 0, evictions: 0, invalidations: 0 };
+
+  function counters(db, reportId) {
+    const id = `${db}:${reportId}`;
+    if (!reports.has(id)) {
+      reports.set(id, { db, reportId, hits: 0, misses: 0, bypasses: 0, computeMs: 0 });
+    }
+    return reports.get(id);
+  }
+
+  function drop(id) {
+    results.delete(id);
+    totals.invalidations++;
+  }
+
+  const cache = {
+    get enabled() {
+      return defaultTtl > 0;
+    },
+    defaultTtl,
+
+    /**
+     * Cached result or undefined. Counts a hit or a miss.
+     */
+    get(db, reportId, key) {
+      const id = `${db}:${key}`;
+      const entry = results.get(id);
+      const stat = counters(db, reportId);
+      if (!entry || entry.expires <= now()) {
+        if (entry) results.delete(id);
+        stat.misses++;
+        totals.misses++;
+        return undefined;
+      }
+      // Move to the end: Map order is the LRU order
+      results.delete(id);
+      results.set(id, entry);
+      stat.hits++;
+      totals.hits++;
+      return entry.value;
+    },
+
+    /**
+     * Store a result.
+     *
+     * @param {string} db
+     * @param {number} reportId
+     * @param {string} key - reportCacheKey()
+     * @param {Object} value - executeReport() result
+     * @param {Object} options
+     * @param {Iterable<number>} options.tags - types the report reads
+     * @param {number} [options.ttl] - seconds
+     * @param {number} [options.ms] - time spent computing the result
+     * @returns {boolean} stored
+     */
+    set(db, reportId, key, value, { tags, ttl = defaultTtl, ms = 0 }) {
+      const stat = counters(db, reportId);
+      stat.computeMs += ms;
+      if (!(ttl > 0) || (value?.data?.length ?? 0) > maxRows) return false;
+
+      const id = `${db}:${key}`;
+      results.delete(id);
+      results.set(id, { db, reportId, value, tags: new Set([...tags].map(Number)), expires: now() + ttl * 1000 });
+      while (results.size > maxEntries) {
+        results.delete(results.keys().next().value);
+        totals.evictions++;
+      }
+      return true;
+    },
+
+    /** Count a request that skipped the cache */
+    bypass(db, reportId) {
+      counters(db, reportId).bypasses++;
+      totals.bypasses++;
+    },
+
+    /** Compiled report definition with its type tags, or undefined */
+    getDefinition(db, reportId) {
+      const entry = definitions.get(`${db}:${reportId}`);
+      if (!entry || entry.expires <= now()) return undefined;
+      return entry;
+    },
+
+    setDefinition(db, reportId, report, tags) {
+      if (!(defaultTtl > 0)) return;
+      definitions.set(`${db}:${reportId}`, {
+        report, tags: new Set([...tags].map(Number)), expires: now() + defaultTtl * 1000,
+      });
+    },
+
+    /**
+     * Drop results that read any of the given types.
+     * @returns {number} entries dropped
+     */
+    invalidateTypes(db, typeIds) {
+      const changed = new Set([...typeIds].map(Number));
+      let count = 0;
+      for (const [id, entry] of results) {
+        if (entry.db === db && [...entry.tags].some(t => changed.has(t))) {
+          drop(id);
+          count++;
+        }
+      }
+      // Definitions tagged with a changed type keep working; only results go stale
+      return count;
+    },
+
+    /** Drop the results and the definition of one report */
+    invalidateReport(db, reportId) {
+      definitions.delete(`${db}:${reportId}`);
+      let count = 0;
+      for (const [id, entry] of results) {
+        if (entry.db === db && entry.reportId === reportId) {
+          drop(id);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    /** Drop everything cached for a database (or for all of them) */
+    clear(db = null) {
+      let count = 0;
+      for (const [id, entry] of results) {
+        if (!db || entry.db === db) {
+          drop(id);
+          count++;
+        }
+      }
+      for (const id of definitions.keys()) {
+        if (!db || id.startsWith(`${db}:`)) definitions.delete(id);
+      }
+      return count;
+    },
+
+    /**
+     * onLegacyChange() listener.
+     * @param {Object} change - { db, source, targetType, oldValue, newValue }
+     */
+    handleChange(change) {
+      if (!change?.db) return;
+      if (String(change.source || '').startsWith('_d_') || definitionTypeSet.has(Number(change.targetType))) {
+        cache.clear(change.db);
+        return;
+      }
+      const types = [change.targetType, change.oldValue?.typeId, change.newValue?.typeId]
+        .filter(t => t != null);
+      cache.invalidateTypes(change.db, types);
+    },
+
+    /**
+     * Counters for the admin info page.
+     *
+     * @param {string} [db] - only this database
+     * @returns {Object} { enabled, defaultTtl, entries, hits, misses, bypasses,
+     *   evictions, invalidations, hitRate, reports: [{ reportId, entries, hits,
+     *   misses, bypasses, avgMs }] }
+     */
+    stats(db = null) {
+      const entriesByReport = new Map();
+      let entries = 0;
+      for (const entry of results.values()) {
+        if (db && entry.db !== db) continue;
+        entries++;
+        const id = `${entry.db}:${entry.reportId}`;
+        entriesByReport.set(id, (entriesByReport.get(id) || 0) + 1);
+      }
+
+      const list = [...reports.entries()]
+        .filter(([, r]) => !db || r.db === db)
+        .map(([id, r]) => ({
+          ...(db ? {} : { db: r.db }),
+          reportId: r.reportId,
+          entries: entriesByReport.get(id) || 0,
+          hits: r.hits,
+          misses: r.misses,
+          bypasses: r.bypasses,
+          avgMs: r.misses ? Math.round(r.computeMs / r.misses) : 0,
+        }))
+        .sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses));
+
+      const sum = (field) => list.reduce((s, r) => s + r[field], 0);
+      const hits = db ? sum('hits') : totals.hits;
+      const misses = db ? sum('misses') : totals.misses;
+      return {
+        enabled: defaultTtl > 0,
+        defaultTtl,
+        maxEntries,
+        entries,
+        hits,
+        misses,
+        bypasses: db ? sum('bypasses') : totals.bypasses,
+        evictions: totals.evictions,
+        invalidations: totals.invalidations,
+        hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : 0,
+        reports: list,
+      };
+    },
+  };
+
+  return cache;
+}
+
+// ============================================================================
+// Per-report TTL settings
+// ============================================================================
+
+/**
+ * Provision the cache settings type. Objects are named by report id or name.
+ * @returns {Promise<Object>} { typeId, fields }
+ */
+export async function ensureReportCacheType(pool, db) {
+  const typeId = await ensureRootType(pool, db, REPORT_CACHE_TYPE_NAME, BASE.SHORT);
+  const fields = await ensureFields(pool, db, typeId, CACHE_FIELDS);
+  return { typeId, fields };
+}
+
+/**
+ * Read per-report TTLs without provisioning anything.
+ * @returns {Promise<Map<string, number>>} report id or name → seconds
+ */
+export async function loadReportCacheTtls(pool, db) {
+  const ttls = new Map();
+  if (!(await findRootType(pool, db, REPORT_CACHE_TYPE_NAME, BASE.SHORT))) return ttls;
+
+  const { typeId, fields } = await ensureReportCacheType(pool, db);
+  for (const { name, values } of await loadObjects(pool, db, typeId, fields)) {
+    const ttl = parseInt(values.ttl, 10);
+    if (String(name || '').trim() && ttl >= 0) ttls.set(String(name).trim(), ttl);
+  }
+  return ttls;
+}
+
+/**
+ * Store the TTL of a report (creates the settings object if needed).
+ *
+ * @param {Object} pool
+ * @param {string} db
+ * @param {number} reportId
+ * @param {number} ttl - seconds, 0 disables caching
+ */
+export async function saveReportCacheTtl(pool, db, reportId, ttl) {
+  const { typeId, fields } = await ensureReportCacheType(pool, db);
+  const [rows] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE t = ? AND up = 1 AND val = ? LIMIT 1`,
+    [typeId, String(reportId)]
+  );
+  const objectId = rows.length > 0
+    ? Number(rows[0].id)
+    : await insert(pool, db, 1, await nextOrder(pool, db, 1), typeId, String(reportId));
+  await setValue(pool, db, objectId, fields.ttl, String(ttl));
+  return objectId;
+}
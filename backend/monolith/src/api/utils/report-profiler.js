@@ -0,0 +1,260 @@
+/**
+ * Report query profiler.
+ *
+ * Helpers behind /:db/report/:id?EXPLAIN: turn the EXPLAIN output of the
+ * generated report SQL into a per-join table, estimate the rows the main query
+ * reads, and derive suggestions from the plan, the table indexes and the
+ * timings that executeReport() recorded.
+ *
+ * Every report joins the database table to itself once per column
+ * (child.up = main.id AND child.t = requisite), so almost every problem shows
+ * up as a join that does not use the (up, t) index.
+ */
+
+/** A join reading more rows than this without an index is worth a warning */
+const SCAN_ROWS_WARNING = 1000;
+
+/** Estimated rows of the main query above which filters are suggested */
+const LARGE_ESTIMATE = 1_000_000;
+
+/**
+ * EXPLAIN statement for the SQL of a report.
+ *
+ * @param {string} sql - SELECT statement
+ * @param {'mysql'|'sqlite'} [dialect='mysql']
+ * @returns {string}
+ */
+export function explainStatement(sql, dialect = 'mysql') {
+  return dialect === 'sqlite' ? `EXPLAIN QUERY PLAN ${sql}` : `EXPLAIN ${sql}`;
+}
+
+/**
+ * Bring EXPLAIN rows of either driver to one shape.
+ *
+ * MySQL rows have one entry per table access; SQLite's EXPLAIN QUERY PLAN
+ * only has a textual detail ("SCAN a", "SEARCH c12 USING INDEX ..."), which is
+ * mapped onto the MySQL access types (ALL / ref / eq_ref).
+ *
+ * @param {Object[]} rows - EXPLAIN result
+ * @param {'mysql'|'sqlite'} [dialect='mysql']
+ * @returns {Object[]} [{ id, selectType, table, type, possibleKeys, key, ref,
+ *   rows, filtered, extra }]
+ */
+export function normalizePlan(rows, dialect = 'mysql') {
+  if (dialect === 'sqlite') {
+    return rows.map((row) => {
+      const detail = String(row.detail || '');
+      const match = /^(SCAN|SEARCH)\s+(?:TABLE\s+)?(?:\S+\s+AS\s+)?(\S+)(?:\s+USING\s+(?:COVERING\s+)?(?:INTEGER\s+PRIMARY\s+KEY|INDEX\s+(\S+)))?/i.exec(detail);
+      const search = match && match[1].toUpperCase() === 'SEARCH';
+      const key = match ? (match[3] || (search ? 'PRIMARY' : null)) : null;
+      return {
+        id: row.id ?? null,
+        selectType: /SUBQUERY/i.test(detail) ? 'SUBQUERY' : 'SIMPLE',
+        table: match ? match[2] : null,
+        type: match ? (search ? (key === 'PRIMARY' ? 'eq_ref' : 'ref') : 'ALL') : null,
+        possibleKeys: null,
+        key,
+        ref: null,
+        rows: null,
+        filtered: null,
+        extra: detail,
+      };
+    });
+  }
+
+  return rows.map(row => ({
+    id: row.id ?? null,
+    selectType: row.select_type || 'SIMPLE',
+    table: row.table || null,
+    type: row.type || null,
+    possibleKeys: row.possible_keys || null,
+    key: row.key || null,
+    ref: row.ref || null,
+    rows: row.rows == null ? null : Number(row.rows),
+    filtered: row.filtered == null ? null : Number(row.filtered),
+    extra: row.Extra || row.extra || '',
+  }));
+}
+
+/**
+ * Names of the tables a report query joins, by alias.
+ *
+ * @param {Object} report - compiled report (header, columns, joins)
+ * @returns {Map<string, string>} alias → report/column/join name
+ */
+export function reportAliases(report) {
+  const aliases = new Map([['a', report.header || String(report.id || '')]]);
+  for (const col of report.columns || []) {
+    if (col.alias && !col.isMainCol) aliases.set(col.alias, col.name);
+  }
+  (report.joins || []).forEach((join, i) => {
+    aliases.set(`rj${i}`, join.name || `#${join.typeId}`);
+  });
+  return aliases;
+}
+
+/**
+ * One line per joined table: what it is, how it is read and how many rows.
+ *
+ * @param {Object[]} plan - normalizePlan() result
+ * @param {Map<string, string>} aliases - reportAliases() result
+ * @returns {Object[]} [{ alias, name, type, key, rows, filtered, estimate, extra }]
+ */
+export function describeJoins(plan, aliases) {
+  return plan.map(step => ({
+    alias: step.table,
+    name: aliases.get(step.table) ?? step.table,
+    selectType: step.selectType,
+    type: step.type,
+    key: step.key,
+    rows: step.rows,
+    filtered: step.filtered,
+    estimate: step.rows == null ? null : Math.max(1, Math.round(step.rows * (step.filtered ?? 100) / 100)),
+    extra: step.extra,
+  }));
+}
+
+/**
+ * Rows the main query is expected to examine: the product of the per-join
+ * estimates of the outer SELECT (subqueries are reported separately).
+ *
+ * @param {Object[]} plan - normalizePlan() result
+ * @returns {number|null} null when the driver gives no estimates
+ */
+export function estimateRows(plan) {
+  const outer = plan.filter(s => s.rows != null && /^(SIMPLE|PRIMARY)$/i.test(s.selectType));
+  if (outer.length === 0) return null;
+  return outer.reduce((product, s) => product * Math.max(1, s.rows * (s.filtered ?? 100) / 100), 1);
+}
+
+/**
+ * Indexes of a database table.
+ *
+ * @param {Object} pool
+ * @param {string} db - table name
+ * @param {'mysql'|'sqlite'} [dialect='mysql']
+ * @returns {Promise<Object[]>} [{ name, columns: string[] }]
+ */
+export async function loadTableIndexes(pool, db, dialect = 'mysql') {
+  const indexes = new Map();
+  if (dialect === 'sqlite') {
+    const [rows] = await pool.query(
+      `SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ?`, [db]
+    );
+    for (const row of rows) {
+      const cols = /\(([^)]*)\)\s*$/.exec(row.sql || '');
+      if (!cols) continue;
+      indexes.set(row.name, cols[1].split(',').map(c => c.trim().replace(/["`]/g, '').split(/\s+/)[0]));
+    }
+    // The rowid is the primary key of every table
+    indexes.set('PRIMARY', ['id']);
+  } else {
+    const [rows] = await pool.query(`SHOW INDEX FROM \`${db}\``);
+    for (const row of rows) {
+      if (!indexes.has(row.Key_name)) indexes.set(row.Key_name, []);
+      indexes.get(row.Key_name)[Number(row.Seq_in_index) - 1] = row.Column_name;
+    }
+  }
+  return [...indexes].map(([name, columns]) => ({ name, columns: columns.filter(Boolean) }));
+}
+
+/** Some index starts with the given columns */
+function hasIndexOn(indexes, columns) {
+  return indexes.some(ix => columns.every((c, i) => String(ix.columns[i] || '').toLowerCase() === c));
+}
+
+/**
+ * Suggestions for a profiled report.
+ *
+ * @param {Object} input
+ * @param {string} input.db
+ * @param {Object[]} input.joins - describeJoins() result
+ * @param {Object[]} [input.indexes] - loadTableIndexes() result; unknown when null
+ * @param {number|null} [input.estimatedRows]
+ * @param {Object} [input.timings] - { mainQuery, postProcess, subqueries } in ms
+ * @param {Object[]} [input.abnColumns] - columns post-processed by abn_* functions
+ * @returns {Object[]} [{ code, level: 'error'|'warning'|'info', message, sql? }]
+ */
+export function planSuggestions({ db, joins, indexes = null, estimatedRows = null, timings = {}, abnColumns = [] }) {
+  const suggestions = [];
+
+  if (indexes) {
+    if (!hasIndexOn(indexes, ['up', 't'])) {
+      suggestions.push({
+        code: 'missing_index_up_t',
+        level: 'error',
+        message: `Нет индекса (up, t) на таблице ${db}: каждая колонка отчёта соединяется по этой паре и читает таблицу целиком.`,
+        sql: `ALTER TABLE \`${db}\` ADD INDEX idx_up_t (up, t)`,
+      });
+    }
+    if (!hasIndexOn(indexes, ['t'])) {
+      suggestions.push({
+        code: 'missing_index_t',
+        level: 'warning',
+        message: `Нет индекса по t на таблице ${db}: выбор объектов типа отчёта требует полного просмотра.`,
+        sql: `ALTER TABLE \`${db}\` ADD INDEX idx_t (t)`,
+      });
+    }
+  }
+
+  for (const join of joins) {
+    if (join.type === 'ALL' && (join.rows == null || join.rows > SCAN_ROWS_WARNING)) {
+      suggestions.push({
+        code: 'full_scan',
+        level: 'warning',
+        message: `Полный просмотр таблицы для «${join.name}»${join.rows != null ? ` (~${join.rows} строк)` : ''}: соединение не использует индекс.`,
+        alias: join.alias,
+      });
+    }
+    if (/DEPENDENT SUBQUERY|CORRELATED/i.test(`${join.selectType} ${join.extra}`)) {
+      suggestions.push({
+        code: 'dependent_subquery',
+        level: 'warning',
+        message: `Подзапрос для «${join.name}» выполняется для каждой строки отчёта; вынесите его в отдельную колонку-соединение или фильтр.`,
+        alias: join.alias,
+      });
+    }
+  }
+
+  const extras = joins.map(j => j.extra || '').join('\n');
+  if (/Using filesort|USE TEMP B-TREE FOR ORDER BY/i.test(extras)) {
+    suggestions.push({
+      code: 'filesort',
+      level: 'info',
+      message: 'Сортировка выполняется без индекса (filesort): при большом числе строк сузьте выборку фильтрами или уберите сортировку по вычисляемой колонке.',
+    });
+  }
+  if (/Using temporary|USE TEMP B-TREE FOR (GROUP BY|DISTINCT)/i.test(extras)) {
+    suggestions.push({
+      code: 'temporary',
+      level: 'info',
+      message: 'Группировка строится во временной таблице: агрегаты по неотфильтрованному типу обходятся дорого.',
+    });
+  }
+
+  if (estimatedRows != null && estimatedRows > LARGE_ESTIMATE) {
+    suggestions.push({
+      code: 'large_estimate',
+      level: 'warning',
+      message: `Оценка числа просматриваемых строк — ${Math.round(estimatedRows).toLocaleString('ru-RU')}: добавьте фильтр или условие WHERE.`,
+    });
+  }
+
+  const { mainQuery = 0, postProcess = 0, subqueries = 0 } = timings;
+  if (abnColumns.length > 0 && postProcess > 50 && postProcess > mainQuery) {
+    suggestions.push({
+      code: 'slow_post_processing',
+      level: 'info',
+      message: `Постобработка abn_* (${abnColumns.map(c => c.name).join(', ')}) занимает больше времени, чем сам запрос.`,
+    });
+  }
+  if (subqueries > 50 && subqueries > mainQuery) {
+    suggestions.push({
+      code: 'slow_subqueries',
+      level: 'info',
+      message: 'Сборка подзапросов [отчёт] занимает больше времени, чем основной запрос: упростите вложенные отчёты.',
+    });
+  }
+
+  return suggestions;
+}
@@ -0,0 +1,501 @@
+/**
+ * Scheduled report delivery.
+ *
+ * Schedules are ordinary Integram objects of the "Расписание отчёта" type
+ * (report, cron expression, recipients, format, filter parameters, owner).
+ * The type and its "Запуск расписания" run history table are provisioned on
+ * demand by ensureScheduleTypes(), so every database gets the same layout and
+ * schedules are edited in the regular object editor.
+ *
+ * createReportScheduler() polls all databases once a minute, runs due
+ * schedules through the injected runReport() (which compiles and executes the
+ * report under the owner's grants) and mails the file via sendMail(). Every
+ * run is recorded as a history object; failures are mailed to the owner.
+ *
+ * The owner is an ordinary requisite, so the scheduler's handleChange()
+ * records who last changed each schedule from the change stream, and a
+ * schedule only runs when that user is its owner or an administrator.
+ */
+
+import {
+  BASE,
+  insert,
+  nextOrder,
+  findRootType,
+  ensureRootType,
+  ensureRequisite,
+  ensureFields,
+  setValue,
+  loadObjects,
+} from './legacy-schema.js';
+
+export const SCHEDULE_TYPE_NAME = 'Расписание отчёта';
+export const RUN_TYPE_NAME = 'Запуск расписания';
+
+/** Schedule requisites: key → [name, base type] */
+const SCHEDULE_FIELDS = {
+  report: ['Отчёт', BASE.SHORT],
+  cron: ['Расписание (cron)', BASE.SHORT],
+  recipients: ['Получатели', BASE.CHARS],
+  format: ['Формат', BASE.SHORT],
+  params: ['Параметры', BASE.CHARS],
+  owner: ['Владелец', BASE.SHORT],
+  editor: ['Изменил', BASE.SHORT],
+  active: ['Активно', BASE.BOOLEAN],
+  lastRun: ['Последний запуск', BASE.DATETIME],
+  lastStatus: ['Последний результат', BASE.CHARS],
+};
+
+/** Run history requisites */
+const RUN_FIELDS = {
+  status: ['Статус', BASE.SHORT],
+  rows: ['Строк', BASE.NUMBER],
+  duration: ['Длительность, мс', BASE.NUMBER],
+  error: ['Ошибка', BASE.MEMO],
+};
+
+export const SCHEDULE_FORMATS = ['csv', 'xlsx', 'ods', 'pdf'];
+
+/** Run history entries kept per schedule */
+const RUN_HISTORY_LIMIT = 100;
+
+// ============================================================================
+// Cron expressions
+// ============================================================================
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    let from = min;
+    let to = max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2], 10);
+      // "5/15" means "from 5 to the end, every 15"
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from);
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month
+ * day-of-week) or one of the @daily/@hourly/... macros.
+ *
+ * @param {string} expression
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } Sets plus
+ *   anyDayOfMonth / anyDayOfWeek flags
+ * @throws {Error} on a malformed expression
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const text = CRON_MACROS[source.toLowerCase()] || source;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${source}`);
+  }
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.name] = parseCronField(parts[i], field);
+  });
+  // 7 is Sunday as well
+  if (cron.dayOfWeek.delete(7)) cron.dayOfWeek.add(0);
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+  return cron;
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  // Classic cron: when both day fields are restricted, either one matches
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Next time (server local time, whole minutes) strictly after `after` that
+ * matches the expression.
+ *
+ * @param {string|Object} cron - expression or parseCron() result
+ * @param {Date} [after]
+ * @returns {Date|null} null when nothing matches within five years
+ */
+export function nextCronRun(cron, after = new Date()) {
+  const spec = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + 5 * 366 * 24 * 3600 * 1000;
+  while (date.getTime() <= limit) {
+    if (!spec.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(spec, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!spec.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!spec.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+// ============================================================================
+// Schedule storage
+// ============================================================================
+
+/**
+ * Provision the schedule type, its requisites and the run history table.
+ * Idempotent: existing rows are looked up by name and base type.
+ *
+ * @param {Object} pool - mysql2-compatible pool
+ * @param {string} db - database (table) name
+ * @returns {Promise<Object>} { scheduleTypeId, runTypeId, fields, runFields }
+ *   where fields/runFields map keys to requisite ids
+ */
+export async function ensureScheduleTypes(pool, db) {
+  const scheduleTypeId = await ensureRootType(pool, db, SCHEDULE_TYPE_NAME, BASE.SHORT);
+  const fields = await ensureFields(pool, db, scheduleTypeId, SCHEDULE_FIELDS);
+
+  // Run history is a subordinate table: its objects hang off the schedule
+  const runTypeId = await ensureRootType(pool, db, RUN_TYPE_NAME, BASE.DATETIME);
+  const runFields = await ensureFields(pool, db, runTypeId, RUN_FIELDS);
+  await ensureRequisite(pool, db, scheduleTypeId, runTypeId, RUN_TYPE_NAME);
+
+  return { scheduleTypeId, runTypeId, fields, runFields };
+}
+
+/**
+ * Look up the provisioned types without creating anything.
+ * @returns {Promise<Object|null>} same shape as ensureScheduleTypes() or null
+ */
+export async function findScheduleTypes(pool, db) {
+  if (!(await findRootType(pool, db, SCHEDULE_TYPE_NAME, BASE.SHORT))) return null;
+  return ensureScheduleTypes(pool, db);
+}
+
+function parseRecipients(value) {
+  return String(value || '')
+    .split(/[,;\s]+/)
+    .map(s => s.trim())
+    .filter(s => /^[^@\s]+@[^@\s]+$/.test(s));
+}
+
+/**
+ * Read schedule objects of a database.
+ *
+ * @param {Object} pool
+ * @param {string} db
+ * @param {Object} types - ensureScheduleTypes() result
+ * @param {number} [id] - a single schedule
+ * @returns {Promise<Object[]>} [{ id, name, report, cron, recipients, format,
+ *   params, owner, editor, active, lastRun }]
+ */
+export async function loadSchedules(pool, db, types, id = null) {
+  const objects = await loadObjects(pool, db, types.scheduleTypeId, types.fields, id);
+
+  return objects.map(({ id: objectId, name, values: v }) => {
+    const format = String(v.format || 'csv').trim().toLowerCase();
+    const lastRun = parseInt(v.lastRun, 10);
+    return {
+      id: objectId,
+      name,
+      report: String(v.report || '').trim(),
+      cron: String(v.cron || '').trim(),
+      recipients: parseRecipients(v.recipients),
+      format: SCHEDULE_FORMATS.includes(format) ? format : 'csv',
+      params: String(v.params || '').trim(),
+      owner: String(v.owner || '').trim(),
+      editor: String(v.editor || '').trim(),
+      active: v.active === '1' || v.active === 1,
+      lastRun: lastRun > 0 ? new Date(lastRun * 1000) : null,
+    };
+  });
+}
+
+async function recordRun(pool, db, types, schedule, run) {
+  const startedAt = String(Math.floor(run.startedAt.getTime() / 1000));
+  const runId = await insert(pool, db, schedule.id, await nextOrder(pool, db, schedule.id), types.runTypeId, startedAt);
+  const { runFields } = types;
+  await insert(pool, db, runId, 1, runFields.status, run.status);
+  await insert(pool, db, runId, 2, runFields.rows, String(run.rows ?? 0));
+  await insert(pool, db, runId, 3, runFields.duration, String(run.duration));
+  if (run.error) await insert(pool, db, runId, 4, runFields.error, run.error);
+
+  await setValue(pool, db, schedule.id, types.fields.lastRun, startedAt);
+  await setValue(pool, db, schedule.id, types.fields.lastStatus,
+    run.error ? `${run.status}: ${run.error}`.slice(0, 250) : run.status);
+
+  // Keep the history bounded: drop the oldest runs with their requisites
+  const [old] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE up = ? AND t = ? ORDER BY id DESC LIMIT 1000000 OFFSET ${RUN_HISTORY_LIMIT}`,
+    [schedule.id, types.runTypeId]
+  );
+  if (old.length > 0) {
+    const oldIds = old.map(r => r.id);
+    const marks = oldIds.map(() => '?').join(',');
+    await pool.query(`DELETE FROM \`${db}\` WHERE up IN (${marks})`, oldIds);
+    await pool.query(`DELETE FROM \`${db}\` WHERE id IN (${marks})`, oldIds);
+  }
+  return runId;
+}
+
+// ============================================================================
+// Scheduler
+// ============================================================================
+
+function reportParams(query) {
+  const params = {};
+  for (const [key, value] of new URLSearchParams(query || '')) params[key] = value;
+  return params;
+}
+
+/**
+ * Create the scheduler.
+ *
+ * @param {Object} options
+ * @param {Function} options.getPool - () => pool
+ * @param {Function} options.runReport - async (db, schedule, params) =>
+ *   { filename, content: Buffer, contentType, rows, reportName }; runs the
+ *   report under schedule.owner's grants and renders schedule.format
+ * @param {Function} options.sendMail - sendMail() of legacy-compat
+ * @param {Function} [options.listDatabases] - async (pool) => [db]; defaults
+ *   to the databases registered in `my`
+ * @param {Function} [options.getOwnerEmail] - async (db, username) => email
+ * @param {Function} [options.isAdmin] - async (db, username) => whether the
+ *   user may edit the structure, i.e. run any schedule
+ * @param {Object} [options.logger]
+ * @param {number} [options.interval=60000] - polling period, ms
+ * @returns {Object} { start, stop, tick, runSchedule, handleChange }
+ */
+export function createReportScheduler({
+  getPool,
+  runReport,
+  sendMail,
+  listDatabases = defaultListDatabases,
+  getOwnerEmail = async () => null,
+  isAdmin = async () => false,
+  logger = console,
+  interval = 60000,
+}) {
+  let timer = null;
+  let ticking = false;
+  // Schedules currently executing: `${db}:${id}`
+  const running = new Set();
+  // findScheduleTypes() of databases that have schedules, dropped on structure changes
+  const typesByDb = new Map();
+
+  async function deliver(db, schedule, result) {
+    const subject = `${result.reportName || schedule.name}: ${new Date().toLocaleDateString('ru-RU')}`;
+    const text = `Отчёт «${result.reportName || schedule.report}» по расписанию «${schedule.name}», строк: ${result.rows}.`;
+    const sent = await sendMail({
+      to: schedule.recipients.join(', '),
+      subject,
+      text,
+      attachments: [{ filename: result.filename, content: result.content, contentType: result.contentType }],
+      tag: '[Report Scheduler]',
+      devLog: { db, scheduleId: schedule.id, filename: result.filename, rows: result.rows },
+    });
+    if (!sent) throw new Error('Не удалось отправить письмо');
+  }
+
+  async function alertFailure(db, schedule, error) {
+    const ownerEmail = schedule.owner ? await getOwnerEmail(db, schedule.owner).catch(() => null) : null;
+    const to = ownerEmail ? [ownerEmail] : schedule.recipients;
+    if (to.length === 0) return;
+    await sendMail({
+      to: to.join(', '),
+      subject: `Ошибка расписания «${schedule.name}»`,
+      text: `Отчёт «${schedule.report}» (база ${db}) не был сформирован по расписанию.\r\n\r\nОшибка: ${error}`,
+      tag: '[Report Scheduler]',
+      devLog: { db, scheduleId: schedule.id, error },
+    });
+  }
+
+  /**
+   * Execute one schedule now and record the run.
+   * @returns {Promise<Object>} { runId, status, rows, duration, error }
+   */
+  async function runSchedule(db, schedule, types, now = new Date()) {
+    const key = `${db}:${schedule.id}`;
+    if (running.has(key)) return { status: 'skipped', error: 'Расписание уже выполняется' };
+    running.add(key);
+
+    const pool = getPool();
+    const run = { startedAt: now, status: 'ok', rows: 0, duration: 0, error: null };
+    const started = Date.now();
+    try {
+      if (!schedule.report) throw new Error('Не указан отчёт');
+      if (!schedule.owner) throw new Error('Не указан владелец');
+      if (schedule.recipients.length === 0) throw new Error('Не указаны получатели');
+      if (schedule.editor !== schedule.owner && !(schedule.editor && await isAdmin(db, schedule.editor))) {
+        throw new Error(`Расписание изменено не владельцем (${schedule.editor || 'неизвестно кем'}), `
+          + `сохраните его от имени ${schedule.owner}`);
+      }
+
+      const result = await runReport(db, schedule, reportParams(schedule.params));
+      run.rows = result.rows;
+      await deliver(db, schedule, result);
+    } catch (error) {
+      run.status = 'error';
+      run.error = error.message;
+      logger.error('[Report Scheduler] Run failed', { db, scheduleId: schedule.id, error: error.message });
+      await alertFailure(db, schedule, error.message).catch(() => {});
+    } finally {
+      run.duration = Date.now() - started;
+      running.delete(key);
+    }
+
+    run.runId = await recordRun(pool, db, types, schedule, run);
+    logger.info('[Report Scheduler] Run finished', {
+      db, scheduleId: schedule.id, status: run.status, rows: run.rows, duration: run.duration,
+    });
+    return run;
+  }
+
+  function isDue(schedule, now) {
+    if (!schedule.active || !schedule.cron) return false;
+    // A schedule that never ran starts from the current polling window
+    // instead of firing immediately
+    const from = schedule.lastRun || new Date(now.getTime() - interval);
+    const next = nextCronRun(schedule.cron, from);
+    return next !== null && next <= now;
+  }
+
+  /** Check every database once and run what is due */
+  async function tick(now = new Date()) {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const pool = getPool();
+      for (const db of await listDatabases(pool)) {
+        try {
+          const types = await findScheduleTypes(pool, db);
+          if (!types) continue;
+          for (const schedule of await loadSchedules(pool, db, types)) {
+            let due;
+            try {
+              due = isDue(schedule, now);
+            } catch (error) {
+              logger.warn('[Report Scheduler] Invalid cron expression', { db, scheduleId: schedule.id, error: error.message });
+              continue;
+            }
+            if (due) await runSchedule(db, schedule, types, now);
+          }
+        } catch (error) {
+          logger.error('[Report Scheduler] Database check failed', { db, error: error.message });
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /**
+   * Record the last editor of a schedule. Takes onLegacyChange() records
+   * ({ db, action, source, newValue, oldValue, user }) and v2 events, which
+   * carry no signed-in user: an edit through them leaves the editor blank,
+   * so the schedule stops until its owner saves it again. A schedule created
+   * without an owner gets its creator.
+   */
+  async function handleChange(change) {
+    if (!change?.db) return;
+    const { db } = change;
+    if (String(change.source || '').startsWith('_d_')) {
+      typesByDb.delete(db);
+      return;
+    }
+    const row = change.newValue || change.oldValue;
+    if (!row) return;
+
+    try {
+      const pool = getPool();
+      let types = typesByDb.get(db);
+      if (!types) {
+        types = await findScheduleTypes(pool, db);
+        if (!types) return;
+        typesByDb.set(db, types);
+      }
+
+      let scheduleId;
+      if (Number(row.typeId) === types.scheduleTypeId) {
+        if (change.action === 'delete') return;
+        scheduleId = Number(row.id);
+      } else if (Object.values(types.fields).includes(Number(row.typeId))) {
+        scheduleId = Number(row.parentId);
+      } else {
+        return;
+      }
+
+      const editor = String(change.user?.username || '');
+      await setValue(pool, db, scheduleId, types.fields.editor, editor);
+      if (change.action === 'create' && scheduleId === Number(row.id) && editor) {
+        const [schedule] = await loadSchedules(pool, db, types, scheduleId);
+        if (schedule && !schedule.owner) await setValue(pool, db, scheduleId, types.fields.owner, editor);
+      }
+    } catch (error) {
+      logger.warn('[Report Scheduler] Editor not recorded', { db, source: change.source, error: error.message });
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        tick().catch(error => logger.error('[Report Scheduler] Tick failed', { error: error.message }));
+      }, interval);
+      timer.unref?.();
+      logger.info('[Report Scheduler] Started', { interval });
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    tick,
+    runSchedule,
+    handleChange,
+  };
+}
+
+/** Databases registered in `my` (t = 271) plus `my` itself */
+async function defaultListDatabases(pool) {
+  const [rows] = await pool.query('SELECT DISTINCT val FROM `my` WHERE t = 271');
+  const names = rows.map(r => String(r.val)).filter(name => /^[a-z]\w{1,14}$/i.test(name));
+  return ['my', ...names.filter(name => name !== 'my')];
+}
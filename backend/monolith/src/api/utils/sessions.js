@@ -0,0 +1,227 @@
+/**
+ * Sessions of legacy database logins.
+ *
+ * A session is a TOKEN row under its user. A password login adds a token
+ * instead of replacing the previous one, so every browser or device keeps
+ * its own session; the oldest ones are dropped past MAX_SESSIONS per user.
+ * The details of a session are requisites of TOKEN, provisioned on the first
+ * login and stored under the token row: start time, last use and its
+ * address, the address and user agent of the login, the login method.
+ * Tokens issued before (or by paths that do not record them) are listed
+ * without details.
+ *
+ * Logins and revocations go to the login audit (see login-audit.js).
+ */
+
+import { BASE, ensureFields, insert, setValue } from './legacy-schema.js';
+import { normalizeIp } from './api-keys.js';
+import { createLoginAudit, EVENTS } from './login-audit.js';
+
+/** User, TOKEN and XSRF (see TYPE in legacy-compat.js) */
+const USER_TYPE = 18;
+const TOKEN_TYPE = 125;
+const XSRF_TYPE = 40;
+
+/** Session requisites: key → [name, base type] */
+const SESSION_FIELDS = {
+  started: ['Начало сессии', BASE.DATETIME],
+  lastUsed: ['Последнее использование', BASE.DATETIME],
+  lastIp: ['IP последнего использования', BASE.SHORT],
+  ip: ['IP-адрес', BASE.SHORT],
+  userAgent: ['User-Agent', BASE.CHARS],
+  method: ['Способ входа', BASE.SHORT],
+};
+
+/** Sessions kept per user; a new login drops the oldest beyond this */
+export const MAX_SESSIONS = 20;
+
+/** Last use is written at most this often per session (ms) */
+const TOUCH_INTERVAL = 60 * 1000;
+
+/** DATETIME value (Unix seconds) → Date */
+function toDate(value) {
+  const seconds = Number(value);
+  return seconds > 0 ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Session store.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ * @param {Object} [deps.audit] - login audit (createLoginAudit() by default)
+ */
+export function createSessions({
+  getPool,
+  logger = console,
+  now = () => Date.now(),
+  audit = createLoginAudit({ getPool, logger, now }),
+}) {
+  const fieldCache = new Map(); // db → ensureFields() result
+  const touched = new Map(); // db:tokenId → ms of the last recorded use
+
+  async function fieldsOf(pool, db) {
+    if (!fieldCache.has(db)) fieldCache.set(db, await ensureFields(pool, db, TOKEN_TYPE, SESSION_FIELDS));
+    return fieldCache.get(db);
+  }
+
+  function unixNow() {
+    return String(Math.floor(now() / 1000));
+  }
+
+  /** Token rows with their user, optionally of one user */
+  async function tokens(pool, db, uid = null) {
+    const [rows] = await pool.query(
+      `SELECT tok.id, tok.up uid, u.val login FROM \`${db}\` tok
+       JOIN \`${db}\` u ON u.id = tok.up AND u.t = ${USER_TYPE}
+       WHERE tok.t = ${TOKEN_TYPE}${uid ? ' AND tok.up = ?' : ''}
+       ORDER BY tok.id DESC`,
+      uid ? [uid] : []
+    );
+    return rows.map(row => ({ id: Number(row.id), uid: Number(row.uid), login: row.login }));
+  }
+
+  /** Sessions with their details, newest first */
+  async function describe(pool, db, rows, currentId) {
+    if (rows.length === 0) return [];
+    const fields = await fieldsOf(pool, db);
+    const keyByField = new Map(Object.entries(fields).map(([key, id]) => [id, key]));
+    const byToken = new Map(rows.map(row => [row.id, {}]));
+    const ids = rows.map(row => row.id);
+    const [values] = await pool.query(
+      `SELECT up, t, val FROM \`${db}\` WHERE up IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    for (const value of values) {
+      const key = keyByField.get(Number(value.t));
+      if (key) byToken.get(Number(value.up))[key] = value.val;
+    }
+    return rows.map((row) => {
+      const values = byToken.get(row.id);
+      return {
+        id: row.id,
+        uid: row.uid,
+        login: row.login,
+        startedAt: toDate(values.started),
+        lastUsedAt: toDate(values.lastUsed) || toDate(values.started),
+        lastIp: values.lastIp || values.ip || null,
+        ip: values.ip || null,
+        userAgent: values.userAgent || null,
+        method: values.method || null,
+        current: row.id === Number(currentId),
+      };
+    });
+  }
+
+  /** Delete token rows with their details */
+  async function remove(pool, db, ids) {
+    if (ids.length === 0) return;
+    const list = ids.map(() => '?').join(',');
+    await pool.query(`DELETE FROM \`${db}\` WHERE up IN (${list})`, ids);
+    await pool.query(`DELETE FROM \`${db}\` WHERE id IN (${list}) AND t = ${TOKEN_TYPE}`, ids);
+    for (const id of ids) touched.delete(`${db}:${id}`);
+  }
+
+  return {
+    /**
+     * Record a new session and the login.
+     *
+     * @param {string} db
+     * @param {Object} session - { uid, login, tokenId, ip, userAgent, method }
+     */
+    async start(db, { uid, login, tokenId, ip = '', userAgent = '', method = '' }) {
+      const pool = getPool();
+      const address = normalizeIp(ip);
+      try {
+        const fields = await fieldsOf(pool, db);
+        const time = unixNow();
+        // A token row re-used in place (one-time code, JWT) starts afresh
+        await pool.query(`DELETE FROM \`${db}\` WHERE up = ?`, [tokenId]);
+        let ord = 1;
+        for (const [key, value] of [['started', time], ['ip', address], ['userAgent', userAgent], ['method', method]]) {
+          if (value) await insert(pool, db, tokenId, ord++, fields[key], String(value).slice(0, 500));
+        }
+        touched.set(`${db}:${tokenId}`, now());
+
+        const older = (await tokens(pool, db, uid)).filter(row => row.id !== Number(tokenId));
+        await remove(pool, db, older.slice(MAX_SESSIONS - 1).map(row => row.id));
+      } catch (error) {
+        logger.warn('[Sessions] Could not record the session', { db, uid, error: error.message });
+      }
+      await audit.record(db, { event: EVENTS.LOGIN, login, ip: address, userAgent, method });
+    },
+
+    /** Record the use of a session, throttled */
+    async touch(db, tokenId, { ip = '' } = {}) {
+      if (!tokenId) return;
+      const mark = `${db}:${tokenId}`;
+      const time = now();
+      if (time - (touched.get(mark) || 0) < TOUCH_INTERVAL) return;
+      touched.set(mark, time);
+      try {
+        const pool = getPool();
+        const fields = await fieldsOf(pool, db);
+        await setValue(pool, db, tokenId, fields.lastUsed, unixNow());
+        await setValue(pool, db, tokenId, fields.lastIp, normalizeIp(ip));
+      } catch (error) {
+        logger.warn('[Sessions] Could not record the use', { db, tokenId, error: error.message });
+      }
+    },
+
+    /**
+     * Sessions of a user, or of every user of the database.
+     *
+     * @param {string} db
+     * @param {Object} [filter] - { uid, currentId } — currentId marks the caller's session
+     * @returns {Promise<Array<Object>>} { id, uid, login, startedAt, lastUsedAt, lastIp,
+     *   ip, userAgent, method, current }
+     */
+    async list(db, { uid = null, currentId = null } = {}) {
+      const pool = getPool();
+      return describe(pool, db, await tokens(pool, db, uid), currentId);
+    },
+
+    /**
+     * End one session.
+     *
+     * @param {string} db
+     * @param {number} tokenId
+     * @param {Object} [context] - { uid } to end only a session of that user;
+     *   { by, ip, event } for the audit
+     * @returns {Promise<boolean>} false when there is no such session
+     */
+    async revoke(db, tokenId, { uid = null, by = '', ip = '', event = EVENTS.REVOKE } = {}) {
+      const pool = getPool();
+      const row = (await tokens(pool, db, uid)).find(r => r.id === Number(tokenId));
+      if (!row) return false;
+      await remove(pool, db, [row.id]);
+      logger.info('[Sessions] Session ended', { db, uid: row.uid, tokenId: row.id, by });
+      await audit.record(db, { event, login: row.login, ip: normalizeIp(ip), by });
+      return true;
+    },
+
+    /**
+     * Sign a user out everywhere: every token goes, and so does the stored
+     * xsrf, so the next login gets a fresh one.
+     *
+     * @returns {Promise<number>} number of sessions ended
+     */
+    async revokeAll(db, uid, { by = '', ip = '' } = {}) {
+      const pool = getPool();
+      const rows = await tokens(pool, db, uid);
+      await remove(pool, db, rows.map(row => row.id));
+      await pool.query(`DELETE FROM \`${db}\` WHERE up = ? AND t = ${XSRF_TYPE}`, [uid]);
+      const [users] = await pool.query(`SELECT val FROM \`${db}\` WHERE id = ? AND t = ${USER_TYPE}`, [uid]);
+      logger.info('[Sessions] Signed out everywhere', { db, uid, sessions: rows.length, by });
+      await audit.record(db, { event: EVENTS.REVOKE_ALL, login: users[0]?.val || null, ip: normalizeIp(ip), by });
+      return rows.length;
+    },
+
+    /** Login audit: audit.list() */
+    events(db, filter) {
+      return audit.list(db, filter);
+    },
+  };
+}
@@ -0,0 +1,378 @@
+/**
+ * Server-side XLSX and ODS writer.
+ *
+ * Produces workbooks with typed cells (numbers, dates, booleans), column
+ * widths, a frozen header row and an optional bold totals row, for report
+ * and type exports that are too large to build in the browser.
+ *
+ * Date values are written by their UTC fields: spreadsheets have no time
+ * zones, so callers shift timestamps to the user's wall time beforehand.
+ */
+
+import { buildZipArchive } from './zip-archive.js';
+
+export const SPREADSHEET_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+};
+
+/** Column width limits, in characters */
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 60;
+/** Rows sampled to estimate a column width */
+const WIDTH_SAMPLE_ROWS = 1000;
+
+/** Excel/ODS sheet names: up to 31 characters, no []:*?/\ */
+const MAX_SHEET_NAME = 31;
+
+/**
+ * @typedef {Object} SheetColumn
+ * @property {string} name
+ * @property {'string'|'number'|'date'|'datetime'|'boolean'} [type='string']
+ * @property {number} [width] - in characters; estimated from content when omitted
+ */
+
+/**
+ * @typedef {Object} Sheet
+ * @property {string} name
+ * @property {SheetColumn[]} columns
+ * @property {Array<Array>} rows - cell values: string, number, boolean, Date or null
+ * @property {Array} [totals] - bold row after the data
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function isValidDate(value) {
+  return value instanceof Date && !isNaN(value.getTime());
+}
+
+/** Text shown for a value, used for width estimation */
+function displayLength(value, type) {
+  if (value === null || value === undefined) return 0;
+  if (isValidDate(value)) return type === 'datetime' ? 16 : 10;
+  return String(value).split('\n').reduce((max, line) => Math.max(max, line.length), 0);
+}
+
+function columnWidths(sheet) {
+  return sheet.columns.map((col, i) => {
+    if (col.width) return col.width;
+    let width = String(col.name).length + 2;
+    const sample = sheet.rows.length > WIDTH_SAMPLE_ROWS ? sheet.rows.slice(0, WIDTH_SAMPLE_ROWS) : sheet.rows;
+    for (const row of sample) width = Math.max(width, displayLength(row[i], col.type) + 2);
+    if (sheet.totals) width = Math.max(width, displayLength(sheet.totals[i], col.type) + 2);
+    return Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, width));
+  });
+}
+
+/** Unique, valid sheet names */
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((sheet, i) => {
+    const base = String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, '_').slice(0, MAX_SHEET_NAME) || `Sheet${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+// ============================================================================
+// XLSX (Office Open XML)
+// ============================================================================
+
+/** Style indexes in styles.xml cellXfs */
+const XF = { DEFAULT: 0, BOLD: 1, DATE: 2, DATETIME: 3, BOLD_DATE: 4, BOLD_DATETIME: 5 };
+
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="dd.mm.yyyy"/><numFmt numFmtId="165" formatCode="dd.mm.yyyy hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+<xf numFmtId="165" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/** Column letters: 0 → A, 26 → AA */
+function columnRef(index) {
+  let ref = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    ref = String.fromCharCode(65 + ((n - 1) % 26)) + ref;
+  }
+  return ref;
+}
+
+/** Excel serial day number (1900 date system) */
+function excelSerial(date) {
+  return date.getTime() / 86400000 + 25569;
+}
+
+function xlsxCell(ref, value, type, bold) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${bold ? ` s="${XF.BOLD}"` : ''}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"${bold ? ` s="${XF.BOLD}"` : ''}><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (isValidDate(value)) {
+    const style = type === 'date'
+      ? (bold ? XF.BOLD_DATE : XF.DATE)
+      : (bold ? XF.BOLD_DATETIME : XF.DATETIME);
+    return `<c r="${ref}" s="${style}"><v>${excelSerial(value)}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${bold ? ` s="${XF.BOLD}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function xlsxRow(number, values, columns, bold) {
+  const cells = columns.map((col, i) => xlsxCell(`${columnRef(i)}${number}`, values[i], col.type, bold)).join('');
+  return `<row r="${number}">${cells}</row>`;
+}
+
+function xlsxSheet(sheet) {
+  const widths = columnWidths(sheet);
+  const cols = widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('');
+  const lastCol = columnRef(Math.max(sheet.columns.length - 1, 0));
+
+  const rows = [xlsxRow(1, sheet.columns.map(c => c.name), sheet.columns.map(() => ({ type: 'string' })), true)];
+  sheet.rows.forEach((row, i) => rows.push(xlsxRow(i + 2, row, sheet.columns, false)));
+  if (sheet.totals) rows.push(xlsxRow(sheet.rows.length + 2, sheet.totals, sheet.columns, true));
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0">'
+    + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+    + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+    + '</sheetView></sheetViews>'
+    + (cols ? `<cols>${cols}</cols>` : '')
+    + `<sheetData>${rows.join('')}</sheetData>`
+    + (sheet.rows.length > 0 ? `<autoFilter ref="A1:${lastCol}${sheet.rows.length + 1}"/>` : '')
+    + '</worksheet>';
+}
+
+/** Hidden names Excel expects next to each sheet's autoFilter */
+function filterNames(sheets, names) {
+  const defined = sheets.map((sheet, i) => (sheet.rows.length > 0
+    ? `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">`
+      + `'${escapeXml(names[i].replace(/'/g, "''"))}'!$A$1:$${columnRef(Math.max(sheet.columns.length - 1, 0))}$${sheet.rows.length + 1}`
+      + '</definedName>'
+    : '')).join('');
+  return defined ? `<definedNames>${defined}</definedNames>` : '';
+}
+
+/**
+ * Build an .xlsx workbook.
+ * @param {Sheet[]} sheets
+ * @returns {Buffer}
+ */
+export function buildXlsx(sheets) {
+  const names = sheetNames(sheets);
+  const entries = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets>'
+        + names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets>'
+        + filterNames(sheets, names)
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    { name: 'xl/styles.xml', content: XLSX_STYLES },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: xlsxSheet(sheet) })),
+  ];
+  return buildZipArchive(entries);
+}
+
+// ============================================================================
+// ODS (OpenDocument Spreadsheet)
+// ============================================================================
+
+const ODS_NS = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"'
+  + ' xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"'
+  + ' xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"'
+  + ' xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"'
+  + ' xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"'
+  + ' xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0"';
+
+/** Approximate width of one character of the default font */
+const ODS_CHAR_WIDTH_CM = 0.2;
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function odsDateValue(date, type) {
+  const day = `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+  if (type === 'date') return day;
+  return `${day}T${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())}:${pad2(date.getUTCSeconds())}`;
+}
+
+function odsText(value) {
+  return String(value).split('\n').map(line => `<text:p>${escapeXml(line)}</text:p>`).join('');
+}
+
+function odsCell(value, type, bold) {
+  const style = (name) => ` table:style-name="${bold ? `${name}b` : name}"`;
+  if (value === null || value === undefined || value === '') {
+    return '<table:table-cell/>';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<table:table-cell${style('ce')} office:value-type="float" office:value="${value}">${odsText(value)}</table:table-cell>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<table:table-cell${style('ce')} office:value-type="boolean" office:boolean-value="${value}">${odsText(value ? 'TRUE' : 'FALSE')}</table:table-cell>`;
+  }
+  if (isValidDate(value)) {
+    const kind = type === 'date' ? 'date' : 'datetime';
+    return `<table:table-cell${style(kind === 'date' ? 'ced' : 'cedt')} office:value-type="date" office:date-value="${odsDateValue(value, kind)}">${odsText(odsDateValue(value, kind).replace('T', ' '))}</table:table-cell>`;
+  }
+  return `<table:table-cell${style('ce')} office:value-type="string">${odsText(value)}</table:table-cell>`;
+}
+
+function odsRow(values, columns, bold) {
+  return `<table:table-row>${columns.map((col, i) => odsCell(values[i], col.type, bold)).join('')}</table:table-row>`;
+}
+
+function odsTable(sheet, name, index) {
+  const widths = columnWidths(sheet);
+  const columns = widths.map((_, i) => `<table:table-column table:style-name="co${index}_${i}"/>`).join('');
+  const header = odsRow(sheet.columns.map(c => c.name), sheet.columns.map(() => ({ type: 'string' })), true);
+  const rows = sheet.rows.map(row => odsRow(row, sheet.columns, false)).join('');
+  const totals = sheet.totals ? odsRow(sheet.totals, sheet.columns, true) : '';
+  return `<table:table table:name="${escapeXml(name)}">${columns}`
+    + `<table:table-header-rows>${header}</table:table-header-rows>${rows}${totals}</table:table>`;
+}
+
+function odsContent(sheets, names) {
+  const columnStyles = sheets.map((sheet, s) => columnWidths(sheet).map((w, i) =>
+    `<style:style style:name="co${s}_${i}" style:family="table-column">`
+    + `<style:table-column-properties style:column-width="${(w * ODS_CHAR_WIDTH_CM).toFixed(2)}cm"/></style:style>`
+  ).join('')).join('');
+
+  const cellStyle = (name, dataStyle, bold) => `<style:style style:name="${name}" style:family="table-cell"`
+    + `${dataStyle ? ` style:data-style-name="${dataStyle}"` : ''}>`
+    + (bold ? '<style:text-properties fo:font-weight="bold"/>' : '')
+    + '</style:style>';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<office:document-content ${ODS_NS} office:version="1.2">`
+    + '<office:automatic-styles>'
+    + '<number:date-style style:name="N_date"><number:day number:style="long"/><number:text>.</number:text>'
+    + '<number:month number:style="long"/><number:text>.</number:text><number:year number:style="long"/></number:date-style>'
+    + '<number:date-style style:name="N_datetime"><number:day number:style="long"/><number:text>.</number:text>'
+    + '<number:month number:style="long"/><number:text>.</number:text><number:year number:style="long"/>'
+    + '<number:text> </number:text><number:hours number:style="long"/><number:text>:</number:text>'
+    + '<number:minutes number:style="long"/></number:date-style>'
+    + columnStyles
+    + cellStyle('ce', null, false) + cellStyle('ceb', null, true)
+    + cellStyle('ced', 'N_date', false) + cellStyle('cedb', 'N_date', true)
+    + cellStyle('cedt', 'N_datetime', false) + cellStyle('cedtb', 'N_datetime', true)
+    + '</office:automatic-styles>'
+    + '<office:body><office:spreadsheet>'
+    + sheets.map((sheet, i) => odsTable(sheet, names[i], i)).join('')
+    + '</office:spreadsheet></office:body></office:document-content>';
+}
+
+/** settings.xml: freeze the first row of every table */
+function odsSettings(names) {
+  const item = (name, type, value) => `<config:config-item config:name="${name}" config:type="${type}">${value}</config:config-item>`;
+  const tables = names.map(name => `<config:config-item-map-entry config:name="${escapeXml(name)}">`
+    + item('VerticalSplitMode', 'short', 2)
+    + item('VerticalSplitPosition', 'int', 1)
+    + item('ActiveSplitRange', 'short', 2)
+    + item('PositionTop', 'int', 0)
+    + item('PositionBottom', 'int', 1)
+    + '</config:config-item-map-entry>').join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<office:document-settings xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"'
+    + ' xmlns:config="urn:oasis:names:tc:opendocument:xmlns:config:1.0" office:version="1.2">'
+    + '<office:settings><config:config-item-set config:name="ooo:view-settings">'
+    + '<config:config-item-map-indexed config:name="Views"><config:config-item-map-entry>'
+    + item('ViewId', 'string', 'view1')
+    + `<config:config-item-map-named config:name="Tables">${tables}</config:config-item-map-named>`
+    + '</config:config-item-map-entry></config:config-item-map-indexed>'
+    + '</config:config-item-set></office:settings></office:document-settings>';
+}
+
+/**
+ * Build an .ods workbook.
+ * @param {Sheet[]} sheets
+ * @returns {Buffer}
+ */
+export function buildOds(sheets) {
+  const names = sheetNames(sheets);
+  return buildZipArchive([
+    // Must be the first entry and uncompressed
+    { name: 'mimetype', content: SPREADSHEET_TYPES.ods, store: true },
+    {
+      name: 'META-INF/manifest.xml',
+      content: '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">'
+        + `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${SPREADSHEET_TYPES.ods}"/>`
+        + '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>'
+        + '<manifest:file-entry manifest:full-path="settings.xml" manifest:media-type="text/xml"/>'
+        + '</manifest:manifest>',
+    },
+    { name: 'content.xml', content: odsContent(sheets, names) },
+    { name: 'settings.xml', content: odsSettings(names) },
+  ]);
+}
+
+/**
+ * Build a workbook in the requested format.
+ * @param {'xlsx'|'ods'} format
+ * @param {Sheet[]} sheets
+ * @returns {Buffer}
+ */
+export function buildSpreadsheet(format, sheets) {
+  if (format === 'ods') return buildOds(sheets);
+  if (format === 'xlsx') return buildXlsx(sheets);
+  throw new Error(`Unsupported spreadsheet format: ${format}`);
+}
@@ -0,0 +1,440 @@
+/**
+ * TOTP two-factor authentication (RFC 6238) for legacy database logins.
+ *
+ * The shared secret and the hashed recovery codes are requisites of the user
+ * type ("TOTP-ключ", "Коды восстановления"). Both use the PWD base type, so
+ * editors show them masked and _m_save never writes the stars back. Roles get
+ * a "Требовать 2FA" flag: users of a flagged role (typically the admin and
+ * DDL-granted roles) have to enroll before they get a session. The requisites
+ * are provisioned on the first enrollment or policy change.
+ *
+ * POST /:db/auth answers a correct password with a short-lived challenge
+ * instead of a token; completeLogin() exchanges the challenge and a TOTP or
+ * recovery code for the user id. Challenges, pending enrollments and the last
+ * accepted time step (replay protection) are kept in memory.
+ */
+
+import crypto from 'crypto';
+import { AuthenticationError, ValidationError } from '../../../../../packages/@integram/common/index.js';
+import { BASE, ensureFields, setValue } from './legacy-schema.js';
+import { qrSvg } from './qr-code.js';
+
+/** User and role types (see TYPE in legacy-compat.js) */
+const USER_TYPE = 18;
+const ROLE_TYPE = 42;
+
+/** User requisites: key → [name, base type] */
+const USER_FIELDS = {
+  secret: ['TOTP-ключ', BASE.PWD],
+  recovery: ['Коды восстановления', BASE.PWD],
+};
+
+/** Role requisites */
+const ROLE_FIELDS = {
+  required: ['Требовать 2FA', BASE.BOOLEAN],
+};
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+/** Wrong codes accepted per challenge before it is dropped */
+const MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** RFC 4648 base32 without padding */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/** Decode base32, ignoring case, spaces and padding */
+export function base32Decode(text) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new ValidationError('Неверный base32-ключ');
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** New random secret (160 bits, base32) */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value of a time step (HMAC-SHA1, dynamic truncation).
+ *
+ * @param {string} secret - base32
+ * @param {number} step - Unix time / 30
+ * @param {number} [digits=6]
+ * @returns {string}
+ */
+export function totpCode(secret, step, digits = DIGITS) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Check a code against the current step and its neighbours (clock drift).
+ *
+ * @param {string} secret
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.now] - ms
+ * @param {number} [options.window=1] - steps accepted on each side
+ * @param {number} [options.after=-1] - steps up to this one were already used
+ * @returns {number|null} the matching step
+ */
+export function verifyTotp(secret, code, { now = Date.now(), window = 1, after = -1 } = {}) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= after) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+/** otpauth:// URI understood by authenticator apps */
+export function otpauthUri({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+/** One-time recovery codes, "xxxxx-xxxxx" */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/** Stored form of a recovery code (case and dashes do not matter) */
+export function hashRecoveryCode(code) {
+  const normalized = String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Requisite ids of the user and role fields, without creating anything.
+ * @returns {Promise<Object>} { secret?, recovery?, required? }
+ */
+export async function findTwoFactorFields(pool, db) {
+  const wanted = [
+    ...Object.entries(USER_FIELDS).map(([key, [name]]) => ({ key, name, up: USER_TYPE })),
+    ...Object.entries(ROLE_FIELDS).map(([key, [name]]) => ({ key, name, up: ROLE_TYPE })),
+  ];
+  const [rows] = await pool.query(
+    `SELECT req.id, req.up, attr.val FROM \`${db}\` attr
+     JOIN \`${db}\` req ON req.t = attr.id AND req.up IN (${USER_TYPE}, ${ROLE_TYPE})
+     WHERE attr.up = 0 AND attr.id != attr.t AND attr.val IN (${wanted.map(() => '?').join(',')})`,
+    wanted.map(w => w.name)
+  );
+  const fields = {};
+  if (!rows.length) return fields;
+  for (const row of rows) {
+    const match = wanted.find(w => w.name === row.val && w.up === Number(row.up));
+    if (match) fields[match.key] = Number(row.id);
+  }
+  return fields;
+}
+
+/** Provision the user and role requisites */
+export async function ensureTwoFactorFields(pool, db) {
+  return {
+    ...await ensureFields(pool, db, USER_TYPE, USER_FIELDS),
+    ...await ensureFields(pool, db, ROLE_TYPE, ROLE_FIELDS),
+  };
+}
+
+/**
+ * Two-factor state and flows.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getPool
+ * @param {Object} [deps.logger]
+ * @param {Function} [deps.now] - ms clock
+ * @param {number} [deps.challengeTtl=300] - seconds a login challenge or pending enrollment lives
+ * @param {string} [deps.issuer='Integram'] - name shown in authenticator apps
+ */
+export function createTwoFactor({
+  getPool,
+  logger = console,
+  now = () => Date.now(),
+  challengeTtl = 300,
+  issuer = 'Integram',
+}) {
+  const challenges = new Map(); // id → { db, uid, username, enroll, context, expires, attempts }
+  const pending = new Map(); // db:uid → { secret, expires }
+  const lastSteps = new Map(); // db:uid → last accepted step
+
+  function sweep() {
+    const time = now();
+    for (const [key, entry] of challenges) if (entry.expires <= time) challenges.delete(key);
+    for (const [key, entry] of pending) if (entry.expires <= time) pending.delete(key);
+  }
+
+  async function readState(pool, db, uid) {
+    const fields = await findTwoFactorFields(pool, db);
+    const state = { fields, secret: null, recovery: [], required: false };
+    if (fields.secret) {
+      const [rows] = await pool.query(
+        `SELECT t, val FROM \`${db}\` WHERE up = ? AND t IN (?, ?)`,
+        [uid, fields.secret, fields.recovery || fields.secret]
+      );
+      for (const row of rows) {
+        if (Number(row.t) === fields.secret && row.val) state.secret = row.val;
+        if (Number(row.t) === fields.recovery && row.val) state.recovery = row.val.split(',').filter(Boolean);
+      }
+    }
+    if (fields.required) {
+      const [rows] = await pool.query(
+        `SELECT flag.val FROM \`${db}\` r
+         JOIN \`${db}\` role_def ON role_def.id = r.t AND role_def.t = ${ROLE_TYPE}
+         JOIN \`${db}\` flag ON flag.up = role_def.id AND flag.t = ?
+         WHERE r.up = ? LIMIT 1`,
+        [fields.required, uid]
+      );
+      state.required = rows.length > 0 && !!rows[0].val && rows[0].val !== '0';
+    }
+    return state;
+  }
+
+  function uri(db, account, secret) {
+    const otpauth = otpauthUri({ secret, account, issuer: `${issuer} ${db}` });
+    return { secret, otpauth, qr: `data:image/svg+xml;base64,${Buffer.from(qrSvg(otpauth)).toString('base64')}` };
+  }
+
+  /** Accept a code once: a step already used by this user is refused */
+  function acceptCode(db, uid, secret, code) {
+    const key = `${db}:${uid}`;
+    const step = verifyTotp(secret, code, { now: now(), after: lastSteps.get(key) ?? -1 });
+    if (step === null) return false;
+    lastSteps.set(key, step);
+    return true;
+  }
+
+  /** Store the secret with a fresh set of recovery codes; returns the codes */
+  async function enable(pool, db, uid, secret) {
+    const fields = await ensureTwoFactorFields(pool, db);
+    const codes = generateRecoveryCodes();
+    await setValue(pool, db, uid, fields.secret, secret);
+    await setValue(pool, db, uid, fields.recovery, codes.map(hashRecoveryCode).join(','));
+    logger.info('[2FA] Enabled', { db, uid });
+    return codes;
+  }
+
+  /** A TOTP code, or a recovery code that is then used up */
+  async function checkSecondFactor(pool, db, uid, state, { code, recovery }) {
+    if (recovery) {
+      const hash = hashRecoveryCode(recovery);
+      if (!state.recovery.includes(hash)) return false;
+      await setValue(pool, db, uid, state.fields.recovery, state.recovery.filter(h => h !== hash).join(','));
+      logger.info('[2FA] Recovery code used', { db, uid, left: state.recovery.length - 1 });
+      return true;
+    }
+    return acceptCode(db, uid, state.secret, code);
+  }
+
+  return {
+    /**
+     * Two-factor state of a user.
+     * @returns {Promise<Object>} { enabled, required, recoveryLeft }
+     */
+    async status(db, uid) {
+      const state = await readState(getPool(), db, uid);
+      return { enabled: !!state.secret, required: state.required, recoveryLeft: state.recovery.length };
+    },
+
+    /**
+     * Second step of a password login.
+     *
+     * @param {string} db
+     * @param {Object} user - { uid, username }
+     * @param {Object} [context] - kept with the challenge and handed back by
+     *   completeLogin() (e.g. a password change waiting for the second factor)
+     * @returns {Promise<Object|null>} null when the user needs no second factor;
+     *   otherwise { challenge, expiresIn } plus { enroll: { secret, otpauth, qr } }
+     *   when the role requires 2FA and the user has not enrolled yet
+     */
+    async loginStep(db, { uid, username }, context = null) {
+      const state = await readState(getPool(), db, uid);
+      if (!state.secret && !state.required) return null;
+
+      sweep();
+      const challenge = crypto.randomBytes(24).toString('hex');
+      const enroll = state.secret ? null : uri(db, username, generateSecret());
+      challenges.set(challenge, {
+        db, uid: Number(uid), username, enroll, context, expires: now() + challengeTtl * 1000, attempts: 0,
+      });
+      return enroll ? { challenge, expiresIn: challengeTtl, enroll } : { challenge, expiresIn: challengeTtl };
+    },
+
+    /**
+     * Who a login challenge of this database was issued to, without
+     * answering it (the caller throttles the second step by login).
+     * @returns {Object|null} { uid, username } or null when unknown or expired
+     */
+    pendingLogin(db, challenge) {
+      sweep();
+      const entry = challenges.get(String(challenge || ''));
+      return entry && entry.db === db ? { uid: entry.uid, username: entry.username } : null;
+    },
+
+    /**
+     * Finish a login started by loginStep().
+     *
+     * @param {string} db - database of the request; a challenge issued by
+     *   another database is unknown here (user ids differ between databases)
+     * @param {string} challenge
+     * @param {Object} answer - { code } or { recovery }
+     * @returns {Promise<Object>} { db, uid, username, context, recoveryCodes? } —
+     *   recovery codes are returned once, when the login completed an enrollment
+     * @throws {AuthenticationError} unknown or expired challenge, wrong code
+     */
+    async completeLogin(db, challenge, { code, recovery } = {}) {
+      sweep();
+      const entry = challenges.get(String(challenge || ''));
+      if (!entry || entry.db !== db) throw new AuthenticationError('Время подтверждения истекло, войдите заново');
+
+      const pool = getPool();
+      const { uid, username, enroll, context } = entry;
+      let ok;
+      let recoveryCodes;
+      if (enroll) {
+        ok = acceptCode(db, uid, enroll.secret, code);
+        if (ok) recoveryCodes = await enable(pool, db, uid, enroll.secret);
+      } else {
+        const state = await readState(pool, db, uid);
+        ok = !!state.secret && await checkSecondFactor(pool, db, uid, state, { code, recovery });
+      }
+
+      if (!ok) {
+        entry.attempts++;
+        if (entry.attempts >= MAX_ATTEMPTS) challenges.delete(challenge);
+        logger.warn('[2FA] Wrong code', { db, uid, attempts: entry.attempts });
+        throw new AuthenticationError(recovery ? 'Неверный код восстановления' : 'Неверный код подтверждения');
+      }
+      challenges.delete(challenge);
+      return recoveryCodes ? { db, uid, username, context, recoveryCodes } : { db, uid, username, context };
+    },
+
+    /**
+     * Start enrollment from a session: a new secret waits for confirm().
+     * @returns {Promise<Object>} { secret, otpauth, qr, expiresIn }
+     */
+    async setup(db, { uid, username }) {
+      sweep();
+      const data = uri(db, username, generateSecret());
+      pending.set(`${db}:${uid}`, { secret: data.secret, expires: now() + challengeTtl * 1000 });
+      return { ...data, expiresIn: challengeTtl };
+    },
+
+    /**
+     * Confirm the pending secret with a code from the app.
+     * @returns {Promise<string[]>} recovery codes (shown once)
+     * @throws {ValidationError} no pending enrollment or wrong code
+     */
+    async confirm(db, uid, code) {
+      sweep();
+      const entry = pending.get(`${db}:${uid}`);
+      if (!entry) throw new ValidationError('Сначала начните подключение 2FA');
+      if (!acceptCode(db, uid, entry.secret, code)) throw new ValidationError('Неверный код подтверждения');
+      pending.delete(`${db}:${uid}`);
+      return enable(getPool(), db, uid, entry.secret);
+    },
+
+    /**
+     * Turn 2FA off (needs a current code or a recovery code). Users of roles
+     * that require 2FA cannot turn it off.
+     */
+    async disable(db, uid, answer) {
+      const pool = getPool();
+      const state = await readState(pool, db, uid);
+      if (!state.secret) throw new ValidationError('Двухфакторная аутентификация не подключена');
+      if (state.required) throw new ValidationError('Роль пользователя требует двухфакторную аутентификацию');
+      if (!await checkSecondFactor(pool, db, uid, state, answer || {})) {
+        throw new ValidationError('Неверный код подтверждения');
+      }
+      await setValue(pool, db, uid, state.fields.secret, '');
+      await setValue(pool, db, uid, state.fields.recovery, '');
+      lastSteps.delete(`${db}:${uid}`);
+      logger.info('[2FA] Disabled', { db, uid });
+    },
+
+    /**
+     * Replace the recovery codes (needs a current code).
+     * @returns {Promise<string[]>}
+     */
+    async regenerateRecoveryCodes(db, uid, code) {
+      const pool = getPool();
+      const state = await readState(pool, db, uid);
+      if (!state.secret) throw new ValidationError('Двухфакторная аутентификация не подключена');
+      if (!acceptCode(db, uid, state.secret, code)) throw new ValidationError('Неверный код подтверждения');
+      const codes = generateRecoveryCodes();
+      await setValue(pool, db, uid, state.fields.recovery, codes.map(hashRecoveryCode).join(','));
+      return codes;
+    },
+
+    /**
+     * Role policy: require 2FA from the users of a role.
+     * @param {string} db
+     * @param {number} roleId - role object id
+     * @param {boolean} required
+     */
+    async setRoleRequired(db, roleId, required) {
+      const pool = getPool();
+      const [rows] = await pool.query(
+        `SELECT id FROM \`${db}\` WHERE id = ? AND t = ${ROLE_TYPE} LIMIT 1`,
+        [roleId]
+      );
+      if (rows.length === 0) throw new ValidationError(`Роль ${roleId} не найдена`);
+      const fields = await ensureTwoFactorFields(pool, db);
+      await setValue(pool, db, roleId, fields.required, required ? '1' : '');
+      logger.info('[2FA] Role policy set', { db, roleId, required: !!required });
+    },
+
+    /**
+     * Roles with their 2FA policy.
+     * @returns {Promise<Array<{id, name, required}>>}
+     */
+    async rolePolicies(db) {
+      const pool = getPool();
+      const fields = await findTwoFactorFields(pool, db);
+      const [rows] = await pool.query(
+        `SELECT role.id, role.val, flag.val AS required FROM \`${db}\` role
+         LEFT JOIN \`${db}\` flag ON flag.up = role.id AND flag.t = ?
+         WHERE role.t = ${ROLE_TYPE} AND role.up != 0 ORDER BY role.val`,
+        [fields.required || 0]
+      );
+      return rows.map(r => ({ id: Number(r.id), name: r.val, required: !!r.required && r.required !== '0' }));
+    },
+  };
+}
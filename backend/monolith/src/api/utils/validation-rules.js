@@ -0,0 +1,492 @@
+/**
+ * Declarative validation rules of requisites.
+ *
+ * Besides the :!NULL: and :MULTI: masks a requisite (or the object's own
+ * value) can carry rules that every write has to satisfy: a pattern, a range,
+ * a length, uniqueness within the type or the parent, a list of allowed values
+ * and a condition over other requisites. Rules are ordinary objects of the
+ * "Правило проверки" type, named by the requisite id (or the type id for the
+ * object's own value), so they live in the schema next to the formulas of
+ * calculated requisites.
+ *
+ * Rule kinds and their parameter:
+ *   pattern     regular expression the whole value must match
+ *   min, max    bound, compared numerically (dates as stored)
+ *   minLength,
+ *   maxLength   number of characters
+ *   unique      'type' (default) or 'parent'
+ *   values      allowed values, one per line or separated by ';'
+ *               (references compare the referenced object's value)
+ *   condition   formula over the object (see calculated-requisites.js);
+ *               the value is valid when the formula is true
+ *
+ * Every rule except condition ignores empty values: requiring a value is what
+ * :!NULL: is for. validate() checks the values about to be written, reading
+ * the rest of the object from the database, and returns the violations so the
+ * editors can show each one next to its field.
+ */
+
+import { ValidationError } from '../../../../../packages/@integram/common/index.js';
+import {
+  BASE, ensureRootType, ensureFields, findRootType, loadObjects, setValue, insert, nextOrder, describeType,
+} from './legacy-schema.js';
+import { compileFormula, evaluateFormula, readPath, isTruthy, compare } from './calculated-requisites.js';
+
+export const RULE_TYPE_NAME = 'Правило проверки';
+
+/** Rule settings requisites: key → [name, base type] */
+const RULE_FIELDS = {
+  kind: ['Вид правила', BASE.SHORT],
+  param: ['Параметр', BASE.MEMO],
+  message: ['Сообщение об ошибке', BASE.SHORT],
+};
+
+export const RULE_KINDS = ['pattern', 'min', 'max', 'minLength', 'maxLength', 'unique', 'values', 'condition'];
+
+const UNIQUE_SCOPES = ['type', 'parent'];
+
+// ============================================================================
+// Compilation
+// ============================================================================
+
+/** Allowed values of a 'values' rule */
+function splitList(param) {
+  return String(param ?? '').split(/\r?\n|;/).map(v => v.trim()).filter(Boolean);
+}
+
+/** Values of a MULTI requisite arrive comma-separated */
+function splitValues(value, multi) {
+  const text = String(value ?? '').trim();
+  if (text === '') return [];
+  return multi ? text.split(',').map(v => v.trim()).filter(Boolean) : [text];
+}
+
+/**
+ * Check a rule and prepare it for validation.
+ *
+ * @param {Object} rule - { kind, param, message }
+ * @param {Object} target - { typeId, requisite } (requisite: describeType() entry, null for the object's value)
+ * @param {Object} context - { pool, db, types, normalize }
+ * @returns {Promise<Object>} { kind, param, message } plus regex, bound, length,
+ *   list or ast/paths, depending on the kind
+ * @throws {ValidationError}
+ */
+async function compileRule(rule, target, { pool, db, types, normalize }) {
+  const kind = String(rule.kind ?? '').trim();
+  const param = String(rule.param ?? '').trim();
+  const baseType = target.requisite ? target.requisite.baseType : target.baseType;
+  const compiled = { kind, param, message: String(rule.message ?? '').trim() || null };
+
+  switch (kind) {
+    case 'pattern':
+      if (!param) throw new ValidationError('Не задан шаблон');
+      try {
+        compiled.regex = new RegExp(`^(?:${param})$`, 'u');
+      } catch (error) {
+        throw new ValidationError(`Неверное регулярное выражение: ${error.message}`);
+      }
+      break;
+    case 'min':
+    case 'max':
+      if (!param) throw new ValidationError('Не задана граница');
+      compiled.bound = normalize(baseType, param);
+      break;
+    case 'minLength':
+    case 'maxLength':
+      if (!/^\d+$/.test(param)) throw new ValidationError('Длина должна быть целым неотрицательным числом');
+      compiled.length = Number(param);
+      break;
+    case 'unique':
+      compiled.param = param || 'type';
+      if (!UNIQUE_SCOPES.includes(compiled.param)) {
+        throw new ValidationError('Уникальность задаётся в пределах type или parent');
+      }
+      break;
+    case 'values':
+      compiled.list = splitList(param);
+      if (compiled.list.length === 0) throw new ValidationError('Список допустимых значений пуст');
+      if (!target.requisite?.refTypeId) compiled.list = compiled.list.map(v => normalize(baseType, v));
+      break;
+    case 'condition': {
+      if (!param) throw new ValidationError('Не задано условие');
+      const { ast, paths } = await compileFormula(pool, db, target.typeId, param, types);
+      compiled.ast = ast;
+      compiled.paths = paths;
+      break;
+    }
+    default:
+      throw new ValidationError(`Неизвестный вид правила «${kind}»: ${RULE_KINDS.join(', ')}`);
+  }
+  return compiled;
+}
+
+/** Message of a failed rule */
+function ruleMessage(rule, name, value) {
+  if (rule.message) return rule.message;
+  switch (rule.kind) {
+    case 'pattern': return `«${name}»: значение «${value}» не соответствует шаблону`;
+    case 'min': return `«${name}»: значение не может быть меньше ${rule.param}`;
+    case 'max': return `«${name}»: значение не может быть больше ${rule.param}`;
+    case 'minLength': return `«${name}»: не меньше ${rule.length} символов`;
+    case 'maxLength': return `«${name}»: не больше ${rule.length} символов`;
+    case 'unique': return rule.param === 'parent'
+      ? `«${name}»: значение «${value}» уже есть у другой записи этого раздела`
+      : `«${name}»: значение «${value}» уже используется`;
+    case 'values': return `«${name}»: недопустимое значение «${value}»`;
+    default: return `«${name}»: не выполнено условие ${rule.param}`;
+  }
+}
+
+// ============================================================================
+// Rule settings
+// ============================================================================
+
+/**
+ * Provision the rule settings type. Objects are named by requisite (or type) id.
+ * @returns {Promise<Object>} { typeId, fields }
+ */
+export async function ensureRuleType(pool, db) {
+  const typeId = await ensureRootType(pool, db, RULE_TYPE_NAME, BASE.SHORT);
+  const fields = await ensureFields(pool, db, typeId, RULE_FIELDS);
+  return { typeId, fields };
+}
+
+/**
+ * Read the stored rules without provisioning anything.
+ * @returns {Promise<Object>} { typeId, rules: Map<targetId, [{ kind, param, message }]> }
+ */
+export async function loadRules(pool, db) {
+  const rules = new Map();
+  if (!(await findRootType(pool, db, RULE_TYPE_NAME, BASE.SHORT))) return { typeId: null, rules };
+
+  const { typeId, fields } = await ensureRuleType(pool, db);
+  for (const { name, values } of await loadObjects(pool, db, typeId, fields)) {
+    const targetId = parseInt(name, 10);
+    if (!(targetId > 0) || !values.kind) continue;
+    if (!rules.has(targetId)) rules.set(targetId, []);
+    rules.get(targetId).push({ kind: values.kind, param: values.param ?? '', message: values.message ?? '' });
+  }
+  return { typeId, rules };
+}
+
+/** Replace the rules of a requisite (or type); an empty list removes them */
+export async function saveRules(pool, db, targetId, rules) {
+  const { typeId, fields } = await ensureRuleType(pool, db);
+  const [rows] = await pool.query(
+    `SELECT id FROM \`${db}\` WHERE t = ? AND up = 1 AND val = ?`,
+    [typeId, String(targetId)]
+  );
+  for (const row of rows) {
+    await pool.query(`DELETE FROM \`${db}\` WHERE up = ?`, [row.id]);
+    await pool.query(`DELETE FROM \`${db}\` WHERE id = ?`, [row.id]);
+  }
+  for (const rule of rules) {
+    const objectId = await insert(pool, db, 1, await nextOrder(pool, db, 1), typeId, String(targetId));
+    await setValue(pool, db, objectId, fields.kind, rule.kind);
+    if (rule.param) await setValue(pool, db, objectId, fields.param, rule.param);
+    if (rule.message) await setValue(pool, db, objectId, fields.message, rule.message);
+  }
+}
+
+/**
+ * What a rule is attached to: a requisite of a type or a type itself.
+ * @returns {Promise<Object|null>} { typeId, typeName, baseType, requisite }
+ */
+async function resolveTarget(pool, db, targetId, types) {
+  const [rows] = await pool.query(`SELECT id, up FROM \`${db}\` WHERE id = ?`, [targetId]);
+  if (rows.length === 0) return null;
+  const typeId = Number(rows[0].up) === 0 ? Number(rows[0].id) : Number(rows[0].up);
+  if (!types.has(typeId)) types.set(typeId, describeType(pool, db, typeId));
+  const type = await types.get(typeId);
+  if (!type) return null;
+  const requisite = typeId === Number(targetId) ? null : type.requisites.find(r => r.id === Number(targetId));
+  if (typeId !== Number(targetId) && !requisite) return null;
+  return { typeId, typeName: type.name, baseType: type.baseType, requisite };
+}
+
+// ============================================================================
+// Engine
+// ============================================================================
+
+/**
+ * Create the validation rule engine.
+ *
+ * @param {Object} options
+ * @param {Function} options.getPool - returns the connection pool
+ * @param {Function} [options.normalize] - (baseType, value) → value as stored;
+ *   applied to submitted values and to bounds and allowed values
+ * @param {number} [options.ttl=60] - seconds rules are kept compiled
+ * @param {Object} [options.logger]
+ * @param {Function} [options.now] - clock, ms
+ */
+export function createValidationRules({
+  getPool,
+  normalize = (baseType, value) => String(value),
+  ttl = 60,
+  logger = console,
+  now = () => Date.now(),
+}) {
+  const loaded = new Map(); // db → { byType, targets, types, loadedAt }
+
+  async function load(db) {
+    const pool = getPool();
+    const { rules } = await loadRules(pool, db);
+    const types = new Map();
+    const byType = new Map(); // typeId → [{ targetId, requisite, rule }]
+    const targets = new Map(); // targetId → { ...target, rules, error }
+    for (const [targetId, list] of rules) {
+      const target = await resolveTarget(pool, db, targetId, types);
+      if (!target) {
+        targets.set(targetId, { typeId: null, requisite: null, rules: list, error: `Реквизит ${targetId} не найден` });
+        continue;
+      }
+      const entry = { ...target, rules: list, error: null };
+      targets.set(targetId, entry);
+      for (const rule of list) {
+        try {
+          const compiled = await compileRule(rule, target, { pool, db, types, normalize });
+          if (!byType.has(target.typeId)) byType.set(target.typeId, []);
+          byType.get(target.typeId).push({ targetId, requisite: target.requisite, rule: compiled });
+        } catch (error) {
+          // Rules edited as plain objects skip validation: a broken one is not enforced
+          entry.error = error.message;
+          logger.warn('[Rules] Rule ignored', { db, targetId, kind: rule.kind, error: error.message });
+        }
+      }
+    }
+    return { byType, targets, types, loadedAt: now() };
+  }
+
+  async function rulesOf(db) {
+    let entry = loaded.get(db);
+    if (!entry || now() - entry.loadedAt > ttl * 1000) {
+      entry = await load(db);
+      loaded.set(db, entry);
+    }
+    return entry;
+  }
+
+  async function isTaken(pool, db, { rule, requisite, typeId, objectId, parentId, value }) {
+    const params = [];
+    let sql;
+    if (!requisite) {
+      sql = `SELECT id FROM \`${db}\` WHERE t = ? AND val = ? AND up != 0 AND id != ?`;
+      params.push(typeId, value, objectId || 0);
+      if (rule.param === 'parent') {
+        sql += ' AND up = ?';
+        params.push(parentId);
+      }
+    } else {
+      sql = requisite.refTypeId
+        ? `SELECT o.id FROM \`${db}\` r JOIN \`${db}\` o ON o.id = r.up WHERE r.t = ? AND r.val = ?`
+        : `SELECT o.id FROM \`${db}\` r JOIN \`${db}\` o ON o.id = r.up WHERE r.val = ? AND r.t = ?`;
+      params.push(...(requisite.refTypeId ? [Number(value), String(requisite.id)] : [value, requisite.id]));
+      sql += ' AND o.t = ? AND o.id != ?';
+      params.push(typeId, objectId || 0);
+      if (rule.param === 'parent') {
+        sql += ' AND o.up = ?';
+        params.push(parentId);
+      }
+    }
+    const [rows] = await pool.query(`${sql} LIMIT 1`, params);
+    return rows.length > 0;
+  }
+
+  /** Values of a condition's paths, submitted ones taking precedence over stored ones */
+  async function conditionLookup(pool, db, rule, { objectId, value, submitted }) {
+    const values = new Map();
+    for (const { node, steps } of rule.paths) {
+      const [first] = steps;
+      let result;
+      if (first.kind === 'main' && value !== undefined) {
+        result = value === '' ? [] : [value];
+      } else if (first.kind === 'val' && submitted.has(first.reqId)) {
+        result = submitted.get(first.reqId);
+      } else if (first.kind === 'ref' && submitted.has(first.reqId)) {
+        const targets = submitted.get(first.reqId).map(Number).filter(id => id > 0);
+        const read = await readPath(pool, db, steps.slice(1), targets);
+        result = targets.flatMap(id => read.get(id) || []);
+      } else if (objectId) {
+        result = (await readPath(pool, db, steps, [objectId])).get(objectId) || [];
+      } else {
+        result = [];
+      }
+      values.set(node, result);
+    }
+    return node => values.get(node) || [];
+  }
+
+  /**
+   * Check the values about to be written against the rules of the type.
+   *
+   * Rules of the submitted requisites are checked, conditions always; a
+   * value that is not submitted is read from the object when a condition
+   * needs it.
+   *
+   * @param {string} db
+   * @param {Object} target
+   * @param {number} target.typeId - type of the object
+   * @param {number} [target.objectId] - the object; empty for a new one
+   * @param {number} [target.parentId] - its parent (for unique within parent)
+   * @param {string} [target.value] - new value of the object itself
+   * @param {Object} [target.values] - requisite id → submitted value
+   *   (references: id of the referenced object; MULTI: comma-separated)
+   * @returns {Promise<Object[]>} [{ requisite, field, name, kind, message }]
+   */
+  async function validate(db, { typeId, objectId = null, parentId = null, value, values = {} }) {
+    const { byType, types } = await rulesOf(db);
+    const rules = byType.get(Number(typeId));
+    if (!rules) return [];
+
+    const pool = getPool();
+    if (!types.has(Number(typeId))) types.set(Number(typeId), describeType(pool, db, Number(typeId)));
+    const type = await types.get(Number(typeId));
+    if (!type) return [];
+
+    const mainValue = value === undefined || value === null ? undefined : normalize(type.baseType, value);
+    const submitted = new Map();
+    for (const requisite of type.requisites) {
+      const raw = values[requisite.id] ?? values[String(requisite.id)];
+      if (raw === undefined) continue;
+      const parts = splitValues(raw, requisite.multi || Boolean(requisite.refTypeId));
+      submitted.set(requisite.id, requisite.refTypeId ? parts : parts.map(v => normalize(requisite.baseType, v)));
+    }
+    if (parentId == null && objectId && rules.some(r => r.rule.kind === 'unique' && r.rule.param === 'parent')) {
+      const [rows] = await pool.query(`SELECT up FROM \`${db}\` WHERE id = ?`, [objectId]);
+      parentId = rows.length > 0 ? Number(rows[0].up) : null;
+    }
+
+    const errors = [];
+    const fail = (targetId, name, rule, shown) => errors.push({
+      requisite: targetId,
+      field: `t${targetId}`,
+      name,
+      kind: rule.kind,
+      message: ruleMessage(rule, name, shown),
+    });
+
+    for (const { targetId, requisite, rule } of rules) {
+      const name = requisite ? requisite.name : type.name;
+
+      if (rule.kind === 'condition') {
+        const lookup = await conditionLookup(pool, db, rule, { objectId, value: mainValue, submitted });
+        if (!isTruthy(evaluateFormula(rule.ast, lookup))) fail(targetId, name, rule, null);
+        continue;
+      }
+
+      let current;
+      if (!requisite) current = mainValue === undefined ? undefined : splitValues(mainValue, false);
+      else current = submitted.get(requisite.id);
+      if (!current || current.length === 0) continue;
+
+      // References are checked by the value of the referenced object
+      let shown = current;
+      if (requisite?.refTypeId) {
+        const ids = current.map(Number).filter(id => id > 0);
+        const [rows] = ids.length > 0
+          ? await pool.query(`SELECT id, val FROM \`${db}\` WHERE id IN (${ids.map(() => '?').join(',')})`, ids)
+          : [[]];
+        const names = new Map(rows.map(r => [Number(r.id), String(r.val ?? '')]));
+        shown = ids.map(id => names.get(id) ?? String(id));
+      }
+
+      for (let i = 0; i < current.length; i++) {
+        const item = current[i];
+        const label = shown[i];
+        let ok;
+        switch (rule.kind) {
+          case 'pattern': ok = rule.regex.test(label); break;
+          case 'min': ok = compare('>=', item, rule.bound); break;
+          case 'max': ok = compare('<=', item, rule.bound); break;
+          case 'minLength': ok = [...label].length >= rule.length; break;
+          case 'maxLength': ok = [...label].length <= rule.length; break;
+          case 'values': ok = rule.list.includes(label); break;
+          default:
+            ok = !(await isTaken(pool, db, { rule, requisite, typeId: type.id, objectId, parentId, value: item }));
+        }
+        if (!ok) {
+          fail(targetId, name, rule, label);
+          break;
+        }
+      }
+    }
+    return errors;
+  }
+
+  return {
+    /** Forget the compiled rules of a database */
+    invalidate(db) {
+      loaded.delete(db);
+    },
+
+    /**
+     * Rules of a database for the editors.
+     * @returns {Promise<Object[]>} [{ targetId, typeId, typeName, requisite, rules, error }]
+     */
+    async list(db) {
+      const { targets } = await rulesOf(db);
+      return [...targets].map(([targetId, t]) => ({
+        targetId,
+        typeId: t.typeId,
+        typeName: t.typeName ?? null,
+        requisite: t.requisite ? t.requisite.name : null,
+        rules: t.rules,
+        error: t.error,
+      }));
+    },
+
+    /**
+     * Validate and store the rules of a requisite or of a type's own value.
+     *
+     * @param {string} db
+     * @param {number} targetId - requisite row id or type id
+     * @param {Object[]} rules - [{ kind, param, message }]; empty removes them
+     * @returns {Promise<Object[]>} the stored rules
+     * @throws {ValidationError}
+     */
+    async setRules(db, targetId, rules) {
+      if (!Array.isArray(rules)) throw new ValidationError('Правила передаются списком');
+      const pool = getPool();
+      const types = new Map();
+      const target = await resolveTarget(pool, db, targetId, types);
+      if (!target) throw new ValidationError(`Реквизит ${targetId} не найден`);
+
+      const cleaned = [];
+      for (const [i, rule] of rules.entries()) {
+        try {
+          const compiled = await compileRule(rule || {}, target, { pool, db, types, normalize });
+          cleaned.push({ kind: compiled.kind, param: compiled.param, message: compiled.message || '' });
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          throw new ValidationError(`Правило ${i + 1}: ${error.message}`, { index: i });
+        }
+      }
+
+      await saveRules(pool, db, targetId, cleaned);
+      loaded.delete(db);
+      return cleaned;
+    },
+
+    validate,
+
+    /**
+     * validate() for writers that report errors by throwing (v2 API, import).
+     * @throws {ValidationError} fields: { t<id>: message }
+     */
+    async assertValid(db, target) {
+      const errors = await validate(db, target);
+      if (errors.length > 0) throw rulesError(errors);
+    },
+  };
+}
+
+/**
+ * ValidationError for rule violations: one message, fields by form field.
+ * @param {Object[]} errors - validate() result
+ * @returns {ValidationError}
+ */
+export function rulesError(errors) {
+  const fields = {};
+  for (const e of errors) fields[e.field] = fields[e.field] ? `${fields[e.field]}; ${e.message}` : e.message;
+  return new ValidationError(errors.map(e => e.message).join('; '), fields);
+}
@@ -0,0 +1,137 @@
+/**
+ * Minimal ZIP reader/writer (no external dependencies — uses Node built-in zlib).
+ *
+ * Used for legacy dump/CSV downloads and restores, and as the container of
+ * XLSX and ODS spreadsheets, which need several entries and, for ODS, an
+ * uncompressed first entry.
+ */
+
+import zlib from 'zlib';
+
+const CRC32_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let j = 0; j < 8; j++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[i] = c;
+  }
+  return t;
+})();
+
+export function crc32(buf) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) crc = CRC32_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive.
+ *
+ * @param {Array<{name: string, content: Buffer|string, store?: boolean}>} entries
+ *   store=true keeps the entry uncompressed (method 0)
+ * @param {Date} [date] - modification time of every entry
+ * @returns {Buffer}
+ */
+export function buildZipArchive(entries, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const buf = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+    const method = entry.store ? 0 : 8;
+    const data = entry.store ? buf : zlib.deflateRawSync(buf);
+    const fileCrc = crc32(buf);
+    const nameBuf = Buffer.from(entry.name, 'utf8');
+
+    // Local file header (30 bytes + filename); bit 11 = UTF-8 names
+    const lfh = Buffer.alloc(30 + nameBuf.length);
+    lfh.writeUInt32LE(0x04034b50, 0);
+    lfh.writeUInt16LE(20, 4);
+    lfh.writeUInt16LE(0x0800, 6);
+    lfh.writeUInt16LE(method, 8);
+    lfh.writeUInt16LE(dosTime, 10);
+    lfh.writeUInt16LE(dosDate, 12);
+    lfh.writeUInt32LE(fileCrc, 14);
+    lfh.writeUInt32LE(data.length, 18);
+    lfh.writeUInt32LE(buf.length, 22);
+    lfh.writeUInt16LE(nameBuf.length, 26);
+    lfh.writeUInt16LE(0, 28);
+    nameBuf.copy(lfh, 30);
+
+    // Central directory header (46 bytes + filename)
+    const cdh = Buffer.alloc(46 + nameBuf.length);
+    cdh.writeUInt32LE(0x02014b50, 0);
+    cdh.writeUInt16LE(20, 4);
+    cdh.writeUInt16LE(20, 6);
+    cdh.writeUInt16LE(0x0800, 8);
+    cdh.writeUInt16LE(method, 10);
+    cdh.writeUInt16LE(dosTime, 12);
+    cdh.writeUInt16LE(dosDate, 14);
+    cdh.writeUInt32LE(fileCrc, 16);
+    cdh.writeUInt32LE(data.length, 20);
+    cdh.writeUInt32LE(buf.length, 24);
+    cdh.writeUInt16LE(nameBuf.length, 28);
+    cdh.writeUInt32LE(offset, 42);
+    nameBuf.copy(cdh, 46);
+
+    parts.push(lfh, data);
+    central.push(cdh);
+    offset += lfh.length + data.length;
+  }
+
+  const cdLength = central.reduce((sum, b) => sum + b.length, 0);
+
+  // End of central directory (22 bytes)
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cdLength, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, ...central, eocd]);
+}
+
+/**
+ * Read entries from a ZIP buffer. Supports stored (method 0) and deflate (method 8).
+ * @param {Buffer} buf - ZIP file buffer
+ * @returns {Array<{name: string, content: Buffer}>}
+ */
+export function readZip(buf) {
+  // Find End of Central Directory signature (search backwards)
+  let eocdOffset = -1;
+  for (let i = buf.length - 22; i >= 0; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocdOffset = i; break; }
+  }
+  if (eocdOffset < 0) throw new Error('Not a valid ZIP file');
+
+  const cdCount  = buf.readUInt16LE(eocdOffset + 10);
+  const cdOffset = buf.readUInt32LE(eocdOffset + 16);
+
+  const entries = [];
+  let pos = cdOffset;
+  for (let i = 0; i < cdCount; i++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) break;
+    const method     = buf.readUInt16LE(pos + 10);
+    const compSize   = buf.readUInt32LE(pos + 20);
+    const nameLen    = buf.readUInt16LE(pos + 28);
+    const extraLen   = buf.readUInt16LE(pos + 30);
+    const commentLen = buf.readUInt16LE(pos + 32);
+    const localOff   = buf.readUInt32LE(pos + 42);
+    const name       = buf.slice(pos + 46, pos + 46 + nameLen).toString('utf8');
+
+    // Local file header: 30 bytes fixed + name + extra
+    const lfhExtraLen = buf.readUInt16LE(localOff + 28);
+    const dataStart   = localOff + 30 + nameLen + lfhExtraLen;
+    const compData    = buf.slice(dataStart, dataStart + compSize);
+
+    const content = method === 0 ? compData : zlib.inflateRawSync(compData);
+    entries.push({ name, content });
+    pos += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
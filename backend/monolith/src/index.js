@@ -96,7 +96,7 @@ import { createAccountingRoutes } from './api/routes/accounting.js';
 import messagingRoutes from './api/routes/messaging.js';
 import authRoutes from './api/routes/auth.js';
 import emailAuthRoutes from './api/routes/email-auth.js';
-import legacyCompatRoutes from './api/routes/legacy-compat.js';
+import legacyCompatRoutes, { getReportScheduler, enableCalculatedRequisites } from './api/routes/legacy-compat.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import adminRoutes from './api/routes/admin.js';
@@ -253,6 +253,7 @@ class IntegramBackend {
     this.websocket = null;
     this.healthMonitor = null;
     this.memoryMonitor = null;
+    this.reportScheduler = null;
 
     logger.info('Integram Monolithic Backend initialized', this.config);
   }
@@ -1337,6 +1338,15 @@ class IntegramBackend {
       this.memoryMonitor.start();
       logger.info('Memory monitoring started');
 
+      // Scheduled report delivery (REPORT_SCHEDULER=false disables it, e.g. on extra replicas)
+      if (process.env.REPORT_SCHEDULER !== 'false') {
+        this.reportScheduler = getReportScheduler();
+        this.reportScheduler.start();
+      }
+
+      // Calculated requisites follow the objects they read
+      enableCalculatedRequisites();
+
       // Initialize GitHub webhook queue worker (Issue #5079)
       try {
         const { getWebhookQueue } = await import('./services/kag/WebhookQueue.js');
@@ -1533,6 +1543,11 @@ class IntegramBackend {
         this.memoryMonitor.stop();
       }
 
+      // Stop scheduled report delivery
+      if (this.reportScheduler) {
+        this.reportScheduler.stop();
+      }
+
       // Cleanup task queue (Issue #2157)
       if (this.taskQueue) {
         this.taskQueue.shutdown();
@@ -9,6 +9,7 @@ export default defineConfig({
     alias: {
       '@integram/common': path.resolve(__dirname, '../../packages/@integram/common/index.js'),
       '@integram/database': path.resolve(__dirname, '../../packages/@integram/database/index.js'),
+      '@integram/grants': path.resolve(__dirname, '../../packages/@integram/grants/index.js'),
       '@integram/logger': path.resolve(__dirname, '../../packages/@integram/logger/index.js'),
     },
   },
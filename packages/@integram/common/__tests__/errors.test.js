@@ -15,6 +15,7 @@ import {
   DatabaseNotFoundError,
   ObjectNotFoundError,
   DuplicateError,
+  VersionConflictError,
   EmailExistsError,
   PasswordError,
 } from '../errors/index.js';
@@ -139,6 +140,15 @@ describe('@integram/common errors', () => {
     });
   });
 
+  describe('VersionConflictError', () => {
+    it('should report both versions', () => {
+      const error = new VersionConflictError(42, 3, 5);
+      expect(error.statusCode).toBe(412);
+      expect(error.code).toBe('VERSION_CONFLICT');
+      expect(error.details).toEqual({ objectId: 42, expectedVersion: 3, currentVersion: 5 });
+    });
+  });
+
   describe('EmailExistsError', () => {
     it('should have correct message', () => {
       const error = new EmailExistsError('test@example.com');
@@ -248,6 +248,22 @@ export class DuplicateError extends IntegramError {
   }
 }
 
+/**
+ * Error thrown when an optimistic concurrency check fails
+ * (If-Match version differs from the current object version).
+ */
+export class VersionConflictError extends IntegramError {
+  constructor(objectId, expectedVersion, currentVersion) {
+    super(
+      `Object ${objectId} was modified: expected version ${expectedVersion}, current ${currentVersion}`,
+      'VERSION_CONFLICT',
+      412,
+      { objectId, expectedVersion, currentVersion }
+    );
+    this.name = 'VersionConflictError';
+  }
+}
+
 // ============================================================================
 // File Errors
 // ============================================================================
@@ -372,6 +388,7 @@ export default {
   ObjectNotFoundError,
   UserNotFoundError,
   DuplicateError,
+  VersionConflictError,
 
   // File
   FileError,
@@ -6,7 +6,7 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { ConnectionManager, createConnectionFromEnv } from '../connection.js';
+import { ConnectionManager, TransactionConnection, createConnectionFromEnv } from '../connection.js';
 
 describe('@integram/database ConnectionManager', () => {
   describe('constructor', () => {
@@ -215,6 +215,54 @@ describe('@integram/database ConnectionManager', () => {
       expect(mockConnection.rollback).toHaveBeenCalled();
       expect(mockConnection.release).toHaveBeenCalled();
     });
+
+    it('should release the connection when BEGIN fails', async () => {
+      const mockConnection = {
+        beginTransaction: vi.fn().mockRejectedValue(new Error('Lock wait timeout')),
+        release: vi.fn(),
+      };
+      const mockPool = {
+        query: vi.fn(),
+        getConnection: vi.fn().mockResolvedValue(mockConnection),
+        end: vi.fn(),
+      };
+
+      const cm = new ConnectionManager({ user: 'test', password: 'test' });
+      await cm.initialize({ createPool: () => mockPool });
+
+      await expect(cm.beginTransaction()).rejects.toThrow('Lock wait timeout');
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('TransactionConnection', () => {
+    it('should run queries on its connection and release it on commit', async () => {
+      const mockConnection = {
+        query: vi.fn().mockResolvedValue([[{ id: 1 }], []]),
+        commit: vi.fn(),
+        rollback: vi.fn(),
+        release: vi.fn(),
+      };
+      const tx = new TransactionConnection(mockConnection, null);
+
+      expect(await tx.query('SELECT 1', [], 'test')).toEqual({ rows: [{ id: 1 }], fields: [] });
+      await tx.commit();
+
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalledTimes(1);
+      await expect(tx.query('SELECT 1', [], 'late')).rejects.toThrow('Transaction already finished');
+    });
+
+    it('should release the connection even when rollback fails', async () => {
+      const mockConnection = {
+        rollback: vi.fn().mockRejectedValue(new Error('Connection lost')),
+        release: vi.fn(),
+      };
+      const tx = new TransactionConnection(mockConnection, null);
+
+      await expect(tx.rollback()).rejects.toThrow('Connection lost');
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
   });
 
   describe('healthCheck', () => {
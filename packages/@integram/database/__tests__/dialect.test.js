@@ -0,0 +1,147 @@
+/**
+ * @integram/database - SQL Dialect Tests
+ *
+ * Unit tests for MySQL → SQLite translation and dialect-aware query building.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MYSQL_DIALECT, SQLITE_DIALECT, getDialect } from '../dialect.js';
+import QueryBuilder, { buildCreateTable } from '../query-builder.js';
+
+describe('@integram/database dialects', () => {
+  describe('SQLITE_DIALECT.translate', () => {
+    const translate = sql => SQLITE_DIALECT.translate(sql, { database: 'integram' });
+
+    it('should convert backtick identifiers and MySQL string literals', () => {
+      expect(translate("SELECT `id` FROM `my db` WHERE val = \"it's\" AND t = 'a\\'b'"))
+        .toBe(`SELECT "id" FROM "my db" WHERE val = 'it''s' AND t = 'a''b'`);
+    });
+
+    it('should rewrite LIMIT offset, count', () => {
+      expect(translate('SELECT * FROM t LIMIT 20, 10')).toBe('SELECT * FROM t LIMIT 10 OFFSET 20');
+      expect(translate('SELECT * FROM t LIMIT ?, ?')).toBe('SELECT * FROM t LIMIT ? OFFSET ?');
+    });
+
+    it('should rewrite GROUP_CONCAT separators', () => {
+      expect(translate("SELECT GROUP_CONCAT(val SEPARATOR '; ') FROM t"))
+        .toBe("SELECT group_concat(val, '; ') FROM t");
+      expect(translate("SELECT GROUP_CONCAT(DISTINCT val SEPARATOR ', ') FROM t"))
+        .toBe("SELECT group_concat_distinct(val, ', ') FROM t");
+      expect(translate('SELECT GROUP_CONCAT(DISTINCT CONCAT(a, b)) FROM t'))
+        .toBe('SELECT group_concat(DISTINCT CONCAT(a, b)) FROM t');
+    });
+
+    it('should leave REGEXP to the driver function and map RLIKE', () => {
+      expect(translate("SELECT id FROM t WHERE val REGEXP '^a' OR val RLIKE ?"))
+        .toBe("SELECT id FROM t WHERE val REGEXP '^a' OR val REGEXP ?");
+    });
+
+    it('should rewrite INSERT IGNORE, FOR UPDATE and casts', () => {
+      expect(translate('INSERT IGNORE INTO `t` (id) VALUES (?)')).toBe('INSERT OR IGNORE INTO "t" (id) VALUES (?)');
+      expect(translate('SELECT id FROM t WHERE id = ? FOR UPDATE')).toBe('SELECT id FROM t WHERE id = ?');
+      expect(translate('SELECT CAST(ord AS SIGNED), CAST(val AS DECIMAL(10,2)) FROM t'))
+        .toBe('SELECT CAST(ord AS INTEGER), CAST(val AS REAL) FROM t');
+    });
+
+    it('should not touch keywords inside string literals', () => {
+      expect(translate("SELECT 'LIMIT 1, 2 FOR UPDATE' FROM t")).toBe("SELECT 'LIMIT 1, 2 FOR UPDATE' FROM t");
+    });
+
+    it('should answer SHOW TABLES from sqlite_master', () => {
+      expect(translate('SHOW TABLES LIKE ?')).toBe(
+        `SELECT name AS "Tables_in_integram" FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name LIKE ? ORDER BY name`
+      );
+    });
+
+    it('should answer SHOW COLUMNS from pragma_table_info', () => {
+      expect(translate("SHOW COLUMNS FROM `events` LIKE 'updated_at'")).toBe(
+        `SELECT name AS "Field", type AS "Type", CASE WHEN "notnull" THEN 'NO' ELSE 'YES' END AS "Null", `
+        + `CASE WHEN pk THEN 'PRI' ELSE '' END AS "Key", dflt_value AS "Default" `
+        + `FROM pragma_table_info('events') WHERE name LIKE 'updated_at' ORDER BY cid`
+      );
+    });
+
+    it('should answer SHOW INDEX and add indexes under the names of CREATE TABLE', () => {
+      expect(translate("SHOW INDEX FROM tx WHERE Key_name = 'idx_a'")).toBe(
+        `SELECT * FROM (SELECT 'tx' AS "Table", CASE WHEN "unique" THEN 0 ELSE 1 END AS "Non_unique", `
+        + `substr(name, 4) AS "Key_name" FROM pragma_index_list('tx') WHERE substr(name, 1, 3) = 'tx_') WHERE Key_name = 'idx_a'`
+      );
+      expect(translate('ALTER TABLE `tx` ADD INDEX idx_a (a, b)'))
+        .toBe('CREATE INDEX IF NOT EXISTS "tx_idx_a" ON "tx" (a, b)');
+      expect(translate('ALTER TABLE tx ADD UNIQUE KEY idx_b (b)'))
+        .toBe('CREATE UNIQUE INDEX IF NOT EXISTS "tx_idx_b" ON "tx" (b)');
+    });
+
+    it('should rewrite ON DUPLICATE KEY UPDATE as an upsert', () => {
+      expect(translate('INSERT INTO t (k, v) VALUES (?, ?) ON DUPLICATE KEY UPDATE v = VALUES(v), n = n + 1'))
+        .toBe('INSERT INTO t (k, v) VALUES (?, ?) ON CONFLICT DO UPDATE SET v = excluded.v, n = n + 1');
+    });
+
+    it('should map ENUM, JSON and ON UPDATE columns in CREATE TABLE and ADD COLUMN', () => {
+      expect(translate(`CREATE TABLE IF NOT EXISTS d (
+        id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        status ENUM('pending', 'sent') NOT NULL DEFAULT 'pending',
+        payload JSON,
+        updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+      ) ENGINE=InnoDB`)).toBe([
+        'CREATE TABLE IF NOT EXISTS "d" (id INTEGER PRIMARY KEY AUTOINCREMENT',
+        "status TEXT NOT NULL DEFAULT 'pending'",
+        'payload TEXT',
+        'updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP)',
+      ].join(', '));
+      expect(translate('ALTER TABLE d ADD COLUMN meta JSON AFTER id'))
+        .toBe('ALTER TABLE d ADD COLUMN meta TEXT');
+    });
+  });
+
+  describe('buildCreateTable', () => {
+    it('should build the MySQL table of the PHP monolith', () => {
+      const { sql } = buildCreateTable('mydb');
+
+      expect(sql).toContain('CREATE TABLE IF NOT EXISTS `mydb`');
+      expect(sql).toContain('INDEX idx_up_t (up, t)');
+      expect(sql).toContain('ENGINE=InnoDB');
+    });
+
+    it('should build the same table for SQLite with separate indexes', () => {
+      const { sql } = buildCreateTable('mydb', 'sqlite');
+
+      expect(sql.split('; ')).toEqual([
+        'CREATE TABLE IF NOT EXISTS "mydb" (id INTEGER PRIMARY KEY AUTOINCREMENT, up BIGINT NOT NULL DEFAULT 0, '
+          + 'ord INT NOT NULL DEFAULT 1, t BIGINT NOT NULL DEFAULT 0, val TEXT)',
+        'CREATE INDEX IF NOT EXISTS "mydb_idx_up" ON "mydb" (up)',
+        'CREATE INDEX IF NOT EXISTS "mydb_idx_t" ON "mydb" (t)',
+        'CREATE INDEX IF NOT EXISTS "mydb_idx_up_t" ON "mydb" (up, t)',
+      ]);
+    });
+  });
+
+  describe('QueryBuilder with a dialect', () => {
+    it('should keep MySQL output by default', () => {
+      const query = QueryBuilder.from('t').whereRegexp('val', '^a').offset(5);
+
+      expect(query.dialect).toBe(MYSQL_DIALECT);
+      expect(query.toSql()).toBe('SELECT * FROM t WHERE val REGEXP ? LIMIT 18446744073709551615 OFFSET 5');
+      expect(query.getParams()).toEqual(['^a']);
+    });
+
+    it('should build SQLite quoting, paging and group concatenation', () => {
+      const query = QueryBuilder.from('t', { dialect: 'sqlite' });
+      const sql = query
+        .select('up', `${query.groupConcat('val', { separator: '|' })} AS vals`)
+        .whereRaw('`t` = ?', [5])
+        .whereRegexp('val', 'x', true)
+        .groupBy('up')
+        .offset(10)
+        .toSql();
+
+      expect(query.quote('my db')).toBe('"my db"');
+      expect(sql).toBe(`SELECT up, group_concat(val, '|') AS vals FROM t WHERE "t" = ? AND val NOT REGEXP ? GROUP BY up LIMIT -1 OFFSET 10`);
+    });
+
+    it('should reject unknown dialects and unsafe identifiers', () => {
+      expect(() => getDialect('oracle')).toThrow('Unknown SQL dialect');
+      expect(() => SQLITE_DIALECT.quoteIdentifier('a"b')).toThrow('Invalid SQL identifier');
+    });
+  });
+});
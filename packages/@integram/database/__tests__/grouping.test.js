@@ -0,0 +1,159 @@
+/**
+ * @integram/database - Grouping Tests
+ *
+ * Unit tests for server-side grouping, aggregation and pivot queries.
+ * These tests verify SQL generation and result shaping without a database.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildGroupQuery,
+  buildPathConditions,
+  normalizeMetrics,
+  shapeGroups,
+  attachPivot,
+  DEFAULT_GROUP_LIMIT,
+  MAX_GROUP_LIMIT,
+} from '../grouping.js';
+
+describe('@integram/database grouping', () => {
+  describe('normalizeMetrics', () => {
+    it('should derive keys and lowercase functions', () => {
+      expect(normalizeMetrics([{ fn: 'COUNT' }, { fn: 'sum', id: 12 }, { fn: 'avg', id: '13', key: 'price' }])).toEqual([
+        { fn: 'count', id: null, key: 'count' },
+        { fn: 'sum', id: 12, key: 'sum_12' },
+        { fn: 'avg', id: 13, key: 'price' },
+      ]);
+    });
+
+    it('should reject unknown functions and metrics without a requisite', () => {
+      expect(() => normalizeMetrics([{ fn: 'median', id: 12 }])).toThrow('Unsupported aggregate');
+      expect(() => normalizeMetrics([{ fn: 'sum' }])).toThrow('needs a requisite');
+    });
+  });
+
+  describe('buildGroupQuery', () => {
+    it('should group by a plain requisite', () => {
+      const { sql, params, level } = buildGroupQuery({
+        table: 'mydb',
+        levels: [{ id: 12 }],
+        metrics: [{ fn: 'count' }, { fn: 'sum', id: 14 }],
+        where: ['a.t = ?'],
+        params: [10],
+      });
+
+      expect(level).toBe(0);
+      expect(sql).toBe(
+        'SELECT g.val AS group_value, g.val AS group_label, COUNT(DISTINCT a.id) AS cnt,'
+        + ' SUM(CAST(m1.val AS DECIMAL(30,6))) AS m1'
+        + ' FROM `mydb` a LEFT JOIN `mydb` g ON g.up = a.id AND g.t = ?'
+        + ' LEFT JOIN `mydb` m1 ON m1.up = a.id AND m1.t = ?'
+        + ' WHERE a.t = ? GROUP BY g.val, g.val ORDER BY cnt DESC, group_label LIMIT ' + DEFAULT_GROUP_LIMIT
+      );
+      expect(params).toEqual([12, 14, 10]);
+    });
+
+    it('should label reference buckets with the referenced object value', () => {
+      const { sql, params } = buildGroupQuery({ table: 'mydb', levels: [{ id: 15, ref: true }], metrics: [{ fn: 'count' }] });
+
+      expect(sql).toContain('LEFT JOIN `mydb` g ON g.up = a.id AND g.val = ? LEFT JOIN `mydb` g_o ON g_o.id = g.t');
+      expect(sql).toContain('SELECT g.t AS group_value, g_o.val AS group_label');
+      expect(params).toEqual(['15']);
+    });
+
+    it('should group by the object value without a join', () => {
+      const { sql } = buildGroupQuery({ table: 'mydb', levels: [0], metrics: [{ fn: 'max', id: 0 }] });
+
+      expect(sql).toBe(
+        'SELECT a.val AS group_value, a.val AS group_label, COUNT(DISTINCT a.id) AS cnt,'
+        + ' MAX(CAST(a.val AS DECIMAL(30,6))) AS m0'
+        + ' FROM `mydb` a GROUP BY a.val, a.val ORDER BY cnt DESC, group_label LIMIT ' + DEFAULT_GROUP_LIMIT
+      );
+    });
+
+    it('should restrict the next level to the drill-down path', () => {
+      const { sql, params, level } = buildGroupQuery({
+        table: 'mydb',
+        levels: [{ id: 12 }, { id: 15, ref: true }, { id: 16 }],
+        path: ['Москва', null],
+        metrics: [{ fn: 'count' }],
+        where: ['a.t = ?'],
+        params: [10],
+        joins: ' LEFT JOIN `mydb` f ON f.up = a.id',
+      });
+
+      expect(level).toBe(2);
+      expect(sql).toContain('g.t = ? LEFT JOIN `mydb` f ON f.up = a.id WHERE a.t = ?'
+        + ' AND EXISTS (SELECT 1 FROM `mydb` x WHERE x.up = a.id AND x.t = ? AND x.val = ?)'
+        + ' AND NOT EXISTS (SELECT 1 FROM `mydb` x WHERE x.up = a.id AND x.val = ?)');
+      expect(params).toEqual([16, 10, 12, 'Москва', '15']);
+    });
+
+    it('should add pivot columns to the grouping', () => {
+      const { sql, params } = buildGroupQuery({ table: 'mydb', levels: [{ id: 12 }], pivot: { id: 15, ref: true }, metrics: [{ fn: 'count' }] });
+
+      expect(sql).toContain('p.t AS pivot_value, p_o.val AS pivot_label');
+      expect(sql).toContain('GROUP BY g.val, g.val, p.t, p_o.val');
+      expect(params).toEqual([12, '15']);
+    });
+
+    it('should cap the limit', () => {
+      expect(buildGroupQuery({ table: 'mydb', levels: [12], limit: 10 ** 9 }).sql).toMatch(new RegExp(`LIMIT ${MAX_GROUP_LIMIT}$`));
+      expect(buildGroupQuery({ table: 'mydb', levels: [12], limit: 5 }).sql).toMatch(/LIMIT 5$/);
+    });
+
+    it('should validate levels, path and table', () => {
+      expect(() => buildGroupQuery({ table: 'mydb', levels: [] })).toThrow('at least one');
+      expect(() => buildGroupQuery({ table: 'mydb', levels: [12], path: ['x'] })).toThrow('shorter');
+      expect(() => buildGroupQuery({ table: 'mydb', levels: ['abc'] })).toThrow('Invalid grouping requisite');
+      expect(() => buildGroupQuery({ table: 'my db', levels: [12] })).toThrow('Invalid table name');
+    });
+  });
+
+  describe('buildPathConditions', () => {
+    it('should build one condition per path value', () => {
+      expect(buildPathConditions('mydb', [0, { id: 15, ref: true }], [null, '77'])).toEqual([
+        { sql: 'a.val IS NULL', params: [] },
+        { sql: 'EXISTS (SELECT 1 FROM `mydb` x WHERE x.up = a.id AND x.val = ? AND x.t = ?)', params: ['15', 77] },
+      ]);
+    });
+
+    it('should reject a path longer than the grouping', () => {
+      expect(() => buildPathConditions('mydb', [12], ['a', 'b'])).toThrow('longer');
+    });
+  });
+
+  describe('result shaping', () => {
+    const metrics = normalizeMetrics([{ fn: 'count' }, { fn: 'sum', id: 14 }]);
+
+    it('should shape buckets with metrics and child paths', () => {
+      const groups = shapeGroups(
+        [{ group_value: 'Москва', group_label: 'Москва', cnt: 3, m1: '150.500000' }, { group_value: null, group_label: null, cnt: 1, m1: null }],
+        { metrics, path: ['2024'], depth: 3 }
+      );
+
+      expect(groups).toEqual([
+        { value: 'Москва', label: 'Москва', count: 3, metrics: { count: 3, sum_14: 150.5 }, path: ['2024', 'Москва'], hasChildren: true },
+        { value: null, label: null, count: 1, metrics: { count: 1, sum_14: null }, path: ['2024', null], hasChildren: true },
+      ]);
+      expect(shapeGroups([{ group_value: 'x', cnt: 1 }], { metrics, depth: 1 })[0].hasChildren).toBe(false);
+    });
+
+    it('should spread pivot rows over buckets', () => {
+      const groups = shapeGroups([{ group_value: 'A', cnt: 3 }, { group_value: null, cnt: 1 }], { metrics, depth: 1 });
+
+      const columns = attachPivot(groups, [
+        { group_value: 'A', pivot_value: 7, pivot_label: 'Новый', cnt: 1, m1: '10' },
+        { group_value: 'A', pivot_value: 8, pivot_label: 'Закрыт', cnt: 2, m1: '5' },
+        { group_value: null, pivot_value: 8, pivot_label: 'Закрыт', cnt: 1, m1: null },
+      ], metrics);
+
+      expect(columns).toEqual([{ value: 8, label: 'Закрыт' }, { value: 7, label: 'Новый' }]);
+      expect(groups[0].pivot).toEqual({
+        7: { count: 1, metrics: { count: 1, sum_14: 10 } },
+        8: { count: 2, metrics: { count: 2, sum_14: 5 } },
+      });
+      expect(groups[1].pivot['8'].count).toBe(1);
+    });
+  });
+});
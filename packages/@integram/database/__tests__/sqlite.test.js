@@ -0,0 +1,234 @@
+/**
+ * @integram/database - SQLite Driver Tests
+ *
+ * The adapter is tested over an injected better-sqlite3 compatible
+ * database; the end-to-end block runs when the native better-sqlite3
+ * binding is built.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+import { createSqliteDriver, prepareStatements } from '../sqlite.js';
+import { ConnectionManager, createConnectionFromEnv } from '../connection.js';
+import { DatabaseService } from '../index.js';
+import { buildCreateTable } from '../query-builder.js';
+
+/** better-sqlite3 compatible database that records executed statements */
+class FakeDatabase {
+  constructor(filename) {
+    this.filename = filename;
+    this.executed = [];
+    this.functions = {};
+    this.pragmas = [];
+    this.rows = [{ id: 1, val: 'a' }];
+  }
+
+  prepare(sql) {
+    if (/missing/.test(sql)) {
+      throw Object.assign(new Error('no such table: missing'), { code: 'SQLITE_ERROR' });
+    }
+    const reader = /^\s*SELECT/i.test(sql);
+    return {
+      reader,
+      all: (...params) => {
+        this.executed.push({ sql, params });
+        return this.rows;
+      },
+      run: (...params) => {
+        this.executed.push({ sql, params });
+        return { changes: 2, lastInsertRowid: 7 };
+      },
+      columns: () => [{ name: 'id', table: 't', type: 'INTEGER' }, { name: 'val', table: 't', type: 'TEXT' }],
+    };
+  }
+
+  function(name, options, fn) {
+    this.functions[name] = fn || options;
+  }
+
+  aggregate(name, options) {
+    this.functions[name] = options;
+  }
+
+  pragma(text) {
+    this.pragmas.push(text);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+function createPool(config = {}) {
+  return createSqliteDriver({ Database: FakeDatabase }).createPool(config);
+}
+
+const statements = pool => pool.db.executed.map(e => e.sql);
+
+describe('@integram/database SQLite driver', () => {
+  describe('prepareStatements', () => {
+    it('should expand array parameters and split statements outside literals', () => {
+      const result = prepareStatements("SELECT * FROM t WHERE id IN (?) AND v = '?;' AND b = ?; SELECT ?", [[1, 2], true, undefined]);
+
+      expect(result).toEqual([
+        { sql: "SELECT * FROM t WHERE id IN (?, ?) AND v = '?;' AND b = ?", params: [1, 2, 1] },
+        { sql: 'SELECT ?', params: [null] },
+      ]);
+    });
+  });
+
+  describe('pool', () => {
+    it('should translate MySQL SQL and return mysql2-shaped results', async () => {
+      const pool = createPool({ filename: '/tmp/integram.db' });
+
+      const [rows, fields] = await pool.query('SELECT `id`, val FROM `t` WHERE id IN (?) LIMIT 0, 5', [[1, 2]]);
+      const [header] = await pool.query('INSERT IGNORE INTO t (up, ord, t, val) VALUES (?, ?, ?, ?)', [1, 1, 3, 'x']);
+
+      expect(rows).toEqual([{ id: 1, val: 'a' }]);
+      expect(fields.map(f => f.name)).toEqual(['id', 'val']);
+      expect(header).toEqual({ affectedRows: 2, insertId: 7, warningStatus: 0 });
+      expect(statements(pool)).toEqual([
+        'SELECT "id", val FROM "t" WHERE id IN (?, ?) LIMIT 5 OFFSET 0',
+        'INSERT OR IGNORE INTO t (up, ord, t, val) VALUES (?, ?, ?, ?)',
+      ]);
+      expect(pool.db.pragmas).toContain('journal_mode = WAL');
+    });
+
+    it('should create the Integram table with its indexes', async () => {
+      const pool = createPool();
+
+      await pool.query(buildCreateTable('mydb').sql);
+
+      expect(statements(pool)).toHaveLength(4);
+      expect(statements(pool)[0]).toMatch(/^CREATE TABLE IF NOT EXISTS "mydb" \(id INTEGER PRIMARY KEY AUTOINCREMENT/);
+    });
+
+    it('should map missing tables to the MySQL error number', async () => {
+      const pool = createPool();
+
+      const error = await pool.query('SELECT * FROM missing').catch(e => e);
+
+      expect(error).toMatchObject({ errno: 1146, code: 'ER_NO_SUCH_TABLE', sqliteCode: 'SQLITE_ERROR' });
+    });
+
+    it('should register MySQL REGEXP semantics', () => {
+      const pool = createPool();
+      const regexp = pool.db.functions.regexp;
+
+      expect(regexp('^ab', 'ABC')).toBe(1);
+      expect(regexp('^b', 'abc')).toBe(0);
+      expect(regexp('^a', null)).toBeNull();
+    });
+  });
+
+  describe('transactions', () => {
+    it('should hold other queries until the transaction finishes', async () => {
+      const pool = createPool();
+      const conn = await pool.getConnection();
+      await conn.beginTransaction();
+      await conn.query('UPDATE t SET val = ? WHERE id = ?', ['x', 1]);
+
+      const outside = pool.query('SELECT id FROM t');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(statements(pool)).toEqual(['BEGIN IMMEDIATE', 'UPDATE t SET val = ? WHERE id = ?']);
+
+      await conn.commit();
+      await outside;
+      conn.release();
+
+      expect(statements(pool)).toEqual(['BEGIN IMMEDIATE', 'UPDATE t SET val = ? WHERE id = ?', 'COMMIT', 'SELECT id FROM t']);
+    });
+
+    it('should roll back an unfinished transaction on release', async () => {
+      const pool = createPool();
+      const conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      conn.release();
+      await pool.query('SELECT 1');
+
+      expect(statements(pool)).toEqual(['BEGIN IMMEDIATE', 'ROLLBACK', 'SELECT 1']);
+    });
+
+    it('should run ConnectionManager transactions through the driver', async () => {
+      const cm = new ConnectionManager({ filename: ':memory:' }, { driver: createSqliteDriver({ Database: FakeDatabase }) });
+      await cm.initialize();
+
+      await cm.transaction(conn => conn.query('DELETE FROM t WHERE id = ?', [1]));
+
+      expect(cm.dialect.name).toBe('sqlite');
+      expect(statements(cm.pool)).toEqual(['BEGIN IMMEDIATE', 'DELETE FROM t WHERE id = ?', 'COMMIT']);
+    });
+  });
+
+  describe('configuration', () => {
+    it('should select the SQLite driver from DB_DRIVER', () => {
+      vi.stubEnv('DB_DRIVER', 'sqlite');
+      vi.stubEnv('DB_SQLITE_FILE', '/tmp/ci.db');
+      try {
+        const cm = createConnectionFromEnv();
+
+        expect(cm.driver.name).toBe('sqlite');
+        expect(cm.config.filename).toBe('/tmp/ci.db');
+        expect(cm.dialect.name).toBe('sqlite');
+      } finally {
+        vi.unstubAllEnvs();
+      }
+    });
+
+    it('should build queries in the connection dialect', () => {
+      const cm = new ConnectionManager({}, { driver: createSqliteDriver({ Database: FakeDatabase }) });
+      const db = new DatabaseService(cm);
+
+      expect(db.query('t').offset(3).toSql()).toBe('SELECT * FROM t LIMIT -1 OFFSET 3');
+    });
+  });
+});
+
+// ============================================================================
+// End-to-end (native better-sqlite3)
+// ============================================================================
+
+function loadBetterSqlite() {
+  try {
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    new Database(':memory:').close();
+    return Database;
+  } catch {
+    return null;
+  }
+}
+
+const BetterSqlite = loadBetterSqlite();
+
+describe.skipIf(!BetterSqlite)('@integram/database SQLite end-to-end', () => {
+  it('should store and query an Integram database', async () => {
+    const cm = new ConnectionManager({ database: 'integram' }, { driver: createSqliteDriver({ Database: BetterSqlite }) });
+    await cm.initialize();
+    const db = new DatabaseService(cm);
+
+    await cm.query(buildCreateTable('mydb').sql);
+    const typeId = await db.insert('mydb', 0, 1, 3, 'Client');
+    await db.insert('mydb', 1, 1, typeId, 'Acme');
+    await db.insert('mydb', 1, 2, typeId, 'Beta');
+
+    const { rows } = await cm.query(
+      "SELECT GROUP_CONCAT(val SEPARATOR ' | ') AS vals FROM `mydb` WHERE t = ? AND val REGEXP ? LIMIT 0, 10",
+      [typeId, '^(acme|beta)$']
+    );
+    const { rows: tables } = await cm.query('SHOW TABLES LIKE ?', ['mydb']);
+    await db.insert('mydb', 1, 3, typeId, 'Acme, Inc');
+    await db.insert('mydb', 1, 4, typeId, 'Acme, Inc');
+    const { rows: distinct } = await cm.query(
+      "SELECT GROUP_CONCAT(DISTINCT val SEPARATOR '; ') AS vals FROM `mydb` WHERE t = ? AND val LIKE 'Acme%'",
+      [typeId]
+    );
+
+    expect(rows[0].vals).toBe('Acme | Beta');
+    expect(tables).toEqual([{ Tables_in_integram: 'mydb' }]);
+    expect(distinct[0].vals).toBe('Acme; Acme, Inc');
+    expect(await db.getNextOrder('mydb', 1, typeId)).toBe(5);
+    await expect(cm.query('SELECT * FROM nope')).rejects.toMatchObject({ name: 'DatabaseNotFoundError' });
+    await cm.close();
+  });
+});
@@ -2,10 +2,13 @@
  * @integram/database - Connection Manager
  *
  * Database connection management with pooling, health checks, and metrics.
- * This wraps the underlying MySQL connection to provide a unified interface.
+ * This wraps the underlying driver (mysql2 or the embedded SQLite driver)
+ * to provide a unified interface.
  */
 
 import { DatabaseError, DatabaseNotFoundError } from '@integram/common';
+import { getDialect } from './dialect.js';
+import { createSqliteDriver } from './sqlite.js';
 
 // ============================================================================
 // Connection Manager Class
@@ -25,9 +28,11 @@ export class ConnectionManager {
    * @param {string} config.password - Database password
    * @param {string} [config.database] - Default database
    * @param {number} [config.connectionLimit=10] - Pool connection limit
+   * @param {string} [config.filename] - Database file (SQLite driver)
    * @param {Object} [options] - Additional options
    * @param {Object} [options.logger] - Logger instance
    * @param {boolean} [options.enableMetrics=false] - Enable query metrics
+   * @param {Object} [options.driver] - Driver used when initialize() gets none
    */
   constructor(config, options = {}) {
     this.config = {
@@ -42,6 +47,12 @@ export class ConnectionManager {
       enableKeepAlive: true,
       keepAliveInitialDelay: 0,
     };
+    if (config.filename) {
+      this.config.filename = config.filename;
+    }
+
+    this.driver = options.driver || null;
+    this.dialect = getDialect(this.driver?.dialect);
 
     this.logger = options.logger || console;
     this.enableMetrics = options.enableMetrics || false;
@@ -61,18 +72,28 @@ export class ConnectionManager {
   /**
    * Initialize the connection pool.
    *
-   * @param {Object} mysql - mysql2/promise module
+   * A driver is anything with `createPool(config)` returning a
+   * mysql2/promise compatible pool: the mysql2/promise module itself or
+   * createSqliteDriver(). Drivers may carry a `dialect` for QueryBuilder.
+   *
+   * @param {Object} [driver=options.driver] - Database driver
    * @returns {Promise<void>}
    */
-  async initialize(mysql) {
+  async initialize(driver = this.driver) {
     if (this.pool) {
       return;
     }
+    if (!driver) {
+      throw new DatabaseError('Failed to initialize database pool: no driver given');
+    }
 
     try {
-      this.pool = mysql.createPool(this.config);
+      this.pool = driver.createPool(this.config);
+      this.driver = driver;
+      this.dialect = getDialect(driver.dialect);
       this.isConnected = true;
       this.logger.info?.('Database connection pool initialized', {
+        driver: driver.name || 'mysql',
         host: this.config.host,
         database: this.config.database,
       });
@@ -182,7 +203,12 @@ export class ConnectionManager {
    */
   async beginTransaction() {
     const connection = await this.getConnection();
-    await connection.beginTransaction();
+    try {
+      await connection.beginTransaction();
+    } catch (error) {
+      connection.release();
+      throw new DatabaseError(`Failed to begin transaction: ${error.message}`, null, error);
+    }
     return connection;
   }
 
@@ -265,6 +291,117 @@ export class ConnectionManager {
   }
 }
 
+// ============================================================================
+// Transaction Connection
+// ============================================================================
+
+/**
+ * A single pooled connection with an open transaction.
+ *
+ * Exposes the same query/execute contract as ConnectionManager, so a
+ * DatabaseService can run on it unchanged. Used for transactions that
+ * span several requests (begin → ... → commit/rollback).
+ */
+export class TransactionConnection {
+  /**
+   * @param {Object} connection - Pooled connection with a started transaction
+   * @param {ConnectionManager} manager - Owning manager (metrics, logger)
+   */
+  constructor(connection, manager) {
+    this.connection = connection;
+    this.manager = manager;
+    this.released = false;
+  }
+
+  /**
+   * Execute a query on the transaction connection.
+   *
+   * @param {string} sql - SQL query
+   * @param {Array} [params=[]] - Query parameters
+   * @param {string} [label] - Query label for logging
+   * @returns {Promise<Object>} Query result
+   */
+  async query(sql, params = [], label = '') {
+    if (this.released) {
+      throw new DatabaseError(`Transaction already finished [${label}]`);
+    }
+
+    try {
+      const [rows, fields] = await this.connection.query(sql, params);
+      return { rows, fields };
+    } catch (error) {
+      if (this.manager?.metrics) this.manager.metrics.errors++;
+
+      if (error.errno === 1146) {
+        throw new DatabaseNotFoundError(this.manager?.config?.database);
+      }
+
+      throw new DatabaseError(
+        `Query failed [${label}]: ${error.message}`,
+        sql.substring(0, 500),
+        error
+      );
+    }
+  }
+
+  /**
+   * Execute a query that modifies data.
+   *
+   * @param {string} sql - SQL query
+   * @param {Array} [params=[]] - Query parameters
+   * @param {string} [label] - Query label for logging
+   * @returns {Promise<Object>} Result with affectedRows, insertId, etc.
+   */
+  async execute(sql, params = [], label = '') {
+    const { rows: result } = await this.query(sql, params, label);
+    return result;
+  }
+
+  /**
+   * Commit and return the connection to the pool.
+   *
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    try {
+      await this.connection.commit();
+    } catch (error) {
+      // Never hand a connection with an open transaction back to the pool
+      await this.connection.rollback().catch(() => {});
+      throw error;
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Roll back and return the connection to the pool.
+   *
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    try {
+      await this.connection.rollback();
+    } finally {
+      this.release();
+    }
+  }
+
+  release() {
+    if (this.released) return;
+    this.released = true;
+    this.connection.release();
+  }
+
+  getMetrics() {
+    return this.manager.getMetrics();
+  }
+
+  async healthCheck() {
+    return !this.released;
+  }
+}
+
 // ============================================================================
 // Factory Functions
 // ============================================================================
@@ -272,10 +409,15 @@ export class ConnectionManager {
 /**
  * Create a connection manager from environment variables.
  *
+ * `DB_DRIVER=sqlite` selects the embedded SQLite driver with the file
+ * from `DB_SQLITE_FILE` (in memory when unset); otherwise the caller
+ * passes the mysql2/promise module to initialize().
+ *
  * @param {Object} [options] - Additional options
  * @returns {ConnectionManager} Configured connection manager
  */
 export function createConnectionFromEnv(options = {}) {
+  const sqlite = process.env.DB_DRIVER === 'sqlite';
   return new ConnectionManager(
     {
       host: process.env.DB_HOST || 'localhost',
@@ -284,8 +426,9 @@ export function createConnectionFromEnv(options = {}) {
       password: process.env.DB_PASSWORD || '',
       database: process.env.DB_DATABASE || 'integram',
       connectionLimit: parseInt(process.env.DB_POOL_SIZE || '10', 10),
+      filename: sqlite ? process.env.DB_SQLITE_FILE || ':memory:' : undefined,
     },
-    options
+    sqlite && !options.driver ? { ...options, driver: createSqliteDriver() } : options
   );
 }
 
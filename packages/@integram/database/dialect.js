@@ -0,0 +1,390 @@
+/**
+ * @integram/database - SQL Dialects
+ *
+ * Integram SQL is written for MySQL (as in the PHP monolith). A dialect
+ * knows how to quote identifiers, page results, concatenate groups and
+ * match regular expressions for its engine, and how to translate
+ * MySQL-flavoured SQL written elsewhere in the codebase.
+ */
+
+import { DatabaseError, ValidationError } from '@integram/common';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** MySQL backslash escapes in string literals */
+const MYSQL_ESCAPES = {
+  0: '\0', n: '\n', r: '\r', t: '\t', b: '\b', Z: '\x1a',
+};
+
+/**
+ * Replace quoted segments (strings and identifiers) with `\0N\0` markers,
+ * so rewrites never touch literals. Markers keep parentheses balanced.
+ *
+ * @param {string} sql - SQL text
+ * @returns {{code: string, quoted: Array<{quote: string, text: string}>}}
+ */
+export function maskQuoted(sql) {
+  const quoted = [];
+  let code = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (ch !== "'" && ch !== '"' && ch !== '`') {
+      code += ch;
+      i++;
+      continue;
+    }
+
+    let j = i + 1;
+    let text = '';
+    while (j < sql.length) {
+      if (sql[j] === '\\' && ch !== '`') {
+        const next = sql[j + 1] ?? '';
+        text += MYSQL_ESCAPES[next] ?? (next === '%' || next === '_' ? `\\${next}` : next);
+        j += 2;
+      } else if (sql[j] === ch && sql[j + 1] === ch) {
+        text += ch;
+        j += 2;
+      } else if (sql[j] === ch) {
+        break;
+      } else {
+        text += sql[j++];
+      }
+    }
+    code += `\0${quoted.length}\0`;
+    quoted.push({ quote: ch, text });
+    i = j + 1;
+  }
+
+  return { code, quoted };
+}
+
+/**
+ * Find the index of the parenthesis closing the one opened before `start`.
+ *
+ * @param {string} text - Masked code
+ * @param {number} start - Index right after the opening parenthesis
+ * @returns {number} Index of the closing parenthesis or -1
+ */
+function findClosingParen(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Validate an identifier before quoting it.
+ *
+ * @param {string} name - Identifier
+ * @returns {string} The identifier
+ */
+function checkIdentifier(name) {
+  const text = String(name);
+  if (!text || /[\0`"]/.test(text)) {
+    throw new ValidationError(`Invalid SQL identifier: ${text}`);
+  }
+  return text;
+}
+
+/**
+ * Quote a string literal (standard SQL doubling of quotes).
+ *
+ * @param {string} value - String value
+ * @returns {string} Quoted literal
+ */
+function quoteString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// ============================================================================
+// MySQL
+// ============================================================================
+
+/**
+ * MySQL dialect - the native dialect of Integram SQL.
+ */
+export const MYSQL_DIALECT = Object.freeze({
+  name: 'mysql',
+
+  quoteIdentifier(name) {
+    return `\`${checkIdentifier(name)}\``;
+  },
+
+  limit(limit, offset) {
+    if (limit === null && offset === null) return '';
+    if (limit === null) return `LIMIT 18446744073709551615 OFFSET ${offset}`;
+    return offset === null ? `LIMIT ${limit}` : `LIMIT ${limit} OFFSET ${offset}`;
+  },
+
+  groupConcat(expr, { distinct = false, separator = null } = {}) {
+    const sep = separator === null ? '' : ` SEPARATOR ${quoteString(separator)}`;
+    return `GROUP_CONCAT(${distinct ? 'DISTINCT ' : ''}${expr}${sep})`;
+  },
+
+  regexp(expr, negate = false) {
+    return `${expr} ${negate ? 'NOT REGEXP' : 'REGEXP'} ?`;
+  },
+
+  translate(sql) {
+    return sql;
+  },
+});
+
+// ============================================================================
+// SQLite
+// ============================================================================
+
+/**
+ * Rewrite MySQL-only constructs in masked code for SQLite.
+ *
+ * @param {string} code - Masked code
+ * @param {Array} quoted - Quoted segments from maskQuoted
+ * @returns {string} Rewritten masked code
+ */
+function rewriteSqliteCode(code, quoted) {
+  return rewriteGroupConcat(code, quoted)
+    .replace(/\bINSERT\s+IGNORE\b/gi, 'INSERT OR IGNORE')
+    .replace(/\bRLIKE\b/gi, 'REGEXP')
+    .replace(/\bLAST_INSERT_ID\s*\(\s*\)/gi, 'last_insert_rowid()')
+    .replace(/\bLIMIT\s+(\d+|\?)\s*,\s*(\d+|\?)/gi, 'LIMIT $2 OFFSET $1')
+    .replace(/\s+FOR\s+UPDATE\b/gi, '')
+    .replace(/\bCURRENT_TIMESTAMP\s*\(\s*\d*\s*\)/gi, 'CURRENT_TIMESTAMP')
+    .replace(/\bAS\s+(?:UNSIGNED|SIGNED)(?:\s+INTEGER)?\s*\)/gi, 'AS INTEGER)')
+    .replace(/\bAS\s+(?:DOUBLE|FLOAT|DECIMAL(?:\s*\(\s*\d+\s*(?:,\s*\d+\s*)?\))?)\s*\)/gi, 'AS REAL)');
+}
+
+/**
+ * Rewrite `GROUP_CONCAT(... SEPARATOR 'x')` calls. SQLite takes the
+ * separator as a second argument but refuses it together with DISTINCT,
+ * so DISTINCT groups go to the driver's group_concat_distinct() aggregate.
+ *
+ * @param {string} code - Masked code
+ * @param {Array} quoted - Quoted segments from maskQuoted
+ * @returns {string} Rewritten masked code
+ */
+function rewriteGroupConcat(code, quoted) {
+  const pattern = /\bGROUP_CONCAT\s*\(/gi;
+  let out = '';
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    const open = match.index + match[0].length;
+    const close = findClosingParen(code, open);
+    if (close === -1) break;
+
+    const inner = rewriteGroupConcat(code.slice(open, close), quoted);
+    const sep = /^([\s\S]*?)\s+SEPARATOR\s+\0(\d+)\0\s*$/i.exec(inner);
+    let call = `group_concat(${inner})`;
+    if (sep) {
+      const separator = quoteString(quoted[Number(sep[2])].text);
+      const distinct = /^\s*DISTINCT\s+/i.test(sep[1]);
+      call = distinct
+        ? `group_concat_distinct(${sep[1].trim().replace(/^DISTINCT\s+/i, '')}, ${separator})`
+        : `group_concat(${sep[1].trim()}, ${separator})`;
+    }
+
+    out += code.slice(last, match.index) + call;
+    last = close + 1;
+    pattern.lastIndex = last;
+  }
+
+  return out + code.slice(last);
+}
+
+/**
+ * Rewrite `ON DUPLICATE KEY UPDATE col = VALUES(col)` as an SQLite upsert.
+ * Without a conflict target SQLite applies it to any uniqueness conflict,
+ * as MySQL does.
+ *
+ * @param {string} code - Masked code
+ * @returns {string} Rewritten masked code
+ */
+function rewriteUpsert(code) {
+  const match = /\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/i.exec(code);
+  if (!match) return code;
+  const updates = code.slice(match.index + match[0].length)
+    .replace(/\bVALUES\s*\(\s*(\w+)\s*\)/gi, 'excluded.$1');
+  return `${code.slice(0, match.index)}ON CONFLICT DO UPDATE SET${updates}`;
+}
+
+/**
+ * Rewrite a MySQL column definition for SQLite: ENUM and JSON columns hold
+ * text, ON UPDATE CURRENT_TIMESTAMP has no SQLite form and is dropped
+ * (writers set such columns themselves).
+ *
+ * @param {string} part - Masked column definition
+ * @returns {string} Rewritten masked definition
+ */
+function rewriteColumn(part) {
+  return part
+    .replace(/\b(?:BIG|MEDIUM|SMALL|TINY)?INT(?:\s*\(\d+\))?\s+(?:UNSIGNED\s+)?(?:NOT\s+NULL\s+)?AUTO_INCREMENT\s+PRIMARY\s+KEY\b/i, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/^(\S+\s+)(?:ENUM\s*\([^()]*\)|JSON\b)/i, '$1TEXT')
+    .replace(/\s+ON\s+UPDATE\s+CURRENT_TIMESTAMP\b/gi, '')
+    .replace(/\s+UNSIGNED\b/gi, '')
+    .replace(/\s+AUTO_INCREMENT\b/gi, '');
+}
+
+/**
+ * Rewrite a MySQL `CREATE TABLE` for SQLite: AUTO_INCREMENT keys become
+ * rowid aliases, column types are mapped (rewriteColumn), table options are
+ * dropped and inline indexes become separate `CREATE INDEX` statements.
+ *
+ * @param {string} code - Masked code of the statement
+ * @param {Function} unmask - Restores quoted segments in a piece of code
+ * @returns {string} One or more statements separated by semicolons
+ */
+function rewriteCreateTable(code, unmask) {
+  const head = /^\s*CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?(\0\d+\0|\w+)\s*\(/i.exec(code);
+  if (!head) return unmask(code);
+
+  const open = head.index + head[0].length;
+  const close = findClosingParen(code, open);
+  if (close === -1) return unmask(code);
+
+  const table = unmask(head[2]).replace(/^"|"$/g, '');
+  const columns = [];
+  const indexes = [];
+
+  let depth = 0;
+  let current = '';
+  for (const ch of `${code.slice(open, close)},`) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch !== ',' || depth !== 0) {
+      current += ch;
+      continue;
+    }
+
+    const part = current.trim();
+    current = '';
+    const index = /^(UNIQUE\s+)?(?:INDEX|KEY)\s+(\0\d+\0|\w+)\s*\(([^)]*)\)$/i.exec(part);
+    if (index) {
+      const name = unmask(index[2]).replace(/^"|"$/g, '');
+      indexes.push(`CREATE ${index[1] ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${table}_${name}" ON "${table}" (${unmask(index[3])})`);
+    } else if (part) {
+      columns.push(unmask(rewriteColumn(part)));
+    }
+  }
+
+  const create = `CREATE TABLE ${head[1] || ''}"${table}" (${columns.join(', ')})`;
+  return [create, ...indexes].join('; ');
+}
+
+/**
+ * SQLite dialect. Relies on the SQLite driver registering a `regexp`
+ * function, which SQLite calls for the `REGEXP` operator.
+ */
+export const SQLITE_DIALECT = Object.freeze({
+  name: 'sqlite',
+
+  quoteIdentifier(name) {
+    return `"${checkIdentifier(name)}"`;
+  },
+
+  limit(limit, offset) {
+    if (limit === null && offset === null) return '';
+    if (limit === null) return `LIMIT -1 OFFSET ${offset}`;
+    return offset === null ? `LIMIT ${limit}` : `LIMIT ${limit} OFFSET ${offset}`;
+  },
+
+  groupConcat(expr, { distinct = false, separator = null } = {}) {
+    if (separator === null) return `group_concat(${distinct ? 'DISTINCT ' : ''}${expr})`;
+    if (distinct) return `group_concat_distinct(${expr}, ${quoteString(separator)})`;
+    return `group_concat(${expr}, ${quoteString(separator)})`;
+  },
+
+  regexp(expr, negate = false) {
+    return `${expr} ${negate ? 'NOT REGEXP' : 'REGEXP'} ?`;
+  },
+
+  /**
+   * Translate MySQL-flavoured SQL to SQLite. SHOW TABLES, SHOW COLUMNS and
+   * SHOW INDEX are answered from sqlite_master and the table pragmas.
+   *
+   * @param {string} sql - MySQL SQL
+   * @param {Object} [options]
+   * @param {string} [options.database] - Schema name for SHOW TABLES column
+   * @returns {string} SQLite SQL (may hold several statements)
+   */
+  translate(sql, options = {}) {
+    const showTables = /^\s*SHOW\s+TABLES(?:\s+LIKE\s+(.+?))?\s*;?\s*$/i.exec(sql);
+    if (showTables) {
+      const column = `Tables_in_${options.database || 'main'}`;
+      const like = showTables[1] ? ` AND name LIKE ${showTables[1]}` : '';
+      return `SELECT name AS "${column}" FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'${like} ORDER BY name`;
+    }
+
+    const showColumns = /^\s*SHOW\s+(?:FULL\s+)?COLUMNS\s+FROM\s+[`"]?(\w+)[`"]?(?:\s+LIKE\s+(.+?))?\s*;?\s*$/i.exec(sql);
+    if (showColumns) {
+      const like = showColumns[2] ? ` WHERE name LIKE ${showColumns[2]}` : '';
+      return `SELECT name AS "Field", type AS "Type", CASE WHEN "notnull" THEN 'NO' ELSE 'YES' END AS "Null", `
+        + `CASE WHEN pk THEN 'PRI' ELSE '' END AS "Key", dflt_value AS "Default" `
+        + `FROM pragma_table_info('${showColumns[1]}')${like} ORDER BY cid`;
+    }
+
+    // Indexes are named "<table>_<name>" (see rewriteCreateTable)
+    const showIndex = /^\s*SHOW\s+(?:INDEX|INDEXES|KEYS)\s+FROM\s+[`"]?(\w+)[`"]?(?:\s+WHERE\s+(.+?))?\s*;?\s*$/i.exec(sql);
+    if (showIndex) {
+      const [, table, where] = showIndex;
+      return `SELECT * FROM (SELECT '${table}' AS "Table", CASE WHEN "unique" THEN 0 ELSE 1 END AS "Non_unique", `
+        + `substr(name, ${table.length + 2}) AS "Key_name" FROM pragma_index_list('${table}') `
+        + `WHERE substr(name, 1, ${table.length + 1}) = '${table}_')${where ? ` WHERE ${where}` : ''}`;
+    }
+
+    const { code, quoted } = maskQuoted(sql);
+    const unmask = text => text.replace(/\0(\d+)\0/g, (_, n) => {
+      const { quote, text: value } = quoted[Number(n)];
+      // MySQL reads "x" as a string literal; SQLite reads it as an identifier
+      return quote === '`' ? `"${value.replace(/"/g, '""')}"` : quoteString(value);
+    });
+
+    const rewritten = rewriteUpsert(rewriteSqliteCode(code, quoted));
+    if (/^\s*CREATE\s+TABLE\b/i.test(rewritten)) {
+      return rewriteCreateTable(rewritten.replace(/\)[^)]*$/, ')'), unmask);
+    }
+    const addIndex = /^\s*ALTER\s+TABLE\s+(\0\d+\0|\w+)\s+ADD\s+(UNIQUE\s+)?(?:INDEX|KEY)\s+(\0\d+\0|\w+)\s*\(([^)]*)\)\s*;?\s*$/i.exec(rewritten);
+    if (addIndex) {
+      const table = unmask(addIndex[1]).replace(/^"|"$/g, '');
+      const name = unmask(addIndex[3]).replace(/^"|"$/g, '');
+      return `CREATE ${addIndex[2] ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${table}_${name}" ON "${table}" (${unmask(addIndex[4])})`;
+    }
+    const addColumn = /^(\s*ALTER\s+TABLE\s+\S+\s+ADD\s+(?:COLUMN\s+)?)([\s\S]*?)(?:\s+(?:FIRST|AFTER\s+\S+))?\s*;?\s*$/i.exec(rewritten);
+    if (addColumn) {
+      return unmask(addColumn[1] + rewriteColumn(addColumn[2]));
+    }
+    return unmask(rewritten);
+  },
+});
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const DIALECTS = {
+  mysql: MYSQL_DIALECT,
+  sqlite: SQLITE_DIALECT,
+};
+
+/**
+ * Resolve a dialect by name or pass a dialect object through.
+ *
+ * @param {string|Object} [dialect='mysql'] - Dialect name or object
+ * @returns {Object} Dialect
+ */
+export function getDialect(dialect = 'mysql') {
+  if (dialect && typeof dialect === 'object') return dialect;
+  const found = DIALECTS[dialect];
+  if (!found) {
+    throw new DatabaseError(`Unknown SQL dialect: ${dialect}`);
+  }
+  return found;
+}
+
+export default getDialect;
@@ -0,0 +1,334 @@
+/**
+ * @integram/database - Grouping and Aggregation
+ *
+ * Builds GROUP BY queries over the Integram `id/up/ord/t/val` table so
+ * that grouping, totals and pivots are computed by the database over all
+ * matching objects instead of the page loaded in the browser.
+ *
+ * A grouping is a list of levels. Each level is a requisite of the type:
+ * - `{ id: 0 }` - the object value itself (`a.val`);
+ * - `{ id }` - a plain requisite: value row `up = object, t = id`;
+ * - `{ id, ref: true }` - a reference requisite: value row
+ *   `up = object, val = id`, the referenced object id in `t`.
+ *
+ * One query returns the buckets of one level; `path` holds the values of
+ * the levels above (drill-down), `null` standing for "no value".
+ *
+ * Objects with several values of a grouped or aggregated requisite are
+ * counted once per group (COUNT DISTINCT), but SUM/AVG see every value.
+ */
+
+import { ValidationError } from '@integram/common';
+
+/** Supported aggregate functions */
+export const AGGREGATE_FUNCTIONS = Object.freeze(['count', 'sum', 'avg', 'min', 'max']);
+
+/** Default cap on returned buckets */
+export const DEFAULT_GROUP_LIMIT = 1000;
+
+/** Upper cap on returned buckets */
+export const MAX_GROUP_LIMIT = 10000;
+
+/** Numeric cast for aggregated values (translated by the SQLite dialect) */
+const NUMERIC = 'DECIMAL(30,6)';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Validate and normalize a grouping level.
+ *
+ * @param {Object|number|string} level - Level or requisite id
+ * @returns {{id: number, ref: boolean}} Level
+ */
+function toLevel(level) {
+  const source = typeof level === 'object' && level !== null ? level : { id: level };
+  const id = Number(source.id);
+  if (!Number.isInteger(id) || id < 0) {
+    throw new ValidationError(`Invalid grouping requisite: ${source.id}`);
+  }
+  return { id, ref: Boolean(source.ref) && id !== 0 };
+}
+
+/**
+ * Join a level's value row and return its value/label expressions.
+ *
+ * @param {string} table - Quoted table name
+ * @param {Object} level - Normalized level
+ * @param {string} alias - Join alias
+ * @returns {{joins: string, params: Array, value: string, label: string}}
+ */
+function levelSource(table, level, alias) {
+  if (level.id === 0) {
+    return { joins: '', params: [], value: 'a.val', label: 'a.val' };
+  }
+  if (level.ref) {
+    return {
+      joins: ` LEFT JOIN ${table} ${alias} ON ${alias}.up = a.id AND ${alias}.val = ?`
+        + ` LEFT JOIN ${table} ${alias}_o ON ${alias}_o.id = ${alias}.t`,
+      params: [String(level.id)],
+      value: `${alias}.t`,
+      label: `${alias}_o.val`,
+    };
+  }
+  return {
+    joins: ` LEFT JOIN ${table} ${alias} ON ${alias}.up = a.id AND ${alias}.t = ?`,
+    params: [level.id],
+    value: `${alias}.val`,
+    label: `${alias}.val`,
+  };
+}
+
+/**
+ * Condition restricting objects to the bucket `value` of a level.
+ *
+ * @param {string} table - Quoted table name
+ * @param {Object} level - Normalized level
+ * @param {*} value - Bucket value (null = no value)
+ * @returns {{sql: string, params: Array}}
+ */
+function levelCondition(table, level, value) {
+  if (level.id === 0) {
+    return value === null
+      ? { sql: 'a.val IS NULL', params: [] }
+      : { sql: 'a.val = ?', params: [String(value)] };
+  }
+
+  const match = level.ref ? 'x.val = ?' : 'x.t = ?';
+  const key = level.ref ? String(level.id) : level.id;
+  const exists = `EXISTS (SELECT 1 FROM ${table} x WHERE x.up = a.id AND ${match}`;
+  if (value === null) {
+    return { sql: `NOT ${exists})`, params: [key] };
+  }
+  return {
+    sql: `${exists} AND ${level.ref ? 'x.t' : 'x.val'} = ?)`,
+    params: [key, level.ref ? Number(value) : String(value)],
+  };
+}
+
+/**
+ * Quote the table name the way the rest of the legacy SQL does.
+ *
+ * @param {string} table - Table name
+ * @returns {string} Quoted name
+ */
+function quoteTable(table) {
+  if (!/^[A-Za-z0-9_]+$/.test(String(table))) {
+    throw new ValidationError(`Invalid table name: ${table}`);
+  }
+  return `\`${table}\``;
+}
+
+/**
+ * Validate and normalize metrics.
+ *
+ * @param {Array} metrics - [{fn, id, key}]
+ * @returns {Array<{fn: string, id: number|null, key: string}>}
+ */
+export function normalizeMetrics(metrics = []) {
+  return metrics.map((metric) => {
+    const fn = String(metric.fn || '').toLowerCase();
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw new ValidationError(`Unsupported aggregate function: ${metric.fn}`);
+    }
+    if (fn !== 'count' && (metric.id === undefined || metric.id === null)) {
+      throw new ValidationError(`Aggregate ${fn} needs a requisite`);
+    }
+    const id = metric.id === undefined || metric.id === null ? null : toLevel(metric.id).id;
+    return { fn, id, key: metric.key || (id === null ? fn : `${fn}_${id}`) };
+  });
+}
+
+// ============================================================================
+// Query builders
+// ============================================================================
+
+/**
+ * Conditions restricting objects to a bucket path (drill-down to rows).
+ *
+ * @param {string} table - Table name
+ * @param {Array} levels - Grouping levels
+ * @param {Array} path - Bucket values of the leading levels
+ * @returns {Array<{sql: string, params: Array}>} Conditions on alias `a`
+ */
+export function buildPathConditions(table, levels, path = []) {
+  const quoted = quoteTable(table);
+  const normalized = levels.map(toLevel);
+  if (path.length > normalized.length) {
+    throw new ValidationError('Group path is longer than the grouping');
+  }
+  return path.map((value, i) => levelCondition(quoted, normalized[i], value ?? null));
+}
+
+/**
+ * Build the GROUP BY query for the next level below `path`.
+ *
+ * @param {Object} options
+ * @param {string} options.table - Integram table (database) name
+ * @param {Array} options.levels - Grouping levels
+ * @param {Array} [options.path=[]] - Values of the levels above
+ * @param {Array} [options.metrics=[]] - Aggregates [{fn, id, key}]
+ * @param {Object|number} [options.pivot] - Requisite spread into columns
+ * @param {Array<string>} [options.where=[]] - Object conditions on alias `a`
+ * @param {Array} [options.params=[]] - Parameters of `where`
+ * @param {string} [options.joins=''] - Extra joins used by `where`
+ * @param {Array} [options.joinParams=[]] - Parameters of `joins`
+ * @param {number} [options.limit] - Maximum number of buckets
+ * @returns {{sql: string, params: Array, level: number, metrics: Array}}
+ */
+export function buildGroupQuery(options) {
+  const table = quoteTable(options.table);
+  const levels = (options.levels || []).map(toLevel);
+  const path = options.path || [];
+  const metrics = normalizeMetrics(options.metrics);
+
+  if (levels.length === 0) {
+    throw new ValidationError('Grouping needs at least one requisite');
+  }
+  if (path.length >= levels.length) {
+    throw new ValidationError('Group path must be shorter than the grouping');
+  }
+
+  const level = path.length;
+  const group = levelSource(table, levels[level], 'g');
+  const pivot = options.pivot !== undefined && options.pivot !== null
+    ? levelSource(table, toLevel(options.pivot), 'p')
+    : null;
+
+  const joinParams = [...group.params, ...(pivot ? pivot.params : [])];
+  let joins = group.joins + (pivot ? pivot.joins : '');
+
+  const columns = [`${group.value} AS group_value`, `${group.label} AS group_label`];
+  const groupBy = [group.value, group.label];
+  if (pivot) {
+    columns.push(`${pivot.value} AS pivot_value`, `${pivot.label} AS pivot_label`);
+    groupBy.push(pivot.value, pivot.label);
+  }
+  columns.push('COUNT(DISTINCT a.id) AS cnt');
+
+  metrics.forEach((metric, i) => {
+    if (metric.fn === 'count' && metric.id === null) return;
+    let expr = 'a.val';
+    if (metric.id !== 0) {
+      joins += ` LEFT JOIN ${table} m${i} ON m${i}.up = a.id AND m${i}.t = ?`;
+      joinParams.push(metric.id);
+      expr = `m${i}.val`;
+    }
+    columns.push(metric.fn === 'count'
+      ? `COUNT(${expr}) AS m${i}`
+      : `${metric.fn.toUpperCase()}(CAST(${expr} AS ${NUMERIC})) AS m${i}`);
+  });
+
+  const conditions = [...(options.where || [])];
+  const whereParams = [...(options.params || [])];
+  path.forEach((value, i) => {
+    const condition = levelCondition(table, levels[i], value ?? null);
+    conditions.push(condition.sql);
+    whereParams.push(...condition.params);
+  });
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_GROUP_LIMIT, 1), MAX_GROUP_LIMIT);
+  const sql = `SELECT ${columns.join(', ')} FROM ${table} a${joins}${options.joins || ''}`
+    + (conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '')
+    + ` GROUP BY ${groupBy.join(', ')} ORDER BY cnt DESC, group_label LIMIT ${limit}`;
+
+  return { sql, params: [...joinParams, ...(options.joinParams || []), ...whereParams], level, metrics };
+}
+
+// ============================================================================
+// Result shaping
+// ============================================================================
+
+/**
+ * Convert a numeric aggregate (mysql2 returns DECIMAL as string).
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Metrics of one result row keyed by metric key.
+ *
+ * @param {Object} row - Result row
+ * @param {Array} metrics - Normalized metrics
+ * @returns {Object}
+ */
+function rowMetrics(row, metrics) {
+  const result = {};
+  metrics.forEach((metric, i) => {
+    result[metric.key] = metric.fn === 'count' && metric.id === null
+      ? Number(row.cnt)
+      : toNumber(row[`m${i}`]);
+  });
+  return result;
+}
+
+/**
+ * Bucket key of a value (null becomes the empty string).
+ *
+ * @param {*} value - Bucket value
+ * @returns {string}
+ */
+export function bucketKey(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Shape rows of a non-pivot group query into buckets.
+ *
+ * @param {Array} rows - Result rows
+ * @param {Object} options
+ * @param {Array} options.metrics - Normalized metrics (from buildGroupQuery)
+ * @param {Array} [options.path=[]] - Path of the queried level
+ * @param {number} options.depth - Number of grouping levels
+ * @returns {Array<{value, label, count, metrics, path, hasChildren}>}
+ */
+export function shapeGroups(rows, { metrics, path = [], depth }) {
+  return rows.map(row => ({
+    value: row.group_value ?? null,
+    label: row.group_label ?? null,
+    count: Number(row.cnt),
+    metrics: rowMetrics(row, metrics),
+    path: [...path, row.group_value ?? null],
+    hasChildren: path.length + 1 < depth,
+  }));
+}
+
+/**
+ * Spread pivot query rows over the buckets: each bucket gets
+ * `pivot[columnKey] = {count, metrics}`.
+ *
+ * @param {Array} groups - Buckets from shapeGroups
+ * @param {Array} rows - Rows of the same query with a pivot
+ * @param {Array} metrics - Normalized metrics
+ * @returns {Array<{value, label}>} Pivot columns in order of total count
+ */
+export function attachPivot(groups, rows, metrics) {
+  const byKey = new Map(groups.map(group => [bucketKey(group.value), group]));
+  const columns = new Map();
+
+  for (const row of rows) {
+    const columnKey = bucketKey(row.pivot_value);
+    const column = columns.get(columnKey)
+      || { value: row.pivot_value ?? null, label: row.pivot_label ?? null, count: 0 };
+    column.count += Number(row.cnt);
+    columns.set(columnKey, column);
+
+    const group = byKey.get(bucketKey(row.group_value));
+    if (!group) continue;
+    group.pivot = group.pivot || {};
+    group.pivot[columnKey] = { count: Number(row.cnt), metrics: rowMetrics(row, metrics) };
+  }
+
+  return [...columns.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(({ value, label }) => ({ value, label }));
+}
+
+export default buildGroupQuery;
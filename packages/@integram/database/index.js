@@ -11,12 +11,15 @@
 
 export * from './connection.js';
 export * from './query-builder.js';
+export * from './dialect.js';
+export * from './sqlite.js';
+export * from './grouping.js';
 
 // ============================================================================
 // Import defaults
 // ============================================================================
 
-import ConnectionManager, { createConnectionFromEnv } from './connection.js';
+import ConnectionManager, { createConnectionFromEnv, TransactionConnection } from './connection.js';
 import QueryBuilder, {
   buildInsert,
   buildUpdateVal,
@@ -26,7 +29,11 @@ import QueryBuilder, {
   buildCheckOccupied,
   buildGetMaxOrder,
   buildCalcOrder,
+  buildCreateTable,
 } from './query-builder.js';
+import { getDialect, MYSQL_DIALECT, SQLITE_DIALECT } from './dialect.js';
+import { createSqliteDriver } from './sqlite.js';
+import { buildGroupQuery, buildPathConditions } from './grouping.js';
 
 // ============================================================================
 // Package information
@@ -187,7 +194,7 @@ export class DatabaseService {
    * @returns {QueryBuilder} Query builder
    */
   query(database) {
-    return QueryBuilder.from(database);
+    return QueryBuilder.from(database, { dialect: this.cm.dialect });
   }
 
   /**
@@ -202,6 +209,23 @@ export class DatabaseService {
     return this.cm.query(sql, params, label);
   }
 
+  /**
+   * Begin a transaction on a dedicated connection.
+   * The returned service runs every query inside the transaction until
+   * commit() or rollback() hands the connection back to the pool.
+   *
+   * @returns {Promise<{db: DatabaseService, commit: Function, rollback: Function}>}
+   */
+  async beginTransaction() {
+    const connection = await this.cm.beginTransaction();
+    const tx = new TransactionConnection(connection, this.cm);
+    return {
+      db: new DatabaseService(tx, { logger: this.logger }),
+      commit: () => tx.commit(),
+      rollback: () => tx.rollback(),
+    };
+  }
+
   /**
    * Check database connection health.
    *
@@ -258,6 +282,12 @@ export default {
   // Factory functions
   createConnectionFromEnv,
   createDatabaseServiceFromEnv,
+  createSqliteDriver,
+
+  // Dialects
+  getDialect,
+  MYSQL_DIALECT,
+  SQLITE_DIALECT,
 
   // Query builders
   buildInsert,
@@ -265,9 +295,12 @@ export default {
   buildUpdateType,
   buildDelete,
   buildBatchDelete,
+  buildGroupQuery,
+  buildPathConditions,
   buildCheckOccupied,
   buildGetMaxOrder,
   buildCalcOrder,
+  buildCreateTable,
 
   // Package info
   PACKAGE_NAME,
@@ -14,6 +14,8 @@ import {
 
 import { InjectionError, ValidationError } from '@integram/common';
 
+import { getDialect } from './dialect.js';
+
 // ============================================================================
 // Query Builder Class
 // ============================================================================
@@ -26,9 +28,12 @@ export class QueryBuilder {
    * Create a new query builder.
    *
    * @param {string} table - Table name (database name in Integram)
+   * @param {Object} [options] - Builder options
+   * @param {string|Object} [options.dialect='mysql'] - SQL dialect name or object
    */
-  constructor(table) {
+  constructor(table, options = {}) {
     this.table = table;
+    this.dialect = getDialect(options.dialect);
     this._select = ['*'];
     this._where = [];
     this._whereParams = [];
@@ -46,10 +51,34 @@ export class QueryBuilder {
    * Create a new query builder for a table.
    *
    * @param {string} table - Table name
+   * @param {Object} [options] - Builder options (see constructor)
    * @returns {QueryBuilder} New query builder
    */
-  static from(table) {
-    return new QueryBuilder(table);
+  static from(table, options = {}) {
+    return new QueryBuilder(table, options);
+  }
+
+  /**
+   * Quote an identifier for the builder's dialect.
+   *
+   * @param {string} name - Table or column name
+   * @returns {string} Quoted identifier
+   */
+  quote(name) {
+    return this.dialect.quoteIdentifier(name);
+  }
+
+  /**
+   * Build a GROUP_CONCAT expression for the builder's dialect.
+   *
+   * @param {string} expr - Expression to concatenate
+   * @param {Object} [options]
+   * @param {boolean} [options.distinct=false] - Concatenate distinct values
+   * @param {string} [options.separator] - Separator (dialect default is ',')
+   * @returns {string} SQL expression for select()
+   */
+  groupConcat(expr, options = {}) {
+    return this.dialect.groupConcat(expr, options);
   }
 
   // ============================================================================
@@ -174,6 +203,23 @@ export class QueryBuilder {
     return this.where(column, isNull ? 'IS' : 'IS NOT', null);
   }
 
+  /**
+   * Add a regular expression WHERE condition (MySQL REGEXP semantics).
+   *
+   * @param {string} column - Column name
+   * @param {string} pattern - Regular expression
+   * @param {boolean} [negate=false] - True for NOT REGEXP
+   * @returns {QueryBuilder} this
+   */
+  whereRegexp(column, pattern, negate = false) {
+    if (hasInjectionPattern(column)) {
+      throw new InjectionError(column);
+    }
+    this._where.push(this.dialect.regexp(column, negate));
+    this._whereParams.push(String(pattern));
+    return this;
+  }
+
   /**
    * Add a raw WHERE clause (use with caution).
    *
@@ -350,18 +396,15 @@ export class QueryBuilder {
       parts.push(`ORDER BY ${this._orderBy.join(', ')}`);
     }
 
-    // LIMIT
-    if (this._limit !== null) {
-      parts.push(`LIMIT ${this._limit}`);
-    }
-
-    // OFFSET
-    if (this._offset !== null) {
-      parts.push(`OFFSET ${this._offset}`);
+    // LIMIT / OFFSET
+    const limit = this.dialect.limit(this._limit, this._offset);
+    if (limit) {
+      parts.push(limit);
     }
 
     return {
-      sql: parts.join(' '),
+      // Raw fragments (whereRaw, joins) are written in MySQL
+      sql: this.dialect.translate(parts.join(' ')),
       params: [...this._joinParams, ...this._whereParams],
     };
   }
@@ -521,6 +564,32 @@ export function buildCalcOrder(table, up, t) {
   };
 }
 
+/**
+ * Build the CREATE TABLE for an Integram database (id/up/ord/t/val).
+ * Same schema as the PHP monolith creates, in the given dialect.
+ *
+ * @param {string} table - Table name (database name in Integram)
+ * @param {string|Object} [dialect='mysql'] - SQL dialect
+ * @returns {Object} Object with sql and params
+ */
+export function buildCreateTable(table, dialect = 'mysql') {
+  const mysql = getDialect('mysql');
+  const sql = `CREATE TABLE IF NOT EXISTS ${mysql.quoteIdentifier(table)} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    up BIGINT UNSIGNED NOT NULL DEFAULT 0,
+    ord INT UNSIGNED NOT NULL DEFAULT 1,
+    t BIGINT UNSIGNED NOT NULL DEFAULT 0,
+    val TEXT,
+    INDEX idx_up (up),
+    INDEX idx_t (t),
+    INDEX idx_up_t (up, t)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+  return {
+    sql: getDialect(dialect).translate(sql),
+    params: [],
+  };
+}
+
 // ============================================================================
 // Export
 // ============================================================================
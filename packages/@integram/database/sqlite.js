@@ -0,0 +1,390 @@
+/**
+ * @integram/database - SQLite Driver
+ *
+ * Embedded storage backend for running Integram without a MySQL server
+ * (laptops, CI). Each Integram database is the same `id/up/ord/t/val`
+ * table as in MySQL, kept in one SQLite file (or in memory).
+ *
+ * The driver mimics the part of the mysql2/promise API that
+ * ConnectionManager and the legacy routes use: `createPool(config)`
+ * returns a pool with `query`, `execute`, `getConnection` and `end`,
+ * results come back as `[rows, fields]`. Incoming SQL is translated
+ * from MySQL by SQLITE_DIALECT.
+ *
+ * Requires the optional `better-sqlite3` package.
+ */
+
+import { createRequire } from 'module';
+import { DatabaseError } from '@integram/common';
+import { SQLITE_DIALECT } from './dialect.js';
+
+const require = createRequire(import.meta.url);
+
+/** Compiled REGEXP patterns (MySQL REGEXP is case-insensitive by default) */
+const REGEXP_CACHE_SIZE = 200;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Format a date the way mysql2 sends it: local `YYYY-MM-DD HH:MM:SS`.
+ *
+ * @param {Date} date - Date value
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Convert a parameter to a value SQLite can bind.
+ *
+ * @param {*} value - Parameter value
+ * @returns {*} Bindable value
+ */
+function toBindable(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Expand `?` placeholders the way mysql2 does: an array parameter
+ * becomes a comma-separated list (`IN (?)`). Also splits the text into
+ * statements on top-level semicolons.
+ *
+ * @param {string} sql - SQLite SQL
+ * @param {Array} params - Parameters
+ * @returns {Array<{sql: string, params: Array}>} Statements with their parameters
+ */
+export function prepareStatements(sql, params = []) {
+  const statements = [];
+  let current = '';
+  let bound = [];
+  let next = 0;
+  let quote = null;
+
+  for (const ch of sql) {
+    if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      current += ch;
+    } else if (ch === '?') {
+      const value = params[next++];
+      if (Array.isArray(value)) {
+        current += value.length > 0 ? value.map(() => '?').join(', ') : 'NULL';
+        bound.push(...value.map(toBindable));
+      } else {
+        current += '?';
+        bound.push(toBindable(value));
+      }
+    } else if (ch === ';') {
+      if (current.trim()) statements.push({ sql: current.trim(), params: bound });
+      current = '';
+      bound = [];
+    } else {
+      current += ch;
+    }
+  }
+
+  if (current.trim()) statements.push({ sql: current.trim(), params: bound });
+  return statements;
+}
+
+/**
+ * Give SQLite errors the MySQL error numbers callers already handle.
+ *
+ * @param {Error} error - SQLite error
+ * @returns {Error} Error with mysql2-style errno/code
+ */
+function toMysqlError(error) {
+  const mapped = new Error(error.message);
+  mapped.sqliteCode = error.code;
+  mapped.cause = error;
+  if (/no such table/i.test(error.message)) {
+    mapped.errno = 1146;
+    mapped.code = 'ER_NO_SUCH_TABLE';
+  } else if (/UNIQUE constraint failed/i.test(error.message)) {
+    mapped.errno = 1062;
+    mapped.code = 'ER_DUP_ENTRY';
+  } else {
+    mapped.code = error.code;
+  }
+  return mapped;
+}
+
+/**
+ * Register MySQL functions SQLite lacks.
+ *
+ * @param {Object} db - better-sqlite3 database
+ */
+function registerFunctions(db) {
+  const patterns = new Map();
+
+  // SQLite calls regexp(pattern, value) for `value REGEXP pattern`
+  db.function('regexp', { deterministic: true }, (pattern, value) => {
+    if (pattern === null || value === null) return null;
+    let re = patterns.get(pattern);
+    if (!re) {
+      if (patterns.size >= REGEXP_CACHE_SIZE) patterns.clear();
+      re = new RegExp(String(pattern), 'iu');
+      patterns.set(pattern, re);
+    }
+    return re.test(String(value)) ? 1 : 0;
+  });
+
+  db.function('now', () => formatDate(new Date()));
+
+  db.function('unix_timestamp', { varargs: true }, (value) => {
+    if (value === undefined) return Math.floor(Date.now() / 1000);
+    const time = Date.parse(String(value).replace(' ', 'T'));
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+  });
+
+  db.function('from_unixtime', { deterministic: true }, seconds => (
+    seconds === null ? null : formatDate(new Date(Number(seconds) * 1000))
+  ));
+
+  // GROUP_CONCAT(DISTINCT x SEPARATOR 's'): SQLite has no DISTINCT with a separator
+  db.aggregate('group_concat_distinct', {
+    start: () => ({ values: new Set(), separator: ',' }),
+    step: (acc, value, separator) => {
+      if (value !== null) acc.values.add(String(value));
+      if (separator !== null) acc.separator = String(separator);
+      return acc;
+    },
+    result: acc => (acc.values.size ? [...acc.values].join(acc.separator) : null),
+  });
+}
+
+// ============================================================================
+// Pool
+// ============================================================================
+
+/**
+ * mysql2-compatible pool over a single SQLite handle.
+ *
+ * SQLite allows one writer, so an open transaction holds the handle:
+ * other queries wait until it is committed or rolled back.
+ */
+export class SqlitePool {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   * @param {Object} [config] - Pool configuration
+   * @param {string} [config.database] - Logical schema name (SHOW TABLES)
+   */
+  constructor(db, config = {}) {
+    this.db = db;
+    this.database = config.database || 'main';
+    this.closed = false;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for exclusive use of the handle.
+   *
+   * @returns {Promise<Function>} Release function
+   */
+  acquire() {
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    const ready = this._queue.then(() => release);
+    this._queue = this._queue.then(() => held);
+    return ready;
+  }
+
+  /**
+   * Translate and run SQL synchronously.
+   *
+   * @param {string} sql - MySQL-flavoured SQL
+   * @param {Array} [params=[]] - Parameters
+   * @returns {Array} `[rows, fields]` for reads, `[ResultSetHeader]` for writes
+   */
+  run(sql, params = []) {
+    if (this.closed) {
+      throw new Error('Pool is closed');
+    }
+
+    const translated = SQLITE_DIALECT.translate(sql, { database: this.database });
+    let result = [{ affectedRows: 0, insertId: 0, warningStatus: 0 }, undefined];
+
+    try {
+      for (const statement of prepareStatements(translated, params)) {
+        const stmt = this.db.prepare(statement.sql);
+        if (stmt.reader) {
+          const rows = stmt.all(...statement.params);
+          const fields = stmt.columns().map(c => ({ name: c.name, table: c.table, type: c.type }));
+          result = [rows, fields];
+        } else {
+          const info = stmt.run(...statement.params);
+          result = [{ affectedRows: info.changes, insertId: Number(info.lastInsertRowid), warningStatus: 0 }, undefined];
+        }
+      }
+    } catch (error) {
+      throw toMysqlError(error);
+    }
+    return result;
+  }
+
+  async query(sql, params = []) {
+    const release = await this.acquire();
+    try {
+      return this.run(sql, params);
+    } finally {
+      release();
+    }
+  }
+
+  async execute(sql, params = []) {
+    return this.query(sql, params);
+  }
+
+  async getConnection() {
+    if (this.closed) {
+      throw new Error('Pool is closed');
+    }
+    return new SqliteConnection(this);
+  }
+
+  async end() {
+    if (this.closed) return;
+    const release = await this.acquire();
+    try {
+      this.closed = true;
+      this.db.close();
+    } finally {
+      release();
+    }
+  }
+}
+
+/**
+ * mysql2-compatible pooled connection. Outside a transaction it behaves
+ * like the pool; inside one it keeps the handle until commit/rollback.
+ */
+export class SqliteConnection {
+  /**
+   * @param {SqlitePool} pool - Owning pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this._release = null;
+  }
+
+  async query(sql, params = []) {
+    if (this._release) return this.pool.run(sql, params);
+    return this.pool.query(sql, params);
+  }
+
+  async execute(sql, params = []) {
+    return this.query(sql, params);
+  }
+
+  async beginTransaction() {
+    if (this._release) {
+      throw new Error('Transaction already started');
+    }
+    const release = await this.pool.acquire();
+    try {
+      this.pool.run('BEGIN IMMEDIATE');
+    } catch (error) {
+      release();
+      throw error;
+    }
+    this._release = release;
+  }
+
+  async commit() {
+    this._finish('COMMIT');
+  }
+
+  async rollback() {
+    this._finish('ROLLBACK');
+  }
+
+  /**
+   * Return the connection; an unfinished transaction is rolled back.
+   */
+  release() {
+    if (this._release) {
+      this._finish('ROLLBACK');
+    }
+  }
+
+  _finish(statement) {
+    if (!this._release) return;
+    const release = this._release;
+    try {
+      this.pool.run(statement);
+      this._release = null;
+      release();
+    } catch (error) {
+      // A failed COMMIT leaves the transaction open - keep the handle until rollback
+      if (statement !== 'COMMIT') {
+        this._release = null;
+        release();
+      }
+      throw error;
+    }
+  }
+}
+
+// ============================================================================
+// Driver
+// ============================================================================
+
+/**
+ * Create the SQLite driver for ConnectionManager.initialize().
+ *
+ * @param {Object} [options] - Driver options
+ * @param {Function} [options.Database] - better-sqlite3 compatible constructor
+ * @returns {{name: string, dialect: Object, createPool: Function}} Driver
+ */
+export function createSqliteDriver(options = {}) {
+  return {
+    name: 'sqlite',
+    dialect: SQLITE_DIALECT,
+
+    /**
+     * @param {Object} config - Connection configuration
+     * @param {string} [config.filename=':memory:'] - Database file
+     * @param {string} [config.database] - Logical schema name
+     * @returns {SqlitePool} Pool
+     */
+    createPool(config = {}) {
+      let Database = options.Database;
+      if (!Database) {
+        try {
+          Database = require('better-sqlite3');
+        } catch (error) {
+          throw new DatabaseError(
+            `SQLite driver needs the better-sqlite3 package: ${error.message}`,
+            null,
+            error
+          );
+        }
+      }
+
+      const filename = config.filename || ':memory:';
+      const db = new Database(filename);
+      if (filename !== ':memory:') {
+        db.pragma('journal_mode = WAL');
+      }
+      db.pragma('busy_timeout = 5000');
+      registerFunctions(db);
+
+      return new SqlitePool(db, config);
+    },
+  };
+}
+
+export default createSqliteDriver;
@@ -0,0 +1,221 @@
+/**
+ * @integram/grants - Grant Resolution Tests
+ *
+ * Unit tests for getGrants / Check_Grant / Grant_1level / mask checks
+ * against a mocked mysql2-style pool.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  GrantEngine,
+  createGrantEngine,
+  configureGrants,
+  getGrants,
+  checkGrant,
+  grant1Level,
+  repoGrant,
+  scopeGrants,
+  checkValGranted,
+  valBarredByMask,
+  checkRepColGranted,
+} from '../index.js';
+
+/** Pool whose query() answers with the given row sets in order */
+function createMockPool(...results) {
+  const query = vi.fn();
+  for (const rows of results) query.mockResolvedValueOnce([rows]);
+  query.mockResolvedValue([[]]);
+  return { query };
+}
+
+describe('@integram/grants', () => {
+  beforeEach(() => {
+    configureGrants({ logger: { debug: vi.fn(), error: vi.fn() } });
+  });
+
+  describe('getGrants', () => {
+    it('should build levels, masks, EXPORT and DELETE from role objects', async () => {
+      const pool = createMockPool([
+        { obj: '100', lev: 'WRITE', mask: null, exp: '1', del: null },
+        { obj: '200', lev: 'READ', mask: '[USER]', exp: null, del: '1' },
+      ]);
+
+      const grants = await getGrants(pool, 'mydb', 42, { username: 'john' });
+
+      expect(grants[100]).toBe('WRITE');
+      expect(grants[200]).toBe('READ');
+      expect(grants.mask).toEqual({ 200: { john: 'READ' } });
+      expect(grants.EXPORT).toEqual({ 100: '1' });
+      expect(grants.DELETE).toEqual({ 200: '1' });
+      expect(pool.query.mock.calls[0][1]).toEqual([42]);
+    });
+
+    it('should return empty grants when the query fails', async () => {
+      const pool = { query: vi.fn().mockRejectedValue(new Error('boom')) };
+      expect(await getGrants(pool, 'mydb', 42)).toEqual({});
+    });
+  });
+
+  describe('checkGrant', () => {
+    it('should let admin through without queries', async () => {
+      const pool = createMockPool();
+      expect(await checkGrant(pool, 'mydb', {}, 5, 0, 'WRITE', 'admin')).toBe(true);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should use explicit type grants', async () => {
+      const pool = createMockPool();
+      expect(await checkGrant(pool, 'mydb', { 100: 'READ' }, 5, 100, 'READ')).toBe(true);
+      expect(await checkGrant(pool, 'mydb', { 100: 'READ' }, 5, 100, 'WRITE')).toBe(false);
+    });
+
+    it('should resolve grants through the object type', async () => {
+      const pool = createMockPool([{ t: 100, par_typ: 1, par_id: 1, arr: -1, ref: 'x' }]);
+      expect(await checkGrant(pool, 'mydb', { 100: 'WRITE' }, 5, 0, 'WRITE')).toBe(true);
+    });
+
+    it('should walk up the parent chain', async () => {
+      const pool = createMockPool(
+        [{ t: 300, par_typ: 250, par_id: 50, arr: -1, ref: 'x' }],
+        [{ t: 250, par_typ: 1, par_id: 1, arr: 777, ref: 'y' }]
+      );
+
+      expect(await checkGrant(pool, 'mydb', { 777: 'READ' }, 5, 0, 'READ')).toBe(true);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      expect(pool.query.mock.calls[1][1]).toEqual([50]);
+    });
+
+    it('should deny when nothing in the chain is granted', async () => {
+      const pool = createMockPool([{ t: 300, par_typ: 1, par_id: 1, arr: -1, ref: 'x' }]);
+      expect(await checkGrant(pool, 'mydb', { 100: 'WRITE' }, 5, 0, 'READ')).toBe(false);
+    });
+
+    it('should check first-level creation against root grant', async () => {
+      const pool = createMockPool();
+      expect(await checkGrant(pool, 'mydb', { 1: 'WRITE' }, 1, 300, 'WRITE')).toBe(true);
+      expect(await checkGrant(pool, 'mydb', { 1: 'READ' }, 1, 300, 'WRITE')).toBe(false);
+    });
+  });
+
+  describe('grant1Level', () => {
+    it('should return explicit, root or referenced level', async () => {
+      expect(await grant1Level(createMockPool(), 'mydb', { 100: 'READ' }, 100)).toBe('READ');
+      expect(await grant1Level(createMockPool(), 'mydb', { 1: 'WRITE' }, 100)).toBe('WRITE');
+      expect(await grant1Level(createMockPool([{ up: 200 }]), 'mydb', { 200: 'WRITE' }, 100)).toBe('READ');
+      expect(await grant1Level(createMockPool([]), 'mydb', {}, 100)).toBe(false);
+    });
+  });
+
+  describe('repoGrant', () => {
+    it('should prefer explicit FILE grant, then owner/admin', () => {
+      expect(repoGrant({ 10: 'READ' }, 'mydb', 'john')).toBe('READ');
+      expect(repoGrant({}, 'mydb', 'mydb')).toBe('WRITE');
+      expect(repoGrant({}, 'mydb', 'john')).toBe('BARRED');
+    });
+  });
+
+  describe('scopeGrants', () => {
+    it('should keep the role grants for a read-write key on all types', async () => {
+      const grants = { 100: 'WRITE' };
+      expect(await scopeGrants(createMockPool(), 'mydb', grants, { readOnly: false, types: [] }, 'john')).toBe(grants);
+    });
+
+    it('should cap a read-only key at READ', async () => {
+      const scoped = await scopeGrants(createMockPool(), 'mydb', {
+        100: 'WRITE', 200: 'READ', mask: { 100: { 'a%': 'WRITE' } }, DELETE: { 100: '1' },
+      }, { readOnly: true, types: [] }, 'john');
+      expect(scoped).toEqual({
+        API_KEY: { readOnly: true, types: [] }, 100: 'READ', 200: 'READ', mask: { 100: { 'a%': 'READ' } },
+      });
+      expect(await checkGrant(createMockPool(), 'mydb', scoped, 5, 100, 'WRITE', 'john')).toBe(false);
+    });
+
+    it('should limit a key to its types, within the role', async () => {
+      const scoped = await scopeGrants(createMockPool([]), 'mydb', { 1: 'WRITE', EXPORT: { 1: '1' } },
+        { readOnly: false, types: [100] }, 'john');
+      expect(scoped).toEqual({ API_KEY: { readOnly: false, types: [100] }, 100: 'WRITE', EXPORT: { 100: '1' } });
+
+      const none = await scopeGrants(createMockPool([]), 'mydb', { 200: 'WRITE' }, { types: [100] }, 'john');
+      expect(none[100]).toBeUndefined();
+    });
+
+    it('should not let an admin key bypass its scope', async () => {
+      const scoped = await scopeGrants(createMockPool(), 'mydb', {}, { readOnly: true, types: [100] }, 'admin');
+      expect(scoped[100]).toBe('READ');
+      expect(await checkGrant(createMockPool(), 'mydb', scoped, 5, 100, 'WRITE', 'admin')).toBe(false);
+      expect(await grant1Level(createMockPool([]), 'mydb', scoped, 300, 'admin')).toBe(false);
+      expect(repoGrant(scoped, 'mydb', 'admin')).toBe('BARRED');
+    });
+  });
+
+  describe('checkValGranted', () => {
+    it('should return undefined without masks', async () => {
+      expect(await checkValGranted(createMockPool(), 'mydb', { 100: 'READ' }, 100, 'a')).toBeUndefined();
+    });
+
+    it('should return BARRED when a BARRED mask matches', async () => {
+      const pool = createMockPool([{ r: 1 }]);
+      const grants = { 100: 'READ', mask: { 100: { 'secret%': 'BARRED' } } };
+      expect(await checkValGranted(pool, 'mydb', grants, 100, 'secret-x')).toBe('BARRED');
+    });
+
+    it('should return mask level when a mask matches', async () => {
+      const pool = createMockPool([{ r: 1 }]);
+      const grants = { mask: { 100: { 'a%': 'WRITE' } } };
+      expect(await checkValGranted(pool, 'mydb', grants, 100, 'abc')).toBe('WRITE');
+    });
+
+    it('should bar values when no mask matches and type is not granted', async () => {
+      const pool = createMockPool([{ r: 0 }]);
+      const grants = { mask: { 100: { 'a%': 'READ' } } };
+      expect(await checkValGranted(pool, 'mydb', grants, 100, 'zzz')).toBe('BARRED');
+    });
+  });
+
+  describe('valBarredByMask', () => {
+    it('should allow values without masks', async () => {
+      expect(await valBarredByMask(createMockPool(), 'mydb', {}, 100, 'a')).toBe(false);
+    });
+
+    it('should bar values matching a READ mask', async () => {
+      const pool = createMockPool([{ r: 1 }]);
+      const grants = { mask: { 100: { READ: 'a%' } } };
+      expect(await valBarredByMask(pool, 'mydb', grants, 100, 'abc')).toBe(true);
+    });
+
+    it('should throw a mask error when a required mask does not match', async () => {
+      const pool = createMockPool([{ r: 0 }]);
+      const grants = { mask: { 100: { 'a%': '' } } };
+      await expect(valBarredByMask(pool, 'mydb', grants, 100, 'zzz')).rejects.toMatchObject({ isMaskError: true });
+    });
+  });
+
+  describe('checkRepColGranted', () => {
+    it('should check WRITE on first-level columns via grant1Level', async () => {
+      const pool = createMockPool([{ up: 0, req: null }]);
+      expect(await checkRepColGranted(pool, 'mydb', { 100: 'WRITE' }, 100, 1)).toBe(true);
+    });
+
+    it('should report NOT_GRANTED for unreadable columns', async () => {
+      const pool = createMockPool([{ up: 0, req: null }], []);
+      expect(await checkRepColGranted(pool, 'mydb', {}, 100, 0)).toBe('NOT_GRANTED');
+    });
+  });
+
+  describe('GrantEngine', () => {
+    it('should bind the pool to every check', async () => {
+      const pool = createMockPool([{ obj: '100', lev: 'READ', mask: null, exp: null, del: null }]);
+      const engine = createGrantEngine(pool);
+
+      const grants = await engine.resolveGrants('mydb', 42);
+      expect(engine).toBeInstanceOf(GrantEngine);
+      expect(await engine.checkObject('mydb', grants, 5, { typeId: 100, level: 'READ' })).toBe(true);
+      expect(await engine.checkType('mydb', grants, 100)).toBe('READ');
+      expect(await engine.isValueBarred('mydb', grants, 100, 'x')).toBe(false);
+    });
+
+    it('should build mask WHERE fragments', () => {
+      expect(GrantEngine.buildMaskWhere(100, '@7').trim()).toBe('AND a100.id=7');
+    });
+  });
+});
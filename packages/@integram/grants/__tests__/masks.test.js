@@ -0,0 +1,72 @@
+/**
+ * @integram/grants - Mask Helper Tests
+ *
+ * SQL fragments generated for mask patterns (PHP Construct_WHERE parity).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { constructWhereForMask, fetchWhereForMask, resolveMaskBuiltIn } from '../masks.js';
+
+/** Collapse whitespace — fragments are concatenated into larger queries */
+const sql = s => s.replace(/\s+/g, ' ').trim();
+
+describe('@integram/grants masks', () => {
+  describe('constructWhereForMask', () => {
+    it('should build equality for plain values', () => {
+      expect(sql(constructWhereForMask(100, 'abc'))).toBe("AND a100.val ='abc'");
+    });
+
+    it('should build LIKE for % patterns', () => {
+      expect(sql(constructWhereForMask(100, 'ab%'))).toBe("AND a100.val LIKE 'ab%'");
+    });
+
+    it('should allow NULL for negated patterns', () => {
+      expect(sql(constructWhereForMask(100, '!ab%'))).toBe("AND (a100.val NOT LIKE 'ab%' OR a100.val IS NULL)");
+    });
+
+    it('should build NULL checks for %', () => {
+      expect(sql(constructWhereForMask(100, '%'))).toBe('AND a100.val IS NOT NULL');
+      expect(sql(constructWhereForMask(100, '!%'))).toBe('AND a100.val IS NULL');
+    });
+
+    it('should build ID matches for @ patterns', () => {
+      expect(sql(constructWhereForMask(100, '@42'))).toBe('AND a100.id=42');
+      expect(sql(constructWhereForMask(100, '!@42'))).toBe('AND a100.id!=42');
+    });
+
+    it('should build comparisons and ranges', () => {
+      expect(sql(constructWhereForMask(100, '>=5'))).toBe("AND a100.val >='5'");
+      expect(sql(constructWhereForMask(100, '10..20'))).toBe('AND a100.val BETWEEN 10 AND 20');
+    });
+
+    it('should escape quotes and backslashes', () => {
+      expect(sql(constructWhereForMask(100, "o'k\\"))).toBe("AND a100.val ='o\\'k\\\\'");
+    });
+  });
+
+  describe('fetchWhereForMask', () => {
+    it('should substitute the value for the column reference', () => {
+      expect(sql(fetchWhereForMask(100, 'abc', 'ab%'))).toBe("'abc' LIKE 'ab%'");
+    });
+
+    it('should substitute NULL for missing values', () => {
+      expect(sql(fetchWhereForMask(100, null, '%'))).toBe('NULL IS NOT NULL');
+    });
+  });
+
+  describe('resolveMaskBuiltIn', () => {
+    const ctx = { username: 'john', uid: 7, role: 'manager', roleId: 42 };
+
+    it('should resolve user placeholders', () => {
+      expect(resolveMaskBuiltIn('[USER]', ctx)).toBe('john');
+      expect(resolveMaskBuiltIn('@[USER_ID]', ctx)).toBe('@7');
+      expect(resolveMaskBuiltIn('[ROLE_ID]', ctx)).toBe('42');
+    });
+
+    it('should leave unknown placeholders and plain values unchanged', () => {
+      expect(resolveMaskBuiltIn('[UNKNOWN]', ctx)).toBe('[UNKNOWN]');
+      expect(resolveMaskBuiltIn('abc', ctx)).toBe('abc');
+      expect(resolveMaskBuiltIn(null, ctx)).toBe('');
+    });
+  });
+});
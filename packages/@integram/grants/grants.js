@@ -0,0 +1,539 @@
+/**
+ * @integram/grants - Grant Resolution
+ *
+ * Role grants (ROLE / LEVEL / MASK / EXPORT / DELETE) and the checks built on
+ * them. Ports of PHP getGrants(), Check_Grant(), Grant_1level(), RepoGrant(),
+ * Check_Val_granted(), Val_barred_by_mask() and CheckRepColGranted().
+ *
+ * Every function takes a mysql2-style pool (pool.query(sql, params) => [rows])
+ * and the database name, so the same code serves the legacy API, V2 routes and tools.
+ */
+
+import { LEVEL, MASK, EXPORT, DELETE, ROLE_OBJECT, REP_COLS, BASIC_TYPE_IDS } from '@integram/common';
+import { resolveMaskBuiltIn, fetchWhereForMask } from './masks.js';
+
+/** FILE base type — repository grant key */
+const FILE = BASIC_TYPE_IDS.FILE;
+
+// ============================================================================
+// Logger
+// ============================================================================
+
+let logger = console;
+
+/**
+ * Configure the logger used by grant checks.
+ *
+ * @param {Object} options
+ * @param {Object} [options.logger] - Logger with debug/error methods
+ */
+export function configureGrants(options = {}) {
+  if (options.logger) logger = options.logger;
+}
+
+// ============================================================================
+// Grants
+// ============================================================================
+
+/**
+ * Load grants for a user's role from database
+ * Matches PHP's getGrants() function
+ * @param {Object} pool - MySQL pool
+ * @param {string} db - Database name
+ * @param {number} roleId - User's role ID
+ * @param {Object} [userCtx] - User context for BuiltIn resolution { username, uid, role, roleId, tzone, ip }
+ * @returns {Object} grants object
+ */
+export async function getGrants(pool, db, roleId, userCtx) {
+  const grants = {};
+
+  try {
+    const query = `
+      SELECT
+        gr.val AS obj,
+        COALESCE(def.val, '') AS lev,
+        mask.val AS mask,
+        exp.val AS exp,
+        del.val AS del
+      FROM ${db} gr
+      LEFT JOIN (${db} lev CROSS JOIN ${db} def) ON lev.up = gr.id AND def.id = lev.t AND def.t = ${LEVEL}
+      LEFT JOIN ${db} mask ON mask.up = gr.id AND mask.t = ${MASK}
+      LEFT JOIN ${db} exp ON exp.up = gr.id AND exp.t = ${EXPORT}
+      LEFT JOIN ${db} del ON del.up = gr.id AND del.t = ${DELETE}
+      WHERE gr.up = ? AND gr.t = ${ROLE_OBJECT}
+    `;
+
+    const [rows] = await pool.query(query, [roleId]);
+
+    for (const row of rows) {
+      if (row.lev && row.lev.length > 0) {
+        grants[row.obj] = row.lev;
+      }
+      if (row.mask && row.mask.length > 0) {
+        if (!grants.mask) grants.mask = {};
+        if (!grants.mask[row.obj]) grants.mask[row.obj] = {};
+        // PHP parity: resolve [USER], [ROLE], etc. in mask values (index.php:1296-1310)
+        const resolvedMask = userCtx ? resolveMaskBuiltIn(row.mask, userCtx) : row.mask;
+        grants.mask[row.obj][resolvedMask] = row.lev;
+      }
+      if (row.exp && row.exp.length > 0) {
+        if (!grants.EXPORT) grants.EXPORT = {};
+        grants.EXPORT[row.obj] = '1';
+      }
+      if (row.del && row.del.length > 0) {
+        if (!grants.DELETE) grants.DELETE = {};
+        grants.DELETE[row.obj] = '1';
+      }
+    }
+
+    logger.debug('[Grants] Loaded grants', { db, roleId, count: Object.keys(grants).length });
+  } catch (error) {
+    logger.error('[Grants] Error loading grants', { error: error.message, db, roleId });
+  }
+
+  return grants;
+}
+
+/**
+ * Check grant for an object/type
+ * Matches PHP's Check_Grant() function
+ * @param {Object} pool - MySQL pool
+ * @param {string} db - Database name
+ * @param {Object} grants - Loaded grants object
+ * @param {number} id - Object ID
+ * @param {number} t - Type ID (default: 0)
+ * @param {string} grant - Required grant level ("READ" or "WRITE", default: "WRITE")
+ * @param {string} username - Current username (admin bypasses checks)
+ * @returns {boolean} true if granted
+ */
+export async function checkGrant(pool, db, grants, id, t = 0, grant = 'WRITE', username = '') {
+  // Admin always has access, except through a scoped API key
+  if (username.toLowerCase() === 'admin' && !grants.API_KEY) {
+    return true;
+  }
+
+  // Check explicit grant for type
+  if (t !== 0 && grants[t]) {
+    if (grants[t] === grant || grants[t] === 'WRITE') {
+      return true;
+    }
+    return false;
+  }
+
+  // Check explicit grant for object ID
+  if (grants[id]) {
+    if (grants[id] === grant || grants[id] === 'WRITE') {
+      return true;
+    }
+    return false;
+  }
+
+  // Need to check parent chain
+  try {
+    let query;
+    if (t === 0) {
+      query = `
+        SELECT
+          obj.t,
+          COALESCE(par.t, 1) AS par_typ,
+          COALESCE(par.id, 1) AS par_id,
+          COALESCE(arr.id, -1) AS arr,
+          obj.val AS ref
+        FROM ${db} obj
+        LEFT JOIN ${db} par ON obj.up > 1 AND par.id = obj.up
+        LEFT JOIN ${db} arr ON arr.up = par.t AND arr.t = obj.t
+        WHERE obj.id = ?
+        LIMIT 1
+      `;
+    } else if (id !== 1) {
+      query = `
+        SELECT
+          obj.t,
+          COALESCE(par.t, 1) AS par_typ,
+          COALESCE(par.id, 1) AS par_id,
+          COALESCE(arr.id, -1) AS arr,
+          -1 AS ref
+        FROM ${db} obj
+        JOIN ${db} par ON obj.up > 1 AND (par.t = obj.up OR par.id = obj.up)
+        LEFT JOIN ${db} arr ON arr.up = par.t AND arr.t = obj.t
+        WHERE par.id = ? AND (obj.t = ? OR obj.id = ?)
+        LIMIT 1
+      `;
+    } else {
+      // First level object
+      return grants[t] === grant || grants[t] === 'WRITE' || grants[1] === grant || grants[1] === 'WRITE';
+    }
+
+    const params = t === 0 ? [id] : [id, t, t];
+    const [rows] = await pool.query(query, params);
+
+    if (rows.length > 0) {
+      const row = rows[0];
+
+      // Check object type
+      if (grants[row.t]) {
+        if (grants[row.t] === grant || grants[row.t] === 'WRITE') {
+          return true;
+        }
+      }
+      // Check array membership
+      else if (grants[row.arr]) {
+        if (grants[row.arr] === grant || grants[row.arr] === 'WRITE') {
+          return true;
+        }
+      }
+      // Check reference
+      else if (grants[row.ref] && row.t !== REP_COLS && row.t !== ROLE_OBJECT) {
+        if (grants[row.ref] === grant || grants[row.ref] === 'WRITE') {
+          return true;
+        }
+      }
+      // Check parent type
+      else if (grants[row.par_typ]) {
+        if (grants[row.par_typ] === grant || grants[row.par_typ] === 'WRITE') {
+          return true;
+        }
+      }
+      // Check parent ID
+      else if (grants[row.par_id]) {
+        if (grants[row.par_id] === grant || grants[row.par_id] === 'WRITE') {
+          return true;
+        }
+      }
+      // Recursively check parent
+      else if (row.par_id > 1) {
+        return await checkGrant(pool, db, grants, row.par_id, 0, grant, username);
+      }
+    }
+  } catch (error) {
+    logger.error('[Grants] Error checking grant', { error: error.message, db, id, t });
+  }
+
+  return false;
+}
+
+/**
+ * Check grant to the file repository.
+ * Matches PHP RepoGrant() (index.php:6826-6834).
+ *
+ * Logic:
+ *   1. If grants[FILE] is set explicitly → return that level (READ / WRITE)
+ *   2. Else if the user is admin (username === db owner OR username === 'admin') → WRITE
+ *   3. Otherwise → BARRED
+ *
+ * @param {Object} grants - Loaded grants object
+ * @param {string} db - Database (schema) name — doubles as the owner username
+ * @param {string} username - Current user's username
+ * @returns {string} 'READ' | 'WRITE' | 'BARRED'
+ */
+export function repoGrant(grants, db, username) {
+  // 1. Explicit grant on the FILE base-type
+  if (grants && grants[FILE]) {
+    return grants[FILE]; // 'READ' or 'WRITE'
+  }
+  // 2. Admin / DB-owner override (not for scoped API keys)
+  if (username && !grants?.API_KEY && (username.toLowerCase() === 'admin' || username === db)) {
+    return 'WRITE';
+  }
+  // 3. No access
+  return 'BARRED';
+}
+
+/**
+ * Check grant for first-level (root) children
+ * Matches PHP's Grant_1level() function
+ */
+export async function grant1Level(pool, db, grants, id, username = '') {
+  if (username.toLowerCase() === 'admin' && !grants.API_KEY) {
+    return 'WRITE';
+  }
+
+  // Explicit rights
+  if (grants[id]) {
+    if (grants[id] === 'READ' || grants[id] === 'WRITE') {
+      return grants[id];
+    }
+  }
+
+  // ROOT rights
+  if (grants[1]) {
+    if (grants[1] === 'READ' || grants[1] === 'WRITE') {
+      return grants[1];
+    }
+  }
+
+  // Check parent of this as ref
+  try {
+    const query = `
+      SELECT req.up
+      FROM ${db} ref
+      LEFT JOIN ${db} req ON req.t = ref.id
+      WHERE ref.t = ? AND ref.up = 0
+    `;
+    const [rows] = await pool.query(query, [id]);
+
+    for (const row of rows) {
+      if (grants[row.up]) {
+        if (grants[row.up] === 'READ' || grants[row.up] === 'WRITE') {
+          return 'READ';
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('[Grants] Error in grant1Level', { error: error.message, db, id });
+  }
+
+  return false;
+}
+
+/**
+ * Narrow a role's grants to the scope of an API key.
+ *
+ * A key never gets more than its user: every listed type keeps the level the
+ * role has on it (Grant_1level), and read-only keys are capped at READ.
+ * Scoped grants carry API_KEY, which turns off the admin / owner bypass of
+ * the checks above, so an admin's key is limited the same way.
+ *
+ * @param {Object} pool - MySQL pool
+ * @param {string} db - Database name
+ * @param {Object} grants - getGrants() of the user's role
+ * @param {Object} scope - { readOnly: boolean, types: number[] } (no types = all)
+ * @param {string} username - Key owner
+ * @returns {Promise<Object>} grants object; the role grants as is for a
+ *   read-write key on all types
+ */
+export async function scopeGrants(pool, db, grants, scope = {}, username = '') {
+  const types = scope.types || [];
+  if (!scope.readOnly && types.length === 0) return grants;
+
+  const admin = username.toLowerCase() === 'admin';
+  const cap = level => (scope.readOnly && level === 'WRITE' ? 'READ' : level);
+  const capMasks = masks => Object.fromEntries(Object.entries(masks).map(([mask, level]) => [mask, cap(level)]));
+  const scoped = { API_KEY: { readOnly: !!scope.readOnly, types } };
+
+  if (types.length === 0) {
+    for (const [key, value] of Object.entries(grants)) {
+      if (key === 'mask') {
+        scoped.mask = Object.fromEntries(Object.entries(value).map(([t, masks]) => [t, capMasks(masks)]));
+      } else if (key === 'EXPORT') {
+        scoped.EXPORT = { ...value };
+      } else if (key !== 'DELETE') {
+        scoped[key] = cap(value);
+      }
+    }
+    // What the bypass gave: the root and the file repository
+    if (admin) {
+      scoped[1] = 'READ';
+      scoped.EXPORT = { ...scoped.EXPORT, 1: '1' };
+    }
+    const repo = repoGrant(grants, db, username);
+    if (repo !== 'BARRED') scoped[FILE] = cap(repo);
+    return scoped;
+  }
+
+  for (const t of types) {
+    const level = await grant1Level(pool, db, grants, t, username);
+    if (level !== 'READ' && level !== 'WRITE') continue;
+    scoped[t] = cap(level);
+    if (grants.mask?.[t]) {
+      scoped.mask = { ...scoped.mask, [t]: capMasks(grants.mask[t]) };
+    }
+    if (admin || grants.EXPORT?.[t] || grants.EXPORT?.[1]) {
+      scoped.EXPORT = { ...scoped.EXPORT, [t]: '1' };
+    }
+    if (!scope.readOnly && (admin || grants.DELETE?.[t] || grants.DELETE?.[1])) {
+      scoped.DELETE = { ...scoped.DELETE, [t]: '1' };
+    }
+  }
+  return scoped;
+}
+
+/**
+ * Check value-level grant by mask.
+ * Port of PHP Check_Val_granted() (index.php:921-966).
+ * @param {Object} pool - MySQL pool
+ * @param {string} db - Database name
+ * @param {Object} grants - Loaded grants object
+ * @param {number} t - Type ID to check masks for
+ * @param {string} val - Value to check
+ * @param {number} id - Object ID (default: 0)
+ * @returns {string|boolean|undefined} grant level, true, 'BARRED', or undefined
+ */
+export async function checkValGranted(pool, db, grants, t, val, id = 0) {
+  if (!grants || !grants.mask || !grants.mask[t]) {
+    return undefined;
+  }
+
+  let ok;
+  for (const [mask, level] of Object.entries(grants.mask[t])) {
+    if (level === '') continue;
+
+    // Empty value check
+    if (!String(val || '').length) {
+      if (mask === '!%') {
+        if (level === 'BARRED') {
+          ok = 'BARRED';
+          break;
+        } else {
+          ok = level;
+        }
+      } else {
+        continue;
+      }
+    }
+
+    // @ prefix — ID match (handled directly, not via SQL)
+    if (mask.startsWith('@')) {
+      const maskId = parseInt(mask.substring(1), 10);
+      if (parseInt(id, 10) === maskId || parseInt(id, 10) === 0) {
+        if (level !== 'BARRED') {
+          ok = 'BARRED';
+          break;
+        }
+        break;
+      }
+      continue;
+    }
+
+    // SQL mask check via fetchWhereForMask
+    const sqlExpr = fetchWhereForMask(t, val, mask);
+    if (sqlExpr === '') return undefined;
+
+    try {
+      const [rows] = await pool.query(`SELECT ${sqlExpr}`);
+      if (rows.length > 0) {
+        const firstVal = rows[0][Object.keys(rows[0])[0]];
+        if (firstVal) {
+          if (level === 'BARRED') {
+            ok = 'BARRED';
+            break;
+          } else {
+            ok = level;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('[Grants] Error in checkValGranted SQL', { error: error.message, db, t, mask });
+    }
+  }
+
+  if (ok === undefined) {
+    // PHP: return isset($GLOBALS["GRANTS"][$t]) ? isset($GLOBALS["GRANTS"][$t]) : "BARRED";
+    return grants[t] ? true : 'BARRED';
+  }
+
+  if (ok === 'BARRED') {
+    // PHP calls my_die() here — we return 'BARRED' and let the caller handle it
+    return 'BARRED';
+  }
+
+  return ok;
+}
+
+/**
+ * Check if a value is barred by mask-level write restrictions.
+ * Port of PHP Val_barred_by_mask() (index.php:896-919).
+ *
+ * Returns true if the value is barred (should not be written), false otherwise.
+ * Throws an error if a required mask exists but the value doesn't match any.
+ *
+ * @param {Object} pool - MySQL pool
+ * @param {string} db - Database name
+ * @param {Object} grants - Loaded grants object
+ * @param {number} t - Type ID (requisite type) to check masks for
+ * @param {string|null} val - Value to check
+ * @returns {Promise<boolean>} true if barred, false if allowed
+ */
+export async function valBarredByMask(pool, db, grants, t, val) {
+  if (!grants || !grants.mask || !grants.mask[t]) {
+    return false;
+  }
+
+  let reqMask = false;
+
+  for (const [grant, mask] of Object.entries(grants.mask[t])) {
+    logger.debug('[Grants] valBarredByMask checking', { t, grant, mask });
+
+    if (mask === '') {
+      // No level defined — required mask: value must match at least one such pattern
+      reqMask = true;
+      const sqlExpr = fetchWhereForMask(t, val, grant);
+      try {
+        const [rows] = await pool.query(`SELECT ${sqlExpr}`);
+        if (rows.length > 0 && rows[0][Object.keys(rows[0])[0]]) {
+          return false; // Value matches required mask — not barred
+        }
+      } catch (error) {
+        logger.error('[Grants] Error in valBarredByMask SQL', { error: error.message, db, t, grant });
+      }
+    } else {
+      // Level defined — check if value matches the level pattern
+      const sqlExpr = fetchWhereForMask(t, val, mask);
+      try {
+        const [rows] = await pool.query(`SELECT ${sqlExpr}`);
+        if (rows.length > 0 && rows[0][Object.keys(rows[0])[0]]) {
+          return grant !== 'WRITE'; // Barred unless grant key is "WRITE"
+        }
+      } catch (error) {
+        logger.error('[Grants] Error in valBarredByMask SQL', { error: error.message, db, t, mask });
+      }
+    }
+  }
+
+  if (reqMask) {
+    // PHP calls my_die() — all required masks failed to match
+    const err = new Error(`Not granted by requisite mask (${t})`);
+    err.isMaskError = true;
+    throw err;
+  }
+
+  return false;
+}
+
+/**
+ * Check grant for report column operations.
+ * Port of PHP CheckRepColGranted() (index.php:7476-7492).
+ * @param {Object} pool - MySQL pool
+ * @param {string} db - Database name
+ * @param {Object} grants - Loaded grants object
+ * @param {number} id - Object ID (type ID for the report column)
+ * @param {number|string} level - 0 for READ, non-zero for WRITE
+ * @param {string} username - Current username
+ * @returns {boolean} true if granted, throws/returns error message if not
+ */
+export async function checkRepColGranted(pool, db, grants, id, level = 0, username = '') {
+  const [rows] = await pool.query(
+    `SELECT obj.up, req.id req FROM \`${db}\` obj
+     LEFT JOIN (\`${db}\` req CROSS JOIN \`${db}\` par)
+       ON req.t = obj.id AND par.up = 0 AND req.up = par.id
+     WHERE obj.id = ?`,
+    [id]
+  );
+
+  if (rows.length === 0) return true;
+  const row = rows[0];
+
+  if (level !== 0) {
+    // WRITE check
+    if (parseInt(row.up, 10) === 0) {
+      const g = await grant1Level(pool, db, grants, id, username);
+      if (!g) {
+        return 'NOT_GRANTED';
+      }
+    } else {
+      if (!await checkGrant(pool, db, grants, row.up, id, 'WRITE', username)) {
+        return 'NOT_GRANTED';
+      }
+    }
+  } else {
+    // READ check
+    const checkId = parseInt(row.up, 10) === 0 ? id : row.up;
+    const g1 = await grant1Level(pool, db, grants, checkId, username);
+    const g2 = row.req ? await grant1Level(pool, db, grants, row.req, username) : false;
+    if (!g1 && !g2) {
+      return 'NOT_GRANTED';
+    }
+  }
+
+  return true;
+}
@@ -0,0 +1,184 @@
+/**
+ * @integram/grants - Main Entry Point
+ *
+ * Shared permission logic for Integram services: role grants, object and
+ * type checks, and value masks. The legacy API, V2 routes, MCP tools and
+ * exports all resolve access through this package.
+ */
+
+// ============================================================================
+// Re-export all modules
+// ============================================================================
+
+export * from './grants.js';
+export * from './masks.js';
+
+// ============================================================================
+// Import functions
+// ============================================================================
+
+import {
+  getGrants,
+  checkGrant,
+  grant1Level,
+  repoGrant,
+  scopeGrants,
+  checkValGranted,
+  valBarredByMask,
+  checkRepColGranted,
+  configureGrants,
+} from './grants.js';
+import { constructWhereForMask, fetchWhereForMask, resolveMaskBuiltIn } from './masks.js';
+
+// ============================================================================
+// Package information
+// ============================================================================
+
+export const PACKAGE_NAME = '@integram/grants';
+export const PACKAGE_VERSION = '1.0.0';
+
+// ============================================================================
+// Grant Engine Class
+// ============================================================================
+
+/**
+ * Grant checks bound to one connection pool.
+ *
+ * Maps to PHP: getGrants(), Check_Grant(), Grant_1level(), Check_Val_granted(),
+ * Val_barred_by_mask(), Construct_WHERE() for masks.
+ */
+export class GrantEngine {
+  /**
+   * @param {Object} pool - mysql2-style pool: pool.query(sql, params) => [rows]
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Load the grants of a role.
+   *
+   * @param {string} db - Database name
+   * @param {number} roleId - Role object ID
+   * @param {Object} [userCtx] - { username, uid, role, roleId, tzone, ip } for [USER]-style masks
+   * @returns {Promise<Object>} Grants object: { [id]: level, mask, EXPORT, DELETE }
+   */
+  resolveGrants(db, roleId, userCtx) {
+    return getGrants(this.pool, db, roleId, userCtx);
+  }
+
+  /**
+   * Check access to an object, or to creating a typeId child under it.
+   *
+   * @param {string} db - Database name
+   * @param {Object} grants - Grants from resolveGrants()
+   * @param {number} id - Object ID (parent ID when typeId is set)
+   * @param {Object} [options]
+   * @param {number} [options.typeId=0] - Child type ID
+   * @param {string} [options.level='WRITE'] - Required level: READ or WRITE
+   * @param {string} [options.username=''] - Current user (admin bypasses checks)
+   * @returns {Promise<boolean>}
+   */
+  checkObject(db, grants, id, { typeId = 0, level = 'WRITE', username = '' } = {}) {
+    return checkGrant(this.pool, db, grants, id, typeId, level, username);
+  }
+
+  /**
+   * Access level to a first-level type.
+   *
+   * @param {string} db - Database name
+   * @param {Object} grants - Grants from resolveGrants()
+   * @param {number} typeId - Type ID
+   * @param {string} [username='']
+   * @returns {Promise<string|false>} 'READ', 'WRITE' or false
+   */
+  checkType(db, grants, typeId, username = '') {
+    return grant1Level(this.pool, db, grants, typeId, username);
+  }
+
+  /**
+   * Level granted to a value by the role's masks.
+   *
+   * @param {string} db - Database name
+   * @param {Object} grants - Grants from resolveGrants()
+   * @param {number} typeId - Type ID the masks are set on
+   * @param {string} value - Value to check
+   * @param {number} [id=0] - Object ID for @id masks
+   * @returns {Promise<string|boolean|undefined>} level, true, 'BARRED' or undefined (no masks)
+   */
+  checkValue(db, grants, typeId, value, id = 0) {
+    return checkValGranted(this.pool, db, grants, typeId, value, id);
+  }
+
+  /**
+   * Whether writing a value is forbidden by the role's masks.
+   * Throws an error with isMaskError when a required mask does not match.
+   *
+   * @param {string} db - Database name
+   * @param {Object} grants - Grants from resolveGrants()
+   * @param {number} typeId - Type ID the masks are set on
+   * @param {string|null} value - Value to write
+   * @returns {Promise<boolean>}
+   */
+  isValueBarred(db, grants, typeId, value) {
+    return valBarredByMask(this.pool, db, grants, typeId, value);
+  }
+
+  /**
+   * Check access to a report column.
+   *
+   * @param {string} db - Database name
+   * @param {Object} grants - Grants from resolveGrants()
+   * @param {number} id - Column type ID
+   * @param {number} [level=0] - 0 for READ, non-zero for WRITE
+   * @param {string} [username='']
+   * @returns {Promise<true|string>} true or 'NOT_GRANTED'
+   */
+  checkReportColumn(db, grants, id, level = 0, username = '') {
+    return checkRepColGranted(this.pool, db, grants, id, level, username);
+  }
+
+  /**
+   * Build the SQL WHERE fragment for a mask pattern (aliased as a{typeId}).
+   *
+   * @param {number} typeId - Type ID
+   * @param {string} mask - Mask pattern, e.g. "!%", "@123", "10..20", "abc%"
+   * @returns {string} Fragment starting with " AND "
+   */
+  static buildMaskWhere(typeId, mask) {
+    return constructWhereForMask(typeId, mask);
+  }
+}
+
+/**
+ * Create a grant engine.
+ *
+ * @param {Object} pool - mysql2-style pool
+ * @returns {GrantEngine}
+ */
+export function createGrantEngine(pool) {
+  return new GrantEngine(pool);
+}
+
+// ============================================================================
+// Export default object
+// ============================================================================
+
+export default {
+  GrantEngine,
+  createGrantEngine,
+  getGrants,
+  checkGrant,
+  grant1Level,
+  repoGrant,
+  scopeGrants,
+  checkValGranted,
+  valBarredByMask,
+  checkRepColGranted,
+  configureGrants,
+  constructWhereForMask,
+  fetchWhereForMask,
+  resolveMaskBuiltIn,
+  PACKAGE_NAME,
+  PACKAGE_VERSION,
+};
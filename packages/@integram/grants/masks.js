@@ -0,0 +1,142 @@
+/**
+ * @integram/grants - Mask Helpers
+ *
+ * Mask patterns restrict a role to values of a type (MASK, t=49).
+ * Ports of PHP Construct_WHERE() (mask subset), Fetch_WHERE_for_mask() and
+ * the bracket-syntax BuiltIn() used when masks are loaded.
+ */
+
+/**
+ * Build SQL WHERE fragment from a mask pattern (simplified for mask checking).
+ * Port of PHP Construct_WHERE() — only the subset needed by Fetch_WHERE_for_mask.
+ * Called with key=typeId, mask=pattern, always with cur_typ=1 (fake) and join=false.
+ * Returns raw WHERE string starting with " AND ".
+ */
+export function constructWhereForMask(key, mask) {
+  let value = mask;
+  let NOT = '';
+  let NOT_EQ = '';
+  let EQ = '=';
+  let NOT_flag = false;
+
+  // Handle ! prefix
+  if (value.startsWith('!')) {
+    NOT = 'NOT';
+    NOT_EQ = '!';
+    value = value.substring(1);
+    NOT_flag = true;
+  } else if (value.trimStart().startsWith('>=') || value.trimStart().startsWith('<=')) {
+    NOT_EQ = value.trimStart().substring(0, 2);
+    value = value.trimStart().substring(2);
+    EQ = '';
+  } else if (value.trim().startsWith('>') || value.trim().startsWith('<')) {
+    NOT_EQ = value.trimStart().substring(0, 1);
+    value = value.trimStart().substring(1);
+    EQ = '';
+  } else {
+    NOT_EQ = '';
+  }
+
+  // @ prefix — ID match
+  if (value.startsWith('@')) {
+    const idVal = parseInt(value.substring(1).replace(/ /g, ''), 10);
+    return ` AND a${key}.id${NOT_EQ}${EQ}${idVal} `;
+  }
+
+  // % alone — NULL check
+  if (value === '%') {
+    const search_val = `IS ${NOT_flag ? '' : 'NOT '}NULL`;
+    return ` AND a${key}.val ${search_val} `;
+  }
+
+  // Range: value1..value2
+  if (value.includes('..')) {
+    const parts = value.split('..');
+    const from = parseFloat(parts[0].replace(/ /g, ''));
+    const to = parseFloat(parts[1].replace(/ /g, ''));
+    if (!isNaN(from) && !isNaN(to)) {
+      return ` AND a${key}.val BETWEEN ${from} AND ${to} `;
+    }
+  }
+
+  // Escape value for SQL
+  const escaped = value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+  let search_val;
+  if (!value.includes('%')) {
+    search_val = `${NOT_EQ}${EQ}'${escaped}' `;
+  } else {
+    search_val = `${NOT} LIKE '${escaped}' `;
+  }
+
+  if (NOT_flag) {
+    return ` AND (a${key}.val ${search_val} OR a${key}.val IS NULL) `;
+  }
+  return ` AND a${key}.val ${search_val} `;
+}
+
+/**
+ * Build SQL expression to test a value against a mask.
+ * Port of PHP Fetch_WHERE_for_mask() (index.php:888-893).
+ * Returns a SQL expression suitable for SELECT — evaluates to 1 (match) or 0 (no match).
+ */
+export function fetchWhereForMask(t, val, mask) {
+  const where = constructWhereForMask(t, mask);
+  // Strip leading " AND " (5 chars)
+  const stripped = where.substring(5);
+  // Replace a{t}.val and a{t}.id with the actual value (escaped)
+  const replacement = (val === null || val === undefined)
+    ? 'NULL'
+    : `'${String(val).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  return stripped.replace(new RegExp(`a${t}\\.(val|id)`, 'g'), replacement);
+}
+
+/**
+ * Resolve bracket-syntax BuiltIn placeholders in mask values.
+ * Port of PHP BuiltIn() (index.php:1576-1618) — bracket syntax used in getGrants masks.
+ *
+ * @param {string} val - Mask value potentially containing [PLACEHOLDER]
+ * @param {Object} userCtx - User context { username, uid, role, roleId, tzone }
+ * @returns {string} Resolved value
+ */
+export function resolveMaskBuiltIn(val, userCtx) {
+  if (!val || typeof val !== 'string') return val || '';
+  const m = val.match(/(\[.+\])/);
+  if (!m) return val;
+
+  const placeholder = m[1];
+  const tzone = (userCtx.tzone || 0) * 1000;
+  const now = new Date(Date.now() + tzone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const fmtDate = (d) => `${pad(d.getUTCDate())}.${pad(d.getUTCMonth() + 1)}.${d.getUTCFullYear()}`;
+  const fmtDateTime = (d) => `${fmtDate(d)} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+
+  let resolved;
+  switch (placeholder) {
+    case '[TODAY]':       resolved = fmtDate(now); break;
+    case '[NOW]':         resolved = fmtDateTime(now); break;
+    case '[YESTERDAY]':   resolved = fmtDate(new Date(now.getTime() - 86400000)); break;
+    case '[TOMORROW]':    resolved = fmtDate(new Date(now.getTime() + 86400000)); break;
+    case '[MONTH_AGO]': {
+      const d = new Date(now); d.setUTCMonth(d.getUTCMonth() - 1);
+      resolved = fmtDate(d); break;
+    }
+    case '[WEEK_AGO]':    resolved = fmtDate(new Date(now.getTime() - 7 * 86400000)); break;
+    case '[MONTH_PLUS]': {
+      const d = new Date(now); d.setUTCMonth(d.getUTCMonth() + 1);
+      resolved = fmtDate(d); break;
+    }
+    case '[USER]':        resolved = userCtx.username || ''; break;
+    case '[USER_ID]':     resolved = String(userCtx.uid || ''); break;
+    case '[ROLE]':        resolved = userCtx.role || ''; break;
+    case '[ROLE_ID]':     resolved = String(userCtx.roleId || ''); break;
+    case '[TSHIFT]':      resolved = String(userCtx.tzone || 0); break;
+    case '[REMOTE_ADDR]': resolved = userCtx.ip || ''; break;
+    case '[REMOTE_HOST]': resolved = userCtx.remoteHost || ''; break;
+    case '[HTTP_USER_AGENT]': resolved = userCtx.userAgent || ''; break;
+    case '[HTTP_REFERER]':    resolved = userCtx.referer || ''; break;
+    default:              return val; // Unresolved — return as-is
+  }
+
+  return val.replace(/(\[.+\])/, resolved);
+}
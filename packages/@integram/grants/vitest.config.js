@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    globals: false,
+    include: ['__tests__/**/*.test.js'],
+    testTimeout: 10000,
+  },
+});
@@ -0,0 +1,439 @@
+/**
+ * @integram/core-data-service - AccessControl Tests
+ *
+ * Tests for V2 authentication and grant/mask enforcement.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AccessControl, createAccessControl, createGuards } from '../middleware/AccessControl.js';
+
+// ============================================================================
+// Mocks
+// ============================================================================
+
+function createMockDatabaseService(rows = []) {
+  return {
+    execSql: vi.fn().mockResolvedValue({ rows, fields: [] }),
+  };
+}
+
+function createMockGrantEngine() {
+  return {
+    getGrants: vi.fn().mockResolvedValue({ 100: 'READ', 200: 'WRITE' }),
+    checkGrant: vi.fn().mockResolvedValue(true),
+    grant1Level: vi.fn().mockResolvedValue('READ'),
+    checkValGranted: vi.fn().mockResolvedValue('READ'),
+    valBarredByMask: vi.fn().mockResolvedValue(false),
+  };
+}
+
+function createMockResponse() {
+  const res = {};
+  res.status = vi.fn().mockReturnValue(res);
+  res.json = vi.fn().mockReturnValue(res);
+  return res;
+}
+
+const user = { uid: 5, username: 'john', role: 'manager', roleId: 42, grants: { 100: 'READ' } };
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('AccessControl', () => {
+  let db;
+  let engine;
+  let ac;
+
+  beforeEach(() => {
+    db = createMockDatabaseService();
+    engine = createMockGrantEngine();
+    ac = new AccessControl(db, engine, { logger: { error: vi.fn() } });
+  });
+
+  describe('constructor', () => {
+    it('should require all grant engine methods', () => {
+      expect(() => new AccessControl(db, { getGrants: vi.fn() })).toThrow(/checkGrant/);
+    });
+
+    it('should return null from factory without grant engine', () => {
+      expect(createAccessControl(db, null)).toBeNull();
+      expect(createAccessControl(db, engine)).toBeInstanceOf(AccessControl);
+    });
+
+    it('should adapt DatabaseService to a mysql2-style pool', async () => {
+      db.execSql.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+      const [rows] = await ac.pool.query('SELECT 1', []);
+      expect(rows).toEqual([{ id: 1 }]);
+    });
+  });
+
+  describe('extractToken', () => {
+    it('should prefer the database cookie', () => {
+      const req = { cookies: { mydb: 'cookie-token' }, headers: { authorization: 'Bearer header-token' } };
+      expect(AccessControl.extractToken(req, 'mydb')).toBe('cookie-token');
+    });
+
+    it('should fall back to Authorization and X-Authorization headers', () => {
+      expect(AccessControl.extractToken({ headers: { authorization: 'Bearer abc' } }, 'mydb')).toBe('abc');
+      expect(AccessControl.extractToken({ headers: { 'x-authorization': 'xyz' } }, 'mydb')).toBe('xyz');
+    });
+
+    it('should parse raw Cookie header when cookie-parser is absent', () => {
+      const req = { headers: { cookie: 'other=1; mydb=raw-token' } };
+      expect(AccessControl.extractToken(req, 'mydb')).toBe('raw-token');
+    });
+  });
+
+  describe('middleware', () => {
+    it('should reject requests without token', async () => {
+      const res = createMockResponse();
+      const next = vi.fn();
+      await ac.middleware()({ params: { database: 'mydb' }, headers: {} }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown tokens', async () => {
+      const res = createMockResponse();
+      const next = vi.fn();
+      await ac.middleware()({ params: { database: 'mydb' }, headers: { authorization: 'Bearer bad' } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should load user and role grants for a valid token', async () => {
+      db.execSql.mockResolvedValueOnce({
+        rows: [{ uid: 5, uname: 'john', xsrf_val: 'x1', role_val: 'Manager', roleId: 42 }],
+      });
+      const req = { params: { database: 'mydb' }, headers: { authorization: 'Bearer good' } };
+      const next = vi.fn();
+      await ac.middleware()(req, createMockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(engine.getGrants).toHaveBeenCalledWith(ac.pool, 'mydb', 42, expect.objectContaining({ username: 'john' }));
+      expect(req.v2User).toMatchObject({ uid: 5, username: 'john', role: 'manager', roleId: 42 });
+      expect(req.v2User.grants).toEqual({ 100: 'READ', 200: 'WRITE' });
+    });
+
+    it('should require the XSRF token for writes authorized by the cookie alone', async () => {
+      db.execSql.mockResolvedValue({
+        rows: [{ uid: 5, uname: 'john', xsrf_val: 'x1', role_val: 'Manager', roleId: 42 }],
+      });
+      const cookieRequest = (method, extra = {}) => ({
+        method, baseUrl: '/v2/databases/mydb', path: '/objects',
+        params: { database: 'mydb' }, cookies: { mydb: 'good' }, headers: {}, body: {}, ...extra,
+      });
+      const next = vi.fn();
+
+      const res = createMockResponse();
+      await ac.middleware()(cookieRequest('POST', { body: { _xsrf: 'forged' } }), res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+
+      await ac.middleware()(cookieRequest('GET'), createMockResponse(), next);
+      await ac.middleware()(cookieRequest('POST', { body: { _xsrf: 'x1' } }), createMockResponse(), next);
+      await ac.middleware()(cookieRequest('PATCH', { headers: { 'x-xsrf-token': 'x1' } }), createMockResponse(), next);
+      await ac.middleware()(cookieRequest('DELETE', { headers: { authorization: 'Bearer good' } }), createMockResponse(), next);
+      expect(next).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('visiblePage', () => {
+    it('should page and count only the visible objects', async () => {
+      const all = Array.from({ length: 30 }, (_, i) => ({ id: i + 1, value: `v${i + 1}`, typeId: 100 }));
+      ac.isBarredByMask = vi.fn(async (database, u, obj) => obj.id % 3 === 0);
+      const fetch = vi.fn(async (limit, offset) => ({ results: all.slice(offset, offset + limit), total: all.length }));
+
+      const page = await ac.visiblePage('mydb', user, fetch, { limit: 5, offset: 5 }, { typeId: 100 });
+
+      expect(page.total).toBe(20);
+      expect(page.results.map(obj => obj.id)).toEqual([8, 10, 11, 13, 14]);
+      expect(page.capped).toBeUndefined();
+    });
+  });
+
+  describe('API keys', () => {
+    let apiKeys;
+
+    beforeEach(() => {
+      engine.scopeGrants = vi.fn().mockResolvedValue({ API_KEY: { readOnly: true, types: [100] }, 100: 'READ' });
+      apiKeys = {
+        authenticate: vi.fn(async (database, token) => (token === 'ik_good'
+          ? { uid: 5, key: { id: 900, name: 'CI', readOnly: true, types: [100] } }
+          : null)),
+      };
+      ac = new AccessControl(db, engine, { logger: { error: vi.fn() }, apiKeys });
+      db.execSql.mockResolvedValue({ rows: [{ uid: 5, uname: 'john', xsrf_val: 'x1', role_val: 'Manager', roleId: 42 }] });
+    });
+
+    const keyRequest = (method, path) => ({
+      method, baseUrl: '/v2/databases/mydb', path, ip: '10.0.0.7',
+      params: { database: 'mydb' }, headers: { authorization: 'Bearer ik_good' },
+    });
+
+    it('should require scopeGrants from the engine', () => {
+      delete engine.scopeGrants;
+      expect(() => new AccessControl(db, engine, { apiKeys })).toThrow(/scopeGrants/);
+    });
+
+    it('should resolve a key to its user with grants narrowed to the key scope', async () => {
+      const req = keyRequest('GET', '/types/100/objects');
+      const next = vi.fn();
+      await ac.middleware()(req, createMockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(apiKeys.authenticate).toHaveBeenCalledWith('mydb', 'ik_good', { ip: '10.0.0.7' });
+      expect(db.execSql.mock.calls[0][0]).toContain('u.id=?');
+      expect(db.execSql.mock.calls[0][1]).toEqual([5]);
+      expect(engine.scopeGrants).toHaveBeenCalledWith(ac.pool, 'mydb', { 100: 'READ', 200: 'WRITE' },
+        expect.objectContaining({ readOnly: true, types: [100] }), 'john');
+      expect(req.v2User).toMatchObject({ uid: 5, xsrf: null, apiKey: { id: 900, readOnly: true } });
+    });
+
+    it('should let read-only keys search but not write', async () => {
+      const next = vi.fn();
+      await ac.middleware()(keyRequest('POST', '/search'), createMockResponse(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const res = createMockResponse();
+      await ac.middleware()(keyRequest('POST', '/objects'), res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.message).toBe('API-ключ только для чтения');
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 401 with the reason for an expired key', async () => {
+      const expired = new Error('Срок действия API-ключа истёк');
+      expired.name = 'AuthenticationError';
+      apiKeys.authenticate.mockRejectedValueOnce(expired);
+      const res = createMockResponse();
+      await ac.middleware()(keyRequest('GET', '/types'), res, vi.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.message).toBe('Срок действия API-ключа истёк');
+    });
+
+    it('should keep session tokens working', async () => {
+      const req = { params: { database: 'mydb' }, headers: { authorization: 'Bearer session' } };
+      await ac.middleware()(req, createMockResponse(), vi.fn());
+
+      expect(db.execSql.mock.calls[0][1]).toEqual(['session']);
+      expect(engine.scopeGrants).not.toHaveBeenCalled();
+      expect(req.v2User.apiKey).toBeUndefined();
+    });
+  });
+
+  describe('sessions', () => {
+    it('should record the use of a session with details', async () => {
+      const sessions = { touch: vi.fn() };
+      ac = new AccessControl(db, engine, { logger: { error: vi.fn() }, sessions });
+      db.execSql.mockResolvedValueOnce({ rows: [{ uid: 5, uname: 'john', roleId: 0, tok_id: 77, tok_info: 78 }] });
+      const req = { params: { database: 'mydb' }, headers: { authorization: 'Bearer good' }, ip: '10.0.0.7' };
+      await ac.middleware()(req, createMockResponse(), vi.fn());
+
+      expect(req.v2User.sessionId).toBe(77);
+      expect(sessions.touch).toHaveBeenCalledWith('mydb', 77, { ip: '10.0.0.7' });
+
+      db.execSql.mockResolvedValueOnce({ rows: [{ uid: 5, uname: 'john', roleId: 0, tok_id: 79, tok_info: null }] });
+      await ac.middleware()({ ...req, headers: { authorization: 'Bearer old' } }, createMockResponse(), vi.fn());
+      expect(sessions.touch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('grant checks', () => {
+    it('should check DDL rights on the root', async () => {
+      await ac.canEditSchema('mydb', user);
+      expect(engine.checkGrant).toHaveBeenCalledWith(ac.pool, 'mydb', user.grants, 0, 0, 'WRITE', 'john');
+    });
+
+    it('should require WRITE level for type writes', async () => {
+      expect(await ac.canAccessType('mydb', user, 100)).toBe(true);
+      expect(await ac.canAccessType('mydb', user, 100, 'WRITE')).toBe(false);
+    });
+
+    it('should check parent grant when creating nested objects', async () => {
+      await ac.canCreateObject('mydb', user, 77, 200);
+      expect(engine.checkGrant).toHaveBeenCalledWith(ac.pool, 'mydb', user.grants, 77, 200, 'WRITE', 'john');
+    });
+
+    it('should use first-level grant when creating root objects', async () => {
+      engine.grant1Level.mockResolvedValueOnce('WRITE');
+      expect(await ac.canCreateObject('mydb', user, 1, 200)).toBe(true);
+      expect(engine.checkGrant).not.toHaveBeenCalled();
+    });
+
+    it('should allow export for owner or EXPORT grant only', () => {
+      expect(ac.canExport('mydb', user, 100)).toBe(false);
+      expect(ac.canExport('mydb', { ...user, grants: { EXPORT: { 100: '1' } } }, 100)).toBe(true);
+      expect(ac.canExport('mydb', { ...user, username: 'mydb' }, 100)).toBe(true);
+    });
+
+    it('should collect values barred by masks', async () => {
+      engine.valBarredByMask
+        .mockResolvedValueOnce(false)
+        .mockRejectedValueOnce(Object.assign(new Error('mask'), { isMaskError: true }));
+
+      const barred = await ac.findBarredValues('mydb', user, 100, 'Alpha', { 101: 'secret' });
+      expect(barred).toEqual([101]);
+    });
+
+    it('should deny batch operations without grants', async () => {
+      engine.grant1Level.mockResolvedValueOnce('READ');
+      const denied = await ac.checkOperation('mydb', user, { action: 'create', typeId: 100, data: { value: 'x' } });
+      expect(denied).toMatch(/100/);
+
+      engine.checkGrant.mockResolvedValueOnce(false);
+      expect(await ac.checkOperation('mydb', user, { action: 'delete', objectId: 9 })).toMatch(/9/);
+    });
+
+    it('should check new values of batch updates against masks', async () => {
+      db.execSql.mockResolvedValueOnce({ rows: [{ t: 100 }] });
+      engine.valBarredByMask.mockImplementation(async (pool, db, grants, t) => t === 101);
+
+      const denied = await ac.checkOperation('mydb', user, { action: 'update', objectId: 9, data: { value: 'a', requisites: { 101: 'x' } } });
+
+      expect(denied).toMatch(/маской: 101/);
+      expect(engine.valBarredByMask).toHaveBeenCalledWith(ac.pool, 'mydb', user.grants, 100, 'a');
+    });
+  });
+
+  describe('filtering', () => {
+    it('should drop objects without READ grant', async () => {
+      engine.checkGrant.mockImplementation(async (pool, db, grants, id) => id !== 2);
+      const result = await ac.filterObjects('mydb', user, [
+        { id: 1, value: 'a', typeId: 100 },
+        { id: 2, value: 'b', typeId: 100 },
+      ]);
+      expect(result.map(o => o.id)).toEqual([1]);
+    });
+
+    it('should drop objects and requisites hidden by masks', async () => {
+      const masked = { ...user, grants: { 100: 'READ', mask: { 100: { '!b': 'BARRED' }, 101: { '!x': 'BARRED' } } } };
+      engine.checkValGranted.mockImplementation(async (pool, db, grants, t, val) => (
+        val === 'b' || val === 'x' ? 'BARRED' : 'READ'
+      ));
+
+      const result = await ac.filterObjects('mydb', masked, [
+        { id: 1, value: 'a', typeId: 100, requisites: { 101: [{ id: 11, value: 'x' }, { id: 12, value: 'y' }] } },
+        { id: 2, value: 'b', typeId: 100 },
+      ], { typeId: 100 });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].requisites).toEqual({ 101: [{ id: 12, value: 'y' }] });
+      expect(engine.checkGrant).not.toHaveBeenCalled();
+    });
+
+    it('should never return passwords, tokens or PWD requisites', async () => {
+      // Requisite 105 is based on PWD
+      db.execSql.mockResolvedValueOnce({ rows: [{ id: 105 }] });
+      const admin = { ...user, username: 'admin' };
+
+      const result = await ac.filterObjects('mydb', admin, [
+        { id: 1, value: 'john', typeId: 18, requisites: { 20: [{ id: 11, value: 'hash' }], 41: [{ id: 12, value: 'j@example.com' }] } },
+        { id: 2, value: 'JBSWY3DPEHPK3PXP', typeId: 105 },
+        { id: 3, value: 'token', typeId: 125 },
+      ]);
+
+      expect(result).toEqual([
+        { id: 1, value: 'john', typeId: 18, requisites: { 41: [{ id: 12, value: 'j@example.com' }] } },
+      ]);
+    });
+
+    it('should prune tree nodes the user cannot see with their subtrees', async () => {
+      engine.checkGrant.mockImplementation(async (pool, db, grants, id) => id !== 3);
+      const tree = {
+        id: 1, value: 'root', typeId: 100, children: [
+          { id: 2, value: 'a', typeId: 100, children: [{ id: 4, value: 'c', typeId: 100, children: [] }] },
+          { id: 3, value: 'b', typeId: 100, children: [{ id: 5, value: 'd', typeId: 100, children: [] }] },
+        ],
+      };
+
+      const result = await ac.filterTree('mydb', user, tree);
+
+      expect(result.children.map(node => node.id)).toEqual([2]);
+      expect(result.children[0].children.map(node => node.id)).toEqual([4]);
+      engine.checkGrant.mockResolvedValue(false);
+      expect(await ac.filterTree('mydb', user, tree)).toBeNull();
+    });
+
+    it('should list objects whose value or requisite values masks hide', async () => {
+      const masked = { ...user, grants: { mask: { 101: { '!x': 'BARRED' }, 102: { '!Smith': 'BARRED' } } } };
+      db.execSql
+        .mockResolvedValueOnce({ rows: [{ id: 101 }, { id: 102 }, { id: 103 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, val: 'a' }, { id: 2, val: 'b' }, { id: 3, val: 'c' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 11, up: 1, t: 101, val: 'x', ref_val: null },
+            { id: 12, up: 2, t: 101, val: 'y', ref_val: null },
+            { id: 13, up: 3, t: 77, val: '102', ref_val: 'Smith' },
+          ],
+        });
+      engine.checkValGranted.mockImplementation(async (pool, db, grants, t, val) => (
+        val === 'x' || val === 'Smith' ? 'BARRED' : 'READ'
+      ));
+
+      expect(await ac.findMaskedObjectIds('mydb', masked, 100)).toEqual([1, 3]);
+      expect(engine.checkValGranted).toHaveBeenCalledWith(ac.pool, 'mydb', masked.grants, 102, 'Smith', 77);
+      // Без масок на тип и реквизиты объекты не читаются
+      db.execSql.mockResolvedValueOnce({ rows: [{ id: 103 }] });
+      expect(await ac.findMaskedObjectIds('mydb', user, 100)).toEqual([]);
+      expect(db.execSql).toHaveBeenCalledTimes(4);
+    });
+
+    it('should hide events for types the user cannot read', async () => {
+      engine.grant1Level.mockResolvedValueOnce(false);
+      engine.checkGrant.mockResolvedValueOnce(false);
+      expect(await ac.canSeeEvent('mydb', user, { targetType: 300, targetId: 5 })).toBe(false);
+      expect(await ac.canSeeEvent('mydb', { ...user, username: 'admin' }, { targetType: 300 })).toBe(true);
+    });
+  });
+
+  describe('createGuards', () => {
+    it('should pass everything without access control', () => {
+      const guards = createGuards(null);
+      const next = vi.fn();
+      guards.schema('WRITE')({}, {}, next);
+      expect(guards.enabled).toBe(false);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should answer 403 when grant check fails', async () => {
+      engine.grant1Level.mockResolvedValueOnce(false);
+      const guards = createGuards(ac);
+      const res = createMockResponse();
+      const next = vi.fn();
+
+      await guards.type('READ')({ params: { database: 'mydb', typeId: '300' }, v2User: user }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('FORBIDDEN');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should check objects on the connection of the request\'s transaction', async () => {
+      const txDb = createMockDatabaseService([{ id: 1 }]);
+      const transactionService = { getTransactionDatabase: vi.fn(() => txDb) };
+      const guards = createGuards(ac, { transactionService });
+      const next = vi.fn();
+      engine.checkGrant.mockImplementationOnce(async (pool) => {
+        await pool.query('SELECT 1');
+        return true;
+      });
+      const req = {
+        params: { database: 'mydb', objectId: '900' },
+        v2User: user,
+        get: name => (name === 'X-Transaction-Id' ? 'tx_1' : undefined),
+      };
+
+      await guards.object('WRITE')(req, createMockResponse(), next);
+
+      expect(transactionService.getTransactionDatabase).toHaveBeenCalledWith('tx_1', user.uid);
+      expect(txDb.execSql).toHaveBeenCalledWith('SELECT 1', [], 'AccessControl');
+      expect(db.execSql).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for EventService webhooks (persistence, signing, retries)
+ */
+
+import crypto from 'node:crypto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventService, DELIVERY_STATUS, ALL_DATABASES, checkWebhookUrl } from '../services/EventService.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/** DNS без сети: hook.test — публичный адрес */
+const dnsLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+
+/** Дождаться асинхронной доставки, запущенной без await (в т.ч. повторов с нулевой задержкой) */
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('EventService webhooks', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  describe('in memory', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new EventService(null, {
+        logger,
+        dnsLookup,
+        webhookRetry: { maxAttempts: 3, baseDelay: 1000, maxDelay: 10000 },
+      });
+    });
+
+    afterEach(() => service.close());
+
+    it('should generate a secret when none is given', async () => {
+      const webhook = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+
+      expect(webhook.id).toMatch(/^wh_/);
+      expect(webhook.secret).toHaveLength(64);
+      expect((await service.listWebhooks('mydb'))[0]).not.toHaveProperty('secret');
+    });
+
+    it('should sign every delivery with HMAC-SHA256', async () => {
+      const { secret } = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+      await service.emit('mydb', { action: 'create', targetId: 5, targetType: 100 });
+      await flush();
+
+      const [url, request] = fetchMock.mock.calls[0];
+      const expected = crypto.createHmac('sha256', secret).update(request.body).digest('hex');
+      expect(url).toBe('http://hook.test/a');
+      expect(request.headers['X-Integram-Signature']).toBe(`sha256=${expected}`);
+      expect(request.headers['X-Integram-Attempt']).toBe('1');
+      const [delivery] = await service.getDeliveries((await service.listWebhooks('mydb'))[0].id);
+      expect(request.headers['X-Integram-Delivery']).toBe(delivery.id);
+    });
+
+    it('should refuse webhook URLs to internal addresses unless the host is allowed', () => {
+      expect(service.checkWebhookUrl('ftp://hook.test/a')).toMatch(/http/);
+      for (const url of ['http://localhost:8080/', 'http://127.0.0.1/', 'http://2130706433/', 'http://10.1.2.3/',
+        'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[fe80::1]/', 'http://[::ffff:192.168.0.1]/']) {
+        expect(service.checkWebhookUrl(url)).toMatch(/внутренний/);
+      }
+      expect(service.checkWebhookUrl('https://hook.test/a')).toBeNull();
+      expect(checkWebhookUrl('http://10.1.2.3/', ['10.1.2.3'])).toBeNull();
+    });
+
+    it('should not deliver to a host resolving to an internal address', async () => {
+      service.dnsLookup = async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }];
+      const { id } = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+      await service.emit('mydb', { action: 'create', targetId: 5 });
+      await flush();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      const [delivery] = await service.getDeliveries(id);
+      expect(delivery.error).toMatch(/10\.0\.0\.5/);
+    });
+
+    it('should record successful deliveries', async () => {
+      const { id } = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+      await service.emit('mydb', { action: 'update', targetId: 5 });
+      await flush();
+
+      const [delivery] = await service.getDeliveries(id);
+      expect(delivery.status).toBe(DELIVERY_STATUS.SUCCESS);
+      expect(delivery.attempt).toBe(1);
+      expect(delivery.responseStatus).toBe(200);
+    });
+
+    it('should retry with exponential backoff and dead-letter after max attempts', async () => {
+      vi.useFakeTimers();
+      fetchMock.mockResolvedValue({ ok: false, status: 503 });
+      const { id } = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+
+      await service.emit('mydb', { action: 'delete', targetId: 5 });
+      await vi.advanceTimersByTimeAsync(0);
+
+      let [delivery] = await service.getDeliveries(id);
+      expect(delivery.status).toBe(DELIVERY_STATUS.RETRYING);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+
+      // Вторая задержка вдвое больше
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+
+      [delivery] = await service.getDeliveries(id, { status: DELIVERY_STATUS.DEAD });
+      expect(delivery.attempt).toBe(3);
+      expect(delivery.error).toBe('HTTP 503');
+    });
+
+    it('should redeliver dead letters only', async () => {
+      fetchMock.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+      service.webhookRetry.maxAttempts = 1;
+      const { id } = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+      await service.emit('mydb', { action: 'create', targetId: 5 });
+      await flush();
+
+      const [dead] = await service.getDeliveries(id, { status: DELIVERY_STATUS.DEAD });
+      const retried = await service.redeliver(id, dead.id);
+      expect(retried.status).toBe(DELIVERY_STATUS.SUCCESS);
+
+      await expect(service.redeliver(id, dead.id)).rejects.toMatchObject({ code: 'CONFLICT' });
+      expect(await service.redeliver(id, 'dlv_missing')).toBeNull();
+    });
+
+    it('should skip webhooks of other databases or filtered out events', async () => {
+      await service.registerWebhook('other', { url: 'http://hook.test/other' });
+      await service.registerWebhook('mydb', { url: 'http://hook.test/a', filter: { actions: ['delete'] } });
+      await service.emit('mydb', { action: 'create', targetId: 5 });
+      await flush();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should remove webhooks only within their database', async () => {
+      const { id } = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+
+      expect(await service.removeWebhook(id, 'other')).toBe(false);
+      expect(await service.removeWebhook(id, 'mydb')).toBe(true);
+      expect(await service.listWebhooks('mydb')).toEqual([]);
+    });
+
+    it('should deliver events of every database to ALL_DATABASES subscribers', async () => {
+      const seen = [];
+      service.subscribe(ALL_DATABASES, { actions: ['update'] }, event => seen.push(`${event.db}:${event.targetId}`));
+      await service.emit('mydb', { action: 'update', targetId: 5 });
+      await service.emit('other', { action: 'update', targetId: 6 });
+      await service.emit('other', { action: 'create', targetId: 7 });
+
+      expect(seen).toEqual(['mydb:5', 'other:6']);
+    });
+  });
+
+  describe('persisted', () => {
+    let db;
+    let service;
+
+    beforeEach(() => {
+      db = { execSql: vi.fn().mockResolvedValue({ rows: [] }) };
+      service = new EventService(db, { logger, dnsLookup });
+    });
+
+    afterEach(() => service.close());
+
+    it('should store subscriptions in _webhooks', async () => {
+      await service.registerWebhook('mydb', { url: 'http://hook.test/a', secret: 's3cret' });
+
+      const sqls = db.execSql.mock.calls.map(call => call[0]);
+      expect(sqls.some(sql => sql.includes('CREATE TABLE IF NOT EXISTS _webhooks'))).toBe(true);
+      expect(sqls.some(sql => sql.includes('CREATE TABLE IF NOT EXISTS _webhook_deliveries'))).toBe(true);
+
+      const insert = db.execSql.mock.calls.find(call => call[0].startsWith('INSERT INTO _webhooks'));
+      expect(insert[1]).toEqual([expect.stringMatching(/^wh_/), 'mydb', 'http://hook.test/a', '{}', 's3cret']);
+    });
+
+    it('should restore subscriptions and resume pending deliveries after restart', async () => {
+      db.execSql.mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT * FROM _webhooks')) {
+          return { rows: [{ id: 'wh_1', db: 'mydb', url: 'http://hook.test/a', filter: '{}', secret: 's', created_at: new Date() }] };
+        }
+        if (sql.startsWith('SELECT * FROM _webhook_deliveries')) {
+          return {
+            rows: [{
+              id: 'dlv_1', webhook_id: 'wh_1', event_id: 'ev_1', event: { id: 'ev_1', action: 'create' },
+              attempt: 1, status: 'retrying', next_retry_at: null, created_at: new Date(), updated_at: new Date(),
+            }],
+          };
+        }
+        return { rows: [] };
+      });
+
+      const webhooks = await service.listWebhooks('mydb');
+      await flush();
+
+      expect(webhooks.map(w => w.id)).toEqual(['wh_1']);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][1].headers['X-Integram-Attempt']).toBe('2');
+
+      const update = db.execSql.mock.calls.find(call => call[0].startsWith('UPDATE _webhook_deliveries'));
+      expect(update[1].slice(0, 2)).toEqual([2, DELIVERY_STATUS.SUCCESS]);
+    });
+
+    it('should fall back to memory when tables cannot be created', async () => {
+      db.execSql.mockRejectedValue(new Error('denied'));
+
+      const webhook = await service.registerWebhook('mydb', { url: 'http://hook.test/a' });
+
+      expect(service.persistWebhooks).toBe(false);
+      expect(await service.getWebhook('mydb', webhook.id)).toMatchObject({ url: 'http://hook.test/a' });
+    });
+  });
+});
@@ -5,6 +5,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ObjectService } from '../services/ObjectService.js';
 import { ValidationService } from '../services/ValidationService.js';
+import { ValidationError } from '@integram/common';
 
 describe('ObjectService', () => {
   let service;
@@ -188,6 +189,24 @@ describe('ObjectService', () => {
 
       expect(result.requisites).toBeDefined();
     });
+
+    it('should leave secret requisites out', async () => {
+      mockDb.executeQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1001, val: 'john', up: 1, t: 18, ord: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 2001, val: 'hash', t: 20 },
+            { id: 2002, val: 'JBSWY3DPEHPK3PXP', t: 105 },
+            { id: 2003, val: 'john@example.com', t: 41 },
+          ],
+        });
+      // Requisite 105 is based on PWD
+      mockDb.execSql.mockResolvedValueOnce({ rows: [{ id: 105 }] });
+
+      const result = await service.getById('testdb', 1001, { includeRequisites: true });
+
+      expect(result.requisites).toEqual({ 41: [{ id: 2003, value: 'john@example.com' }] });
+    });
   });
 
   describe('getByIds', () => {
@@ -323,6 +342,55 @@ describe('ObjectService', () => {
     });
   });
 
+  describe('validation rules', () => {
+    let ruleValidator;
+
+    beforeEach(() => {
+      ruleValidator = vi.fn(async (database, { requisites }) => {
+        if (requisites[101] === 'bad') throw new ValidationError('«Email»: недопустимое значение «bad»', { t101: '«Email»: недопустимое значение «bad»' });
+      });
+      service = new ObjectService(mockDb, {
+        logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+        validationService: new ValidationService({ ruleValidator }),
+      });
+    });
+
+    it('should check rules before creating anything', async () => {
+      await expect(service.create('testdb', { value: 'A', typeId: 18, parentId: 1, requisites: { 101: 'bad' } }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { fields: { t101: '«Email»: недопустимое значение «bad»' } } });
+      expect(mockDb.insert).not.toHaveBeenCalled();
+      expect(ruleValidator).toHaveBeenCalledWith('testdb', { typeId: 18, objectId: null, parentId: 1, value: 'A', requisites: { 101: 'bad' } });
+
+      await service.create('testdb', { value: 'A', typeId: 18, requisites: { 101: 'bad' }, rulesChecked: true });
+      expect(mockDb.insert).toHaveBeenCalled();
+    });
+
+    it('should refuse a batch when any object breaks a rule', async () => {
+      await expect(service.createBatch('testdb', [
+        { value: 'A', typeId: 18, requisites: { 101: 'ok' } },
+        { value: 'B', typeId: 18, requisites: { 101: 'bad' } },
+      ])).rejects.toThrow(/^Object #2: «Email»/);
+      expect(mockDb.insert).not.toHaveBeenCalled();
+    });
+
+    it('should check updates against the stored type and parent', async () => {
+      mockDb.executeQuery.mockResolvedValue({ rows: [{ id: 1001, val: 'Original', up: 7, t: 18, ord: 1 }] });
+
+      await expect(service.update('testdb', 1001, { requisites: { 101: 'bad' } })).rejects.toThrow(/Email/);
+      expect(ruleValidator).toHaveBeenCalledWith('testdb', { typeId: 18, objectId: 1001, parentId: 7, value: undefined, requisites: { 101: 'bad' } });
+      expect(mockDb.updateVal).not.toHaveBeenCalled();
+
+      ruleValidator.mockClear();
+      await service.update('testdb', 1001, { order: 3 });
+      expect(ruleValidator).not.toHaveBeenCalled();
+
+      await expect(service.saveRequisites('testdb', 1001, { 101: 'bad' }, { checkRules: true })).rejects.toThrow(/Email/);
+      expect(mockDb.updateVal).not.toHaveBeenCalled();
+      await service.saveRequisites('testdb', 1001, { 101: 'bad' });
+      expect(mockDb.updateVal).toHaveBeenCalled();
+    });
+  });
+
   describe('delete', () => {
     it('should delete an object', async () => {
       mockDb.delete.mockResolvedValue(true);
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for ontology import (OWL / JSON-LD → types, requisites, objects)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseOntology } from '../services/OntologyImporter.js';
+import { OntologyService } from '../services/OntologyService.js';
+
+const IGR = 'https://integram.rf/ontology#';
+const SRC = 'https://integram.rf/ontology/src/';
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/** Источник: Client(100) — Phone (SHORT, 101), Manager (ссылка на Employee, 102, обязательная); Employee(200) */
+const SOURCE_TYPES = [
+  { id: 100, name: 'Client', baseType: 3 },
+  { id: 200, name: 'Employee', baseType: 3 },
+  { id: 50, name: 'Phone', baseType: 3 },
+];
+const SOURCE_REQUISITES = [
+  { id: 101, up: 100, attrs: '', typ_id: 50, typ_val: 'Phone', base_t: 3, ref_id: null, ref_val: null, arr_id: null },
+  { id: 102, up: 100, attrs: ':ALIAS=Manager::!NULL:', typ_id: 60, typ_val: '', base_t: 200, ref_id: 200, ref_val: 'Employee', arr_id: null },
+];
+
+function createSource() {
+  const db = {
+    execSql: vi.fn(async (sql) => {
+      if (sql.includes('JOIN src typs')) return { rows: SOURCE_REQUISITES.filter(r => r.up === 100) };
+      if (sql.includes('JOIN src p')) return { rows: [{ id: 5 }, { id: 9 }] };
+      if (sql.includes('WHERE id IN')) return { rows: [{ id: 5, val: 'Acme & Co', up: 1, t: 100 }, { id: 9, val: 'Smith', up: 1, t: 200 }] };
+      if (sql.includes('WHERE up IN')) return { rows: [{ id: 50, val: '555-01', up: 5, t: 101 }, { id: 51, val: '102', up: 5, t: 9 }] };
+      return { rows: [] };
+    }),
+  };
+  const typeService = { getAllTypes: vi.fn().mockResolvedValue(SOURCE_TYPES) };
+  return new OntologyService(db, { typeService }, { logger });
+}
+
+/** Целевая база в памяти: строки { id, up, ord, t, val } */
+function createTarget(rows = []) {
+  let nextId = 1000;
+  const table = rows.map(r => ({ ...r }));
+  const db = {
+    table,
+    insert: vi.fn(async (dbName, up, ord, t, val) => {
+      const id = nextId++;
+      table.push({ id, up, ord, t, val });
+      return id;
+    }),
+    getNextOrder: vi.fn(async (dbName, up) => table.filter(r => r.up === up).length + 1),
+    updateVal: vi.fn(async (dbName, id, val) => { table.find(r => r.id === id).val = val; }),
+    execSql: vi.fn(async (sql, params) => {
+      if (sql.includes('AND t = ? AND val = ?')) {
+        const [up, t, val] = params;
+        return { rows: table.filter(r => r.up === up && r.t === t && r.val === val).slice(0, 1) };
+      }
+      if (sql.includes('WHERE up = ?')) return { rows: table.filter(r => r.up === params[0]) };
+      return { rows: [] };
+    }),
+  };
+  const typeService = {
+    getAllTypes: vi.fn(async () => table.filter(r => r.up === 0 && r.id >= 50).map(r => ({ id: r.id, name: r.val, baseType: r.t }))),
+    createType: vi.fn(async (dbName, { name, baseType }) => ({ id: await db.insert(dbName, 0, 1, baseType, name) })),
+  };
+  return { db, typeService, service: new OntologyService(db, { typeService }, { logger }) };
+}
+
+describe('parseOntology', () => {
+  it('should read OWL exported with instances', async () => {
+    const owl = await createSource().exportOwl('src', { instances: true });
+    const model = parseOntology(owl);
+
+    expect(model.classes.map(c => [c.label, c.baseType])).toEqual([['Client', 'SHORT'], ['Employee', 'SHORT'], ['Phone', 'SHORT']]);
+    expect(model.properties).toEqual([
+      expect.objectContaining({ uri: `${IGR}Client_Phone`, kind: 'literal', domain: `${IGR}Client`, baseType: 'SHORT' }),
+      expect.objectContaining({ uri: `${IGR}Client_Manager`, kind: 'reference', range: `${IGR}Employee`, required: true }),
+    ]);
+    expect(model.individuals[0]).toEqual({
+      uri: `${SRC}5`,
+      type: `${IGR}Client`,
+      label: 'Acme & Co',
+      values: [
+        { property: `${IGR}Client_Phone`, literal: '555-01' },
+        { property: `${IGR}Client_Manager`, iri: `${SRC}9` },
+      ],
+    });
+  });
+
+  it('should read a JSON-LD graph with compact IRIs', () => {
+    const model = parseOntology({
+      '@context': { igr: IGR, owl: 'http://www.w3.org/2002/07/owl#', rdfs: 'http://www.w3.org/2000/01/rdf-schema#' },
+      '@graph': [
+        { '@id': 'igr:Order', '@type': 'owl:Class', 'rdfs:label': 'Order' },
+        { '@id': 'igr:Order_Lines', '@type': 'owl:ObjectProperty', 'rdfs:label': 'Line', 'rdfs:domain': { '@id': 'igr:Order' }, 'rdfs:range': { '@id': 'igr:Line' }, 'igr:subordinate': true },
+      ],
+    });
+
+    expect(model.classes).toEqual([{ uri: `${IGR}Order`, label: 'Order', baseType: undefined }]);
+    expect(model.properties[0]).toMatchObject({ kind: 'array', domain: `${IGR}Order`, range: `${IGR}Line` });
+  });
+
+  it('should reject unknown formats and malformed XML', () => {
+    expect(() => parseOntology({ foo: 1 })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    expect(() => parseOntology('<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"><owl:Class>')).toThrow(/неизвестный префикс owl/);
+    expect(() => parseOntology('<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">')).toThrow(/не закрыт/);
+  });
+});
+
+describe('OntologyService.importOntology', () => {
+  it('should round-trip schema and instances between databases', async () => {
+    const owl = await createSource().exportOwl('src', { instances: true });
+    const { db, service } = createTarget();
+
+    const result = await service.importOntology('dst', owl, { individuals: true });
+
+    expect(result.errors).toEqual([]);
+    expect(result.created.map(c => c.name)).toEqual(['Client', 'Employee', 'Phone']);
+    const byName = name => db.table.find(r => r.up === 0 && r.val === name);
+    const client = byName('Client'), employee = byName('Employee'), phone = byName('Phone');
+
+    // Реквизиты в модели PHP: колонка — тип Phone, ссылка — через строку (up=0, t=Employee, val='')
+    const refRow = db.table.find(r => r.up === 0 && r.t === employee.id && r.val === '');
+    const phoneReq = db.table.find(r => r.up === client.id && r.t === phone.id);
+    const managerReq = db.table.find(r => r.up === client.id && r.t === refRow.id);
+    expect(phoneReq.val).toBe('');
+    expect(managerReq.val).toBe(':ALIAS=Manager::!NULL:');
+
+    // Объекты и значения
+    const acme = db.table.find(r => r.up === 1 && r.t === client.id);
+    const smith = db.table.find(r => r.up === 1 && r.t === employee.id);
+    expect(acme.val).toBe('Acme & Co');
+    expect(db.table.find(r => r.up === acme.id && r.t === phoneReq.id).val).toBe('555-01');
+    expect(db.table.find(r => r.up === acme.id && r.t === smith.id).val).toBe(String(managerReq.id));
+    expect(result.individuals).toEqual({ created: 2, matched: 0, values: 2 });
+  });
+
+  it('should be idempotent on re-import', async () => {
+    const owl = await createSource().exportOwl('src', { instances: true });
+    const { db, service } = createTarget();
+    await service.importOntology('dst', owl, { individuals: true });
+    const rowCount = db.table.length;
+
+    const again = await service.importOntology('dst', owl, { individuals: true });
+
+    expect(db.table).toHaveLength(rowCount);
+    expect(again.created).toEqual([]);
+    expect(again.matched.map(m => m.name)).toEqual(['Client', 'Employee', 'Phone']);
+    expect(again.requisites).toEqual({ created: [], existing: 2 });
+    expect(again.individuals).toEqual({ created: 0, matched: 2, values: 0 });
+  });
+
+  it('should match existing types by label case-insensitively', async () => {
+    const { db, service, typeService } = createTarget([{ id: 300, up: 0, ord: 1, t: 3, val: 'client' }]);
+
+    const result = await service.importOntology('dst', { classes: [{ name: 'Client', properties: [{ name: 'Age', range: 'xsd:integer' }] }] });
+
+    expect(result.matched).toEqual([{ name: 'Client', typeId: 300 }]);
+    expect(typeService.createType).toHaveBeenCalledWith('dst', { name: 'Age', baseType: 13 });
+    const age = db.table.find(r => r.up === 0 && r.val === 'Age');
+    expect(db.table.find(r => r.up === 300)).toMatchObject({ id: result.requisites.created[0].requisiteId, t: age.id });
+  });
+
+  it('should skip individuals unless requested and report unresolved references', async () => {
+    const graph = {
+      '@context': { igr: IGR, owl: 'http://www.w3.org/2002/07/owl#', rdfs: 'http://www.w3.org/2000/01/rdf-schema#' },
+      '@graph': [
+        { '@id': 'igr:Task', '@type': 'owl:Class', 'rdfs:label': 'Task' },
+        { '@id': 'igr:Task_Owner', '@type': 'owl:ObjectProperty', 'rdfs:label': 'Owner', 'rdfs:domain': { '@id': 'igr:Task' }, 'rdfs:range': { '@id': 'igr:Task' } },
+        { '@id': `${SRC}1`, '@type': 'igr:Task', 'rdfs:label': 'Fix', 'igr:Task_Owner': { '@id': `${SRC}77` } },
+      ],
+    };
+
+    const { db, service } = createTarget();
+    expect((await service.importOntology('dst', graph)).individuals.created).toBe(0);
+    expect(db.table.some(r => r.up === 1)).toBe(false);
+
+    const result = await service.importOntology('dst', graph, { individuals: true });
+    expect(result.individuals.created).toBe(1);
+    expect(result.errors).toEqual([expect.objectContaining({ individual: `${SRC}1`, error: expect.stringContaining(`${SRC}77`) })]);
+  });
+});
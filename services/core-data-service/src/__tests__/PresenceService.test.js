@@ -0,0 +1,94 @@
+/**
+ * Unit tests for PresenceService (who is viewing/editing a table)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PresenceService } from '../services/PresenceService.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+const john = { uid: 5, username: 'john' };
+const anna = { uid: 6, username: 'anna' };
+
+describe('PresenceService', () => {
+  let service;
+  let events;
+
+  beforeEach(() => {
+    service = new PresenceService({ logger, presenceTtl: 1000 });
+    events = [];
+    service.subscribe('mydb', event => events.push(event));
+  });
+
+  afterEach(() => service.close());
+
+  it('should publish join once and update only on a state change', () => {
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100, state: 'edit', objectId: 7, field: '12' });
+
+    expect(events.map(e => e.type)).toEqual(['join', 'update']);
+    expect(events[1].presence).toMatchObject({
+      clientId: 'tab1', userId: 5, username: 'john', typeId: 100, objectId: 7, field: '12', state: 'edit',
+    });
+  });
+
+  it('should list clients of a type', () => {
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+    service.heartbeat('mydb', { clientId: 'tab2', user: anna, typeId: 200 });
+
+    expect(service.list('mydb', { typeId: 100 }).map(p => p.username)).toEqual(['john']);
+    expect(service.list('mydb')).toHaveLength(2);
+    expect(service.list('other')).toEqual([]);
+  });
+
+  it('should report leaving the previous table when switching types', () => {
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 200 });
+
+    expect(events.map(e => [e.type, e.presence.typeId])).toEqual([['join', 100], ['leave', 100], ['join', 200]]);
+  });
+
+  it('should scope client ids to their user', () => {
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+    service.heartbeat('mydb', { clientId: 'tab1', user: anna, typeId: 100 });
+
+    expect(service.leave('mydb', 'tab1', anna.uid)).toBe(true);
+    expect(service.list('mydb', { typeId: 100 }).map(p => p.username)).toEqual(['john']);
+    expect(service.leave('mydb', 'tab1', anna.uid)).toBe(false);
+  });
+
+  it('should expire clients without a heartbeat', () => {
+    vi.useFakeTimers();
+    // Таймер очистки должен создаваться уже под fake timers
+    const expiring = new PresenceService({ logger, presenceTtl: 1000 });
+    const expired = [];
+    expiring.subscribe('mydb', event => expired.push(event.type));
+    try {
+      expiring.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+      vi.advanceTimersByTime(1500);
+
+      expect(expiring.list('mydb')).toEqual([]);
+      expect(expired).toEqual(['join', 'leave']);
+    } finally {
+      expiring.close();
+      vi.useRealTimers();
+    }
+  });
+
+  it('should validate heartbeats', () => {
+    expect(() => service.heartbeat('mydb', { clientId: 'tab1', user: john })).toThrow('typeId');
+    expect(() => service.heartbeat('mydb', { clientId: 'bad id!', typeId: 100 })).toThrow('clientId');
+    expect(() => service.heartbeat('mydb', { clientId: 'tab1', typeId: 100, state: 'lock' })).toThrow('состояние');
+    expect(() => service.heartbeat('mydb', { clientId: 'tab1', typeId: 100, state: 'edit' })).toThrow('objectId');
+  });
+
+  it('should stop notifying after unsubscribe', () => {
+    const listener = vi.fn();
+    const unsubscribe = service.subscribe('mydb', listener);
+    unsubscribe();
+
+    service.heartbeat('mydb', { clientId: 'tab1', user: john, typeId: 100 });
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
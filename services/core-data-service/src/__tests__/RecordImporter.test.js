@@ -0,0 +1,206 @@
+/**
+ * Unit tests for streaming record import (CSV / NDJSON → objects)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { Readable } from 'node:stream';
+import { readCsv, readNdjson, detectFormat, formatCell } from '../services/RecordImporter.js';
+import { BatchService } from '../services/BatchService.js';
+import { ValidationError } from '@integram/common';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+const collect = async (iterable) => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+/**
+ * Тип Client(100): Email (SHORT, 101, обязательный), Age (NUMBER, 102),
+ * Manager (ссылка на Employee(200), 103). Сотрудники: Smith(300), Jones(301, 302 — дубль).
+ */
+function createBatchService(existing = []) {
+  const table = [
+    { id: 300, up: 1, t: 200, val: 'Smith' },
+    { id: 301, up: 1, t: 200, val: 'Jones' },
+    { id: 302, up: 1, t: 200, val: 'Jones' },
+    ...existing,
+  ];
+  let nextId = 1000;
+  const db = {
+    table,
+    execSql: vi.fn(async (sql, params, label) => {
+      if (label === 'RecordImporter.type') return { rows: params[0] === 100 ? [{ id: 100, val: 'Client' }] : [] };
+      if (label === 'RecordImporter.requisites') {
+        return {
+          rows: [
+            { id: 101, attrs: ':!NULL:', typ_val: 'Email', base_t: 3, ref_id: null },
+            { id: 102, attrs: '', typ_val: 'Age', base_t: 13, ref_id: null },
+            { id: 103, attrs: ':ALIAS=Manager:', typ_val: '', base_t: 200, ref_id: 200 },
+          ],
+        };
+      }
+      if (label === 'RecordImporter.references') {
+        const [t, ...vals] = params;
+        return { rows: table.filter(r => r.t === t && vals.includes(r.val)) };
+      }
+      if (label === 'RecordImporter.existing') {
+        if (sql.includes('JOIN')) {
+          const [reqId, , ...keys] = params;
+          return { rows: table.filter(r => r.t === reqId && keys.includes(r.val)).map(r => ({ id: r.up, match_key: r.val })) };
+        }
+        const [, ...keys] = params;
+        return { rows: table.filter(r => r.t === 100 && keys.includes(r.val)).map(r => ({ id: r.id, match_key: r.val })) };
+      }
+      return { rows: [] };
+    }),
+    insert: vi.fn(async (dbName, up, ord, t, val) => {
+      const id = nextId++;
+      table.push({ id, up, t, val });
+      return id;
+    }),
+    getNextOrder: vi.fn().mockResolvedValue(1),
+  };
+  const objectService = {
+    create: vi.fn(async (dbName, data) => {
+      const id = await db.insert(dbName, data.parentId, 1, data.typeId, data.value);
+      for (const [reqId, val] of Object.entries(data.requisites || {})) await db.insert(dbName, id, 1, Number(reqId), val);
+      return { id };
+    }),
+    update: vi.fn().mockResolvedValue({}),
+  };
+  return { db, objectService, service: new BatchService(db, { objectService }, { logger }) };
+}
+
+const csv = text => Readable.from([Buffer.from(text)]);
+
+describe('import readers', () => {
+  it('should stream CSV with a detected delimiter and BOM', async () => {
+    const rows = await collect(readCsv(csv('﻿Name;Email\n"Acme; Ltd";a@acme.io\n\nBeta;b@beta.io\n')));
+
+    expect(rows).toEqual([{ Name: 'Acme; Ltd', Email: 'a@acme.io' }, { Name: 'Beta', Email: 'b@beta.io' }]);
+  });
+
+  it('should read NDJSON split across chunks and report bad lines', async () => {
+    const rows = await collect(readNdjson(Readable.from(['{"a":1}\n{"a"', ':2}\n'])));
+    expect(rows).toEqual([{ a: 1 }, { a: 2 }]);
+
+    await expect(collect(readNdjson(Readable.from(['{"a":1}\n[1]\n'])))).rejects.toThrow(/строка 2/);
+  });
+
+  it('should detect formats from parameters, MIME types and file names', () => {
+    expect(detectFormat({ mimeType: 'text/csv; charset=utf-8' })).toBe('csv');
+    expect(detectFormat({ filename: 'clients.xlsx' })).toBe('xlsx');
+    expect(detectFormat({ format: 'jsonl' })).toBe('ndjson');
+    expect(() => detectFormat({ mimeType: 'application/pdf' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+
+  it('should convert cells to storage formats of base types', () => {
+    expect(formatCell('DATE', '05.03.2024')).toBe('20240305');
+    expect(formatCell('NUMBER', '1 200')).toBe('1200');
+    expect(formatCell('SIGNED', '3,5')).toBe('3.5');
+    expect(formatCell('BOOLEAN', 'Да')).toBe('1');
+    expect(() => formatCell('NUMBER', 'ten')).toThrow(/целое число/);
+  });
+});
+
+describe('BatchService.importStream', () => {
+  it('should map columns, resolve references and create objects', async () => {
+    const { db, service } = createBatchService();
+
+    const report = await service.importStream('mydb', 100, csv('Client,email,Years,Manager\nAcme,a@acme.io,12,Smith\n'), {
+      format: 'csv',
+      mapping: { Years: 'Age' },
+    });
+
+    expect(report).toMatchObject({ total: 1, created: 1, failed: 0, unmapped: [] });
+    expect(report.mapping).toEqual({
+      Years: { requisiteId: 102, name: 'Age' },
+      Client: 'value',
+      email: { requisiteId: 101, name: 'Email' },
+      Manager: { requisiteId: 103, name: 'Manager' },
+    });
+    const acme = db.table.find(r => r.val === 'Acme');
+    expect(acme).toMatchObject({ up: 1, t: 100 });
+    expect(db.table.filter(r => r.up === acme.id).map(r => [r.t, r.val])).toEqual([[101, 'a@acme.io'], [102, '12'], [300, '103']]);
+  });
+
+  it('should report invalid rows in a dry run without writing', async () => {
+    const { db, objectService, service } = createBatchService();
+    const input = [
+      'value,Email,Age,Manager',
+      'Ok,ok@x.io,30,Smith',
+      'NoEmail,,30,Smith',
+      'BadAge,b@x.io,old,Smith',
+      'Ambiguous,c@x.io,1,Jones',
+      'Missing,d@x.io,1,Nobody',
+    ].join('\n');
+
+    const report = await service.importStream('mydb', 100, csv(input), { format: 'csv', dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, total: 5, created: 1, failed: 4, errorCount: 4 });
+    expect(report.errors.map(e => e.row)).toEqual([2, 3, 4, 5]);
+    expect(report.errors[0].message).toMatch(/обязательный/);
+    expect(report.errors[2].message).toMatch(/неоднозначно/);
+    expect(report.errors[3].message).toMatch(/не найдено/);
+    expect(objectService.create).not.toHaveBeenCalled();
+    expect(db.insert).not.toHaveBeenCalled();
+  });
+
+  it('should match existing objects on a key requisite, including rows created earlier in the file', async () => {
+    const { db, objectService, service } = createBatchService([
+      { id: 500, up: 1, t: 100, val: 'Old name' },
+      { id: 501, up: 500, t: 101, val: 'a@acme.io' },
+    ]);
+    const input = Readable.from([
+      '{"value":"Acme","Email":"a@acme.io"}\n',
+      '{"value":"New","Email":"n@new.io"}\n{"value":"New again","Email":"n@new.io"}\n',
+    ]);
+
+    const report = await service.importStream('mydb', 100, input, {
+      format: 'ndjson', keyRequisite: 'email', updateExisting: true, batchSize: 2,
+    });
+
+    expect(report).toMatchObject({ total: 3, created: 1, updated: 2, failed: 0 });
+    expect(objectService.update).toHaveBeenCalledWith('mydb', 500, { value: 'Acme', requisites: { 101: 'a@acme.io' }, rulesChecked: true });
+    const created = db.table.find(r => r.val === 'New');
+    expect(objectService.update).toHaveBeenCalledWith('mydb', created.id, { value: 'New again', requisites: { 101: 'n@new.io' }, rulesChecked: true });
+    // Ключи второй пачки уже известны — повторного запроса нет
+    expect(db.execSql.mock.calls.filter(([, , label]) => label === 'RecordImporter.existing')).toHaveLength(1);
+  });
+
+  it('should check validation rules of each row, references included, even in a dry run', async () => {
+    const { objectService, service } = createBatchService();
+    objectService.validation = {
+      validateRules: vi.fn(async (database, { requisites }) => {
+        if (!String(requisites[101]).endsWith('.io')) throw new ValidationError('«Email»: значение не соответствует шаблону');
+      }),
+    };
+    const input = 'value,Email,Manager\nOk,ok@x.io,Smith\nBad,bad@x.com,Smith\n';
+
+    const dry = await service.importStream('mydb', 100, csv(input), { format: 'csv', dryRun: true });
+    expect(dry).toMatchObject({ created: 1, failed: 1 });
+    expect(dry.errors).toEqual([{ row: 2, message: '«Email»: значение не соответствует шаблону' }]);
+    expect(objectService.validation.validateRules).toHaveBeenCalledWith('mydb', {
+      typeId: 100, objectId: null, parentId: 1, value: 'Ok', requisites: { 101: 'ok@x.io', 103: 300 },
+    });
+
+    const report = await service.importStream('mydb', 100, csv(input), { format: 'csv' });
+    expect(report).toMatchObject({ created: 1, failed: 1 });
+    expect(objectService.create).toHaveBeenCalledTimes(1);
+    expect(objectService.create.mock.calls[0][1].rulesChecked).toBe(true);
+  });
+
+  it('should report progress and reject files without a value column', async () => {
+    const { service } = createBatchService();
+    const rows = ['value,Email', ...Array.from({ length: 5 }, (_, i) => `C${i},c${i}@x.io`)].join('\n');
+    const onProgress = vi.fn();
+
+    await service.importStream('mydb', 100, csv(rows), { format: 'csv', batchSize: 2, progressEvery: 2, onProgress });
+
+    expect(onProgress.mock.calls.map(([p]) => p.processed)).toEqual([2, 4, 5]);
+    await expect(service.importStream('mydb', 100, csv('Email\na@x.io\n'), { format: 'csv' }))
+      .rejects.toThrow(/Нет колонки для значения/);
+  });
+});
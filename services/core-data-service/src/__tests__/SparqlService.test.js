@@ -0,0 +1,246 @@
+/**
+ * Unit tests for the SPARQL endpoint over the object graph
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseSparql } from '../services/SparqlService.js';
+import { OntologyService } from '../services/OntologyService.js';
+
+const IGR = 'https://integram.rf/ontology#';
+const OBJ = 'https://integram.rf/ontology/mydb/';
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/** Схема: Client(100) — Name (literal, 101), Manager (ссылка на Employee, 102); Employee(200) */
+const TYPES = [
+  { id: 100, name: 'Client', baseType: 3 },
+  { id: 200, name: 'Employee', baseType: 3 },
+];
+const REQUISITES = [
+  { id: 101, up: 100, attrs: '', typ_id: 50, typ_val: 'Phone', base_t: 3, ref_id: null, ref_val: null, arr_id: null },
+  { id: 102, up: 100, attrs: ':ALIAS=Manager:', typ_id: 60, typ_val: '', base_t: 200, ref_id: 200, ref_val: 'Employee', arr_id: null },
+  { id: 103, up: 100, attrs: '', typ_id: 70, typ_val: 'Age', base_t: 13, ref_id: null, ref_val: null, arr_id: null },
+];
+
+function createService(execSql) {
+  const db = {
+    execSql: vi.fn(async (sql, params) => {
+      if (sql.includes('JOIN mydb typs')) return { rows: REQUISITES };
+      return execSql(sql, params);
+    }),
+  };
+  const typeService = { getAllTypes: vi.fn().mockResolvedValue(TYPES) };
+  return { db, service: new OntologyService(db, { typeService }, { logger }) };
+}
+
+/** Последний SQL-запрос к данным (не словарь) */
+const lastDataCall = db => db.execSql.mock.calls.filter(([sql]) => !sql.includes('JOIN mydb typs')).at(-1);
+
+describe('parseSparql', () => {
+  const prefixes = { igr: IGR };
+
+  it('should parse prefixes, shorthand triples and modifiers', () => {
+    const q = parseSparql(`
+      PREFIX ex: <http://example.org/>
+      SELECT DISTINCT ?c ?name WHERE {
+        ?c a igr:Client ; igr:Client_Phone ?name , "555" .
+        ?c ex:p ?x
+      } ORDER BY DESC(?name) ?c LIMIT 10 OFFSET 5`, prefixes);
+
+    expect(q).toMatchObject({ form: 'SELECT', distinct: true, variables: ['c', 'name'], limit: 10, offset: 5 });
+    expect(q.where.triples).toHaveLength(4);
+    expect(q.where.triples[0].p.value).toBe('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+    expect(q.where.triples[2].o).toEqual({ type: 'literal', value: '555' });
+    expect(q.where.triples[3].p.value).toBe('http://example.org/p');
+    expect(q.orderBy.map(o => o.desc)).toEqual([true, false]);
+  });
+
+  it('should parse FILTER expressions and OPTIONAL groups', () => {
+    const q = parseSparql(`SELECT * WHERE {
+      ?c igr:Client_Age ?age .
+      OPTIONAL { ?c igr:Client_Phone ?p . FILTER(strstarts(?p, "+7")) }
+      FILTER(?age >= 18 && !bound(?p) || regex(?age, "^1", "i"))
+    }`, prefixes);
+
+    expect(q.variables).toBe('*');
+    expect(q.where.optionals).toHaveLength(1);
+    expect(q.where.optionals[0].filters[0]).toMatchObject({ type: 'call', name: 'strstarts' });
+    expect(q.where.filters[0].type).toBe('or');
+    expect(q.where.filters[0].args[0].args[1]).toMatchObject({ type: 'not', arg: { type: 'call', name: 'bound' } });
+  });
+
+  it('should parse CONSTRUCT templates and DESCRIBE resources', () => {
+    const c = parseSparql('CONSTRUCT { ?c igr:Client_Phone ?p } WHERE { ?c igr:Client_Phone ?p }', prefixes);
+    expect(c.form).toBe('CONSTRUCT');
+    expect(c.template).toHaveLength(1);
+
+    const d = parseSparql(`DESCRIBE <${OBJ}5> ?c WHERE { ?c a igr:Client }`, prefixes);
+    expect(d.form).toBe('DESCRIBE');
+    expect(d.resources.map(r => r.type)).toEqual(['iri', 'var']);
+  });
+
+  it('should reject unsupported syntax with ValidationError', () => {
+    expect(() => parseSparql('ASK { ?s ?p ?o }')).toThrow(/SELECT, CONSTRUCT и DESCRIBE/);
+    expect(() => parseSparql('SELECT ?s WHERE { ?s unknown:p ?o }')).toThrow(/неизвестный префикс/);
+    expect(() => parseSparql('SELECT ?s WHERE { { ?s a ?t } UNION { ?s a ?u } }', prefixes)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+});
+
+describe('OntologyService SPARQL', () => {
+  it('should build ontology URIs from type and requisite names', async () => {
+    const { service } = createService(async () => ({ rows: [] }));
+    const ontology = await service.getOntology('mydb');
+
+    expect(ontology.classes.map(c => c.uri)).toEqual([`${IGR}Client`, `${IGR}Employee`]);
+    expect(ontology.properties.map(p => p.uri)).toEqual([`${IGR}Client_Phone`, `${IGR}Client_Age`]);
+    expect(ontology.properties[1].range).toBe('xsd:integer');
+    expect(ontology.relationships[0]).toMatchObject({ uri: `${IGR}Client_Manager`, range: `${IGR}Employee`, requisiteId: 102 });
+  });
+
+  it('should translate a basic graph pattern into one SQL query', async () => {
+    const { db, service } = createService(async () => ({
+      rows: [{ v_c: 5, t_c: 100, v_phone: '555-01' }],
+    }));
+
+    const result = await service.getSPARQL('mydb', 'SELECT ?c ?phone WHERE { ?c a igr:Client ; igr:Client_Phone ?phone }');
+
+    const [sql, params] = lastDataCall(db);
+    expect(sql).toContain('FROM `mydb` n0 CROSS JOIN `mydb` v1');
+    expect(sql).toContain('n0.t = ?');
+    expect(sql).toContain('v1.up = n0.id AND v1.t = ?');
+    expect(params).toEqual([100, 101, 100, 0]);
+    expect(result).toEqual({
+      vars: ['?c', '?phone'],
+      bindings: [{ '?c': `${OBJ}5`, '?phone': '555-01' }],
+      count: 1,
+    });
+  });
+
+  it('should follow references and apply OPTIONAL, FILTER, ORDER BY and LIMIT', async () => {
+    const { db, service } = createService(async () => ({ rows: [] }));
+
+    await service.getSPARQL('mydb', `SELECT ?c ?m ?age WHERE {
+      ?c igr:Client_Manager ?m .
+      ?m rdfs:label "Smith" .
+      OPTIONAL { ?c igr:Client_Age ?age }
+      FILTER(?age > 30 || contains(?age, "5%"))
+    } ORDER BY DESC(xsd:integer(?age)) LIMIT 5000 OFFSET 20`);
+
+    const [sql, params] = lastDataCall(db);
+    expect(sql).toContain('l1.up = n0.id AND l1.val = ?');
+    expect(sql).toContain('n2.id = l1.t');
+    expect(sql).toContain('LEFT JOIN `mydb` v3 ON v3.up = n0.id AND v3.t = ?');
+    expect(sql).toContain('CAST(v3.val AS DECIMAL(30,10)) > ?');
+    expect(sql).toContain('v3.val LIKE ?');
+    expect(sql).toContain('ORDER BY CAST(v3.val AS DECIMAL(30,10)) DESC');
+    // OPTIONAL → WHERE → LIMIT (ограничен максимумом)
+    expect(params).toEqual([103, '102', 'Smith', 30, '%5\\%%', 1000, 20]);
+  });
+
+  it('should drop solutions whose objects the user cannot read', async () => {
+    const { service } = createService(async () => ({
+      rows: [
+        { v_c: 5, t_c: 100, t_m: 200 },
+        { v_c: 6, t_c: 100, t_m: 300 },
+      ],
+    }));
+    const canReadType = vi.fn(async typeId => typeId !== 300);
+
+    const result = await service.getSPARQL('mydb', 'SELECT ?c WHERE { ?c igr:Client_Manager ?m }', { canReadType });
+
+    expect(result.bindings).toEqual([{ '?c': `${OBJ}5` }]);
+  });
+
+  it('should drop solutions with barred objects or masked values, selected or not', async () => {
+    const { db, service } = createService(async () => ({
+      rows: [
+        { v_c: 5, t_c: 100, o_n0: 5, ot_n0: 100, ov_n0: 'Acme', r_v1: 50, rv_v1: '555-01' },
+        { v_c: 6, t_c: 100, o_n0: 6, ot_n0: 100, ov_n0: 'Hidden', r_v1: 60, rv_v1: '555-02' },
+        { v_c: 7, t_c: 100, o_n0: 7, ot_n0: 100, ov_n0: 'Masked', r_v1: 70, rv_v1: '555-03' },
+      ],
+    }));
+    const filterObjects = vi.fn(async objects => objects
+      .filter(obj => obj.id !== 6)
+      .map(obj => (obj.id === 7 ? { ...obj, requisites: {} } : obj)));
+
+    const result = await service.getSPARQL('mydb', 'SELECT ?c WHERE { ?c igr:Client_Phone ?phone FILTER(contains(?phone, "555")) }', { filterObjects });
+
+    expect(lastDataCall(db)[0]).toContain('v1.id AS `r_v1`');
+    expect(filterObjects.mock.calls[0][0][0]).toEqual({ id: 5, value: 'Acme', typeId: 100, requisites: { 101: [{ id: 50, value: '555-01' }] } });
+    expect(result.bindings).toEqual([{ '?c': `${OBJ}5` }]);
+  });
+
+  it('should DESCRIBE only values that pass object grants and masks', async () => {
+    const { service } = createService(async (sql) => {
+      if (sql.includes('WHERE id IN')) return { rows: [{ id: 5, val: 'Acme', up: 1, t: 100 }, { id: 6, val: 'Hidden', up: 1, t: 100 }] };
+      if (sql.includes('WHERE up IN')) {
+        return {
+          rows: [
+            { id: 50, val: '555-01', up: 5, t: 101 },
+            { id: 52, val: '42', up: 5, t: 103 },
+            { id: 60, val: '555-02', up: 6, t: 101 },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+    const filterObjects = vi.fn(async objects => objects
+      .filter(obj => obj.id !== 6)
+      .map(obj => ({ ...obj, requisites: { 103: obj.requisites[103] } })));
+
+    const doc = await service.getSPARQL('mydb', 'DESCRIBE obj:5 obj:6', { filterObjects });
+
+    expect(doc['@graph']).toEqual([{ '@id': `${OBJ}5`, '@type': 'igr:Client', 'rdfs:label': 'Acme', 'igr:Client_Age': '42' }]);
+  });
+
+  it('should return CONSTRUCT results as JSON-LD', async () => {
+    const { service } = createService(async () => ({
+      rows: [
+        { v_c: 5, t_c: 100, v_m: 9, t_m: 200 },
+        { v_c: 5, t_c: 100, v_m: 10, t_m: 200 },
+      ],
+    }));
+
+    const doc = await service.getSPARQL('mydb', 'CONSTRUCT { ?c a igr:Client ; igr:Client_Manager ?m } WHERE { ?c igr:Client_Manager ?m }');
+
+    expect(doc['@context']).toMatchObject({ igr: IGR, obj: OBJ });
+    expect(doc['@graph']).toEqual([{
+      '@id': `${OBJ}5`,
+      '@type': 'igr:Client',
+      'igr:Client_Manager': [{ '@id': `${OBJ}9` }, { '@id': `${OBJ}10` }],
+    }]);
+  });
+
+  it('should DESCRIBE objects with requisites and references', async () => {
+    const { service } = createService(async (sql) => {
+      if (sql.includes('WHERE id IN')) return { rows: [{ id: 5, val: 'Acme', up: 1, t: 100 }] };
+      if (sql.includes('WHERE up IN')) {
+        return {
+          rows: [
+            { id: 50, val: '555-01', up: 5, t: 101 },
+            { id: 51, val: '102', up: 5, t: 9 },
+            { id: 52, val: '42', up: 5, t: 103 },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+
+    const doc = await service.getSPARQL('mydb', 'DESCRIBE obj:5');
+
+    expect(doc['@graph']).toEqual([{
+      '@id': `${OBJ}5`,
+      '@type': 'igr:Client',
+      'rdfs:label': 'Acme',
+      'igr:Client_Phone': '555-01',
+      'igr:Client_Manager': { '@id': `${OBJ}9` },
+      'igr:Client_Age': '42',
+    }]);
+  });
+
+  it('should reject unknown properties and variable predicates', async () => {
+    const { service } = createService(async () => ({ rows: [] }));
+
+    await expect(service.getSPARQL('mydb', 'SELECT ?c WHERE { ?c igr:Client_Missing ?x }')).rejects.toThrow(/неизвестное свойство/);
+    await expect(service.getSPARQL('mydb', 'SELECT ?c WHERE { ?c ?p ?x }')).rejects.toThrow(/предиката/);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for saved table views (personal and role-scoped) and role default views
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TableViewService, normalizeSettings } from '../services/TableViewService.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/** База с таблицами _table_views / _table_view_defaults в памяти, запросы различаются по label */
+function createDb() {
+  const views = [];
+  const defaults = [];
+  let nextId = 1;
+
+  const execSql = vi.fn(async (sql, params, label) => {
+    switch (label) {
+      case 'TableViewService.createView': {
+        const [db, type_id, name, scope, owner_id, role_id, settings, created_by] = params;
+        const id = nextId++;
+        views.push({ id, db, type_id, name, scope, owner_id, role_id, settings, created_by, created_at: new Date(), updated_at: new Date() });
+        return { rows: [], insertId: id };
+      }
+      case 'TableViewService.getView':
+        return { rows: views.filter(v => v.id === params[0] && v.db === params[1]) };
+      case 'TableViewService.listViews': {
+        const [db, typeId, , uid, roleId] = params;
+        return {
+          rows: views.filter(v => v.db === db && v.type_id === typeId && (
+            (v.scope === 'personal' && v.owner_id === uid) ||
+            (v.scope === 'role' && (roleId === undefined || v.role_id === roleId))
+          )),
+        };
+      }
+      case 'TableViewService.checkName': {
+        const [db, typeId, scope, holder, name, exceptId] = params;
+        const key = scope === 'role' ? 'role_id' : 'owner_id';
+        return { rows: views.filter(v => v.db === db && v.type_id === typeId && v.scope === scope && v[key] === holder && v.name === name && v.id !== exceptId) };
+      }
+      case 'TableViewService.updateView': {
+        const [name, scope, owner_id, role_id, settings, id] = params;
+        Object.assign(views.find(v => v.id === id), { name, scope, owner_id, role_id, settings });
+        return { rows: [] };
+      }
+      case 'TableViewService.deleteView':
+        views.splice(views.findIndex(v => v.id === params[0]), 1);
+        return { rows: [] };
+      case 'TableViewService.setDefault': {
+        const [db, type_id, role_id, view_id] = params;
+        const existing = defaults.find(d => d.db === db && d.type_id === type_id && d.role_id === role_id);
+        if (existing) existing.view_id = view_id;
+        else defaults.push({ db, type_id, role_id, view_id });
+        return { rows: [] };
+      }
+      case 'TableViewService.getDefault':
+        return { rows: defaults.filter(d => d.db === params[0] && d.type_id === params[1] && d.role_id === params[2]) };
+      case 'TableViewService.clearDefaults': {
+        const [db, viewId, keepRoleId] = params;
+        for (let i = defaults.length - 1; i >= 0; i--) {
+          if (defaults[i].db === db && defaults[i].view_id === viewId && defaults[i].role_id !== keepRoleId) defaults.splice(i, 1);
+        }
+        return { rows: [] };
+      }
+      default:
+        return { rows: [] };
+    }
+  });
+
+  return { execSql, views, defaults };
+}
+
+const settings = {
+  columns: [{ id: 'name', visible: true, width: 200 }, { id: 'price', visible: false }],
+  sort: [{ headerId: 'name', direction: 'asc' }],
+  grouping: ['city'],
+};
+
+describe('TableViewService', () => {
+  let db;
+  let service;
+  const alice = { uid: 5, roleId: 42, canManage: false };
+  const bob = { uid: 6, roleId: 42, canManage: false };
+  const admin = { uid: 1, roleId: 145, canManage: true };
+
+  beforeEach(() => {
+    db = createDb();
+    service = new TableViewService(db, { logger });
+  });
+
+  it('should create the system tables once', async () => {
+    await service.listViews('mydb', 18, alice);
+    await service.listViews('mydb', 18, alice);
+
+    const ddl = db.execSql.mock.calls.filter(([, , label]) => label === 'TableViewService.ensureTables');
+    expect(ddl).toHaveLength(2);
+    expect(ddl[0][0]).toContain('CREATE TABLE IF NOT EXISTS _table_views');
+    expect(ddl[1][0]).toContain('CREATE TABLE IF NOT EXISTS _table_view_defaults');
+  });
+
+  it('should keep personal views visible to their owner only', async () => {
+    const view = await service.createView('mydb', 18, { name: 'Мои клиенты', settings }, alice);
+
+    expect(view).toMatchObject({ id: 1, typeId: 18, scope: 'personal', ownerId: 5, roleId: null, settings });
+    expect((await service.listViews('mydb', 18, alice)).views).toHaveLength(1);
+    expect((await service.listViews('mydb', 18, bob)).views).toHaveLength(0);
+    await expect(service.getView('mydb', view.id, bob)).rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+
+  it('should share role views and require the schema right to save them', async () => {
+    await expect(service.createView('mydb', 18, { name: 'Отдел', scope: 'role', roleId: 42, settings }, alice))
+      .rejects.toMatchObject({ name: 'AuthorizationError' });
+
+    const view = await service.createView('mydb', 18, { name: 'Отдел', scope: 'role', roleId: 42, settings }, admin);
+
+    expect(view).toMatchObject({ scope: 'role', roleId: 42, ownerId: null, createdBy: 1 });
+    expect((await service.listViews('mydb', 18, bob)).views.map(v => v.name)).toEqual(['Отдел']);
+    await expect(service.updateView('mydb', view.id, { name: 'Моё' }, bob)).rejects.toMatchObject({ name: 'AuthorizationError' });
+  });
+
+  it('should reject duplicate names for the same owner', async () => {
+    await service.createView('mydb', 18, { name: 'Активные', settings }, alice);
+
+    await expect(service.createView('mydb', 18, { name: 'Активные', settings }, alice))
+      .rejects.toMatchObject({ name: 'DuplicateError' });
+    await expect(service.createView('mydb', 18, { name: 'Активные', settings }, bob)).resolves.toMatchObject({ ownerId: 6 });
+  });
+
+  it('should update settings and keep the name', async () => {
+    const view = await service.createView('mydb', 18, { name: 'Активные', settings }, alice);
+
+    const updated = await service.updateView('mydb', view.id, { settings: { density: 'compact' } }, alice);
+
+    expect(updated).toMatchObject({ name: 'Активные', settings: { density: 'compact' } });
+  });
+
+  it('should set and clear the role default view', async () => {
+    const view = await service.createView('mydb', 18, { name: 'Отдел', scope: 'role', roleId: 42, settings }, admin);
+    const personal = await service.createView('mydb', 18, { name: 'Своё', settings }, admin);
+
+    await expect(service.setDefaultView('mydb', 18, 42, view.id, alice)).rejects.toMatchObject({ name: 'AuthorizationError' });
+    await expect(service.setDefaultView('mydb', 18, 42, personal.id, admin)).rejects.toMatchObject({ name: 'ValidationError' });
+
+    expect(await service.setDefaultView('mydb', 18, 42, view.id, admin)).toEqual({ typeId: 18, roleId: 42, viewId: view.id });
+    expect((await service.listViews('mydb', 18, bob)).defaultViewId).toBe(view.id);
+
+    await service.deleteView('mydb', view.id, admin);
+
+    expect(await service.listViews('mydb', 18, bob)).toEqual({ views: [], defaultViewId: null });
+  });
+
+  it('should drop the role default when a view changes role', async () => {
+    const view = await service.createView('mydb', 18, { name: 'Отдел', scope: 'role', roleId: 42, settings }, admin);
+    await service.setDefaultView('mydb', 18, 42, view.id, admin);
+
+    await service.updateView('mydb', view.id, { roleId: 43 }, admin);
+
+    expect(db.defaults).toEqual([]);
+  });
+
+  describe('normalizeSettings', () => {
+    it('should keep known keys only', () => {
+      expect(normalizeSettings({ ...settings, secret: 1, filters: null })).toEqual(settings);
+    });
+
+    it('should validate types and size', () => {
+      expect(() => normalizeSettings([])).toThrow('объектом');
+      expect(() => normalizeSettings({ sort: 'name' })).toThrow('sort');
+      expect(() => normalizeSettings({ filters: ['x'.repeat(70000)] })).toThrow('байт');
+    });
+
+    it('should require a name', async () => {
+      await expect(service.createView('mydb', 18, { name: '  ', settings }, alice)).rejects.toThrow('обязательно');
+    });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Unit tests for group transactions (MySQL-backed), optimistic locking and point-in-time restore
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TransactionService } from '../services/TransactionService.js';
+import { ObjectService } from '../services/ObjectService.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/** Соединение транзакции: свой execSql, commit/rollback */
+function createHandle() {
+  return {
+    db: { execSql: vi.fn().mockResolvedValue({ rows: [] }) },
+    commit: vi.fn().mockResolvedValue(),
+    rollback: vi.fn().mockResolvedValue(),
+  };
+}
+
+/** Основная база: версия объекта — из MAX(version) лога */
+function createDb(currentVersion = 0) {
+  const handles = [];
+  const db = {
+    handles,
+    execSql: vi.fn(async (sql, params, label) => {
+      if (label === 'TransactionService.getCurrentVersion') return { rows: [{ max_version: currentVersion }] };
+      return { rows: [], affectedRows: 1 };
+    }),
+    beginTransaction: vi.fn(async () => {
+      const handle = createHandle();
+      handles.push(handle);
+      return handle;
+    }),
+  };
+  return db;
+}
+
+const labels = db => db.execSql.mock.calls.map(([, , label]) => label);
+
+describe('TransactionService group transactions', () => {
+  let db;
+  let service;
+
+  beforeEach(() => {
+    db = createDb();
+    service = new TransactionService(db, { logger });
+  });
+
+  it('should open a MySQL transaction and commit it', async () => {
+    const info = await service.beginTransaction(7);
+
+    expect(info).toMatchObject({ status: 'PENDING', timeout: 30000 });
+    expect(service.getTransactionDatabase(info.txId, 7)).toBe(db.handles[0].db);
+
+    const result = await service.commitTransaction(info.txId, 7);
+
+    expect(db.handles[0].commit).toHaveBeenCalled();
+    expect(result).toMatchObject({ txId: info.txId, status: 'COMMITTED', operationCount: 0 });
+    expect(() => service.getTransactionDatabase(info.txId)).toThrow(/не найдена/);
+  });
+
+  it('should roll back the MySQL transaction and mark recorded operations', async () => {
+    const { txId } = await service.beginTransaction(7);
+    await service.record('mydb', { action: 'UPDATE', targetId: 5, txGroupId: txId });
+
+    const result = await service.rollbackTransaction(txId, 7);
+
+    expect(db.handles[0].rollback).toHaveBeenCalled();
+    expect(db.handles[0].commit).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'ROLLED_BACK', operationCount: 1 });
+    const mark = db.execSql.mock.calls.find(([, , label]) => label === 'TransactionService.rollbackTransaction');
+    expect(mark[1]).toEqual(['ROLLED_BACK', txId, 'PENDING']);
+  });
+
+  it('should update the group status with a single statement on commit', async () => {
+    const { txId } = await service.beginTransaction(7);
+    await service.record('mydb', { action: 'CREATE', targetId: 5, txGroupId: txId });
+    await service.record('mydb', { action: 'CREATE', targetId: 6, txGroupId: txId });
+
+    await service.commitTransaction(txId);
+
+    expect(labels(db).filter(l => l === 'TransactionService.commitTransaction')).toHaveLength(1);
+  });
+
+  it('should refuse transactions owned by another user', async () => {
+    const { txId } = await service.beginTransaction(7);
+
+    expect(() => service.getTransactionDatabase(txId, 8)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    await expect(service.commitTransaction(txId, 8)).rejects.toThrow(/другому пользователю/);
+    expect(db.handles[0].commit).not.toHaveBeenCalled();
+  });
+
+  describe('timeout', () => {
+    beforeEach(() => vi.useFakeTimers());
+    afterEach(() => vi.useRealTimers());
+
+    it('should roll back automatically when the transaction expires', async () => {
+      const { txId, timeout } = await service.beginTransaction(7, { timeout: 5000 });
+      expect(timeout).toBe(5000);
+
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(db.handles[0].rollback).toHaveBeenCalled();
+      await expect(service.commitTransaction(txId)).rejects.toThrow(/не найдена/);
+    });
+
+    it('should roll back a transaction left idle, each request postponing it', async () => {
+      const { txId } = await service.beginTransaction(7, { timeout: 60000 });
+
+      await vi.advanceTimersByTimeAsync(8000);
+      service.getTransactionDatabase(txId, 7);
+      await vi.advanceTimersByTimeAsync(8000);
+      expect(db.handles[0].rollback).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(db.handles[0].rollback).toHaveBeenCalled();
+    });
+  });
+
+  it('should cap open transactions per user and in total', async () => {
+    await service.beginTransaction(7);
+    const second = await service.beginTransaction(7);
+    await expect(service.beginTransaction(7)).rejects.toMatchObject({ code: 'TOO_MANY_TRANSACTIONS', statusCode: 429 });
+
+    await service.beginTransaction(8);
+    await service.beginTransaction(9);
+    await service.beginTransaction(10);
+    await expect(service.beginTransaction(11)).rejects.toThrow(/Слишком много открытых транзакций/);
+    expect(db.beginTransaction).toHaveBeenCalledTimes(5);
+
+    await service.commitTransaction(second.txId, 7);
+    await expect(service.beginTransaction(11)).resolves.toMatchObject({ status: 'PENDING' });
+  });
+});
+
+describe('TransactionService.runIfVersion', () => {
+  it('should lock the row and run the update when the version matches', async () => {
+    const db = createDb(3);
+    const service = new TransactionService(db, { logger });
+    const fn = vi.fn().mockResolvedValue('updated');
+
+    const result = await service.runIfVersion('mydb', 5, 3, fn);
+
+    const handle = db.handles[0];
+    expect(result).toBe('updated');
+    expect(handle.db.execSql).toHaveBeenCalledWith('SELECT id FROM mydb WHERE id = ? FOR UPDATE', [5], 'TransactionService.lockObject');
+    expect(fn).toHaveBeenCalledWith(handle.db);
+    expect(handle.commit).toHaveBeenCalled();
+  });
+
+  it('should throw VersionConflictError and roll back on a stale version', async () => {
+    const db = createDb(4);
+    const service = new TransactionService(db, { logger });
+    const fn = vi.fn();
+
+    const error = await service.runIfVersion('mydb', 5, 3, fn).catch(e => e);
+
+    expect(error).toMatchObject({ name: 'VersionConflictError', statusCode: 412, details: { objectId: 5, expectedVersion: 3, currentVersion: 4 } });
+    expect(fn).not.toHaveBeenCalled();
+    expect(db.handles[0].rollback).toHaveBeenCalled();
+  });
+
+  it('should reuse an open group transaction without finishing it', async () => {
+    const db = createDb(0);
+    const service = new TransactionService(db, { logger });
+    const { txId } = await service.beginTransaction(7);
+    const fn = vi.fn().mockResolvedValue({});
+
+    await service.runIfVersion('mydb', 5, 0, fn, { txId, userId: 7 });
+
+    expect(db.beginTransaction).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith(db.handles[0].db);
+    expect(db.handles[0].commit).not.toHaveBeenCalled();
+    await service.rollbackTransaction(txId);
+  });
+});
+
+describe('TransactionService versions per database', () => {
+  it('should add the database version index to an existing table once', async () => {
+    const db = createDb();
+    db.execSql.mockImplementation(async (sql, params, label) => {
+      if (label === 'TransactionService.ensureTable.columns') return { rows: [{ Field: 'database_name' }] };
+      return { rows: [] };
+    });
+    const service = new TransactionService(db, { logger });
+
+    await service.getHistory('mydb', 5);
+    await service.getHistory('mydb', 5);
+
+    const added = db.execSql.mock.calls.filter(([, , label]) => label === 'TransactionService.ensureTable.index');
+    expect(added).toEqual([[expect.stringContaining('ADD INDEX idx_db_target_version (database_name, target_id, version)'), [], 'TransactionService.ensureTable.index']]);
+  });
+
+  it('should number and read the versions of an object within its database', async () => {
+    const db = createDb(2);
+    const service = new TransactionService(db, { logger });
+
+    await service.getCurrentVersion('mydb', 5);
+    await service.record('mydb', { action: 'UPDATE', targetId: 5, targetType: 3 });
+    await service.getVersion('mydb', 5, 2);
+    await service.diffVersions('mydb', 5, 1, 2).catch(() => {});
+
+    for (const label of ['getCurrentVersion', '_getNextVersion', 'getVersion', 'diffVersions.endpoints']) {
+      const [sql, params] = db.execSql.mock.calls.find(([, , l]) => l === `TransactionService.${label}`);
+      expect(sql).toContain('WHERE database_name = ? AND target_id = ?');
+      expect(params.slice(0, 2)).toEqual(['mydb', 5]);
+    }
+  });
+});
+
+describe('TransactionService.restoreSubtree', () => {
+  const T = '2026-01-01T00:00:00.000Z';
+  const after = '2026-01-02T00:00:00.000Z';
+
+  /**
+   * Заказ 10: значение и реквизит 11 изменены после T, реквизит 12 удалён,
+   * строка 13 создана; 20 — посторонний объект. Записи другой базы с теми же
+   * ID и записи постороннего объекта в восстановление не попадают.
+   */
+  function createRestoreDb(extraLog = []) {
+    const table = [
+      { id: 10, up: 1, ord: 1, t: 100, val: 'Order B' },
+      { id: 11, up: 10, ord: 1, t: 101, val: '200' },
+      { id: 13, up: 10, ord: 3, t: 102, val: 'Late line' },
+      { id: 20, up: 1, ord: 2, t: 100, val: 'Other' },
+    ];
+    const log = [
+      { id: 1, action: 'UPDATE', target_id: 10, created_at: after, old_value: JSON.stringify({
+        id: 10, value: 'Order A', parentId: 1, typeId: 100, order: 1,
+        requisites: [{ id: 11, typeId: 101, value: '100' }, { id: 12, typeId: 103, value: 'note' }],
+      }) },
+      { id: 2, action: 'CREATE', target_id: 13, created_at: after, old_value: null },
+      { id: 3, action: 'DELETE', target_id: 12, created_at: after, old_value: JSON.stringify({ id: 12, value: 'note', parentId: 10, typeId: 103, order: 2 }) },
+      { id: 4, action: 'UPDATE', target_id: 20, created_at: after, old_value: JSON.stringify({ id: 20, value: 'Was', parentId: 1, typeId: 100, order: 2 }) },
+      { id: 5, database_name: 'otherdb', action: 'DELETE', target_id: 14, created_at: after, old_value: JSON.stringify({ id: 14, value: 'x', parentId: 10, typeId: 103, order: 4 }) },
+      { id: 6, database_name: 'otherdb', action: 'CREATE', target_id: 11, created_at: after, old_value: null },
+      ...extraLog,
+    ].map(r => ({ database_name: 'mydb', ...r }));
+    const db = createDb();
+    db.execSql.mockImplementation(async (sql, params, label) => {
+      if (label === 'TransactionService.restore.rows') return { rows: table.filter(r => params.includes(r.id)) };
+      if (label === 'TransactionService.restore.subtree') return { rows: table.filter(r => params.includes(r.up)) };
+      if (label === 'TransactionService.restore.log') {
+        const [at, , database] = params;
+        const ids = params.slice(3, 3 + (params.length - 4) / 2);
+        return { rows: log.filter(r => r.created_at > at.toISOString()
+          && (r.database_name === database || r.database_name === null)
+          && (ids.includes(r.target_id) || ids.includes(JSON.parse(r.old_value)?.parentId))) };
+      }
+      return { rows: [], insertId: 99 };
+    });
+    return db;
+  }
+
+  it('should preview the inverse operations without touching data', async () => {
+    const db = createRestoreDb();
+    const service = new TransactionService(db, { logger });
+
+    const result = await service.restoreSubtree('mydb', 10, T, { dryRun: true });
+
+    expect(result).toMatchObject({ objectId: 10, asOf: T, dryRun: true, applied: false, summary: { create: 1, update: 2, delete: 1 } });
+    expect(result.operations.map(op => [op.action, op.id])).toEqual([['create', 12], ['update', 10], ['update', 11], ['delete', 13]]);
+    expect(result.operations[0].to).toEqual({ id: 12, value: 'note', parentId: 10, typeId: 103, order: 2 });
+    expect(result.operations[2].changes).toEqual([{ field: 'value', from: '200', to: '100' }]);
+    expect(db.beginTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should apply the operations in one transaction and log them', async () => {
+    const db = createRestoreDb();
+    const service = new TransactionService(db, { logger });
+
+    const result = await service.restoreSubtree('mydb', 10, T, { agentId: 'admin' });
+
+    const handle = db.handles[0];
+    expect(result.applied).toBe(true);
+    expect(handle.db.execSql.mock.calls.map(([sql, params]) => [sql.split(' ')[0], params])).toEqual([
+      ['INSERT', [12, 10, 2, 103, 'note']],
+      ['UPDATE', ['Order A', 1, 100, 1, 10]],
+      ['UPDATE', ['100', 10, 101, 1, 11]],
+      ['DELETE', [13]],
+    ]);
+    expect(handle.commit).toHaveBeenCalled();
+    const records = db.execSql.mock.calls.filter(([, , label]) => label === 'TransactionService.record');
+    expect(records).toHaveLength(4);
+    expect(records[0][1]).toEqual(expect.arrayContaining(['admin', 'CREATE', 12, result.sessionId]));
+  });
+
+  it('should roll back when an operation fails', async () => {
+    const db = createRestoreDb();
+    const service = new TransactionService(db, { logger });
+    db.beginTransaction.mockImplementationOnce(async () => {
+      const handle = createHandle();
+      handle.db.execSql.mockRejectedValueOnce(new Error('Duplicate entry'));
+      db.handles.push(handle);
+      return handle;
+    });
+
+    await expect(service.restoreSubtree('mydb', 10, T)).rejects.toThrow('Duplicate entry');
+    expect(db.handles[0].rollback).toHaveBeenCalled();
+    expect(db.execSql.mock.calls.some(([, , label]) => label === 'TransactionService.record')).toBe(false);
+  });
+
+  it('should reject a moment before the object existed', async () => {
+    const db = createRestoreDb();
+    const service = new TransactionService(db, { logger });
+
+    await expect(service.restoreSubtree('mydb', 13, T)).rejects.toThrow(/не существовал/);
+    await expect(service.restoreSubtree('mydb', 10, 'yesterday')).rejects.toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+
+  it('should refuse when the log after the moment has entries without a database', async () => {
+    const db = createRestoreDb([{ id: 7, database_name: null, action: 'CREATE', target_id: 15, created_at: after, old_value: JSON.stringify({ parentId: 10 }) }]);
+    const service = new TransactionService(db, { logger });
+
+    await expect(service.restoreSubtree('mydb', 10, T, { dryRun: true })).rejects.toThrow(/записи без базы/);
+  });
+
+  it('should check the right to every operation, dry run included', async () => {
+    const db = createRestoreDb();
+    const service = new TransactionService(db, { logger });
+    const authorize = vi.fn(async op => op.id !== 13);
+
+    const error = await service.restoreSubtree('mydb', 10, T, { dryRun: true, authorize }).catch(e => e);
+
+    expect(error).toMatchObject({ name: 'AuthorizationError', statusCode: 403 });
+    expect(error.message).toMatch(/: 13$/);
+    expect(authorize.mock.calls.map(([op]) => [op.action, op.id])).toEqual([['create', 12], ['update', 10], ['update', 11], ['delete', 13]]);
+    expect(db.beginTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('ObjectService.withDatabase', () => {
+  it('should route queries through the given connection', async () => {
+    const db = { execSql: vi.fn().mockResolvedValue({ affectedRows: 1 }) };
+    const txDb = { execSql: vi.fn().mockResolvedValue({ affectedRows: 1 }) };
+    const objects = new ObjectService(db, { logger, transactionService: {} });
+
+    await objects.withDatabase(txDb).updateOrder('mydb', 5, 2);
+
+    expect(txDb.execSql).toHaveBeenCalled();
+    expect(db.execSql).not.toHaveBeenCalled();
+  });
+});
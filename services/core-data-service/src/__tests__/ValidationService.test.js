@@ -2,7 +2,7 @@
  * Unit tests for ValidationService
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ValidationService } from '../services/ValidationService.js';
 
 describe('ValidationService', () => {
@@ -278,4 +278,19 @@ describe('ValidationService', () => {
       expect(() => service.validateValueByType(null, { type: 'SHORT', required: true })).toThrow('Required field is empty');
     });
   });
+
+  describe('validateRules', () => {
+    it('should do nothing without a rule validator', async () => {
+      await expect(service.validateRules('test', { typeId: 18, requisites: { 101: 'x' } })).resolves.toBeUndefined();
+    });
+
+    it('should pass the write to the rule validator', async () => {
+      const ruleValidator = vi.fn().mockRejectedValue(new Error('«Email»: недопустимое значение «x»'));
+      const withRules = new ValidationService({ ruleValidator });
+      const target = { typeId: 18, objectId: 5, parentId: 1, value: 'A', requisites: { 101: 'x' } };
+
+      await expect(withRules.validateRules('test', target)).rejects.toThrow('недопустимое значение');
+      expect(ruleValidator).toHaveBeenCalledWith('test', target);
+    });
+  });
 });
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for the vector index behind semantic search
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { VectorIndex, HashingEmbeddingProvider } from '../services/VectorIndex.js';
+import { SearchService } from '../services/SearchService.js';
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/**
+ * База в памяти: Product(100) с текстовым реквизитом Description (колонка 50, MEMO)
+ * и числовым Price (колонка 60); Supplier(200).
+ */
+function createTable() {
+  return [
+    { id: 1, up: 0, t: 1, val: 'root' },
+    { id: 100, up: 0, t: 3, val: 'Product' },
+    { id: 200, up: 0, t: 3, val: 'Supplier' },
+    { id: 50, up: 0, t: 12, val: 'Description' },
+    { id: 60, up: 0, t: 13, val: 'Price' },
+    { id: 101, up: 100, t: 50, val: '' },
+    { id: 102, up: 100, t: 60, val: '' },
+    { id: 10, up: 1, t: 100, val: 'Quadcopter drone' },
+    { id: 11, up: 10, t: 101, val: 'Aerial camera with four rotors' },
+    { id: 12, up: 10, t: 102, val: '999' },
+    { id: 20, up: 1, t: 100, val: 'Garden hose' },
+    { id: 21, up: 20, t: 101, val: 'Flexible watering pipe' },
+    { id: 30, up: 1, t: 200, val: 'Drone Parts Ltd' },
+  ];
+}
+
+/** Реализация запросов VectorIndex поверх массива строк */
+function createDb(table) {
+  const byId = id => table.find(r => r.id === id);
+  const isObject = r => r.up !== 0 && byId(r.t)?.up === 0 && (r.up === 1 || byId(r.up)?.up !== 0);
+  return {
+    execSql: vi.fn(async (sql, params, label) => {
+      if (label === 'VectorIndex.build') return { rows: table.filter(isObject).slice(0, params[0]) };
+      if (label === 'VectorIndex.requisites') {
+        const text = [2, 3, 8, 12];
+        return {
+          rows: table.filter(c => params.includes(c.up) && byId(c.t)?.up !== 0 && text.includes(byId(byId(c.t)?.t)?.t)),
+        };
+      }
+      if (label === 'VectorIndex.resolve') {
+        return {
+          rows: table.filter(r => params.includes(r.id)).map(r => ({
+            id: r.id, up: r.up, type_up: byId(r.t)?.up ?? null, parent_up: byId(r.up)?.up ?? null,
+          })),
+        };
+      }
+      if (label === 'VectorIndex.objects') return { rows: table.filter(r => params.includes(r.id)) };
+      return { rows: [] };
+    }),
+  };
+}
+
+function createEventService() {
+  const handlers = [];
+  return {
+    subscribe: vi.fn((db, filter, callback) => { handlers.push(callback); return 'sub_1'; }),
+    unsubscribe: vi.fn(),
+    publish: event => Promise.all(handlers.map(h => h(event))),
+  };
+}
+
+describe('HashingEmbeddingProvider', () => {
+  it('should place related texts closer than unrelated ones', async () => {
+    const provider = new HashingEmbeddingProvider({ dimensions: 256 });
+    const [query, near, far] = await provider.embed(['drones', 'drone with camera', 'watering can']);
+    const cos = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0)
+      / Math.sqrt(a.reduce((s, x) => s + x * x, 0) * b.reduce((s, x) => s + x * x, 0));
+
+    expect(query).toHaveLength(256);
+    expect(cos(query, near)).toBeGreaterThan(cos(query, far));
+  });
+});
+
+describe('VectorIndex', () => {
+  let table;
+  let db;
+  let eventService;
+  let index;
+
+  beforeEach(() => {
+    table = createTable();
+    db = createDb(table);
+    eventService = createEventService();
+    index = new VectorIndex(db, { eventService, logger });
+  });
+
+  it('should index object values with text requisites and rank by cosine similarity', async () => {
+    const { results, indexed } = await index.search('mydb', 'camera rotors');
+
+    expect(indexed).toBe(3);
+    expect(results[0]).toMatchObject({ id: 10, value: 'Quadcopter drone', parentId: 1, typeId: 100 });
+    expect(results[0].relevance).toBeGreaterThan(0);
+    expect(results.map(r => r.id)).not.toContain(20);
+  });
+
+  it('should filter results by type', async () => {
+    const all = await index.search('mydb', 'drone');
+    const suppliers = await index.search('mydb', 'drone', { types: [200] });
+
+    expect(all.results.map(r => r.id).sort()).toEqual([10, 30]);
+    expect(suppliers.results.map(r => r.id)).toEqual([30]);
+  });
+
+  it('should build once and subscribe to events', async () => {
+    await index.search('mydb', 'drone');
+    await index.search('mydb', 'hose');
+
+    expect(db.execSql.mock.calls.filter(([, , label]) => label === 'VectorIndex.build')).toHaveLength(1);
+    expect(eventService.subscribe).toHaveBeenCalledWith('mydb', null, expect.any(Function));
+  });
+
+  it('should follow create, requisite update and delete events', async () => {
+    await index.search('mydb', 'drone');
+
+    table.push({ id: 40, up: 1, t: 100, val: 'Racing drone kit' });
+    await eventService.publish({ action: 'create', targetId: 40, targetType: 100 });
+    expect((await index.search('mydb', 'racing')).results[0].id).toBe(40);
+
+    table.find(r => r.id === 21).val = 'Flexible pipe for drones';
+    await eventService.publish({ action: 'update', targetId: 21, targetType: 101 });
+    expect((await index.search('mydb', 'pipe drones')).results[0].id).toBe(20);
+
+    table.splice(table.findIndex(r => r.id === 30), 1);
+    await eventService.publish({ action: 'delete', targetId: 30, targetType: 200, oldValue: { id: 30, parentId: 1 } });
+    expect((await index.search('mydb', 'drone', { types: [200] })).results).toEqual([]);
+  });
+
+  it('should accept a pluggable embedding provider', async () => {
+    const provider = { name: 'stub', embed: vi.fn(async texts => texts.map(t => (t.includes('hose') ? [1, 0] : [0, 1]))) };
+    const custom = new VectorIndex(db, { embeddingProvider: provider, logger });
+
+    const { results } = await custom.search('mydb', 'hose');
+
+    expect(results.map(r => r.id)).toEqual([20]);
+    expect(provider.embed).toHaveBeenCalled();
+  });
+});
+
+describe('SearchService.semanticSearch', () => {
+  it('should use the vector engine when an index is configured', async () => {
+    const db = createDb(createTable());
+    const vectorIndex = new VectorIndex(db, { logger });
+    const service = new SearchService(db, { vectorIndex }, { logger });
+
+    const result = await service.semanticSearch('mydb', 'quadcopter', { limit: 1 });
+
+    expect(result).toMatchObject({ engine: 'vector', provider: 'hashing', indexed: 3 });
+    expect(result.results.map(r => r.id)).toEqual([10]);
+  });
+
+  it('should fall back to fuzzy text match without an index', async () => {
+    const db = { execSql: vi.fn().mockResolvedValue({ rows: [{ id: 10, val: 'Quadcopter drone', up: 1, t: 100, relevance: 1 }] }) };
+    const service = new SearchService(db, {}, { logger });
+
+    const result = await service.semanticSearch('mydb', 'drone');
+
+    expect(result.engine).toBe('fuzzy-text');
+    expect(result.results[0]).toMatchObject({ id: 10, relevance: 1 });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for legacy change → event/transaction bridging
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createLegacyChangeHandler } from '../hooks/legacyChangeHooks.js';
+
+const logger = { warn: vi.fn() };
+
+const change = {
+  db: 'mydb',
+  action: 'update',
+  source: '_m_save',
+  targetId: 10,
+  targetType: 100,
+  oldValue: { id: 10, value: 'Alpha' },
+  newValue: { id: 10, value: 'Beta' },
+  user: { uid: 7, username: 'john' },
+};
+
+describe('createLegacyChangeHandler', () => {
+  let eventService;
+  let transactionService;
+  let handle;
+
+  beforeEach(() => {
+    eventService = { emit: vi.fn().mockResolvedValue(undefined) };
+    transactionService = { record: vi.fn().mockResolvedValue({ id: 1 }) };
+    handle = createLegacyChangeHandler({ eventService, transactionService }, { logger });
+  });
+
+  it('should emit an event with user and source action', async () => {
+    await handle(change);
+
+    expect(eventService.emit).toHaveBeenCalledWith('mydb', {
+      action: 'update',
+      targetId: 10,
+      targetType: 100,
+      oldValue: change.oldValue,
+      newValue: change.newValue,
+      meta: { agentId: 'john', userId: 7, sessionId: null, source: '_m_save' },
+    });
+  });
+
+  it('should record a transaction with uppercase action', async () => {
+    await handle({ ...change, action: 'delete', newValue: null });
+
+    expect(transactionService.record).toHaveBeenCalledWith('mydb', expect.objectContaining({
+      agentId: 'john',
+      action: 'DELETE',
+      targetId: 10,
+      newValue: null,
+      metadata: { source: '_m_save', userId: 7 },
+    }));
+  });
+
+  it('should record the transaction even if the event fails', async () => {
+    eventService.emit.mockRejectedValueOnce(new Error('down'));
+
+    await handle(change);
+
+    expect(transactionService.record).toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  it('should ignore unknown actions', async () => {
+    await handle({ ...change, action: 'batch' });
+
+    expect(eventService.emit).not.toHaveBeenCalled();
+    expect(transactionService.record).not.toHaveBeenCalled();
+  });
+});
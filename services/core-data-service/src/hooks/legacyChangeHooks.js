@@ -0,0 +1,85 @@
+/**
+ * @integram/core-data-service - Хуки изменений legacy API
+ *
+ * Legacy-действия _m_* / _d_* пишут в БД напрямую, минуя ObjectService.
+ * Монолит сообщает о каждом успешном изменении через onLegacyChange();
+ * обработчик ниже превращает его в событие EventService и запись _transactions,
+ * сохраняя пользователя и исходное действие.
+ */
+
+import { EVENT_ACTIONS } from '../services/EventService.js';
+import { TRANSACTION_ACTIONS } from '../services/TransactionService.js';
+
+/** Соответствие действий изменения операциям журнала транзакций */
+const TRANSACTION_ACTION_MAP = {
+  [EVENT_ACTIONS.CREATE]: TRANSACTION_ACTIONS.CREATE,
+  [EVENT_ACTIONS.UPDATE]: TRANSACTION_ACTIONS.UPDATE,
+  [EVENT_ACTIONS.DELETE]: TRANSACTION_ACTIONS.DELETE,
+};
+
+/**
+ * Создать обработчик изменений legacy API.
+ *
+ * Изменение: { db, action: 'create'|'update'|'delete', source, targetId, targetType,
+ * oldValue, newValue, user: { uid, username } }.
+ *
+ * @param {Object} services — сервисы
+ * @param {Object} [services.eventService] — экземпляр EventService
+ * @param {Object} [services.transactionService] — экземпляр TransactionService
+ * @param {Object} [options]
+ * @param {Object} [options.logger] — логгер
+ * @returns {Function} — async (change) => void
+ */
+export function createLegacyChangeHandler(services, options = {}) {
+  const { eventService, transactionService } = services;
+  const logger = options.logger || console;
+
+  return async function handleLegacyChange(change) {
+    const txAction = TRANSACTION_ACTION_MAP[change.action];
+    if (!txAction) {
+      logger.warn('legacyChangeHooks: неизвестное действие', { action: change.action, source: change.source });
+      return;
+    }
+
+    const userId = change.user?.uid ?? null;
+    const username = change.user?.username ?? null;
+
+    if (eventService) {
+      try {
+        await eventService.emit(change.db, {
+          action: change.action,
+          targetId: change.targetId,
+          targetType: change.targetType,
+          oldValue: change.oldValue,
+          newValue: change.newValue,
+          meta: {
+            agentId: username,
+            userId,
+            sessionId: null,
+            source: change.source,
+          },
+        });
+      } catch (e) {
+        logger.warn('legacyChangeHooks: ошибка публикации события', { source: change.source, error: e.message });
+      }
+    }
+
+    if (transactionService) {
+      try {
+        await transactionService.record(change.db, {
+          agentId: username,
+          action: txAction,
+          targetId: change.targetId,
+          targetType: change.targetType,
+          oldValue: change.oldValue,
+          newValue: change.newValue,
+          metadata: { source: change.source, userId },
+        });
+      } catch (e) {
+        logger.warn('legacyChangeHooks: ошибка записи транзакции', { source: change.source, error: e.message });
+      }
+    }
+  };
+}
+
+export default createLegacyChangeHandler;
@@ -13,6 +13,8 @@ import express from 'express';
 
 export * from './services/index.js';
 export * from './middleware/LegacyFormatTransformer.js';
+export * from './middleware/AccessControl.js';
+export { createLegacyChangeHandler } from './hooks/legacyChangeHooks.js';
 
 // ============================================================================
 // Import Services
@@ -28,7 +30,11 @@ import { AuditService } from './services/AuditService.js';
 import { OntologyService } from './services/OntologyService.js';
 import { BatchService } from './services/BatchService.js';
 import { EventService } from './services/EventService.js';
-import { SearchService } from './services/SearchService.js';import { LegacyFormatTransformer } from './middleware/LegacyFormatTransformer.js';
+import { SearchService } from './services/SearchService.js';
+import { VectorIndex } from './services/VectorIndex.js';
+import { TableViewService } from './services/TableViewService.js';
+import { PresenceService } from './services/PresenceService.js';import { LegacyFormatTransformer } from './middleware/LegacyFormatTransformer.js';
+import { createAccessControl } from './middleware/AccessControl.js';
 import { createV1Routes } from './routes/v1/index.js';
 import { createV2Routes } from './routes/v2/index.js';
 import { createLegacyActionRoutes } from './routes/legacy/index.js';
@@ -52,15 +58,25 @@ export class CoreDataService {
    * @param {Object} databaseService - Database service instance
    * @param {Object} [options] - Service options
    * @param {Object} [options.logger] - Logger instance
+   * @param {Object} [options.grantEngine] - Legacy grant functions; enables role checks on V2 routes
+   * @param {Function} [options.ruleValidator] - Checks the schema's validation rules on writes (see ValidationService.validateRules)
+   * @param {Object} [options.apiKeys] - Personal API key store; lets V2 routes accept keys (see AccessControl)
+   * @param {Object} [options.sessions] - Login sessions; V2 requests record their use (see AccessControl)
    */
   constructor(databaseService, options = {}) {
     this.logger = options.logger || console;
 
     const validationService = new ValidationService(options);
 
+    this.transactionService = new TransactionService(databaseService, {
+      ...options,
+      validationService,
+    });
+
     this.objectService = new ObjectService(databaseService, {
       ...options,
       validationService,
+      transactionService: this.transactionService,
     });
 
     this.queryService = new QueryService(databaseService, {
@@ -82,8 +98,6 @@ export class CoreDataService {
       validationService,
     });
 
-    this.transactionService = new TransactionService(databaseService, options);
-
     this.auditService = new AuditService(databaseService, options);
 
     this.ontologyService = new OntologyService(databaseService, {
@@ -99,17 +113,28 @@ export class CoreDataService {
 
 // Event Streaming (#187)
     this.eventService = new EventService(databaseService, options);
+// Векторный индекс семантического поиска, обновляется событиями
+    this.vectorIndex = new VectorIndex(databaseService, { ...options, eventService: this.eventService });
 // Agent Search API (#188) — полнотекстовый, NL-поиск, фильтрация, агрегация
     this.searchService = new SearchService(databaseService, {
       queryService: this.queryService,
       typeService: this.typeService,
       objectService: this.objectService,
+      vectorIndex: this.vectorIndex,
     }, {
       ...options,
       validationService,
     });
+    // Сохранённые представления таблицы (личные и ролевые)
+    this.tableViewService = new TableViewService(databaseService, {
+      ...options,
+      validationService,
+    });
+    // Присутствие пользователей в таблицах (живое совместное редактирование)
+    this.presenceService = new PresenceService(options);
     this.validationService = validationService;
     this.transformer = new LegacyFormatTransformer(options);
+    this.accessControl = createAccessControl(databaseService, options.grantEngine, options);
   }
 
   getServices() {
@@ -124,7 +149,10 @@ export class CoreDataService {
       ontologyService: this.ontologyService,
       batchService: this.batchService,
 eventService: this.eventService,
-searchService: this.searchService,    };
+searchService: this.searchService,
+      tableViewService: this.tableViewService,
+      presenceService: this.presenceService,
+    };
   }
 
   createRouter(options = {}) {
@@ -136,10 +164,10 @@ searchService: this.searchService,    };
       router.use('/v1', createV1Routes(services, routeOptions));
     }
     if (options.enableV2 !== false) {
-      router.use('/v2', createV2Routes(services, routeOptions));
+      router.use('/v2', createV2Routes(services, { ...routeOptions, accessControl: this.accessControl }));
     }
     if (options.enableLegacy !== false) {
-      router.use('/', createLegacyActionRoutes(services, routeOptions));
+      router.use('/', createLegacyActionRoutes(services, { ...routeOptions, accessControl: this.accessControl }));
     }
 
     return router;
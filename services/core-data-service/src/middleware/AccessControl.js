@@ -0,0 +1,770 @@
+/**
+ * @integram/core-data-service - AccessControl
+ *
+ * Аутентификация и проверка грантов для V2 API.
+ *
+ * Токен берётся так же, как в legacy-слое (extractToken): cookie с именем базы,
+ * заголовок Authorization: Bearer или X-Authorization. Правила доступа
+ * (ROLE / LEVEL / MASK) вычисляются тем же движком грантов, что и в legacy-compat.js
+ * (@integram/grants) — он передаётся снаружи через grantEngine, чтобы у V2 и
+ * legacy-маршрутов была одна реализация Check_Grant / Grant_1level / Check_Val_granted.
+ *
+ * Вместо токена сессии можно передать личный API-ключ, если задан apiKeys:
+ * права пользователя сужаются до области ключа (scopeGrants), а ключ только
+ * для чтения допускает лишь запросы на чтение.
+ *
+ * Если задан sessions, использование сессии (последний вход и адрес)
+ * записывается так же, как в legacyAuthMiddleware.
+ *
+ * Cookie браузер отправляет и с чужих сайтов, поэтому запрос на запись только
+ * с cookie (без заголовка авторизации) должен нести XSRF-токен пользователя
+ * (заголовок X-XSRF-Token или поле _xsrf), как формы legacy-слоя.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { validateDbName, DEFAULT_LIMIT, TOKEN, USER, XSRF, ROLE } from '@integram/common';
+
+import { findSecretTypeIds } from '../services/ObjectService.js';
+
+// ============================================================================
+// Константы
+// ============================================================================
+
+/** Уровни доступа, как их хранит LEVEL (t=47) */
+export const GRANT_LEVELS = {
+  READ: 'READ',
+  WRITE: 'WRITE',
+  BARRED: 'BARRED',
+};
+
+/** Методы движка грантов, которые нужны AccessControl */
+const REQUIRED_ENGINE_METHODS = ['getGrants', 'checkGrant', 'grant1Level', 'checkValGranted', 'valBarredByMask'];
+
+/** Размер пачки id в IN (...) при проверке масок реквизитов */
+const MASK_CHUNK = 500;
+
+/** Пачка совпадений при подсчёте видимых объектов и предел просмотра */
+const SCAN_CHUNK = 500;
+const MAX_SCAN = 10000;
+
+/** POST-маршруты, которые только читают — доступны ключам только для чтения */
+const READ_ONLY_POSTS = [
+  /^\/databases\/[^/]+\/query$/,
+  /^\/databases\/[^/]+\/search(\/.*)?$/,
+  /^\/databases\/[^/]+\/ontology\/sparql$/,
+];
+
+// ============================================================================
+// AccessControl
+// ============================================================================
+
+export class AccessControl {
+  /**
+   * @param {Object} databaseService — сервис доступа к БД (@integram/database)
+   * @param {Object} grantEngine — функции @integram/grants (или совместимые)
+   * @param {Function} grantEngine.getGrants — (pool, db, roleId, userCtx) => grants
+   * @param {Function} grantEngine.checkGrant — (pool, db, grants, id, t, grant, username) => boolean
+   * @param {Function} grantEngine.grant1Level — (pool, db, grants, id, username) => 'READ'|'WRITE'|false
+   * @param {Function} grantEngine.checkValGranted — (pool, db, grants, t, val, id) => level|'BARRED'|undefined
+   * @param {Function} grantEngine.valBarredByMask — (pool, db, grants, t, val) => boolean
+   * @param {Object} [options]
+   * @param {Object} [options.logger]
+   * @param {Object} [options.apiKeys] — хранилище API-ключей: authenticate(database, token, { ip })
+   *   → { uid, key: { id, name, readOnly, types } } | null; требует grantEngine.scopeGrants
+   * @param {Object} [options.sessions] — сессии входа: touch(database, tokenId, { ip })
+   */
+  constructor(databaseService, grantEngine, options = {}) {
+    const required = options.apiKeys ? [...REQUIRED_ENGINE_METHODS, 'scopeGrants'] : REQUIRED_ENGINE_METHODS;
+    for (const method of required) {
+      if (typeof grantEngine?.[method] !== 'function') {
+        throw new Error(`AccessControl: grantEngine.${method} не задан`);
+      }
+    }
+
+    this.db = databaseService;
+    this.engine = grantEngine;
+    this.apiKeys = options.apiKeys || null;
+    this.sessions = options.sessions || null;
+    this.logger = options.logger || console;
+
+    this.pool = poolOf(databaseService);
+  }
+
+  /**
+   * Те же проверки на другом соединении — открытой групповой транзакции,
+   * чтобы гранты считались по её ещё не зафиксированным объектам.
+   *
+   * @param {Object} databaseService
+   * @returns {AccessControl}
+   */
+  withDatabase(databaseService) {
+    const scoped = Object.create(this);
+    scoped.db = databaseService;
+    scoped.pool = poolOf(databaseService);
+    return scoped;
+  }
+
+  // ==========================================================================
+  // Аутентификация
+  // ==========================================================================
+
+  /**
+   * Извлечь токен из запроса (PHP/legacy parity: cookie → Authorization → X-Authorization).
+   *
+   * @param {Object} req — Express request
+   * @param {string} database — имя базы (имя cookie)
+   * @returns {string} токен или ''
+   */
+  static extractToken(req, database) {
+    const cookies = req.cookies || parseCookieHeader(req.headers?.cookie);
+    const authHeader = req.headers?.authorization || '';
+    const xAuthHeader = req.headers?.['x-authorization'] || '';
+    return cookies?.[database] ||
+      (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader) ||
+      (xAuthHeader.startsWith('Bearer ') ? xAuthHeader.slice(7) : xAuthHeader) ||
+      '';
+  }
+
+  /**
+   * Найти пользователя по токену (или API-ключу) и загрузить гранты его роли.
+   *
+   * @param {string} database
+   * @param {string} token
+   * @param {Object} [context]
+   * @param {string} [context.ip] — адрес клиента, для списка разрешённых IP ключа
+   * @returns {Promise<Object|null>} { uid, username, xsrf, role, roleId, grants, apiKey?, sessionId? } или null
+   * @throws {Error} AuthenticationError apiKeys — ключ просрочен или адрес не разрешён
+   */
+  async resolveUser(database, token, context = {}) {
+    if (!token) return null;
+
+    // authenticate() answers null for session tokens and unknown keys alike;
+    // neither then matches a TOKEN row below
+    const keyAuth = this.apiKeys ? await this.apiKeys.authenticate(database, token, context) : null;
+
+    const { rows } = await this.db.execSql(
+      `SELECT u.id uid, u.val uname, xsrf.val xsrf_val,
+              role_def.val role_val, role_def.id roleId
+              ${keyAuth ? '' : ', tok.id tok_id, tok_info.id tok_info'}
+       FROM ${database} u
+       ${keyAuth ? '' : `JOIN ${database} tok ON tok.up=u.id AND tok.t=${TOKEN} AND tok.val=?
+       LEFT JOIN ${database} tok_info ON tok_info.up=tok.id AND tok_info.ord=1`}
+       LEFT JOIN ${database} xsrf ON xsrf.up=u.id AND xsrf.t=${XSRF}
+       LEFT JOIN (${database} r CROSS JOIN ${database} role_def)
+         ON r.up=u.id AND role_def.id=r.t AND role_def.t=${ROLE}
+       WHERE u.t=${USER}${keyAuth ? ' AND u.id=?' : ''}
+       LIMIT 1`,
+      [keyAuth ? keyAuth.uid : token],
+      'AccessControl.resolveUser'
+    );
+
+    if (!rows || rows.length === 0) return null;
+
+    const row = rows[0];
+    const role = (row.role_val || '').toLowerCase();
+    const roleId = row.roleId || 0;
+    let grants = roleId
+      ? await this.engine.getGrants(this.pool, database, roleId, { username: row.uname, uid: row.uid, role, roleId })
+      : {};
+    if (keyAuth) {
+      grants = await this.engine.scopeGrants(this.pool, database, grants, keyAuth.key, row.uname || '');
+    }
+
+    const user = {
+      uid: row.uid,
+      username: row.uname,
+      xsrf: keyAuth ? null : row.xsrf_val || null,
+      role,
+      roleId,
+      grants,
+    };
+    if (keyAuth) user.apiKey = keyAuth.key;
+    if (row.tok_id) {
+      user.sessionId = Number(row.tok_id);
+      // Только сессии с подробностями (см. sessions.js в legacy-слое)
+      if (row.tok_info && this.sessions) await this.sessions.touch(database, row.tok_id, context);
+    }
+    return user;
+  }
+
+  /**
+   * Express-middleware аутентификации для маршрутов /databases/:database/*.
+   * Заполняет req.v2User; без валидного токена отвечает 401.
+   *
+   * @returns {Function}
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const { database } = req.params;
+
+      if (!validateDbName(database)) {
+        return res.status(401).json(wrapDenied('Некорректное имя базы данных', 'UNAUTHORIZED'));
+      }
+
+      const token = AccessControl.extractToken(req, database);
+      // Чужой сайт может отправить cookie, но не заголовок авторизации с credentials
+      const cookieOnly = !req.headers?.authorization && !req.headers?.['x-authorization'];
+      if (!token) {
+        return res.status(401).json(wrapDenied('Требуется авторизация', 'UNAUTHORIZED'));
+      }
+
+      try {
+        const user = await this.resolveUser(database, token, { ip: req.ip });
+        if (!user) {
+          return res.status(401).json(wrapDenied('Неверный или просроченный токен', 'UNAUTHORIZED'));
+        }
+        if (user.apiKey?.readOnly && !isReadRequest(req)) {
+          return res.status(403).json(wrapDenied('API-ключ только для чтения', 'FORBIDDEN'));
+        }
+        if (cookieOnly && !isReadRequest(req) && !xsrfMatches(req, user.xsrf)) {
+          return res.status(403).json(wrapDenied('Неверный XSRF-токен', 'FORBIDDEN'));
+        }
+        req.v2User = user;
+        next();
+      } catch (e) {
+        if (e.name === 'AuthenticationError') {
+          return res.status(401).json(wrapDenied(e.message, 'UNAUTHORIZED'));
+        }
+        this.logger.error('AccessControl: ошибка аутентификации', { database, error: e.message });
+        res.status(401).json(wrapDenied('Ошибка аутентификации', 'UNAUTHORIZED'));
+      }
+    };
+  }
+
+  // ==========================================================================
+  // Проверки грантов
+  // ==========================================================================
+
+  /**
+   * Есть ли у пользователя право редактировать метаданные (DDL, Check_Grant(0, 0)).
+   *
+   * @param {string} database
+   * @param {Object} user — req.v2User
+   * @param {string} [level='WRITE']
+   * @returns {Promise<boolean>}
+   */
+  async canEditSchema(database, user, level = GRANT_LEVELS.WRITE) {
+    return Boolean(await this.engine.checkGrant(this.pool, database, user.grants || {}, 0, 0, level, user.username || ''));
+  }
+
+  /**
+   * Доступ к типу первого уровня (Grant_1level).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {number} typeId
+   * @param {string} [level='READ'] — READ пропускает READ и WRITE, WRITE — только WRITE
+   * @returns {Promise<boolean>}
+   */
+  async canAccessType(database, user, typeId, level = GRANT_LEVELS.READ) {
+    const granted = await this.engine.grant1Level(this.pool, database, user.grants || {}, typeId, user.username || '');
+    if (!granted) return false;
+    return level === GRANT_LEVELS.READ || granted === GRANT_LEVELS.WRITE;
+  }
+
+  /**
+   * Доступ к объекту по цепочке родителей (Check_Grant(id, 0)).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {number} objectId
+   * @param {string} [level='READ']
+   * @returns {Promise<boolean>}
+   */
+  async canAccessObject(database, user, objectId, level = GRANT_LEVELS.READ) {
+    return Boolean(await this.engine.checkGrant(this.pool, database, user.grants || {}, objectId, 0, level, user.username || ''));
+  }
+
+  /**
+   * Право создать объект типа typeId под родителем parentId.
+   * Повторяет проверку _m_new: для корня — Grant_1level, иначе Check_Grant(parent, type).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {number} parentId
+   * @param {number} typeId
+   * @returns {Promise<boolean>}
+   */
+  async canCreateObject(database, user, parentId, typeId) {
+    if (!parentId || parentId <= 1) {
+      return this.canAccessType(database, user, typeId, GRANT_LEVELS.WRITE);
+    }
+    return Boolean(await this.engine.checkGrant(this.pool, database, user.grants || {}, parentId, typeId, GRANT_LEVELS.WRITE, user.username || ''));
+  }
+
+  /**
+   * Есть ли у роли право EXPORT на тип (или на корень).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {number} typeId
+   * @returns {boolean}
+   */
+  canExport(database, user, typeId) {
+    if (isOwner(database, user)) return true;
+    const exportGrants = user.grants?.EXPORT || {};
+    return Boolean(exportGrants[1] || exportGrants[typeId]);
+  }
+
+  /**
+   * Скрыт ли объект маской роли (Check_Val_granted вернул BARRED).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Object} obj — { id, value, typeId }
+   * @returns {Promise<boolean>}
+   */
+  async isBarredByMask(database, user, obj) {
+    if (!user.grants?.mask?.[obj.typeId]) return false;
+    const level = await this.engine.checkValGranted(this.pool, database, user.grants, obj.typeId, obj.value, obj.id || 0);
+    return level === GRANT_LEVELS.BARRED;
+  }
+
+  /**
+   * Проверить значения перед записью (Val_barred_by_mask).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {number} typeId — тип объекта
+   * @param {*} value — значение объекта (undefined — не проверять)
+   * @param {Object} [requisites] — { [reqTypeId]: value }
+   * @returns {Promise<Array<number>>} список типов, запись в которые запрещена маской
+   */
+  async findBarredValues(database, user, typeId, value, requisites = {}) {
+    const barred = [];
+    const checks = [];
+    if (value !== undefined) checks.push([typeId, value]);
+    for (const [reqTypeId, reqValue] of Object.entries(requisites || {})) {
+      checks.push([parseInt(reqTypeId, 10), reqValue]);
+    }
+
+    for (const [t, val] of checks) {
+      try {
+        if (await this.engine.valBarredByMask(this.pool, database, user.grants || {}, t, val)) {
+          barred.push(t);
+        }
+      } catch (e) {
+        // Обязательная маска не совпала — PHP делает my_die()
+        if (e.isMaskError) barred.push(t);
+        else throw e;
+      }
+    }
+    return barred;
+  }
+
+  /**
+   * Проверить одну операцию пакета (формат BatchService: action/typeId/objectId/data).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Object} op
+   * @returns {Promise<string|null>} причина отказа или null, если операция разрешена
+   */
+  async checkOperation(database, user, op) {
+    const action = (op.action || '').toLowerCase();
+    const data = op.data || {};
+
+    if (action === 'create') {
+      const typeId = parseInt(op.typeId || data.typeId, 10);
+      const parentId = parseInt(data.parentId ?? data.up ?? 0, 10);
+      if (!(await this.canCreateObject(database, user, parentId, typeId))) {
+        return 'Недостаточно прав на создание объекта типа ' + typeId;
+      }
+      const barred = await this.findBarredValues(database, user, typeId, data.value ?? data.val, data.requisites);
+      return barred.length > 0 ? 'Значение запрещено маской: ' + barred.join(', ') : null;
+    }
+
+    const objectId = parseInt(op.objectId || op.id, 10);
+    if ((action === 'update' || action === 'delete') && objectId &&
+        !(await this.canAccessObject(database, user, objectId, GRANT_LEVELS.WRITE))) {
+      return 'Недостаточно прав на объект ' + objectId;
+    }
+    // Новые значения проверяются масками, как в PATCH /objects/:id
+    const value = data.value ?? data.val;
+    if (action === 'update' && objectId && (value !== undefined || data.requisites)) {
+      const { rows } = await this.db.execSql(
+        `SELECT t FROM ${database} WHERE id = ?`, [objectId], 'AccessControl.checkOperation'
+      );
+      if (rows?.[0]) {
+        const barred = await this.findBarredValues(database, user, Number(rows[0].t), value, data.requisites);
+        if (barred.length > 0) return 'Значение запрещено маской: ' + barred.join(', ');
+      }
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // Фильтрация результатов
+  // ==========================================================================
+
+  /**
+   * Оставить только типы, видимые пользователю (Grant_1level, как в /:db/terms).
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Array<Object>} types — элементы с полем id
+   * @returns {Promise<Array<Object>>}
+   */
+  async filterTypes(database, user, types) {
+    const visible = [];
+    for (const type of types) {
+      if (await this.canAccessType(database, user, type.id)) visible.push(type);
+    }
+    return visible;
+  }
+
+  /**
+   * Отфильтровать объекты по READ-гранту и маскам.
+   * Если все объекты одного типа первого уровня (список по типу), достаточно
+   * одной проверки Grant_1level — передайте typeId.
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Array<Object>} objects — { id, value, typeId, requisites? }
+   * @param {Object} [options]
+   * @param {number} [options.typeId] — общий тип списка, уже проверенный на READ
+   * @returns {Promise<Array<Object>>}
+   */
+  async filterObjects(database, user, objects, options = {}) {
+    const granted = new Map();
+    const visible = [];
+    const secret = objects.length > 0 ? await findSecretTypeIds(this.db, database) : new Set();
+
+    for (const obj of objects) {
+      // Значения паролей, токенов и секретов не отдаются никому
+      if (secret.has(Number(obj.typeId))) continue;
+      if (options.typeId === undefined) {
+        if (!granted.has(obj.id)) {
+          granted.set(obj.id, await this.canAccessObject(database, user, obj.id));
+        }
+        if (!granted.get(obj.id)) continue;
+      }
+      if (await this.isBarredByMask(database, user, obj)) continue;
+
+      visible.push(obj.requisites ? { ...obj, requisites: await this.filterRequisites(database, user, obj.requisites, secret) } : obj);
+    }
+    return visible;
+  }
+
+  /**
+   * Страница видимых объектов и их число: счётчик до фильтра выдаёт число
+   * скрытых объектов. Совпадения читаются пачками, не больше MAX_SCAN.
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Function} fetch — (limit, offset) => Promise<{ results, total }>
+   * @param {Object} [page] — { limit, offset } запроса
+   * @param {Object} [options] — опции filterObjects
+   * @returns {Promise<Object>} { results, total, capped? } — capped, если просмотр упёрся в MAX_SCAN
+   */
+  async visiblePage(database, user, fetch, { limit, offset } = {}, options = {}) {
+    const start = parseInt(offset, 10) || 0;
+    const size = parseInt(limit, 10) || DEFAULT_LIMIT;
+    const seen = new Set();
+    const shown = [];
+    let scanned = 0;
+    for (;;) {
+      const page = await fetch(SCAN_CHUNK, scanned);
+      const fresh = page.results.filter(obj => !seen.has(obj.id));
+      for (const obj of fresh) seen.add(obj.id);
+      shown.push(...await this.filterObjects(database, user, fresh, options));
+      scanned += SCAN_CHUNK;
+      if (scanned >= page.total) break;
+      if (scanned >= MAX_SCAN) return { results: shown.slice(start, start + size), total: shown.length, capped: true };
+    }
+    return { results: shown.slice(start, start + size), total: shown.length };
+  }
+
+  /**
+   * Отфильтровать дерево объектов (QueryService.getTree): скрытый узел
+   * убирается вместе со своим поддеревом.
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Object} tree — { id, value, typeId, children: [...] }
+   * @returns {Promise<Object|null>} null — скрыт сам корень
+   */
+  async filterTree(database, user, tree) {
+    const nodes = [];
+    const collect = (node) => {
+      nodes.push(node);
+      for (const child of node.children || []) collect(child);
+    };
+    collect(tree);
+
+    const visible = new Set((await this.filterObjects(database, user, nodes)).map(node => node.id));
+    const prune = node => ({
+      ...node,
+      children: (node.children || []).filter(child => visible.has(child.id)).map(prune),
+    });
+    return visible.has(tree.id) ? prune(tree) : null;
+  }
+
+  /**
+   * Объекты типа, скрытые масками роли, — для агрегатов, строки которых не
+   * проходят через filterObjects. Объект скрыт, если маска запрещает его значение
+   * или значение любого его реквизита с маской: иначе оно попадёт в группы и метрики.
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {number} typeId
+   * @param {Object} [options]
+   * @param {number} [options.parentId] — только подчинённые объекты этого родителя
+   * @returns {Promise<Array<number>>} id скрытых объектов; пусто, если масок на тип и его реквизиты нет
+   */
+  async findMaskedObjectIds(database, user, typeId, options = {}) {
+    const masks = user.grants?.mask || {};
+    const { rows: requisites } = await this.db.execSql(
+      `SELECT id FROM ${database} WHERE up = ?`, [typeId], 'AccessControl.findMaskedObjectIds.requisites'
+    );
+    const masked = new Set((requisites || []).map(row => Number(row.id)).filter(id => masks[id]));
+    if (!masks[typeId] && masked.size === 0) return [];
+
+    const byParent = options.parentId !== undefined && options.parentId !== null;
+    const { rows: objects } = await this.db.execSql(
+      `SELECT id, val FROM ${database} WHERE t = ? AND ${byParent ? 'up = ?' : 'up != 0'}`,
+      byParent ? [typeId, options.parentId] : [typeId], 'AccessControl.findMaskedObjectIds.objects'
+    );
+    const barred = new Set();
+    for (const obj of objects || []) {
+      if (await this.isBarredByMask(database, user, { id: Number(obj.id), value: obj.val, typeId })) barred.add(Number(obj.id));
+    }
+    if (masked.size === 0) return [...barred];
+
+    // Значения реквизитов: обычные хранят id реквизита в t, ссылки — в val (t — объект ссылки)
+    const ids = (objects || []).map(obj => Number(obj.id)).filter(id => !barred.has(id));
+    const reqIds = [...masked];
+    for (let i = 0; i < ids.length; i += MASK_CHUNK) {
+      const chunk = ids.slice(i, i + MASK_CHUNK);
+      const { rows } = await this.db.execSql(
+        `SELECT r.id, r.up, r.t, r.val, ref.val ref_val FROM ${database} r
+         LEFT JOIN ${database} ref ON ref.id = r.t
+         WHERE r.up IN (${chunk.map(() => '?').join(', ')})
+           AND (r.t IN (${reqIds.map(() => '?').join(', ')}) OR r.val IN (${reqIds.map(() => '?').join(', ')}))`,
+        [...chunk, ...reqIds, ...reqIds.map(String)], 'AccessControl.findMaskedObjectIds.values'
+      );
+      for (const row of rows || []) {
+        const objId = Number(row.up);
+        if (barred.has(objId)) continue;
+        const value = masked.has(Number(row.t))
+          ? { id: Number(row.id), value: row.val, typeId: Number(row.t) }
+          : { id: Number(row.t), value: row.ref_val, typeId: Number(row.val) };
+        if (await this.isBarredByMask(database, user, value)) barred.add(objId);
+      }
+    }
+    return [...barred];
+  }
+
+  /**
+   * Убрать значения реквизитов, скрытые масками роли, и секретные реквизиты.
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Object} requisites — { [typeId]: [{ id, value }] }
+   * @param {Set<number>} [secret] — результат findSecretTypeIds, если уже получен
+   * @returns {Promise<Object>}
+   */
+  async filterRequisites(database, user, requisites, secret = null) {
+    const secretIds = secret || await findSecretTypeIds(this.db, database);
+    const result = {};
+    for (const [typeId, values] of Object.entries(requisites)) {
+      const t = parseInt(typeId, 10);
+      if (secretIds.has(t)) continue;
+      const kept = [];
+      for (const item of values) {
+        if (!(await this.isBarredByMask(database, user, { id: item.id, value: item.value, typeId: t }))) {
+          kept.push(item);
+        }
+      }
+      if (kept.length > 0) result[typeId] = kept;
+    }
+    return result;
+  }
+
+  /**
+   * Может ли пользователь видеть событие изменения данных.
+   *
+   * @param {string} database
+   * @param {Object} user
+   * @param {Object} event — событие EventService
+   * @returns {Promise<boolean>}
+   */
+  async canSeeEvent(database, user, event) {
+    if (isAdmin(user)) return true;
+    if (!event.targetType) return this.canEditSchema(database, user, GRANT_LEVELS.READ);
+
+    const typeVisible = await this.canAccessType(database, user, event.targetType);
+    if (!typeVisible && !(event.targetId && await this.canAccessObject(database, user, event.targetId))) {
+      return false;
+    }
+
+    const value = event.newValue?.value ?? event.oldValue?.value;
+    if (value === undefined) return true;
+    return !(await this.isBarredByMask(database, user, { id: event.targetId, value, typeId: event.targetType }));
+  }
+}
+
+// ============================================================================
+// Guards для маршрутов
+// ============================================================================
+
+/**
+ * Создать набор middleware-проверок для V2-маршрутов.
+ * Без accessControl все guards пропускают запрос — поведение сервиса без
+ * движка грантов (тесты, автономный запуск) не меняется.
+ *
+ * @param {AccessControl|null} accessControl
+ * @param {Object} [options]
+ * @param {Object} [options.transactionService] — групповые транзакции (X-Transaction-Id)
+ * @returns {Object} { enabled, authenticate, schema, type, object, exportType }
+ */
+export function createGuards(accessControl, options = {}) {
+  const pass = (req, res, next) => next();
+  const { transactionService = null } = options;
+
+  if (!accessControl) {
+    return {
+      enabled: false,
+      authenticate: pass,
+      schema: () => pass,
+      type: () => pass,
+      object: () => pass,
+      exportType: () => pass,
+    };
+  }
+
+  /** Проверки запроса с X-Transaction-Id идут на соединении его транзакции */
+  const access = (req) => {
+    const txId = req.get?.('X-Transaction-Id');
+    if (!txId || !transactionService) return accessControl;
+    return accessControl.withDatabase(transactionService.getTransactionDatabase(txId, req.v2User?.uid ?? null));
+  };
+
+  /** Обернуть асинхронную проверку в middleware с ответом 403 */
+  const guard = (check, message) => async (req, res, next) => {
+    try {
+      if (await check(req)) return next();
+      res.status(403).json(wrapDenied(message, 'FORBIDDEN'));
+    } catch (e) {
+      if (e.name === 'ValidationError') return res.status(400).json(wrapDenied(e.message, 'VALIDATION'));
+      accessControl.logger.error('AccessControl: ошибка проверки гранта', { path: req.path, error: e.message });
+      res.status(500).json(wrapDenied(e.message, 'ERROR'));
+    }
+  };
+
+  const param = (req, name) => parseInt(req.params[name], 10);
+
+  return {
+    enabled: true,
+    authenticate: accessControl.middleware(),
+
+    /** DDL-доступ (редактирование типов и реквизитов) */
+    schema: (level = GRANT_LEVELS.WRITE) => guard(
+      req => accessControl.canEditSchema(req.params.database, req.v2User, level),
+      'Недостаточно прав для изменения структуры'
+    ),
+
+    /** Доступ к типу из параметра маршрута */
+    type: (level = GRANT_LEVELS.READ, paramName = 'typeId') => guard(
+      req => accessControl.canAccessType(req.params.database, req.v2User, param(req, paramName), level),
+      'Недостаточно прав на тип'
+    ),
+
+    /** Доступ к объекту из параметра маршрута */
+    object: (level = GRANT_LEVELS.READ, paramName = 'objectId') => guard(
+      req => access(req).canAccessObject(req.params.database, req.v2User, param(req, paramName), level),
+      'Недостаточно прав на объект'
+    ),
+
+    /** READ на тип + право EXPORT */
+    exportType: (paramName = 'typeId') => guard(
+      async req => {
+        const typeId = param(req, paramName);
+        return await accessControl.canAccessType(req.params.database, req.v2User, typeId) &&
+          accessControl.canExport(req.params.database, req.v2User, typeId);
+      },
+      'Нет права на экспорт'
+    ),
+  };
+}
+
+/**
+ * Создать AccessControl, если задан движок грантов.
+ *
+ * @param {Object} databaseService
+ * @param {Object|null} grantEngine
+ * @param {Object} [options]
+ * @returns {AccessControl|null}
+ */
+export function createAccessControl(databaseService, grantEngine, options = {}) {
+  return grantEngine ? new AccessControl(databaseService, grantEngine, options) : null;
+}
+
+// ============================================================================
+// Вспомогательные функции
+// ============================================================================
+
+/** Адаптер mysql2-пула поверх DatabaseService: движок грантов ожидает [rows] */
+function poolOf(databaseService) {
+  return {
+    query: async (sql, params = []) => {
+      const { rows } = await databaseService.execSql(sql, params, 'AccessControl');
+      return [rows];
+    },
+  };
+}
+
+/** Пользователь admin обходит проверки (как в Check_Grant), но не по API-ключу с областью */
+function isAdmin(user) {
+  return (user?.username || '').toLowerCase() === 'admin' && !user.grants?.API_KEY;
+}
+
+/** admin или владелец базы (username === db), как в RepoGrant / экспорте */
+function isOwner(database, user) {
+  return isAdmin(user) || (user?.username === database && !user.grants?.API_KEY);
+}
+
+/** Запрос только читает: GET/HEAD или POST-поиск и запросы (полный путь от /databases) */
+function isReadRequest(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+  const path = (req.baseUrl + req.path).replace(/^.*?(?=\/databases\/)/, '');
+  return req.method === 'POST' && READ_ONLY_POSTS.some(pattern => pattern.test(path));
+}
+
+/** Совпадает ли XSRF-токен запроса (X-XSRF-Token или _xsrf) с токеном пользователя */
+function xsrfMatches(req, expected) {
+  const given = req.headers?.['x-xsrf-token'] || req.body?._xsrf || '';
+  if (!expected || !given) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/** Разобрать заголовок Cookie, если cookie-parser не подключён */
+function parseCookieHeader(header) {
+  if (!header) return {};
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/** Ответ об отказе в формате V2 */
+function wrapDenied(message, code) {
+  return {
+    success: false,
+    error: { code, message },
+    meta: { timestamp: new Date().toISOString() },
+  };
+}
+
+export default AccessControl;
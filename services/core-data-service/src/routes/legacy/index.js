@@ -8,9 +8,12 @@
  * - _m_* (Data Manipulation): _m_new, _m_save, _m_del, _m_move, _m_up, _m_ord
  * - _d_* (Data Definition): _d_new, _d_del, _d_alias, etc.
  * - metadata, terms, xsrf
+ * - _views (saved table views)
  */
 
 import { Router } from 'express';
+import { validateDbName } from '@integram/common';
+import { AccessControl } from '../../middleware/AccessControl.js';
 
 /**
  * Create legacy action routes for PHP compatibility.
@@ -21,8 +24,9 @@ import { Router } from 'express';
  */
 export function createLegacyActionRoutes(services, options = {}) {
   const router = Router();
-  const { objectService, queryService, typeService, validationService } = services;
+  const { objectService, queryService, typeService, validationService, tableViewService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
 
   // ============================================================================
   // Middleware to parse legacy request format
@@ -256,7 +260,7 @@ export function createLegacyActionRoutes(services, options = {}) {
         return res.status(400).json({ error: 'No attributes provided' });
       }
 
-      await objectService.saveRequisites(database, objectId, req.attributes);
+      await objectService.saveRequisites(database, objectId, req.attributes, { checkRules: true });
 
       logger.info('Object attributes set via legacy route', { database, id: objectId });
 
@@ -924,6 +928,108 @@ export function createLegacyActionRoutes(services, options = {}) {
     }
   });
 
+  // ============================================================================
+  // Saved Table Views
+  // ============================================================================
+
+  /**
+   * Resolve the table view actor: the token user when grants are enabled,
+   * otherwise req.user set by the host application.
+   *
+   * @returns {Promise<Object|null>} { uid, roleId, canManage } or null
+   */
+  const resolveViewActor = async (req) => {
+    const { database } = req.params;
+    if (accessControl) {
+      if (!validateDbName(database)) return null;
+      const user = await accessControl.resolveUser(database, AccessControl.extractToken(req, database));
+      if (!user) return null;
+      return { uid: user.uid, roleId: user.roleId, canManage: await accessControl.canEditSchema(database, user) };
+    }
+    const user = req.user;
+    if (!user?.userId) return null;
+    return {
+      uid: user.userId,
+      roleId: user.roleId,
+      canManage: Boolean(user.canManage) || (user.username || '').toLowerCase() === 'admin',
+    };
+  };
+
+  /** Map TableViewService errors to legacy status codes */
+  const viewErrorStatus = error => ({
+    ValidationError: 400,
+    AuthorizationError: 403,
+    NotFoundError: 404,
+    DuplicateError: 409,
+  })[error.name] || 500;
+
+  if (tableViewService) {
+    /**
+     * _views - List saved views of a type
+     * GET /:database/_views/:typeId
+     * Returns: { status, views, default }
+     */
+    router.get('/:database/_views/:typeId', async (req, res) => {
+      try {
+        const actor = await resolveViewActor(req);
+        if (!actor) return res.status(401).json({ error: 'Authorization required' });
+
+        const { database, typeId } = req.params;
+        const { views, defaultViewId } = await tableViewService.listViews(database, typeId, actor);
+        res.json({ status: 'Ok', views, default: defaultViewId });
+      } catch (error) {
+        const status = viewErrorStatus(error);
+        if (status === 500) logger.error('_views failed', { error: error.message });
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    /**
+     * _views - Save, delete or make default a view
+     * POST /:database/_views/:typeId
+     * Parameters: do (save|delete|default), id, name, scope, role, settings (JSON)
+     */
+    router.post('/:database/_views/:typeId', async (req, res) => {
+      try {
+        const actor = await resolveViewActor(req);
+        if (!actor) return res.status(401).json({ error: 'Authorization required' });
+
+        const { database, typeId } = req.params;
+        const { do: action = 'save', id, name, scope, role } = req.data;
+        let { settings } = req.data;
+        if (typeof settings === 'string') {
+          try {
+            settings = JSON.parse(settings);
+          } catch {
+            return res.status(400).json({ error: 'Invalid settings JSON' });
+          }
+        }
+
+        if (action === 'delete') {
+          await tableViewService.deleteView(database, id, actor);
+          return res.json({ status: 'Ok', id: parseInt(id, 10) });
+        }
+        if (action === 'default') {
+          const result = await tableViewService.setDefaultView(database, typeId, role ?? actor.roleId, id || null, actor);
+          return res.json({ status: 'Ok', ...result });
+        }
+        if (action !== 'save') {
+          return res.status(400).json({ error: `Unknown action: ${action}` });
+        }
+
+        const data = { name, scope, roleId: role, settings };
+        const view = id
+          ? await tableViewService.updateView(database, id, data, actor)
+          : await tableViewService.createView(database, typeId, data, actor);
+        res.json({ status: 'Ok', view });
+      } catch (error) {
+        const status = viewErrorStatus(error);
+        if (status === 500) logger.error('_views save failed', { error: error.message });
+        res.status(status).json({ error: error.message });
+      }
+    });
+  }
+
   return router;
 }
 
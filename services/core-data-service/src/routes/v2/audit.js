@@ -2,15 +2,17 @@
  * @integram/core-data-service - V2 Роуты аудита (#186)
  */
 import { Router } from 'express';
+import { createGuards } from '../../middleware/AccessControl.js';
 
 export function createAuditRoutes(services, options = {}) {
   const router = Router();
   const { auditService } = services;
   const logger = options.logger || console;
+  const guards = options.guards || createGuards(null);
   const wrap = (data, meta = {}) => ({ success: true, data, meta: { timestamp: new Date().toISOString(), ...meta } });
   const wrapErr = (error, code = 'ERROR') => ({ success: false, error: { code, message: error.message || 'Ошибка' }, meta: { timestamp: new Date().toISOString() } });
 
-  router.get('/databases/:database/audit', async (req, res) => {
+  router.get('/databases/:database/audit', guards.schema('READ'), async (req, res) => {
     try {
       const { database } = req.params;
       const { action, userId, since, until, limit, offset } = req.query;
@@ -23,17 +25,21 @@ export function createAuditRoutes(services, options = {}) {
     } catch (e) { logger.error('GET audit failed', { error: e.message }); res.status(500).json(wrapErr(e)); }
   });
 
-  router.get('/databases/:database/audit/object/:objectId', async (req, res) => {
+  router.get('/databases/:database/audit/object/:objectId', guards.object('READ'), async (req, res) => {
     try { const result = await auditService.getObjectAudit(req.params.database, parseInt(req.params.objectId, 10)); res.json(wrap(result)); }
     catch (e) { logger.error('GET object audit failed', { error: e.message }); res.status(500).json(wrapErr(e)); }
   });
 
-  router.get('/databases/:database/audit/user/:userId', async (req, res) => {
+  router.get('/databases/:database/audit/user/:userId', async (req, res, next) => {
+    // Свой журнал доступен всем, чужой — только с DDL-грантом
+    if (!guards.enabled || String(req.v2User.uid) === req.params.userId || req.v2User.username === req.params.userId) return next();
+    guards.schema('READ')(req, res, next);
+  }, async (req, res) => {
     try { const result = await auditService.getAccessLog(req.params.database, req.params.userId); res.json(wrap(result)); }
     catch (e) { logger.error('GET user audit failed', { error: e.message }); res.status(500).json(wrapErr(e)); }
   });
 
-  router.get('/databases/:database/audit/report', async (req, res) => {
+  router.get('/databases/:database/audit/report', guards.schema('READ'), async (req, res) => {
     try {
       const dateRange = {}; if (req.query.since) dateRange.since = req.query.since; if (req.query.until) dateRange.until = req.query.until;
       const report = await auditService.generateComplianceReport(req.params.database, dateRange);
@@ -2,7 +2,7 @@
  * @integram/core-data-service - V2 Роуты пакетных операций (Batch API)
  *
  * POST   /databases/:db/batch              — пакетные операции (create/update/delete)
- * POST   /databases/:db/batch/import/:typeId — массовый импорт записей
+ * POST   /databases/:db/batch/import/:typeId — массовый импорт записей (JSON или поток CSV / XLSX / NDJSON)
  * GET    /databases/:db/batch/export/:typeId — массовый экспорт записей
  * DELETE /databases/:db/batch/:typeId       — массовое удаление по фильтру
  *
@@ -10,6 +10,9 @@
  */
 
 import { Router } from 'express';
+import Busboy from 'busboy';
+import { createGuards } from '../../middleware/AccessControl.js';
+import { detectFormat } from '../../services/RecordImporter.js';
 
 /**
  * Создание роутов пакетных операций.
@@ -17,12 +20,15 @@ import { Router } from 'express';
  * @param {Object} services - Сервисы
  * @param {import('../../services/BatchService.js').BatchService} services.batchService
  * @param {Object} [options] - Настройки
+ * @param {import('../../middleware/AccessControl.js').AccessControl} [options.accessControl] - Проверка грантов
  * @returns {Router} Express-роутер
  */
 export function createBatchRoutes(services, options = {}) {
   const router = Router();
   const { batchService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = options.guards || createGuards(accessControl);
 
   // Обёртка успешного ответа
   const ok = (data, meta = {}) => ({
@@ -51,6 +57,16 @@ export function createBatchRoutes(services, options = {}) {
         return res.status(400).json(err({ message: 'operations должен быть непустым массивом' }, 'VALIDATION'));
       }
 
+      // Гранты проверяются до выполнения: пакет с запрещённой операцией не стартует
+      if (accessControl) {
+        for (let i = 0; i < operations.length; i++) {
+          const denied = await accessControl.checkOperation(database, req.v2User, operations[i]);
+          if (denied) {
+            return res.status(403).json(err({ message: 'Операция #' + i + ': ' + denied }, 'FORBIDDEN'));
+          }
+        }
+      }
+
       const result = await batchService.executeBatch(database, operations, { atomic: atomic === true });
 
       // Если атомарный режим и есть ошибки — статус 422
@@ -74,7 +90,109 @@ export function createBatchRoutes(services, options = {}) {
   // POST /databases/:database/batch/import/:typeId — массовый импорт
   // ==========================================================================
 
-  router.post('/databases/:database/batch/import/:typeId', async (req, res) => {
+  const isTrue = v => v === true || v === 'true' || v === '1';
+
+  // Настройки потокового импорта из query-параметров или полей формы
+  const streamImportOptions = (params) => {
+    const opts = {
+      delimiter: params.delimiter,
+      sheet: params.sheet,
+      keyRequisite: params.keyRequisite,
+      skipDuplicates: isTrue(params.skipDuplicates),
+      updateExisting: isTrue(params.updateExisting),
+      dryRun: isTrue(params.dryRun),
+    };
+    if (params.parentId !== undefined) opts.parentId = parseInt(params.parentId, 10);
+    if (params.batchSize !== undefined) opts.batchSize = parseInt(params.batchSize, 10);
+    if (params.mapping) {
+      try {
+        opts.mapping = typeof params.mapping === 'string' ? JSON.parse(params.mapping) : params.mapping;
+      } catch {
+        const error = new Error('mapping: ожидается JSON-объект { колонка: реквизит }');
+        error.name = 'ValidationError';
+        throw error;
+      }
+    }
+    return opts;
+  };
+
+  /**
+   * Импорт файла из потока. С ?progress=true (или Accept: application/x-ndjson)
+   * ответ — NDJSON: строки { type: 'progress' } по ходу и { type: 'result' } в конце.
+   */
+  const runStreamImport = async (req, res, stream, params, hints) => {
+    const { database, typeId } = req.params;
+    const opts = streamImportOptions(params);
+    opts.format = detectFormat({ format: params.format, ...hints });
+    const streamProgress = isTrue(params.progress) || req.get('Accept') === 'application/x-ndjson';
+
+    if (!streamProgress) {
+      const result = await batchService.importStream(database, parseInt(typeId, 10), stream, opts);
+      return res.status(result.dryRun ? 200 : 201).json(ok(result, {
+        total: result.total, created: result.created, updated: result.updated,
+        skipped: result.skipped, failed: result.failed, dryRun: result.dryRun,
+      }));
+    }
+
+    res.status(200).setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    const line = data => res.write(JSON.stringify(data) + '\n');
+    opts.onProgress = progress => line({ type: 'progress', ...progress });
+    try {
+      const result = await batchService.importStream(database, parseInt(typeId, 10), stream, opts);
+      line({ type: 'result', data: result });
+    } catch (error) {
+      logger.error('POST batch/import (stream)', { error: error.message });
+      line({ type: 'error', error: { code: error.name === 'ValidationError' ? 'VALIDATION' : 'IMPORT_ERROR', message: error.message } });
+    }
+    res.end();
+  };
+
+  // Загрузка multipart/form-data: поля настроек должны идти до файла
+  const importMultipart = (req, res) => new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1 } });
+    } catch (error) {
+      error.name = 'ValidationError';
+      return reject(error);
+    }
+    const fields = {};
+    let started = false;
+    busboy.on('field', (name, value) => { fields[name] = value; });
+    busboy.on('file', (name, file, info) => {
+      started = true;
+      runStreamImport(req, res, file, { ...req.query, ...fields }, { mimeType: info.mimeType, filename: info.filename })
+        .then(resolve, reject)
+        .finally(() => file.resume());
+    });
+    busboy.on('error', reject);
+    busboy.on('close', () => {
+      if (!started) {
+        const error = new Error('Файл не передан: ожидается поле file');
+        error.name = 'ValidationError';
+        reject(error);
+      }
+    });
+    req.pipe(busboy);
+  });
+
+  router.post('/databases/:database/batch/import/:typeId', guards.type('WRITE'), async (req, res) => {
+    // Файл: multipart/form-data или тело запроса с типом text/csv, XLSX, application/x-ndjson
+    if (!req.is('application/json')) {
+      try {
+        if (req.is('multipart/form-data')) {
+          await importMultipart(req, res);
+        } else {
+          await runStreamImport(req, res, req, req.query, { mimeType: req.get('Content-Type'), filename: req.query.filename });
+        }
+      } catch (error) {
+        logger.error('POST batch/import (stream)', { error: error.message });
+        if (res.headersSent) return res.end();
+        res.status(400).json(err(error, error.name === 'ValidationError' ? 'VALIDATION' : 'IMPORT_ERROR'));
+      }
+      return;
+    }
+
     try {
       const { database, typeId } = req.params;
       const { records, skipDuplicates, updateExisting, batchSize } = req.body;
@@ -106,7 +224,7 @@ export function createBatchRoutes(services, options = {}) {
   // GET /databases/:database/batch/export/:typeId — массовый экспорт
   // ==========================================================================
 
-  router.get('/databases/:database/batch/export/:typeId', async (req, res) => {
+  router.get('/databases/:database/batch/export/:typeId', guards.exportType(), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const { format, fields, parentId, value, limit } = req.query;
@@ -142,7 +260,7 @@ export function createBatchRoutes(services, options = {}) {
   // DELETE /databases/:database/batch/:typeId — массовое удаление
   // ==========================================================================
 
-  router.delete('/databases/:database/batch/:typeId', async (req, res) => {
+  router.delete('/databases/:database/batch/:typeId', guards.type('WRITE'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const { parentId, value, ids } = req.body || {};
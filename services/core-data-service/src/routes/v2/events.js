@@ -3,23 +3,38 @@
  *
  * SSE-поток событий, JSON-лог, webhook-подписки.
  * Клиент может подписаться через SSE (GET /events) или зарегистрировать webhook (POST /events/subscribe).
+ * Доставки webhook подписываются HMAC-SHA256 и повторяются с backoff; журнал и
+ * dead-letter — GET /events/subscribe/:id/deliveries.
+ * Присутствие пользователей в таблице (кто открыл, кто редактирует ячейку) —
+ * /types/:typeId/presence; изменения присутствия идут в SSE-поток как event: presence.
  */
 
 import { Router } from 'express';
+import { createGuards } from '../../middleware/AccessControl.js';
+import { DELIVERY_STATUS } from '../../services/EventService.js';
 
 /**
  * Создать роуты событий.
  *
  * @param {Object} services
  * @param {import('../../services/EventService.js').EventService} services.eventService
+ * @param {import('../../services/PresenceService.js').PresenceService} [services.presenceService]
  * @param {Object} [options]
  * @param {Object} [options.logger]
+ * @param {import('../../middleware/AccessControl.js').AccessControl} [options.accessControl]
  * @returns {Router}
  */
 export function createEventRoutes(services, options = {}) {
   const router = Router({ mergeParams: true });
-  const { eventService } = services;
+  const { eventService, presenceService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = options.guards || createGuards(accessControl);
+
+  /** Видно ли событие текущему пользователю (без движка грантов — всё видно) */
+  const canSee = (req, event) => accessControl
+    ? accessControl.canSeeEvent(req.params.database, req.v2User, event)
+    : true;
 
   /** Обёртка успешного ответа */
   const ok = (data, meta = {}) => ({
@@ -35,13 +50,19 @@ export function createEventRoutes(services, options = {}) {
     meta: { timestamp: new Date().toISOString() },
   });
 
+  /** Виден ли тип текущему пользователю (без движка грантов — все видны) */
+  const canSeeType = (req, typeId) => accessControl
+    ? accessControl.canAccessType(req.params.database, req.v2User, typeId)
+    : true;
+
   // ==========================================================================
   // GET /databases/:database/events — SSE-поток событий
+  // ?clientId — присутствие клиента снимается при закрытии потока
   // ==========================================================================
 
   router.get('/databases/:database/events', (req, res) => {
     const { database } = req.params;
-    const { types, actions } = req.query;
+    const { types, actions, clientId } = req.query;
 
     // Парсим фильтры из query-параметров
     const filter = {};
@@ -69,8 +90,10 @@ export function createEventRoutes(services, options = {}) {
     })}\n\n`);
 
     // Подписываемся на события
-    const subscriptionId = eventService.subscribe(database, filter, (event) => {
+    const subscriptionId = eventService.subscribe(database, filter, async (event) => {
       try {
+        if (!(await canSee(req, event))) return;
+
         const sseData = JSON.stringify({
           id: event.id,
           action: event.action,
@@ -89,6 +112,27 @@ export function createEventRoutes(services, options = {}) {
       }
     });
 
+    // Присутствие в таблицах из фильтра types; права на тип проверяются один раз
+    let unsubscribePresence = null;
+    if (presenceService && filter.types?.length) {
+      const visibleTypes = new Map();
+      const isVisible = async (typeId) => {
+        if (!visibleTypes.has(typeId)) {
+          visibleTypes.set(typeId, Boolean(await canSeeType(req, typeId)));
+        }
+        return visibleTypes.get(typeId);
+      };
+
+      unsubscribePresence = presenceService.subscribe(database, async ({ type, presence }) => {
+        try {
+          if (!filter.types.includes(presence.typeId) || !(await isVisible(presence.typeId))) return;
+          res.write(`event: presence\ndata: ${JSON.stringify({ type, presence })}\n\n`);
+        } catch (e) {
+          logger.warn('SSE: ошибка отправки присутствия', { subscriptionId, error: e.message });
+        }
+      });
+    }
+
     logger.info('SSE: клиент подключен', { database, subscriptionId, filter });
 
     // Keepalive — пинг каждые 30 секунд
@@ -104,6 +148,10 @@ export function createEventRoutes(services, options = {}) {
     req.on('close', () => {
       clearInterval(pingInterval);
       eventService.unsubscribe(subscriptionId);
+      unsubscribePresence?.();
+      if (presenceService && clientId) {
+        presenceService.leave(database, String(clientId), req.v2User?.uid ?? null);
+      }
       logger.info('SSE: клиент отключен', { database, subscriptionId });
     });
   });
@@ -123,7 +171,10 @@ export function createEventRoutes(services, options = {}) {
       if (actions) opts.actions = actions.split(',').map(s => s.trim()).filter(Boolean);
       if (limit) opts.limit = parseInt(limit, 10);
 
-      const events = await eventService.getEventLog(database, opts);
+      const events = [];
+      for (const event of await eventService.getEventLog(database, opts)) {
+        if (await canSee(req, event)) events.push(event);
+      }
 
       res.json(ok(events, { count: events.length }));
     } catch (e) {
@@ -136,7 +187,7 @@ export function createEventRoutes(services, options = {}) {
   // GET /databases/:database/events/stats — статистика потока
   // ==========================================================================
 
-  router.get('/databases/:database/events/stats', (req, res) => {
+  router.get('/databases/:database/events/stats', guards.schema('READ'), (req, res) => {
     try {
       const { database } = req.params;
       const stats = eventService.getStats(database);
@@ -149,9 +200,11 @@ export function createEventRoutes(services, options = {}) {
 
   // ==========================================================================
   // POST /databases/:database/events/subscribe — webhook-подписка
+  // Webhook получает события без фильтрации по грантам, поэтому управление
+  // подписками и replay требуют права на структуру базы.
   // ==========================================================================
 
-  router.post('/databases/:database/events/subscribe', (req, res) => {
+  router.post('/databases/:database/events/subscribe', guards.schema('WRITE'), async (req, res) => {
     try {
       const { database } = req.params;
       const { url, filter, secret } = req.body || {};
@@ -160,14 +213,13 @@ export function createEventRoutes(services, options = {}) {
         return res.status(400).json(err({ message: 'url обязателен' }, 'VALIDATION'));
       }
 
-      // Валидация URL
-      try {
-        new URL(url);
-      } catch {
-        return res.status(400).json(err({ message: 'Некорректный URL' }, 'VALIDATION'));
+      // Только http(s) и не внутренние адреса (SSRF)
+      const invalid = eventService.checkWebhookUrl(url);
+      if (invalid) {
+        return res.status(400).json(err({ message: invalid }, 'VALIDATION'));
       }
 
-      const webhook = eventService.registerWebhook(database, { url, filter, secret });
+      const webhook = await eventService.registerWebhook(database, { url, filter, secret });
 
       res.status(201).json(ok(webhook));
     } catch (e) {
@@ -180,10 +232,10 @@ export function createEventRoutes(services, options = {}) {
   // GET /databases/:database/events/subscribe — список webhook-подписок
   // ==========================================================================
 
-  router.get('/databases/:database/events/subscribe', (req, res) => {
+  router.get('/databases/:database/events/subscribe', guards.schema('WRITE'), async (req, res) => {
     try {
       const { database } = req.params;
-      const webhooks = eventService.listWebhooks(database);
+      const webhooks = await eventService.listWebhooks(database);
       res.json(ok(webhooks, { count: webhooks.length }));
     } catch (e) {
       logger.error('GET events/subscribe', { error: e.message });
@@ -195,11 +247,11 @@ export function createEventRoutes(services, options = {}) {
   // DELETE /databases/:database/events/subscribe/:id — отписка webhook
   // ==========================================================================
 
-  router.delete('/databases/:database/events/subscribe/:id', (req, res) => {
+  router.delete('/databases/:database/events/subscribe/:id', guards.schema('WRITE'), async (req, res) => {
     try {
-      const { id } = req.params;
+      const { database, id } = req.params;
 
-      const removed = eventService.removeWebhook(id);
+      const removed = await eventService.removeWebhook(id, database);
       if (!removed) {
         return res.status(404).json(err({ message: 'Webhook не найден' }, 'NOT_FOUND'));
       }
@@ -211,11 +263,71 @@ export function createEventRoutes(services, options = {}) {
     }
   });
 
+  // ==========================================================================
+  // GET /databases/:database/events/subscribe/:id/deliveries — журнал доставок
+  // ?status=dead — dead-letter список
+  // ==========================================================================
+
+  router.get('/databases/:database/events/subscribe/:id/deliveries', guards.schema('WRITE'), async (req, res) => {
+    try {
+      const { database, id } = req.params;
+      const { status, limit } = req.query;
+
+      const webhook = await eventService.getWebhook(database, id);
+      if (!webhook) {
+        return res.status(404).json(err({ message: 'Webhook не найден' }, 'NOT_FOUND'));
+      }
+
+      if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+        return res.status(400).json(err({ message: 'Некорректный status: ' + status }, 'VALIDATION'));
+      }
+
+      const deliveries = await eventService.getDeliveries(id, {
+        status,
+        limit: limit ? parseInt(limit, 10) : undefined,
+      });
+
+      res.json(ok(deliveries, { count: deliveries.length, webhookId: id }));
+    } catch (e) {
+      logger.error('GET events/subscribe/deliveries', { error: e.message });
+      res.status(500).json(err(e));
+    }
+  });
+
+  // ==========================================================================
+  // POST /databases/:database/events/subscribe/:id/deliveries/:deliveryId/retry
+  // Повторная отправка доставки из dead-letter
+  // ==========================================================================
+
+  router.post('/databases/:database/events/subscribe/:id/deliveries/:deliveryId/retry', guards.schema('WRITE'), async (req, res) => {
+    try {
+      const { database, id, deliveryId } = req.params;
+
+      const webhook = await eventService.getWebhook(database, id);
+      if (!webhook) {
+        return res.status(404).json(err({ message: 'Webhook не найден' }, 'NOT_FOUND'));
+      }
+
+      const delivery = await eventService.redeliver(id, deliveryId);
+      if (!delivery) {
+        return res.status(404).json(err({ message: 'Доставка не найдена' }, 'NOT_FOUND'));
+      }
+
+      res.json(ok(delivery));
+    } catch (e) {
+      if (e.code === 'CONFLICT') {
+        return res.status(409).json(err(e, 'CONFLICT'));
+      }
+      logger.error('POST events/subscribe/deliveries/retry', { error: e.message });
+      res.status(500).json(err(e));
+    }
+  });
+
   // ==========================================================================
   // POST /databases/:database/events/replay — воспроизведение событий
   // ==========================================================================
 
-  router.post('/databases/:database/events/replay', async (req, res) => {
+  router.post('/databases/:database/events/replay', guards.schema('WRITE'), async (req, res) => {
     try {
       const { database } = req.params;
       const { since, url, secret } = req.body || {};
@@ -251,6 +363,67 @@ export function createEventRoutes(services, options = {}) {
     }
   });
 
+  if (presenceService) {
+    // ==========================================================================
+    // GET /databases/:database/types/:typeId/presence — кто сейчас в таблице
+    // ==========================================================================
+
+    router.get('/databases/:database/types/:typeId/presence', guards.type('READ'), (req, res) => {
+      try {
+        const { database, typeId } = req.params;
+        const presence = presenceService.list(database, { typeId });
+        res.json(ok(presence, { count: presence.length }));
+      } catch (e) {
+        logger.error('GET presence', { error: e.message });
+        res.status(500).json(err(e));
+      }
+    });
+
+    // ==========================================================================
+    // POST /databases/:database/types/:typeId/presence — heartbeat клиента
+    // Body: { clientId, state: 'view'|'edit', objectId, field }
+    // ==========================================================================
+
+    router.post('/databases/:database/types/:typeId/presence', guards.type('READ'), (req, res) => {
+      try {
+        const { database, typeId } = req.params;
+        const { clientId, state, objectId, field } = req.body || {};
+
+        const presence = presenceService.heartbeat(database, {
+          clientId,
+          typeId,
+          objectId,
+          field,
+          state,
+          user: req.v2User ? { uid: req.v2User.uid, username: req.v2User.username } : null,
+        });
+
+        res.json(ok(presence));
+      } catch (e) {
+        if (e.name === 'ValidationError') {
+          return res.status(400).json(err(e, 'VALIDATION'));
+        }
+        logger.error('POST presence', { error: e.message });
+        res.status(500).json(err(e));
+      }
+    });
+
+    // ==========================================================================
+    // DELETE /databases/:database/types/:typeId/presence/:clientId — клиент ушёл
+    // ==========================================================================
+
+    router.delete('/databases/:database/types/:typeId/presence/:clientId', (req, res) => {
+      try {
+        const { database, clientId } = req.params;
+        presenceService.leave(database, clientId, req.v2User?.uid ?? null);
+        res.status(204).send();
+      } catch (e) {
+        logger.error('DELETE presence', { error: e.message });
+        res.status(500).json(err(e));
+      }
+    });
+  }
+
   return router;
 }
 
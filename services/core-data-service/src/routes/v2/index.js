@@ -12,7 +12,9 @@ import { createOntologyRoutes } from './ontology.js';
 import { createBatchRoutes } from './batch.js';
 import { createTransactionRoutes } from './transactions.js';
 import { createEventRoutes } from './events.js';
-import { createBatchRoutes } from './batch.js';
+import { createSearchRoutes } from './search.js';
+import { createViewRoutes } from './views.js';
+import { createGuards } from '../../middleware/AccessControl.js';
 
 /**
  * Create V2 modern routes.
@@ -23,12 +25,16 @@ import { createBatchRoutes } from './batch.js';
  * @param {TypeService} services.typeService - Type service
  * @param {SchemaService} services.schemaService - Schema introspection service
  * @param {Object} [options] - Route options
+ * @param {AccessControl} [options.accessControl] - Enforces token auth and role grants when set
  * @returns {Router} Express router
  */
 export function createV2Routes(services, options = {}) {
   const router = Router();
   const { objectService, queryService, typeService, schemaService, transactionService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = createGuards(accessControl, { transactionService });
+  const routeOptions = { ...options, guards };
 
   // ============================================================================
   // Helper Functions
@@ -54,12 +60,81 @@ export function createV2Routes(services, options = {}) {
     error: {
       code,
       message: error.message || 'Unknown error',
+      // Validation rule violations, by form field (t<requisite id>)
+      ...(error.code === 'VALIDATION_ERROR' && error.details?.fields ? { fields: error.details.fields } : {}),
     },
     meta: {
       timestamp: new Date().toISOString(),
     },
   });
 
+  /**
+   * Respond 403 for a failed grant check.
+   */
+  const forbid = (res, message = 'Insufficient privileges') =>
+    res.status(403).json(wrapError({ message }, 'FORBIDDEN'));
+
+  /**
+   * Schema options narrowing types to those the user can see (Grant_1level).
+   */
+  const schemaOptions = req => (accessControl
+    ? { filterTypes: types => accessControl.filterTypes(req.params.database, req.v2User, types) }
+    : {});
+
+  /**
+   * Keep the per-type counts (countByType rows) of visible types only.
+   */
+  const visibleCounts = async (req, counts) => {
+    if (!accessControl) return counts;
+    const visible = [];
+    for (const entry of counts) {
+      if (await accessControl.canAccessType(req.params.database, req.v2User, entry.t)) visible.push(entry);
+    }
+    return visible;
+  };
+
+  /**
+   * Resolve the group transaction named by the X-Transaction-Id header.
+   * Returns the object service and the access control bound to that
+   * transaction's connection (grants see its uncommitted objects), or the
+   * shared ones when the header is absent.
+   */
+  const transactionScope = (req) => {
+    const txId = req.get('X-Transaction-Id');
+    if (!txId || !transactionService) {
+      return { service: objectService, access: accessControl, txId: null, userId: null };
+    }
+    const userId = req.v2User?.uid ?? null;
+    const db = transactionService.getTransactionDatabase(txId, userId);
+    return { service: objectService.withDatabase(db), access: accessControl?.withDatabase(db), txId, userId };
+  };
+
+  /**
+   * Parse an If-Match header into an object version (weak tags and quotes allowed).
+   * Returns null when the header is absent.
+   */
+  const parseIfMatch = (req) => {
+    const header = req.get('If-Match');
+    if (!header) return null;
+    const version = parseInt(header.trim().replace(/^W\//, '').replace(/"/g, ''), 10);
+    if (Number.isNaN(version) || version < 0) {
+      const error = new Error(`Invalid If-Match: ${header}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+    return version;
+  };
+
+  // ============================================================================
+  // Authentication & Grants
+  // ============================================================================
+
+  // Same per-database token as the legacy API (cookie, Bearer or X-Authorization).
+  // Grant checks below are no-ops when no accessControl is configured.
+  if (guards.enabled) {
+    router.use('/databases/:database', guards.authenticate);
+  }
+
   // ============================================================================
   // Database Routes
   // ============================================================================
@@ -69,11 +144,14 @@ export function createV2Routes(services, options = {}) {
     try {
       const { database } = req.params;
 
-      const types = await typeService.getAllTypes(database);
+      let types = await typeService.getAllTypes(database);
+      if (accessControl) {
+        types = await accessControl.filterTypes(database, req.v2User, types);
+      }
       const totalTypes = types.length;
 
       // Get total object count
-      const counts = await queryService.countByType(database);
+      const counts = await visibleCounts(req, await queryService.countByType(database));
       const totalObjects = counts.reduce((sum, c) => sum + c.count, 0);
 
       res.json(wrapResponse({
@@ -97,7 +175,10 @@ export function createV2Routes(services, options = {}) {
       const { database } = req.params;
       const includeSystem = req.query.includeSystem === 'true';
 
-      const types = await typeService.getAllTypes(database, { includeSystem });
+      let types = await typeService.getAllTypes(database, { includeSystem });
+      if (accessControl) {
+        types = await accessControl.filterTypes(database, req.v2User, types);
+      }
       res.json(wrapResponse(types, { count: types.length }));
     } catch (error) {
       logger.error('GET types failed', { error: error.message });
@@ -106,7 +187,7 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Get type by ID
-  router.get('/databases/:database/types/:typeId', async (req, res) => {
+  router.get('/databases/:database/types/:typeId', guards.type('READ'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
 
@@ -125,16 +206,21 @@ export function createV2Routes(services, options = {}) {
   // Get type schema (with requisites) — delegated to SchemaService for richer output
   // Includes requisites, relationships, and sample data.
   // Original route used typeService.getSchema(); now uses schemaService.getTypeSchema().
-  router.get('/databases/:database/types/:typeId/schema', async (req, res) => {
+  router.get('/databases/:database/types/:typeId/schema', guards.type('READ'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
 
-      const schema = await schemaService.getTypeSchema(database, parseInt(typeId, 10));
+      let schema = await schemaService.getTypeSchema(database, parseInt(typeId, 10));
 
       if (!schema) {
         return res.status(404).json(wrapError({ message: 'Type not found' }, 'NOT_FOUND'));
       }
 
+      if (accessControl) {
+        // The schema is cached for everyone: narrow a copy
+        const sample = await accessControl.filterObjects(database, req.v2User, schema.sample, { typeId: schema.id });
+        schema = { ...schema, sample };
+      }
       res.json(wrapResponse(schema));
     } catch (error) {
       logger.error('GET type schema failed', { error: error.message });
@@ -146,7 +232,7 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Create type
-  router.post('/databases/:database/types', async (req, res) => {
+  router.post('/databases/:database/types', guards.schema('WRITE'), async (req, res) => {
     try {
       const { database } = req.params;
       const { name, baseType, requisites } = req.body;
@@ -164,7 +250,7 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Update type
-  router.patch('/databases/:database/types/:typeId', async (req, res) => {
+  router.patch('/databases/:database/types/:typeId', guards.schema('WRITE'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const { name, baseType } = req.body;
@@ -181,7 +267,7 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Delete type
-  router.delete('/databases/:database/types/:typeId', async (req, res) => {
+  router.delete('/databases/:database/types/:typeId', guards.schema('WRITE'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const cascade = req.query.cascade === 'true';
@@ -202,7 +288,7 @@ export function createV2Routes(services, options = {}) {
   // ============================================================================
 
   // List objects by type
-  router.get('/databases/:database/types/:typeId/objects', async (req, res) => {
+  router.get('/databases/:database/types/:typeId/objects', guards.type('READ'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const { parentId, limit, offset, orderBy, sortDir } = req.query;
@@ -217,16 +303,27 @@ export function createV2Routes(services, options = {}) {
       if (orderBy) filters.orderBy = orderBy;
       if (sortDir) filters.sortDir = sortDir;
 
-      const objects = await queryService.queryObjects(database, filters);
-
       // Get total count
       const total = await queryService.countObjects(database, { typeId: filters.typeId, parentId: filters.parentId });
 
+      // With grants the page and total hold only visible objects
+      const page = accessControl
+        ? await accessControl.visiblePage(database, req.v2User,
+          async (pageLimit, pageOffset) => ({
+            results: await queryService.queryObjects(database, { ...filters, limit: pageLimit, offset: pageOffset }),
+            total,
+          }),
+          { limit: filters.limit, offset: filters.offset },
+          { typeId: filters.typeId })
+        : { results: await queryService.queryObjects(database, filters), total };
+      const objects = page.results;
+
       res.json(wrapResponse(objects, {
         count: objects.length,
-        total,
+        total: page.total,
         limit: filters.limit || 20,
         offset: filters.offset || 0,
+        ...(page.capped ? { totalCapped: true } : {}),
       }));
     } catch (error) {
       logger.error('GET objects failed', { error: error.message });
@@ -235,7 +332,7 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Get object by ID
-  router.get('/databases/:database/objects/:objectId', async (req, res) => {
+  router.get('/databases/:database/objects/:objectId', guards.object('READ'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
       const includeRequisites = req.query.includeRequisites === 'true';
@@ -246,6 +343,17 @@ export function createV2Routes(services, options = {}) {
         return res.status(404).json(wrapError({ message: 'Object not found' }, 'NOT_FOUND'));
       }
 
+      // Current version for optimistic locking: send it back as If-Match on PATCH
+      if (transactionService) {
+        res.set('ETag', `"${await transactionService.getCurrentVersion(database, object.id)}"`);
+      }
+
+      if (accessControl) {
+        const [visible] = await accessControl.filterObjects(database, req.v2User, [object], { typeId: object.typeId });
+        if (!visible) return forbid(res);
+        return res.json(wrapResponse(visible));
+      }
+
       res.json(wrapResponse(object));
     } catch (error) {
       logger.error('GET object failed', { error: error.message });
@@ -263,12 +371,24 @@ export function createV2Routes(services, options = {}) {
         return res.status(400).json(wrapError({ message: 'value and typeId are required' }, 'VALIDATION'));
       }
 
-      const object = await objectService.create(database, {
+      const scope = transactionScope(req);
+      if (scope.access) {
+        if (!await scope.access.canCreateObject(database, req.v2User, parseInt(parentId || 0, 10), parseInt(typeId, 10))) {
+          return forbid(res);
+        }
+        const barred = await scope.access.findBarredValues(database, req.v2User, parseInt(typeId, 10), value, requisites);
+        if (barred.length > 0) {
+          return forbid(res, `Restricted by mask: ${barred.join(', ')}`);
+        }
+      }
+
+      const object = await scope.service.create(database, {
         value,
         typeId,
         parentId: parentId || 0,
         order,
         requisites,
+        txGroupId: scope.txId,
       });
 
       res.status(201).json(wrapResponse(object));
@@ -279,45 +399,81 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Update object
-  router.patch('/databases/:database/objects/:objectId', async (req, res) => {
+  router.patch('/databases/:database/objects/:objectId', guards.object('WRITE'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
       const { value, typeId, parentId, order, requisites } = req.body;
 
-      const object = await objectService.update(database, parseInt(objectId, 10), {
-        value,
-        typeId,
-        parentId,
-        order,
-        requisites,
-      });
+      const scope = transactionScope(req);
+      if (scope.access) {
+        if (parentId !== undefined && !await scope.access.canAccessObject(database, req.v2User, parseInt(parentId, 10), 'WRITE')) {
+          return forbid(res);
+        }
+        if (typeId !== undefined && !await scope.access.canAccessType(database, req.v2User, parseInt(typeId, 10), 'WRITE')) {
+          return forbid(res);
+        }
+        const current = await scope.service.getById(database, parseInt(objectId, 10));
+        if (current) {
+          const targetType = typeId !== undefined ? parseInt(typeId, 10) : current.typeId;
+          const barred = await scope.access.findBarredValues(database, req.v2User, targetType, value, requisites);
+          if (barred.length > 0) {
+            return forbid(res, `Restricted by mask: ${barred.join(', ')}`);
+          }
+        }
+      }
 
+      const id = parseInt(objectId, 10);
+      const expectedVersion = parseIfMatch(req);
+      const changes = { value, typeId, parentId, order, requisites, txGroupId: scope.txId };
+
+      let object;
+      if (expectedVersion !== null && transactionService) {
+        // Optimistic lock: the row stays locked until the update is committed
+        object = await transactionService.runIfVersion(database, id, expectedVersion,
+          db => objectService.withDatabase(db).update(database, id, changes),
+          { txId: scope.txId, userId: scope.userId });
+      } else {
+        object = await scope.service.update(database, id, changes);
+      }
+
+      if (transactionService) {
+        res.set('ETag', `"${await transactionService.getCurrentVersion(database, id)}"`);
+      }
       res.json(wrapResponse(object));
     } catch (error) {
       logger.error('PATCH object failed', { error: error.message });
       if (error.name === 'NotFoundError') {
         return res.status(404).json(wrapError(error, 'NOT_FOUND'));
       }
+      if (error.name === 'VersionConflictError') {
+        const body = wrapError(error, 'VERSION_CONFLICT');
+        body.error.details = error.details;
+        return res.status(412).json(body);
+      }
       res.status(400).json(wrapError(error, 'VALIDATION'));
     }
   });
 
   // Delete object
-  router.delete('/databases/:database/objects/:objectId', async (req, res) => {
+  router.delete('/databases/:database/objects/:objectId', guards.object('WRITE'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
       const cascade = req.query.cascade === 'true';
 
-      await objectService.delete(database, parseInt(objectId, 10), { cascade });
+      const scope = transactionScope(req);
+      await scope.service.delete(database, parseInt(objectId, 10), { cascade, txGroupId: scope.txId });
       res.status(204).send();
     } catch (error) {
       logger.error('DELETE object failed', { error: error.message });
+      if (error.name === 'ValidationError') {
+        return res.status(400).json(wrapError(error, 'VALIDATION'));
+      }
       res.status(500).json(wrapError(error));
     }
   });
 
   // Get object children
-  router.get('/databases/:database/objects/:objectId/children', async (req, res) => {
+  router.get('/databases/:database/objects/:objectId/children', guards.object('READ'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
       const { typeId, limit, offset } = req.query;
@@ -327,7 +483,10 @@ export function createV2Routes(services, options = {}) {
       if (limit !== undefined) options.limit = parseInt(limit, 10);
       if (offset !== undefined) options.offset = parseInt(offset, 10);
 
-      const children = await objectService.getChildren(database, parseInt(objectId, 10), options);
+      let children = await objectService.getChildren(database, parseInt(objectId, 10), options);
+      if (accessControl) {
+        children = await accessControl.filterObjects(database, req.v2User, children);
+      }
       res.json(wrapResponse(children, { count: children.length }));
     } catch (error) {
       logger.error('GET children failed', { error: error.message });
@@ -336,17 +495,21 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Get object tree
-  router.get('/databases/:database/objects/:objectId/tree', async (req, res) => {
+  router.get('/databases/:database/objects/:objectId/tree', guards.object('READ'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
       const maxDepth = req.query.maxDepth ? parseInt(req.query.maxDepth, 10) : 10;
 
-      const tree = await queryService.getTree(database, parseInt(objectId, 10), { maxDepth });
+      let tree = await queryService.getTree(database, parseInt(objectId, 10), { maxDepth });
 
       if (!tree) {
         return res.status(404).json(wrapError({ message: 'Object not found' }, 'NOT_FOUND'));
       }
 
+      if (accessControl) {
+        tree = await accessControl.filterTree(database, req.v2User, tree);
+        if (!tree) return forbid(res);
+      }
       res.json(wrapResponse(tree));
     } catch (error) {
       logger.error('GET tree failed', { error: error.message });
@@ -355,11 +518,14 @@ export function createV2Routes(services, options = {}) {
   });
 
   // Get object ancestors
-  router.get('/databases/:database/objects/:objectId/ancestors', async (req, res) => {
+  router.get('/databases/:database/objects/:objectId/ancestors', guards.object('READ'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
 
-      const ancestors = await queryService.getAncestors(database, parseInt(objectId, 10));
+      let ancestors = await queryService.getAncestors(database, parseInt(objectId, 10));
+      if (accessControl) {
+        ancestors = await accessControl.filterObjects(database, req.v2User, ancestors);
+      }
       res.json(wrapResponse(ancestors, { count: ancestors.length }));
     } catch (error) {
       logger.error('GET ancestors failed', { error: error.message });
@@ -385,7 +551,10 @@ export function createV2Routes(services, options = {}) {
       if (typeId !== undefined) options.typeId = parseInt(typeId, 10);
       if (limit !== undefined) options.limit = parseInt(limit, 10);
 
-      const results = await queryService.searchObjects(database, query, options);
+      let results = await queryService.searchObjects(database, query, options);
+      if (accessControl) {
+        results = await accessControl.filterObjects(database, req.v2User, results);
+      }
       res.json(wrapResponse(results, { count: results.length }));
     } catch (error) {
       logger.error('Search failed', { error: error.message });
@@ -409,7 +578,10 @@ export function createV2Routes(services, options = {}) {
       if (orderBy !== undefined) filters.orderBy = orderBy;
       if (sortDir !== undefined) filters.sortDir = sortDir;
 
-      const objects = await queryService.queryObjects(database, filters);
+      let objects = await queryService.queryObjects(database, filters);
+      if (accessControl) {
+        objects = await accessControl.filterObjects(database, req.v2User, objects);
+      }
       res.json(wrapResponse(objects, { count: objects.length }));
     } catch (error) {
       logger.error('Query failed', { error: error.message });
@@ -435,7 +607,22 @@ export function createV2Routes(services, options = {}) {
       if (typeId !== undefined) options.typeId = typeId;
       if (parentId !== undefined) options.parentId = parentId;
 
-      const ids = await objectService.createBatch(database, objects, options);
+      const scope = transactionScope(req);
+      if (scope.access) {
+        for (const obj of objects) {
+          const objTypeId = parseInt(options.typeId ?? obj.typeId, 10);
+          const objParentId = parseInt(options.parentId ?? obj.parentId ?? 0, 10);
+          if (!await scope.access.canCreateObject(database, req.v2User, objParentId, objTypeId)) {
+            return forbid(res);
+          }
+          const barred = await scope.access.findBarredValues(database, req.v2User, objTypeId, obj.value, obj.requisites);
+          if (barred.length > 0) {
+            return forbid(res, `Restricted by mask: ${barred.join(', ')}`);
+          }
+        }
+      }
+
+      const ids = await scope.service.createBatch(database, objects, options);
       res.status(201).json(wrapResponse({ ids }, { count: ids.length }));
     } catch (error) {
       logger.error('Batch create failed', { error: error.message });
@@ -453,10 +640,22 @@ export function createV2Routes(services, options = {}) {
         return res.status(400).json(wrapError({ message: 'IDs array is required' }, 'VALIDATION'));
       }
 
-      const count = await objectService.deleteByIds(database, ids);
+      const scope = transactionScope(req);
+      if (scope.access) {
+        for (const id of ids) {
+          if (!await scope.access.canAccessObject(database, req.v2User, parseInt(id, 10), 'WRITE')) {
+            return forbid(res, `Insufficient privileges for object ${id}`);
+          }
+        }
+      }
+
+      const count = await scope.service.deleteByIds(database, ids);
       res.json(wrapResponse({ deleted: count }));
     } catch (error) {
       logger.error('Batch delete failed', { error: error.message });
+      if (error.name === 'ValidationError') {
+        return res.status(400).json(wrapError(error, 'VALIDATION'));
+      }
       res.status(500).json(wrapError(error));
     }
   });
@@ -470,7 +669,7 @@ export function createV2Routes(services, options = {}) {
     try {
       const { database } = req.params;
 
-      const typeCounts = await queryService.countByType(database);
+      const typeCounts = await visibleCounts(req, await queryService.countByType(database));
       const total = typeCounts.reduce((sum, c) => sum + c.count, 0);
 
       res.json(wrapResponse({
@@ -492,7 +691,7 @@ export function createV2Routes(services, options = {}) {
     try {
       const { database } = req.params;
 
-      const schema = await schemaService.getFullSchema(database);
+      const schema = await schemaService.getFullSchema(database, schemaOptions(req));
       res.json(wrapResponse(schema, {
         totalTypes: schema.stats.totalTypes,
         totalObjects: schema.stats.totalObjects,
@@ -508,7 +707,7 @@ export function createV2Routes(services, options = {}) {
     try {
       const { database } = req.params;
 
-      const relationships = await schemaService.getRelationships(database);
+      const relationships = await schemaService.getRelationships(database, schemaOptions(req));
       res.json(wrapResponse(relationships, { count: relationships.length }));
     } catch (error) {
       logger.error('GET relationships failed', { error: error.message });
@@ -521,7 +720,7 @@ export function createV2Routes(services, options = {}) {
   // ==========================================================================
 
   if (services.auditService) {
-    router.use('/', createAuditRoutes(services, options));
+    router.use('/', createAuditRoutes(services, routeOptions));
   }
 
   // ==========================================================================
@@ -529,7 +728,7 @@ export function createV2Routes(services, options = {}) {
   // ==========================================================================
 
   if (services.ontologyService) {
-    router.use('/', createOntologyRoutes(services, options));
+    router.use('/', createOntologyRoutes(services, routeOptions));
   }
 
   // ==========================================================================
@@ -537,7 +736,7 @@ export function createV2Routes(services, options = {}) {
   // ==========================================================================
 
   if (services.batchService) {
-    router.use('/', createBatchRoutes(services, options));
+    router.use('/', createBatchRoutes(services, routeOptions));
   }
 
   // ==========================================================================
@@ -545,28 +744,37 @@ export function createV2Routes(services, options = {}) {
   // ==========================================================================
 
   if (schemaService) {
-    const schemaRoutes = createSchemaRoutes({ schemaService }, options);
+    const schemaRoutes = createSchemaRoutes({ schemaService }, routeOptions);
     router.use('/databases/:database/schema', schemaRoutes);
   }
 
   // Роуты транзакций (Palantir-style)
   if (transactionService) {
-    const transactionRoutes = createTransactionRoutes({ transactionService }, options);
+    const transactionRoutes = createTransactionRoutes({ transactionService }, routeOptions);
     router.use('/', transactionRoutes);
   }
 
-  // Роуты пакетных операций — Batch API (#184)
-  if (services.batchService) {
-    const batchRoutes = createBatchRoutes(services, options);
-    router.use('/', batchRoutes);
+  // Роуты поиска — Agent Search API (#188)
+  if (services.searchService) {
+    const searchRoutes = createSearchRoutes({ searchService: services.searchService }, routeOptions);
+    router.use('/', searchRoutes);
   }
 
   // Роуты событий — Event Streaming (SSE + webhooks) (#187)
   if (services.eventService) {
-    const eventRoutes = createEventRoutes({ eventService: services.eventService }, options);
+    const eventRoutes = createEventRoutes({
+      eventService: services.eventService,
+      presenceService: services.presenceService,
+    }, routeOptions);
     router.use('/', eventRoutes);
   }
 
+  // Роуты сохранённых представлений таблицы
+  if (services.tableViewService) {
+    const viewRoutes = createViewRoutes({ tableViewService: services.tableViewService }, routeOptions);
+    router.use('/', viewRoutes);
+  }
+
   return router;
 }
 
@@ -1,12 +1,15 @@
 /**
  * @integram/core-data-service - V2 Роуты онтологии (#185)
  */
-import { Router } from 'express';
+import { Router, text } from 'express';
+import { createGuards } from '../../middleware/AccessControl.js';
 
 export function createOntologyRoutes(services, options = {}) {
   const router = Router();
   const { ontologyService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = options.guards || createGuards(accessControl);
   const wrap = (data, meta = {}) => ({ success: true, data, meta: { timestamp: new Date().toISOString(), ...meta } });
   const wrapErr = (error, code = 'ERROR') => ({ success: false, error: { code, message: error.message || 'Ошибка' }, meta: { timestamp: new Date().toISOString() } });
 
@@ -15,28 +18,58 @@ export function createOntologyRoutes(services, options = {}) {
     catch (e) { logger.error('GET ontology failed', { error: e.message }); res.status(500).json(wrapErr(e)); }
   });
 
+  // Гранты на типы и объекты, маски и секретные реквизиты — как у списков объектов
+  const accessOptions = (req) => {
+    if (!accessControl || !req.v2User) return {};
+    const { database } = req.params;
+    return {
+      canReadType: typeId => accessControl.canAccessType(database, req.v2User, typeId),
+      filterObjects: objects => accessControl.filterObjects(database, req.v2User, objects),
+    };
+  };
+
+  // ?instances=true — вместе с объектами, видимыми пользователю
+  const exportOptions = req => ({
+    instances: req.query.instances === 'true',
+    limit: req.query.limit,
+    ...accessOptions(req),
+  });
+
   router.get('/databases/:database/ontology/jsonld', async (req, res) => {
-    try { res.set('Content-Type', 'application/ld+json'); res.json(await ontologyService.exportJsonLd(req.params.database)); }
+    try { res.set('Content-Type', 'application/ld+json'); res.json(await ontologyService.exportJsonLd(req.params.database, exportOptions(req))); }
     catch (e) { logger.error('GET JSON-LD failed', { error: e.message }); res.status(500).json(wrapErr(e)); }
   });
 
   router.get('/databases/:database/ontology/owl', async (req, res) => {
-    try { res.set('Content-Type', 'application/rdf+xml'); res.send(await ontologyService.exportOwl(req.params.database)); }
+    try { res.set('Content-Type', 'application/rdf+xml'); res.send(await ontologyService.exportOwl(req.params.database, exportOptions(req))); }
     catch (e) { logger.error('GET OWL failed', { error: e.message }); res.status(500).json(wrapErr(e)); }
   });
 
-  router.post('/databases/:database/ontology/import', async (req, res) => {
+  // Тело: OWL (application/rdf+xml), JSON-LD, { owl } или { classes }; ?individuals=true — с объектами
+  router.post('/databases/:database/ontology/import', guards.schema('WRITE'), text({ type: ['application/rdf+xml', 'application/xml', 'text/xml'], limit: '10mb' }), async (req, res) => {
     try {
-      if (!req.body?.classes) return res.status(400).json(wrapErr({ message: 'Поле classes обязательно' }, 'VALIDATION'));
-      res.status(201).json(wrap(await ontologyService.importOntology(req.params.database, req.body)));
-    } catch (e) { logger.error('POST import failed', { error: e.message }); res.status(400).json(wrapErr(e, 'VALIDATION')); }
+      if (!req.body || (typeof req.body === 'object' && Object.keys(req.body).length === 0)) return res.status(400).json(wrapErr({ message: 'Тело запроса пусто' }, 'VALIDATION'));
+      const individuals = req.query.individuals === 'true' || req.body.importIndividuals === true;
+      res.status(201).json(wrap(await ontologyService.importOntology(req.params.database, req.body, { individuals })));
+    } catch (e) {
+      logger.error('POST import failed', { error: e.message });
+      if (e.name === 'ValidationError') return res.status(400).json(wrapErr(e, 'VALIDATION'));
+      res.status(500).json(wrapErr(e));
+    }
   });
 
+  // SELECT → обёртка { success, data }; CONSTRUCT/DESCRIBE → документ JSON-LD, как /ontology/jsonld
   router.post('/databases/:database/ontology/sparql', async (req, res) => {
     try {
       if (!req.body?.query) return res.status(400).json(wrapErr({ message: 'Поле query обязательно' }, 'VALIDATION'));
-      res.json(wrap(await ontologyService.getSPARQL(req.params.database, req.body.query)));
-    } catch (e) { logger.error('POST SPARQL failed', { error: e.message }); res.status(e.message.includes('Поддерживается') ? 400 : 500).json(wrapErr(e)); }
+      const result = await ontologyService.getSPARQL(req.params.database, req.body.query, accessOptions(req));
+      if (result['@graph']) { res.set('Content-Type', 'application/ld+json'); return res.json(result); }
+      res.json(wrap(result, { count: result.count }));
+    } catch (e) {
+      logger.error('POST SPARQL failed', { error: e.message });
+      if (e.name === 'ValidationError') return res.status(400).json(wrapErr(e, 'VALIDATION'));
+      res.status(500).json(wrapErr(e));
+    }
   });
 
   return router;
@@ -6,6 +6,7 @@
  */
 
 import { Router } from 'express';
+import { createGuards } from '../../middleware/AccessControl.js';
 
 /**
  * Создать роуты для интроспекции схемы.
@@ -19,6 +20,13 @@ export function createSchemaRoutes(services, options = {}) {
   const router = Router({ mergeParams: true });
   const { schemaService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = options.guards || createGuards(accessControl);
+
+  /** Только типы, видимые пользователю (Grant_1level), — как в GET /types */
+  const visibleTypes = req => (accessControl
+    ? { filterTypes: types => accessControl.filterTypes(req.params.database, req.v2User, types) }
+    : {});
 
   /** Обёртка успешного ответа */
   const wrapResponse = (data, meta = {}) => ({
@@ -38,7 +46,7 @@ export function createSchemaRoutes(services, options = {}) {
   router.get('/', async (req, res) => {
     try {
       const { database } = req.params;
-      const schema = await schemaService.getFullSchema(database);
+      const schema = await schemaService.getFullSchema(database, visibleTypes(req));
       res.json(wrapResponse(schema, {
         totalTypes: schema.stats.totalTypes,
         totalObjects: schema.stats.totalObjects,
@@ -50,13 +58,18 @@ export function createSchemaRoutes(services, options = {}) {
   });
 
   // GET /schema/types/:typeId — схема конкретной таблицы
-  router.get('/types/:typeId', async (req, res) => {
+  router.get('/types/:typeId', guards.type('READ'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const schema = await schemaService.getTableSchema(database, parseInt(typeId, 10));
       if (!schema) {
         return res.status(404).json(wrapError({ message: 'Type not found' }, 'NOT_FOUND'));
       }
+      if (accessControl) {
+        // Схема в кэше общая: примеры объектов фильтруются в копии
+        const sample = await accessControl.filterObjects(database, req.v2User, schema.sample, { typeId: schema.id });
+        return res.json(wrapResponse({ ...schema, sample }));
+      }
       res.json(wrapResponse(schema));
     } catch (error) {
       logger.error('GET type schema failed', { error: error.message });
@@ -71,7 +84,7 @@ export function createSchemaRoutes(services, options = {}) {
   router.get('/relationships', async (req, res) => {
     try {
       const { database } = req.params;
-      const relationships = await schemaService.getRelationships(database);
+      const relationships = await schemaService.getRelationships(database, visibleTypes(req));
       res.json(wrapResponse(relationships, { count: relationships.length }));
     } catch (error) {
       logger.error('GET relationships failed', { error: error.message });
@@ -83,7 +96,7 @@ export function createSchemaRoutes(services, options = {}) {
   router.get('/stats', async (req, res) => {
     try {
       const { database } = req.params;
-      const stats = await schemaService.getStats(database);
+      const stats = await schemaService.getStats(database, visibleTypes(req));
       res.json(wrapResponse(stats));
     } catch (error) {
       logger.error('GET stats failed', { error: error.message });
@@ -95,7 +108,7 @@ export function createSchemaRoutes(services, options = {}) {
   router.get('/export/json-schema', async (req, res) => {
     try {
       const { database } = req.params;
-      const jsonSchema = await schemaService.exportJsonSchema(database);
+      const jsonSchema = await schemaService.exportJsonSchema(database, visibleTypes(req));
       res.json(wrapResponse(jsonSchema));
     } catch (error) {
       logger.error('GET json-schema export failed', { error: error.message });
@@ -107,7 +120,7 @@ export function createSchemaRoutes(services, options = {}) {
   router.get('/export/openapi', async (req, res) => {
     try {
       const { database } = req.params;
-      const openapi = await schemaService.exportOpenAPI(database);
+      const openapi = await schemaService.exportOpenAPI(database, visibleTypes(req));
       res.json(wrapResponse(openapi));
     } catch (error) {
       logger.error('GET openapi export failed', { error: error.message });
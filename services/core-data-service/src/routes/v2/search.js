@@ -7,21 +7,35 @@
  * - Агрегация данных
  * - Обход графа связей
  * - Поиск на естественном языке (NL)
+ * - Семантический (векторный) поиск
  */
 
 import { Router } from 'express';
+import { createGuards } from '../../middleware/AccessControl.js';
 
 /**
  * Создаёт роуты поиска.
  *
  * @param {Object} services — { searchService }
- * @param {Object} [options] — опции (logger и т.д.)
+ * @param {Object} [options] — опции (logger, accessControl и т.д.)
  * @returns {Router}
  */
 export function createSearchRoutes(services, options = {}) {
   const router = Router({ mergeParams: true });
   const { searchService } = services;
   const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = options.guards || createGuards(accessControl);
+
+  // Результаты поиска проходят через гранты и маски роли
+  const visible = (req, objects, filterOptions) => accessControl
+    ? accessControl.filterObjects(req.params.database, req.v2User, objects, filterOptions)
+    : objects;
+
+  // С грантами страница и total считаются по видимым совпадениям (AccessControl.visiblePage)
+  const visiblePage = (req, fetch, page, filterOptions) => accessControl
+    ? accessControl.visiblePage(req.params.database, req.v2User, fetch, page, filterOptions)
+    : fetch(page.limit, page.offset);
 
   // ==========================================================================
   // Хелперы ответов (единый формат)
@@ -52,12 +66,16 @@ export function createSearchRoutes(services, options = {}) {
         return res.status(400).json(err({ message: 'Параметр text обязателен' }, 'VALIDATION'));
       }
 
-      const result = await searchService.search(database, { text, types, fields, limit, offset });
+      const result = await visiblePage(req,
+        (pageLimit, pageOffset) => searchService.search(database, { text, types, fields, limit: pageLimit, offset: pageOffset }),
+        { limit, offset });
+      const { results } = result;
 
-      res.json(ok(result.results, {
+      res.json(ok(results, {
         total: result.total,
-        count: result.results.length,
+        count: results.length,
         query: text,
+        ...(result.capped ? { totalCapped: true } : {}),
       }));
     } catch (e) {
       logger.error('POST search failed', { error: e.message });
@@ -72,7 +90,7 @@ export function createSearchRoutes(services, options = {}) {
   // POST /databases/:database/search/filter/:typeId — фильтрация
   // ==========================================================================
 
-  router.post('/databases/:database/search/filter/:typeId', async (req, res) => {
+  router.post('/databases/:database/search/filter/:typeId', guards.type('READ'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
       const { conditions, logic, limit, offset } = req.body;
@@ -81,18 +99,23 @@ export function createSearchRoutes(services, options = {}) {
         return res.status(400).json(err({ message: 'Массив conditions обязателен' }, 'VALIDATION'));
       }
 
-      const result = await searchService.filter(database, parseInt(typeId, 10), {
-        conditions,
-        logic,
-        limit,
-        offset,
-      });
+      const result = await visiblePage(req,
+        (pageLimit, pageOffset) => searchService.filter(database, parseInt(typeId, 10), {
+          conditions,
+          logic,
+          limit: pageLimit,
+          offset: pageOffset,
+        }),
+        { limit, offset },
+        { typeId: parseInt(typeId, 10) });
+      const { results } = result;
 
-      res.json(ok(result.results, {
+      res.json(ok(results, {
         total: result.total,
-        count: result.results.length,
+        count: results.length,
         typeId: parseInt(typeId, 10),
         logic: (logic || 'AND').toUpperCase(),
+        ...(result.capped ? { totalCapped: true } : {}),
       }));
     } catch (e) {
       logger.error('POST search/filter failed', { error: e.message });
@@ -105,12 +128,13 @@ export function createSearchRoutes(services, options = {}) {
 
   // ==========================================================================
   // POST /databases/:database/search/aggregate/:typeId — агрегация
+  // (многоуровневая группировка с ленивым раскрытием через path, pivot)
   // ==========================================================================
 
-  router.post('/databases/:database/search/aggregate/:typeId', async (req, res) => {
+  router.post('/databases/:database/search/aggregate/:typeId', guards.type('READ'), async (req, res) => {
     try {
       const { database, typeId } = req.params;
-      const { groupBy, metrics } = req.body;
+      const { groupBy, metrics, path, pivot, parentId, limit } = req.body;
 
       if (!groupBy) {
         return res.status(400).json(err({ message: 'Параметр groupBy обязателен' }, 'VALIDATION'));
@@ -119,15 +143,27 @@ export function createSearchRoutes(services, options = {}) {
         return res.status(400).json(err({ message: 'Массив metrics обязателен' }, 'VALIDATION'));
       }
 
+      // Объекты, скрытые масками роли, не входят ни в группы, ни в метрики
+      const excludeIds = accessControl
+        ? await accessControl.findMaskedObjectIds(database, req.v2User, parseInt(typeId, 10), { parentId })
+        : [];
       const result = await searchService.aggregate(database, parseInt(typeId, 10), {
         groupBy,
         metrics,
+        path,
+        pivot,
+        parentId,
+        limit,
+        excludeIds,
       });
 
       res.json(ok(result.groups, {
         typeId: parseInt(typeId, 10),
         groupBy,
         groupCount: result.groups.length,
+        level: result.level,
+        depth: result.depth,
+        ...(result.pivotColumns ? { pivot, pivotColumns: result.pivotColumns } : {}),
       }));
     } catch (e) {
       logger.error('POST search/aggregate failed', { error: e.message });
@@ -142,12 +178,13 @@ export function createSearchRoutes(services, options = {}) {
   // GET /databases/:database/search/related/:objectId — связанные объекты
   // ==========================================================================
 
-  router.get('/databases/:database/search/related/:objectId', async (req, res) => {
+  router.get('/databases/:database/search/related/:objectId', guards.object('READ'), async (req, res) => {
     try {
       const { database, objectId } = req.params;
       const depth = req.query.depth ? parseInt(req.query.depth, 10) : 1;
 
       const result = await searchService.findRelated(database, parseInt(objectId, 10), depth);
+      result.related = await visible(req, result.related);
 
       res.json(ok(result, {
         rootId: parseInt(objectId, 10),
@@ -177,10 +214,11 @@ export function createSearchRoutes(services, options = {}) {
       }
 
       const result = await searchService.naturalLanguageQuery(database, nlQuery);
+      const results = await visible(req, result.results);
 
-      res.json(ok(result.results, {
+      res.json(ok(results, {
         total: result.total,
-        count: result.results.length,
+        count: results.length,
         parsed: result.parsed,
         matchedType: result.matchedType || null,
         fallback: result.fallback || false,
@@ -194,6 +232,38 @@ export function createSearchRoutes(services, options = {}) {
     }
   });
 
+  // ==========================================================================
+  // POST /databases/:database/search/semantic — векторный поиск
+  // ==========================================================================
+
+  router.post('/databases/:database/search/semantic', async (req, res) => {
+    try {
+      const { database } = req.params;
+      const { query, types, limit, minScore } = req.body;
+
+      if (!query) {
+        return res.status(400).json(err({ message: 'Параметр query обязателен' }, 'VALIDATION'));
+      }
+
+      const result = await searchService.semanticSearch(database, query, { types, limit, minScore });
+      const results = await visible(req, result.results);
+
+      res.json(ok(results, {
+        count: results.length,
+        query,
+        engine: result.engine,
+        provider: result.provider || null,
+        indexed: result.indexed ?? null,
+      }));
+    } catch (e) {
+      logger.error('POST search/semantic failed', { error: e.message });
+      if (e.name === 'ValidationError') {
+        return res.status(400).json(err(e, 'VALIDATION'));
+      }
+      res.status(500).json(err(e));
+    }
+  });
+
   return router;
 }
 
@@ -0,0 +1,157 @@
+/**
+ * @integram/core-data-service - V2 Роуты сохранённых представлений таблицы
+ *
+ * Именованные представления типа (колонки, сортировка, группировка, фильтры,
+ * форматирование) — личные или для роли, плюс представление роли по умолчанию.
+ * Управление ролевыми представлениями требует права на структуру базы.
+ */
+
+import { Router } from 'express';
+import { createGuards } from '../../middleware/AccessControl.js';
+
+/** HTTP-статус и код ответа для ошибок TableViewService */
+const ERROR_CODES = {
+  ValidationError: [400, 'VALIDATION'],
+  AuthorizationError: [403, 'FORBIDDEN'],
+  NotFoundError: [404, 'NOT_FOUND'],
+  DuplicateError: [409, 'DUPLICATE'],
+};
+
+/**
+ * Создать роуты представлений таблицы.
+ *
+ * @param {Object} services
+ * @param {import('../../services/TableViewService.js').TableViewService} services.tableViewService
+ * @param {Object} [options]
+ * @param {Object} [options.logger]
+ * @param {import('../../middleware/AccessControl.js').AccessControl} [options.accessControl]
+ * @returns {Router}
+ */
+export function createViewRoutes(services, options = {}) {
+  const router = Router({ mergeParams: true });
+  const { tableViewService } = services;
+  const logger = options.logger || console;
+  const accessControl = options.accessControl || null;
+  const guards = options.guards || createGuards(accessControl);
+
+  /** Обёртка успешного ответа */
+  const ok = (data, meta = {}) => ({
+    success: true,
+    data,
+    meta: { timestamp: new Date().toISOString(), ...meta },
+  });
+
+  /** Обёртка ошибки */
+  const err = (e, code = 'ERROR') => ({
+    success: false,
+    error: { code, message: e.message || 'Неизвестная ошибка' },
+    meta: { timestamp: new Date().toISOString() },
+  });
+
+  /** Ответ с ошибкой сервиса */
+  const fail = (res, e, label) => {
+    const known = ERROR_CODES[e.name];
+    if (known) return res.status(known[0]).json(err(e, known[1]));
+    logger.error(label, { error: e.message });
+    return res.status(500).json(err(e));
+  };
+
+  /**
+   * Пользователь запроса для TableViewService. Без движка грантов
+   * (автономный запуск) пользователь берётся из параметров и управляет всем.
+   */
+  const actorOf = async (req) => {
+    if (!guards.enabled) {
+      const source = { ...req.query, ...(req.body || {}) };
+      return { uid: source.userId, roleId: source.roleId, canManage: true };
+    }
+    const user = req.v2User;
+    return {
+      uid: user.uid,
+      roleId: user.roleId,
+      canManage: await accessControl.canEditSchema(req.params.database, user),
+    };
+  };
+
+  // ==========================================================================
+  // GET /databases/:database/types/:typeId/views — представления типа
+  // ==========================================================================
+
+  router.get('/databases/:database/types/:typeId/views', guards.type('READ'), async (req, res) => {
+    try {
+      const { database, typeId } = req.params;
+      const result = await tableViewService.listViews(database, typeId, await actorOf(req));
+      res.json(ok(result.views, { count: result.views.length, defaultViewId: result.defaultViewId }));
+    } catch (e) {
+      fail(res, e, 'GET views');
+    }
+  });
+
+  // ==========================================================================
+  // POST /databases/:database/types/:typeId/views — сохранить представление
+  // ==========================================================================
+
+  router.post('/databases/:database/types/:typeId/views', guards.type('READ'), async (req, res) => {
+    try {
+      const { database, typeId } = req.params;
+      const { name, scope, roleId, settings } = req.body || {};
+      const view = await tableViewService.createView(database, typeId, { name, scope, roleId, settings }, await actorOf(req));
+      res.status(201).json(ok(view));
+    } catch (e) {
+      fail(res, e, 'POST views');
+    }
+  });
+
+  // ==========================================================================
+  // PUT /databases/:database/types/:typeId/views/default — представление роли по умолчанию
+  // ==========================================================================
+
+  router.put('/databases/:database/types/:typeId/views/default', guards.schema('WRITE'), async (req, res) => {
+    try {
+      const { database, typeId } = req.params;
+      const actor = await actorOf(req);
+      const { roleId = actor.roleId, viewId = null } = req.body || {};
+      const result = await tableViewService.setDefaultView(database, typeId, roleId, viewId, actor);
+      res.json(ok(result));
+    } catch (e) {
+      fail(res, e, 'PUT views/default');
+    }
+  });
+
+  // ==========================================================================
+  // GET/PUT/DELETE /databases/:database/views/:viewId — одно представление
+  // ==========================================================================
+
+  router.get('/databases/:database/views/:viewId', async (req, res) => {
+    try {
+      const { database, viewId } = req.params;
+      res.json(ok(await tableViewService.getView(database, viewId, await actorOf(req))));
+    } catch (e) {
+      fail(res, e, 'GET view');
+    }
+  });
+
+  router.put('/databases/:database/views/:viewId', async (req, res) => {
+    try {
+      const { database, viewId } = req.params;
+      const { name, scope, roleId, settings } = req.body || {};
+      const view = await tableViewService.updateView(database, viewId, { name, scope, roleId, settings }, await actorOf(req));
+      res.json(ok(view));
+    } catch (e) {
+      fail(res, e, 'PUT view');
+    }
+  });
+
+  router.delete('/databases/:database/views/:viewId', async (req, res) => {
+    try {
+      const { database, viewId } = req.params;
+      res.json(ok(await tableViewService.deleteView(database, viewId, await actorOf(req))));
+    } catch (e) {
+      fail(res, e, 'DELETE view');
+    }
+  });
+
+  return router;
+}
+
+export default createViewRoutes;
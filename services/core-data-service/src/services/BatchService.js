@@ -6,6 +6,9 @@
  * Closes #184
  */
 
+import { ValidationService } from './ValidationService.js';
+import { RecordImporter, readRecords } from './RecordImporter.js';
+
 // ============================================================================
 // BatchService Class
 // ============================================================================
@@ -26,6 +29,8 @@ export class BatchService {
     this.typeService = deps.typeService;
     this.queryService = deps.queryService;
     this.logger = options.logger || console;
+    this.validation = options.validationService || new ValidationService(options);
+    this.importer = new RecordImporter(databaseService, deps, options);
   }
 
   // ============================================================================
@@ -255,6 +260,31 @@ export class BatchService {
     return { created, updated, skipped, errors };
   }
 
+  // ============================================================================
+  // importStream — потоковый импорт файла (CSV / XLSX / NDJSON)
+  // ============================================================================
+
+  /**
+   * Потоковый импорт файла в тип: колонки сопоставляются с реквизитами,
+   * ссылки разрешаются по отображаемому значению, дубликаты ищутся по ключу
+   * пачками, без загрузки всех объектов типа.
+   *
+   * @param {string} database - Имя базы данных
+   * @param {number} typeId - ID типа для импорта
+   * @param {ReadableStream} stream - Содержимое файла
+   * @param {Object} [options] - Настройки
+   * @param {string} options.format - Формат: 'csv' | 'xlsx' | 'ndjson'
+   * @param {string} [options.delimiter] - Разделитель CSV (по умолчанию определяется сам)
+   * @param {string} [options.sheet] - Лист XLSX (по умолчанию первый)
+   * @returns {Promise<Object>} Отчёт импорта (см. RecordImporter.import)
+   */
+  async importStream(database, typeId, stream, options = {}) {
+    const db = this.validation.validateDatabase(database);
+    const type = this.validation.validateTypeId(typeId);
+    const records = readRecords(stream, options.format, options);
+    return this.importer.import(database, db, type, records, options);
+  }
+
   // ============================================================================
   // exportRecords — массовый экспорт записей
   // ============================================================================
@@ -5,10 +5,16 @@
  * Использует EventEmitter для внутренней pub/sub модели,
  * кольцевой буфер для хранения последних событий в памяти
  * и опциональную персистенцию в таблицу _events.
+ *
+ * Webhook-подписки хранятся в таблице _webhooks, каждая доставка — в
+ * _webhook_deliveries. Неудачные доставки повторяются с экспоненциальной
+ * задержкой; после maxAttempts попыток доставка попадает в dead-letter (status = dead).
  */
 
 import { EventEmitter } from 'node:events';
 import crypto from 'node:crypto';
+import dns from 'node:dns';
+import net from 'node:net';
 
 // ============================================================================
 // Константы
@@ -17,6 +23,46 @@ import crypto from 'node:crypto';
 /** Таблица для персистенции событий */
 const EVENTS_TABLE = '_events';
 
+/** Таблица webhook-подписок */
+const WEBHOOKS_TABLE = '_webhooks';
+
+/** Таблица журнала доставок webhook */
+const DELIVERIES_TABLE = '_webhook_deliveries';
+
+/** Статусы доставки webhook */
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  RETRYING: 'retrying',
+  DEAD: 'dead',
+};
+
+/** Повторы по умолчанию: 5 попыток, задержка 30 с × 2^(n-1), не больше часа */
+const DEFAULT_WEBHOOK_RETRY = {
+  maxAttempts: 5,
+  baseDelay: 30000,
+  maxDelay: 3600000,
+};
+
+/**
+ * Адреса, куда webhook не отправляется: loopback, частные сети, link-local
+ * (в т.ч. метаданные облака 169.254.169.254). Хосты из webhookAllowedHosts
+ * проверку не проходят.
+ */
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/** Сколько доставок хранить в памяти на один webhook (без персистенции) */
+const DELIVERY_LOG_SIZE = 100;
+
 /** Типы действий */
 export const EVENT_ACTIONS = {
   CREATE: 'create',
@@ -25,6 +71,9 @@ export const EVENT_ACTIONS = {
   BATCH: 'batch',
 };
 
+/** Имя «базы» для подписки на события всех баз */
+export const ALL_DATABASES = '*';
+
 /** SQL для создания таблицы событий */
 const CREATE_TABLE_SQL = `
   CREATE TABLE IF NOT EXISTS ${EVENTS_TABLE} (
@@ -44,6 +93,41 @@ const CREATE_TABLE_SQL = `
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
 `;
 
+/** SQL для создания таблицы webhook-подписок */
+const CREATE_WEBHOOKS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS ${WEBHOOKS_TABLE} (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    db VARCHAR(64) NOT NULL,
+    url TEXT NOT NULL,
+    filter JSON DEFAULT NULL,
+    secret VARCHAR(128) NOT NULL,
+    deliveries INT UNSIGNED NOT NULL DEFAULT 0,
+    errors INT UNSIGNED NOT NULL DEFAULT 0,
+    last_delivery TIMESTAMP(3) NULL DEFAULT NULL,
+    created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    INDEX idx_db (db)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`;
+
+/** SQL для создания таблицы доставок webhook */
+const CREATE_DELIVERIES_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS ${DELIVERIES_TABLE} (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    webhook_id VARCHAR(64) NOT NULL,
+    event_id VARCHAR(64) NOT NULL,
+    event JSON NOT NULL,
+    attempt INT UNSIGNED NOT NULL DEFAULT 0,
+    status ENUM('pending', 'success', 'retrying', 'dead') NOT NULL,
+    response_status INT DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    next_retry_at TIMESTAMP(3) NULL DEFAULT NULL,
+    created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    updated_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+    INDEX idx_webhook_status (webhook_id, status),
+    INDEX idx_created_at (created_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`;
+
 // ============================================================================
 // Кольцевой буфер для хранения событий в памяти
 // ============================================================================
@@ -111,12 +195,22 @@ export class EventService {
    * @param {Object} [options.logger] — логгер
    * @param {number} [options.bufferSize=10000] — размер кольцевого буфера
    * @param {boolean} [options.persistEvents=false] — сохранять события в таблицу _events
+   * @param {boolean} [options.persistWebhooks] — хранить webhook-подписки и доставки в БД
+   *   (по умолчанию — если передан databaseService)
+   * @param {Object} [options.webhookRetry] — { maxAttempts, baseDelay, maxDelay } для повторов доставки
+   * @param {string[]} [options.webhookAllowedHosts] — хосты, куда webhook можно слать и по
+   *   внутренним адресам
+   * @param {Function} [options.dnsLookup] — dns.promises.lookup (подменяется в тестах)
    */
   constructor(databaseService, options = {}) {
     this.db = databaseService;
     this.logger = options.logger || console;
     this.persistEvents = options.persistEvents || false;
+    this.persistWebhooks = options.persistWebhooks ?? Boolean(databaseService);
     this.bufferSize = options.bufferSize || 10000;
+    this.webhookRetry = { ...DEFAULT_WEBHOOK_RETRY, ...(options.webhookRetry || {}) };
+    this.webhookAllowedHosts = (options.webhookAllowedHosts || []).map(host => host.toLowerCase());
+    this.dnsLookup = options.dnsLookup || dns.promises.lookup;
 
     /** EventEmitter для pub/sub */
     this.emitter = new EventEmitter();
@@ -131,6 +225,15 @@ export class EventService {
     /** Реестр webhook-подписок: id -> { db, url, filter, secret, createdAt } */
     this.webhooks = new Map();
 
+    /** Журнал доставок в памяти (без персистенции): webhookId -> [delivery] */
+    this.deliveryLog = new Map();
+
+    /** Таймеры отложенных повторов доставки */
+    this._retryTimers = new Set();
+
+    /** Промис загрузки подписок из БД */
+    this._webhooksLoaded = null;
+
     /** Счётчик подписок */
     this._subCounter = 0;
 
@@ -202,8 +305,9 @@ export class EventService {
     // Сохраняем в кольцевой буфер
     this.getBuffer(db).push(fullEvent);
 
-    // Публикуем через EventEmitter
+    // Публикуем через EventEmitter: подписчикам базы и подписчикам всех баз
     this.emitter.emit(`event:${db}`, fullEvent);
+    this.emitter.emit(`event:${ALL_DATABASES}`, fullEvent);
 
     // Персистенция в БД (если включена)
     if (this.persistEvents) {
@@ -211,7 +315,9 @@ export class EventService {
     }
 
     // Отправляем webhook-подписчикам (асинхронно, без ожидания)
-    this._notifyWebhooks(db, fullEvent);
+    this._notifyWebhooks(db, fullEvent).catch((e) => {
+      this.logger.warn('EventService: ошибка уведомления webhook', { eventId: fullEvent.id, error: e.message });
+    });
 
     this.logger.info('EventService: событие опубликовано', {
       db,
@@ -230,7 +336,7 @@ export class EventService {
   /**
    * Подписаться на события базы данных с фильтрацией.
    *
-   * @param {string} db — имя базы данных
+   * @param {string} db — имя базы данных или ALL_DATABASES ('*') для событий всех баз
    * @param {Object} [filter] — фильтр событий
    * @param {Array<number>} [filter.types] — фильтр по типам объектов
    * @param {Array<string>} [filter.actions] — фильтр по действиям (create, update, delete)
@@ -360,74 +466,187 @@ export class EventService {
   // Webhook-подписки
   // ==========================================================================
 
+  /**
+   * Загрузить webhook-подписки из БД (один раз) и возобновить отложенные повторы.
+   * @returns {Promise<void>}
+   */
+  loadWebhooks() {
+    if (!this._webhooksLoaded) {
+      this._webhooksLoaded = this._loadWebhooks();
+    }
+    return this._webhooksLoaded;
+  }
+
   /**
    * Зарегистрировать webhook-подписку.
+   * Если секрет не передан, он генерируется: все доставки подписываются HMAC-SHA256.
+   * Секрет возвращается только в ответе на регистрацию.
    *
    * @param {string} db — имя базы данных
    * @param {Object} options
    * @param {string} options.url — URL для доставки уведомлений
    * @param {Object} [options.filter] — фильтр событий
    * @param {string} [options.secret] — секрет для подписи запросов (HMAC)
-   * @returns {Object} — данные подписки с id
+   * @returns {Promise<Object>} — данные подписки с id и secret
    */
-  registerWebhook(db, options) {
+  async registerWebhook(db, options) {
+    await this.loadWebhooks();
+
     const id = `wh_${crypto.randomUUID()}`;
     const webhook = {
       id,
       db,
       url: options.url,
       filter: options.filter || {},
-      secret: options.secret || null,
+      secret: options.secret || crypto.randomBytes(32).toString('hex'),
       createdAt: new Date().toISOString(),
       deliveries: 0,
       lastDelivery: null,
       errors: 0,
     };
 
+    if (this.persistWebhooks) {
+      await this.db.execSql(
+        `INSERT INTO ${WEBHOOKS_TABLE} (id, db, url, filter, secret) VALUES (?, ?, ?, ?, ?)`,
+        [id, db, webhook.url, JSON.stringify(webhook.filter), webhook.secret],
+        'EventService.registerWebhook'
+      );
+    }
+
     this.webhooks.set(id, webhook);
 
     this.logger.info('EventService: webhook зарегистрирован', { id, db, url: options.url });
-    return { id, db, url: options.url, filter: webhook.filter, createdAt: webhook.createdAt };
+    return { id, db, url: options.url, filter: webhook.filter, secret: webhook.secret, createdAt: webhook.createdAt };
   }
 
   /**
-   * Удалить webhook-подписку.
+   * Удалить webhook-подписку вместе с журналом доставок.
    *
    * @param {string} id — идентификатор webhook
-   * @returns {boolean}
+   * @param {string} [db] — если указано, webhook должен принадлежать этой базе
+   * @returns {Promise<boolean>}
    */
-  removeWebhook(id) {
-    const existed = this.webhooks.delete(id);
-    if (existed) {
-      this.logger.info('EventService: webhook удалён', { id });
+  async removeWebhook(id, db) {
+    await this.loadWebhooks();
+
+    const webhook = this.webhooks.get(id);
+    if (!webhook || (db && webhook.db !== db)) return false;
+
+    this.webhooks.delete(id);
+    this.deliveryLog.delete(id);
+
+    if (this.persistWebhooks) {
+      await this.db.execSql(`DELETE FROM ${DELIVERIES_TABLE} WHERE webhook_id = ?`, [id], 'EventService.removeWebhook');
+      await this.db.execSql(`DELETE FROM ${WEBHOOKS_TABLE} WHERE id = ?`, [id], 'EventService.removeWebhook');
     }
-    return existed;
+
+    this.logger.info('EventService: webhook удалён', { id });
+    return true;
+  }
+
+  /**
+   * Получить webhook-подписку базы данных (без секрета).
+   *
+   * @param {string} db
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getWebhook(db, id) {
+    await this.loadWebhooks();
+    const webhook = this.webhooks.get(id);
+    return webhook && webhook.db === db ? this._publicWebhook(webhook) : null;
   }
 
   /**
    * Список webhook-подписок для базы данных.
    *
    * @param {string} db
-   * @returns {Array}
+   * @returns {Promise<Array>}
    */
-  listWebhooks(db) {
+  async listWebhooks(db) {
+    await this.loadWebhooks();
     const result = [];
     for (const wh of this.webhooks.values()) {
       if (wh.db === db) {
-        result.push({
-          id: wh.id,
-          url: wh.url,
-          filter: wh.filter,
-          createdAt: wh.createdAt,
-          deliveries: wh.deliveries,
-          lastDelivery: wh.lastDelivery,
-          errors: wh.errors,
-        });
+        result.push(this._publicWebhook(wh));
       }
     }
     return result;
   }
 
+  /**
+   * Журнал доставок webhook (новые первыми).
+   * Dead-letter список — доставки со status = 'dead'.
+   *
+   * @param {string} webhookId
+   * @param {Object} [options]
+   * @param {string} [options.status] — фильтр по статусу (pending | success | retrying | dead)
+   * @param {number} [options.limit=50] — макс. кол-во
+   * @returns {Promise<Array>}
+   */
+  async getDeliveries(webhookId, options = {}) {
+    await this.loadWebhooks();
+    const limit = options.limit || 50;
+
+    if (this.persistWebhooks) {
+      let sql = `SELECT * FROM ${DELIVERIES_TABLE} WHERE webhook_id = ?`;
+      const params = [webhookId];
+      if (options.status) {
+        sql += ' AND status = ?';
+        params.push(options.status);
+      }
+      sql += ' ORDER BY created_at DESC LIMIT ?';
+      params.push(limit);
+
+      const result = await this.db.execSql(sql, params, 'EventService.getDeliveries');
+      return (result.rows || []).map(row => this._rowToDelivery(row));
+    }
+
+    let deliveries = [...(this.deliveryLog.get(webhookId) || [])].reverse();
+    if (options.status) {
+      deliveries = deliveries.filter(d => d.status === options.status);
+    }
+    return deliveries.slice(0, limit);
+  }
+
+  /**
+   * Повторно отправить доставку из dead-letter списка.
+   * Счётчик попыток сбрасывается — доставка снова проходит полный цикл повторов.
+   *
+   * @param {string} webhookId
+   * @param {string} deliveryId
+   * @returns {Promise<Object|null>} — обновлённая доставка или null, если не найдена
+   * @throws {Error} code = 'CONFLICT', если доставка не в статусе dead
+   */
+  async redeliver(webhookId, deliveryId) {
+    await this.loadWebhooks();
+    const webhook = this.webhooks.get(webhookId);
+    if (!webhook) return null;
+
+    const delivery = await this._findDelivery(webhookId, deliveryId);
+    if (!delivery) return null;
+    if (delivery.status !== DELIVERY_STATUS.DEAD) {
+      const e = new Error('Повторить можно только доставку из dead-letter (status = dead)');
+      e.code = 'CONFLICT';
+      throw e;
+    }
+
+    delivery.attempt = 0;
+    delivery.status = DELIVERY_STATUS.PENDING;
+    delivery.nextRetryAt = null;
+    return this._attemptDelivery(webhook, delivery);
+  }
+
+  /**
+   * Остановить отложенные повторы доставки (при завершении процесса / в тестах).
+   */
+  close() {
+    for (const timer of this._retryTimers) {
+      clearTimeout(timer);
+    }
+    this._retryTimers.clear();
+  }
+
   // ==========================================================================
   // Статистика
   // ==========================================================================
@@ -559,57 +778,344 @@ export class EventService {
   }
 
   /**
-   * Уведомить все webhook-подписки для данной базы (асинхронно).
+   * Создать таблицы webhook-подписок и доставок.
+   * При ошибке сервис продолжает работу с подписками в памяти.
+   * @returns {Promise<boolean>} — true, если таблицы доступны
+   */
+  async _ensureWebhookTables() {
+    try {
+      await this.db.execSql(CREATE_WEBHOOKS_TABLE_SQL, [], 'EventService._ensureWebhookTables');
+      await this.db.execSql(CREATE_DELIVERIES_TABLE_SQL, [], 'EventService._ensureWebhookTables');
+      return true;
+    } catch (e) {
+      this.logger.warn('EventService: не удалось создать таблицы webhook, подписки будут храниться в памяти', { error: e.message });
+      this.persistWebhooks = false;
+      return false;
+    }
+  }
+
+  /**
+   * Загрузить подписки из _webhooks и запланировать незавершённые доставки.
+   */
+  async _loadWebhooks() {
+    if (!this.persistWebhooks || !(await this._ensureWebhookTables())) return;
+
+    try {
+      const { rows: webhookRows } = await this.db.execSql(`SELECT * FROM ${WEBHOOKS_TABLE}`, [], 'EventService._loadWebhooks');
+      for (const row of webhookRows || []) {
+        this.webhooks.set(row.id, {
+          id: row.id,
+          db: row.db,
+          url: row.url,
+          filter: parseJson(row.filter) || {},
+          secret: row.secret,
+          createdAt: toIso(row.created_at),
+          deliveries: row.deliveries || 0,
+          lastDelivery: toIso(row.last_delivery),
+          errors: row.errors || 0,
+        });
+      }
+
+      const { rows: pendingRows } = await this.db.execSql(
+        `SELECT * FROM ${DELIVERIES_TABLE} WHERE status IN (?, ?)`,
+        [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING],
+        'EventService._loadWebhooks'
+      );
+      for (const row of pendingRows || []) {
+        const webhook = this.webhooks.get(row.webhook_id);
+        if (webhook) this._scheduleRetry(webhook, this._rowToDelivery(row));
+      }
+
+      this.logger.info('EventService: webhook-подписки загружены', {
+        webhooks: this.webhooks.size,
+        pendingDeliveries: (pendingRows || []).length,
+      });
+    } catch (e) {
+      this.logger.warn('EventService: ошибка загрузки webhook-подписок', { error: e.message });
+    }
+  }
+
+  /**
+   * Уведомить все webhook-подписки для данной базы.
+   * Для каждой подписки создаётся запись доставки, отправка идёт без ожидания.
    * @param {string} db
    * @param {Object} event
    */
-  _notifyWebhooks(db, event) {
+  async _notifyWebhooks(db, event) {
+    await this.loadWebhooks();
+
     for (const wh of this.webhooks.values()) {
       if (wh.db !== db) continue;
       if (!this._matchesFilter(event, wh.filter)) continue;
 
+      const now = new Date().toISOString();
+      const delivery = {
+        id: `dlv_${crypto.randomUUID()}`,
+        webhookId: wh.id,
+        eventId: event.id,
+        event: serializeEvent(event),
+        attempt: 0,
+        status: DELIVERY_STATUS.PENDING,
+        responseStatus: null,
+        error: null,
+        nextRetryAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      try {
+        await this._saveDelivery(delivery, true);
+      } catch (e) {
+        this.logger.warn('EventService: не удалось сохранить доставку webhook', { webhookId: wh.id, error: e.message });
+      }
+
       // Асинхронная доставка без блокировки
-      this._deliverWebhook(wh, event).catch(() => {});
+      this._attemptDelivery(wh, delivery).catch(() => {});
     }
   }
 
   /**
-   * Доставить событие на webhook URL.
+   * Одна попытка доставки: отправка, обновление статуса и планирование повтора.
    * @param {Object} webhook
-   * @param {Object} event
+   * @param {Object} delivery
+   * @returns {Promise<Object>} — доставка после попытки
    */
-  async _deliverWebhook(webhook, event) {
+  async _attemptDelivery(webhook, delivery) {
+    delivery.attempt++;
+    const result = await this._deliverWebhook(webhook, delivery);
+
+    webhook.deliveries++;
+    webhook.lastDelivery = new Date().toISOString();
+    delivery.responseStatus = result.status;
+    delivery.error = result.error;
+    delivery.updatedAt = webhook.lastDelivery;
+
+    if (result.ok) {
+      delivery.status = DELIVERY_STATUS.SUCCESS;
+      delivery.nextRetryAt = null;
+    } else {
+      webhook.errors++;
+      if (delivery.attempt >= this.webhookRetry.maxAttempts) {
+        delivery.status = DELIVERY_STATUS.DEAD;
+        delivery.nextRetryAt = null;
+        this.logger.warn('EventService: доставка webhook перемещена в dead-letter', {
+          webhookId: webhook.id,
+          deliveryId: delivery.id,
+          attempts: delivery.attempt,
+        });
+      } else {
+        delivery.status = DELIVERY_STATUS.RETRYING;
+        delivery.nextRetryAt = new Date(Date.now() + this._retryDelay(delivery.attempt)).toISOString();
+        this._scheduleRetry(webhook, delivery);
+      }
+    }
+
     try {
-      const body = JSON.stringify({
-        event: {
-          id: event.id,
-          db: event.db,
-          action: event.action,
-          targetId: event.targetId,
-          targetType: event.targetType,
-          oldValue: event.oldValue,
-          newValue: event.newValue,
-          meta: event.meta,
-          timestamp: event.timestamp,
-          createdAt: event.createdAt,
-        },
-      });
+      await this._saveDelivery(delivery, false);
+      await this._saveWebhookStats(webhook);
+    } catch (e) {
+      this.logger.warn('EventService: не удалось обновить доставку webhook', { deliveryId: delivery.id, error: e.message });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Задержка перед повтором: baseDelay × 2^(attempt-1), не больше maxDelay
+   * (та же формула, что в WebhookRetryQueue монолита).
+   * @param {number} attempt — номер неудачной попытки (с 1)
+   * @returns {number} — миллисекунды
+   */
+  _retryDelay(attempt) {
+    return Math.min(
+      this.webhookRetry.baseDelay * Math.pow(2, attempt - 1),
+      this.webhookRetry.maxDelay
+    );
+  }
+
+  /**
+   * Запланировать повтор доставки на delivery.nextRetryAt.
+   * @param {Object} webhook
+   * @param {Object} delivery
+   */
+  _scheduleRetry(webhook, delivery) {
+    const delay = delivery.nextRetryAt ? Math.max(0, Date.parse(delivery.nextRetryAt) - Date.now()) : 0;
+
+    const timer = setTimeout(() => {
+      this._retryTimers.delete(timer);
+      // Подписку могли удалить, пока доставка ждала повтора
+      if (!this.webhooks.has(webhook.id)) return;
+      this._attemptDelivery(webhook, delivery).catch(() => {});
+    }, delay);
+    timer.unref?.();
+
+    this._retryTimers.add(timer);
+  }
+
+  /**
+   * Сохранить доставку: в _webhook_deliveries или в журнал в памяти.
+   * @param {Object} delivery
+   * @param {boolean} isNew — первая запись доставки
+   */
+  async _saveDelivery(delivery, isNew) {
+    if (!this.persistWebhooks) {
+      if (isNew) {
+        const log = this.deliveryLog.get(delivery.webhookId) || [];
+        log.push(delivery);
+        if (log.length > DELIVERY_LOG_SIZE) log.shift();
+        this.deliveryLog.set(delivery.webhookId, log);
+      }
+      return;
+    }
+
+    const nextRetryAt = delivery.nextRetryAt ? new Date(delivery.nextRetryAt) : null;
+    if (isNew) {
+      await this.db.execSql(
+        `INSERT INTO ${DELIVERIES_TABLE} (id, webhook_id, event_id, event, attempt, status) VALUES (?, ?, ?, ?, ?, ?)`,
+        [delivery.id, delivery.webhookId, delivery.eventId, JSON.stringify(delivery.event), delivery.attempt, delivery.status],
+        'EventService._saveDelivery'
+      );
+    } else {
+      await this.db.execSql(
+        `UPDATE ${DELIVERIES_TABLE} SET attempt = ?, status = ?, response_status = ?, error = ?, next_retry_at = ?, updated_at = CURRENT_TIMESTAMP(3) WHERE id = ?`,
+        [delivery.attempt, delivery.status, delivery.responseStatus, delivery.error, nextRetryAt, delivery.id],
+        'EventService._saveDelivery'
+      );
+    }
+  }
+
+  /**
+   * Обновить счётчики доставок webhook в БД.
+   * @param {Object} webhook
+   */
+  async _saveWebhookStats(webhook) {
+    if (!this.persistWebhooks) return;
+    await this.db.execSql(
+      `UPDATE ${WEBHOOKS_TABLE} SET deliveries = ?, errors = ?, last_delivery = ? WHERE id = ?`,
+      [webhook.deliveries, webhook.errors, new Date(webhook.lastDelivery), webhook.id],
+      'EventService._saveWebhookStats'
+    );
+  }
+
+  /**
+   * Найти доставку webhook по id.
+   * @param {string} webhookId
+   * @param {string} deliveryId
+   * @returns {Promise<Object|null>}
+   */
+  async _findDelivery(webhookId, deliveryId) {
+    if (!this.persistWebhooks) {
+      return (this.deliveryLog.get(webhookId) || []).find(d => d.id === deliveryId) || null;
+    }
+    const result = await this.db.execSql(
+      `SELECT * FROM ${DELIVERIES_TABLE} WHERE id = ? AND webhook_id = ?`,
+      [deliveryId, webhookId],
+      'EventService._findDelivery'
+    );
+    const row = (result.rows || [])[0];
+    return row ? this._rowToDelivery(row) : null;
+  }
+
+  /**
+   * Строка _webhook_deliveries → объект доставки.
+   * @param {Object} row
+   * @returns {Object}
+   */
+  _rowToDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventId: row.event_id,
+      event: parseJson(row.event),
+      attempt: row.attempt,
+      status: row.status,
+      responseStatus: row.response_status ?? null,
+      error: row.error ?? null,
+      nextRetryAt: toIso(row.next_retry_at),
+      createdAt: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at),
+    };
+  }
+
+  /**
+   * Подписка без секрета — для ответов API.
+   * @param {Object} wh
+   * @returns {Object}
+   */
+  _publicWebhook(wh) {
+    return {
+      id: wh.id,
+      url: wh.url,
+      filter: wh.filter,
+      createdAt: wh.createdAt,
+      deliveries: wh.deliveries,
+      lastDelivery: wh.lastDelivery,
+      errors: wh.errors,
+    };
+  }
+
+  /**
+   * Проверить URL webhook перед регистрацией: только http(s), не localhost
+   * и не внутренний IP-адрес (кроме webhookAllowedHosts).
+   * @param {string} url
+   * @returns {string|null} текст ошибки или null
+   */
+  checkWebhookUrl(url) {
+    return checkWebhookUrl(url, this.webhookAllowedHosts);
+  }
+
+  /**
+   * Проверка URL и адресов, в которые разрешается его хост. Ошибку DNS не
+   * считает отказом: её покажет сама доставка.
+   * @param {string} url
+   * @returns {Promise<string|null>} текст ошибки или null
+   */
+  async _checkWebhookTarget(url) {
+    const invalid = this.checkWebhookUrl(url);
+    if (invalid) return invalid;
+    const host = webhookHost(url);
+    if (this.webhookAllowedHosts.includes(host) || net.isIP(host)) return null;
+    let addresses;
+    try {
+      addresses = await this.dnsLookup(host, { all: true });
+    } catch {
+      return null;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked ? `Хост webhook указывает на внутренний адрес ${blocked.address}` : null;
+  }
+
+  /**
+   * Отправить событие на webhook URL. Не бросает исключений.
+   * Тело подписывается HMAC-SHA256 секретом подписки (X-Integram-Signature).
+   * @param {Object} webhook
+   * @param {Object} delivery
+   * @returns {Promise<{ok: boolean, status: number|null, error: string|null}>}
+   */
+  async _deliverWebhook(webhook, delivery) {
+    try {
+      // Имя хоста могло начать указывать на внутренний адрес после регистрации
+      const refused = await this._checkWebhookTarget(webhook.url);
+      if (refused) {
+        this.logger.warn('EventService: webhook на запрещённый адрес', { webhookId: webhook.id, error: refused });
+        return { ok: false, status: null, error: refused };
+      }
+
+      const body = JSON.stringify({ event: delivery.event });
+
+      const signature = crypto
+        .createHmac('sha256', webhook.secret)
+        .update(body)
+        .digest('hex');
 
       const headers = {
         'Content-Type': 'application/json',
-        'X-Integram-Event': event.action,
-        'X-Integram-Delivery': event.id,
+        'X-Integram-Event': delivery.event.action,
+        'X-Integram-Delivery': delivery.id,
+        'X-Integram-Attempt': String(delivery.attempt),
+        'X-Integram-Signature': `sha256=${signature}`,
       };
 
-      // Если задан секрет — подписываем тело запроса HMAC-SHA256
-      if (webhook.secret) {
-        const signature = crypto
-          .createHmac('sha256', webhook.secret)
-          .update(body)
-          .digest('hex');
-        headers['X-Integram-Signature'] = `sha256=${signature}`;
-      }
-
       const response = await fetch(webhook.url, {
         method: 'POST',
         headers,
@@ -617,26 +1123,100 @@ export class EventService {
         signal: AbortSignal.timeout(10000), // таймаут 10 сек
       });
 
-      webhook.deliveries++;
-      webhook.lastDelivery = new Date().toISOString();
-
       if (!response.ok) {
-        webhook.errors++;
         this.logger.warn('EventService: webhook ответил ошибкой', {
           webhookId: webhook.id,
           status: response.status,
+          attempt: delivery.attempt,
         });
+        return { ok: false, status: response.status, error: `HTTP ${response.status}` };
       }
+
+      return { ok: true, status: response.status, error: null };
     } catch (e) {
-      webhook.errors++;
       this.logger.warn('EventService: ошибка доставки webhook', {
         webhookId: webhook.id,
+        attempt: delivery.attempt,
         error: e.message,
       });
+      return { ok: false, status: null, error: e.message };
     }
   }
 }
 
+// ============================================================================
+// Вспомогательные функции
+// ============================================================================
+
+/**
+ * Событие в формате тела webhook.
+ * @param {Object} event
+ * @returns {Object}
+ */
+function serializeEvent(event) {
+  return {
+    id: event.id,
+    db: event.db,
+    action: event.action,
+    targetId: event.targetId,
+    targetType: event.targetType,
+    oldValue: event.oldValue,
+    newValue: event.newValue,
+    meta: event.meta,
+    timestamp: event.timestamp,
+    createdAt: event.createdAt,
+  };
+}
+
+/** Хост URL без скобок IPv6, в нижнем регистре */
+function webhookHost(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/** Адрес в loopback, частной сети или link-local (IPv4-mapped IPv6 — как IPv4) */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_WEBHOOK_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * URL webhook: только http(s), не localhost и не внутренний IP-адрес.
+ * @param {string} url
+ * @param {string[]} [allowedHosts] — хосты, для которых адрес не проверяется
+ * @returns {string|null} текст ошибки или null
+ */
+export function checkWebhookUrl(url, allowedHosts = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Некорректный URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'URL webhook должен начинаться с http:// или https://';
+  }
+  const host = webhookHost(url);
+  if (allowedHosts.includes(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host)) {
+    return 'URL webhook не может указывать на локальный или внутренний адрес';
+  }
+  return null;
+}
+
+/** JSON-колонка: mysql2 отдаёт объект, другие драйверы — строку */
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/** Дата из БД → ISO-строка */
+function toIso(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
 // ============================================================================
 // Экспорт
 // ============================================================================
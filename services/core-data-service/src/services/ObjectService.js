@@ -7,6 +7,11 @@
 
 import {
   ValidationError,
+  BASIC_TYPE_IDS,
+  PASSWORD,
+  TOKEN,
+  XSRF,
+  SECRET,
 } from '@integram/common';
 
 import { ValidationService } from './ValidationService.js';
@@ -22,6 +27,32 @@ class NotFoundError extends Error {
   }
 }
 
+/** User requisites holding credentials: password hash, session token, XSRF, TOTP secret */
+const SECRET_REQUISITES = [PASSWORD, TOKEN, XSRF, SECRET];
+
+/**
+ * Ids of requisites and types whose values are secrets: the user's
+ * credentials and everything based on PWD. V2 responses never carry them.
+ *
+ * @param {Object} databaseService - Database service instance
+ * @param {string} db - Validated database name
+ * @returns {Promise<Set<number>>}
+ */
+export async function findSecretTypeIds(databaseService, db) {
+  const pwd = BASIC_TYPE_IDS.PWD;
+  const { rows } = await databaseService.execSql(
+    `SELECT id FROM ${db} WHERE up = 0 AND t = ${pwd}
+     UNION
+     SELECT def.id FROM ${db} def
+     JOIN ${db} owner ON owner.id = def.up AND owner.up = 0
+     LEFT JOIN ${db} typ ON typ.id = def.t
+     WHERE def.t = ${pwd} OR typ.t = ${pwd}`,
+    [],
+    'ObjectService.findSecretTypeIds'
+  );
+  return new Set([...SECRET_REQUISITES, ...(rows || []).map(row => Number(row.id))]);
+}
+
 // ============================================================================
 // ObjectService Class
 // ============================================================================
@@ -47,6 +78,19 @@ export class ObjectService {
     this.transactions = options.transactionService || new TransactionService(databaseService, options);
   }
 
+  /**
+   * Копия сервиса, работающая через другое соединение — например,
+   * DatabaseService открытой групповой транзакции (TransactionService.getTransactionDatabase).
+   *
+   * @param {Object} databaseService - Database service instance
+   * @returns {ObjectService}
+   */
+  withDatabase(databaseService) {
+    const scoped = Object.create(this);
+    scoped.db = databaseService;
+    return scoped;
+  }
+
   // ============================================================================
   // CREATE Operations
   // ============================================================================
@@ -62,6 +106,7 @@ export class ObjectService {
    * @param {number} [data.parentId=0] - Parent ID (up)
    * @param {number} [data.order] - Order value (ord), auto-calculated if not provided
    * @param {Object} [data.requisites] - Requisite values
+   * @param {boolean} [data.rulesChecked] - Validation rules already checked by the caller
    * @returns {Promise<Object>} Created object with ID
    */
   async create(database, data) {
@@ -80,6 +125,10 @@ export class ObjectService {
       order = this.validation.validateOrder(order);
     }
 
+    if (!data.rulesChecked) {
+      await this.validation.validateRules(db, { typeId, objectId: null, parentId, value, requisites: data.requisites || {} });
+    }
+
     // Insert the object
     const id = await this.db.insert(db, parentId, order, typeId, value, 'ObjectService.create');
 
@@ -114,6 +163,20 @@ export class ObjectService {
 
     const ids = [];
 
+    // Validation rules are checked for the whole batch before anything is written
+    for (const [i, obj] of validated.entries()) {
+      const typeId = commonTypeId ?? obj.typeId;
+      if (!typeId) continue;
+      try {
+        await this.validation.validateRules(db, {
+          typeId, objectId: null, parentId: commonParentId ?? obj.parentId ?? 0, value: obj.value, requisites: obj.requisites,
+        });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        throw new ValidationError(`Object #${i + 1}: ${error.message}`, error.details?.fields);
+      }
+    }
+
     for (const obj of validated) {
       const typeId = commonTypeId ?? obj.typeId;
       const parentId = commonParentId ?? obj.parentId ?? 0;
@@ -374,6 +437,7 @@ export class ObjectService {
    * @param {number} [data.parentId] - New parent
    * @param {number} [data.order] - New order
    * @param {Object} [data.requisites] - Requisite updates
+   * @param {boolean} [data.rulesChecked] - Validation rules already checked by the caller
    * @returns {Promise<Object>} Updated object
    */
   async update(database, id, data) {
@@ -386,6 +450,17 @@ export class ObjectService {
       throw new NotFoundError(`Object ${id} not found`);
     }
 
+    const value = data.value ?? data.val;
+    if (!data.rulesChecked && (value !== undefined || data.requisites)) {
+      await this.validation.validateRules(db, {
+        typeId: data.typeId || data.t || current.typeId,
+        objectId: objId,
+        parentId: data.parentId ?? data.up ?? current.parentId,
+        value,
+        requisites: data.requisites || {},
+      });
+    }
+
     // Update value if provided
     if (data.value !== undefined || data.val !== undefined) {
       await this.updateValue(database, id, data.value || data.val);
@@ -598,7 +673,7 @@ export class ObjectService {
   // ============================================================================
 
   /**
-   * Get requisites for an object.
+   * Get requisites for an object. Secret ones (see findSecretTypeIds) are left out.
    *
    * @param {string} database - Database name
    * @param {number} objectId - Object ID
@@ -614,11 +689,13 @@ export class ObjectService {
       .orderBy('ord', 'ASC');
 
     const { rows } = await this.db.executeQuery(query, 'ObjectService.getRequisites');
+    const secret = rows.length > 0 ? await findSecretTypeIds(this.db, db) : new Set();
 
     // Group by type
     const requisites = {};
     for (const row of rows) {
       const typeId = row.t;
+      if (secret.has(Number(typeId))) continue;
       if (!requisites[typeId]) {
         requisites[typeId] = [];
       }
@@ -637,13 +714,26 @@ export class ObjectService {
    * @param {string} database - Database name
    * @param {number} objectId - Object ID
    * @param {Object} requisites - Requisite values keyed by type ID
+   * @param {Object} [options]
+   * @param {boolean} [options.checkRules=false] - Check the validation rules of
+   *   the object's type first (create() and update() check them themselves)
    * @returns {Promise<void>}
    */
-  async saveRequisites(database, objectId, requisites) {
+  async saveRequisites(database, objectId, requisites, options = {}) {
     const db = this.validation.validateDatabase(database);
     const objId = this.validation.validateId(objectId);
     const validated = this.validation.validateRequisites(requisites);
 
+    if (options.checkRules) {
+      const current = await this.getById(database, objId);
+      if (!current) {
+        throw new NotFoundError(`Object ${objectId} not found`);
+      }
+      await this.validation.validateRules(db, {
+        typeId: current.typeId, objectId: objId, parentId: current.parentId, value: undefined, requisites: validated,
+      });
+    }
+
     for (const [typeId, value] of Object.entries(validated)) {
       // Check if requisite already exists
       const existing = await this.getRequisiteByType(database, objectId, parseInt(typeId, 10));
@@ -0,0 +1,616 @@
+/**
+ * @integram/core-data-service - OntologyImporter
+ * Импорт онтологии (#185): OWL (RDF/XML, как из exportOwl), граф JSON-LD
+ * или JSON getOntology → типы, реквизиты и, по желанию, объекты.
+ *
+ * Повторный импорт идемпотентен: классы сопоставляются с существующими
+ * типами по метке, реквизиты — по (тип, колонка, метка), объекты — по
+ * (родитель, тип, значение).
+ */
+
+import { BASIC_TYPE_IDS, ValidationError } from '@integram/common';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const XML = 'http://www.w3.org/XML/1998/namespace';
+const IGR = 'https://integram.rf/ontology#';
+
+const RDF_TYPE = `${RDF}type`;
+const RDFS_LABEL = `${RDFS}label`;
+
+/** XSD → базовый тип Integram (обратное XSD_TYPE_MAP экспорта) */
+const XSD_BASE_TYPE = {
+  string: 'SHORT', integer: 'NUMBER', int: 'NUMBER', long: 'NUMBER', number: 'SIGNED',
+  decimal: 'SIGNED', double: 'SIGNED', float: 'SIGNED', date: 'DATE', dateTime: 'DATETIME',
+  boolean: 'BOOLEAN', anyURI: 'FILE',
+};
+
+/** Пространства имён словарей, чьи типы не являются классами данных */
+const SCHEMA_NAMESPACES = [RDF, RDFS, OWL, XSD];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// ============================================================================
+// RDF/XML
+// ============================================================================
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] !== '#') return XML_ENTITIES[entity] ?? match;
+    return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+}
+
+/**
+ * Минимальный разбор XML: элементы с раскрытыми по xmlns именами.
+ * DTD, инструкции обработки и комментарии пропускаются.
+ *
+ * @param {string} text — документ
+ * @returns {Object} корень { children: [{ iri, attrs, children, text }] }
+ */
+export function parseXml(text) {
+  const TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const ATTR = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const root = { name: '#document', ns: { xml: XML }, attrs: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+  let match;
+
+  const expand = (name, ns, isAttribute) => {
+    const colon = name.indexOf(':');
+    if (colon < 0) return isAttribute ? name : `${ns[''] || ''}${name}`;
+    const uri = ns[name.slice(0, colon)];
+    if (uri === undefined) throw new ValidationError(`OWL: неизвестный префикс ${name.slice(0, colon)}`);
+    return `${uri}${name.slice(colon + 1)}`;
+  };
+
+  while ((match = TOKEN.exec(text))) {
+    if (match.index !== position) break;
+    position = TOKEN.lastIndex;
+    const top = stack.at(-1);
+
+    if (match[1] !== undefined) {
+      top.text += match[1];
+    } else if (match[2]) {
+      if (stack.length < 2 || top.name !== match[2]) throw new ValidationError(`OWL: неожиданный </${match[2]}>`);
+      stack.pop();
+    } else if (match[3]) {
+      const raw = [];
+      const ns = { ...top.ns };
+      for (const [, name, dq, sq] of match[4].matchAll(ATTR)) {
+        const value = decodeEntities(dq ?? sq);
+        if (name === 'xmlns') ns[''] = value;
+        else if (name.startsWith('xmlns:')) ns[name.slice(6)] = value;
+        else raw.push([name, value]);
+      }
+      const attrs = {};
+      for (const [name, value] of raw) attrs[expand(name, ns, true)] = value;
+      const element = { name: match[3], iri: expand(match[3], ns, false), ns, attrs, children: [], text: '' };
+      top.children.push(element);
+      if (!match[5]) stack.push(element);
+    } else if (match[6] !== undefined) {
+      top.text += decodeEntities(match[6]);
+    }
+  }
+
+  if (position !== text.length) throw new ValidationError(`OWL: ошибка разбора XML в позиции ${position}`);
+  if (stack.length > 1) throw new ValidationError(`OWL: элемент <${stack.at(-1).name}> не закрыт`);
+  return root;
+}
+
+/**
+ * RDF/XML → тройки { s, p, o: { iri } | { literal } }.
+ * Поддерживается «полосатый» синтаксис: узлы, свойства-элементы,
+ * rdf:resource, вложенные узлы и свойства-атрибуты.
+ */
+export function rdfXmlToTriples(text) {
+  const document = parseXml(text);
+  const rdfRoot = document.children.find(el => el.iri === `${RDF}RDF`);
+  if (!rdfRoot) throw new ValidationError('OWL: ожидается корневой элемент rdf:RDF');
+
+  const triples = [];
+  let blank = 0;
+
+  const nodeElement = (el) => {
+    const subject = el.attrs[`${RDF}about`]
+      ?? (el.attrs[`${RDF}nodeID`] ? `_:${el.attrs[`${RDF}nodeID`]}` : `_:b${++blank}`);
+    if (el.iri !== `${RDF}Description`) triples.push({ s: subject, p: RDF_TYPE, o: { iri: el.iri } });
+
+    for (const [attr, value] of Object.entries(el.attrs)) {
+      if (attr.startsWith(RDF) || attr.startsWith(XML) || !attr.includes(':')) continue;
+      triples.push({ s: subject, p: attr, o: { literal: value } });
+    }
+    for (const prop of el.children) {
+      const resource = prop.attrs[`${RDF}resource`];
+      if (resource !== undefined) {
+        triples.push({ s: subject, p: prop.iri, o: { iri: resource } });
+      } else if (prop.children.length > 0) {
+        for (const child of prop.children) triples.push({ s: subject, p: prop.iri, o: { iri: nodeElement(child) } });
+      } else {
+        triples.push({ s: subject, p: prop.iri, o: { literal: prop.text } });
+      }
+    }
+    return subject;
+  };
+
+  for (const el of rdfRoot.children) nodeElement(el);
+  return triples;
+}
+
+// ============================================================================
+// JSON-LD
+// ============================================================================
+
+/**
+ * Граф JSON-LD → тройки. Компактные IRI раскрываются по локальному @context;
+ * удалённые контексты не загружаются.
+ */
+export function jsonLdToTriples(doc) {
+  const context = {};
+  for (const ctx of [].concat(doc['@context'] || [])) {
+    if (!ctx || typeof ctx !== 'object') continue;
+    for (const [term, def] of Object.entries(ctx)) {
+      const iri = typeof def === 'string' ? def : def?.['@id'];
+      if (typeof iri === 'string') context[term] = iri;
+    }
+  }
+
+  const expand = (term) => {
+    const value = String(term);
+    const colon = value.indexOf(':');
+    if (colon > 0 && !value.startsWith('//', colon + 1)) {
+      const ns = context[value.slice(0, colon)];
+      if (ns) return `${ns}${value.slice(colon + 1)}`;
+    }
+    return context[value] || value;
+  };
+
+  const triples = [];
+  let blank = 0;
+
+  const node = (obj) => {
+    const subject = obj['@id'] ? expand(obj['@id']) : `_:b${++blank}`;
+    for (const [key, raw] of Object.entries(obj)) {
+      if (key === '@id' || key === '@context') continue;
+      const values = Array.isArray(raw) ? raw : [raw];
+      if (key === '@type') {
+        for (const type of values) triples.push({ s: subject, p: RDF_TYPE, o: { iri: expand(type) } });
+        continue;
+      }
+      if (key.startsWith('@')) continue;
+      const predicate = expand(key);
+      for (const value of values) {
+        if (value === null || value === undefined) continue;
+        if (typeof value !== 'object') triples.push({ s: subject, p: predicate, o: { literal: String(value) } });
+        else if ('@value' in value) triples.push({ s: subject, p: predicate, o: { literal: String(value['@value']) } });
+        else if (value['@id'] && Object.keys(value).length === 1) triples.push({ s: subject, p: predicate, o: { iri: expand(value['@id']) } });
+        else triples.push({ s: subject, p: predicate, o: { iri: node(value) } });
+      }
+    }
+    return subject;
+  };
+
+  for (const obj of doc['@graph'] ? [].concat(doc['@graph']) : [doc]) node(obj);
+  return triples;
+}
+
+// ============================================================================
+// Модель импорта
+// ============================================================================
+
+function localName(iri) {
+  const value = String(iri || '');
+  return value.slice(Math.max(value.lastIndexOf('#'), value.lastIndexOf('/')) + 1);
+}
+
+/** Базовый тип свойства: igr:baseType, иначе по XSD-диапазону */
+function baseTypeOf(baseType, range) {
+  if (baseType && BASIC_TYPE_IDS[baseType]) return BASIC_TYPE_IDS[baseType];
+  const xsd = String(range || '').replace(XSD, '').replace(/^xsd:/, '');
+  return BASIC_TYPE_IDS[XSD_BASE_TYPE[xsd] || 'SHORT'];
+}
+
+/**
+ * Тройки → модель { classes, properties, individuals }.
+ * Свойство: kind literal | reference | array (igr:subordinate).
+ */
+export function triplesToModel(triples) {
+  const nodes = new Map();
+  for (const { s, p, o } of triples) {
+    if (!nodes.has(s)) nodes.set(s, { types: [], props: new Map() });
+    const node = nodes.get(s);
+    if (p === RDF_TYPE) { if (o.iri) node.types.push(o.iri); continue; }
+    if (!node.props.has(p)) node.props.set(p, []);
+    node.props.get(p).push(o);
+  }
+
+  const first = (node, p) => node.props.get(p)?.[0];
+  const literal = (node, p) => first(node, p)?.literal;
+  const iri = (node, p) => first(node, p)?.iri;
+  const flag = (node, p) => literal(node, p) === 'true';
+  const label = (uri, node) => literal(node, RDFS_LABEL) ?? localName(uri);
+
+  const model = { classes: [], properties: [], individuals: [] };
+  for (const [uri, node] of nodes) {
+    const types = new Set(node.types);
+    if (types.has(`${OWL}Class`) || types.has(`${RDFS}Class`)) {
+      model.classes.push({ uri, label: label(uri, node), baseType: literal(node, `${IGR}baseType`) });
+    } else if (types.has(`${OWL}DatatypeProperty`) || types.has(`${OWL}ObjectProperty`)) {
+      const isObject = types.has(`${OWL}ObjectProperty`);
+      model.properties.push({
+        uri,
+        label: label(uri, node),
+        kind: !isObject ? 'literal' : (flag(node, `${IGR}subordinate`) ? 'array' : 'reference'),
+        domain: iri(node, `${RDFS}domain`),
+        range: iri(node, `${RDFS}range`),
+        baseType: literal(node, `${IGR}baseType`),
+        required: flag(node, `${IGR}required`),
+        multi: flag(node, `${IGR}multi`),
+      });
+    } else {
+      const type = node.types.find(t => !SCHEMA_NAMESPACES.some(ns => t.startsWith(ns)));
+      if (!type) continue;
+      const values = [];
+      for (const [property, objects] of node.props) {
+        if (property === RDFS_LABEL) continue;
+        for (const o of objects) values.push({ property, ...o });
+      }
+      model.individuals.push({ uri, type, label: literal(node, RDFS_LABEL) ?? '', values });
+    }
+  }
+  return model;
+}
+
+/**
+ * JSON getOntology ({ classes, properties, relationships }) или прежний
+ * формат ({ classes: [{ name, properties, relationships }] }) → модель.
+ */
+function jsonToModel(data, safeName) {
+  const classUri = c => c.uri || `${IGR}${safeName(c.name || c.label)}`;
+  const expandRange = (range) => {
+    if (!range) return range;
+    if (String(range).startsWith('xsd:')) return `${XSD}${range.slice(4)}`;
+    return range;
+  };
+  const model = { classes: [], properties: [], individuals: [] };
+  const property = (p, kind, domain) => ({
+    uri: p.uri || `${domain}_${safeName(p.name || p.label)}`,
+    label: p.label || p.name,
+    kind,
+    domain: p.domain || domain,
+    range: kind === 'literal' ? expandRange(p.range || p.type) : (p.range || p.target),
+    baseType: p.baseType,
+    required: Boolean(p.required),
+    multi: Boolean(p.multi),
+  });
+
+  for (const cls of data.classes) {
+    const uri = classUri(cls);
+    model.classes.push({ uri, label: cls.label || cls.name, baseType: cls.baseType });
+    for (const p of cls.properties || []) model.properties.push(property(p, 'literal', uri));
+    for (const r of cls.relationships || []) model.properties.push(property(r, r.subordinate ? 'array' : 'reference', uri));
+  }
+  for (const p of data.properties || []) model.properties.push(property(p, 'literal'));
+  for (const r of data.relationships || []) model.properties.push(property(r, r.subordinate ? 'array' : 'reference'));
+  return model;
+}
+
+/**
+ * Определить формат и привести онтологию к модели импорта.
+ *
+ * @param {string|Object} data — RDF/XML, { owl }, JSON-LD или { classes }
+ * @param {Function} safeName — построение локального имени IRI по метке
+ * @returns {{ classes: Object[], properties: Object[], individuals: Object[] }}
+ */
+export function parseOntology(data, safeName = n => n) {
+  if (typeof data === 'string') {
+    const text = data.trim();
+    if (text.startsWith('<')) return triplesToModel(rdfXmlToTriples(text));
+    if (text.startsWith('{')) {
+      try { return parseOntology(JSON.parse(text), safeName); }
+      catch (e) { if (e.name === 'ValidationError') throw e; throw new ValidationError(`Онтология: некорректный JSON — ${e.message}`); }
+    }
+  } else if (data && typeof data === 'object') {
+    if (typeof data.owl === 'string') return parseOntology(data.owl, safeName);
+    if (data['@graph'] || data['@context']) return triplesToModel(jsonLdToTriples(data));
+    if (Array.isArray(data.classes)) return jsonToModel(data, safeName);
+  }
+  throw new ValidationError('Онтология: ожидается OWL (RDF/XML), граф JSON-LD или { classes }');
+}
+
+// ============================================================================
+// Импорт
+// ============================================================================
+
+export class OntologyImporter {
+  /**
+   * @param {Object} databaseService — сервис доступа к БД
+   * @param {Object} deps — { typeService }
+   * @param {Object} [options]
+   */
+  constructor(databaseService, deps = {}, options = {}) {
+    this.db = databaseService;
+    this.typeService = deps.typeService;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Импортировать модель в базу.
+   *
+   * Классы → типы (up=0), DatatypeProperty → колонка + реквизит,
+   * ObjectProperty → ссылочный реквизит через строку-ссылку (up=0, t=цель, val=''),
+   * igr:subordinate → табличный реквизит. Экземпляры — корневые (up=1) или
+   * подчинённые объекты со значениями и ссылками.
+   *
+   * @param {string} db — имя базы (уже проверено)
+   * @param {Object} model — результат parseOntology()
+   * @param {Object} [options]
+   * @param {boolean} [options.individuals=false] — импортировать экземпляры
+   * @returns {Promise<Object>} { imported, created, matched, requisites, individuals, errors }
+   */
+  async import(db, model, options = {}) {
+    const result = {
+      imported: 0,
+      created: [],
+      matched: [],
+      requisites: { created: [], existing: 0 },
+      individuals: { created: 0, matched: 0, values: 0 },
+      errors: [],
+    };
+
+    const types = await this.typeService.getAllTypes(db, { includeSystem: false });
+    const state = {
+      typesByName: new Map(),
+      typeNames: new Map(),
+      refRows: new Map(),
+      classIds: new Map(),
+      requisites: new Map(),
+      requisiteRows: new Map(),
+    };
+    for (const type of types) {
+      if (type.name) this._rememberType(state, type);
+      else if (type.baseType !== type.id) state.refRows.set(Number(type.baseType), Number(type.id));
+    }
+
+    for (const cls of model.classes) {
+      try {
+        const name = String(cls.label || '').trim();
+        if (!name) throw new Error('Отсутствует имя класса');
+        const baseType = baseTypeOf(cls.baseType);
+        const existing = this._findType(state, name, baseType);
+        if (existing) {
+          state.classIds.set(cls.uri, existing.id);
+          result.matched.push({ name, typeId: existing.id });
+          continue;
+        }
+        const type = await this.typeService.createType(db, { name, baseType });
+        this._rememberType(state, { id: type.id, name, baseType });
+        state.classIds.set(cls.uri, type.id);
+        result.created.push({ name, typeId: type.id });
+      } catch (e) {
+        result.errors.push({ class: cls.uri, error: e.message });
+      }
+    }
+    result.imported = result.created.length + result.matched.length;
+
+    for (const prop of model.properties) {
+      try {
+        state.requisites.set(prop.uri, await this._importProperty(db, prop, state, result));
+      } catch (e) {
+        result.errors.push({ property: prop.uri, error: e.message });
+      }
+    }
+
+    if (options.individuals && model.individuals.length > 0) {
+      await this._importIndividuals(db, model.individuals, state, result);
+    }
+
+    this.logger.info('Ontology imported', {
+      database: db,
+      created: result.created.length,
+      matched: result.matched.length,
+      requisites: result.requisites.created.length,
+      individuals: result.individuals.created,
+    });
+    return result;
+  }
+
+  _rememberType(state, type) {
+    const key = type.name.trim().toLowerCase();
+    if (!state.typesByName.has(key)) state.typesByName.set(key, []);
+    state.typesByName.get(key).push({ id: Number(type.id), baseType: Number(type.baseType) });
+    state.typeNames.set(Number(type.id), type.name);
+  }
+
+  /** Тип по метке без учёта регистра; при нескольких — с тем же базовым типом */
+  _findType(state, name, baseType) {
+    const candidates = state.typesByName.get(String(name).trim().toLowerCase()) || [];
+    return candidates.find(t => t.baseType === baseType) || candidates[0] || null;
+  }
+
+  /** Тип-класс по IRI из этого импорта или по локальному имени IRI */
+  _resolveClass(state, uri) {
+    if (!uri) return null;
+    if (state.classIds.has(uri)) return state.classIds.get(uri);
+    const candidates = state.typesByName.get(localName(uri).replace(/_/g, ' ').toLowerCase())
+      || state.typesByName.get(localName(uri).toLowerCase());
+    return candidates?.[0]?.id ?? null;
+  }
+
+  async _importProperty(db, prop, state, result) {
+    const label = String(prop.label || '').trim();
+    if (!label) throw new Error('Отсутствует имя свойства');
+    const domainId = this._resolveClass(state, prop.domain);
+    if (!domainId) throw new Error(`Домен ${prop.domain} не найден`);
+
+    let columnId;
+    let alias = null;
+    let targetTypeId = null;
+    if (prop.kind === 'literal') {
+      const baseType = baseTypeOf(prop.baseType, prop.range);
+      let column = this._findType(state, label, baseType);
+      if (!column || column.baseType !== baseType) {
+        const type = await this.typeService.createType(db, { name: label, baseType });
+        column = { id: type.id, baseType };
+        this._rememberType(state, { id: type.id, name: label, baseType });
+      }
+      columnId = column.id;
+    } else {
+      targetTypeId = this._resolveClass(state, prop.range);
+      if (!targetTypeId) throw new Error(`Диапазон ${prop.range} не найден`);
+      if (prop.kind === 'array') {
+        columnId = targetTypeId;
+      } else {
+        columnId = await this._ensureRefRow(db, state, targetTypeId);
+        if (label !== state.typeNames.get(targetTypeId)) alias = label;
+      }
+    }
+
+    const rows = await this._requisiteRows(db, state, domainId);
+    const existing = rows.find(r => r.t === columnId
+      && (prop.kind !== 'reference' || fetchAlias(r.val, state.typeNames.get(targetTypeId)) === label));
+    if (existing) {
+      result.requisites.existing++;
+      return { id: existing.id, kind: prop.kind, multi: existing.val.includes(':MULTI:'), targetTypeId };
+    }
+
+    const attrs = `${alias ? `:ALIAS=${alias}:` : ''}${prop.required ? ':!NULL:' : ''}${prop.multi ? ':MULTI:' : ''}`;
+    const order = await this.db.getNextOrder(db, domainId);
+    const id = await this.db.insert(db, domainId, order, columnId, attrs, 'OntologyImporter.requisite');
+    rows.push({ id, t: columnId, val: attrs });
+    result.requisites.created.push({ property: prop.uri, typeId: domainId, requisiteId: id, kind: prop.kind });
+    return { id, kind: prop.kind, multi: Boolean(prop.multi), targetTypeId };
+  }
+
+  /** Строка-ссылка на тип (как _d_ref): up=0, t=цель, val='' */
+  async _ensureRefRow(db, state, targetTypeId) {
+    if (!state.refRows.has(targetTypeId)) {
+      const id = await this.db.insert(db, 0, 0, targetTypeId, '', 'OntologyImporter.ref');
+      state.refRows.set(targetTypeId, id);
+    }
+    return state.refRows.get(targetTypeId);
+  }
+
+  async _requisiteRows(db, state, typeId) {
+    if (!state.requisiteRows.has(typeId)) {
+      const { rows } = await this.db.execSql(
+        `SELECT id, t, val FROM ${db} WHERE up = ? ORDER BY ord`,
+        [typeId], 'OntologyImporter.requisites'
+      );
+      state.requisiteRows.set(typeId, (rows || []).map(r => ({ id: Number(r.id), t: Number(r.t), val: r.val || '' })));
+    }
+    return state.requisiteRows.get(typeId);
+  }
+
+  /**
+   * Экземпляры: сначала объекты (родители раньше подчинённых),
+   * затем значения — чтобы ссылки внутри импорта разрешались.
+   */
+  async _importIndividuals(db, individuals, state, result) {
+    const parentOf = new Map();
+    for (const ind of individuals) {
+      for (const value of ind.values) {
+        if (value.iri && state.requisites.get(value.property)?.kind === 'array') parentOf.set(value.iri, ind.uri);
+      }
+    }
+
+    const ids = new Map();
+    let pending = individuals;
+    while (pending.length > 0) {
+      const deferred = pending.filter(ind => parentOf.has(ind.uri) && !ids.has(parentOf.get(ind.uri))
+        && pending.some(other => other.uri === parentOf.get(ind.uri)));
+      const ready = pending.filter(ind => !deferred.includes(ind));
+      if (ready.length === 0) {
+        for (const ind of deferred) result.errors.push({ individual: ind.uri, error: 'Циклическая подчинённость' });
+        break;
+      }
+      for (const ind of ready) {
+        try {
+          const id = await this._importIndividual(db, ind, parentOf.has(ind.uri) ? ids.get(parentOf.get(ind.uri)) : 1, state, result);
+          ids.set(ind.uri, id);
+        } catch (e) {
+          result.errors.push({ individual: ind.uri, error: e.message });
+        }
+      }
+      pending = deferred;
+    }
+
+    for (const ind of individuals) {
+      if (!ids.has(ind.uri)) continue;
+      try {
+        await this._importValues(db, ind, ids, state, result);
+      } catch (e) {
+        result.errors.push({ individual: ind.uri, error: e.message });
+      }
+    }
+  }
+
+  async _importIndividual(db, ind, parentId, state, result) {
+    const typeId = this._resolveClass(state, ind.type);
+    if (!typeId) throw new Error(`Класс ${ind.type} не найден`);
+    if (!parentId) throw new Error('Родительский объект не импортирован');
+
+    const { rows } = await this.db.execSql(
+      `SELECT id FROM ${db} WHERE up = ? AND t = ? AND val = ? LIMIT 1`,
+      [parentId, typeId, ind.label], 'OntologyImporter.findObject'
+    );
+    if (rows?.length) {
+      result.individuals.matched++;
+      return Number(rows[0].id);
+    }
+    const order = await this.db.getNextOrder(db, parentId, typeId);
+    const id = await this.db.insert(db, parentId, order, typeId, ind.label, 'OntologyImporter.object');
+    result.individuals.created++;
+    return id;
+  }
+
+  async _importValues(db, ind, ids, state, result) {
+    const objectId = ids.get(ind.uri);
+    const { rows } = await this.db.execSql(
+      `SELECT id, t, val FROM ${db} WHERE up = ?`,
+      [objectId], 'OntologyImporter.values'
+    );
+    const children = (rows || []).map(r => ({ id: Number(r.id), t: Number(r.t), val: r.val ?? '' }));
+
+    for (const value of ind.values) {
+      const req = state.requisites.get(value.property);
+      if (!req || req.kind === 'array') continue;
+
+      if (req.kind === 'literal') {
+        if (value.literal === undefined) continue;
+        const current = children.filter(c => c.t === req.id);
+        if (current.some(c => String(c.val) === value.literal)) continue;
+        if (current.length > 0 && !req.multi) {
+          await this.db.updateVal(db, current[0].id, value.literal);
+          current[0].val = value.literal;
+        } else {
+          const order = await this.db.getNextOrder(db, objectId);
+          const id = await this.db.insert(db, objectId, order, req.id, value.literal, 'OntologyImporter.value');
+          children.push({ id, t: req.id, val: value.literal });
+        }
+        result.individuals.values++;
+        continue;
+      }
+
+      const targetId = ids.get(value.iri);
+      if (!targetId) {
+        result.errors.push({ individual: ind.uri, property: value.property, error: `Объект ${value.iri} не импортирован` });
+        continue;
+      }
+      if (children.some(c => c.t === targetId && String(c.val) === String(req.id))) continue;
+      const order = await this.db.getNextOrder(db, objectId);
+      const id = await this.db.insert(db, objectId, order, targetId, String(req.id), 'OntologyImporter.reference');
+      children.push({ id, t: targetId, val: String(req.id) });
+      result.individuals.values++;
+    }
+  }
+}
+
+function fetchAlias(attrs, name) {
+  const m = (attrs || '').match(/:ALIAS=(.*?):/);
+  return m ? m[1] : (name || '');
+}
+
+export default OntologyImporter;
@@ -3,9 +3,22 @@
  * Онтологический слой (#185).
  */
 
+import { BASIC_TYPES } from '@integram/common';
+import { OntologyImporter, parseOntology } from './OntologyImporter.js';
+import { SparqlService } from './SparqlService.js';
+import { ValidationService } from './ValidationService.js';
+
 const BASE_URI = 'https://integram.rf/ontology';
 const NAMESPACES = { rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#', rdfs: 'http://www.w3.org/2000/01/rdf-schema#', owl: 'http://www.w3.org/2002/07/owl#', xsd: 'http://www.w3.org/2001/XMLSchema#', igr: `${BASE_URI}#` };
-const XSD_TYPE_MAP = { 1: 'xsd:string', 2: 'xsd:integer', 3: 'xsd:decimal', 4: 'xsd:date', 5: 'xsd:dateTime', 6: 'xsd:boolean', 7: 'xsd:string', 8: 'xsd:anyURI', 9: 'xsd:string', 10: 'xsd:string' };
+/** Базовый тип Integram → XSD */
+const XSD_TYPE_MAP = { SHORT: 'xsd:string', CHARS: 'xsd:string', MEMO: 'xsd:string', HTML: 'xsd:string', NUMBER: 'xsd:integer', SIGNED: 'xsd:decimal', DATE: 'xsd:date', DATETIME: 'xsd:dateTime', BOOLEAN: 'xsd:boolean', FILE: 'xsd:anyURI', PATH: 'xsd:anyURI' };
+
+/** Реквизиты типов в терминах PHP: ссылка (refs) или табличный реквизит (arrs) */
+const REQUISITES_SQL = (db, placeholders) => `SELECT a.id, a.up, a.val AS attrs, typs.id AS typ_id, typs.val AS typ_val, typs.t AS base_t, refs.id AS ref_id, refs.val AS ref_val, arrs.id AS arr_id
+  FROM ${db} a JOIN ${db} typs ON typs.id = a.t
+  LEFT JOIN ${db} refs ON refs.id = typs.t AND refs.t != refs.id
+  LEFT JOIN ${db} arrs ON refs.id IS NULL AND arrs.up = typs.id AND arrs.ord = 1
+  WHERE a.up IN (${placeholders}) ORDER BY a.up, a.ord`;
 
 export class OntologyService {
   constructor(databaseService, deps = {}, options = {}) {
@@ -13,61 +26,121 @@ export class OntologyService {
     this.typeService = deps.typeService;
     this.objectService = deps.objectService;
     this.logger = options.logger || console;
+    this.validation = options.validationService || new ValidationService(options);
+    this.sparql = new SparqlService(databaseService, { ...options, validationService: this.validation });
+    this.importer = new OntologyImporter(databaseService, deps, options);
   }
 
   async getOntology(db) {
-    const types = await this.typeService.getAllTypes(db, { includeSystem: false });
+    return this._describeVocabulary(await this.getVocabulary(db));
+  }
+
+  _describeVocabulary(vocab) {
     const classes = [], properties = [], relationships = [];
+    for (const c of vocab.classes.values()) classes.push({ uri: c.uri, label: c.label, typeId: c.typeId, baseType: c.baseType, comment: `Тип Integram #${c.typeId}` });
+    for (const p of vocab.properties.values()) {
+      const domain = vocab.classByTypeId.get(p.typeId).uri;
+      if (p.kind === 'literal') properties.push({ uri: p.uri, label: p.label, domain, range: p.range, baseType: p.baseType, required: p.required, multi: p.multi, requisiteId: p.requisiteId });
+      else relationships.push({ uri: p.uri, label: p.label, domain, range: vocab.classByTypeId.get(p.targetTypeId)?.uri || `${BASE_URI}#type_${p.targetTypeId}`, subordinate: p.kind === 'array', required: p.required, multi: p.multi, requisiteId: p.requisiteId });
+    }
+    return { baseUri: BASE_URI, namespaces: NAMESPACES, classes, properties, relationships, stats: { classCount: classes.length, propertyCount: properties.length, relationshipCount: relationships.length } };
+  }
+
+  /**
+   * Словарь IRI базы: классы (типы), свойства (реквизиты) и IRI экземпляров.
+   * Общий для getOntology/exportJsonLd и SPARQL, поэтому IRI совпадают.
+   * Свойство: literal — значение в val, reference — ссылка на объект, array — подчинённые объекты.
+   */
+  async getVocabulary(database) {
+    const db = this.validation.validateDatabase(database);
+    const types = (await this.typeService.getAllTypes(db, { includeSystem: false })).filter(t => t.name && t.id !== t.baseType);
+    const classes = new Map(), classByTypeId = new Map(), properties = new Map(), propertiesByType = new Map();
     for (const type of types) {
-      const classUri = `${BASE_URI}#${this._safeName(type.val)}`;
-      classes.push({ uri: classUri, label: type.val, typeId: type.id, comment: `Тип Integram #${type.id}` });
-      let requisites = [];
-      try { const schema = await this.typeService.getSchema(db, type.id); requisites = schema.requisites || []; } catch (e) {}
-      for (const req of requisites) {
-        const propUri = `${BASE_URI}#${this._safeName(type.val)}_${this._safeName(req.val)}`;
-        if (req.t && req.t >= 100) {
-          relationships.push({ uri: propUri, label: req.val, domain: classUri, range: `${BASE_URI}#type_${req.t}`, requisiteId: req.id });
-        } else {
-          properties.push({ uri: propUri, label: req.val, domain: classUri, range: XSD_TYPE_MAP[req.t] || 'xsd:string', requisiteId: req.id });
-        }
+      const cls = { uri: `${BASE_URI}#${this._safeName(type.name)}`, label: type.name, typeId: type.id, baseType: BASIC_TYPES[type.baseType] || null };
+      if (!classes.has(cls.uri)) classes.set(cls.uri, cls);
+      classByTypeId.set(type.id, cls);
+      propertiesByType.set(type.id, []);
+    }
+    if (types.length > 0) {
+      const { rows } = await this.db.execSql(REQUISITES_SQL(db, types.map(() => '?').join(', ')), types.map(t => t.id), 'OntologyService.getVocabulary');
+      for (const row of rows || []) {
+        const typeId = Number(row.up), cls = classByTypeId.get(typeId);
+        if (!cls) continue;
+        const kind = row.ref_id ? 'reference' : (row.arr_id ? 'array' : 'literal');
+        // Как FetchAlias в PHP: псевдоним есть только у ссылок, прочие реквизиты названы типом колонки
+        const label = row.ref_id ? this._fetchAlias(row.attrs, row.ref_val) : row.typ_val;
+        const attrs = row.attrs || '';
+        const prop = { uri: `${BASE_URI}#${this._safeName(cls.label)}_${this._safeName(label)}`, label, typeId, requisiteId: Number(row.id), kind, targetTypeId: kind === 'reference' ? Number(row.ref_id) : (kind === 'array' ? Number(row.typ_id) : null), range: XSD_TYPE_MAP[BASIC_TYPES[row.base_t]] || 'xsd:string', baseType: kind === 'literal' ? (BASIC_TYPES[row.base_t] || null) : null, required: attrs.includes(':!NULL:'), multi: attrs.includes(':MULTI:') };
+        if (!properties.has(prop.uri)) properties.set(prop.uri, prop);
+        propertiesByType.get(typeId).push(prop);
       }
     }
-    return { baseUri: BASE_URI, namespaces: NAMESPACES, classes, properties, relationships, stats: { classCount: classes.length, propertyCount: properties.length, relationshipCount: relationships.length } };
+    const instanceBase = `${BASE_URI}/${db}/`;
+    const instancePattern = new RegExp(`^${instanceBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\d+)$`);
+    const prefixes = { ...NAMESPACES, obj: instanceBase };
+    return {
+      classes, classByTypeId, properties, propertiesByType, instanceBase, prefixes,
+      context: { ...NAMESPACES, obj: instanceBase },
+      instanceUri: id => `${instanceBase}${id}`,
+      instanceId: (uri) => { const m = String(uri).match(instancePattern); return m ? Number(m[1]) : null; },
+      compact: (uri) => { for (const [p, ns] of Object.entries(NAMESPACES)) if (uri.startsWith(ns)) return `${p}:${uri.slice(ns.length)}`; return uri; },
+    };
   }
 
-  async exportJsonLd(db) {
-    const ont = await this.getOntology(db);
+  /**
+   * Экспорт в JSON-LD. Аннотации igr:baseType/required/multi/subordinate
+   * позволяют importOntology восстановить схему без потерь.
+   * @param {Object} [options] — { instances: boolean, canReadType: async (typeId) => boolean, filterObjects: async (objects) => objects }
+   */
+  async exportJsonLd(db, options = {}) {
+    const vocab = await this.getVocabulary(db);
+    const ont = this._describeVocabulary(vocab);
     const graph = [];
-    for (const c of ont.classes) graph.push({ '@id': c.uri, '@type': 'owl:Class', 'rdfs:label': c.label, 'rdfs:comment': c.comment });
-    for (const p of ont.properties) graph.push({ '@id': p.uri, '@type': 'owl:DatatypeProperty', 'rdfs:label': p.label, 'rdfs:domain': { '@id': p.domain }, 'rdfs:range': { '@id': p.range } });
-    for (const r of ont.relationships) graph.push({ '@id': r.uri, '@type': 'owl:ObjectProperty', 'rdfs:label': r.label, 'rdfs:domain': { '@id': r.domain }, 'rdfs:range': { '@id': r.range } });
-    return { '@context': { rdf: NAMESPACES.rdf, rdfs: NAMESPACES.rdfs, owl: NAMESPACES.owl, xsd: NAMESPACES.xsd, igr: NAMESPACES.igr }, '@graph': graph };
+    for (const c of ont.classes) graph.push({ '@id': c.uri, '@type': 'owl:Class', 'rdfs:label': c.label, 'rdfs:comment': c.comment, ...(c.baseType && { 'igr:baseType': c.baseType }) });
+    for (const p of ont.properties) graph.push({ '@id': p.uri, '@type': 'owl:DatatypeProperty', 'rdfs:label': p.label, 'rdfs:domain': { '@id': p.domain }, 'rdfs:range': { '@id': p.range }, ...this._annotations(p) });
+    for (const r of ont.relationships) graph.push({ '@id': r.uri, '@type': 'owl:ObjectProperty', 'rdfs:label': r.label, 'rdfs:domain': { '@id': r.domain }, 'rdfs:range': { '@id': r.range }, ...this._annotations(r) });
+    if (!options.instances) return { '@context': { rdf: NAMESPACES.rdf, rdfs: NAMESPACES.rdfs, owl: NAMESPACES.owl, xsd: NAMESPACES.xsd, igr: NAMESPACES.igr }, '@graph': graph };
+    graph.push(...await this.sparql.describeInstances(db, vocab, options));
+    return { '@context': vocab.context, '@graph': graph };
   }
 
-  async exportOwl(db) {
-    const ont = await this.getOntology(db);
+  /** Экспорт в OWL (RDF/XML); с options.instances — и экземпляры как owl:NamedIndividual */
+  async exportOwl(db, options = {}) {
+    const vocab = await this.getVocabulary(db);
+    const ont = this._describeVocabulary(vocab);
     const l = ['<?xml version="1.0" encoding="UTF-8"?>', '<rdf:RDF'];
     for (const [p, u] of Object.entries(NAMESPACES)) l.push(`  xmlns:${p}="${u}"`);
     l.push('>', `  <owl:Ontology rdf:about="${BASE_URI}">`, `    <rdfs:label>Integram Ontology — ${db}</rdfs:label>`, '  </owl:Ontology>');
-    for (const c of ont.classes) { l.push(`  <owl:Class rdf:about="${c.uri}">`, `    <rdfs:label>${this._escapeXml(c.label)}</rdfs:label>`); if (c.comment) l.push(`    <rdfs:comment>${this._escapeXml(c.comment)}</rdfs:comment>`); l.push('  </owl:Class>'); }
-    for (const p of ont.properties) l.push(`  <owl:DatatypeProperty rdf:about="${p.uri}">`, `    <rdfs:label>${this._escapeXml(p.label)}</rdfs:label>`, `    <rdfs:domain rdf:resource="${p.domain}"/>`, `    <rdfs:range rdf:resource="${NAMESPACES.xsd}${p.range.replace('xsd:', '')}"/>`, '  </owl:DatatypeProperty>');
-    for (const r of ont.relationships) l.push(`  <owl:ObjectProperty rdf:about="${r.uri}">`, `    <rdfs:label>${this._escapeXml(r.label)}</rdfs:label>`, `    <rdfs:domain rdf:resource="${r.domain}"/>`, `    <rdfs:range rdf:resource="${r.range}"/>`, '  </owl:ObjectProperty>');
+    for (const c of ont.classes) { l.push(`  <owl:Class rdf:about="${c.uri}">`, `    <rdfs:label>${this._escapeXml(c.label)}</rdfs:label>`); if (c.comment) l.push(`    <rdfs:comment>${this._escapeXml(c.comment)}</rdfs:comment>`); if (c.baseType) l.push(`    <igr:baseType>${c.baseType}</igr:baseType>`); l.push('  </owl:Class>'); }
+    for (const p of ont.properties) l.push(`  <owl:DatatypeProperty rdf:about="${p.uri}">`, `    <rdfs:label>${this._escapeXml(p.label)}</rdfs:label>`, `    <rdfs:domain rdf:resource="${p.domain}"/>`, `    <rdfs:range rdf:resource="${NAMESPACES.xsd}${p.range.replace('xsd:', '')}"/>`, ...this._owlAnnotations(p), '  </owl:DatatypeProperty>');
+    for (const r of ont.relationships) l.push(`  <owl:ObjectProperty rdf:about="${r.uri}">`, `    <rdfs:label>${this._escapeXml(r.label)}</rdfs:label>`, `    <rdfs:domain rdf:resource="${r.domain}"/>`, `    <rdfs:range rdf:resource="${r.range}"/>`, ...this._owlAnnotations(r), '  </owl:ObjectProperty>');
+    if (options.instances) {
+      for (const node of await this.sparql.describeInstances(db, vocab, options)) {
+        l.push(`  <owl:NamedIndividual rdf:about="${this._escapeXml(node['@id'])}">`);
+        for (const [key, raw] of Object.entries(node)) {
+          if (key === '@id') continue;
+          for (const value of [].concat(raw)) {
+            if (key === '@type') l.push(`    <rdf:type rdf:resource="${this._escapeXml(this._expand(value))}"/>`);
+            else if (typeof value === 'object') l.push(`    <${key} rdf:resource="${this._escapeXml(value['@id'])}"/>`);
+            else l.push(`    <${key}>${this._escapeXml(String(value))}</${key}>`);
+          }
+        }
+        l.push('  </owl:NamedIndividual>');
+      }
+    }
     l.push('</rdf:RDF>');
     return l.join('\n');
   }
 
-  async importOntology(db, data) {
-    if (!data || !Array.isArray(data.classes)) throw new Error('ontologyData.classes должен быть массивом');
-    const created = [], errors = [];
-    for (const cls of data.classes) {
-      try {
-        const name = cls.name || cls.label;
-        if (!name) { errors.push({ class: cls, error: 'Отсутствует имя класса' }); continue; }
-        const type = await this.typeService.createType(db, { name, requisites: (cls.properties || []).map(p => ({ name: p.name || p.label, type: this._xsdToIntegram(p.range || p.type) })) });
-        created.push({ name, typeId: type.id });
-      } catch (e) { errors.push({ class: cls.name || cls.label, error: e.message }); }
-    }
-    return { imported: created.length, created, errors };
+  /**
+   * Импорт онтологии: OWL (RDF/XML), граф JSON-LD или JSON { classes, properties, relationships }.
+   * Повторный импорт сопоставляет классы с типами по метке и не создаёт дублей.
+   * @param {Object} [options] — { individuals: boolean } — импортировать экземпляры как объекты
+   */
+  async importOntology(database, data, options = {}) {
+    const db = this.validation.validateDatabase(database);
+    const model = parseOntology(data, n => this._safeName(n));
+    return this.importer.import(db, model, options);
   }
 
   async mapToSchema(db, ontologyUri) {
@@ -76,23 +149,21 @@ export class OntologyService {
     return { ontologyUri, database: db, mappings, count: mappings.length };
   }
 
-  async getSPARQL(db, query) {
-    if (!query || typeof query !== 'string') throw new Error('SPARQL-запрос обязателен');
-    const m = query.trim().match(/SELECT\s+([\s\S]*?)\s+WHERE\s*\{([\s\S]*?)\}/i);
-    if (!m) throw new Error('Поддерживается только SELECT ... WHERE { ... }');
-    const vars = m[1].trim().split(/\s+/), where = m[2].trim();
-    const tp = where.match(/\?\w+\s+(?:a|rdf:type)\s+(?:igr:)?(\w+)/i);
-    if (!tp) { const types = await this.typeService.getAllTypes(db); return { vars, bindings: types.map(t => ({ '?s': `${BASE_URI}#${this._safeName(t.val)}`, '?label': t.val, '?type': 'owl:Class' })), count: types.length }; }
-    const types = await this.typeService.getAllTypes(db);
-    const matched = types.find(t => this._safeName(t.val).toLowerCase() === tp[1].toLowerCase() || t.val.toLowerCase() === tp[1].toLowerCase());
-    if (!matched) return { vars, bindings: [], count: 0 };
-    let schema = null; try { schema = await this.typeService.getSchema(db, matched.id); } catch (e) {}
-    return { vars, bindings: [{ '?s': `${BASE_URI}#${this._safeName(matched.val)}`, '?label': matched.val, '?type': 'owl:Class', '?typeId': matched.id, '?requisites': (schema?.requisites || []).length }], count: 1 };
+  /**
+   * SPARQL по экземплярам: SELECT → { vars, bindings, count }, CONSTRUCT/DESCRIBE → JSON-LD.
+   * @param {Object} [options] — { canReadType: async (typeId) => boolean, filterObjects: async (objects) => objects }
+   */
+  async getSPARQL(db, query, options = {}) {
+    const vocab = await this.getVocabulary(db);
+    return this.sparql.execute(db, query, vocab, options);
   }
 
   _safeName(n) { if (!n) return 'unknown'; return n.replace(/\s+/g, '_').replace(/[^a-zA-Zа-яА-Я0-9_-]/g, '').replace(/^(\d)/, '_$1'); }
+  _fetchAlias(attrs, name) { const m = (attrs || '').match(/:ALIAS=(.*?):/); return m ? m[1] : (name || ''); }
   _escapeXml(s) { if (!s) return ''; return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
-  _xsdToIntegram(t) { const m = { 'xsd:string': 1, 'xsd:integer': 2, 'xsd:decimal': 3, 'xsd:date': 4, 'xsd:dateTime': 5, 'xsd:boolean': 6, 'xsd:anyURI': 8, 'string': 1, 'integer': 2, 'number': 3, 'date': 4, 'boolean': 6 }; return m[t] || 1; }
+  _expand(term) { const i = term.indexOf(':'); return NAMESPACES[term.slice(0, i)] ? NAMESPACES[term.slice(0, i)] + term.slice(i + 1) : term; }
+  _annotations(p) { return { ...(p.baseType && { 'igr:baseType': p.baseType }), ...(p.subordinate && { 'igr:subordinate': true }), ...(p.required && { 'igr:required': true }), ...(p.multi && { 'igr:multi': true }) }; }
+  _owlAnnotations(p) { return Object.entries(this._annotations(p)).map(([k, v]) => v === true ? `    <${k} rdf:datatype="${NAMESPACES.xsd}boolean">true</${k}>` : `    <${k}>${v}</${k}>`); }
 }
 
 export default OntologyService;
@@ -0,0 +1,241 @@
+/**
+ * @integram/core-data-service - PresenceService
+ *
+ * Присутствие пользователей в таблицах: кто открыл тип и какую ячейку
+ * сейчас редактирует. Клиенты шлют heartbeat; запись без heartbeat дольше
+ * ttl считается ушедшей. Данные только в памяти процесса — после рестарта
+ * клиенты восстанавливают присутствие очередным heartbeat.
+ *
+ * Изменения присутствия публикуются подписчикам (SSE-поток событий):
+ * { type: 'join'|'update'|'leave', presence }.
+ */
+
+import { EventEmitter } from 'node:events';
+import { ValidationError } from '@integram/common';
+
+/** Состояния клиента */
+export const PRESENCE_STATES = {
+  VIEW: 'view',
+  EDIT: 'edit',
+};
+
+/** Время жизни записи без heartbeat по умолчанию, мс */
+const DEFAULT_TTL = 60000;
+
+/** Ограничение длины clientId и имени поля */
+const MAX_KEY_LENGTH = 64;
+
+/**
+ * Проверить строковый ключ (clientId, field).
+ *
+ * @param {*} value
+ * @param {string} name — название для сообщения об ошибке
+ * @returns {string}
+ */
+function toKey(value, name) {
+  const key = String(value ?? '');
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\w.:-]+$/.test(key)) {
+    throw new ValidationError(`Некорректный ${name}: ${value}`);
+  }
+  return key;
+}
+
+/**
+ * Положительный целый идентификатор или null.
+ *
+ * @param {*} value
+ * @param {string} name
+ * @returns {number|null}
+ */
+function toId(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`Некорректный ${name}: ${value}`);
+  }
+  return id;
+}
+
+export class PresenceService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger]
+   * @param {number} [options.presenceTtl] — время жизни записи без heartbeat, мс
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.ttl = options.presenceTtl || DEFAULT_TTL;
+
+    // db → Map(ключ клиента → запись)
+    this.entries = new Map();
+
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+
+    // Периодически убираем клиентов, пропавших без leave (закрыли вкладку, потеряли сеть)
+    this.sweepTimer = setInterval(() => this.sweep(), Math.max(1000, Math.floor(this.ttl / 2)));
+    this.sweepTimer.unref?.();
+  }
+
+  /** Записи базы */
+  _getEntries(db) {
+    if (!this.entries.has(db)) {
+      this.entries.set(db, new Map());
+    }
+    return this.entries.get(db);
+  }
+
+  /** Опубликовать изменение присутствия */
+  _publish(db, type, entry) {
+    this.emitter.emit(db, { type, presence: { ...entry } });
+  }
+
+  /**
+   * Отметить присутствие клиента (heartbeat).
+   * Клиент однозначно определяется парой пользователь + clientId, поэтому
+   * чужой clientId не позволяет перезаписать присутствие другого пользователя.
+   *
+   * @param {string} db — имя базы
+   * @param {Object} presence
+   * @param {string} presence.clientId — идентификатор вкладки/окна
+   * @param {Object} [presence.user] — { uid, username }
+   * @param {number} presence.typeId — открытый тип
+   * @param {number} [presence.objectId] — редактируемый объект
+   * @param {string} [presence.field] — редактируемая ячейка (id реквизита или 'value')
+   * @param {string} [presence.state='view'] — 'view' | 'edit'
+   * @returns {Object} — запись присутствия
+   */
+  heartbeat(db, presence) {
+    const clientId = toKey(presence.clientId, 'clientId');
+    const typeId = toId(presence.typeId, 'typeId');
+    if (!typeId) {
+      throw new ValidationError('typeId обязателен');
+    }
+
+    const state = presence.state || PRESENCE_STATES.VIEW;
+    if (!Object.values(PRESENCE_STATES).includes(state)) {
+      throw new ValidationError(`Некорректное состояние: ${state}`);
+    }
+
+    const editing = state === PRESENCE_STATES.EDIT;
+    const objectId = editing ? toId(presence.objectId, 'objectId') : null;
+    if (editing && !objectId) {
+      throw new ValidationError('Для редактирования нужен objectId');
+    }
+
+    const userId = presence.user?.uid ?? null;
+    const key = `${userId ?? ''}:${clientId}`;
+    const entries = this._getEntries(db);
+    const previous = entries.get(key);
+
+    const entry = {
+      clientId,
+      userId,
+      username: presence.user?.username ?? null,
+      typeId,
+      objectId,
+      field: editing && presence.field !== undefined && presence.field !== null
+        ? toKey(presence.field, 'field')
+        : null,
+      state,
+      updatedAt: Date.now(),
+    };
+    entries.set(key, entry);
+
+    // Если клиент перешёл в другую таблицу, прежняя должна увидеть его уход
+    if (previous && previous.typeId !== typeId) {
+      this._publish(db, 'leave', previous);
+      this._publish(db, 'join', entry);
+    } else if (!previous) {
+      this._publish(db, 'join', entry);
+    } else if (previous.state !== entry.state || previous.objectId !== entry.objectId || previous.field !== entry.field) {
+      this._publish(db, 'update', entry);
+    }
+
+    return { ...entry };
+  }
+
+  /**
+   * Убрать присутствие клиента.
+   *
+   * @param {string} db
+   * @param {string} clientId
+   * @param {number|null} [userId]
+   * @returns {boolean} — была ли запись
+   */
+  leave(db, clientId, userId = null) {
+    const entries = this.entries.get(db);
+    const key = `${userId ?? ''}:${clientId}`;
+    const entry = entries?.get(key);
+    if (!entry) return false;
+
+    entries.delete(key);
+    this._publish(db, 'leave', entry);
+    return true;
+  }
+
+  /**
+   * Активные клиенты базы.
+   *
+   * @param {string} db
+   * @param {Object} [filter]
+   * @param {number} [filter.typeId] — только открывшие тип
+   * @returns {Array<Object>}
+   */
+  list(db, filter = {}) {
+    const entries = this.entries.get(db);
+    if (!entries) return [];
+
+    const deadline = Date.now() - this.ttl;
+    const typeId = filter.typeId ? Number(filter.typeId) : null;
+    return [...entries.values()]
+      .filter(entry => entry.updatedAt > deadline && (!typeId || entry.typeId === typeId))
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Подписаться на изменения присутствия в базе.
+   *
+   * @param {string} db
+   * @param {Function} listener — ({ type, presence }) => void
+   * @returns {Function} — отписка
+   */
+  subscribe(db, listener) {
+    this.emitter.on(db, listener);
+    return () => this.emitter.off(db, listener);
+  }
+
+  /**
+   * Удалить записи без heartbeat дольше ttl.
+   *
+   * @param {number} [now]
+   * @returns {number} — сколько записей удалено
+   */
+  sweep(now = Date.now()) {
+    const deadline = now - this.ttl;
+    let removed = 0;
+
+    for (const [db, entries] of this.entries) {
+      for (const [key, entry] of entries) {
+        if (entry.updatedAt > deadline) continue;
+        entries.delete(key);
+        this._publish(db, 'leave', entry);
+        removed++;
+      }
+      if (entries.size === 0) {
+        this.entries.delete(db);
+      }
+    }
+
+    return removed;
+  }
+
+  /** Остановить таймер очистки */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.emitter.removeAllListeners();
+    this.entries.clear();
+  }
+}
+
+export default PresenceService;
@@ -0,0 +1,602 @@
+/**
+ * @integram/core-data-service - RecordImporter
+ * Потоковый импорт записей одного типа (#184): CSV, XLSX и NDJSON →
+ * объекты с реквизитами.
+ *
+ * Строки читаются и пишутся пачками, поэтому файл в сотни тысяч строк не
+ * держится в памяти целиком (кроме XLSX: zip-контейнер читается полностью).
+ * Колонки сопоставляются со значением объекта и реквизитами, ссылочные
+ * реквизиты разрешаются по отображаемому значению, существующие объекты
+ * ищутся по ключу — значению или выбранному реквизиту — только для строк
+ * текущей пачки.
+ */
+
+import { parse as parseCsvStream } from 'csv-parse';
+import { BASIC_TYPES, ValidationError } from '@integram/common';
+
+/** Размер пачки по умолчанию */
+const DEFAULT_BATCH_SIZE = 500;
+
+/** Как часто сообщать о ходе импорта, строк */
+const DEFAULT_PROGRESS_EVERY = 1000;
+
+/** Сколько ошибок строк возвращать в отчёте (остальные только считаются) */
+const MAX_REPORT_ERRORS = 1000;
+
+/** Предел кэша разрешённых ссылок */
+const REF_CACHE_LIMIT = 100000;
+
+/** Предел размера XLSX: книга разбирается в памяти */
+const MAX_XLSX_BYTES = 100 * 1024 * 1024;
+
+/** Заголовки колонок, которые без явного сопоставления считаются значением объекта */
+const VALUE_COLUMNS = ['value', 'val', 'значение'];
+
+export const IMPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+const FORMAT_BY_MIME = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/x-jsonlines': 'ndjson',
+};
+
+const FORMAT_BY_EXTENSION = { csv: 'csv', tsv: 'csv', txt: 'csv', xlsx: 'xlsx', ndjson: 'ndjson', jsonl: 'ndjson' };
+
+// ============================================================================
+// Чтение форматов
+// ============================================================================
+
+/**
+ * Определить формат по явному параметру, MIME-типу или расширению файла.
+ *
+ * @param {Object} hints — { format, mimeType, filename }
+ * @returns {string} csv | xlsx | ndjson
+ */
+export function detectFormat({ format, mimeType, filename } = {}) {
+  if (format) {
+    const normalized = String(format).toLowerCase() === 'jsonl' ? 'ndjson' : String(format).toLowerCase();
+    if (!IMPORT_FORMATS.includes(normalized)) {
+      throw new ValidationError(`Неподдерживаемый формат: ${format}. Допустимые: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+  const mime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (FORMAT_BY_MIME[mime]) return FORMAT_BY_MIME[mime];
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  if (FORMAT_BY_EXTENSION[extension]) return FORMAT_BY_EXTENSION[extension];
+  throw new ValidationError('Не удалось определить формат файла: укажите format (csv, xlsx, ndjson)');
+}
+
+/**
+ * CSV с заголовком. Разделитель по умолчанию определяется сам: , ; или табуляция.
+ */
+export async function* readCsv(stream, options = {}) {
+  const parser = stream.pipe(parseCsvStream({
+    columns: header => header.map(h => String(h).trim()),
+    delimiter: options.delimiter || [',', ';', '\t'],
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+  }));
+  stream.on('error', error => parser.destroy(error));
+  for await (const record of parser) yield record;
+}
+
+/**
+ * NDJSON: один JSON-объект на строку, пустые строки пропускаются.
+ */
+export async function* readNdjson(stream) {
+  let buffer = '';
+  let line = 0;
+  const parseLine = (text) => {
+    line++;
+    if (!text.trim()) return null;
+    try {
+      const record = JSON.parse(text);
+      if (record && typeof record === 'object' && !Array.isArray(record)) return record;
+    } catch {
+      // сообщение ниже
+    }
+    throw new ValidationError(`NDJSON, строка ${line}: ожидается JSON-объект`);
+  };
+
+  stream.setEncoding?.('utf8');
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const record = parseLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (record) yield record;
+    }
+  }
+  const last = parseLine(buffer);
+  if (last) yield last;
+}
+
+/**
+ * XLSX: первая строка листа — заголовок. Книга читается целиком (формат zip),
+ * строки отдаются по одной.
+ */
+export async function* readXlsx(stream, options = {}) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > MAX_XLSX_BYTES) throw new ValidationError(`XLSX больше ${MAX_XLSX_BYTES / 1024 / 1024} МБ — используйте CSV или NDJSON`);
+    chunks.push(chunk);
+  }
+
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(Buffer.concat(chunks), { type: 'buffer', dense: true, cellDates: false });
+  const sheetName = options.sheet || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new ValidationError(`Лист не найден: ${sheetName}`);
+  for (const record of XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false })) yield record;
+}
+
+/**
+ * Поток записей { колонка: значение } из файла выбранного формата.
+ *
+ * @param {ReadableStream} stream — содержимое файла
+ * @param {string} format — csv | xlsx | ndjson
+ * @param {Object} [options] — { delimiter, sheet }
+ * @returns {AsyncGenerator<Object>}
+ */
+export function readRecords(stream, format, options = {}) {
+  switch (format) {
+    case 'csv': return readCsv(stream, options);
+    case 'xlsx': return readXlsx(stream, options);
+    case 'ndjson': return readNdjson(stream);
+    default: throw new ValidationError(`Неподдерживаемый формат: ${format}`);
+  }
+}
+
+// ============================================================================
+// Значения по базовым типам
+// ============================================================================
+
+/**
+ * Привести значение ячейки к формату хранения базового типа
+ * (как Format_Val в PHP: DATE — YYYYMMDD, DATETIME — unix-время, BOOLEAN — 1 или пусто).
+ *
+ * @param {string} baseType — имя базового типа (NUMBER, DATE, …)
+ * @param {string} raw — значение ячейки
+ * @returns {string}
+ * @throws {Error} если значение не подходит типу
+ */
+export function formatCell(baseType, raw) {
+  const text = String(raw).trim();
+  switch (baseType) {
+    case 'NUMBER': {
+      const normalized = text.replace(/\s/g, '');
+      if (!/^-?\d+$/.test(normalized)) throw new Error(`ожидается целое число, получено «${text}»`);
+      return String(parseInt(normalized, 10));
+    }
+    case 'SIGNED': {
+      const normalized = text.replace(/\s/g, '').replace(',', '.');
+      if (!/^-?\d+(\.\d+)?$/.test(normalized)) throw new Error(`ожидается число, получено «${text}»`);
+      return normalized;
+    }
+    case 'DATE': {
+      const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+      const local = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+      const [y, m, d] = iso ? [iso[1], iso[2], iso[3]] : local ? [local[3], local[2].padStart(2, '0'), local[1].padStart(2, '0')] : [];
+      if (!y || Number(m) < 1 || Number(m) > 12 || Number(d) < 1 || Number(d) > 31) {
+        throw new Error(`ожидается дата ГГГГ-ММ-ДД или ДД.ММ.ГГГГ, получено «${text}»`);
+      }
+      return `${y}${m}${d}`;
+    }
+    case 'DATETIME': {
+      const local = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+      const time = local
+        ? new Date(Number(local[3]), Number(local[2]) - 1, Number(local[1]), Number(local[4] || 0), Number(local[5] || 0), Number(local[6] || 0)).getTime()
+        : Date.parse(text);
+      if (Number.isNaN(time)) throw new Error(`ожидается дата и время, получено «${text}»`);
+      return String(Math.floor(time / 1000));
+    }
+    case 'BOOLEAN': {
+      const lower = text.toLowerCase();
+      if (['1', 'true', 'yes', 'да', 'x'].includes(lower)) return '1';
+      if (['0', 'false', 'no', 'нет', ''].includes(lower)) return '';
+      throw new Error(`ожидается да/нет, получено «${text}»`);
+    }
+    default:
+      return text;
+  }
+}
+
+// ============================================================================
+// RecordImporter
+// ============================================================================
+
+export class RecordImporter {
+  /**
+   * @param {Object} databaseService — сервис доступа к БД
+   * @param {Object} deps — { objectService }
+   * @param {Object} [options] — { logger }
+   */
+  constructor(databaseService, deps = {}, options = {}) {
+    this.db = databaseService;
+    this.objectService = deps.objectService;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Импортировать поток записей в тип.
+   *
+   * @param {string} database — имя базы
+   * @param {string} db — проверенное имя таблицы
+   * @param {number} typeId — тип объектов
+   * @param {AsyncIterable<Object>} records — записи { колонка: значение }
+   * @param {Object} [options]
+   * @param {Object} [options.mapping] — { колонка: 'value' | ID или имя реквизита | null }
+   * @param {string|number} [options.keyRequisite='value'] — ключ поиска существующих объектов
+   * @param {boolean} [options.skipDuplicates=false] — пропускать найденные по ключу
+   * @param {boolean} [options.updateExisting=false] — обновлять найденные по ключу
+   * @param {boolean} [options.dryRun=false] — только проверить и посчитать
+   * @param {number} [options.parentId=1] — родитель новых объектов (1 — корневые)
+   * @param {number} [options.batchSize=500]
+   * @param {Function} [options.onProgress] — (progress) => void, каждые progressEvery строк
+   * @param {number} [options.progressEvery=1000]
+   * @returns {Promise<Object>} отчёт { total, created, updated, skipped, failed, errors, errorCount, mapping, unmapped, dryRun }
+   */
+  async import(database, db, typeId, records, options = {}) {
+    const schema = await this._loadSchema(db, typeId);
+    const batchSize = Math.max(1, Math.min(parseInt(options.batchSize, 10) || DEFAULT_BATCH_SIZE, 5000));
+    const progressEvery = options.progressEvery || DEFAULT_PROGRESS_EVERY;
+    const report = {
+      dryRun: options.dryRun === true,
+      total: 0, created: 0, updated: 0, skipped: 0, failed: 0,
+      errors: [], errorCount: 0,
+      mapping: null, unmapped: [],
+    };
+    const state = {
+      schema,
+      plan: null,
+      key: null,
+      options,
+      seenKeys: new Map(),
+      refCache: new Map(),
+    };
+
+    let chunk = [];
+    let lastProgress = 0;
+    const flush = async () => {
+      await this._processChunk(database, db, typeId, chunk, state, report);
+      chunk = [];
+      if (options.onProgress && report.total - lastProgress >= progressEvery) {
+        lastProgress = report.total;
+        options.onProgress(this._progress(report));
+      }
+    };
+
+    for await (const record of records) {
+      if (!state.plan) {
+        state.plan = this._buildPlan(schema, Object.keys(record), options.mapping);
+        state.key = this._resolveKey(schema, options.keyRequisite);
+        report.mapping = state.plan.describe;
+        report.unmapped = state.plan.unmapped;
+      }
+      report.total++;
+      chunk.push({ row: report.total, record });
+      if (chunk.length >= batchSize) await flush();
+    }
+    if (chunk.length > 0) await flush();
+    if (options.onProgress && report.total !== lastProgress) options.onProgress(this._progress(report));
+
+    this.logger.info('Потоковый импорт завершён', {
+      database, typeId, dryRun: report.dryRun, total: report.total,
+      created: report.created, updated: report.updated, skipped: report.skipped, failed: report.failed,
+    });
+    return report;
+  }
+
+  _progress(report) {
+    const { total, created, updated, skipped, failed } = report;
+    return { processed: total, created, updated, skipped, failed };
+  }
+
+  // --------------------------------------------------------------------------
+  // Схема и сопоставление колонок
+  // --------------------------------------------------------------------------
+
+  /** Тип и его реквизиты в терминах PHP: колонка базового типа или ссылка на тип */
+  async _loadSchema(db, typeId) {
+    const { rows: types } = await this.db.execSql(
+      `SELECT id, val FROM ${db} WHERE id = ? AND up = 0`, [typeId], 'RecordImporter.type'
+    );
+    if (types.length === 0) throw new ValidationError(`Тип ${typeId} не найден`);
+
+    const { rows } = await this.db.execSql(
+      `SELECT a.id, a.val AS attrs, typs.val AS typ_val, typs.t AS base_t, refs.id AS ref_id
+       FROM ${db} a JOIN ${db} typs ON typs.id = a.t
+       LEFT JOIN ${db} refs ON refs.id = typs.t AND refs.t != refs.id
+       WHERE a.up = ? ORDER BY a.ord`,
+      [typeId], 'RecordImporter.requisites'
+    );
+    const requisites = rows.map((row) => {
+      const attrs = row.attrs || '';
+      const alias = attrs.match(/:ALIAS=(.*?):/)?.[1];
+      return {
+        id: Number(row.id),
+        name: alias || row.typ_val || '',
+        refTypeId: row.ref_id ? Number(row.ref_id) : null,
+        baseType: row.ref_id ? null : BASIC_TYPES[row.base_t] || null,
+        required: attrs.includes(':!NULL:'),
+      };
+    });
+    return { typeId, name: types[0].val, requisites };
+  }
+
+  /** Найти реквизит по ID или имени (без учёта регистра) */
+  _findRequisite(schema, target) {
+    if (target === null || target === undefined || target === '') return null;
+    if (/^\d+$/.test(String(target))) {
+      return schema.requisites.find(r => r.id === Number(target)) || null;
+    }
+    const lower = String(target).toLowerCase();
+    return schema.requisites.find(r => r.name.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * План сопоставления: явный mapping, остальные колонки — по имени реквизита
+   * или «value»/имени типа.
+   */
+  _buildPlan(schema, columns, mapping = {}) {
+    const plan = { valueColumn: null, requisites: [], unmapped: [], describe: {} };
+    const used = new Set();
+    const explicit = mapping || {};
+
+    for (const [column, target] of Object.entries(explicit)) {
+      if (target === null || target === false) continue;
+      if (String(target).toLowerCase() === 'value') {
+        plan.valueColumn = column;
+        plan.describe[column] = 'value';
+        continue;
+      }
+      const requisite = this._findRequisite(schema, target);
+      if (!requisite) throw new ValidationError(`Колонка «${column}»: реквизит «${target}» не найден в типе ${schema.name}`);
+      if (used.has(requisite.id)) throw new ValidationError(`Реквизит «${requisite.name}» сопоставлен нескольким колонкам`);
+      used.add(requisite.id);
+      plan.requisites.push({ column, requisite });
+      plan.describe[column] = { requisiteId: requisite.id, name: requisite.name };
+    }
+
+    for (const column of columns) {
+      if (column in explicit) continue;
+      const lower = column.toLowerCase();
+      if (!plan.valueColumn && (VALUE_COLUMNS.includes(lower) || lower === String(schema.name).toLowerCase())) {
+        plan.valueColumn = column;
+        plan.describe[column] = 'value';
+        continue;
+      }
+      const requisite = this._findRequisite(schema, column);
+      if (requisite && !used.has(requisite.id)) {
+        used.add(requisite.id);
+        plan.requisites.push({ column, requisite });
+        plan.describe[column] = { requisiteId: requisite.id, name: requisite.name };
+        continue;
+      }
+      plan.unmapped.push(column);
+    }
+
+    if (!plan.valueColumn) {
+      throw new ValidationError(`Нет колонки для значения объекта: сопоставьте одну из колонок с «value» (колонки: ${columns.join(', ')})`);
+    }
+    return plan;
+  }
+
+  /** Ключ поиска существующих объектов: значение или реквизит */
+  _resolveKey(schema, keyRequisite) {
+    if (keyRequisite === undefined || keyRequisite === null || String(keyRequisite).toLowerCase() === 'value') {
+      return { requisite: null };
+    }
+    const requisite = this._findRequisite(schema, keyRequisite);
+    if (!requisite) throw new ValidationError(`Ключевой реквизит «${keyRequisite}» не найден в типе ${schema.name}`);
+    if (requisite.refTypeId) throw new ValidationError('Ключевым может быть только реквизит-значение, не ссылка');
+    return { requisite };
+  }
+
+  // --------------------------------------------------------------------------
+  // Обработка пачки
+  // --------------------------------------------------------------------------
+
+  async _processChunk(database, db, typeId, chunk, state, report) {
+    const { plan, key, options } = state;
+    const fail = (row, message) => {
+      report.failed++;
+      report.errorCount++;
+      if (report.errors.length < MAX_REPORT_ERRORS) report.errors.push({ row, message });
+    };
+
+    // 1. Разбор и проверка значений
+    const parsed = [];
+    for (const { row, record } of chunk) {
+      const value = String(record[plan.valueColumn] ?? '').trim();
+      if (!value) { fail(row, `Пустое значение в колонке «${plan.valueColumn}»`); continue; }
+
+      const values = [];
+      const refs = [];
+      const problems = [];
+      for (const { column, requisite } of plan.requisites) {
+        const raw = record[column];
+        const empty = raw === undefined || raw === null || String(raw).trim() === '';
+        if (empty) {
+          if (requisite.required) problems.push(`«${column}»: обязательный реквизит не заполнен`);
+          continue;
+        }
+        if (requisite.refTypeId) {
+          refs.push({ requisite, display: String(raw).trim() });
+          continue;
+        }
+        try {
+          values.push({ requisite, value: formatCell(requisite.baseType, raw) });
+        } catch (error) {
+          problems.push(`«${column}»: ${error.message}`);
+        }
+      }
+      if (problems.length > 0) { fail(row, problems.join('; ')); continue; }
+      parsed.push({ row, value, values, refs });
+    }
+
+    // 2. Ссылки по отображаемому значению
+    await this._resolveReferences(db, parsed, state.refCache);
+    const resolved = [];
+    for (const item of parsed) {
+      const unresolved = item.refs.filter(ref => typeof ref.targetId !== 'number');
+      if (unresolved.length > 0) {
+        fail(item.row, unresolved.map(ref => `«${ref.requisite.name}»: ${ref.targetId}`).join('; '));
+        continue;
+      }
+      resolved.push(item);
+    }
+
+    // 3. Существующие объекты по ключу
+    const matchExisting = options.skipDuplicates === true || options.updateExisting === true;
+    for (const item of resolved) {
+      item.key = key.requisite ? item.values.find(v => v.requisite.id === key.requisite.id)?.value : item.value;
+    }
+    if (matchExisting) await this._findExisting(db, typeId, key, resolved, state.seenKeys);
+
+    // 4. Запись
+    for (const item of resolved) {
+      const existingId = matchExisting && item.key !== undefined ? state.seenKeys.get(item.key) : undefined;
+      try {
+        if (existingId !== undefined && options.updateExisting !== true) {
+          report.skipped++;
+          continue;
+        }
+        await this._checkRules(database, typeId, item, existingId ?? null, options.parentId ?? 1);
+        if (report.dryRun) {
+          if (existingId !== undefined) report.updated++;
+          else {
+            report.created++;
+            if (matchExisting && item.key !== undefined) state.seenKeys.set(item.key, null);
+          }
+          continue;
+        }
+        if (existingId !== undefined && existingId !== null) {
+          await this._update(database, db, existingId, item);
+          report.updated++;
+        } else {
+          const id = await this._create(database, db, typeId, item, options.parentId ?? 1);
+          if (matchExisting && item.key !== undefined) state.seenKeys.set(item.key, id);
+          report.created++;
+        }
+      } catch (error) {
+        fail(item.row, error.message);
+      }
+    }
+  }
+
+  /**
+   * Разрешить ссылки пачки: по одному запросу на целевой тип, с кэшем между пачками.
+   * В ref.targetId — ID объекта или текст ошибки.
+   */
+  async _resolveReferences(db, items, cache) {
+    const wanted = new Map();
+    for (const item of items) {
+      for (const ref of item.refs) {
+        const cacheKey = `${ref.requisite.refTypeId}:${ref.display}`;
+        if (cache.has(cacheKey)) continue;
+        if (!wanted.has(ref.requisite.refTypeId)) wanted.set(ref.requisite.refTypeId, new Set());
+        wanted.get(ref.requisite.refTypeId).add(ref.display);
+      }
+    }
+
+    if (cache.size > REF_CACHE_LIMIT) cache.clear();
+    for (const [refTypeId, displays] of wanted) {
+      const list = [...displays];
+      const { rows } = await this.db.execSql(
+        `SELECT id, val FROM ${db} WHERE t = ? AND up != 0 AND val IN (${list.map(() => '?').join(', ')})`,
+        [refTypeId, ...list], 'RecordImporter.references'
+      );
+      const found = new Map();
+      for (const row of rows) {
+        if (!found.has(row.val)) found.set(row.val, []);
+        found.get(row.val).push(Number(row.id));
+      }
+      for (const display of list) {
+        const ids = found.get(display) || [];
+        cache.set(`${refTypeId}:${display}`,
+          ids.length === 1 ? ids[0] : ids.length === 0 ? `«${display}» не найдено` : `«${display}» неоднозначно (${ids.length} объектов)`);
+      }
+    }
+
+    for (const item of items) {
+      for (const ref of item.refs) ref.targetId = cache.get(`${ref.requisite.refTypeId}:${ref.display}`);
+    }
+  }
+
+  /** Найти существующие объекты по ключам пачки; найденные попадают в seenKeys */
+  async _findExisting(db, typeId, key, items, seenKeys) {
+    const keys = [...new Set(items.map(i => i.key).filter(k => k !== undefined && !seenKeys.has(k)))];
+    if (keys.length === 0) return;
+    const placeholders = keys.map(() => '?').join(', ');
+    const { rows } = key.requisite
+      ? await this.db.execSql(
+        `SELECT o.id, r.val AS match_key FROM ${db} o JOIN ${db} r ON r.up = o.id AND r.t = ?
+         WHERE o.t = ? AND o.up != 0 AND r.val IN (${placeholders}) ORDER BY o.id`,
+        [key.requisite.id, typeId, ...keys], 'RecordImporter.existing'
+      )
+      : await this.db.execSql(
+        `SELECT id, val AS match_key FROM ${db} WHERE t = ? AND up != 0 AND val IN (${placeholders}) ORDER BY id`,
+        [typeId, ...keys], 'RecordImporter.existing'
+      );
+    for (const row of rows) {
+      if (!seenKeys.has(row.match_key)) seenKeys.set(row.match_key, Number(row.id));
+    }
+  }
+
+  /**
+   * Правила проверки схемы (ValidationService объектов) для строки — вместе со
+   * ссылками, которые пишутся в обход objectService; поэтому create/update
+   * получают rulesChecked.
+   */
+  async _checkRules(database, typeId, item, objectId, parentId) {
+    const validation = this.objectService.validation;
+    if (!validation) return;
+    const requisites = Object.fromEntries(item.values.map(v => [v.requisite.id, v.value]));
+    for (const ref of item.refs) requisites[ref.requisite.id] = ref.targetId;
+    await validation.validateRules(database, {
+      typeId, objectId, parentId: objectId ? undefined : parentId, value: item.value, requisites,
+    });
+  }
+
+  async _create(database, db, typeId, item, parentId) {
+    const requisites = Object.fromEntries(item.values.map(v => [v.requisite.id, v.value]));
+    const created = await this.objectService.create(database, { value: item.value, typeId, parentId, requisites, rulesChecked: true });
+    await this._writeReferences(db, created.id, item.refs, false);
+    return created.id;
+  }
+
+  async _update(database, db, objectId, item) {
+    const requisites = Object.fromEntries(item.values.map(v => [v.requisite.id, v.value]));
+    await this.objectService.update(database, objectId, { value: item.value, requisites, rulesChecked: true });
+    await this._writeReferences(db, objectId, item.refs, true);
+  }
+
+  /** Ссылка в модели PHP: строка (up = объект, t = целевой объект, val = ID реквизита) */
+  async _writeReferences(db, objectId, refs, replace) {
+    for (const ref of refs) {
+      if (replace) {
+        await this.db.execSql(
+          `DELETE r FROM ${db} r JOIN ${db} target ON target.id = r.t
+           WHERE r.up = ? AND r.val = ? AND target.t = ?`,
+          [objectId, String(ref.requisite.id), ref.requisite.refTypeId], 'RecordImporter.references.clear'
+        );
+      }
+      const order = await this.db.getNextOrder(db, objectId);
+      await this.db.insert(db, objectId, order, ref.targetId, String(ref.requisite.id), 'RecordImporter.references.insert');
+    }
+  }
+}
+
+export default RecordImporter;
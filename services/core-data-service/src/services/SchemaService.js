@@ -87,9 +87,34 @@ export class SchemaService {
    * Get full database schema: all types with requisites, counts, and relationships.
    *
    * @param {string} database - Database name
+   * @param {Object} [options]
+   * @param {Function} [options.filterTypes] - async (types) => visible types; the
+   *   cached schema is narrowed to them, relationships need both ends visible
    * @returns {Promise<Object>} Full schema object
    */
-  async getFullSchema(database) {
+  async getFullSchema(database, options = {}) {
+    const schema = await this._fullSchema(database);
+    if (!options.filterTypes) return schema;
+
+    const visible = await visibleTypeIds(schema.types, options.filterTypes);
+    const types = schema.types.filter(type => visible.has(type.id));
+    return {
+      types,
+      relationships: schema.relationships.filter(rel => visible.has(rel.fromType) && visible.has(rel.toType)),
+      stats: {
+        totalTypes: types.length,
+        totalObjects: types.reduce((sum, type) => sum + type.count, 0),
+      },
+    };
+  }
+
+  /**
+   * Unfiltered full schema, cached per database.
+   *
+   * @param {string} database - Database name
+   * @returns {Promise<Object>} Full schema object
+   */
+  async _fullSchema(database) {
     const db = this.validation.validateDatabase(database);
     const cacheKey = `fullSchema:${db}`;
 
@@ -261,9 +286,27 @@ export class SchemaService {
    * Get all reference relationships between types.
    *
    * @param {string} database - Database name
+   * @param {Object} [options]
+   * @param {Function} [options.filterTypes] - async (types) => visible types; keeps
+   *   relationships whose both ends are visible
    * @returns {Promise<Array>} Array of relationship objects
    */
-  async getRelationships(database) {
+  async getRelationships(database, options = {}) {
+    const relationships = await this._relationships(database);
+    if (!options.filterTypes) return relationships;
+
+    const ids = new Set(relationships.flatMap(rel => [rel.fromType, rel.toType]));
+    const visible = await visibleTypeIds([...ids].map(id => ({ id })), options.filterTypes);
+    return relationships.filter(rel => visible.has(rel.fromType) && visible.has(rel.toType));
+  }
+
+  /**
+   * Unfiltered relationships, cached per database.
+   *
+   * @param {string} database - Database name
+   * @returns {Promise<Array>} Array of relationship objects
+   */
+  async _relationships(database) {
     const db = this.validation.validateDatabase(database);
     const cacheKey = `relationships:${db}`;
 
@@ -320,9 +363,32 @@ export class SchemaService {
    * Статистика базы данных: количество записей по типам, общий объём.
    *
    * @param {string} database - Имя базы данных
+   * @param {Object} [options]
+   * @param {Function} [options.filterTypes] - async (types) => видимые типы; итоги считаются по ним
+   * @returns {Promise<Object>} Объект статистики
+   */
+  async getStats(database, options = {}) {
+    const stats = await this._stats(database);
+    if (!options.filterTypes) return stats;
+
+    const visible = await visibleTypeIds(stats.byType, options.filterTypes);
+    const byType = stats.byType.filter(type => visible.has(type.id));
+    return {
+      database: stats.database,
+      totalTypes: byType.length,
+      totalObjects: byType.reduce((sum, t) => sum + t.objectCount, 0),
+      totalRequisites: byType.reduce((sum, t) => sum + t.requisiteCount, 0),
+      byType,
+    };
+  }
+
+  /**
+   * Статистика без фильтра по грантам, с кэшем на базу.
+   *
+   * @param {string} database - Имя базы данных
    * @returns {Promise<Object>} Объект статистики
    */
-  async getStats(database) {
+  async _stats(database) {
     const db = this.validation.validateDatabase(database);
     const cacheKey = `stats:${db}`;
     const cached = this._getCached(cacheKey);
@@ -368,15 +434,17 @@ export class SchemaService {
    * Экспорт схемы базы данных в формат JSON Schema (draft-07).
    *
    * @param {string} database - Имя базы данных
+   * @param {Object} [options] - { filterTypes } — только видимые типы, без кэша
    * @returns {Promise<Object>} JSON Schema объект
    */
-  async exportJsonSchema(database) {
+  async exportJsonSchema(database, options = {}) {
     const db = this.validation.validateDatabase(database);
-    const cacheKey = `jsonSchema:${db}`;
-    const cached = this._getCached(cacheKey);
+    // Кэшируется только полная схема: отфильтрованная зависит от пользователя
+    const cacheKey = options.filterTypes ? null : `jsonSchema:${db}`;
+    const cached = cacheKey && this._getCached(cacheKey);
     if (cached) return cached;
 
-    const fullSchema = await this.getFullSchema(database);
+    const fullSchema = await this.getFullSchema(database, options);
 
     // Маппинг базовых типов Integram в JSON Schema типы
     const typeMapping = {
@@ -450,7 +518,7 @@ export class SchemaService {
       description: `Автоматически сгенерированная JSON Schema для базы данных ${db}`,
       definitions,
     };
-    this._setCache(cacheKey, result);
+    if (cacheKey) this._setCache(cacheKey, result);
     return result;
   }
 
@@ -458,16 +526,17 @@ export class SchemaService {
    * Генерация OpenAPI 3.0 спецификации для данной БД.
    *
    * @param {string} database - Имя базы данных
+   * @param {Object} [options] - { filterTypes } — только видимые типы, без кэша
    * @returns {Promise<Object>} OpenAPI спецификация
    */
-  async exportOpenAPI(database) {
+  async exportOpenAPI(database, options = {}) {
     const db = this.validation.validateDatabase(database);
-    const cacheKey = `openapi:${db}`;
-    const cached = this._getCached(cacheKey);
+    const cacheKey = options.filterTypes ? null : `openapi:${db}`;
+    const cached = cacheKey && this._getCached(cacheKey);
     if (cached) return cached;
 
-    const jsonSchema = await this.exportJsonSchema(database);
-    const fullSchema = await this.getFullSchema(database);
+    const jsonSchema = await this.exportJsonSchema(database, options);
+    const fullSchema = await this.getFullSchema(database, options);
 
     // Конвертируем definitions в OpenAPI components/schemas
     const schemas = {};
@@ -575,7 +644,7 @@ export class SchemaService {
       paths,
       components: { schemas },
     };
-    this._setCache(cacheKey, result);
+    if (cacheKey) this._setCache(cacheKey, result);
     return result;
   }
 
@@ -609,6 +678,7 @@ export class SchemaService {
       samples.push({
         id: obj.id,
         value: obj.val,
+        typeId: tid,
         requisites,
       });
     }
@@ -617,6 +687,21 @@ export class SchemaService {
   }
 }
 
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Ids of the types a filterTypes callback keeps.
+ *
+ * @param {Array<Object>} types - Items with an id field
+ * @param {Function} filterTypes - async (types) => visible types
+ * @returns {Promise<Set<number>>}
+ */
+async function visibleTypeIds(types, filterTypes) {
+  return new Set((await filterTypes(types)).map(type => type.id));
+}
+
 // ============================================================================
 // Export
 // ============================================================================
@@ -3,7 +3,7 @@
  *
  * Поисковый API, оптимизированный для AI-агентов.
  * Полнотекстовый поиск, фильтрация по реквизитам, агрегация,
- * обход графа связей, семантический поиск (заглушка), NL-запросы.
+ * обход графа связей, семантический (векторный) поиск, NL-запросы.
  */
 
 import {
@@ -12,7 +12,15 @@ import {
   BASIC_TYPES,
 } from '@integram/common';
 
+import {
+  buildGroupQuery,
+  shapeGroups,
+  attachPivot,
+  MAX_GROUP_LIMIT,
+} from '@integram/database';
+
 import { ValidationService } from './ValidationService.js';
+import { findSecretTypeIds } from './ObjectService.js';
 
 // ============================================================================
 // Допустимые операторы фильтрации
@@ -49,7 +57,7 @@ const MAX_GRAPH_DEPTH = 3;
 export class SearchService {
   /**
    * @param {Object} databaseService — сервис доступа к БД
-   * @param {Object} deps — зависимости (queryService, typeService, objectService)
+   * @param {Object} deps — зависимости (queryService, typeService, objectService, vectorIndex)
    * @param {Object} [options]
    */
   constructor(databaseService, deps = {}, options = {}) {
@@ -57,6 +65,7 @@ export class SearchService {
     this.queryService = deps.queryService;
     this.typeService = deps.typeService;
     this.objectService = deps.objectService;
+    this.vectorIndex = deps.vectorIndex || null;
     this.logger = options.logger || console;
     this.validation = options.validationService || new ValidationService(options);
   }
@@ -312,134 +321,111 @@ export class SearchService {
 
   /**
    * Агрегация значений реквизитов объектов заданного типа.
+   * Группировка и агрегаты считаются в БД по всем объектам типа.
+   *
+   * Многоуровневая группировка раскрывается лениво: запрос возвращает
+   * группы уровня path.length, path — значения групп верхних уровней
+   * (null — группа без значения). pivot раскладывает группы по значениям
+   * ещё одного реквизита.
    *
    * @param {string} database
    * @param {number} typeId
    * @param {Object} options
-   * @param {string} options.groupBy — имя реквизита для группировки
+   * @param {string|number|Array} options.groupBy — реквизит (имя, алиас или id; 0 — значение объекта) или массив уровней
    * @param {Array} options.metrics — [{field, fn: 'count'|'sum'|'avg'|'min'|'max'}]
-   * @returns {Promise<{groups: Array}>}
+   * @param {Array} [options.path=[]] — значения групп верхних уровней
+   * @param {string|number} [options.pivot] — реквизит для колонок сводной таблицы
+   * @param {number} [options.parentId] — только объекты с этим родителем
+   * @param {number} [options.limit] — максимум групп
+   * @param {Array<number>} [options.excludeIds] — объекты, которые не входят в группы (скрыты масками)
+   * @returns {Promise<{groups: Array, level: number, depth: number, pivotColumns?: Array}>}
    */
   async aggregate(database, typeId, options = {}) {
     const db = this.validation.validateDatabase(database);
     const type = this.validation.validateTypeId(typeId);
-    const { groupBy, metrics } = options;
+    const { groupBy, metrics, path = [], pivot, parentId, limit, excludeIds = [] } = options;
 
-    if (!groupBy) {
+    const groupFields = Array.isArray(groupBy) ? groupBy : [groupBy];
+    if (groupFields.length === 0 || groupFields.some(f => f === undefined || f === null || f === '')) {
       throw new ValidationError('Параметр groupBy обязателен');
     }
     if (!Array.isArray(metrics) || metrics.length === 0) {
       throw new ValidationError('Массив metrics обязателен и не может быть пустым');
     }
+    if (!Array.isArray(path) || path.length >= groupFields.length) {
+      throw new ValidationError('path должен быть массивом короче groupBy');
+    }
 
     // Разрешаем имена полей
     const requisites = await this.typeService.getRequisites(db, type);
     const reqMap = {};
     for (const req of requisites) {
+      reqMap[String(req.id)] = req;
       reqMap[req.name.toLowerCase()] = req;
       if (req.alias) reqMap[req.alias.toLowerCase()] = req;
     }
+    const resolve = (field) => {
+      const name = typeof field === 'object' ? field.field : field;
+      if (String(name) === '0') return { id: 0 };
+      const req = reqMap[String(name).toLowerCase()];
+      if (!req) {
+        throw new ValidationError('Реквизит "' + name + '" не найден в типе ' + typeId);
+      }
+      return { id: req.id, ref: typeof field === 'object' && Boolean(field.ref) };
+    };
 
-    const groupReq = reqMap[groupBy.toLowerCase()];
-    if (!groupReq) {
-      throw new ValidationError('Реквизит "' + groupBy + '" не найден в типе ' + typeId);
-    }
-
-    // Получаем все объекты данного типа
-    const objectsSql = 'SELECT id FROM ' + db + ' WHERE t = ? AND up != 0';
-    const objResult = await this.db.execSql(objectsSql, [type], 'SearchService.aggregate.objects');
-    const objectIds = (objResult.rows || []).map(r => r.id);
-
-    if (objectIds.length === 0) {
-      return { groups: [] };
-    }
-
-    const placeholders = objectIds.map(() => '?').join(', ');
-
-    // Получаем значения groupBy-реквизита
-    const groupSql = 'SELECT up, val FROM ' + db + ' WHERE up IN (' + placeholders + ') AND t = ?';
-    const groupResult = await this.db.execSql(groupSql, [...objectIds, groupReq.id], 'SearchService.aggregate.groupBy');
-
-    // Маппинг objectId -> groupValue
-    const groupMap = {};
-    for (const row of (groupResult.rows || [])) {
-      groupMap[row.up] = row.val;
+    const secret = await findSecretTypeIds(this.db, db);
+    for (const field of [...groupFields, ...metrics.filter(m => m.fn !== 'count').map(m => m.field), ...(pivot ? [pivot] : [])]) {
+      const { id } = resolve(field);
+      if (secret.has(id)) {
+        throw new ValidationError('Реквизит "' + (field.field ?? field) + '" секретный: по нему нельзя группировать и считать');
+      }
     }
 
-    // Для каждой метрики получаем значения
-    const metricData = {};
-    for (const metric of metrics) {
+    const levels = groupFields.map(resolve);
+    const metricDefs = metrics.map((metric) => {
       if (!metric.field || !metric.fn) {
         throw new ValidationError('Каждая метрика должна содержать field и fn');
       }
       if (!ALLOWED_AGG_FN.has(metric.fn)) {
         throw new ValidationError('Неподдерживаемая функция: ' + metric.fn + '. Допустимые: ' + [...ALLOWED_AGG_FN].join(', '));
       }
+      const key = metric.field + '_' + metric.fn;
+      // count — число объектов в группе, как и раньше
+      return metric.fn === 'count'
+        ? { fn: 'count', key }
+        : { fn: metric.fn, id: resolve(metric.field).id, key };
+    });
 
-      if (metric.fn === 'count') {
-        metricData[metric.field + '_' + metric.fn] = { fn: 'count', values: {} };
-        continue;
-      }
-
-      const metricReq = reqMap[metric.field.toLowerCase()];
-      if (!metricReq) {
-        throw new ValidationError('Реквизит "' + metric.field + '" не найден в типе ' + typeId);
-      }
-
-      const metricSql = 'SELECT up, val FROM ' + db + ' WHERE up IN (' + placeholders + ') AND t = ?';
-      const metricResult = await this.db.execSql(metricSql, [...objectIds, metricReq.id], 'SearchService.aggregate.metric');
-      const valMap = {};
-      for (const row of (metricResult.rows || [])) {
-        valMap[row.up] = parseFloat(row.val) || 0;
-      }
-      metricData[metric.field + '_' + metric.fn] = { fn: metric.fn, values: valMap, req: metricReq };
+    const where = ['a.t = ?'];
+    const params = [type];
+    if (parentId !== undefined && parentId !== null) {
+      where.push('a.up = ?');
+      params.push(this.validation.validateId(parentId));
+    } else {
+      where.push('a.up != 0');
     }
-
-    // Группируем
-    const groupBuckets = {};
-    for (const objId of objectIds) {
-      const groupVal = groupMap[objId] || '(пусто)';
-      if (!groupBuckets[groupVal]) {
-        groupBuckets[groupVal] = [];
-      }
-      groupBuckets[groupVal].push(objId);
+    // Объекты, скрытые масками роли (AccessControl.findMaskedObjectIds)
+    if (excludeIds.length > 0) {
+      where.push('a.id NOT IN (' + excludeIds.map(() => '?').join(', ') + ')');
+      params.push(...excludeIds.map(id => this.validation.validateId(id)));
     }
 
-    // Вычисляем агрегаты
-    const groups = Object.entries(groupBuckets).map(([groupValue, ids]) => {
-      const metricsResult = {};
-      for (const metric of metrics) {
-        const key = metric.field + '_' + metric.fn;
-        const data = metricData[key];
-        if (metric.fn === 'count') {
-          metricsResult[key] = ids.length;
-        } else {
-          const vals = ids.map(id => data.values[id]).filter(v => v !== undefined);
-          metricsResult[key] = this._computeAggregate(metric.fn, vals);
-        }
-      }
-      return { groupValue, count: ids.length, metrics: metricsResult };
-    });
+    const base = { table: db, levels, path, metrics: metricDefs, where, params, limit };
+    const query = buildGroupQuery(base);
+    const result = await this.db.execSql(query.sql, query.params, 'SearchService.aggregate');
+    const groups = shapeGroups(result.rows || [], { metrics: query.metrics, path, depth: levels.length })
+      .map(group => ({ groupValue: group.label ?? '(пусто)', ...group }));
 
-    groups.sort((a, b) => b.count - a.count);
+    const response = { groups, level: query.level, depth: levels.length };
 
-    return { groups };
-  }
-
-  /**
-   * Вычисление агрегатной функции для массива чисел.
-   * @private
-   */
-  _computeAggregate(fn, values) {
-    if (values.length === 0) return null;
-    switch (fn) {
-      case 'sum': return values.reduce((a, b) => a + b, 0);
-      case 'avg': return values.reduce((a, b) => a + b, 0) / values.length;
-      case 'min': return Math.min(...values);
-      case 'max': return Math.max(...values);
-      case 'count': return values.length;
-      default: return null;
+    if (pivot !== undefined && pivot !== null && pivot !== '') {
+      const pivotQuery = buildGroupQuery({ ...base, pivot: resolve(pivot), limit: MAX_GROUP_LIMIT });
+      const pivotResult = await this.db.execSql(pivotQuery.sql, pivotQuery.params, 'SearchService.aggregate.pivot');
+      response.pivotColumns = attachPivot(groups, pivotResult.rows || [], pivotQuery.metrics);
     }
+
+    return response;
   }
 
   // ==========================================================================
@@ -551,18 +537,20 @@ export class SearchService {
   }
 
   // ==========================================================================
-  // 5. Семантический поиск (заглушка)
+  // 5. Семантический поиск
   // ==========================================================================
 
   /**
-   * Семантический (векторный) поиск — заглушка.
-   * Пока выполняет fuzzy text match через LIKE и нечёткое сравнение.
+   * Семантический (векторный) поиск по значениям объектов и их текстовым реквизитам.
+   * Ранжирование — косинусная близость эмбеддингов (VectorIndex).
+   * Без векторного индекса выполняет fuzzy text match через LIKE.
    *
    * @param {string} database
    * @param {string} query — поисковый запрос
    * @param {Object} [options]
    * @param {number[]} [options.types]
    * @param {number} [options.limit]
+   * @param {number} [options.minScore] — порог близости (0..1)
    * @returns {Promise<{results: Array, engine: string}>}
    */
   async semanticSearch(database, query, options = {}) {
@@ -575,6 +563,12 @@ export class SearchService {
     const limit = options.limit ? parseInt(options.limit, 10) : DEFAULT_LIMIT;
     const types = Array.isArray(options.types) ? options.types.map(Number).filter(Boolean) : [];
 
+    if (this.vectorIndex) {
+      const minScore = options.minScore !== undefined ? Number(options.minScore) : undefined;
+      const { results, indexed } = await this.vectorIndex.search(db, text, { types, limit, minScore });
+      return { results, engine: 'vector', provider: this.vectorIndex.provider.name, indexed };
+    }
+
     // Разбиваем на слова для fuzzy-поиска
     const words = text.split(/\s+/).filter(w => w.length >= 2);
 
@@ -613,7 +607,6 @@ export class SearchService {
         relevance: r.relevance || 0,
       })),
       engine: 'fuzzy-text',
-      note: 'Семантический поиск пока работает как fuzzy text match. Векторный движок будет добавлен позднее.',
     };
   }
 
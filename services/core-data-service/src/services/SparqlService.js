@@ -0,0 +1,1107 @@
+/**
+ * @integram/core-data-service - SparqlService
+ *
+ * SPARQL поверх графа объектов Integram (#185).
+ * Поддерживается подмножество SPARQL 1.1: SELECT, CONSTRUCT и DESCRIBE,
+ * базовые графовые шаблоны, FILTER, OPTIONAL, ORDER BY и LIMIT/OFFSET.
+ * WHERE транслируется в один SQL-запрос по таблице id/up/t/val:
+ * объект — строка с up != 0, реквизит — строка с up = id объекта и t = id реквизита,
+ * ссылка — строка с up = id объекта, val = id реквизита и t = id целевого объекта.
+ */
+
+import { ValidationError } from '@integram/common';
+import { ValidationService } from './ValidationService.js';
+
+// ============================================================================
+// Константы
+// ============================================================================
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/** Лимит выдачи по умолчанию и максимальный */
+const DEFAULT_SPARQL_LIMIT = 100;
+const MAX_SPARQL_LIMIT = 1000;
+
+/** Экспорт экземпляров: предел объектов и размер пачки DESCRIBE */
+const MAX_EXPORT_INSTANCES = 10000;
+const DESCRIBE_CHUNK = 500;
+
+/** Функции FILTER и их SQL-реализации */
+const FILTER_FUNCTIONS = new Set(['bound', 'regex', 'contains', 'strstarts', 'strends', 'lcase', 'ucase', 'str']);
+
+/** Приведения к числу в ORDER BY/FILTER: xsd:integer(?x) и т.п. */
+const NUMERIC_CASTS = new Set([`${XSD}integer`, `${XSD}decimal`, `${XSD}double`, `${XSD}float`]);
+
+const COMPARISON_SQL = { '=': '=', '!=': '<>', '<': '<', '>': '>', '<=': '<=', '>=': '>=' };
+
+// ============================================================================
+// Лексер
+// ============================================================================
+
+const TOKEN_PATTERNS = [
+  ['ws', /^(?:\s+|#[^\n]*)/],
+  ['iri', /^<([^<>"{}|^`\\\s]*)>/],
+  ['var', /^[?$]([A-Za-z0-9_]+)/],
+  ['string', /^"((?:[^"\\\n]|\\.)*)"|^'((?:[^'\\\n]|\\.)*)'/],
+  ['number', /^[+-]?\d+(?:\.\d+)?/],
+  ['pname', /^([A-Za-z][\w-]*)?:([\wа-яА-ЯёЁ-]*)/],
+  ['lang', /^@([A-Za-z]+(?:-[A-Za-z0-9]+)*)/],
+  ['datatype', /^\^\^/],
+  ['op', /^(?:&&|\|\||!=|<=|>=|[=<>!])/],
+  ['punct', /^[{}().;,*]/],
+  ['name', /^[A-Za-z_][A-Za-z0-9_]*/],
+];
+
+/**
+ * Разбить текст запроса на токены.
+ * @param {string} text
+ * @returns {Array<{type: string, value: string, groups: string[]}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let rest = text;
+  while (rest.length > 0) {
+    let matched = false;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const m = rest.match(pattern);
+      if (!m) continue;
+      if (type !== 'ws') tokens.push({ type, value: m[0], groups: m.slice(1) });
+      rest = rest.slice(m[0].length);
+      matched = true;
+      break;
+    }
+    if (!matched) throw new ValidationError(`SPARQL: неожиданный символ "${rest[0]}"`);
+  }
+  return tokens;
+}
+
+function unescapeString(s) {
+  return s.replace(/\\(.)/g, (m, c) => ({ n: '\n', t: '\t', r: '\r' }[c] ?? c));
+}
+
+// ============================================================================
+// Парсер
+// ============================================================================
+
+/**
+ * Рекурсивный спуск по подмножеству грамматики SPARQL 1.1.
+ * Префиксные имена раскрываются в полные IRI на этапе разбора.
+ */
+class SparqlParser {
+  constructor(text, prefixes = {}) {
+    this.tokens = tokenize(text);
+    this.pos = 0;
+    this.prefixes = { ...prefixes };
+  }
+
+  peek(offset = 0) { return this.tokens[this.pos + offset]; }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new ValidationError('SPARQL: неожиданный конец запроса');
+    return token;
+  }
+
+  isKeyword(word, offset = 0) {
+    const t = this.peek(offset);
+    return Boolean(t && t.type === 'name' && t.value.toUpperCase() === word);
+  }
+
+  isPunct(value) {
+    const t = this.peek();
+    return Boolean(t && (t.type === 'punct' || t.type === 'op') && t.value === value);
+  }
+
+  expectKeyword(word) {
+    if (!this.isKeyword(word)) throw this.error(`ожидалось ${word}`);
+    return this.next();
+  }
+
+  expectPunct(value) {
+    if (!this.isPunct(value)) throw this.error(`ожидалось "${value}"`);
+    return this.next();
+  }
+
+  error(message) {
+    const t = this.peek();
+    return new ValidationError(`SPARQL: ${message}${t ? `, получено "${t.value}"` : ''}`);
+  }
+
+  parse() {
+    while (this.isKeyword('PREFIX') || this.isKeyword('BASE')) {
+      if (this.isKeyword('BASE')) { this.next(); this.next(); continue; }
+      this.next();
+      const name = this.next();
+      if (name.type !== 'pname' || name.groups[1]) throw this.error('ожидалось имя префикса');
+      const iri = this.next();
+      if (iri.type !== 'iri') throw this.error('ожидался IRI префикса');
+      this.prefixes[name.groups[0] || ''] = iri.groups[0];
+    }
+
+    const form = this.peek() && this.peek().value.toUpperCase();
+    let query;
+    if (form === 'SELECT') query = this.parseSelect();
+    else if (form === 'CONSTRUCT') query = this.parseConstruct();
+    else if (form === 'DESCRIBE') query = this.parseDescribe();
+    else throw this.error('поддерживаются SELECT, CONSTRUCT и DESCRIBE');
+
+    this.parseModifiers(query);
+    if (this.peek()) throw this.error('лишние токены в конце запроса');
+    return query;
+  }
+
+  parseSelect() {
+    this.next();
+    const query = { form: 'SELECT', distinct: false, variables: [] };
+    if (this.isKeyword('DISTINCT') || this.isKeyword('REDUCED')) {
+      query.distinct = this.next().value.toUpperCase() === 'DISTINCT';
+    }
+    if (this.isPunct('*')) {
+      this.next();
+      query.variables = '*';
+    } else {
+      while (this.peek() && this.peek().type === 'var') query.variables.push(this.next().groups[0]);
+      if (query.variables.length === 0) throw this.error('ожидался список переменных или *');
+    }
+    if (this.isKeyword('WHERE')) this.next();
+    query.where = this.parseGroup();
+    return query;
+  }
+
+  parseConstruct() {
+    this.next();
+    this.expectPunct('{');
+    const template = this.parseTriplesBlock('}');
+    this.expectPunct('}');
+    if (this.isKeyword('WHERE')) this.next();
+    return { form: 'CONSTRUCT', template, where: this.parseGroup() };
+  }
+
+  parseDescribe() {
+    this.next();
+    const resources = [];
+    if (this.isPunct('*')) {
+      this.next();
+      resources.push('*');
+    } else {
+      while (this.peek() && ['var', 'iri', 'pname'].includes(this.peek().type)) resources.push(this.parseTerm());
+      if (resources.length === 0) throw this.error('ожидались ресурсы для DESCRIBE');
+    }
+    let where = null;
+    if (this.isKeyword('WHERE')) this.next();
+    if (this.isPunct('{')) where = this.parseGroup();
+    return { form: 'DESCRIBE', resources, where };
+  }
+
+  parseModifiers(query) {
+    query.orderBy = [];
+    query.limit = null;
+    query.offset = 0;
+    if (this.isKeyword('ORDER')) {
+      this.next();
+      this.expectKeyword('BY');
+      while (this.peek() && (this.isKeyword('ASC') || this.isKeyword('DESC') || this.peek().type === 'var' || this.isPunct('('))) {
+        if (this.isKeyword('ASC') || this.isKeyword('DESC')) {
+          const desc = this.next().value.toUpperCase() === 'DESC';
+          this.expectPunct('(');
+          const expr = this.parseExpression();
+          this.expectPunct(')');
+          query.orderBy.push({ expr, desc });
+        } else {
+          query.orderBy.push({ expr: this.parsePrimary(), desc: false });
+        }
+      }
+      if (query.orderBy.length === 0) throw this.error('ожидалось условие сортировки');
+    }
+    for (let i = 0; i < 2; i++) {
+      if (this.isKeyword('LIMIT')) { this.next(); query.limit = this.parseInteger(); }
+      if (this.isKeyword('OFFSET')) { this.next(); query.offset = this.parseInteger(); }
+    }
+  }
+
+  parseInteger() {
+    const t = this.next();
+    if (t.type !== 'number' || !/^\d+$/.test(t.value)) throw new ValidationError(`SPARQL: ожидалось целое число, получено "${t.value}"`);
+    return parseInt(t.value, 10);
+  }
+
+  /** { triples, filters, optionals } */
+  parseGroup() {
+    this.expectPunct('{');
+    const group = { triples: [], filters: [], optionals: [] };
+    while (!this.isPunct('}')) {
+      if (this.isKeyword('FILTER')) {
+        this.next();
+        group.filters.push(this.parseBracketted());
+      } else if (this.isKeyword('OPTIONAL')) {
+        this.next();
+        const optional = this.parseGroup();
+        if (optional.optionals.length > 0) throw new ValidationError('SPARQL: вложенный OPTIONAL не поддерживается');
+        group.optionals.push(optional);
+      } else if (this.isPunct('.')) {
+        this.next();
+      } else if (this.isPunct('{') || this.isKeyword('UNION') || this.isKeyword('GRAPH') || this.isKeyword('MINUS')) {
+        throw this.error('поддерживаются только тройки, FILTER и OPTIONAL');
+      } else {
+        group.triples.push(...this.parseTriplesSameSubject());
+      }
+    }
+    this.expectPunct('}');
+    return group;
+  }
+
+  parseTriplesBlock(terminator) {
+    const triples = [];
+    while (!this.isPunct(terminator)) {
+      if (this.isPunct('.')) { this.next(); continue; }
+      triples.push(...this.parseTriplesSameSubject());
+    }
+    return triples;
+  }
+
+  /** s p o1, o2 ; p2 o3 */
+  parseTriplesSameSubject() {
+    const triples = [];
+    const s = this.parseTerm();
+    for (;;) {
+      const p = this.parseVerb();
+      for (;;) {
+        triples.push({ s, p, o: this.parseTerm() });
+        if (!this.isPunct(',')) break;
+        this.next();
+      }
+      if (!this.isPunct(';')) break;
+      this.next();
+      if (this.isPunct('.') || this.isPunct('}')) break;
+    }
+    return triples;
+  }
+
+  parseVerb() {
+    const t = this.peek();
+    if (t && t.type === 'name' && t.value === 'a') {
+      this.next();
+      return { type: 'iri', value: RDF_TYPE };
+    }
+    return this.parseTerm();
+  }
+
+  parseTerm() {
+    const t = this.next();
+    switch (t.type) {
+      case 'var': return { type: 'var', name: t.groups[0] };
+      case 'iri': return { type: 'iri', value: t.groups[0] };
+      case 'pname': return { type: 'iri', value: this.expandPrefixed(t) };
+      case 'number': return { type: 'literal', value: t.value, numeric: true };
+      case 'string': {
+        const literal = { type: 'literal', value: unescapeString(t.groups[0] ?? t.groups[1]) };
+        if (this.peek()?.type === 'lang') literal.lang = this.next().groups[0];
+        else if (this.peek()?.type === 'datatype') { this.next(); literal.datatype = this.parseTerm().value; }
+        return literal;
+      }
+      case 'name':
+        if (t.value === 'true' || t.value === 'false') return { type: 'literal', value: t.value, boolean: true };
+        break;
+      default:
+        break;
+    }
+    this.pos--;
+    throw this.error('ожидался терм');
+  }
+
+  expandPrefixed(token) {
+    const [prefix = '', local] = token.groups;
+    if (!(prefix in this.prefixes)) throw new ValidationError(`SPARQL: неизвестный префикс "${prefix}:"`);
+    return this.prefixes[prefix] + local;
+  }
+
+  // --- Выражения FILTER ---
+
+  parseBracketted() {
+    if (this.isPunct('(')) {
+      this.next();
+      const expr = this.parseExpression();
+      this.expectPunct(')');
+      return expr;
+    }
+    // FILTER regex(...) без внешних скобок
+    return this.parsePrimary();
+  }
+
+  parseExpression() {
+    let left = this.parseAnd();
+    while (this.isPunct('||')) {
+      this.next();
+      left = { type: 'or', args: [left, this.parseAnd()] };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.isPunct('&&')) {
+      this.next();
+      left = { type: 'and', args: [left, this.parseComparison()] };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    const left = this.parseUnary();
+    const t = this.peek();
+    if (t && t.type === 'op' && COMPARISON_SQL[t.value]) {
+      this.next();
+      return { type: 'cmp', op: t.value, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isPunct('!')) {
+      this.next();
+      return { type: 'not', arg: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.isPunct('(')) {
+      this.next();
+      const expr = this.parseExpression();
+      this.expectPunct(')');
+      return expr;
+    }
+    const t = this.peek();
+    if (t && (t.type === 'name' || t.type === 'pname' || t.type === 'iri') && this.peek(1)?.value === '(') {
+      this.next();
+      const name = t.type === 'name' ? t.value.toLowerCase() : (t.type === 'iri' ? t.groups[0] : this.expandPrefixed(t));
+      this.expectPunct('(');
+      const args = [];
+      while (!this.isPunct(')')) {
+        args.push(this.parseExpression());
+        if (this.isPunct(',')) this.next();
+      }
+      this.expectPunct(')');
+      return { type: 'call', name, args };
+    }
+    return this.parseTerm();
+  }
+}
+
+/**
+ * Разобрать SPARQL-запрос.
+ *
+ * @param {string} text — текст запроса
+ * @param {Object} [prefixes] — префиксы по умолчанию { igr: 'https://…#' }
+ * @returns {Object} AST: { form, variables?, distinct?, template?, resources?, where, orderBy, limit, offset }
+ */
+export function parseSparql(text, prefixes = {}) {
+  if (!text || typeof text !== 'string') throw new ValidationError('SPARQL-запрос обязателен');
+  return new SparqlParser(text, prefixes).parse();
+}
+
+// ============================================================================
+// Трансляция WHERE в SQL
+// ============================================================================
+
+/**
+ * Транслятор графового шаблона в SQL.
+ * Каждой переменной-узлу соответствует псевдоним строки объекта,
+ * переменной-значению — SQL-выражение, переменной-классу — столбец t узла.
+ */
+class PatternTranslator {
+  constructor(table, vocabulary) {
+    this.table = table;
+    this.vocab = vocabulary;
+    this.aliasCount = 0;
+    this.bindings = new Map();
+    this.varOrder = [];
+    // Все строки объектов и значений реквизитов запроса — для фильтра грантов и масок
+    this.objectAliases = [];
+    this.requisiteAliases = [];
+  }
+
+  alias(prefix) {
+    const alias = `${prefix}${this.aliasCount++}`;
+    if (prefix === 'n') this.objectAliases.push(alias);
+    return alias;
+  }
+
+  cond(sql, params = []) { return { sql, params }; }
+
+  /** Собрать SQL: FROM ... WHERE ... и список привязок */
+  translate(group) {
+    this.kinds = this.inferKinds(group);
+    if (group.triples.length === 0) throw new ValidationError('SPARQL: WHERE должен содержать хотя бы одну тройку вне OPTIONAL');
+
+    const required = { tables: [], conds: [] };
+    for (const triple of group.triples) this.addTriple(triple, required);
+
+    const optionals = group.optionals.map((optional) => {
+      const scope = { tables: [], conds: [] };
+      for (const triple of optional.triples) this.addTriple(triple, scope);
+      for (const filter of optional.filters) scope.conds.push(this.compileFilter(filter));
+      return scope;
+    });
+
+    for (const filter of group.filters) required.conds.push(this.compileFilter(filter));
+
+    const t = `\`${this.table}\``;
+    const fromParts = [`${t} ${required.tables[0]}`, ...required.tables.slice(1).map(a => `CROSS JOIN ${t} ${a}`)];
+    const params = [];
+    for (const scope of optionals) {
+      if (scope.tables.length === 0) {
+        // Все переменные OPTIONAL уже связаны — условие не может отфильтровать строки
+        continue;
+      }
+      const joined = scope.tables.length === 1
+        ? `${t} ${scope.tables[0]}`
+        : `(${scope.tables.map((a, i) => (i === 0 ? `${t} ${a}` : `CROSS JOIN ${t} ${a}`)).join(' ')})`;
+      const on = scope.conds.length > 0 ? scope.conds.map(c => c.sql).join(' AND ') : 'TRUE';
+      fromParts.push(`LEFT JOIN ${joined} ON ${on}`);
+      for (const c of scope.conds) params.push(...c.params);
+    }
+
+    const where = required.conds.map(c => c.sql).join(' AND ') || 'TRUE';
+    for (const c of required.conds) params.push(...c.params);
+
+    return { from: fromParts.join(' '), where, params };
+  }
+
+  /** Определить роль каждой переменной: node / literal / class */
+  inferKinds(group) {
+    const kinds = new Map();
+    const set = (term, kind) => {
+      if (term.type !== 'var') return;
+      if (!this.varOrder.includes(term.name)) this.varOrder.push(term.name);
+      const current = kinds.get(term.name);
+      if (current && current !== kind) {
+        throw new ValidationError(`SPARQL: переменная ?${term.name} используется в несовместимых ролях (${current}/${kind})`);
+      }
+      kinds.set(term.name, kind);
+    };
+    const visit = (triples) => {
+      for (const { s, p, o } of triples) {
+        if (p.type !== 'iri') throw new ValidationError('SPARQL: переменные в позиции предиката не поддерживаются');
+        set(s, 'node');
+        if (p.value === RDF_TYPE) set(o, 'class');
+        else if (p.value === RDFS_LABEL) set(o, 'literal');
+        else set(o, this.property(p.value).kind === 'literal' ? 'literal' : 'node');
+      }
+    };
+    visit(group.triples);
+    for (const optional of group.optionals) visit(optional.triples);
+    return kinds;
+  }
+
+  property(uri) {
+    const prop = this.vocab.properties.get(uri);
+    if (!prop) throw new ValidationError(`SPARQL: неизвестное свойство <${uri}>`);
+    return prop;
+  }
+
+  /** Псевдоним строки объекта для терма-субъекта (или объекта ссылки) */
+  nodeAlias(term, scope) {
+    if (term.type === 'var') {
+      const bound = this.bindings.get(term.name);
+      if (bound) return bound.alias;
+      const alias = this.alias('n');
+      scope.tables.push(alias);
+      scope.conds.push(this.cond(`${alias}.up != 0`));
+      this.bindings.set(term.name, { kind: 'node', alias, sql: `${alias}.id`, typeSql: `${alias}.t` });
+      return alias;
+    }
+    const id = this.instanceId(term);
+    const alias = this.alias('n');
+    scope.tables.push(alias);
+    scope.conds.push(this.cond(`${alias}.id = ?`, [id]));
+    return alias;
+  }
+
+  instanceId(term) {
+    const id = term.type === 'iri' ? this.vocab.instanceId(term.value) : null;
+    if (id === null) throw new ValidationError(`SPARQL: ожидался IRI объекта, получено ${term.value}`);
+    return id;
+  }
+
+  /** Связать переменную-значение с SQL-выражением (или сравнить с уже связанным) */
+  bindValue(term, sql, scope, kind = 'literal') {
+    if (term.type === 'literal') {
+      scope.conds.push(this.cond(`${sql} = ?`, [term.value]));
+      return;
+    }
+    if (term.type !== 'var') {
+      if (kind === 'class') {
+        const cls = this.vocab.classes.get(term.value);
+        scope.conds.push(cls ? this.cond(`${sql} = ?`, [cls.typeId]) : this.cond('FALSE'));
+        return;
+      }
+      throw new ValidationError(`SPARQL: ожидалось значение, получено <${term.value}>`);
+    }
+    const bound = this.bindings.get(term.name);
+    if (bound) {
+      scope.conds.push(this.cond(`${sql} = ${bound.sql}`));
+      return;
+    }
+    this.bindings.set(term.name, { kind, sql });
+  }
+
+  addTriple({ s, p, o }, scope) {
+    const subject = this.nodeAlias(s, scope);
+
+    if (p.value === RDF_TYPE) {
+      this.bindValue(o, `${subject}.t`, scope, 'class');
+      return;
+    }
+    if (p.value === RDFS_LABEL) {
+      this.bindValue(o, `${subject}.val`, scope);
+      return;
+    }
+
+    const prop = this.property(p.value);
+    if (prop.kind === 'literal') {
+      const alias = this.alias('v');
+      scope.tables.push(alias);
+      scope.conds.push(this.cond(`${alias}.up = ${subject}.id AND ${alias}.t = ?`, [prop.requisiteId]));
+      this.requisiteAliases.push({ alias, subject, requisiteId: prop.requisiteId });
+      this.bindValue(o, `${alias}.val`, scope);
+      return;
+    }
+
+    if (prop.kind === 'reference') {
+      // Ссылка: up = объект, val = id реквизита, t = id целевого объекта
+      const link = this.alias('l');
+      scope.tables.push(link);
+      scope.conds.push(this.cond(`${link}.up = ${subject}.id AND ${link}.val = ?`, [String(prop.requisiteId)]));
+      this.bindNode(o, `${link}.t`, scope);
+      return;
+    }
+
+    // Табличный реквизит: подчинённые объекты с t = id типа таблицы
+    const child = this.alias('n');
+    scope.tables.push(child);
+    scope.conds.push(this.cond(`${child}.up = ${subject}.id AND ${child}.t = ?`, [prop.targetTypeId]));
+    if (o.type === 'var' && !this.bindings.has(o.name)) {
+      this.bindings.set(o.name, { kind: 'node', alias: child, sql: `${child}.id`, typeSql: `${child}.t` });
+    } else {
+      this.bindNode(o, `${child}.id`, scope);
+    }
+  }
+
+  /** Связать переменную-узел с выражением id (ссылка или подчинённый объект) */
+  bindNode(term, idSql, scope) {
+    if (term.type !== 'var') {
+      scope.conds.push(this.cond(`${idSql} = ?`, [this.instanceId(term)]));
+      return;
+    }
+    const bound = this.bindings.get(term.name);
+    if (bound) {
+      scope.conds.push(this.cond(`${idSql} = ${bound.sql}`));
+      return;
+    }
+    const alias = this.alias('n');
+    scope.tables.push(alias);
+    scope.conds.push(this.cond(`${alias}.id = ${idSql}`));
+    this.bindings.set(term.name, { kind: 'node', alias, sql: `${alias}.id`, typeSql: `${alias}.t` });
+  }
+
+  // --- FILTER / ORDER BY ---
+
+  compileFilter(expr) {
+    const compiled = this.compileExpr(expr);
+    return { sql: `(${compiled.sql})`, params: compiled.params };
+  }
+
+  compileExpr(expr) {
+    switch (expr.type) {
+      case 'or':
+      case 'and': {
+        const [a, b] = expr.args.map(arg => this.compileExpr(arg));
+        return { sql: `(${a.sql} ${expr.type.toUpperCase()} ${b.sql})`, params: [...a.params, ...b.params], kind: 'bool' };
+      }
+      case 'not': {
+        const a = this.compileExpr(expr.arg);
+        return { sql: `NOT (${a.sql})`, params: a.params, kind: 'bool' };
+      }
+      case 'cmp': return this.compileComparison(expr);
+      case 'call': return this.compileCall(expr);
+      case 'var': {
+        const bound = this.bindings.get(expr.name);
+        if (!bound) return { sql: 'NULL', params: [], kind: 'literal' };
+        return { sql: bound.sql, params: [], kind: bound.kind };
+      }
+      case 'iri': {
+        const id = this.vocab.instanceId(expr.value);
+        if (id !== null) return { sql: '?', params: [id], kind: 'node' };
+        const cls = this.vocab.classes.get(expr.value);
+        if (cls) return { sql: '?', params: [cls.typeId], kind: 'class' };
+        return { sql: '?', params: [expr.value], kind: 'string' };
+      }
+      case 'literal':
+        if (expr.boolean) return { sql: expr.value === 'true' ? 'TRUE' : 'FALSE', params: [], kind: 'bool' };
+        if (expr.numeric) return { sql: '?', params: [Number(expr.value)], kind: 'number' };
+        return { sql: '?', params: [expr.value], kind: 'string' };
+      default:
+        throw new ValidationError(`SPARQL: неподдерживаемое выражение ${expr.type}`);
+    }
+  }
+
+  compileComparison(expr) {
+    let left = this.compileExpr(expr.left);
+    let right = this.compileExpr(expr.right);
+    // Числовое сравнение значения реквизита с числом
+    if (right.kind === 'number' && left.kind === 'literal') left = castNumber(left);
+    if (left.kind === 'number' && right.kind === 'literal') right = castNumber(right);
+    return {
+      sql: `${left.sql} ${COMPARISON_SQL[expr.op]} ${right.sql}`,
+      params: [...left.params, ...right.params],
+      kind: 'bool',
+    };
+  }
+
+  compileCall(expr) {
+    if (NUMERIC_CASTS.has(expr.name)) return castNumber(this.compileExpr(expr.args[0]));
+    if (!FILTER_FUNCTIONS.has(expr.name)) throw new ValidationError(`SPARQL: функция ${expr.name} не поддерживается`);
+
+    const args = expr.args.map(arg => this.compileExpr(arg));
+    const [a, b, c] = args;
+    const params = args.flatMap(arg => arg.params);
+    const need = (n) => { if (args.length < n) throw new ValidationError(`SPARQL: ${expr.name}() ожидает ${n} аргумента`); };
+
+    switch (expr.name) {
+      case 'bound':
+        need(1);
+        return { sql: `${a.sql} IS NOT NULL`, params: a.params, kind: 'bool' };
+      case 'regex':
+        need(2);
+        if (c) return { sql: `REGEXP_LIKE(${a.sql}, ${b.sql}, ${c.sql})`, params, kind: 'bool' };
+        return { sql: `REGEXP_LIKE(${a.sql}, ${b.sql}, 'c')`, params, kind: 'bool' };
+      case 'contains':
+      case 'strstarts':
+      case 'strends': {
+        need(2);
+        if (b.kind !== 'string') throw new ValidationError(`SPARQL: ${expr.name}() ожидает строковый литерал`);
+        const text = escapeLike(String(b.params[0]));
+        const pattern = expr.name === 'contains' ? `%${text}%` : (expr.name === 'strstarts' ? `${text}%` : `%${text}`);
+        return { sql: `${a.sql} LIKE ?`, params: [...a.params, pattern], kind: 'bool' };
+      }
+      case 'lcase':
+      case 'ucase':
+        need(1);
+        return { sql: `${expr.name === 'lcase' ? 'LOWER' : 'UPPER'}(${a.sql})`, params: a.params, kind: 'literal' };
+      case 'str':
+        need(1);
+        if (a.kind === 'node') {
+          return { sql: `CONCAT(?, ${a.sql})`, params: [this.vocab.instanceBase, ...a.params], kind: 'literal' };
+        }
+        return { ...a, kind: 'literal' };
+      default:
+        throw new ValidationError(`SPARQL: функция ${expr.name} не поддерживается`);
+    }
+  }
+
+  compileOrder(orderBy) {
+    const parts = [];
+    const params = [];
+    for (const { expr, desc } of orderBy) {
+      const compiled = this.compileExpr(expr);
+      parts.push(`${compiled.sql} ${desc ? 'DESC' : 'ASC'}`);
+      params.push(...compiled.params);
+    }
+    return { sql: parts.join(', '), params };
+  }
+}
+
+function castNumber(compiled) {
+  return { sql: `CAST(${compiled.sql} AS DECIMAL(30,10))`, params: compiled.params, kind: 'number' };
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, m => `\\${m}`);
+}
+
+// ============================================================================
+// SparqlService Class
+// ============================================================================
+
+export class SparqlService {
+  /**
+   * @param {Object} databaseService — сервис доступа к БД
+   * @param {Object} [options]
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.logger = options.logger || console;
+    this.validation = options.validationService || new ValidationService(options);
+  }
+
+  /**
+   * Выполнить SPARQL-запрос.
+   *
+   * Словарь (vocabulary) строит OntologyService: те же IRI классов и свойств,
+   * что и в exportJsonLd, плюс IRI экземпляров.
+   *
+   * @param {string} database — имя базы
+   * @param {string} text — текст запроса
+   * @param {Object} vocabulary — { classes, classByTypeId, properties, propertiesByType, instanceBase, instanceId(), instanceUri(), compact(), context }
+   * @param {Object} [options]
+   * @param {Function} [options.canReadType] — async (typeId) => boolean, фильтр по грантам
+   * @param {Function} [options.filterObjects] — async (objects) => видимые объекты, фильтр грантов на объекты и масок
+   * @returns {Promise<Object>} SELECT: { vars, bindings, count }; CONSTRUCT/DESCRIBE: документ JSON-LD
+   */
+  async execute(database, text, vocabulary, options = {}) {
+    const db = this.validation.validateDatabase(database);
+    const query = parseSparql(text, vocabulary.prefixes);
+    const access = accessChecks(options);
+
+    if (query.form === 'SELECT') return this._select(db, query, vocabulary, access);
+    if (query.form === 'CONSTRUCT') return this._construct(db, query, vocabulary, access);
+    return this._describe(db, query, vocabulary, access);
+  }
+
+  /**
+   * Выполнить WHERE и вернуть строки решений { var: { kind, value, typeId } }.
+   */
+  async _solve(db, query, vocabulary, access, variables = null) {
+    const { canRead, filterObjects } = access;
+    const translator = new PatternTranslator(db, vocabulary);
+    const { from, where, params } = translator.translate(query.where);
+
+    const vars = variables || translator.varOrder;
+    const columns = [];
+    for (const name of vars) {
+      const bound = translator.bindings.get(name);
+      if (!bound) { columns.push(`NULL AS \`v_${name}\``); continue; }
+      columns.push(`${bound.sql} AS \`v_${name}\``);
+      if (bound.kind === 'node') columns.push(`${bound.typeSql} AS \`t_${name}\``);
+    }
+    if (columns.length === 0) throw new ValidationError('SPARQL: нет переменных для выборки');
+    // Типы невыбранных узлов тоже проверяются грантами — иначе связь выдаёт скрытые объекты
+    const hidden = [...translator.bindings].filter(([name, b]) => b.kind === 'node' && !vars.includes(name));
+    for (const [name, bound] of hidden) columns.push(`${bound.typeSql} AS \`t_${name}\``);
+    // Для масок нужны все строки объектов и значений реквизитов, в том числе не выбранные и из FILTER
+    if (filterObjects) {
+      for (const a of translator.objectAliases) columns.push(`${a}.id AS \`o_${a}\``, `${a}.t AS \`ot_${a}\``, `${a}.val AS \`ov_${a}\``);
+      for (const { alias } of translator.requisiteAliases) columns.push(`${alias}.id AS \`r_${alias}\``, `${alias}.val AS \`rv_${alias}\``);
+    }
+
+    let sql = `SELECT ${query.distinct ? 'DISTINCT ' : ''}${columns.join(', ')} FROM ${from} WHERE ${where}`;
+    const allParams = [...params];
+    if (query.orderBy.length > 0) {
+      const order = translator.compileOrder(query.orderBy);
+      sql += ` ORDER BY ${order.sql}`;
+      allParams.push(...order.params);
+    }
+    const limit = Math.min(query.limit ?? DEFAULT_SPARQL_LIMIT, MAX_SPARQL_LIMIT);
+    sql += ' LIMIT ? OFFSET ?';
+    allParams.push(limit, query.offset || 0);
+
+    const { rows } = await this.db.execSql(sql, allParams, 'SparqlService.solve');
+    const allowed = filterObjects ? await filterRows(rows || [], translator, filterObjects) : rows || [];
+
+    const solutions = [];
+    const seen = new Set();
+    for (const row of allowed) {
+      let visible = true;
+      for (const [name] of hidden) {
+        const typeId = row[`t_${name}`];
+        if (typeId !== null && typeId !== undefined && !(await canRead(Number(typeId)))) { visible = false; break; }
+      }
+      if (!visible) continue;
+
+      const solution = {};
+      for (const name of vars) {
+        const bound = translator.bindings.get(name);
+        const value = row[`v_${name}`];
+        if (value === null || value === undefined || !bound) { solution[name] = null; continue; }
+        if (bound.kind === 'node') {
+          const typeId = Number(row[`t_${name}`]);
+          if (!(await canRead(typeId))) { visible = false; break; }
+          solution[name] = { kind: 'node', value: Number(value), typeId };
+        } else {
+          solution[name] = { kind: bound.kind, value: bound.kind === 'class' ? Number(value) : value };
+        }
+      }
+      if (!visible) continue;
+      if (query.distinct && (hidden.length > 0 || filterObjects)) {
+        const key = JSON.stringify(solution);
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+      solutions.push(solution);
+    }
+    return { vars, solutions };
+  }
+
+  async _select(db, query, vocabulary, access) {
+    const variables = query.variables === '*' ? null : query.variables;
+    const { vars, solutions } = await this._solve(db, query, vocabulary, access, variables);
+    const bindings = solutions.map((solution) => {
+      const binding = {};
+      for (const name of vars) binding[`?${name}`] = termValue(solution[name], vocabulary);
+      return binding;
+    });
+    return { vars: vars.map(v => `?${v}`), bindings, count: bindings.length };
+  }
+
+  async _construct(db, query, vocabulary, access) {
+    const { solutions } = await this._solve(db, query, vocabulary, access);
+    const graph = new GraphBuilder(vocabulary);
+
+    for (const solution of solutions) {
+      for (const { s, p, o } of query.template) {
+        const subject = templateTerm(s, solution, vocabulary);
+        const object = templateTerm(o, solution, vocabulary);
+        if (!subject || !object || subject.literal || p.type !== 'iri') continue;
+        graph.add(subject.iri, p.value, object);
+      }
+    }
+    return graph.toJsonLd();
+  }
+
+  async _describe(db, query, vocabulary, access) {
+    const ids = new Set();
+    const varNames = [];
+    for (const resource of query.resources) {
+      if (resource === '*') continue;
+      if (resource.type === 'var') { varNames.push(resource.name); continue; }
+      const id = vocabulary.instanceId(resource.value);
+      if (id !== null) ids.add(id);
+    }
+    if (query.resources.includes('*') && query.where) varNames.push(...this._whereVars(query.where));
+
+    if (varNames.length > 0) {
+      if (!query.where) throw new ValidationError('SPARQL: DESCRIBE с переменными требует WHERE');
+      const { solutions } = await this._solve(db, { ...query, distinct: true }, vocabulary, access, varNames);
+      for (const solution of solutions) {
+        for (const name of varNames) {
+          if (solution[name]?.kind === 'node') ids.add(solution[name].value);
+        }
+      }
+    }
+
+    const graph = new GraphBuilder(vocabulary);
+    if (ids.size > 0) await this._describeObjects(db, [...ids], vocabulary, access, graph);
+    return graph.toJsonLd();
+  }
+
+  /**
+   * Все объекты классов словаря как узлы JSON-LD — для экспорта онтологии с данными.
+   * Строки реквизитов (up = тип) не попадают: родитель объекта — не тип (up = 1 или объект).
+   *
+   * @param {Object} [options] — { limit, canReadType, filterObjects }
+   * @returns {Promise<Object[]>} узлы @graph
+   */
+  async describeInstances(database, vocabulary, options = {}) {
+    const db = this.validation.validateDatabase(database);
+    const typeIds = [...vocabulary.classByTypeId.keys()];
+    if (typeIds.length === 0) return [];
+    const limit = Math.min(Number(options.limit) || MAX_EXPORT_INSTANCES, MAX_EXPORT_INSTANCES);
+
+    const { rows } = await this.db.execSql(
+      `SELECT o.id FROM ${db} o JOIN ${db} p ON p.id = o.up
+       WHERE o.t IN (${typeIds.map(() => '?').join(', ')}) AND (o.up = 1 OR p.up != 0)
+       ORDER BY o.id LIMIT ?`,
+      [...typeIds, limit], 'SparqlService.describeInstances'
+    );
+    const ids = (rows || []).map(row => Number(row.id));
+    const access = accessChecks(options);
+    const graph = new GraphBuilder(vocabulary);
+    for (let i = 0; i < ids.length; i += DESCRIBE_CHUNK) {
+      await this._describeObjects(db, ids.slice(i, i + DESCRIBE_CHUNK), vocabulary, access, graph);
+    }
+    return graph.toJsonLd()['@graph'];
+  }
+
+  _whereVars(group) {
+    const names = new Set();
+    for (const { s, o } of [...group.triples, ...group.optionals.flatMap(g => g.triples)]) {
+      if (s.type === 'var') names.add(s.name);
+      if (o.type === 'var') names.add(o.name);
+    }
+    return [...names];
+  }
+
+  /**
+   * Полное описание объектов: тип, метка, реквизиты и ссылки.
+   * С access.filterObjects объекты и значения реквизитов проходят гранты на объекты и маски.
+   */
+  async _describeObjects(db, ids, vocabulary, access, graph) {
+    const { canRead, filterObjects } = access;
+    const placeholders = ids.map(() => '?').join(', ');
+    const { rows: objects } = await this.db.execSql(
+      `SELECT id, val, up, t FROM ${db} WHERE id IN (${placeholders}) AND up != 0`,
+      ids, 'SparqlService.describe.objects'
+    );
+    let visible = [];
+    for (const obj of objects || []) {
+      if (await canRead(Number(obj.t))) visible.push(obj);
+    }
+    if (visible.length === 0) return;
+
+    const visibleIds = visible.map(obj => Number(obj.id));
+    const { rows: children } = await this.db.execSql(
+      `SELECT id, val, up, t FROM ${db} WHERE up IN (${visibleIds.map(() => '?').join(', ')}) ORDER BY up, ord`,
+      visibleIds, 'SparqlService.describe.children'
+    );
+
+    const childrenByParent = new Map();
+    for (const child of children || []) {
+      const key = Number(child.up);
+      if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+      childrenByParent.get(key).push(child);
+    }
+
+    // id строк реквизитов, значения которых можно отдать (null — без фильтра)
+    let shown = null;
+    if (filterObjects) {
+      const candidates = visible.map((obj) => {
+        const literal = new Set((vocabulary.propertiesByType.get(Number(obj.t)) || [])
+          .filter(p => p.kind === 'literal').map(p => p.requisiteId));
+        const requisites = {};
+        for (const child of childrenByParent.get(Number(obj.id)) || []) {
+          const t = Number(child.t);
+          if (!literal.has(t)) continue;
+          if (!requisites[t]) requisites[t] = [];
+          requisites[t].push({ id: Number(child.id), value: child.val });
+        }
+        return { id: Number(obj.id), value: obj.val, typeId: Number(obj.t), requisites };
+      });
+      const kept = await filterObjects(candidates);
+      const keptIds = new Set(kept.map(obj => obj.id));
+      visible = visible.filter(obj => keptIds.has(Number(obj.id)));
+      shown = new Set(kept.flatMap(obj => Object.values(obj.requisites || {}).flat().map(item => item.id)));
+    }
+
+    for (const obj of visible) {
+      const id = Number(obj.id);
+      const typeId = Number(obj.t);
+      const subject = vocabulary.instanceUri(id);
+      const cls = vocabulary.classByTypeId.get(typeId);
+      graph.node(subject);
+      if (cls) graph.add(subject, RDF_TYPE, { iri: cls.uri });
+      graph.add(subject, RDFS_LABEL, { literal: obj.val });
+
+      const props = vocabulary.propertiesByType.get(typeId) || [];
+      const literalByReq = new Map(props.filter(p => p.kind === 'literal').map(p => [p.requisiteId, p]));
+      const refByKey = new Map(props.filter(p => p.kind === 'reference').map(p => [String(p.requisiteId), p]));
+      const arrByType = new Map(props.filter(p => p.kind === 'array').map(p => [p.targetTypeId, p]));
+
+      for (const child of childrenByParent.get(id) || []) {
+        const t = Number(child.t);
+        if (literalByReq.has(t)) {
+          if (!shown || shown.has(Number(child.id))) graph.add(subject, literalByReq.get(t).uri, { literal: child.val });
+        } else if (refByKey.has(String(child.val))) {
+          graph.add(subject, refByKey.get(String(child.val)).uri, { iri: vocabulary.instanceUri(t) });
+        } else if (arrByType.has(t)) {
+          graph.add(subject, arrByType.get(t).uri, { iri: vocabulary.instanceUri(Number(child.id)) });
+        }
+      }
+    }
+  }
+}
+
+// ============================================================================
+// Вспомогательные функции
+// ============================================================================
+
+/** Проверки доступа запроса: canRead по типу (с кэшем) и необязательный filterObjects */
+function accessChecks(options) {
+  return { canRead: memoizeTypeCheck(options.canReadType), filterObjects: options.filterObjects || null };
+}
+
+/**
+ * Оставить строки решений, все объекты и значения реквизитов которых проходят
+ * filterObjects — иначе скрытое значение выдаёт и выборка, и условие FILTER по нему.
+ */
+async function filterRows(rows, translator, filterObjects) {
+  const present = value => value !== null && value !== undefined;
+  const objects = new Map();
+  for (const row of rows) {
+    for (const a of translator.objectAliases) {
+      const id = row[`o_${a}`];
+      if (!present(id) || objects.has(Number(id))) continue;
+      objects.set(Number(id), { id: Number(id), value: row[`ov_${a}`], typeId: Number(row[`ot_${a}`]), requisites: {} });
+    }
+    for (const { alias, subject, requisiteId } of translator.requisiteAliases) {
+      const id = row[`r_${alias}`];
+      const owner = objects.get(Number(row[`o_${subject}`]));
+      if (!present(id) || !owner) continue;
+      if (!owner.requisites[requisiteId]) owner.requisites[requisiteId] = [];
+      const values = owner.requisites[requisiteId];
+      if (!values.some(item => item.id === Number(id))) values.push({ id: Number(id), value: row[`rv_${alias}`] });
+    }
+  }
+  if (objects.size === 0) return rows;
+
+  const kept = await filterObjects([...objects.values()]);
+  const visible = new Set(kept.map(obj => obj.id));
+  const shown = new Set(kept.flatMap(obj => Object.values(obj.requisites || {}).flat().map(item => item.id)));
+  return rows.filter(row =>
+    translator.objectAliases.every(a => !present(row[`o_${a}`]) || visible.has(Number(row[`o_${a}`]))) &&
+    translator.requisiteAliases.every(({ alias }) => !present(row[`r_${alias}`]) || shown.has(Number(row[`r_${alias}`]))));
+}
+
+function memoizeTypeCheck(check) {
+  if (!check) return async () => true;
+  const cache = new Map();
+  return async (typeId) => {
+    if (!cache.has(typeId)) cache.set(typeId, Boolean(await check(typeId)));
+    return cache.get(typeId);
+  };
+}
+
+/** Значение привязки в ответе SELECT: IRI для узлов и классов, строка для значений */
+function termValue(term, vocabulary) {
+  if (!term) return null;
+  if (term.kind === 'node') return vocabulary.instanceUri(term.value);
+  if (term.kind === 'class') return vocabulary.classByTypeId.get(term.value)?.uri || null;
+  return term.value;
+}
+
+/** Терм шаблона CONSTRUCT → { iri } | { literal } | null (не связан) */
+function templateTerm(term, solution, vocabulary) {
+  if (term.type === 'iri') return { iri: term.value };
+  if (term.type === 'literal') return { literal: term.value };
+  const value = solution[term.name];
+  if (!value) return null;
+  if (value.kind === 'literal') return { literal: value.value };
+  const iri = termValue(value, vocabulary);
+  return iri ? { iri } : null;
+}
+
+/**
+ * Построитель JSON-LD: узлы по @id, rdf:type → @type, несколько значений → массив.
+ */
+class GraphBuilder {
+  constructor(vocabulary) {
+    this.vocab = vocabulary;
+    this.nodes = new Map();
+  }
+
+  node(iri) {
+    if (!this.nodes.has(iri)) this.nodes.set(iri, { '@id': iri });
+    return this.nodes.get(iri);
+  }
+
+  add(subject, predicate, object) {
+    const node = this.node(subject);
+    const key = predicate === RDF_TYPE ? '@type' : this.vocab.compact(predicate);
+    const value = predicate === RDF_TYPE
+      ? this.vocab.compact(object.iri || object.literal)
+      : (object.iri ? { '@id': object.iri } : object.literal);
+
+    if (!(key in node)) { node[key] = value; return; }
+    const current = Array.isArray(node[key]) ? node[key] : [node[key]];
+    if (current.some(v => JSON.stringify(v) === JSON.stringify(value))) return;
+    node[key] = [...current, value];
+  }
+
+  toJsonLd() {
+    return { '@context': this.vocab.context, '@graph': [...this.nodes.values()] };
+  }
+}
+
+export default SparqlService;
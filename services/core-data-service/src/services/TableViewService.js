@@ -0,0 +1,424 @@
+/**
+ * @integram/core-data-service - TableViewService
+ *
+ * Сохранённые представления таблицы типа: порядок, ширина и видимость колонок,
+ * высоты строк, сортировка, группировка, фильтры и условное форматирование.
+ * Раньше эти настройки жили только в localStorage браузера.
+ *
+ * Представление либо личное (видно владельцу), либо ролевое (видно всем
+ * пользователям роли). Ролевыми представлениями и представлением роли
+ * по умолчанию управляют пользователи с правом на структуру (actor.canManage).
+ *
+ * Хранение — таблицы _table_views и _table_view_defaults с колонкой db,
+ * как у webhook-подписок EventService.
+ */
+
+import {
+  ValidationError,
+  AuthorizationError,
+  DuplicateError,
+} from '@integram/common';
+
+import { ValidationService } from './ValidationService.js';
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.code = 'NOT_FOUND';
+    this.statusCode = 404;
+  }
+}
+
+// ============================================================================
+// Константы
+// ============================================================================
+
+const VIEWS_TABLE = '_table_views';
+
+const DEFAULTS_TABLE = '_table_view_defaults';
+
+/** Область видимости представления */
+export const VIEW_SCOPES = {
+  PERSONAL: 'personal',
+  ROLE: 'role',
+};
+
+/** Разрешённые ключи настроек и их тип */
+const SETTING_TYPES = {
+  columns: 'array',      // [{ id, visible, width }] в порядке отображения
+  rowHeights: 'object',  // { rowId: px }
+  sort: 'array',         // [{ headerId, direction }]
+  grouping: 'array',     // headerId[] уровней группировки
+  filters: 'array',      // условия фильтра
+  formatting: 'array',   // правила условного форматирования
+  density: 'string',     // плотность строк
+};
+
+const MAX_NAME_LENGTH = 100;
+
+/** Предел размера настроек в JSON, байт */
+const MAX_SETTINGS_SIZE = 65536;
+
+const CREATE_VIEWS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS ${VIEWS_TABLE} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    db VARCHAR(64) NOT NULL,
+    type_id INT NOT NULL,
+    name VARCHAR(${MAX_NAME_LENGTH}) NOT NULL,
+    scope ENUM('personal', 'role') NOT NULL,
+    owner_id INT DEFAULT NULL,
+    role_id INT DEFAULT NULL,
+    settings JSON NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_db_type (db, type_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`;
+
+const CREATE_DEFAULTS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS ${DEFAULTS_TABLE} (
+    db VARCHAR(64) NOT NULL,
+    type_id INT NOT NULL,
+    role_id INT NOT NULL,
+    view_id BIGINT UNSIGNED NOT NULL,
+    PRIMARY KEY (db, type_id, role_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`;
+
+const VIEW_COLUMNS = 'id, type_id, name, scope, owner_id, role_id, settings, created_by, created_at, updated_at';
+
+// ============================================================================
+// TableViewService
+// ============================================================================
+
+export class TableViewService {
+  /**
+   * @param {Object} databaseService — сервис доступа к БД
+   * @param {Object} [options]
+   * @param {ValidationService} [options.validationService]
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.logger = options.logger || console;
+    this.validation = options.validationService || new ValidationService(options);
+    this._tablesReady = null;
+  }
+
+  /**
+   * Представления типа, видимые пользователю, и представление его роли по умолчанию.
+   *
+   * @param {string} database
+   * @param {number} typeId
+   * @param {Object} actor — { uid, roleId, canManage }
+   * @returns {Promise<{views: Array, defaultViewId: number|null}>}
+   */
+  async listViews(database, typeId, actor) {
+    this.validation.validateDatabase(database);
+    const type = toId(typeId, 'typeId');
+    await this.ensureTables();
+
+    const params = [database, type, VIEW_SCOPES.PERSONAL, toId(actor.uid, 'uid')];
+    let roleCondition = 'role_id = ?';
+    if (actor.canManage) {
+      roleCondition = '1 = 1';
+    } else {
+      params.push(Number(actor.roleId) || 0);
+    }
+    const { rows } = await this.db.execSql(
+      `SELECT ${VIEW_COLUMNS} FROM ${VIEWS_TABLE}
+       WHERE db = ? AND type_id = ?
+         AND ((scope = ? AND owner_id = ?) OR (scope = 'role' AND ${roleCondition}))
+       ORDER BY scope, name, id`,
+      params, 'TableViewService.listViews'
+    );
+
+    return {
+      views: (rows || []).map(formatView),
+      defaultViewId: await this._getDefaultId(database, type, actor.roleId),
+    };
+  }
+
+  /**
+   * Представление по id (404, если его нет или оно не видно пользователю).
+   */
+  async getView(database, viewId, actor) {
+    this.validation.validateDatabase(database);
+    const view = await this._load(database, viewId);
+    if (!view || !canSee(view, actor)) {
+      throw new NotFoundError(`Представление ${viewId} не найдено`);
+    }
+    return view;
+  }
+
+  /**
+   * Сохранить новое представление.
+   *
+   * @param {string} database
+   * @param {number} typeId
+   * @param {Object} data — { name, scope='personal', roleId, settings }
+   * @param {Object} actor
+   * @returns {Promise<Object>} представление
+   */
+  async createView(database, typeId, data, actor) {
+    this.validation.validateDatabase(database);
+    const type = toId(typeId, 'typeId');
+    const uid = toId(actor.uid, 'uid');
+    const name = normalizeName(data.name);
+    const { scope, roleId } = this._resolveScope(data, actor);
+    const settings = normalizeSettings(data.settings);
+    await this.ensureTables();
+    await this._checkUniqueName(database, type, name, scope, scope === VIEW_SCOPES.ROLE ? roleId : uid);
+
+    const result = await this.db.execSql(
+      `INSERT INTO ${VIEWS_TABLE} (db, type_id, name, scope, owner_id, role_id, settings, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [database, type, name, scope, scope === VIEW_SCOPES.PERSONAL ? uid : null,
+        scope === VIEW_SCOPES.ROLE ? roleId : null, JSON.stringify(settings), uid],
+      'TableViewService.createView'
+    );
+    const id = Number(result.insertId ?? result.rows?.insertId);
+
+    this.logger.info('Представление таблицы сохранено', { database, typeId: type, id, scope });
+    return this._load(database, id);
+  }
+
+  /**
+   * Изменить имя, область или настройки представления.
+   */
+  async updateView(database, viewId, data, actor) {
+    const view = await this.getView(database, viewId, actor);
+    this._checkCanModify(view, actor);
+
+    const name = data.name !== undefined ? normalizeName(data.name) : view.name;
+    const { scope, roleId } = data.scope !== undefined || data.roleId !== undefined
+      ? this._resolveScope({ scope: data.scope ?? view.scope, roleId: data.roleId ?? view.roleId }, actor)
+      : { scope: view.scope, roleId: view.roleId };
+    const settings = data.settings !== undefined ? normalizeSettings(data.settings) : view.settings;
+    const ownerId = scope === VIEW_SCOPES.PERSONAL ? (view.ownerId ?? toId(actor.uid, 'uid')) : null;
+
+    if (name !== view.name || scope !== view.scope || roleId !== view.roleId) {
+      await this._checkUniqueName(database, view.typeId, name, scope,
+        scope === VIEW_SCOPES.ROLE ? roleId : ownerId, view.id);
+    }
+
+    await this.db.execSql(
+      `UPDATE ${VIEWS_TABLE} SET name = ?, scope = ?, owner_id = ?, role_id = ?, settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND db = ?`,
+      [name, scope, ownerId, scope === VIEW_SCOPES.ROLE ? roleId : null, JSON.stringify(settings), view.id, database],
+      'TableViewService.updateView'
+    );
+    if (scope !== VIEW_SCOPES.ROLE || roleId !== view.roleId) {
+      await this._clearDefaults(database, view.id, scope === VIEW_SCOPES.ROLE ? roleId : null);
+    }
+
+    return this._load(database, view.id);
+  }
+
+  /**
+   * Удалить представление (и снять его как представление по умолчанию).
+   */
+  async deleteView(database, viewId, actor) {
+    const view = await this.getView(database, viewId, actor);
+    this._checkCanModify(view, actor);
+
+    await this.db.execSql(`DELETE FROM ${VIEWS_TABLE} WHERE id = ? AND db = ?`, [view.id, database], 'TableViewService.deleteView');
+    await this._clearDefaults(database, view.id, null);
+
+    this.logger.info('Представление таблицы удалено', { database, id: view.id });
+    return { id: view.id, deleted: true };
+  }
+
+  /**
+   * Назначить ролевое представление по умолчанию для роли (null — снять).
+   *
+   * @param {string} database
+   * @param {number} typeId
+   * @param {number} roleId
+   * @param {number|null} viewId
+   * @param {Object} actor
+   * @returns {Promise<{typeId: number, roleId: number, viewId: number|null}>}
+   */
+  async setDefaultView(database, typeId, roleId, viewId, actor) {
+    this.validation.validateDatabase(database);
+    const type = toId(typeId, 'typeId');
+    const role = toId(roleId, 'roleId');
+    if (!actor.canManage) {
+      throw new AuthorizationError('Представление по умолчанию назначает пользователь с правом на структуру');
+    }
+    await this.ensureTables();
+
+    if (viewId === null || viewId === undefined || viewId === '') {
+      await this.db.execSql(
+        `DELETE FROM ${DEFAULTS_TABLE} WHERE db = ? AND type_id = ? AND role_id = ?`,
+        [database, type, role], 'TableViewService.clearDefault'
+      );
+      return { typeId: type, roleId: role, viewId: null };
+    }
+
+    const view = await this.getView(database, viewId, actor);
+    if (view.typeId !== type || view.scope !== VIEW_SCOPES.ROLE || view.roleId !== role) {
+      throw new ValidationError('По умолчанию назначается ролевое представление этого типа и этой роли');
+    }
+
+    await this.db.execSql(
+      `INSERT INTO ${DEFAULTS_TABLE} (db, type_id, role_id, view_id) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE view_id = VALUES(view_id)`,
+      [database, type, role, view.id], 'TableViewService.setDefault'
+    );
+    return { typeId: type, roleId: role, viewId: view.id };
+  }
+
+  async ensureTables() {
+    if (!this._tablesReady) {
+      this._tablesReady = (async () => {
+        await this.db.execSql(CREATE_VIEWS_TABLE_SQL, [], 'TableViewService.ensureTables');
+        await this.db.execSql(CREATE_DEFAULTS_TABLE_SQL, [], 'TableViewService.ensureTables');
+      })().catch((e) => {
+        this._tablesReady = null;
+        throw e;
+      });
+    }
+    return this._tablesReady;
+  }
+
+  // ==========================================================================
+  // Внутренние методы
+  // ==========================================================================
+
+  async _load(database, viewId) {
+    await this.ensureTables();
+    const { rows } = await this.db.execSql(
+      `SELECT ${VIEW_COLUMNS} FROM ${VIEWS_TABLE} WHERE id = ? AND db = ?`,
+      [toId(viewId, 'viewId'), database], 'TableViewService.getView'
+    );
+    return rows?.length ? formatView(rows[0]) : null;
+  }
+
+  async _getDefaultId(database, typeId, roleId) {
+    if (!roleId) return null;
+    const { rows } = await this.db.execSql(
+      `SELECT view_id FROM ${DEFAULTS_TABLE} WHERE db = ? AND type_id = ? AND role_id = ?`,
+      [database, typeId, Number(roleId)], 'TableViewService.getDefault'
+    );
+    return rows?.length ? Number(rows[0].view_id) : null;
+  }
+
+  /** Снять представление как умолчание у всех ролей, кроме keepRoleId */
+  async _clearDefaults(database, viewId, keepRoleId) {
+    await this.db.execSql(
+      `DELETE FROM ${DEFAULTS_TABLE} WHERE db = ? AND view_id = ? AND role_id != ?`,
+      [database, viewId, keepRoleId ?? 0], 'TableViewService.clearDefaults'
+    );
+  }
+
+  /** Область из данных запроса; ролевое представление — только с правом на структуру */
+  _resolveScope(data, actor) {
+    const scope = data.scope || VIEW_SCOPES.PERSONAL;
+    if (scope === VIEW_SCOPES.PERSONAL) return { scope, roleId: null };
+    if (scope !== VIEW_SCOPES.ROLE) {
+      throw new ValidationError(`Неизвестная область представления: ${scope}`);
+    }
+    if (!actor.canManage) {
+      throw new AuthorizationError('Ролевые представления сохраняет пользователь с правом на структуру');
+    }
+    return { scope, roleId: toId(data.roleId ?? actor.roleId, 'roleId') };
+  }
+
+  _checkCanModify(view, actor) {
+    const allowed = view.scope === VIEW_SCOPES.PERSONAL
+      ? String(view.ownerId) === String(actor.uid)
+      : actor.canManage;
+    if (!allowed) {
+      throw new AuthorizationError('Нет прав на изменение представления');
+    }
+  }
+
+  /** Имя уникально среди личных представлений владельца или представлений роли */
+  async _checkUniqueName(database, typeId, name, scope, holderId, exceptId = 0) {
+    const holder = scope === VIEW_SCOPES.ROLE ? 'role_id' : 'owner_id';
+    const { rows } = await this.db.execSql(
+      `SELECT id FROM ${VIEWS_TABLE} WHERE db = ? AND type_id = ? AND scope = ? AND ${holder} = ? AND name = ? AND id != ? LIMIT 1`,
+      [database, typeId, scope, holderId, name, exceptId], 'TableViewService.checkName'
+    );
+    if (rows?.length) {
+      throw new DuplicateError('name', name);
+    }
+  }
+}
+
+// ============================================================================
+// Вспомогательные функции
+// ============================================================================
+
+function toId(value, field) {
+  const id = parseInt(value, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`Некорректный ${field}: ${value}`);
+  }
+  return id;
+}
+
+function normalizeName(value) {
+  const name = String(value ?? '').trim();
+  if (!name) throw new ValidationError('Имя представления обязательно');
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Имя представления длиннее ${MAX_NAME_LENGTH} символов`);
+  }
+  return name;
+}
+
+/**
+ * Оставить известные ключи настроек, проверив их тип.
+ *
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export function normalizeSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ValidationError('Настройки представления должны быть объектом');
+  }
+
+  const result = {};
+  for (const [key, type] of Object.entries(SETTING_TYPES)) {
+    const value = settings[key];
+    if (value === undefined || value === null) continue;
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== type) {
+      throw new ValidationError(`Настройка ${key} должна быть типа ${type}`);
+    }
+    result[key] = value;
+  }
+
+  if (Buffer.byteLength(JSON.stringify(result)) > MAX_SETTINGS_SIZE) {
+    throw new ValidationError(`Настройки представления больше ${MAX_SETTINGS_SIZE} байт`);
+  }
+  return result;
+}
+
+function canSee(view, actor) {
+  if (view.scope === VIEW_SCOPES.PERSONAL) return String(view.ownerId) === String(actor.uid);
+  return Boolean(actor.canManage) || view.roleId === Number(actor.roleId);
+}
+
+function formatView(row) {
+  return {
+    id: Number(row.id),
+    typeId: Number(row.type_id),
+    name: row.name,
+    scope: row.scope,
+    ownerId: row.owner_id === null || row.owner_id === undefined ? null : Number(row.owner_id),
+    roleId: row.role_id === null || row.role_id === undefined ? null : Number(row.role_id),
+    settings: typeof row.settings === 'string' ? JSON.parse(row.settings) : (row.settings || {}),
+    createdBy: row.created_by === null || row.created_by === undefined ? null : Number(row.created_by),
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+  };
+}
+
+function toIso(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+export default TableViewService;
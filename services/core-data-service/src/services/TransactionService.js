@@ -4,13 +4,22 @@
  * Palantir Foundry-style версионирование транзакций для объектов Integram.
  * Записывает каждую операцию create/update/delete как неизменяемый лог транзакций,
  * обеспечивая полную историю версий, diff и откат.
+ *
+ * Групповые транзакции (begin/commit/rollback-group) — настоящие транзакции MySQL
+ * на выделенном соединении с таймаутом; версия объекта из лога служит для
+ * оптимистической блокировки (If-Match).
  */
 
 import {
+  AuthorizationError,
+  IntegramError,
   ValidationError,
   ObjectNotFoundError,
+  VersionConflictError,
 } from '@integram/common';
 
+import { ValidationService } from './ValidationService.js';
+
 // ============================================================================
 // Константы
 // ============================================================================
@@ -31,6 +40,30 @@ const TX_STATUS = {
   ROLLED_BACK: 'ROLLED_BACK',
 };
 
+/** Таймаут групповой транзакции по умолчанию, мс: по истечении — автоматический откат */
+const DEFAULT_TX_TIMEOUT = 30000;
+
+/** Верхняя граница таймаута, которую может запросить клиент, мс */
+const MAX_TX_TIMEOUT = 300000;
+
+/** Транзакция без запросов дольше этого откатывается, мс — соединение не простаивает */
+const DEFAULT_TX_IDLE_TIMEOUT = 10000;
+
+/** Открытых групповых транзакций одновременно: каждая держит соединение пула */
+const DEFAULT_MAX_TRANSACTIONS = 5;
+
+/** Открытых групповых транзакций одного пользователя */
+const DEFAULT_MAX_TRANSACTIONS_PER_USER = 2;
+
+/** Предел строк поддерева для восстановления на момент времени */
+const MAX_RESTORE_ROWS = 10000;
+
+/** Предел записей лога после момента восстановления */
+const MAX_RESTORE_LOG = 50000;
+
+/** Колонки строки объекта */
+const ROW_COLUMNS = 'id, val, up, t, ord';
+
 /**
  * SQL для создания таблицы транзакций.
  * Включает поле version для нумерации версий объекта и tx_group_id для группировки.
@@ -38,6 +71,7 @@ const TX_STATUS = {
 const CREATE_TABLE_SQL = `
   CREATE TABLE IF NOT EXISTS ${TRANSACTIONS_TABLE} (
     id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    database_name VARCHAR(64) DEFAULT NULL,
     agent_id VARCHAR(255) DEFAULT NULL,
     action ENUM('CREATE', 'UPDATE', 'DELETE') NOT NULL,
     target_id INT NOT NULL,
@@ -52,6 +86,7 @@ const CREATE_TABLE_SQL = `
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     INDEX idx_target_id (target_id),
     INDEX idx_target_version (target_id, version),
+    INDEX idx_db_target_version (database_name, target_id, version),
     INDEX idx_session_id (session_id),
     INDEX idx_tx_group (tx_group_id),
     INDEX idx_tx_status (tx_status),
@@ -60,6 +95,13 @@ const CREATE_TABLE_SQL = `
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
 `;
 
+/** Колонка базы для таблиц, созданных до её появления (записи без базы — NULL) */
+const ADD_DATABASE_COLUMN_SQL = `ALTER TABLE ${TRANSACTIONS_TABLE} ADD COLUMN database_name VARCHAR(64) DEFAULT NULL AFTER id`;
+
+/** Индекс версий объекта в базе; в MySQL нет CREATE INDEX IF NOT EXISTS — сначала SHOW INDEX */
+const DATABASE_VERSION_INDEX = 'idx_db_target_version';
+const ADD_DATABASE_VERSION_INDEX_SQL = `ALTER TABLE ${TRANSACTIONS_TABLE} ADD INDEX ${DATABASE_VERSION_INDEX} (database_name, target_id, version)`;
+
 // ============================================================================
 // TransactionService Class
 // ============================================================================
@@ -68,6 +110,11 @@ export class TransactionService {
   constructor(databaseService, options = {}) {
     this.db = databaseService;
     this.logger = options.logger || console;
+    this.validation = options.validationService || new ValidationService(options);
+    this.transactionTimeout = options.transactionTimeout || DEFAULT_TX_TIMEOUT;
+    this.idleTimeout = options.transactionIdleTimeout || DEFAULT_TX_IDLE_TIMEOUT;
+    this.maxTransactions = options.maxTransactions || DEFAULT_MAX_TRANSACTIONS;
+    this.maxTransactionsPerUser = options.maxTransactionsPerUser || DEFAULT_MAX_TRANSACTIONS_PER_USER;
     this._initializedDatabases = new Set();
     this._pendingTransactions = new Map();
   }
@@ -75,62 +122,202 @@ export class TransactionService {
   async ensureTransactionTable(database) {
     if (this._initializedDatabases.has(database)) return;
     await this.db.execSql(CREATE_TABLE_SQL, [], 'TransactionService.ensureTable');
+    const { rows } = await this.db.execSql(`SHOW COLUMNS FROM ${TRANSACTIONS_TABLE} LIKE 'database_name'`, [], 'TransactionService.ensureTable.columns');
+    if (rows.length === 0) {
+      await this.db.execSql(ADD_DATABASE_COLUMN_SQL, [], 'TransactionService.ensureTable.database');
+    }
+    const { rows: indexes } = await this.db.execSql(`SHOW INDEX FROM ${TRANSACTIONS_TABLE} WHERE Key_name = '${DATABASE_VERSION_INDEX}'`, [], 'TransactionService.ensureTable.indexes');
+    if (indexes.length === 0) {
+      await this.db.execSql(ADD_DATABASE_VERSION_INDEX_SQL, [], 'TransactionService.ensureTable.index');
+    }
     this._initializedDatabases.add(database);
     this.logger.info('Таблица транзакций создана/проверена', { database });
   }
 
-  // Начать групповую транзакцию
-  beginTransaction(userId) {
+  /**
+   * Начать групповую транзакцию: выделенное соединение MySQL с открытой транзакцией.
+   * Операции с заголовком X-Transaction-Id выполняются на нём до commit/rollback;
+   * по истечении таймаута или после idleTimeout без запросов транзакция
+   * откатывается автоматически. Число открытых транзакций ограничено — всего
+   * и на пользователя, чтобы они не заняли весь пул соединений.
+   *
+   * @param {string|number} userId — владелец транзакции
+   * @param {Object} [options]
+   * @param {number} [options.timeout] — таймаут, мс (не больше MAX_TX_TIMEOUT)
+   * @returns {Promise<{txId: string, status: string, startedAt: string, expiresAt: string, timeout: number}>}
+   * @throws {IntegramError} TOO_MANY_TRANSACTIONS (429), если открыто слишком много транзакций
+   */
+  async beginTransaction(userId, options = {}) {
+    const owner = userId !== undefined && userId !== null ? String(userId) : null;
+    const open = [...this._pendingTransactions.values()];
+    if (open.length >= this.maxTransactions) {
+      throw new IntegramError('Слишком много открытых транзакций, повторите позже', 'TOO_MANY_TRANSACTIONS', 429);
+    }
+    if (open.filter(tx => tx.userId === owner).length >= this.maxTransactionsPerUser) {
+      throw new IntegramError('Завершите открытые транзакции, прежде чем начинать новую', 'TOO_MANY_TRANSACTIONS', 429);
+    }
+
+    const timeout = Math.min(parseInt(options.timeout, 10) || this.transactionTimeout, MAX_TX_TIMEOUT);
     const txId = `tx_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
-    this._pendingTransactions.set(txId, {
-      userId, startedAt: new Date().toISOString(), operations: [], status: TX_STATUS.PENDING,
-    });
-    this.logger.info('Групповая транзакция начата', { txId, userId });
-    return txId;
+    const startedAt = new Date();
+    const expiresAt = new Date(startedAt.getTime() + timeout);
+    // Место занимается до ожидания соединения, чтобы параллельные begin не превысили пределы
+    const pending = {
+      userId: owner,
+      startedAt: startedAt.toISOString(), expiresAt: expiresAt.toISOString(),
+      operations: [], status: TX_STATUS.PENDING, handle: null, timer: null,
+    };
+    this._pendingTransactions.set(txId, pending);
+    try {
+      pending.handle = await this.db.beginTransaction();
+    } catch (error) {
+      this._pendingTransactions.delete(txId);
+      throw error;
+    }
+    this._touch(txId, pending);
+
+    this.logger.info('Групповая транзакция начата', { txId, userId, timeout });
+    return { txId, status: TX_STATUS.PENDING, startedAt: startedAt.toISOString(), expiresAt: expiresAt.toISOString(), timeout };
   }
 
-  // Зафиксировать групповую транзакцию
-  async commitTransaction(txId) {
-    const pending = this._pendingTransactions.get(txId);
-    if (!pending) throw new ValidationError(`Транзакция ${txId} не найдена`);
-    if (pending.status !== TX_STATUS.PENDING) throw new ValidationError(`Транзакция ${txId} уже завершена`);
+  /**
+   * Соединение открытой транзакции — DatabaseService, чьи запросы идут внутри неё.
+   *
+   * @param {string} txId
+   * @param {string|number} [userId] — если указан, должен совпадать с владельцем
+   * @returns {Object} DatabaseService транзакции
+   */
+  getTransactionDatabase(txId, userId) {
+    const pending = this._getPending(txId, userId);
+    this._touch(txId, pending);
+    return pending.handle.db;
+  }
 
-    for (const op of pending.operations) {
-      const sql = `UPDATE ${TRANSACTIONS_TABLE} SET tx_status = ? WHERE tx_group_id = ? AND tx_status = ?`;
-      await this.db.execSql(sql, [TX_STATUS.COMMITTED, txId, TX_STATUS.PENDING], 'TransactionService.commitTransaction');
+  // Зафиксировать групповую транзакцию
+  async commitTransaction(txId, userId) {
+    const pending = this._getPending(txId, userId);
+    this._finish(txId, pending);
+
+    try {
+      await pending.handle.commit();
+    } catch (error) {
+      pending.status = TX_STATUS.ROLLED_BACK;
+      await this._markGroup(txId, TX_STATUS.ROLLED_BACK, 'TransactionService.commitTransaction.failed');
+      this.logger.error('Групповая транзакция не зафиксирована', { txId, error: error.message });
+      throw error;
     }
+
     pending.status = TX_STATUS.COMMITTED;
+    if (pending.operations.length > 0) {
+      await this._markGroup(txId, TX_STATUS.COMMITTED, 'TransactionService.commitTransaction');
+    }
     const result = { txId, status: TX_STATUS.COMMITTED, operationCount: pending.operations.length, committedAt: new Date().toISOString() };
-    this._pendingTransactions.delete(txId);
     this.logger.info('Групповая транзакция зафиксирована', result);
     return result;
   }
 
-  // Откатить групповую транзакцию
-  async rollbackTransaction(txId) {
-    const pending = this._pendingTransactions.get(txId);
-    if (!pending) throw new ValidationError(`Транзакция ${txId} не найдена`);
-    if (pending.status !== TX_STATUS.PENDING) throw new ValidationError(`Транзакция ${txId} уже завершена`);
+  // Откатить групповую транзакцию (ROLLBACK в MySQL — изменения не применяются вовсе)
+  async rollbackTransaction(txId, userId) {
+    const pending = this._getPending(txId, userId);
+    return this._rollbackPending(txId, pending);
+  }
 
-    const results = [];
-    for (const op of [...pending.operations].reverse()) {
-      try {
-        await this._applyInverse(op.database, op);
-        results.push({ transactionId: op.id, status: 'rolled_back' });
-      } catch (error) {
-        results.push({ transactionId: op.id, status: 'failed', error: error.message });
+  /**
+   * Текущая версия объекта — номер последней неоткаченной записи лога (0, если истории нет).
+   */
+  async getCurrentVersion(database, objectId) {
+    await this.ensureTransactionTable(database);
+    const sql = `SELECT MAX(version) as max_version FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND target_id = ? AND tx_status != ?`;
+    const { rows } = await this.db.execSql(sql, [database, objectId, TX_STATUS.ROLLED_BACK], 'TransactionService.getCurrentVersion');
+    return Number(rows[0]?.max_version || 0);
+  }
+
+  /**
+   * Оптимистическая блокировка: выполнить fn(db) под блокировкой строки объекта
+   * (SELECT ... FOR UPDATE), только если его версия равна ожидаемой.
+   * В открытой групповой транзакции блокировка держится до её завершения,
+   * иначе операция выполняется в собственной короткой транзакции.
+   *
+   * @param {string} database
+   * @param {number} objectId
+   * @param {number} expectedVersion — версия из If-Match
+   * @param {Function} fn — async (db) => result, db — DatabaseService транзакции
+   * @param {Object} [options] — { txId, userId }
+   * @throws {VersionConflictError} если версия изменилась
+   */
+  async runIfVersion(database, objectId, expectedVersion, fn, options = {}) {
+    const db = this.validation.validateDatabase(database);
+    const own = options.txId ? null : await this.db.beginTransaction();
+    const txDb = own ? own.db : this.getTransactionDatabase(options.txId, options.userId);
+
+    try {
+      await txDb.execSql(`SELECT id FROM ${db} WHERE id = ? FOR UPDATE`, [objectId], 'TransactionService.lockObject');
+      const currentVersion = await this.getCurrentVersion(database, objectId);
+      if (currentVersion !== expectedVersion) {
+        throw new VersionConflictError(objectId, expectedVersion, currentVersion);
       }
+      const result = await fn(txDb);
+      if (own) await own.commit();
+      return result;
+    } catch (error) {
+      if (own) await own.rollback().catch(e => this.logger.warn('Откат не выполнен', { error: e.message }));
+      throw error;
     }
-    if (pending.operations.length > 0) {
-      const sql = `UPDATE ${TRANSACTIONS_TABLE} SET tx_status = ? WHERE tx_group_id = ?`;
-      await this.db.execSql(sql, [TX_STATUS.ROLLED_BACK, txId], 'TransactionService.rollbackTransaction');
+  }
+
+  _getPending(txId, userId) {
+    const pending = this._pendingTransactions.get(txId);
+    if (!pending || !pending.handle) throw new ValidationError(`Транзакция ${txId} не найдена или уже завершена`);
+    if (userId !== undefined && userId !== null && pending.userId !== null && pending.userId !== String(userId)) {
+      throw new ValidationError(`Транзакция ${txId} принадлежит другому пользователю`);
     }
-    pending.status = TX_STATUS.ROLLED_BACK;
+    return pending;
+  }
+
+  /** Перезапустить таймер простоя, не выходя за общий таймаут транзакции */
+  _touch(txId, pending) {
+    clearTimeout(pending.timer);
+    const delay = Math.max(0, Math.min(this.idleTimeout, Date.parse(pending.expiresAt) - Date.now()));
+    pending.timer = setTimeout(() => this._expireTransaction(txId), delay);
+    pending.timer.unref?.();
+  }
+
+  _finish(txId, pending) {
+    clearTimeout(pending.timer);
     this._pendingTransactions.delete(txId);
+  }
+
+  async _rollbackPending(txId, pending) {
+    this._finish(txId, pending);
+    try {
+      await pending.handle.rollback();
+    } finally {
+      pending.status = TX_STATUS.ROLLED_BACK;
+      if (pending.operations.length > 0) {
+        await this._markGroup(txId, TX_STATUS.ROLLED_BACK, 'TransactionService.rollbackTransaction');
+      }
+    }
     this.logger.info('Групповая транзакция откачена', { txId });
+    const results = pending.operations.map(op => ({ transactionId: op.id, status: 'rolled_back' }));
     return { txId, status: TX_STATUS.ROLLED_BACK, operationCount: pending.operations.length, rolledBackAt: new Date().toISOString(), results };
   }
 
+  async _expireTransaction(txId) {
+    const pending = this._pendingTransactions.get(txId);
+    if (!pending?.handle) return;
+    this.logger.warn('Групповая транзакция откачена по таймауту', { txId, userId: pending.userId });
+    try {
+      await this._rollbackPending(txId, pending);
+    } catch (error) {
+      this.logger.error('Откат по таймауту не выполнен', { txId, error: error.message });
+    }
+  }
+
+  async _markGroup(txId, status, label) {
+    const sql = `UPDATE ${TRANSACTIONS_TABLE} SET tx_status = ? WHERE tx_group_id = ? AND tx_status = ?`;
+    await this.db.execSql(sql, [status, txId, TX_STATUS.PENDING], label);
+  }
+
   // Записать транзакцию в лог
   async record(database, data) {
     await this.ensureTransactionTable(database);
@@ -146,9 +333,9 @@ export class TransactionService {
     const version = await this._getNextVersion(database, targetId);
     const txStatus = txGroupId && this._pendingTransactions.has(txGroupId) ? TX_STATUS.PENDING : TX_STATUS.COMMITTED;
 
-    const sql = `INSERT INTO ${TRANSACTIONS_TABLE} (agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const sql = `INSERT INTO ${TRANSACTIONS_TABLE} (database_name, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     const params = [
-      agentId || null, action, targetId, targetType || null, version,
+      database, agentId || null, action, targetId, targetType || null, version,
       oldValue !== undefined ? JSON.stringify(oldValue) : null,
       newValue !== undefined ? JSON.stringify(newValue) : null,
       sessionId || null, txGroupId || null, txStatus,
@@ -170,8 +357,8 @@ export class TransactionService {
     await this.ensureTransactionTable(database);
     const limit = options.limit || 50;
     const offset = options.offset || 0;
-    let sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE target_id = ? AND tx_status = ?`;
-    const params = [objectId, TX_STATUS.COMMITTED];
+    let sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND target_id = ? AND tx_status = ?`;
+    const params = [database, objectId, TX_STATUS.COMMITTED];
     if (options.action) { sql += ' AND action = ?'; params.push(options.action); }
     sql += ' ORDER BY version DESC, id DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
@@ -182,8 +369,8 @@ export class TransactionService {
   // Получить конкретную версию объекта
   async getVersion(database, objectId, version) {
     await this.ensureTransactionTable(database);
-    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE target_id = ? AND version = ? AND tx_status = ? LIMIT 1`;
-    const { rows } = await this.db.execSql(sql, [objectId, version, TX_STATUS.COMMITTED], 'TransactionService.getVersion');
+    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND target_id = ? AND version = ? AND tx_status = ? LIMIT 1`;
+    const { rows } = await this.db.execSql(sql, [database, objectId, version, TX_STATUS.COMMITTED], 'TransactionService.getVersion');
     if (rows.length === 0) return null;
     const tx = this._mapRow(rows[0]);
     const state = tx.action === ACTIONS.DELETE ? tx.oldValue : (tx.newValue || tx.oldValue);
@@ -196,15 +383,15 @@ export class TransactionService {
     if (v1 === v2) throw new ValidationError('Версии должны отличаться');
     const [fromV, toV] = v1 < v2 ? [v1, v2] : [v2, v1];
 
-    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE target_id = ? AND version IN (?, ?) AND tx_status = ? ORDER BY version ASC`;
-    const { rows } = await this.db.execSql(sql, [objectId, fromV, toV, TX_STATUS.COMMITTED], 'TransactionService.diffVersions.endpoints');
+    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND target_id = ? AND version IN (?, ?) AND tx_status = ? ORDER BY version ASC`;
+    const { rows } = await this.db.execSql(sql, [database, objectId, fromV, toV, TX_STATUS.COMMITTED], 'TransactionService.diffVersions.endpoints');
     if (rows.length < 2) throw new ValidationError('Не удалось найти обе версии объекта');
 
     const fromTx = this._mapRow(rows[0]);
     const toTx = this._mapRow(rows[1]);
 
-    const betweenSql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE target_id = ? AND version > ? AND version < ? AND tx_status = ? ORDER BY version ASC`;
-    const { rows: betweenRows } = await this.db.execSql(betweenSql, [objectId, fromV, toV, TX_STATUS.COMMITTED], 'TransactionService.diffVersions.between');
+    const betweenSql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND target_id = ? AND version > ? AND version < ? AND tx_status = ? ORDER BY version ASC`;
+    const { rows: betweenRows } = await this.db.execSql(betweenSql, [database, objectId, fromV, toV, TX_STATUS.COMMITTED], 'TransactionService.diffVersions.between');
 
     const fromState = fromTx.action === ACTIONS.DELETE ? fromTx.oldValue : (fromTx.newValue || fromTx.oldValue);
     const toState = toTx.action === ACTIONS.DELETE ? toTx.oldValue : (toTx.newValue || toTx.oldValue);
@@ -222,8 +409,8 @@ export class TransactionService {
   // Список транзакций с фильтрами
   async getTransactions(database, filters = {}) {
     await this.ensureTransactionTable(database);
-    const conditions = ['tx_status = ?'];
-    const params = [TX_STATUS.COMMITTED];
+    const conditions = ['database_name = ?', 'tx_status = ?'];
+    const params = [database, TX_STATUS.COMMITTED];
     if (filters.action) { conditions.push('action = ?'); params.push(filters.action); }
     if (filters.agentId) { conditions.push('agent_id = ?'); params.push(filters.agentId); }
     if (filters.sessionId) { conditions.push('session_id = ?'); params.push(filters.sessionId); }
@@ -245,8 +432,8 @@ export class TransactionService {
   // Получить транзакцию по ID
   async getTransactionById(database, transactionId) {
     await this.ensureTransactionTable(database);
-    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE id = ?`;
-    const { rows } = await this.db.execSql(sql, [transactionId], 'TransactionService.getTransactionById');
+    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE id = ? AND database_name = ?`;
+    const { rows } = await this.db.execSql(sql, [transactionId, database], 'TransactionService.getTransactionById');
     if (rows.length === 0) return null;
     return this._mapRow(rows[0]);
   }
@@ -271,8 +458,8 @@ export class TransactionService {
   // Откатить все транзакции сессии
   async rollbackSession(database, sessionId, context = {}) {
     await this.ensureTransactionTable(database);
-    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE session_id = ? AND tx_status = ? ORDER BY id DESC`;
-    const { rows } = await this.db.execSql(sql, [sessionId, TX_STATUS.COMMITTED], 'TransactionService.rollbackSession');
+    const sql = `SELECT id, agent_id, action, target_id, target_type, version, old_value, new_value, session_id, tx_group_id, tx_status, metadata, created_at FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND session_id = ? AND tx_status = ? ORDER BY id DESC`;
+    const { rows } = await this.db.execSql(sql, [database, sessionId, TX_STATUS.COMMITTED], 'TransactionService.rollbackSession');
     if (rows.length === 0) throw new ValidationError(`Транзакции для сессии не найдены: ${sessionId}`);
     const rollbackSessionId = `rollback:${sessionId}:${Date.now()}`;
     const results = [];
@@ -295,10 +482,143 @@ export class TransactionService {
     return { sessionId, rollbackSessionId, total: rows.length, results };
   }
 
+  /**
+   * Восстановить поддерево объекта (сам объект, реквизиты, потомки) на момент asOf.
+   *
+   * Состояние на момент T берётся из первой записи лога после T по каждой строке
+   * (old_value; CREATE — строки не было) и из списка реквизитов в снимке родителя;
+   * строки без изменений после T остаются как есть. Разница с текущим состоянием
+   * превращается в операции create/update/delete; с dryRun они только возвращаются,
+   * иначе применяются в одной транзакции MySQL и записываются в лог.
+   *
+   * @param {string} database
+   * @param {number} objectId — корень поддерева
+   * @param {string|Date} asOf — момент времени
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] — только показать операции
+   * @param {string} [options.agentId] — кто восстанавливает
+   * @param {Function} [options.authorize] — async (operation) => boolean, право на
+   *   каждую операцию (вызывается по порядку применения, и для dryRun тоже)
+   * @returns {Promise<{objectId, asOf, dryRun, applied, summary, operations}>}
+   * @throws {AuthorizationError} если хотя бы одна операция не разрешена
+   */
+  async restoreSubtree(database, objectId, asOf, options = {}) {
+    const db = this.validation.validateDatabase(database);
+    const rootId = parseInt(objectId, 10);
+    if (!rootId || rootId < 1) throw new ValidationError(`Недопустимый ID объекта: ${objectId}`);
+    const at = new Date(asOf);
+    if (!asOf || Number.isNaN(at.getTime())) throw new ValidationError('asOf: ожидается дата в формате ISO 8601');
+    if (at.getTime() > Date.now()) throw new ValidationError('asOf не может быть в будущем');
+    await this.ensureTransactionTable(database);
+
+    const { rows: current, depth: currentDepth } = await this._loadSubtree(db, rootId);
+    const stateAt = await this._pastStates(database, at, current);
+
+    // Поддерево на момент T: обход от корня по родителям из прошлых состояний
+    const rootState = stateAt(rootId);
+    if (!rootState) throw new ValidationError(`Объект ${rootId} не существовал на ${at.toISOString()}`);
+    const childrenAt = new Map();
+    for (const id of stateAt.candidates) {
+      const state = stateAt(id);
+      if (!state || id === rootId) continue;
+      if (!childrenAt.has(state.parentId)) childrenAt.set(state.parentId, []);
+      childrenAt.get(state.parentId).push(id);
+    }
+    const pastTree = new Map([[rootId, { state: rootState, depth: 0 }]]);
+    for (const [id, { depth }] of pastTree) {
+      for (const childId of childrenAt.get(id) || []) {
+        if (!pastTree.has(childId)) pastTree.set(childId, { state: stateAt(childId), depth: depth + 1 });
+      }
+      if (pastTree.size > MAX_RESTORE_ROWS) throw new ValidationError(`Поддерево больше ${MAX_RESTORE_ROWS} строк`);
+    }
+
+    // Строки прошлого поддерева, которые сейчас вне его (перенесены или удалены)
+    const outside = await this._loadRows(db, [...pastTree.keys()].filter(id => !current.has(id)));
+
+    const operations = [];
+    for (const [id, { state, depth }] of pastTree) {
+      const now = current.get(id) || outside.get(id);
+      if (!now) {
+        const to = this._restoredState(state, state.position ?? 1);
+        operations.push({ action: 'create', id, depth, from: null, to, changes: this._rowChanges(null, to) });
+        continue;
+      }
+      const changes = this._rowChanges(now, state);
+      if (changes.length > 0) operations.push({ action: 'update', id, depth, from: now, to: this._restoredState(state, now.order), changes });
+    }
+    for (const [id, now] of current) {
+      if (pastTree.has(id)) continue;
+      const state = stateAt(id);
+      if (!state) {
+        operations.push({ action: 'delete', id, depth: currentDepth.get(id), from: now, to: null, changes: this._rowChanges(now, null) });
+      } else {
+        const changes = this._rowChanges(now, state);
+        if (changes.length > 0) operations.push({ action: 'update', id, depth: currentDepth.get(id), from: now, to: this._restoredState(state, now.order), changes });
+      }
+    }
+
+    const rank = { create: 0, update: 1, delete: 2 };
+    operations.sort((a, b) => rank[a.action] - rank[b.action]
+      || (a.action === 'delete' ? b.depth - a.depth : a.depth - b.depth) || a.id - b.id);
+
+    if (options.authorize) {
+      const denied = [];
+      for (const op of operations) {
+        if (!await options.authorize(op)) denied.push(op.id);
+      }
+      if (denied.length > 0) {
+        throw new AuthorizationError(`Недостаточно прав для восстановления объектов: ${denied.slice(0, 20).join(', ')}`);
+      }
+    }
+
+    const rootCreate = operations.find(op => op.action === 'create' && op.id === rootId);
+    if (rootCreate && rootState.parentId !== 0 && (await this._loadRows(db, [rootState.parentId])).size === 0) {
+      throw new ValidationError(`Родитель ${rootState.parentId} объекта ${rootId} удалён — сначала восстановите его`);
+    }
+
+    const summary = { create: 0, update: 0, delete: 0 };
+    for (const op of operations) summary[op.action]++;
+    const result = {
+      objectId: rootId,
+      asOf: at.toISOString(),
+      dryRun: !!options.dryRun,
+      applied: false,
+      summary,
+      operations: operations.map(({ action, id, from, to, changes }) => ({ action, id, from, to, changes })),
+    };
+    if (options.dryRun || operations.length === 0) return result;
+
+    const handle = await this.db.beginTransaction();
+    try {
+      for (const op of operations) await this._applyRestoreOperation(handle.db, db, op);
+      await handle.commit();
+    } catch (error) {
+      await handle.rollback().catch(e => this.logger.warn('Откат восстановления не выполнен', { error: e.message }));
+      throw error;
+    }
+
+    const sessionId = `restore:${rootId}:${Date.now()}`;
+    for (const op of operations) {
+      await this.record(database, {
+        agentId: options.agentId || null,
+        action: op.action.toUpperCase(),
+        targetId: op.id,
+        targetType: (op.to || op.from).typeId,
+        oldValue: op.from,
+        newValue: op.to,
+        sessionId,
+        metadata: { restoreOf: rootId, asOf: result.asOf },
+      }).catch(e => this.logger.warn('Транзакция восстановления не записана', { error: e.message }));
+    }
+
+    this.logger.info('Поддерево восстановлено', { database, objectId: rootId, asOf: result.asOf, ...summary });
+    return { ...result, applied: true, sessionId };
+  }
+
   // Приватные методы
   async _getNextVersion(database, targetId) {
-    const sql = `SELECT MAX(version) as max_version FROM ${TRANSACTIONS_TABLE} WHERE target_id = ?`;
-    const { rows } = await this.db.execSql(sql, [targetId], 'TransactionService._getNextVersion');
+    const sql = `SELECT MAX(version) as max_version FROM ${TRANSACTIONS_TABLE} WHERE database_name = ? AND target_id = ?`;
+    const { rows } = await this.db.execSql(sql, [database, targetId], 'TransactionService._getNextVersion');
     return (rows[0]?.max_version || 0) + 1;
   }
 
@@ -349,6 +669,187 @@ export class TransactionService {
     return { id: rows[0].id, value: rows[0].val, parentId: rows[0].up, typeId: rows[0].t, order: rows[0].ord };
   }
 
+  /** Текущее поддерево: корень и все потомки (обход по up) */
+  async _loadSubtree(db, rootId) {
+    const rows = await this._loadRows(db, [rootId]);
+    const depth = new Map(rows.size ? [[rootId, 0]] : []);
+    let frontier = rows.size ? [rootId] : [];
+    let level = 0;
+    while (frontier.length > 0) {
+      level++;
+      const next = [];
+      for (let i = 0; i < frontier.length; i += 1000) {
+        const chunk = frontier.slice(i, i + 1000);
+        const { rows: children } = await this.db.execSql(
+          `SELECT ${ROW_COLUMNS} FROM ${db} WHERE up IN (${chunk.map(() => '?').join(', ')})`,
+          chunk, 'TransactionService.restore.subtree'
+        );
+        for (const row of children) {
+          const state = this._rowState(row);
+          if (rows.has(state.id)) continue;
+          rows.set(state.id, state);
+          depth.set(state.id, level);
+          next.push(state.id);
+        }
+      }
+      if (rows.size > MAX_RESTORE_ROWS) throw new ValidationError(`Поддерево больше ${MAX_RESTORE_ROWS} строк`);
+      frontier = next;
+    }
+    return { rows, depth };
+  }
+
+  /** Текущие строки по ID: Map id → состояние */
+  async _loadRows(db, ids) {
+    const rows = new Map();
+    for (let i = 0; i < ids.length; i += 1000) {
+      const chunk = ids.slice(i, i + 1000);
+      const { rows: found } = await this.db.execSql(
+        `SELECT ${ROW_COLUMNS} FROM ${db} WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+        chunk, 'TransactionService.restore.rows'
+      );
+      for (const row of found) rows.set(Number(row.id), this._rowState(row));
+    }
+    return rows;
+  }
+
+  /**
+   * Функция состояния строки на момент at: null — строки не было.
+   * stateAt.candidates — все ID, о которых известно прошлое или настоящее состояние.
+   *
+   * Лог читается только по этой базе и только по строкам поддерева: текущим
+   * и тем, чей прежний родитель в нём (удалённые и перенесённые), и так
+   * вглубь, пока находятся новые.
+   */
+  async _pastStates(database, at, current) {
+    const rows = [];
+    const seen = new Set();
+    let frontier = [...current.keys()];
+    const known = new Set(frontier);
+    while (frontier.length > 0) {
+      const next = [];
+      for (let i = 0; i < frontier.length; i += 1000) {
+        const chunk = frontier.slice(i, i + 1000);
+        const marks = chunk.map(() => '?').join(', ');
+        const sql = `SELECT id, action, target_id, old_value, database_name FROM ${TRANSACTIONS_TABLE}
+          WHERE created_at > ? AND tx_status != ? AND (database_name = ? OR database_name IS NULL)
+            AND (target_id IN (${marks}) OR JSON_EXTRACT(old_value, '$.parentId') IN (${marks}))
+          ORDER BY id ASC LIMIT ?`;
+        const { rows: found } = await this.db.execSql(sql,
+          [at, TX_STATUS.ROLLED_BACK, database, ...chunk, ...chunk, MAX_RESTORE_LOG + 1], 'TransactionService.restore.log');
+        for (const row of found) {
+          if (seen.has(Number(row.id))) continue;
+          if (row.database_name === null || row.database_name === undefined) {
+            throw new ValidationError(`В логе после ${at.toISOString()} есть записи без базы — восстановление на этот момент невозможно`);
+          }
+          seen.add(Number(row.id));
+          rows.push(row);
+          const targetId = Number(row.target_id);
+          if (!known.has(targetId)) {
+            known.add(targetId);
+            next.push(targetId);
+          }
+        }
+        if (rows.length > MAX_RESTORE_LOG) {
+          throw new ValidationError(`После ${at.toISOString()} больше ${MAX_RESTORE_LOG} изменений — выберите более поздний момент`);
+        }
+      }
+      frontier = next;
+    }
+    rows.sort((a, b) => Number(a.id) - Number(b.id));
+
+    const first = new Map();
+    for (const row of rows) {
+      const targetId = Number(row.target_id);
+      if (!first.has(targetId)) first.set(targetId, { action: row.action, oldValue: this._parseJson(row.old_value) });
+    }
+
+    const past = new Map();
+    const snapshotParents = new Set();
+    for (const [id, tx] of first) {
+      if (tx.action === ACTIONS.CREATE) { past.set(id, null); continue; }
+      if (!tx.oldValue || tx.oldValue.typeId === undefined) {
+        throw new ValidationError(`В логе нет снимка строки ${id} до изменения — восстановление невозможно`);
+      }
+      past.set(id, this._rowState({ id, val: tx.oldValue.value, up: tx.oldValue.parentId, t: tx.oldValue.typeId, ord: tx.oldValue.order }));
+    }
+    // Реквизиты из снимка родителя — для строк, у которых нет своих записей в логе
+    for (const [id, tx] of first) {
+      if (tx.action === ACTIONS.CREATE || !tx.oldValue?.requisites) continue;
+      snapshotParents.add(id);
+      for (const child of this._snapshotChildren(tx.oldValue.requisites)) {
+        if (!first.has(child.id)) past.set(child.id, { ...child, parentId: id });
+      }
+    }
+
+    const stateAt = (id) => {
+      if (past.has(id)) return past.get(id);
+      const now = current.get(id);
+      if (!now) return null;
+      // Родитель был снят со списком реквизитов, а этой строки в нём нет — её создали позже
+      return snapshotParents.has(now.parentId) ? null : now;
+    };
+    stateAt.candidates = new Set([...current.keys(), ...past.keys()]);
+    return stateAt;
+  }
+
+  /** Реквизиты снимка: массив { id, typeId, value } или { [typeId]: [{ id, value }] } */
+  _snapshotChildren(requisites) {
+    const list = Array.isArray(requisites)
+      ? requisites
+      : Object.entries(requisites).flatMap(([typeId, values]) =>
+        (Array.isArray(values) ? values : [values]).map(v => ({ ...v, typeId })));
+    return list
+      .filter(c => c && c.id !== undefined && c.typeId !== undefined)
+      .map((c, i) => ({ id: Number(c.id), value: String(c.value ?? ''), parentId: null, typeId: Number(c.typeId), order: null, position: i + 1 }));
+  }
+
+  _rowState(row) {
+    return {
+      id: Number(row.id),
+      value: String(row.val ?? ''),
+      parentId: Number(row.up ?? 0),
+      typeId: Number(row.t),
+      order: row.ord === undefined || row.ord === null ? null : Number(row.ord),
+    };
+  }
+
+  /** Прошлое состояние для записи; неизвестный порядок заменяется fallbackOrder */
+  _restoredState(state, fallbackOrder) {
+    const { id, value, parentId, typeId } = state;
+    return { id, value, parentId, typeId, order: state.order ?? fallbackOrder };
+  }
+
+  /** Различия строк по полям; order сравнивается, только если известен в прошлом состоянии */
+  _rowChanges(from, to) {
+    const changes = [];
+    for (const field of ['value', 'parentId', 'typeId', 'order']) {
+      if (field === 'order' && from && to && to.order === null) continue;
+      const fromVal = from ? from[field] : null;
+      const toVal = to ? to[field] : null;
+      if (fromVal !== toVal) changes.push({ field, from: fromVal, to: toVal });
+    }
+    return changes;
+  }
+
+  async _applyRestoreOperation(txDb, db, op) {
+    switch (op.action) {
+      case 'create':
+        // Прежний ID сохраняет ссылки на объект
+        await txDb.execSql(`INSERT INTO ${db} (id, up, ord, t, val) VALUES (?, ?, ?, ?, ?)`,
+          [op.id, op.to.parentId, op.to.order, op.to.typeId, op.to.value], 'TransactionService.restore.create');
+        break;
+      case 'update':
+        await txDb.execSql(`UPDATE ${db} SET val = ?, up = ?, t = ?, ord = ? WHERE id = ?`,
+          [op.to.value, op.to.parentId, op.to.typeId, op.to.order, op.id], 'TransactionService.restore.update');
+        break;
+      case 'delete':
+        await txDb.execSql(`DELETE FROM ${db} WHERE id = ?`, [op.id], 'TransactionService.restore.delete');
+        break;
+      default:
+        throw new ValidationError(`Неизвестная операция: ${op.action}`);
+    }
+  }
+
   _computeChanges(fromState, toState) {
     const changes = [];
     const allKeys = new Set([...Object.keys(fromState || {}), ...Object.keys(toState || {})]);
@@ -30,10 +30,13 @@ export class ValidationService {
    * @param {Object} [options] - Service options
    * @param {Object} [options.logger] - Logger instance
    * @param {boolean} [options.strictMode=false] - Enable strict validation
+   * @param {Function} [options.ruleValidator] - (database, target) => Promise,
+   *   checks the declarative rules of the schema and throws ValidationError
    */
   constructor(options = {}) {
     this.logger = options.logger || console;
     this.strictMode = options.strictMode || false;
+    this.ruleValidator = options.ruleValidator || null;
   }
 
   // ============================================================================
@@ -305,6 +308,22 @@ export class ValidationService {
     }
   }
 
+  /**
+   * Check the validation rules of the schema (pattern, range, unique, allowed
+   * values, conditions) for values about to be written. The rules are kept
+   * with the legacy schema, so the check is supplied by the host through
+   * options.ruleValidator; without it nothing is checked.
+   *
+   * @param {string} database - Database name
+   * @param {Object} target - { typeId, objectId, parentId, value, requisites }
+   * @throws {ValidationError} details.fields maps t<requisite id> to its message
+   * @returns {Promise<void>}
+   */
+  async validateRules(database, target) {
+    if (!this.ruleValidator) return;
+    await this.ruleValidator(database, target);
+  }
+
   // ============================================================================
   // DateTime Validation
   // ============================================================================
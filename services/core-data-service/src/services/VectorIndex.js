@@ -0,0 +1,303 @@
+/**
+ * @integram/core-data-service - VectorIndex
+ *
+ * Векторный индекс для семантического поиска (#188): значение объекта
+ * и его текстовые реквизиты → эмбеддинг, ранжирование по косинусной близости.
+ *
+ * Индекс базы строится лениво при первом запросе и дальше поддерживается
+ * событиями EventService (create/update/delete). Провайдер эмбеддингов
+ * подключаемый: { name, embed(texts) → Promise<number[][]> }; по умолчанию —
+ * локальный HashingEmbeddingProvider, работающий без сети.
+ */
+
+import { BASIC_TYPE_IDS } from '@integram/common';
+
+/** Базовые типы реквизитов, чьи значения попадают в текст объекта */
+const TEXT_BASE_TYPES = [BASIC_TYPE_IDS.SHORT, BASIC_TYPE_IDS.CHARS, BASIC_TYPE_IDS.MEMO, BASIC_TYPE_IDS.HTML];
+
+/** Предел объектов в индексе одной базы */
+const MAX_INDEX_OBJECTS = 50000;
+
+/** Размер пачки при построении индекса */
+const INDEX_BATCH = 500;
+
+const DEFAULT_DIMENSIONS = 512;
+
+// ============================================================================
+// Локальный провайдер эмбеддингов
+// ============================================================================
+
+/** FNV-1a, 32 бита */
+function hash32(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Эмбеддинги на хешировании признаков: слова и символьные триграммы
+ * (устойчивы к словоформам) с сублинейным TF, знак — по старшему биту хеша.
+ * Не требует сети и модели; подходит как офлайн-замена внешнему API.
+ */
+export class HashingEmbeddingProvider {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.dimensions=512] — размерность вектора
+   */
+  constructor(options = {}) {
+    this.name = 'hashing';
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.vectorize(text));
+  }
+
+  vectorize(text) {
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    for (const word of words) {
+      add(`w:${word}`, 1);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) add(`g:${padded.slice(i, i + 3)}`, 0.5);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, tf] of features) {
+      const h = hash32(feature);
+      vector[h % this.dimensions] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(tf));
+    }
+    return vector;
+  }
+}
+
+/** Нормировать вектор (L2) в Float32Array; нулевой вектор остаётся нулевым */
+function normalize(vector) {
+  let norm = 0;
+  for (const x of vector) norm += x * x;
+  norm = Math.sqrt(norm);
+  const result = new Float32Array(vector.length);
+  if (norm === 0) return result;
+  for (let i = 0; i < vector.length; i++) result[i] = vector[i] / norm;
+  return result;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// ============================================================================
+// VectorIndex
+// ============================================================================
+
+export class VectorIndex {
+  /**
+   * @param {Object} databaseService — сервис доступа к БД
+   * @param {Object} [options]
+   * @param {Object} [options.embeddingProvider] — провайдер эмбеддингов
+   * @param {Object} [options.eventService] — источник событий изменения
+   * @param {number} [options.maxIndexObjects] — предел объектов на базу
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.provider = options.embeddingProvider || new HashingEmbeddingProvider(options);
+    this.eventService = options.eventService || null;
+    this.maxObjects = options.maxIndexObjects || MAX_INDEX_OBJECTS;
+    this.logger = options.logger || console;
+    this.indexes = new Map();
+  }
+
+  /**
+   * Поиск по косинусной близости.
+   *
+   * @param {string} db — имя базы (уже проверено)
+   * @param {string} text — запрос
+   * @param {Object} [options]
+   * @param {number[]} [options.types] — ограничить типами
+   * @param {number} [options.limit=20]
+   * @param {number} [options.minScore=0.05] — порог близости
+   * @returns {Promise<{results: Array, indexed: number}>}
+   */
+  async search(db, text, options = {}) {
+    const index = await this.ensure(db);
+    await index.pending;
+
+    const [raw] = await this.provider.embed([text]);
+    const query = normalize(raw);
+    const types = options.types?.length ? new Set(options.types.map(Number)) : null;
+    const minScore = options.minScore ?? 0.05;
+
+    const scored = [];
+    for (const [id, entry] of index.entries) {
+      if (types && !types.has(entry.typeId)) continue;
+      const score = dot(query, entry.vector);
+      if (score >= minScore) scored.push({ id, entry, score });
+    }
+    scored.sort((a, b) => b.score - a.score || a.id - b.id);
+
+    return {
+      results: scored.slice(0, options.limit || 20).map(({ id, entry, score }) => ({
+        id,
+        value: entry.value,
+        parentId: entry.parentId,
+        typeId: entry.typeId,
+        relevance: Math.round(score * 10000) / 10000,
+      })),
+      indexed: index.entries.size,
+    };
+  }
+
+  /**
+   * Индекс базы: построить при первом обращении и подписаться на события.
+   */
+  async ensure(db) {
+    if (!this.indexes.has(db)) {
+      const index = { entries: new Map(), pending: Promise.resolve(), subscription: null };
+      this.indexes.set(db, index);
+      index.ready = this._build(db, index).catch((e) => {
+        this.drop(db);
+        throw e;
+      });
+      if (this.eventService) {
+        index.subscription = this.eventService.subscribe(db, null, event => this.enqueue(db, event));
+      }
+    }
+    const index = this.indexes.get(db);
+    await index.ready;
+    return index;
+  }
+
+  /**
+   * Поставить событие в очередь базы: изменения применяются по порядку.
+   */
+  enqueue(db, event) {
+    const index = this.indexes.get(db);
+    if (!index) return Promise.resolve();
+    index.pending = index.pending
+      .then(() => index.ready)
+      .then(() => this.applyEvent(db, event))
+      .catch((e) => {
+        this.logger.warn('VectorIndex: ошибка обновления индекса', { db, eventId: event.id, error: e.message });
+      });
+    return index.pending;
+  }
+
+  /**
+   * Применить событие: удалённый объект — из индекса, остальное —
+   * переиндексировать (сам объект или владельца изменённого реквизита).
+   */
+  async applyEvent(db, event) {
+    const index = this.indexes.get(db);
+    if (!index || !event.targetId) return;
+    const targetId = Number(event.targetId);
+
+    if (event.action === 'delete') {
+      index.entries.delete(targetId);
+      const parentId = Number(event.oldValue?.parentId);
+      if (parentId && index.entries.has(parentId)) await this.reindex(db, [parentId]);
+      return;
+    }
+    await this.reindex(db, [targetId]);
+  }
+
+  /**
+   * Переиндексировать строки: объекты — целиком, строки реквизитов — через владельца.
+   * Строки, которых больше нет, удаляются из индекса.
+   */
+  async reindex(db, ids) {
+    const index = this.indexes.get(db);
+    if (!index || ids.length === 0) return;
+
+    const { rows } = await this.db.execSql(
+      `SELECT o.id, o.up, typ.up AS type_up, p.up AS parent_up
+       FROM ${db} o LEFT JOIN ${db} typ ON typ.id = o.t LEFT JOIN ${db} p ON p.id = o.up
+       WHERE o.id IN (${ids.map(() => '?').join(', ')})`,
+      ids, 'VectorIndex.resolve'
+    );
+    const found = new Set();
+    const objectIds = new Set();
+    for (const row of rows || []) {
+      found.add(Number(row.id));
+      if (isObjectRow(row)) objectIds.add(Number(row.id));
+      else if (Number(row.up) !== 0 && index.entries.has(Number(row.up))) objectIds.add(Number(row.up));
+    }
+    for (const id of ids) if (!found.has(id)) index.entries.delete(id);
+    if (objectIds.size === 0) return;
+
+    const { rows: objects } = await this.db.execSql(
+      `SELECT o.id, o.val, o.up, o.t FROM ${db} o WHERE o.id IN (${[...objectIds].map(() => '?').join(', ')})`,
+      [...objectIds], 'VectorIndex.objects'
+    );
+    await this._index(db, index, objects || []);
+  }
+
+  /** Отписаться от событий и забыть индекс базы */
+  drop(db) {
+    const index = this.indexes.get(db);
+    if (!index) return false;
+    if (index.subscription && this.eventService) this.eventService.unsubscribe(index.subscription);
+    this.indexes.delete(db);
+    return true;
+  }
+
+  async _build(db, index) {
+    const { rows } = await this.db.execSql(
+      `SELECT o.id, o.val, o.up, o.t FROM ${db} o
+       JOIN ${db} typ ON typ.id = o.t AND typ.up = 0
+       JOIN ${db} p ON p.id = o.up
+       WHERE o.up != 0 AND (o.up = 1 OR p.up != 0)
+       ORDER BY o.id LIMIT ?`,
+      [this.maxObjects], 'VectorIndex.build'
+    );
+    const objects = rows || [];
+    for (let i = 0; i < objects.length; i += INDEX_BATCH) {
+      await this._index(db, index, objects.slice(i, i + INDEX_BATCH));
+    }
+    if (objects.length >= this.maxObjects) {
+      this.logger.warn('VectorIndex: достигнут предел объектов, индекс неполный', { db, limit: this.maxObjects });
+    }
+    this.logger.info('VectorIndex: индекс построен', { db, objects: index.entries.size, provider: this.provider.name });
+  }
+
+  /** Текст объекта (значение + текстовые реквизиты) → эмбеддинг → запись индекса */
+  async _index(db, index, objects) {
+    if (objects.length === 0) return;
+    const ids = objects.map(o => Number(o.id));
+    const { rows } = await this.db.execSql(
+      `SELECT c.up, c.val FROM ${db} c
+       JOIN ${db} a ON a.id = c.t AND a.up != 0
+       JOIN ${db} col ON col.id = a.t AND col.up = 0
+       WHERE c.up IN (${ids.map(() => '?').join(', ')}) AND col.t IN (${TEXT_BASE_TYPES.join(', ')})
+       ORDER BY c.up, c.ord`,
+      ids, 'VectorIndex.requisites'
+    );
+    const texts = new Map(objects.map(o => [Number(o.id), [o.val ?? '']]));
+    for (const row of rows || []) texts.get(Number(row.up))?.push(row.val ?? '');
+
+    const vectors = await this.provider.embed(ids.map(id => texts.get(id).join(' ')));
+    objects.forEach((obj, i) => {
+      index.entries.set(Number(obj.id), {
+        value: obj.val,
+        parentId: Number(obj.up),
+        typeId: Number(obj.t),
+        vector: normalize(vectors[i]),
+      });
+    });
+  }
+}
+
+/** Объект: тип — корневая строка (up = 0), родитель — 1 или другой объект */
+function isObjectRow(row) {
+  return Number(row.up) !== 0
+    && row.type_up !== null && Number(row.type_up) === 0
+    && (Number(row.up) === 1 || (row.parent_up !== null && Number(row.parent_up) !== 0));
+}
+
+export default VectorIndex;
@@ -15,6 +15,8 @@ import { BatchService } from './BatchService.js';
 import { EventService } from './EventService.js';
 
 import { SearchService } from './SearchService.js';
+import { TableViewService } from './TableViewService.js';
+import { PresenceService } from './PresenceService.js';
 export { ObjectService } from './ObjectService.js';
 export { QueryService } from './QueryService.js';
 export { SchemaService } from './SchemaService.js';
@@ -23,12 +25,16 @@ export { ValidationService } from './ValidationService.js';
 export { TransactionService, TRANSACTION_ACTIONS, TX_STATUS } from './TransactionService.js';
 export { AuditService, AUDIT_ACTIONS } from './AuditService.js';
 export { OntologyService } from './OntologyService.js';
+export { SparqlService, parseSparql } from './SparqlService.js';
 export { BatchService } from './BatchService.js';
-export { EventService, EVENT_ACTIONS } from './EventService.js';
+export { EventService, EVENT_ACTIONS, DELIVERY_STATUS, ALL_DATABASES } from './EventService.js';
 
 export { SearchService } from './SearchService.js';
+export { VectorIndex, HashingEmbeddingProvider } from './VectorIndex.js';
+export { TableViewService, VIEW_SCOPES } from './TableViewService.js';
+export { PresenceService, PRESENCE_STATES } from './PresenceService.js';
 export default {
   ObjectService, QueryService, SchemaService, TypeService, ValidationService,
   TransactionService, AuditService, OntologyService, BatchService, EventService,
 
-SearchService,};
+SearchService, TableViewService, PresenceService,};
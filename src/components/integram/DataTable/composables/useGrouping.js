@@ -1,19 +1,124 @@
 /**
  * Grouping Composable
  * Handles row grouping, multi-column grouping, and group expansion
+ *
+ * With a group provider grouping is done on the server: groups of each level
+ * are loaded lazily on expand, rows only for the expanded last level.
+ * Provider: ({ columns, path, aggregates, pivot }) =>
+ *   { groups: [{value, label, count, metrics, path, hasChildren, pivot}], pivotColumns }
+ *   or { rowIds } once path is as long as columns (rows are added to the table rows)
  */
 
 import { ref, computed } from 'vue'
 
-export function useGrouping(localHeaders, sortedAndFilteredRows) {
+const EMPTY_GROUP_LABEL = '(Пусто)'
+
+export function useGrouping(localHeaders, sortedAndFilteredRows, options = {}) {
+  // getGroupProvider() - функция серверной группировки или null,
+  // getAggregates() - [{ headerId, fn }] агрегаты для заголовков групп
+  const { getGroupProvider = () => null, getAggregates = () => [] } = options
+
   // Grouping state
   const groupedData = ref(null)
   const currentGroupColumns = ref([])
   const expandedGroups = ref({})
   const currentGroupColumn = ref(null)
 
+  // Server-side grouping state
+  const serverGroups = ref(null)   // группы первого уровня, children - следующего
+  const groupsLoading = ref(false)
+  const pivotColumn = ref(null)
+  const pivotData = ref(null)      // { groups, columns }
+
+  const isServerGrouping = computed(() => typeof getGroupProvider() === 'function')
+
+  const toNode = group => ({
+    key: JSON.stringify(group.path),
+    value: group.value,
+    label: group.label,
+    count: group.count,
+    metrics: group.metrics || {},
+    path: group.path,
+    hasChildren: group.hasChildren,
+    children: null,
+    rowIds: null,
+    loading: false
+  })
+
+  const findNode = (key, nodes = serverGroups.value || []) => {
+    for (const node of nodes) {
+      if (node.key === key) return node
+      const child = node.children && findNode(key, node.children)
+      if (child) return child
+    }
+    return null
+  }
+
+  const requestGroups = (path, pivot = null) => getGroupProvider()({
+    columns: [...currentGroupColumns.value],
+    path,
+    aggregates: getAggregates(),
+    pivot
+  })
+
+  // Load first-level groups from the server
+  const loadServerGroups = async () => {
+    const columns = currentGroupColumns.value
+    groupsLoading.value = true
+    try {
+      const result = await requestGroups([])
+      // Группировку могли сменить, пока шёл запрос
+      if (columns !== currentGroupColumns.value) return
+      serverGroups.value = result.groups.map(toNode)
+    } catch (error) {
+      console.error('[useGrouping] Failed to load groups:', error)
+      serverGroups.value = null
+      currentGroupColumns.value = []
+    } finally {
+      groupsLoading.value = false
+    }
+  }
+
+  // Load subgroups or row ids of an expanded group
+  const loadGroupChildren = async (node) => {
+    node.loading = true
+    try {
+      const result = await requestGroups(node.path)
+      if (node.hasChildren) {
+        node.children = result.groups.map(toNode)
+      } else {
+        node.rowIds = result.rowIds || []
+      }
+    } catch (error) {
+      console.error('[useGrouping] Failed to load group:', error)
+      expandedGroups.value[node.key] = false
+    } finally {
+      node.loading = false
+    }
+  }
+
   // Flattened rows for virtual scrolling with grouping support
   const flattenedRows = computed(() => {
+    if (serverGroups.value) {
+      const rowsById = new Map(sortedAndFilteredRows.value.map(row => [row.id, row]))
+      const result = []
+      const walk = (nodes, depth) => {
+        for (const node of nodes) {
+          result.push({ type: 'group', key: node.key, data: node, depth })
+          if (!expandedGroups.value[node.key]) continue
+          if (node.children) {
+            walk(node.children, depth + 1)
+          } else if (node.rowIds) {
+            node.rowIds
+              .filter(id => rowsById.has(id))
+              .forEach(id => result.push({ type: 'row', data: rowsById.get(id) }))
+          }
+        }
+      }
+      walk(serverGroups.value, 0)
+      return result
+    }
+
     if (!groupedData.value) {
       return sortedAndFilteredRows.value.map(row => ({ type: 'row', data: row }))
     }
@@ -40,14 +145,26 @@ export function useGrouping(localHeaders, sortedAndFilteredRows) {
       groupedData.value = null
       currentGroupColumns.value = []
       expandedGroups.value = {}
+      serverGroups.value = null
+      pivotColumn.value = null
+      pivotData.value = null
     } else {
       currentGroupColumns.value = validHeaderIds
-      groupMultiData(validHeaderIds)
+      if (isServerGrouping.value) {
+        expandedGroups.value = {}
+        loadServerGroups()
+        if (pivotColumn.value) loadPivot()
+      } else {
+        groupMultiData(validHeaderIds)
+      }
     }
   }
 
   // Group data by multiple columns
   const groupMultiData = (headerIds) => {
+    // Серверные группы не зависят от загруженных строк
+    if (serverGroups.value) return
+
     const groups = {}
 
     sortedAndFilteredRows.value.forEach(row => {
@@ -71,6 +188,8 @@ export function useGrouping(localHeaders, sortedAndFilteredRows) {
 
   // Toggle single-column grouping
   const toggleGroupBy = (headerId) => {
+    if (isServerGrouping.value) return toggleMultiGroupBy([headerId])
+
     if (currentGroupColumn.value === headerId) {
       groupedData.value = null
       currentGroupColumn.value = null
@@ -101,10 +220,52 @@ export function useGrouping(localHeaders, sortedAndFilteredRows) {
   // Toggle group expansion
   const toggleGroup = (groupKey) => {
     expandedGroups.value[groupKey] = !expandedGroups.value[groupKey]
+
+    const node = serverGroups.value && findNode(groupKey)
+    if (node && expandedGroups.value[groupKey] && !node.children && !node.rowIds && !node.loading) {
+      loadGroupChildren(node)
+    }
+  }
+
+  // Pivot: first grouping column as rows, pivot column values as columns
+  const loadPivot = async () => {
+    const headerId = pivotColumn.value
+    try {
+      const result = await getGroupProvider()({
+        columns: currentGroupColumns.value.slice(0, 1),
+        path: [],
+        aggregates: getAggregates(),
+        pivot: headerId
+      })
+      if (pivotColumn.value !== headerId) return
+      pivotData.value = { groups: result.groups, columns: result.pivotColumns || [] }
+    } catch (error) {
+      console.error('[useGrouping] Failed to load pivot:', error)
+      pivotColumn.value = null
+      pivotData.value = null
+    }
+  }
+
+  const togglePivot = (headerId) => {
+    if (!headerId || pivotColumn.value === headerId || currentGroupColumns.value.length === 0) {
+      pivotColumn.value = null
+      pivotData.value = null
+      return
+    }
+    pivotColumn.value = headerId
+    pivotData.value = null
+    loadPivot()
   }
 
   // Format multi-group header display
   const formatMultiGroupHeader = (groupKey) => {
+    const node = serverGroups.value && findNode(groupKey)
+    if (node) {
+      const header = localHeaders.value.find(h => h.id === currentGroupColumns.value[node.path.length - 1])
+      const label = node.label ?? EMPTY_GROUP_LABEL
+      return header ? `${header.value}: ${label}` : label
+    }
+
     const values = groupKey.split('|')
     return values.map((value, index) => {
       const headerId = currentGroupColumns.value[index]
@@ -119,6 +280,9 @@ export function useGrouping(localHeaders, sortedAndFilteredRows) {
     currentGroupColumns.value = []
     expandedGroups.value = {}
     currentGroupColumn.value = null
+    serverGroups.value = null
+    pivotColumn.value = null
+    pivotData.value = null
   }
 
   return {
@@ -128,6 +292,11 @@ export function useGrouping(localHeaders, sortedAndFilteredRows) {
     expandedGroups,
     currentGroupColumn,
     flattenedRows,
+    serverGroups,
+    groupsLoading,
+    pivotColumn,
+    pivotData,
+    isServerGrouping,
 
     // Functions
     toggleMultiGroupBy,
@@ -135,6 +304,7 @@ export function useGrouping(localHeaders, sortedAndFilteredRows) {
     toggleGroupBy,
     groupData,
     toggleGroup,
+    togglePivot,
     formatMultiGroupHeader,
     cleanup
   }
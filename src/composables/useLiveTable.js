@@ -0,0 +1,263 @@
+/**
+ * Composable for live collaborative tables
+ *
+ * Subscribes to the change event stream of core-data-service for one type,
+ * reports presence (viewing / editing a cell) and tracks who else is here.
+ * The stream is read with fetch because EventSource cannot send the
+ * authorization header. Without core-data-service the table keeps working,
+ * just without live updates.
+ *
+ * @example
+ * import { useLiveTable } from '@/composables/useLiveTable'
+ *
+ * const { status, others, cellEditors, setEditing } = useLiveTable({
+ *   typeId: () => props.typeId,
+ *   onChange: (event) => patchRow(event)
+ * })
+ *
+ * setEditing(rowId, headerId) // "being edited by" for other users
+ * setEditing(null)            // back to viewing
+ */
+
+import { ref, computed, watch, onUnmounted } from 'vue'
+import integramApiClient from '@/services/integramApiClient'
+
+/** Heartbeat period; the server drops presence after 60 s without one */
+const HEARTBEAT_INTERVAL = 20000
+
+/** Reconnect backoff */
+const RECONNECT_MIN_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+
+/** Change actions passed to onChange */
+const CHANGE_ACTIONS = ['create', 'update', 'delete', 'batch']
+
+function createClientId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Parse one SSE message block ("event: x\ndata: {...}")
+ * @param {string} block - Lines of one message
+ * @returns {{event: string, data: *}|null}
+ */
+function parseMessage(block) {
+  let event = 'message'
+  const data = []
+  for (const line of block.split('\n')) {
+    if (line.startsWith(':')) continue // keepalive comment
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+    if (field === 'event') event = value
+    else if (field === 'data') data.push(value)
+  }
+  if (data.length === 0) return null
+  try {
+    return { event, data: JSON.parse(data.join('\n')) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {Function|Object} options.typeId - Getter or ref of the type ID
+ * @param {Function} [options.onChange] - (event) => void for create/update/delete/batch of the type
+ * @param {Function|Object} [options.enabled] - Getter or ref, false pauses the subscription
+ * @returns {Object} { status, others, cellEditors, rowEditors, setEditing, isRemoteChange, clientId }
+ */
+export function useLiveTable({ typeId, onChange, enabled = () => true } = {}) {
+  const readTypeId = typeof typeId === 'function' ? typeId : () => typeId?.value
+  const readEnabled = typeof enabled === 'function' ? enabled : () => enabled?.value
+
+  const clientId = createClientId()
+
+  // 'off' | 'connecting' | 'live' | 'reconnecting' | 'unavailable'
+  const status = ref('off')
+  // Presence of other clients: [{clientId, userId, username, typeId, objectId, field, state}]
+  const others = ref([])
+
+  let activeTypeId = null
+  let controller = null
+  let heartbeatTimer = null
+  let reconnectTimer = null
+  let reconnectDelay = RECONNECT_MIN_DELAY
+  let editing = { objectId: null, field: null }
+
+  /** Users editing a cell: `${objectId}:${field}` → [username] */
+  const cellEditors = computed(() => {
+    const map = {}
+    for (const p of others.value) {
+      if (p.state !== 'edit' || !p.objectId) continue
+      const key = `${p.objectId}:${p.field ?? ''}`
+      ;(map[key] = map[key] || []).push(p.username || `#${p.userId}`)
+    }
+    return map
+  })
+
+  /** Users editing a row: objectId → [username] */
+  const rowEditors = computed(() => {
+    const map = {}
+    for (const p of others.value) {
+      if (p.state !== 'edit' || !p.objectId) continue
+      ;(map[p.objectId] = map[p.objectId] || []).push(p.username || `#${p.userId}`)
+    }
+    return map
+  })
+
+  /** Change made by someone else (own saves come back through the stream too) */
+  const isRemoteChange = (event) => {
+    const ownId = integramApiClient.databases?.[integramApiClient.database]?.userId ?? integramApiClient.userId
+    const authorId = event?.meta?.userId
+    return ownId === null || ownId === undefined || authorId === null || authorId === undefined ||
+      String(ownId) !== String(authorId)
+  }
+
+  function applyPresence({ type, presence }) {
+    if (!presence || presence.clientId === clientId) return
+    const rest = others.value.filter(p => !(p.clientId === presence.clientId && p.userId === presence.userId))
+    others.value = type === 'leave' ? rest : [...rest, presence]
+  }
+
+  async function sendHeartbeat() {
+    if (!activeTypeId || status.value === 'unavailable') return
+    try {
+      await integramApiClient.sendPresence(activeTypeId, {
+        clientId,
+        state: editing.objectId ? 'edit' : 'view',
+        objectId: editing.objectId ?? undefined,
+        field: editing.field ?? undefined
+      })
+    } catch (error) {
+      console.warn('[useLiveTable] Presence heartbeat failed:', error.message)
+    }
+  }
+
+  async function loadPresence() {
+    try {
+      const list = await integramApiClient.getPresence(activeTypeId)
+      others.value = list.filter(p => p.clientId !== clientId)
+    } catch (error) {
+      console.warn('[useLiveTable] Failed to load presence:', error.message)
+    }
+  }
+
+  function dispatch(message) {
+    if (message.event === 'connected') {
+      status.value = 'live'
+      reconnectDelay = RECONNECT_MIN_DELAY
+      loadPresence()
+      sendHeartbeat()
+    } else if (message.event === 'presence') {
+      applyPresence(message.data)
+    } else if (CHANGE_ACTIONS.includes(message.event) && onChange) {
+      onChange({ ...message.data, action: message.data.action || message.event })
+    }
+  }
+
+  async function readStream(response) {
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) return
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n')
+      let end
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const message = parseMessage(buffer.slice(0, end))
+        buffer = buffer.slice(end + 2)
+        if (message) dispatch(message)
+      }
+    }
+  }
+
+  async function connect() {
+    const currentController = new AbortController()
+    controller = currentController
+    status.value = status.value === 'off' ? 'connecting' : 'reconnecting'
+
+    try {
+      const response = await integramApiClient.openEventStream({
+        types: [activeTypeId],
+        clientId,
+        signal: currentController.signal
+      })
+      await readStream(response)
+    } catch (error) {
+      if (currentController.signal.aborted) return
+      // No core-data-service or no access - do not hammer the server
+      if ([401, 403, 404].includes(error.status)) {
+        console.warn('[useLiveTable] Live updates unavailable:', error.message)
+        status.value = 'unavailable'
+        return
+      }
+      console.warn('[useLiveTable] Event stream error:', error.message)
+    }
+
+    if (currentController.signal.aborted) return
+    status.value = 'reconnecting'
+    reconnectTimer = window.setTimeout(connect, reconnectDelay)
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY)
+  }
+
+  function start(newTypeId) {
+    activeTypeId = newTypeId
+    others.value = []
+    editing = { objectId: null, field: null }
+    reconnectDelay = RECONNECT_MIN_DELAY
+    connect()
+    heartbeatTimer = window.setInterval(sendHeartbeat, HEARTBEAT_INTERVAL)
+  }
+
+  function stop() {
+    if (!activeTypeId) return
+    controller?.abort()
+    controller = null
+    window.clearInterval(heartbeatTimer)
+    window.clearTimeout(reconnectTimer)
+    integramApiClient.leavePresence(activeTypeId, clientId).catch(() => {})
+    activeTypeId = null
+    others.value = []
+    status.value = 'off'
+  }
+
+  /**
+   * Report which cell this client is editing (null objectId - none)
+   * @param {number|null} objectId - Row (object) ID
+   * @param {string|number} [field] - Column: requisite ID or 'value'
+   */
+  function setEditing(objectId, field = null) {
+    const next = { objectId: objectId || null, field: objectId ? field : null }
+    if (next.objectId === editing.objectId && next.field === editing.field) return
+    editing = next
+    sendHeartbeat()
+  }
+
+  watch(
+    () => [readTypeId(), readEnabled()],
+    ([newTypeId, isEnabled]) => {
+      stop()
+      if (newTypeId && isEnabled) start(newTypeId)
+    },
+    { immediate: true }
+  )
+
+  onUnmounted(stop)
+
+  return {
+    clientId,
+    status,
+    others,
+    cellEditors,
+    rowEditors,
+    setEditing,
+    isRemoteChange
+  }
+}
+
+export default useLiveTable
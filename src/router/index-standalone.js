@@ -172,6 +172,17 @@ const router = createRouter({
           name: 'Integram API Docs',
           component: () => import('@/views/pages/Integram/IntegramApiDocs.vue')
         },
+        {
+          path: 'sessions',
+          name: 'Integram Sessions',
+          component: () => import('@/components/integram/IntegramSessions.vue'),
+          props: { all: true }
+        },
+        {
+          path: 'sso',
+          name: 'Integram SSO',
+          component: () => import('@/components/integram/IntegramOidcProviders.vue')
+        },
         {
           path: 'user/:id',
           name: 'User Profile',
@@ -703,81 +703,138 @@ class IntegramApiClient {
         throw new Error('Неверный логин или пароль')
       }
 
-      // Issue #4140: Validate that the token is not the password
-      // A valid token should be a long hex string (32+ characters), not the password
-      const receivedToken = response.data.token
-      if (!receivedToken) {
-        throw new Error('Сервер не вернул токен авторизации')
-      }
-
-      // Check if the server mistakenly returned the password as the token
-      if (receivedToken === password) {
-        console.error('[integramApiClient] CRITICAL: Server returned password as token!', {
-          database,
-          login,
-          tokenReceived: receivedToken,
-          tokenLength: receivedToken.length
-        })
-        throw new Error('Ошибка сервера: получен некорректный токен авторизации')
+      // Refusals (wrong credentials, too many attempts) come back as 200 {error}
+      if (response.data.error) {
+        throw new Error(response.data.error)
       }
 
-      // Warn if token looks suspicious (too short or same as password)
-      if (receivedToken.length < 16) {
-        console.warn('[integramApiClient] Warning: Received token is suspiciously short', {
-          tokenLength: receivedToken.length,
-          token: receivedToken
-        })
+      // TOTP second step: the server answers with a challenge instead of a token
+      if (response.data.twoFactor) {
+        return {
+          success: false,
+          twoFactor: response.data.twoFactor,
+          challenge: response.data.challenge,
+          expiresIn: response.data.expiresIn,
+          enroll: response.data.enroll || null
+        }
       }
 
-      // Issue #5112: Save to multi-database structure
-      this.databases[database] = {
-        token: receivedToken,
-        xsrfToken: response.data._xsrf,
-        userId: response.data.id,
-        userName: login,
-        userRole: response.data.role || 'user',
-        ownedDatabases: []  // Will be loaded if database is 'my'
-      }
+      return await this.completeLogin(database, login, response.data, password)
+    } catch (error) {
+      console.error('Integram authentication error:', error)
+      throw new Error(error.response?.data?.message || error.message || 'Ошибка авторизации')
+    }
+  }
 
-      // Set current database
-      this.currentDatabase = database
+  /**
+   * Finish a login that asked for a second factor
+   * POST /{database}/auth/2fa
+   * @param {string} database - Database name
+   * @param {string} login - Username
+   * @param {string} challenge - Challenge from authenticate()
+   * @param {Object} answer - { code } (6 digits from the app) or { recovery }
+   * @returns {Promise<Object>} Same as authenticate(), plus recoveryCodes when
+   *   the login completed an enrollment required by the role
+   */
+  async verifyTwoFactor(database, login, challenge, { code, recovery } = {}) {
+    this.database = database
+    const formData = new URLSearchParams()
+    formData.append('challenge', challenge)
+    if (recovery) formData.append('recovery', recovery)
+    else formData.append('code', code || '')
 
-      // Legacy properties (backward compatibility)
-      this.token = receivedToken
-      this.xsrfToken = response.data._xsrf
-      this.userId = response.data.id
-      this.userName = login
-      this.userRole = response.data.role || 'user'
-      this.database = database
-      this.authDatabase = database
-
-      // Issue #5112: If authenticated to 'my' database, load owned databases
-      if (database === 'my' && this.userId) {
-        try {
-          const ownedDatabases = await this.getOwnedDatabases(this.userId)
-          this.databases[database].ownedDatabases = ownedDatabases
-        } catch (error) {
-          console.warn('[integramApiClient] Failed to load owned databases:', error.message)
-          this.databases[database].ownedDatabases = []
-        }
-      }
+    const response = await axios.post(this.buildURL('auth/2fa'), formData, {
+      params: { JSON_KV: '' },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    })
+    if (response.data.error) {
+      throw new Error(response.data.error)
+    }
 
-      // Save session to localStorage
-      this.saveSession()
+    const result = await this.completeLogin(database, login, response.data)
+    return response.data.recoveryCodes ? { ...result, recoveryCodes: response.data.recoveryCodes } : result
+  }
 
-      return {
-        success: true,
+  /**
+   * Store the session returned by auth or auth/2fa
+   * @param {string} database - Database name
+   * @param {string} login - Username
+   * @param {Object} data - {_xsrf, token, id, role}
+   * @param {string} [password] - to detect a server echoing the password
+   * @returns {Promise<Object>} Authentication result
+   */
+  async completeLogin(database, login, data, password = null) {
+    // Issue #4140: Validate that the token is not the password
+    // A valid token should be a long hex string (32+ characters), not the password
+    const receivedToken = data.token
+    if (!receivedToken) {
+      throw new Error('Сервер не вернул токен авторизации')
+    }
+
+    // Check if the server mistakenly returned the password as the token
+    if (receivedToken === password) {
+      console.error('[integramApiClient] CRITICAL: Server returned password as token!', {
         database,
-        token: receivedToken,
-        xsrf: response.data._xsrf,
-        userId: this.userId,
-        userName: this.userName,
-        userRole: this.userRole,
-        ownedDatabases: this.databases[database].ownedDatabases
+        login,
+        tokenReceived: receivedToken,
+        tokenLength: receivedToken.length
+      })
+      throw new Error('Ошибка сервера: получен некорректный токен авторизации')
+    }
+
+    // Warn if token looks suspicious (too short or same as password)
+    if (receivedToken.length < 16) {
+      console.warn('[integramApiClient] Warning: Received token is suspiciously short', {
+        tokenLength: receivedToken.length,
+        token: receivedToken
+      })
+    }
+
+    // Issue #5112: Save to multi-database structure
+    this.databases[database] = {
+      token: receivedToken,
+      xsrfToken: data._xsrf,
+      userId: data.id,
+      userName: login,
+      userRole: data.role || 'user',
+      ownedDatabases: []  // Will be loaded if database is 'my'
+    }
+
+    // Set current database
+    this.currentDatabase = database
+
+    // Legacy properties (backward compatibility)
+    this.token = receivedToken
+    this.xsrfToken = data._xsrf
+    this.userId = data.id
+    this.userName = login
+    this.userRole = data.role || 'user'
+    this.database = database
+    this.authDatabase = database
+
+    // Issue #5112: If authenticated to 'my' database, load owned databases
+    if (database === 'my' && this.userId) {
+      try {
+        const ownedDatabases = await this.getOwnedDatabases(this.userId)
+        this.databases[database].ownedDatabases = ownedDatabases
+      } catch (error) {
+        console.warn('[integramApiClient] Failed to load owned databases:', error.message)
+        this.databases[database].ownedDatabases = []
       }
-    } catch (error) {
-      console.error('Integram authentication error:', error)
-      throw new Error(error.response?.data?.message || error.message || 'Ошибка авторизации')
+    }
+
+    // Save session to localStorage
+    this.saveSession()
+
+    return {
+      success: true,
+      database,
+      token: receivedToken,
+      xsrf: data._xsrf,
+      userId: this.userId,
+      userName: this.userName,
+      userRole: this.userRole,
+      ownedDatabases: this.databases[database].ownedDatabases
     }
   }
 
@@ -1493,6 +1550,29 @@ class IntegramApiClient {
     return this.get(`object/${typeId}`, params)
   }
 
+  /**
+   * Group objects of a type on the server (GROUP/AGG/GPATH/PIVOT of object/{typeId})
+   * Returns the groups of the level below `path`; once `path` is as long as
+   * `groupBy` the same call returns the objects of that group.
+   * @param {number} typeId - Type ID
+   * @param {Object} options
+   * @param {Array<number>} options.groupBy - Requisite IDs of the grouping levels (0 = object value)
+   * @param {Array<Object>} [options.aggregates] - [{fn: 'sum'|'avg'|'min'|'max'|'count', reqId}]
+   * @param {Array} [options.path] - Values of the expanded groups above (null = no value)
+   * @param {number} [options.pivot] - Requisite ID spread into pivot columns
+   * @param {Object} [options.params] - Filters and other object/{typeId} parameters
+   * @returns {Promise<Object>} { groups: [{value, label, count, metrics, path, hasChildren, pivot}], level, depth, total, pivot_columns }
+   */
+  async getObjectGroups(typeId, { groupBy, aggregates = [], path = [], pivot = null, params = {} } = {}) {
+    return this.get(`object/${typeId}`, {
+      ...params,
+      GROUP: groupBy.join(','),
+      AGG: ['count', ...aggregates.map(agg => `${agg.fn}:${agg.reqId}`)].join(','),
+      GPATH: path.length > 0 ? JSON.stringify(path) : undefined,
+      PIVOT: pivot ?? undefined
+    })
+  }
+
   /**
    * Get object edit form data
    */
@@ -2102,6 +2182,701 @@ class IntegramApiClient {
     return this.get('terms')
   }
 
+  // ==================== Saved Table Views (core-data-service v2) ====================
+
+  /**
+   * Get saved table views of a type visible to the current user
+   * GET /api/v2/databases/{database}/types/{typeId}/views
+   * @param {number} typeId - Type ID
+   * @returns {Promise<Object>} { views: [{id, name, scope, roleId, settings}], default: viewId|null }
+   */
+  async getTableViews(typeId) {
+    const { data, meta } = await this.requestV2('get', `types/${typeId}/views`)
+    return { views: data || [], default: meta?.defaultViewId ?? null }
+  }
+
+  /**
+   * Create or update a saved table view
+   * POST /api/v2/databases/{database}/types/{typeId}/views
+   * PUT /api/v2/databases/{database}/views/{viewId}
+   * @param {number} typeId - Type ID
+   * @param {Object} view - { id (to update), name, scope: 'personal'|'role', roleId, settings }
+   * @returns {Promise<Object>} { view }
+   */
+  async saveTableView(typeId, view) {
+    const { id, name, scope, roleId, settings } = view
+    const body = { name, scope, roleId, settings }
+    const { data } = id
+      ? await this.requestV2('put', `views/${id}`, body)
+      : await this.requestV2('post', `types/${typeId}/views`, body)
+    return { view: data }
+  }
+
+  /**
+   * Delete a saved table view
+   * DELETE /api/v2/databases/{database}/views/{viewId}
+   * @param {number} typeId - Type ID
+   * @param {number} viewId - View ID
+   * @returns {Promise<Object>}
+   */
+  async deleteTableView(typeId, viewId) {
+    const { data } = await this.requestV2('delete', `views/${viewId}`)
+    return data
+  }
+
+  /**
+   * Make a role view the default for its role (viewId null clears the default)
+   * PUT /api/v2/databases/{database}/types/{typeId}/views/default
+   * @param {number} typeId - Type ID
+   * @param {number|null} viewId - Role view ID
+   * @param {number} [roleId] - Role ID (defaults to the current user's role)
+   * @returns {Promise<Object>} { typeId, roleId, viewId }
+   */
+  async setDefaultTableView(typeId, viewId, roleId) {
+    const { data } = await this.requestV2('put', `types/${typeId}/views/default`, { viewId, roleId })
+    return data
+  }
+
+  // ==================== Report Cache ====================
+
+  /**
+   * Report cache counters and per-report TTLs (requires DDL rights)
+   * GET /{database}/_report_cache
+   * @returns {Promise<Object>} { enabled, defaultTtl, entries, hits, misses, hitRate,
+   *   reports: [{id, name, ttl, effectiveTtl, entries, hits, misses, avgMs}] }
+   */
+  async getReportCacheStats() {
+    return this.get('_report_cache')
+  }
+
+  /**
+   * Set the cache lifetime of a report
+   * POST /{database}/_report_cache/{reportId}
+   * @param {number} reportId - Report ID
+   * @param {number} ttl - Seconds, 0 disables caching of the report
+   * @returns {Promise<Object>} { success, id, ttl }
+   */
+  async setReportCacheTtl(reportId, ttl) {
+    return this.post(`_report_cache/${reportId}`, { ttl })
+  }
+
+  /**
+   * Drop all cached report results of the database
+   * POST /{database}/_report_cache/clear
+   * @returns {Promise<Object>} { success, cleared }
+   */
+  async clearReportCache() {
+    return this.post('_report_cache/clear')
+  }
+
+  // ==================== Report Profiler ====================
+
+  /**
+   * Run a report in explain mode (requires DDL rights): the generated SQL,
+   * the database plan, per-join row estimates, timings and index suggestions
+   * GET /{database}/report/{reportId}?EXPLAIN
+   * @param {number} reportId - Report ID
+   * @param {Object} [params] - Report filters (FR_/TO_ + column name), LIMIT, ORDER
+   * @returns {Promise<Object>} { report, sql, params, joins, estimatedRows, timings,
+   *   subqueries, abnColumns, rows, suggestions: [{code, level, message, sql?}] }
+   */
+  async explainReport(reportId, params = {}) {
+    const result = await this.get(`report/${reportId}`, { ...params, EXPLAIN: '' })
+    if (result?.error && !result.sql) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== Calculated Requisites ====================
+
+  /**
+   * Server-side formulas of the database (requires DDL rights)
+   * GET /{database}/_calc
+   * @returns {Promise<Object>} { requisites: [{reqId, typeId, typeName, name, formula, dependsOn, error}] }
+   */
+  async getCalculatedRequisites() {
+    return this.get('_calc')
+  }
+
+  /**
+   * Set the formula of a requisite and compute it for every object of its type.
+   * An empty formula removes it; the values already computed stay.
+   * POST /{database}/_calc/{reqId}
+   * @param {number} reqId - Requisite ID
+   * @param {string} formula - e.g. "SUM([Позиции].[Сумма])" or "[Клиент].[Город]"
+   * @returns {Promise<Object>} { success, reqId, formula, dependsOn, objects, changed }
+   */
+  async setRequisiteFormula(reqId, formula) {
+    const result = await this.post(`_calc/${reqId}`, { formula: formula || '' })
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Recompute a formula for every object of its type
+   * POST /{database}/_calc/{reqId}/recompute
+   * @param {number} reqId - Requisite ID
+   * @returns {Promise<Object>} { success, reqId, objects, changed }
+   */
+  async recomputeRequisiteFormula(reqId) {
+    const result = await this.post(`_calc/${reqId}/recompute`)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== Validation Rules ====================
+
+  /**
+   * Validation rules of the database (requires DDL rights)
+   * GET /{database}/_rules
+   * @returns {Promise<Object>} { rules: [{targetId, typeId, name, rules: [{kind, param, message}]}] }
+   */
+  async getValidationRules() {
+    return this.get('_rules')
+  }
+
+  /**
+   * Replace the rules of a requisite (or of a type's main value).
+   * An empty list removes them.
+   * POST /{database}/_rules/{targetId}
+   * @param {number} targetId - Requisite ID, or type ID for the main value
+   * @param {Array} rules - [{kind: 'pattern'|'min'|'max'|'minLength'|'maxLength'|'unique'|'values'|'condition', param, message}]
+   * @returns {Promise<Object>} { success, targetId, rules }
+   */
+  async setValidationRules(targetId, rules) {
+    const result = await this.post(`_rules/${targetId}`, { rules: JSON.stringify(rules || []) })
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== Two-Factor Authentication ====================
+
+  /**
+   * TOTP state of the current user
+   * GET /{database}/_2fa
+   * @returns {Promise<Object>} { enabled, required, recoveryLeft }
+   */
+  async getTwoFactorStatus() {
+    return this.get('_2fa')
+  }
+
+  /**
+   * Post a 2FA action, throwing the server's error
+   * @param {string} action - setup | confirm | recovery | disable
+   * @param {Object} data - { code } or { recovery }
+   */
+  async twoFactorAction(action, data = {}) {
+    const result = await this.post(`_2fa/${action}`, data)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Start enrollment: a new secret to add to the authenticator app
+   * @returns {Promise<Object>} { secret, otpauth, qr (data: URL of an SVG), expiresIn }
+   */
+  async setupTwoFactor() {
+    return this.twoFactorAction('setup')
+  }
+
+  /**
+   * Finish enrollment with a code from the app
+   * @param {string} code - 6 digits
+   * @returns {Promise<Object>} { success, recoveryCodes } - shown to the user once
+   */
+  async confirmTwoFactor(code) {
+    return this.twoFactorAction('confirm', { code })
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {string} code - 6 digits
+   * @returns {Promise<Object>} { success, recoveryCodes }
+   */
+  async regenerateRecoveryCodes(code) {
+    return this.twoFactorAction('recovery', { code })
+  }
+
+  /**
+   * Turn 2FA off
+   * @param {Object} answer - { code } or { recovery }
+   */
+  async disableTwoFactor(answer) {
+    return this.twoFactorAction('disable', answer)
+  }
+
+  /**
+   * Roles and whether they require 2FA (requires DDL rights)
+   * GET /{database}/_2fa/policy
+   * @returns {Promise<Object>} { roles: [{id, name, required, ddl}] }
+   */
+  async getTwoFactorPolicy() {
+    return this.get('_2fa/policy')
+  }
+
+  /**
+   * Require 2FA from the users of a role
+   * POST /{database}/_2fa/policy/{roleId}
+   * @param {number} roleId - Role object ID
+   * @param {boolean} required
+   */
+  async setTwoFactorPolicy(roleId, required) {
+    const result = await this.post(`_2fa/policy/${roleId}`, { required: required ? 1 : 0 })
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== API Keys ====================
+
+  /**
+   * Personal API keys of the current user (the keys themselves are not stored)
+   * GET /{database}/_api_keys
+   * @returns {Promise<Object>} { keys: [{id, name, prefix, readOnly, types, ips, expiresAt, createdAt, lastUsedAt, lastUsedIp}] }
+   */
+  async getApiKeys() {
+    return this.get('_api_keys')
+  }
+
+  /**
+   * Create an API key
+   * POST /{database}/_api_keys
+   * @param {Object} options
+   * @param {string} options.name - Label of the key
+   * @param {string} [options.access='READ'] - READ | WRITE
+   * @param {Array<number>} [options.types] - Type IDs the key is limited to (all when empty)
+   * @param {string} [options.ips] - Allowed addresses and IPv4 ranges, comma separated
+   * @param {string} [options.expires] - Expiry date (YYYY-MM-DD)
+   * @returns {Promise<Object>} The key description plus { key } - shown to the user once
+   */
+  async createApiKey({ name, access = 'READ', types = [], ips = '', expires = '' }) {
+    const result = await this.post('_api_keys', {
+      name,
+      access,
+      types: types.join(','),
+      ips,
+      expires
+    })
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Revoke an API key
+   * POST /{database}/_api_keys/{keyId}/revoke
+   * @param {number} keyId - Key object ID
+   */
+  async revokeApiKey(keyId) {
+    const result = await this.post(`_api_keys/${keyId}/revoke`)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== Login Lockout ====================
+
+  /**
+   * Locked logins and throttled addresses (requires DDL rights)
+   * GET /{database}/_login_locks
+   * @returns {Promise<Object>} { logins: [{login, until, level}], ips: [{ip, attempts, retryAfter}] }
+   */
+  async getLoginLocks() {
+    return this.get('_login_locks')
+  }
+
+  /**
+   * Lift the lockout of a login and/or the attempt limit of an address
+   * POST /{database}/_login_locks/unlock
+   * @param {Object} target - { login } and/or { ip }
+   * @returns {Promise<Object>} { success, unlocked }
+   */
+  async unlockLogin({ login, ip } = {}) {
+    const result = await this.post('_login_locks/unlock', { login, ip })
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== Sessions ====================
+
+  /**
+   * Sessions of the current user
+   * GET /{database}/_sessions
+   * @returns {Promise<Object>} { sessions: [{id, startedAt, lastUsedAt, lastIp, ip, userAgent, method, current}] }
+   */
+  async getSessions() {
+    return this.get('_sessions')
+  }
+
+  /**
+   * End a session of the current user
+   * POST /{database}/_sessions/{sessionId}/revoke
+   * @param {number} sessionId - TOKEN row of the session
+   * @returns {Promise<Object>} { success }
+   */
+  async revokeSession(sessionId) {
+    const result = await this.post(`_sessions/${sessionId}/revoke`)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Sign out everywhere, the current session included
+   * POST /{database}/_sessions/revoke_all
+   * @returns {Promise<Object>} { success, revoked }
+   */
+  async revokeAllSessions() {
+    const result = await this.post('_sessions/revoke_all')
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Sessions of every user (requires DDL rights)
+   * GET /{database}/_sessions/all
+   * @param {number} [userId] - Only the sessions of this user
+   * @returns {Promise<Object>} { sessions: [{id, uid, login, startedAt, lastUsedAt, ...}] }
+   */
+  async getAllSessions(userId = null) {
+    return this.get('_sessions/all', userId ? { user: userId } : {})
+  }
+
+  /**
+   * End a session of any user (requires DDL rights)
+   * POST /{database}/_sessions/all/{sessionId}/revoke
+   * @param {number} sessionId - TOKEN row of the session
+   * @returns {Promise<Object>} { success }
+   */
+  async revokeUserSession(sessionId) {
+    const result = await this.post(`_sessions/all/${sessionId}/revoke`)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Sign a user out everywhere (requires DDL rights)
+   * POST /{database}/_sessions/all/user/{userId}/revoke_all
+   * @param {number} userId
+   * @returns {Promise<Object>} { success, revoked }
+   */
+  async revokeUserSessions(userId) {
+    const result = await this.post(`_sessions/all/user/${userId}/revoke_all`)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Login audit: logins, sign-outs, ended sessions and lockouts, newest first (requires DDL rights)
+   * GET /{database}/_login_audit
+   * @param {Object} [filter] - { login, limit }
+   * @returns {Promise<Object>} { events: [{id, time, event, login, ip, userAgent, method, failures, until, by}] }
+   */
+  async getLoginAudit({ login = '', limit = 100 } = {}) {
+    return this.get('_login_audit', { login, limit })
+  }
+
+  // ==================== SSO (OpenID Connect) ====================
+
+  /**
+   * Identity providers offered on the login page of a database (no authentication needed)
+   * GET /{database}/_oidc/providers
+   * @param {string} database - Database name
+   * @returns {Promise<Array<Object>>} [{id, name}]
+   */
+  async getOidcLoginProviders(database) {
+    this.database = database
+    const response = await axios.get(this.buildURL('_oidc/providers'), { params: { JSON_KV: '' } })
+    if (response.data.error) {
+      throw new Error(response.data.error)
+    }
+    return response.data.providers || []
+  }
+
+  /**
+   * Address that starts a login with an identity provider; the browser goes there
+   * GET /{database}/oidc/{providerId}/login?uri={returnTo}
+   * @param {string} database - Database name
+   * @param {number} providerId - Provider object
+   * @param {string} returnTo - Path the server redirects to after the login
+   * @returns {string} URL
+   */
+  getOidcLoginUrl(database, providerId, returnTo) {
+    this.database = database
+    return `${this.buildURL(`oidc/${providerId}/login`)}?uri=${encodeURIComponent(returnTo)}`
+  }
+
+  /**
+   * Link the current user to their account at an identity provider; the
+   * browser goes to the returned address and comes back to returnTo
+   * POST /{database}/oidc/{providerId}/link
+   * @param {number} providerId - Provider object
+   * @param {string} returnTo - Path the server redirects to after linking
+   * @returns {Promise<string>} URL
+   */
+  async linkOidcProvider(providerId, returnTo) {
+    // The state cookie of the login has to reach the browser
+    const result = await this.post(`oidc/${providerId}/link`, { uri: returnTo }, { withCredentials: true })
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result.url
+  }
+
+  /**
+   * Pick up the session an SSO login left in the database cookie
+   * GET /{database}/xsrf
+   * @param {string} database - Database name
+   * @returns {Promise<Object>} Same as authenticate()
+   */
+  async completeOidcLogin(database) {
+    this.database = database
+    const response = await axios.get(this.buildURL('xsrf'), { params: { JSON_KV: '' }, withCredentials: true })
+    if (!response.data.token) {
+      throw new Error('Вход через SSO не завершён')
+    }
+    return this.completeLogin(database, response.data.user, response.data)
+  }
+
+  /**
+   * Identity providers with their settings, the secret only as hasSecret (requires DDL rights)
+   * GET /{database}/_oidc
+   * @returns {Promise<Object>} { providers: [{id, name, issuer, clientId, ...}], redirectUri }
+   */
+  async getOidcProviders() {
+    return this.get('_oidc')
+  }
+
+  /**
+   * Create or update an identity provider (requires DDL rights)
+   * POST /{database}/_oidc or /{database}/_oidc/{providerId}
+   * @param {number|null} providerId - null to create
+   * @param {Object} values - { name, issuer, clientId, clientSecret, scopes, loginClaim,
+   *   roleClaim, roleMap, defaultRole, enabled }; an empty clientSecret keeps the stored one
+   * @returns {Promise<Object>} Saved provider
+   */
+  async saveOidcProvider(providerId, values) {
+    const result = await this.post(providerId ? `_oidc/${providerId}` : '_oidc', values)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  /**
+   * Delete an identity provider with its secret (requires DDL rights)
+   * POST /{database}/_oidc/{providerId}/delete
+   * @param {number} providerId
+   * @returns {Promise<Object>} { success }
+   */
+  async deleteOidcProvider(providerId) {
+    const result = await this.post(`_oidc/${providerId}/delete`)
+    if (result?.error) {
+      throw new Error(result.error)
+    }
+    return result
+  }
+
+  // ==================== Spreadsheet Export ====================
+
+  /**
+   * Download a file built by the server (XLSX/ODS exports).
+   * Legacy errors come back as 200 JSON {error}, so a JSON blob is an error.
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Blob>} File contents
+   */
+  async downloadFile(endpoint, params = {}) {
+    try {
+      const response = await axios.get(this.buildURL(endpoint), {
+        params,
+        headers: this.getAuthHeaders(this.database),
+        responseType: 'blob',
+        timeout: 300000 // big tables take a while
+      })
+      const blob = response.data
+      if (blob.type?.includes('application/json')) {
+        const data = JSON.parse(await blob.text())
+        throw new Error(data.error || 'Export failed')
+      }
+      return blob
+    } catch (error) {
+      console.error('Integram download error:', error)
+      throw this.handleError(error)
+    }
+  }
+
+  /**
+   * Export all objects of a type, one sheet per subordinate table
+   * GET /{database}/export/{typeId}?format=xlsx|ods
+   * @param {number} typeId - Type ID
+   * @param {string} [format='xlsx'] - 'xlsx' or 'ods'
+   * @returns {Promise<Blob>} Workbook
+   */
+  async exportType(typeId, format = 'xlsx') {
+    return this.downloadFile(`export/${typeId}`, {
+      format,
+      tzone: -new Date().getTimezoneOffset() * 60
+    })
+  }
+
+  /**
+   * Export all rows of a report with typed cells and the totals row
+   * GET /{database}/report/{reportId}?format=xlsx|ods
+   * @param {number} reportId - Report ID
+   * @param {string} [format='xlsx'] - 'xlsx' or 'ods'
+   * @param {Object} [params] - Report filters (FR_/TO_/EQ_/LIKE_ + column name)
+   * @returns {Promise<Blob>} Workbook
+   */
+  async exportReport(reportId, format = 'xlsx', params = {}) {
+    return this.downloadFile(`report/${reportId}`, {
+      ...params,
+      format,
+      tzone: -new Date().getTimezoneOffset() * 60
+    })
+  }
+
+  // ==================== Live Updates (core-data-service v2) ====================
+
+  /**
+   * Build core-data-service V2 URL of the current database
+   * {VITE_CORE_DATA_URL | server}/api/v2/databases/{database}/{endpoint}
+   * @param {string} endpoint - Endpoint path
+   * @returns {string} Full URL
+   */
+  buildV2URL(endpoint) {
+    if (!this.database) {
+      throw new Error('Database not set. Call setDatabase() first.')
+    }
+    const base = (import.meta.env.VITE_CORE_DATA_URL || this.baseURL).replace(/\/$/, '')
+    return `${base}/api/v2/databases/${this.database}/${endpoint}`
+  }
+
+  /**
+   * Authorization headers for V2: the token of the database itself
+   * (V2 does not route requests through the 'my' header)
+   * @returns {Object} Headers object
+   */
+  getV2Headers() {
+    const token = this.databases[this.database]?.token || this.token
+    return token ? { 'X-Authorization': token } : {}
+  }
+
+  /**
+   * Execute a V2 request; the error message of a V2 error response is kept
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path (see buildV2URL)
+   * @param {Object} [data] - JSON body
+   * @returns {Promise<Object>} { success, data, meta }
+   */
+  async requestV2(method, endpoint, data) {
+    try {
+      const response = await axios({
+        method,
+        url: this.buildV2URL(endpoint),
+        data,
+        headers: this.getV2Headers(),
+        timeout: 30000
+      })
+      return response.data
+    } catch (error) {
+      const message = error.response?.data?.error?.message
+      throw message ? new Error(message) : this.handleError(error)
+    }
+  }
+
+  /**
+   * Open the change event stream (SSE) of the current database.
+   * Uses fetch because EventSource cannot send the authorization header;
+   * the caller reads `response.body`.
+   * GET /api/v2/databases/{database}/events
+   * @param {Object} options
+   * @param {Array<number>} [options.types] - Type IDs to receive changes and presence of
+   * @param {string} [options.clientId] - Client ID, its presence is dropped when the stream closes
+   * @param {AbortSignal} [options.signal] - Closes the stream
+   * @returns {Promise<Response>} Stream response
+   */
+  async openEventStream({ types = [], clientId, signal } = {}) {
+    const params = new URLSearchParams()
+    if (types.length > 0) params.set('types', types.join(','))
+    if (clientId) params.set('clientId', clientId)
+
+    const response = await fetch(`${this.buildV2URL('events')}?${params}`, {
+      headers: { Accept: 'text/event-stream', ...this.getV2Headers() },
+      signal
+    })
+    if (!response.ok || !response.body) {
+      const error = new Error(`Event stream unavailable (HTTP ${response.status})`)
+      error.status = response.status
+      throw error
+    }
+    return response
+  }
+
+  /**
+   * Users currently viewing or editing a table
+   * GET /api/v2/databases/{database}/types/{typeId}/presence
+   * @param {number} typeId - Type ID
+   * @returns {Promise<Array>} [{clientId, userId, username, typeId, objectId, field, state}]
+   */
+  async getPresence(typeId) {
+    const response = await axios.get(this.buildV2URL(`types/${typeId}/presence`), {
+      headers: this.getV2Headers(),
+      timeout: 10000
+    })
+    return response.data.data || []
+  }
+
+  /**
+   * Report presence in a table (heartbeat)
+   * POST /api/v2/databases/{database}/types/{typeId}/presence
+   * @param {number} typeId - Type ID
+   * @param {Object} presence - { clientId, state: 'view'|'edit', objectId, field }
+   * @returns {Promise<Object>} Presence entry
+   */
+  async sendPresence(typeId, presence) {
+    const response = await axios.post(this.buildV2URL(`types/${typeId}/presence`), presence, {
+      headers: this.getV2Headers(),
+      timeout: 10000
+    })
+    return response.data.data
+  }
+
+  /**
+   * Leave a table. Sent with keepalive so it survives closing the page.
+   * DELETE /api/v2/databases/{database}/types/{typeId}/presence/{clientId}
+   * @param {number} typeId - Type ID
+   * @param {string} clientId - Client ID
+   */
+  async leavePresence(typeId, clientId) {
+    await fetch(this.buildV2URL(`types/${typeId}/presence/${encodeURIComponent(clientId)}`), {
+      method: 'DELETE',
+      headers: this.getV2Headers(),
+      keepalive: true
+    })
+  }
+
   // ==================== Alternative Authentication ====================
 
   /**
@@ -75,6 +75,13 @@ class IntegramService {
     return response.data;
   }
 
+  /**
+   * Profile a report: generated SQL, plan, timings and index suggestions
+   */
+  async explainReport(reportId, params = {}) {
+    return integramApiClient.explainReport(reportId, params);
+  }
+
   /**
    * Get all objects from a type (paginated)
    */